@@ -2,6 +2,7 @@ import React from 'react';
 import { HashRouter as Router, Routes, Route } from 'react-router-dom';
 import Library from './components/Library';
 import Reader from './components/Reader';
+import Stats from './components/Stats';
 
 function App() {
   return (
@@ -9,6 +10,7 @@ function App() {
       <Routes>
         <Route path="/" element={<Library />} />
         <Route path="/read/:bookId" element={<Reader />} />
+        <Route path="/stats" element={<Stats />} />
       </Routes>
     </Router>
   );
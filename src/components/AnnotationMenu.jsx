@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { StickyNote, Trash2, X, Check } from 'lucide-react';
+import { highlightColors } from '../hooks/useAnnotations';
+
+const MENU_WIDTH = 260;
+const MENU_GAP = 12;
+
+/**
+ * AnnotationMenu - floating menu over a text selection or a highlight:
+ * pick a highlight color, write a note, or delete the highlight.
+ * menu: { x, top, bottom, annotation } in viewport pixels (annotation is
+ * null for a fresh selection). colors: the theme's highlight palette.
+ */
+const AnnotationMenu = ({ menu, colors = highlightColors, onColor, onSaveNote, onDelete, onClose }) => {
+    const annotation = menu?.annotation;
+    const [editingNote, setEditingNote] = useState(false);
+    const [note, setNote] = useState(annotation?.note || '');
+
+    if (!menu) return null;
+
+    // Above the selection, or below it when there's no room
+    const left = Math.min(Math.max(MENU_GAP, menu.x - MENU_WIDTH / 2), window.innerWidth - MENU_WIDTH - MENU_GAP);
+    const placeBelow = menu.top < (editingNote ? 200 : 120);
+    const position = placeBelow
+        ? { left, top: menu.bottom + MENU_GAP }
+        : { left, bottom: window.innerHeight - menu.top + MENU_GAP };
+
+    return (
+        <motion.div
+            className="annotation-menu"
+            style={{ ...position, width: MENU_WIDTH }}
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            onClick={(e) => e.stopPropagation()}
+        >
+            {editingNote ? (
+                <div className="annotation-note-editor">
+                    <textarea
+                        className="annotation-note-input"
+                        value={note}
+                        onChange={(e) => setNote(e.target.value)}
+                        placeholder="Write a note…"
+                        rows={4}
+                        autoFocus
+                    />
+                    <div className="annotation-menu-row">
+                        <button className="annotation-menu-btn" onClick={() => setEditingNote(false)} title="Cancel">
+                            <X size={18} />
+                        </button>
+                        <button className="annotation-menu-btn primary" onClick={() => onSaveNote(note.trim())} title="Save note">
+                            <Check size={18} />
+                        </button>
+                    </div>
+                </div>
+            ) : (
+                <div className="annotation-menu-row">
+                    {Object.entries(colors).map(([key, color]) => (
+                        <button
+                            key={key}
+                            className={`annotation-swatch ${annotation?.color === key ? 'active' : ''}`}
+                            style={{ backgroundColor: color }}
+                            onClick={() => onColor(key)}
+                            title={`Highlight ${key}`}
+                        />
+                    ))}
+                    <span className="annotation-menu-divider" />
+                    <button className="annotation-menu-btn" onClick={() => setEditingNote(true)} title="Note">
+                        <StickyNote size={18} />
+                    </button>
+                    {annotation ? (
+                        <button className="annotation-menu-btn" onClick={onDelete} title="Delete highlight">
+                            <Trash2 size={18} />
+                        </button>
+                    ) : (
+                        <button className="annotation-menu-btn" onClick={onClose} title="Cancel">
+                            <X size={18} />
+                        </button>
+                    )}
+                </div>
+            )}
+        </motion.div>
+    );
+};
+
+export default AnnotationMenu;
@@ -0,0 +1,91 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Highlighter, Trash2 } from 'lucide-react';
+import { highlightColors } from '../hooks/useAnnotations';
+
+/**
+ * AnnotationsPanel - drawer listing the book's highlights and notes in
+ * reading order. Tapping an entry jumps to it.
+ */
+const AnnotationsPanel = ({ isOpen, onClose, annotations, colors = highlightColors, onNavigate, onDelete }) => {
+
+    const handleItemClick = (annotation) => {
+        onNavigate(annotation.cfiRange);
+        onClose();
+    };
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <>
+                    {/* Backdrop */}
+                    <motion.div
+                        className="toc-backdrop"
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                        onClick={onClose}
+                    />
+
+                    {/* Annotations Drawer */}
+                    <motion.div
+                        className="toc-drawer"
+                        initial={{ x: '100%' }}
+                        animate={{ x: 0 }}
+                        exit={{ x: '100%' }}
+                        transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+                    >
+                        {/* Header */}
+                        <div className="toc-header">
+                            <div className="toc-header-title">
+                                <Highlighter size={20} />
+                                <h2>Highlights & Notes</h2>
+                            </div>
+                            <button className="toc-close-btn" onClick={onClose}>
+                                <X size={24} />
+                            </button>
+                        </div>
+
+                        {/* Annotation List */}
+                        <div className="toc-content">
+                            {annotations.length > 0 ? (
+                                annotations.map((annotation) => (
+                                    <div
+                                        key={annotation.id}
+                                        className="annotation-item"
+                                        style={{ borderLeftColor: colors[annotation.color] || colors.yellow }}
+                                    >
+                                        <button className="annotation-item-body" onClick={() => handleItemClick(annotation)}>
+                                            <span className="annotation-item-text">{annotation.text}</span>
+                                            {annotation.note && (
+                                                <span className="annotation-item-note">{annotation.note}</span>
+                                            )}
+                                            <span className="annotation-item-meta">
+                                                {[annotation.chapter, new Date(annotation.createdAt).toLocaleDateString()]
+                                                    .filter(Boolean)
+                                                    .join(' · ')}
+                                            </span>
+                                        </button>
+                                        <button
+                                            className="toc-close-btn annotation-item-delete"
+                                            onClick={() => onDelete(annotation.id)}
+                                            title="Delete"
+                                        >
+                                            <Trash2 size={16} />
+                                        </button>
+                                    </div>
+                                ))
+                            ) : (
+                                <div className="toc-empty">
+                                    <p>Select text to highlight it or add a note</p>
+                                </div>
+                            )}
+                        </div>
+                    </motion.div>
+                </>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default AnnotationsPanel;
@@ -0,0 +1,76 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Play, Pause, Minus, Plus, X } from 'lucide-react';
+import { autoScrollUnits, autoScrollLimits } from '../hooks/useAutoScroll';
+
+/**
+ * AutoScrollControls - play/pause, speed and unit for auto-scroll,
+ * floating over the bottom of the reader like the pacer controls
+ */
+const AutoScrollControls = ({ isOpen, isPlaying, unit, speed, onTogglePlay, onNudge, onCycleUnit, onClose }) => {
+    const { min, max } = autoScrollLimits[unit];
+    const otherUnit = unit === 'wpm' ? 'lines' : 'wpm';
+
+    const stop = (e, action) => {
+        e.stopPropagation();
+        action();
+    };
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <motion.div
+                    className="pacer-controls"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: 20 }}
+                    onClick={(e) => e.stopPropagation()}
+                >
+                    <button
+                        className="pacer-btn pacer-play"
+                        onClick={(e) => stop(e, onTogglePlay)}
+                        title={isPlaying ? 'Pause (Space)' : 'Play (Space)'}
+                    >
+                        {isPlaying ? <Pause size={20} /> : <Play size={20} />}
+                    </button>
+
+                    <button
+                        className="pacer-btn"
+                        onClick={(e) => stop(e, () => onNudge(-1))}
+                        disabled={speed <= min}
+                        title="Slower (↑)"
+                    >
+                        <Minus size={18} />
+                    </button>
+                    <span className="pacer-wpm">{speed} {autoScrollUnits[unit]}</span>
+                    <button
+                        className="pacer-btn"
+                        onClick={(e) => stop(e, () => onNudge(1))}
+                        disabled={speed >= max}
+                        title="Faster (↓)"
+                    >
+                        <Plus size={18} />
+                    </button>
+
+                    <button
+                        className="pacer-style"
+                        onClick={(e) => stop(e, onCycleUnit)}
+                        title={`Set speed in ${autoScrollUnits[otherUnit]}`}
+                    >
+                        {autoScrollUnits[otherUnit]}
+                    </button>
+
+                    <button
+                        className="pacer-btn"
+                        onClick={(e) => stop(e, onClose)}
+                        title="Stop Auto-Scroll (Esc)"
+                    >
+                        <X size={18} />
+                    </button>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default AutoScrollControls;
@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, Plus, X, RotateCcw } from 'lucide-react';
+import {
+    controlActions,
+    defaultControlBindings,
+    getControlLabel,
+    listenForControl,
+} from '../hooks/useRemoteControls';
+
+const contextTitles = {
+    reader: 'Reader',
+    rsvp: 'RSVP',
+};
+
+/**
+ * ControlsSettings - remap media keys, page turner keys and gamepad buttons.
+ * Shown inside the settings panel. Assigning waits for the next input from
+ * any device; an input drives one action per context.
+ */
+const ControlsSettings = ({ settings, updateSetting, onBack }) => {
+    const [listening, setListening] = useState(null); // { context, action }
+    const bindings = settings.controlBindings || defaultControlBindings;
+
+    const setContextBindings = (context, next) => {
+        updateSetting('controlBindings', { ...bindings, [context]: next });
+    };
+
+    const removeBinding = (context, input) => {
+        const next = { ...bindings[context] };
+        delete next[input];
+        setContextBindings(context, next);
+    };
+
+    // Wait for a button while assigning
+    useEffect(() => {
+        if (!listening) return;
+        return listenForControl((input) => {
+            const { context, action } = listening;
+            updateSetting('controlBindings', {
+                ...bindings,
+                [context]: { ...bindings[context], [input]: action },
+            });
+            setListening(null);
+        });
+    }, [listening, bindings, updateSetting]);
+
+    return (
+        <>
+            <div className="settings-header">
+                <div className="settings-header-actions">
+                    <button className="settings-close-btn" onClick={onBack} title="Back">
+                        <ArrowLeft size={20} />
+                    </button>
+                    <h2 className="settings-title">Remote Controls</h2>
+                </div>
+                <button
+                    className="settings-reset-btn"
+                    onClick={() => updateSetting('controlBindings', defaultControlBindings)}
+                    title="Reset to defaults"
+                >
+                    <RotateCcw size={18} />
+                </button>
+            </div>
+
+            <div className="settings-content">
+                <p className="settings-hint">
+                    Tap + and press a media key, page turner button or gamepad button to assign it
+                </p>
+
+                {Object.entries(controlActions).map(([context, actions]) => (
+                    <div className="settings-section" key={context}>
+                        <h3 className="settings-section-title">{contextTitles[context]}</h3>
+
+                        {Object.entries(actions).map(([action, label]) => {
+                            const inputs = Object.keys(bindings[context] || {})
+                                .filter((input) => bindings[context][input] === action);
+                            const isListening = listening?.context === context && listening.action === action;
+
+                            return (
+                                <div className="settings-row controls-row" key={action}>
+                                    <label className="settings-label">{label}</label>
+                                    <div className="controls-bindings">
+                                        {inputs.map((input) => (
+                                            <span className="controls-chip" key={input}>
+                                                {getControlLabel(input)}
+                                                <button
+                                                    onClick={() => removeBinding(context, input)}
+                                                    title="Remove"
+                                                >
+                                                    <X size={12} />
+                                                </button>
+                                            </span>
+                                        ))}
+                                        {isListening ? (
+                                            <button
+                                                className="controls-chip controls-listening"
+                                                onClick={() => setListening(null)}
+                                            >
+                                                Press a button… (tap to cancel)
+                                            </button>
+                                        ) : (
+                                            <button
+                                                className="stepper-btn controls-add"
+                                                onClick={() => setListening({ context, action })}
+                                                title="Assign a button"
+                                            >
+                                                <Plus size={16} />
+                                            </button>
+                                        )}
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                ))}
+            </div>
+        </>
+    );
+};
+
+export default ControlsSettings;
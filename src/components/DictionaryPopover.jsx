@@ -0,0 +1,75 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { BookA, X } from 'lucide-react';
+import { lookupWord } from '../services/dictionary';
+
+const POPOVER_WIDTH = 300;
+const POPOVER_GAP = 12;
+
+/**
+ * DictionaryPopover - definitions of a word from the installed
+ * dictionaries. anchor: { x, top, bottom } in viewport pixels places it by
+ * the word; without one it is docked to the bottom of the screen (RSVP).
+ * hideWhenEmpty renders nothing when no dictionary has the word.
+ */
+const DictionaryPopover = ({ word, language, anchor, hideWhenEmpty = false, onClose }) => {
+    const [lookup, setLookup] = useState(null); // { word, entries }
+
+    useEffect(() => {
+        let cancelled = false;
+        lookupWord(word, language)
+            .then((entries) => {
+                if (!cancelled) setLookup({ word, entries });
+            })
+            .catch((err) => {
+                console.warn('Dictionary lookup failed:', err);
+                if (!cancelled) setLookup({ word, entries: [] });
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [word, language]);
+
+    const entries = lookup?.word === word ? lookup.entries : null;
+    if (hideWhenEmpty && (!entries || entries.length === 0)) return null;
+
+    // Below the word, or above it when it's in the lower half of the screen
+    let position;
+    if (anchor) {
+        const left = Math.min(Math.max(POPOVER_GAP, anchor.x - POPOVER_WIDTH / 2), window.innerWidth - POPOVER_WIDTH - POPOVER_GAP);
+        position = anchor.top > window.innerHeight / 2
+            ? { left, bottom: window.innerHeight - anchor.top + POPOVER_GAP }
+            : { left, top: anchor.bottom + POPOVER_GAP };
+    }
+
+    return (
+        <motion.div
+            className={`dictionary-popover ${anchor ? '' : 'docked'}`}
+            style={anchor ? { ...position, width: POPOVER_WIDTH } : undefined}
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            onClick={(e) => e.stopPropagation()}
+        >
+            <div className="dictionary-popover-header">
+                <BookA size={16} />
+                <span className="dictionary-popover-word">{entries?.[0]?.headword || word}</span>
+                <button className="annotation-menu-btn" onClick={onClose} title="Close">
+                    <X size={16} />
+                </button>
+            </div>
+
+            <div className="dictionary-popover-body">
+                {!entries && <p className="dictionary-popover-empty">Looking up…</p>}
+                {entries?.length === 0 && <p className="dictionary-popover-empty">No definition found</p>}
+                {entries?.map((entry, i) => (
+                    <div className="dictionary-entry" key={i}>
+                        <div className="dictionary-entry-source">{entry.dictionary}</div>
+                        <p className="dictionary-entry-definition">{entry.definition}</p>
+                    </div>
+                ))}
+            </div>
+        </motion.div>
+    );
+};
+
+export default DictionaryPopover;
@@ -0,0 +1,139 @@
+import React, { useState, useRef } from 'react';
+import { ArrowLeft, Upload, Trash2 } from 'lucide-react';
+import { useDictionaries } from '../hooks/useDictionaries';
+import { importDictionary, setDictionaryLanguage, removeDictionary } from '../services/dictionary';
+
+const ACCEPTED_FILES = '.ifo,.idx,.dict,.dz,.gz,.json,.tsv,.txt';
+
+/**
+ * DictionarySettings - import and manage offline dictionaries. Shown
+ * inside the settings panel. Each dictionary has a language so lookups
+ * use the ones matching the book; a blank language applies to every book.
+ */
+const DictionarySettings = ({ onBack }) => {
+    const dictionaries = useDictionaries();
+    const [language, setLanguage] = useState('');
+    const [importing, setImporting] = useState(null); // progress fraction
+    const [error, setError] = useState('');
+    const fileInputRef = useRef(null);
+
+    const handleFiles = async (e) => {
+        const files = e.target.files;
+        if (!files || files.length === 0) return;
+        setError('');
+        setImporting(0);
+        try {
+            await importDictionary(files, { language, onProgress: setImporting });
+        } catch (err) {
+            console.error('Dictionary import failed:', err);
+            setError(err.message || 'Import failed');
+        } finally {
+            setImporting(null);
+            e.target.value = '';
+        }
+    };
+
+    const handleRemove = (dictionary) => {
+        if (!window.confirm(`Remove "${dictionary.name}"?`)) return;
+        removeDictionary(dictionary.id).catch((err) => console.error('Failed to remove dictionary:', err));
+    };
+
+    return (
+        <>
+            <div className="settings-header">
+                <div className="settings-header-actions">
+                    <button className="settings-close-btn" onClick={onBack} title="Back">
+                        <ArrowLeft size={20} />
+                    </button>
+                    <h2 className="settings-title">Dictionaries</h2>
+                </div>
+            </div>
+
+            <div className="settings-content">
+                {/* Import */}
+                <div className="settings-section">
+                    <h3 className="settings-section-title">Import</h3>
+
+                    <div className="settings-row">
+                        <label className="settings-label">Language</label>
+                        <input
+                            type="text"
+                            className="dictionary-language-input"
+                            value={language}
+                            onChange={(e) => setLanguage(e.target.value)}
+                            placeholder="Any"
+                        />
+                    </div>
+
+                    <div className="settings-row">
+                        <label className="settings-label">
+                            {importing != null ? `Importing… ${Math.round(importing * 100)}%` : 'Dictionary Files'}
+                        </label>
+                        <button
+                            className="stepper-btn"
+                            onClick={() => fileInputRef.current?.click()}
+                            disabled={importing != null}
+                            title="Choose files"
+                        >
+                            <Upload size={16} />
+                        </button>
+                        <input
+                            ref={fileInputRef}
+                            type="file"
+                            accept={ACCEPTED_FILES}
+                            multiple
+                            onChange={handleFiles}
+                            style={{ display: 'none' }}
+                        />
+                    </div>
+                    {error && <p className="settings-hint dictionary-error">{error}</p>}
+                    <p className="settings-hint">
+                        StarDict (select the .ifo, .idx and .dict or .dict.dz together), JSON ({'{ "word": "definition" }'})
+                        or TSV (word, tab, definition per line). Language is a code like en or de.
+                    </p>
+                </div>
+
+                {/* Installed */}
+                <div className="settings-section">
+                    <h3 className="settings-section-title">Installed</h3>
+
+                    {dictionaries.length === 0 && (
+                        <p className="settings-hint">No dictionaries yet</p>
+                    )}
+                    {dictionaries.map((dictionary) => (
+                        <div className="settings-row dictionary-row" key={dictionary.id}>
+                            <div className="dictionary-info">
+                                <span className="settings-label">{dictionary.name}</span>
+                                <span className="dictionary-meta">
+                                    {dictionary.entryCount.toLocaleString()} words
+                                </span>
+                            </div>
+                            <input
+                                type="text"
+                                className="dictionary-language-input"
+                                defaultValue={dictionary.language}
+                                onBlur={(e) => {
+                                    if (e.target.value.trim() !== dictionary.language) {
+                                        setDictionaryLanguage(dictionary.id, e.target.value)
+                                            .catch((err) => console.error('Failed to update dictionary:', err));
+                                    }
+                                }}
+                                placeholder="Any"
+                                title="Language"
+                            />
+                            <button
+                                className="stepper-btn"
+                                onClick={() => handleRemove(dictionary)}
+                                title="Remove dictionary"
+                            >
+                                <Trash2 size={16} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default DictionarySettings;
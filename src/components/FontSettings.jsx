@@ -0,0 +1,109 @@
+import React, { useState, useRef } from 'react';
+import { ArrowLeft, Upload, Trash2 } from 'lucide-react';
+import { useUserFonts } from '../hooks/useUserFonts';
+import { addUserFonts, removeUserFont, ACCEPTED_FONT_FILES } from '../services/fonts';
+
+/**
+ * FontSettings - upload and remove your own fonts. Shown inside the
+ * settings panel. Uploaded fonts are stored on the device and appear in
+ * the Font Type lists.
+ */
+const FontSettings = ({ settings, updateSetting, onBack }) => {
+    const fonts = useUserFonts();
+    const [uploading, setUploading] = useState(false);
+    const [error, setError] = useState('');
+    const fileInputRef = useRef(null);
+
+    const handleFiles = async (e) => {
+        const files = e.target.files;
+        if (!files || files.length === 0) return;
+        setError('');
+        setUploading(true);
+        try {
+            await addUserFonts(Array.from(files));
+        } catch (err) {
+            console.error('Font upload failed:', err);
+            setError(err.message || 'Upload failed');
+        } finally {
+            setUploading(false);
+            e.target.value = '';
+        }
+    };
+
+    const handleRemove = (font) => {
+        if (!window.confirm(`Remove "${font.name}"?`)) return;
+        // Books and RSVP using it go back to the defaults
+        if (settings.fontType === font.key) updateSetting('fontType', 'system');
+        if (settings.rsvpFontType === font.key) updateSetting('rsvpFontType', 'mono');
+        removeUserFont(font.id).catch((err) => console.error('Failed to remove font:', err));
+    };
+
+    return (
+        <>
+            <div className="settings-header">
+                <div className="settings-header-actions">
+                    <button className="settings-close-btn" onClick={onBack} title="Back">
+                        <ArrowLeft size={20} />
+                    </button>
+                    <h2 className="settings-title">Fonts</h2>
+                </div>
+            </div>
+
+            <div className="settings-content">
+                {/* Upload */}
+                <div className="settings-section">
+                    <h3 className="settings-section-title">Upload</h3>
+
+                    <div className="settings-row">
+                        <label className="settings-label">{uploading ? 'Uploading…' : 'Font Files'}</label>
+                        <button
+                            className="stepper-btn"
+                            onClick={() => fileInputRef.current?.click()}
+                            disabled={uploading}
+                            title="Choose files"
+                        >
+                            <Upload size={16} />
+                        </button>
+                        <input
+                            ref={fileInputRef}
+                            type="file"
+                            accept={ACCEPTED_FONT_FILES}
+                            multiple
+                            onChange={handleFiles}
+                            style={{ display: 'none' }}
+                        />
+                    </div>
+                    {error && <p className="settings-hint font-error">{error}</p>}
+                    <p className="settings-hint">
+                        TTF, OTF or WOFF2. Upload one file per font; the regular style works best.
+                    </p>
+                </div>
+
+                {/* Uploaded */}
+                <div className="settings-section">
+                    <h3 className="settings-section-title">Your Fonts</h3>
+
+                    {fonts.length === 0 && (
+                        <p className="settings-hint">No fonts uploaded yet</p>
+                    )}
+                    {fonts.map((font) => (
+                        <div className="settings-row" key={font.id}>
+                            <span className="settings-label font-name" style={{ fontFamily: `'${font.family}'` }}>
+                                {font.name}
+                            </span>
+                            <button
+                                className="stepper-btn"
+                                onClick={() => handleRemove(font)}
+                                title="Remove font"
+                            >
+                                <Trash2 size={16} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default FontSettings;
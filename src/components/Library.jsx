@@ -14,6 +14,7 @@ import {
     Edit3,
     ImagePlus,
     User,
+    BarChart3,
 } from 'lucide-react';
 import {
     getBooks,
@@ -689,6 +690,15 @@ const Library = () => {
                             {syncStatus === 'success' && <span className="sync-indicator success" />}
                             {syncStatus === 'error' && <span className="sync-indicator error" />}
                         </button>
+
+                        <button
+                            className="btn btn-secondary"
+                            onClick={() => navigate('/stats')}
+                            title="Reading Stats"
+                        >
+                            <BarChart3 size={20} />
+                            Stats
+                        </button>
                     </div>
                 )}
 
@@ -0,0 +1,77 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Play, Pause, Minus, Plus, X } from 'lucide-react';
+import { pacerStyles } from '../hooks/usePacer';
+
+const MIN_WPM = 50;
+const MAX_WPM = 1000;
+const WPM_STEP = 25;
+
+const PacerControls = ({ isOpen, isPlaying, style, settings, updateSetting, onTogglePlay, onClose }) => {
+    // Cycle word -> line -> phrase
+    const styleKeys = Object.keys(pacerStyles);
+    const nextStyle = styleKeys[(styleKeys.indexOf(style) + 1) % styleKeys.length];
+
+    const stop = (e, action) => {
+        e.stopPropagation();
+        action();
+    };
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <motion.div
+                    className="pacer-controls"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: 20 }}
+                    onClick={(e) => e.stopPropagation()}
+                >
+                    <button
+                        className="pacer-btn pacer-play"
+                        onClick={(e) => stop(e, onTogglePlay)}
+                        title={isPlaying ? 'Pause (Space)' : 'Play (Space)'}
+                    >
+                        {isPlaying ? <Pause size={20} /> : <Play size={20} />}
+                    </button>
+
+                    <button
+                        className="pacer-btn"
+                        onClick={(e) => stop(e, () => updateSetting('rsvpSpeed', Math.max(MIN_WPM, settings.rsvpSpeed - WPM_STEP)))}
+                        disabled={settings.rsvpSpeed <= MIN_WPM}
+                        title="Slower"
+                    >
+                        <Minus size={18} />
+                    </button>
+                    <span className="pacer-wpm">{settings.rsvpSpeed} WPM</span>
+                    <button
+                        className="pacer-btn"
+                        onClick={(e) => stop(e, () => updateSetting('rsvpSpeed', Math.min(MAX_WPM, settings.rsvpSpeed + WPM_STEP)))}
+                        disabled={settings.rsvpSpeed >= MAX_WPM}
+                        title="Faster"
+                    >
+                        <Plus size={18} />
+                    </button>
+
+                    <button
+                        className="pacer-style"
+                        onClick={(e) => stop(e, () => updateSetting('pacerStyle', nextStyle))}
+                        title={`Switch to ${pacerStyles[nextStyle]}`}
+                    >
+                        {pacerStyles[style]}
+                    </button>
+
+                    <button
+                        className="pacer-btn"
+                        onClick={(e) => stop(e, onClose)}
+                        title="Close Pacer (Esc)"
+                    >
+                        <X size={18} />
+                    </button>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default PacerControls;
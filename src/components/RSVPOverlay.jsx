@@ -14,603 +14,398 @@ import {
     FastForward,
     ChevronsLeft,
     ChevronsRight,
+    Undo2,
+    Pilcrow,
+    BookOpenText,
 } from 'lucide-react';
+import { loadWordStream, findWordIndex, getChapterMarks, loadNoteText } from '../services/wordStream';
+import { updateBookProgress } from '../services/db';
+import { useTrainingMode, trainingCurves } from '../hooks/useTrainingMode';
+import { useWordTiming } from '../hooks/useWordTiming';
+import { useAdaptivePacing } from '../hooks/useAdaptivePacing';
+import { useRemoteControls } from '../hooks/useRemoteControls';
+import { useDictionaries } from '../hooks/useDictionaries';
+import { useTimeLeft } from '../hooks/useTimeLeft';
+import { rsvpFontFamilies, getFontFamily, getTheme } from '../hooks/useReaderSettings';
+import { buildChunks, getChunkFixation } from '../utils/chunking';
+import {
+    findSentenceStart,
+    findSentenceEnd,
+    findParagraphStart,
+    findParagraphEnd,
+    findSentenceRewind,
+    findParagraphRewind,
+} from '../utils/textStructure';
+import {
+    getPivotIndex,
+    splitAtPivot,
+    isRtlWord,
+    joinWords,
+} from '../utils/segmentation';
+import { loadHyphenator, splitLongWord } from '../utils/hyphenation';
+import RSVPTimeline from './RSVPTimeline';
+import DictionaryPopover from './DictionaryPopover';
+
+// How many words of context the ribbon shows on each side of the flash
+const RIBBON_WORDS = 12;
+// Longest paragraph excerpt the peek view renders around the current word
+const PEEK_MAX_WORDS = 400;
+// Press-and-hold time that opens the peek view
+const PEEK_HOLD_MS = 450;
+const STOP_NOTICES = {
+    image: '🖼️ Image detected - Reading paused',
+    table: '📊 Table - Reading paused',
+    code: '💻 Code block - Reading paused',
+    poetry: '📜 Poem - Reading paused',
+    note: '📝 Footnote',
+};
+
+// Wrap a block's markup for the sandboxed preview frame
+const getBlockDocument = (html) => `<!DOCTYPE html><html><head><style>
+    body { margin: 0; padding: 1rem; background: #121212; color: #e0e0e0; font-family: Georgia, serif; line-height: 1.5; }
+    table { border-collapse: collapse; width: 100%; }
+    td, th { border: 1px solid #444; padding: 0.35rem 0.6rem; text-align: left; vertical-align: top; }
+    pre { white-space: pre-wrap; font-family: 'SF Mono', 'Fira Code', monospace; font-size: 0.9rem; }
+    img { max-width: 100%; }
+</style></head><body>${html}</body></html>`;
+
+// How often the current word is checkpointed into the book record
+const CHECKPOINT_INTERVAL_MS = 5000;
+// Pointer travel that counts as a swipe rather than a tap or hold
+const SWIPE_MIN_PX = 50;
+// A horizontal swipe across this share of the screen jumps a whole chapter
+const CHAPTER_SWIPE_SHARE = 0.5;
 
 /**
  * RSVPOverlay - Rapid Serial Visual Presentation speed reading mode
- * Displays words one at a time for speed reading with centered ORP
+ * Displays words one at a time for speed reading with centered ORP.
+ * Words come from the book's word stream, so playback runs straight
+ * through the whole book without touching the rendition.
  */
 const RSVPOverlay = ({
     isOpen,
     onClose,
-    rendition,
+    book,
+    bookId,
     startCfi,
     startWord,
-    wpm: initialWpm = 300,
-    onWpmChange,
-    onStopAtImage,
     onCloseWithPosition,
+    settings,
+    updateSetting,
+    hasBookOverrides = false,
 }) => {
     // State
     const [words, setWords] = useState([]);
+    const [stops, setStops] = useState([]); // image stops from the word stream
+    const [blocks, setBlocks] = useState([]); // tables, code and poetry from the word stream
+    const [notes, setNotes] = useState([]); // footnote references from the word stream
+    const [noteText, setNoteText] = useState(null); // { loading, text } of the note being shown
+    const [chapters, setChapters] = useState([]); // [{ label, index, depth }] timeline marks
     const [currentIndex, setCurrentIndex] = useState(0);
     const [isPlaying, setIsPlaying] = useState(false);
-    const [wpm, setWpm] = useState(initialWpm);
     const [extracting, setExtracting] = useState(false);
+    const [extractProgress, setExtractProgress] = useState(0);
     const [error, setError] = useState(null);
-    const [stoppedAtImage, setStoppedAtImage] = useState(false);
-    const [imageStopIndex, setImageStopIndex] = useState(-1);
+    const [atStop, setAtStop] = useState(false);
+    const [activeStop, setActiveStop] = useState(null); // { wordIndex, type, src/html/note } we are paused at
     const [showImagePreview, setShowImagePreview] = useState(false);
     const [currentImageSrc, setCurrentImageSrc] = useState(null);
-
-    // Settings State
+    const [trainingSummary, setTrainingSummary] = useState(null); // shown on exit
+    const [showPeek, setShowPeek] = useState(false); // whole-paragraph view
+    const [language, setLanguage] = useState(''); // book's dc:language
+    const [hyphenator, setHyphenator] = useState(null); // word => syllables, for splitting long words
+    const [wordPart, setWordPart] = useState({ index: -1, part: 0 }); // which part of a split word is showing
+    const [dismissedLookup, setDismissedLookup] = useState(-1); // word index whose definition was closed
+    const dictionaries = useDictionaries();
+
+    // Settings - speed and pacing live in useReaderSettings (global or per book)
     const [showSettings, setShowSettings] = useState(false);
-    const [sentenceEndMultiplier, setSentenceEndMultiplier] = useState(2.5);   // . ! ?
-    const [clauseMultiplier, setClauseMultiplier] = useState(1.5);             // , ; :
-    const [dashMultiplier, setDashMultiplier] = useState(1.3);                 // hyphenated words
-    const [nameMultiplier, setNameMultiplier] = useState(1.0);                 // capitalized words (names)
-    const [longWordMultiplier, setLongWordMultiplier] = useState(1.05);        // per char over 6
+    const {
+        rsvpSpeed: wpm,
+        rsvpSentenceEndMultiplier: sentenceEndMultiplier,
+        rsvpClauseMultiplier: clauseMultiplier,
+        rsvpDashMultiplier: dashMultiplier,
+        rsvpNameMultiplier: nameMultiplier,
+        rsvpLongWordMultiplier: longWordMultiplier,
+    } = settings;
 
     // Refs
     const timerRef = useRef(null);
-    const wordsRef = useRef([]);
-    const wordElementsRef = useRef([]);
-    const lastWordBeforeImageRef = useRef(null);
-    const imageStopPointsRef = useRef([]); // Array of { wordIndex, src }
-    const currentCfiRef = useRef(null); // Track current CFI for page navigation
-    const textNodesRef = useRef([]); // Track text nodes for CFI generation
-    const isLoadingNextPageRef = useRef(false); // Prevent double-triggers during page advance
-
-    // Calculate base interval from WPM
-    const getBaseInterval = useCallback(() => {
-        return Math.round(60000 / wpm);
-    }, [wpm]);
-
-    // Track whether previous word ended a sentence (for name detection)
-    const prevWordEndedSentenceRef = useRef(true); // true at start = first word of text
-
-    // Calculate delay for specific word (punctuation, dashes, names, and length handling)
-    const getWordDelay = useCallback((word) => {
-        const base = getBaseInterval();
-        if (!word) return base;
-
-        let multiplier = 1;
-        const lastChar = word.slice(-1);
-        const isSentenceEnd = ['.', '!', '?'].includes(lastChar);
-
-        // Sentence-ending punctuation multiplier (. ! ?)
-        if (sentenceEndMultiplier > 1 && isSentenceEnd) {
-            multiplier *= sentenceEndMultiplier;
-        }
-        // Clause punctuation multiplier (, ; :)
-        else if (clauseMultiplier > 1 && [',', ';', ':'].includes(lastChar)) {
-            multiplier *= clauseMultiplier;
-        }
-
-        // Dash/hyphen multiplier for compound words (e.g., "well-known")
-        if (dashMultiplier > 1 && (word.includes('-') || word.includes('—') || word.includes('–'))) {
-            multiplier *= dashMultiplier;
-        }
-
-        // Name/proper noun multiplier (capitalized words not at start of sentence)
-        if (nameMultiplier > 1 && !prevWordEndedSentenceRef.current) {
-            const cleanWord = word.replace(/^["""''([\[{]/, ''); // strip leading quotes/brackets
-            if (cleanWord.length > 0 && cleanWord[0] === cleanWord[0].toUpperCase() && cleanWord[0] !== cleanWord[0].toLowerCase()) {
-                multiplier *= nameMultiplier;
-            }
-        }
-
-        // Update sentence tracking for next word
-        prevWordEndedSentenceRef.current = isSentenceEnd;
-
-        // Length multiplier: per-char increase for every character over 6
-        if (longWordMultiplier > 1 && word.length > 6) {
-            multiplier *= (1 + (word.length - 6) * (longWordMultiplier - 1));
-        }
-
-        return Math.round(base * multiplier);
-    }, [getBaseInterval, sentenceEndMultiplier, clauseMultiplier, dashMultiplier, nameMultiplier, longWordMultiplier]);
-
-    // Determine the visible range of the current page using rendition.currentLocation()
-    const getVisibleRange = useCallback(() => {
-        if (!rendition) return null;
-        try {
-            const location = rendition.currentLocation();
-            if (!location) return null;
-
-            const contents = rendition.getContents();
-            if (!contents || contents.length === 0) return null;
-
-            const content = contents[0];
-
-            // Get the start and end CFIs of the visible page
-            const startCfiPage = location.start?.cfi;
-            const endCfiPage = location.end?.cfi;
-
-            if (!startCfiPage || !endCfiPage) return null;
-
-            let startRange = null;
-            let endRange = null;
-
-            try {
-                startRange = content.range(startCfiPage);
-            } catch (e) {
-                // Fallback: use body start
-            }
-            try {
-                endRange = content.range(endCfiPage);
-            } catch (e) {
-                // Fallback: use body end
-            }
-
-            return { startRange, endRange, content, startCfiPage, endCfiPage };
-        } catch (err) {
-            console.log('Could not determine visible range:', err);
-            return null;
-        }
-    }, [rendition]);
-
-    // Check if a node is within the visible range
-    const isNodeInVisibleRange = useCallback((node, visibleRange) => {
-        if (!visibleRange || !node) return true; // If we can't determine, include everything
-
-        const { startRange, endRange } = visibleRange;
-
-        try {
-            // Check if node comes after the start of visible range
-            if (startRange) {
-                const startNode = startRange.startContainer;
-                const pos = startNode.compareDocumentPosition(node);
-                // If node is before the start of visible range, exclude it
-                if (pos & Node.DOCUMENT_POSITION_PRECEDING) {
-                    return false;
-                }
-            }
-
-            // Check if node comes before the end of visible range
-            if (endRange) {
-                const endNode = endRange.endContainer;
-                const pos = endNode.compareDocumentPosition(node);
-                // If node is after the end of visible range, exclude it
-                if (pos & Node.DOCUMENT_POSITION_FOLLOWING) {
-                    return false;
-                }
-            }
-
-            return true;
-        } catch (e) {
-            return true; // If comparison fails, include the node
-        }
-    }, []);
-
-    // Extract text from current rendition page (only visible content)
+    const streamRef = useRef(null); // { words, sections, stops } from the word stream
+    const sessionStartIndexRef = useRef(0); // Where this RSVP session started (for restart)
+    const peekHoldRef = useRef(null); // long-press timer for peek
+    const swipeRef = useRef(null); // { x, y } where the current pointer went down
+    const positionRef = useRef(null); // { cfi, index, total } of the word on screen, for checkpoints
+    const savedCfiRef = useRef(null); // last checkpointed CFI
+    const sessionRef = useRef(null); // { startCfi, startedAt, words, wpmWords, playMs, playingSince } for stats
+
+    // Training mode drives the speed while enabled, wpm stays the user's base speed
+    const {
+        enabled: trainingEnabled,
+        wpm: effectiveWpm,
+        phase: trainingPhase,
+        secondsLeft: trainingSecondsLeft,
+        recordWord,
+        reset: resetTraining,
+        getSummary: getTrainingSummary,
+    } = useTrainingMode({ settings, baseWpm: wpm, isPlaying });
+
+    // Per-word delays (punctuation, names, length) shared with the in-page pacer
+    const { getWordDelay, resetSentence } = useWordTiming({ settings, wpm: effectiveWpm });
+
+    // Load the book's word stream and position at the start CFI
     const extractText = useCallback(async () => {
-        if (!rendition) {
-            setError('No rendition available');
+        if (!book) {
+            setError('No book available');
             return;
         }
 
         try {
             setExtracting(true);
+            setExtractProgress(0);
             setError(null);
-            setStoppedAtImage(false);
-            setImageStopIndex(-1);
+            setAtStop(false);
+            setActiveStop(null);
             setShowImagePreview(false);
             setCurrentImageSrc(null);
-            lastWordBeforeImageRef.current = null;
-            imageStopPointsRef.current = [];
+            setTrainingSummary(null);
+            setShowPeek(false);
+            resetTraining();
 
-            const contents = rendition.getContents();
-            if (!contents || contents.length === 0) {
-                setError('No content available');
-                setExtracting(false);
+            const stream = await loadWordStream(book, setExtractProgress);
+            if (stream.words.length === 0) {
+                setError('No text found in this book');
                 return;
             }
 
-            // Get visible range to filter content to current page only
-            const visibleRange = getVisibleRange();
-
-            const extractedWords = [];
-            const elements = [];
-            const textNodes = []; // Track text nodes for CFI matching
-
-            contents.forEach((content) => {
-                const doc = content.document;
-                if (!doc || !doc.body) return;
-
-                const walker = doc.createTreeWalker(
-                    doc.body,
-                    NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT,
-                    {
-                        acceptNode: (node) => {
-                            if (node.nodeType === Node.ELEMENT_NODE) {
-                                const tag = node.tagName?.toLowerCase();
-                                if (tag === 'img' || tag === 'image' || tag === 'svg') {
-                                    return NodeFilter.FILTER_ACCEPT;
-                                }
-                                return NodeFilter.FILTER_SKIP;
-                            }
-                            if (node.nodeType === Node.TEXT_NODE) {
-                                const text = node.textContent?.trim();
-                                if (text && text.length > 0) {
-                                    return NodeFilter.FILTER_ACCEPT;
-                                }
-                            }
-                            return NodeFilter.FILTER_SKIP;
-                        }
-                    }
-                );
-
-                let node;
-                let textWordCount = 0;
-                // Track whether we've entered the visible range
-                let passedVisibleStart = !visibleRange; // If no range info, include everything
-                let passedVisibleEnd = false;
-
-                while ((node = walker.nextNode())) {
-                    // Check visibility - only include nodes within the visible page
-                    if (visibleRange && !passedVisibleEnd) {
-                        const nodeToCheck = node.nodeType === Node.TEXT_NODE ? node.parentElement || node : node;
-                        const inRange = isNodeInVisibleRange(nodeToCheck, visibleRange);
-
-                        if (!passedVisibleStart) {
-                            if (inRange) {
-                                passedVisibleStart = true;
-                            } else {
-                                continue; // Skip nodes before visible range
-                            }
-                        }
-
-                        if (passedVisibleStart && !inRange) {
-                            passedVisibleEnd = true;
-                            break; // Stop at end of visible range
-                        }
-                    }
-
-                    if (node.nodeType === Node.ELEMENT_NODE) {
-                        // Skip decorative images that appear before any meaningful text
-                        if (textWordCount < 20) {
-                            continue;
-                        }
-
-                        // Extract image source URL for preview
-                        let imgSrc = null;
-                        const tag = node.tagName?.toLowerCase();
-                        if (tag === 'img') {
-                            imgSrc = node.src || node.getAttribute('src');
-                        } else if (tag === 'svg') {
-                            try {
-                                const svgData = new XMLSerializer().serializeToString(node);
-                                imgSrc = 'data:image/svg+xml;base64,' + btoa(svgData);
-                            } catch (e) {
-                                // fallback: no preview available
-                            }
-                        } else if (tag === 'image') {
-                            imgSrc = node.href?.baseVal || node.getAttribute('href') || node.getAttribute('xlink:href');
-                        }
-
-                        // Image element - mark as image stop point
-                        extractedWords.push({ text: '__IMAGE__', isImage: true, imgSrc });
-                        elements.push({ parent: node.parentElement, isImage: true });
-                        textNodes.push(null);
-                        continue;
-                    }
-
-                    const text = node.textContent.trim();
-                    if (!text) continue;
-
-                    const nodeWords = text.split(/\s+/).filter(w => w.length > 0);
-                    textWordCount += nodeWords.length;
-                    nodeWords.forEach((w) => {
-                        extractedWords.push({ text: w, isImage: false });
-                        elements.push({ parent: node.parentElement, isImage: false });
-                        textNodes.push(node);
-                    });
-                }
+            streamRef.current = stream;
+            setWords(stream.words);
+            setStops(stream.stops);
+            setBlocks(stream.blocks);
+            setNotes(stream.notes);
+            setLanguage(stream.language);
+
+            // Chapter marks from the TOC, or one per spine section without one
+            const marks = await getChapterMarks(book, stream).catch((err) => {
+                console.warn('Failed to place chapter marks:', err);
+                return [];
             });
-
-            // Build list of all image stop points with their word indices and src URLs
-            const allImageStops = [];
-            let textCountSoFar = 0;
-            for (let i = 0; i < extractedWords.length; i++) {
-                if (extractedWords[i].isImage) {
-                    allImageStops.push({
-                        wordIndex: textCountSoFar,
-                        src: extractedWords[i].imgSrc,
-                    });
-                } else {
-                    textCountSoFar++;
-                }
-            }
-            imageStopPointsRef.current = allImageStops;
-
-            // Filter out image markers for display
-            const displayWords = extractedWords
-                .filter(w => !w.isImage)
-                .map(w => w.text);
-            const displayElements = elements.filter(e => !e.isImage);
-            const displayTextNodes = textNodes.filter((_, i) => !extractedWords[i]?.isImage);
-
-            // Set the first image stop index (if any)
-            if (allImageStops.length > 0) {
-                setImageStopIndex(allImageStops[0].wordIndex);
-            }
-
-            wordsRef.current = displayWords;
-            wordElementsRef.current = displayElements;
-            textNodesRef.current = displayTextNodes;
-            setWords(displayWords);
-
-            // Determine starting word index
-            let startIdx = 0;
-
-            // Priority 1: If a specific start word was selected (long-press word pick)
-            if (startWord?.text) {
-                const targetWord = startWord.text.toLowerCase();
-                const targetNode = startWord.node;
-                // Try to match by node first, then by word text
-                let foundByNode = false;
-                if (targetNode) {
-                    for (let i = 0; i < displayTextNodes.length; i++) {
-                        const tn = displayTextNodes[i];
-                        if (tn === targetNode || tn?.parentElement === targetNode) {
-                            startIdx = i;
-                            foundByNode = true;
-                            break;
-                        }
-                    }
-                }
-                if (!foundByNode) {
-                    // Fallback: find the first occurrence of the word
-                    for (let i = 0; i < displayWords.length; i++) {
-                        if (displayWords[i].toLowerCase() === targetWord ||
-                            displayWords[i].toLowerCase().startsWith(targetWord)) {
-                            startIdx = i;
-                            break;
-                        }
-                    }
-                }
-            }
-            // Priority 2: Since we already filtered to visible page content,
-            // start from the beginning (which IS the current page start)
-            // No need for complex CFI matching - the extraction already handles it
-
-            console.log('RSVP starting at word index:', startIdx, 'of', displayWords.length, 'words (visible page only)');
+            setChapters(marks.length > 0
+                ? marks
+                : stream.sections
+                    .filter((section) => section.end > section.start)
+                    .map((section) => ({ label: '', index: section.start, depth: 0 })));
+
+            // Priority 1: a specific start word was selected (long-press word pick)
+            // Priority 2: the start of the page the reader is on
+            const startIdx = findWordIndex(stream, startWord?.cfi || startCfi);
+
+            resetSentence();
+            sessionStartIndexRef.current = startIdx;
+            sessionRef.current = {
+                startCfi: stream.words[startIdx]?.cfi,
+                startedAt: new Date(),
+                words: 0,
+                wpmWords: 0, // sum of speed set x words, for the average target speed
+                playMs: 0,
+                playingSince: null,
+            };
             setCurrentIndex(startIdx);
         } catch (err) {
             console.error('Failed to extract text:', err);
-            setError('Failed to extract text from page');
+            setError('Failed to extract text from book');
         } finally {
             setExtracting(false);
         }
-    }, [rendition, getVisibleRange, isNodeInVisibleRange]);
-
-    // Load next page words seamlessly (auto-advance during playback)
-    const loadNextPageWords = useCallback(async () => {
-        if (!rendition || isLoadingNextPageRef.current) return;
-        if (typeof rendition.next !== 'function') return;
-
-        isLoadingNextPageRef.current = true;
-
-        try {
-            // Remember current location to detect if we actually moved
-            const locationBefore = rendition.currentLocation();
-            const cfiBefore = locationBefore?.start?.cfi;
-
-            const result = rendition.next();
-            if (result && typeof result.then === 'function') {
-                await result;
-            }
-
-            // Wait for new content to render
-            await new Promise(resolve => setTimeout(resolve, 300));
-
-            // Check if we actually moved to a new page (end of book detection)
-            const locationAfter = rendition.currentLocation();
-            const cfiAfter = locationAfter?.start?.cfi;
-
-            if (cfiBefore && cfiAfter && cfiBefore === cfiAfter) {
-                // Didn't move — end of book
-                setIsPlaying(false);
-                isLoadingNextPageRef.current = false;
-                return;
-            }
-
-            // Re-extract text for the new visible page
-            const visibleRange = getVisibleRange();
-            const extractedWords = [];
-            const elements = [];
-            const textNodes = [];
-
-            const contents = rendition.getContents();
-            if (!contents || contents.length === 0) {
-                setIsPlaying(false);
-                isLoadingNextPageRef.current = false;
-                return;
-            }
-
-            contents.forEach((content) => {
-                const doc = content.document;
-                if (!doc || !doc.body) return;
-
-                const walker = doc.createTreeWalker(
-                    doc.body,
-                    NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT,
-                    {
-                        acceptNode: (node) => {
-                            if (node.nodeType === Node.ELEMENT_NODE) {
-                                const tag = node.tagName?.toLowerCase();
-                                if (tag === 'img' || tag === 'image' || tag === 'svg') {
-                                    return NodeFilter.FILTER_ACCEPT;
-                                }
-                                return NodeFilter.FILTER_SKIP;
-                            }
-                            if (node.nodeType === Node.TEXT_NODE) {
-                                const text = node.textContent?.trim();
-                                if (text && text.length > 0) {
-                                    return NodeFilter.FILTER_ACCEPT;
-                                }
-                            }
-                            return NodeFilter.FILTER_SKIP;
-                        }
-                    }
-                );
-
-                let node;
-                let textWordCount = 0;
-                let passedVisibleStart = !visibleRange;
-                let passedVisibleEnd = false;
-
-                while ((node = walker.nextNode())) {
-                    if (visibleRange && !passedVisibleEnd) {
-                        const nodeToCheck = node.nodeType === Node.TEXT_NODE ? node.parentElement || node : node;
-                        const inRange = isNodeInVisibleRange(nodeToCheck, visibleRange);
-
-                        if (!passedVisibleStart) {
-                            if (inRange) passedVisibleStart = true;
-                            else continue;
-                        }
-
-                        if (passedVisibleStart && !inRange) {
-                            passedVisibleEnd = true;
-                            break;
-                        }
-                    }
-
-                    if (node.nodeType === Node.ELEMENT_NODE) {
-                        if (textWordCount < 20) continue;
-
-                        let imgSrc = null;
-                        const tag = node.tagName?.toLowerCase();
-                        if (tag === 'img') {
-                            imgSrc = node.src || node.getAttribute('src');
-                        } else if (tag === 'svg') {
-                            try {
-                                const svgData = new XMLSerializer().serializeToString(node);
-                                imgSrc = 'data:image/svg+xml;base64,' + btoa(svgData);
-                            } catch (e) { /* fallback */ }
-                        } else if (tag === 'image') {
-                            imgSrc = node.href?.baseVal || node.getAttribute('href') || node.getAttribute('xlink:href');
-                        }
-
-                        extractedWords.push({ text: '__IMAGE__', isImage: true, imgSrc });
-                        elements.push({ parent: node.parentElement, isImage: true });
-                        textNodes.push(null);
-                        continue;
-                    }
-
-                    const text = node.textContent.trim();
-                    if (!text) continue;
-
-                    const nodeWords = text.split(/\s+/).filter(w => w.length > 0);
-                    textWordCount += nodeWords.length;
-                    nodeWords.forEach((w) => {
-                        extractedWords.push({ text: w, isImage: false });
-                        elements.push({ parent: node.parentElement, isImage: false });
-                        textNodes.push(node);
-                    });
-                }
-            });
-
-            // Build image stop points
-            const allImageStops = [];
-            let textCountSoFar = 0;
-            for (let i = 0; i < extractedWords.length; i++) {
-                if (extractedWords[i].isImage) {
-                    allImageStops.push({ wordIndex: textCountSoFar, src: extractedWords[i].imgSrc });
-                } else {
-                    textCountSoFar++;
-                }
-            }
-            imageStopPointsRef.current = allImageStops;
-
-            const displayWords = extractedWords.filter(w => !w.isImage).map(w => w.text);
-            const displayElements = elements.filter(e => !e.isImage);
-            const displayTextNodes = textNodes.filter((_, i) => !extractedWords[i]?.isImage);
-
-            if (allImageStops.length > 0) {
-                setImageStopIndex(allImageStops[0].wordIndex);
-            } else {
-                setImageStopIndex(-1);
-            }
-
-            if (displayWords.length === 0) {
-                // Empty page (e.g. full-page image) — try the next page
-                isLoadingNextPageRef.current = false;
-                loadNextPageWords();
-                return;
-            }
-
-            wordsRef.current = displayWords;
-            wordElementsRef.current = displayElements;
-            textNodesRef.current = displayTextNodes;
-            setWords(displayWords);
-            setCurrentIndex(0);
-            setStoppedAtImage(false);
-            setShowImagePreview(false);
-            setCurrentImageSrc(null);
-
-            console.log('RSVP auto-advanced to next page:', displayWords.length, 'words');
-        } catch (err) {
-            console.error('Failed to auto-advance page:', err);
-            setIsPlaying(false);
-        } finally {
-            isLoadingNextPageRef.current = false;
-        }
-    }, [rendition, getVisibleRange, isNodeInVisibleRange]);
+    }, [book, startCfi, startWord, resetTraining, resetSentence]);
 
     // Extract text when overlay opens
     useEffect(() => {
-        if (isOpen && rendition) {
+        if (isOpen && book) {
             extractText();
-
-            // Track location changes for proper close navigation
-            const handleRelocated = (location) => {
-                if (location?.start?.cfi) {
-                    currentCfiRef.current = location.start.cfi;
-                }
-            };
-            rendition.on('relocated', handleRelocated);
-
-            return () => {
-                rendition.off('relocated', handleRelocated);
-                if (timerRef.current) {
-                    clearTimeout(timerRef.current);
-                }
-            };
         }
         return () => {
             if (timerRef.current) {
                 clearTimeout(timerRef.current);
             }
         };
-    }, [isOpen, rendition, extractText]);
-
-    // Calculate ORP (Optimal Recognition Point) index
-    const getORPIndex = useCallback((word) => {
-        if (!word) return 0;
-        return Math.floor(word.length * 0.35);
-    }, []);
+    }, [isOpen, book, extractText]);
+
+    // Stop points and skipped ranges for images, tables, code, poetry and
+    // footnote references, depending on how each is set to be handled
+    const {
+        rsvpTableHandling: tableHandling,
+        rsvpCodeHandling: codeHandling,
+        rsvpPoetryHandling: poetryHandling,
+        rsvpNoteHandling: noteHandling,
+    } = settings;
+    const structure = useMemo(() => {
+        const handling = { table: tableHandling, code: codeHandling, poetry: poetryHandling, note: noteHandling };
+        const stopPoints = new Map(); // wordIndex we pause before -> stop
+        const skipRanges = [];
+
+        stops.forEach((stop) => stopPoints.set(stop.wordIndex, stop));
+        blocks.forEach((block) => {
+            if (handling[block.type] === 'stop') {
+                stopPoints.set(block.start, { wordIndex: block.start, end: block.end, type: block.type, html: block.html });
+            } else if (handling[block.type] === 'skip') {
+                skipRanges.push({ start: block.start, end: block.end });
+            }
+        });
+        notes.forEach((note) => {
+            // Notes pause after their marker has been shown
+            if (handling.note === 'stop') {
+                stopPoints.set(note.end, { wordIndex: note.end, type: 'note', note });
+            } else if (handling.note === 'skip') {
+                skipRanges.push({ start: note.start, end: note.end });
+            }
+        });
+        skipRanges.sort((a, b) => a.start - b.start);
+
+        // Chunks never run across a stop or a block edge
+        const breaks = [...stopPoints.keys()];
+        blocks.forEach((block) => breaks.push(block.start, block.end));
+        notes.forEach((note) => breaks.push(note.start, note.end));
+
+        return { stopPoints, skipRanges, breaks };
+    }, [stops, blocks, notes, tableHandling, codeHandling, poetryHandling, noteHandling]);
+
+    // First index at or after index that isn't in a skipped range
+    const skipPast = useCallback((index) => {
+        let next = index;
+        for (const range of structure.skipRanges) {
+            if (range.start > next) break;
+            if (next < range.end) next = range.end;
+        }
+        return next;
+    }, [structure]);
+
+    // Chunk mode groups words into phrase-aware flashes
+    const chunkSize = settings.rsvpChunkMode ? settings.rsvpChunkSize : 1;
+    const chunking = useMemo(() => {
+        if (chunkSize <= 1 || words.length === 0) return null;
+        return buildChunks(words, chunkSize, structure.breaks);
+    }, [words, structure, chunkSize]);
+
+    // Word range [start, end) flashed at the current position
+    const currentSpan = useMemo(() => {
+        if (chunking && currentIndex < words.length) {
+            return chunking.chunks[chunking.chunkOf[currentIndex]];
+        }
+        return { start: currentIndex, end: currentIndex + 1 };
+    }, [chunking, currentIndex, words.length]);
+
+    const currentText = useMemo(() => (
+        joinWords(words.slice(currentSpan.start, currentSpan.end))
+    ), [words, currentSpan]);
+
+    // Adaptive pacing - word frequency and text structure, same average speed
+    const { getSpanFactor } = useAdaptivePacing({
+        enabled: settings.rsvpAdaptivePacing,
+        words,
+        language,
+        settings,
+    });
+
+    // Load hyphenation patterns for the book's language when splitting is on
+    useEffect(() => {
+        if (!settings.rsvpSplitLongWords) return;
+        let cancelled = false;
+        loadHyphenator(language).then((hyphenate) => {
+            if (!cancelled) setHyphenator(() => hyphenate);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [settings.rsvpSplitLongWords, language]);
+
+    // A very long single word is flashed in parts; the word index (and so the
+    // CFI) stays on the original word until its last part has been shown
+    const wordParts = useMemo(() => {
+        if (!settings.rsvpSplitLongWords || currentSpan.end - currentSpan.start > 1) return null;
+        const parts = splitLongWord(currentText, settings.rsvpSplitThreshold, hyphenator);
+        return parts.length > 1 ? parts : null;
+    }, [settings.rsvpSplitLongWords, settings.rsvpSplitThreshold, currentSpan, currentText, hyphenator]);
+
+    const partIndex = wordParts && wordPart.index === currentIndex
+        ? Math.min(wordPart.part, wordParts.length - 1)
+        : 0;
+    const displayText = wordParts ? wordParts[partIndex].display : currentText;
+
+    // Context ribbon - the rest of the current sentence around the flash
+    const ribbon = useMemo(() => {
+        if (!settings.rsvpContextRibbon || words.length === 0) return null;
+        const sentenceStart = findSentenceStart(words, currentSpan.start);
+        const sentenceEnd = findSentenceEnd(words, currentSpan.end - 1);
+        const from = Math.max(sentenceStart, currentSpan.start - RIBBON_WORDS);
+        const to = Math.min(sentenceEnd, currentSpan.end + RIBBON_WORDS);
+        const join = (start, end) => joinWords(words.slice(start, end));
+        return {
+            before: (from > sentenceStart ? '… ' : '') + join(from, currentSpan.start),
+            after: join(currentSpan.end, to) + (to < sentenceEnd ? ' …' : ''),
+        };
+    }, [settings.rsvpContextRibbon, words, currentSpan]);
+
+    // Peek - the paragraph around the current position
+    const peek = useMemo(() => {
+        if (!showPeek || words.length === 0) return null;
+        const paragraphStart = findParagraphStart(words, currentSpan.start);
+        const paragraphEnd = findParagraphEnd(words, currentSpan.start);
+        const start = Math.max(paragraphStart, currentSpan.start - PEEK_MAX_WORDS / 2);
+        const end = Math.min(paragraphEnd, start + PEEK_MAX_WORDS);
+        return {
+            start,
+            words: words.slice(start, end),
+            truncatedStart: start > paragraphStart,
+            truncatedEnd: end < paragraphEnd,
+        };
+    }, [showPeek, words, currentSpan]);
 
-    // Get word display parts (before, highlight, after)
+    // Get word display parts (before, highlight, after).
+    // Hebrew and Arabic words are laid out right-to-left around the pivot.
     const wordDisplay = useMemo(() => {
-        const word = words[currentIndex] || '';
-        if (!word) return { before: '', highlight: '', after: '' };
+        const word = displayText;
+        if (!word) return { before: '', highlight: '', after: '', rtl: false };
 
-        const orpIdx = getORPIndex(word);
+        // A chunk is centred on its fixation point, a single word on its ORP
+        const orpIdx = currentSpan.end - currentSpan.start > 1
+            ? getChunkFixation(word, getPivotIndex)
+            : getPivotIndex(word);
         return {
-            before: word.slice(0, orpIdx),
-            highlight: word[orpIdx] || '',
-            after: word.slice(orpIdx + 1),
+            ...splitAtPivot(word, orpIdx),
+            rtl: isRtlWord(word),
         };
-    }, [words, currentIndex, getORPIndex]);
-
-    // Estimated time remaining
-    const estimatedTimeLeft = useMemo(() => {
-        const remaining = Math.max(0, words.length - currentIndex - 1);
-        const seconds = Math.round((remaining / wpm) * 60);
-        return seconds;
-    }, [words.length, currentIndex, wpm]);
+    }, [displayText, currentSpan]);
+
+    // Next word (or chunk, or part of a split word) for the ghost preview
+    const nextText = useMemo(() => {
+        if (!settings.rsvpNextWordPreview) return '';
+        if (wordParts && partIndex < wordParts.length - 1) return wordParts[partIndex + 1].display;
+        const start = currentSpan.end;
+        if (start >= words.length) return '';
+        const end = chunking ? chunking.chunks[chunking.chunkOf[start]].end : start + 1;
+        return joinWords(words.slice(start, end));
+    }, [settings.rsvpNextWordPreview, wordParts, partIndex, currentSpan, words, chunking]);
+
+    // Display settings - fed to the stylesheet as CSS variables.
+    // A theme with its own pivot color overrides the RSVP setting.
+    const themePivot = getTheme(settings).pivot;
+    const displayStyle = useMemo(() => ({
+        '--rsvp-font': getFontFamily(settings.rsvpFontType, rsvpFontFamilies, 'mono'),
+        '--rsvp-font-scale': settings.rsvpFontSize / 100,
+        '--rsvp-pivot-color': themePivot || settings.rsvpPivotColor,
+        '--rsvp-pivot-weight': settings.rsvpPivotWeight,
+        backgroundColor: `rgba(0, 0, 0, ${settings.rsvpDimming / 100})`,
+    }), [settings.rsvpFontType, settings.rsvpFontSize, themePivot, settings.rsvpPivotColor, settings.rsvpPivotWeight, settings.rsvpDimming]);
+
+    // Time left in the chapter and book at the measured RSVP pace
+    const timeLeft = useTimeLeft({
+        mode: 'rsvp',
+        index: words.length > 0 ? currentIndex + 1 : null,
+        total: words.length,
+        marks: chapters,
+        rsvpWpm: effectiveWpm,
+    });
 
     // Schedule next word with variable delay
     const scheduleNextWord = useCallback(() => {
@@ -618,37 +413,47 @@ const RSVPOverlay = ({
             clearTimeout(timerRef.current);
         }
 
-        const currentWord = wordsRef.current[currentIndex];
-        const delay = getWordDelay(currentWord);
+        const wordCount = currentSpan.end - currentSpan.start;
+        const delay = getWordDelay(
+            wordParts ? wordParts[partIndex].text : currentText,
+            wordCount,
+            getSpanFactor(currentSpan.start, currentSpan.end)
+        );
 
         timerRef.current = setTimeout(() => {
-            setCurrentIndex((prev) => {
-                const next = prev + 1;
-
-                // Check if we hit an image stop
-                if (imageStopIndex >= 0 && next >= imageStopIndex) {
-                    setIsPlaying(false);
-                    setStoppedAtImage(true);
-                    // Find the matching image stop point to get its src
-                    const stopPoint = imageStopPointsRef.current.find(
-                        sp => sp.wordIndex === imageStopIndex
-                    );
-                    if (stopPoint?.src) {
-                        setCurrentImageSrc(stopPoint.src);
-                    }
-                    return prev;
-                }
+            // Next part of a split word - same word index
+            if (wordParts && partIndex < wordParts.length - 1) {
+                setWordPart({ index: currentIndex, part: partIndex + 1 });
+                return;
+            }
 
-                // Reached end of current page — auto-advance to next
-                if (next >= wordsRef.current.length) {
-                    loadNextPageWords();
-                    return prev;
-                }
+            const next = skipPast(currentSpan.end);
 
-                return next;
-            });
+            // Reached the end of the book
+            if (next >= words.length) {
+                setIsPlaying(false);
+                return;
+            }
+
+            // Check if there is an image, block or note between this word and the next
+            const stop = structure.stopPoints.get(next);
+            if (stop) {
+                setIsPlaying(false);
+                setAtStop(true);
+                setActiveStop(stop);
+                setCurrentImageSrc(stop.src || null);
+                setNoteText(null);
+                return;
+            }
+
+            recordWord(effectiveWpm, wordCount);
+            if (sessionRef.current) {
+                sessionRef.current.words += wordCount;
+                sessionRef.current.wpmWords += effectiveWpm * wordCount;
+            }
+            setCurrentIndex(next);
         }, delay);
-    }, [currentIndex, getWordDelay, imageStopIndex, loadNextPageWords]);
+    }, [currentSpan, currentText, currentIndex, wordParts, partIndex, words.length, structure, skipPast, getWordDelay, getSpanFactor, recordWord, effectiveWpm]);
 
     // Play/pause loop
     useEffect(() => {
@@ -667,49 +472,98 @@ const RSVPOverlay = ({
         };
     }, [isPlaying, currentIndex, scheduleNextWord, words.length]);
 
+    // Session stats only count playing time
+    useEffect(() => {
+        const session = sessionRef.current;
+        if (!session) return;
+        if (isPlaying) {
+            session.playingSince = Date.now();
+        } else if (session.playingSince) {
+            session.playMs += Date.now() - session.playingSince;
+            session.playingSince = null;
+        }
+    }, [isPlaying]);
+
+    // Checkpoint the current word into the book record, so a crash or a
+    // killed app resumes at this word instead of where RSVP started
+    useEffect(() => {
+        const word = words[currentIndex];
+        positionRef.current = word ? { cfi: word.cfi, index: currentIndex, total: words.length } : null;
+    }, [words, currentIndex]);
+
+    const saveCheckpoint = useCallback(() => {
+        const position = positionRef.current;
+        if (!position || !bookId || position.cfi === savedCfiRef.current) return;
+        savedCfiRef.current = position.cfi;
+
+        // Locations give the same percentage the reader shows; before they
+        // are generated, fall back to the word position
+        const percentage = book?.locations?.length()
+            ? book.locations.percentageFromCfi(position.cfi)
+            : position.index / position.total;
+        updateBookProgress(bookId, position.cfi, percentage || 0).catch((err) => {
+            console.warn('Failed to save RSVP position:', err);
+        });
+    }, [book, bookId]);
+
+    useEffect(() => {
+        if (!isOpen) return;
+
+        const interval = setInterval(saveCheckpoint, CHECKPOINT_INTERVAL_MS);
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') saveCheckpoint();
+        };
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        window.addEventListener('pagehide', saveCheckpoint);
+
+        return () => {
+            clearInterval(interval);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            window.removeEventListener('pagehide', saveCheckpoint);
+            saveCheckpoint();
+        };
+    }, [isOpen, saveCheckpoint]);
+
+    // Save right away when playback pauses
+    useEffect(() => {
+        if (!isPlaying) saveCheckpoint();
+    }, [isPlaying, saveCheckpoint]);
+
+    // Leave any image stop when the position is moved by hand
+    const clearStop = useCallback(() => {
+        setAtStop(false);
+        setActiveStop(null);
+        setShowImagePreview(false);
+        setCurrentImageSrc(null);
+        setNoteText(null);
+    }, []);
+
     // Toggle play/pause
     const togglePlay = useCallback(() => {
-        if (stoppedAtImage) return;
+        if (atStop) return;
         if (currentIndex >= words.length - 1) {
             setCurrentIndex(0);
         }
         setIsPlaying((prev) => !prev);
-    }, [stoppedAtImage, currentIndex, words.length]);
+    }, [atStop, currentIndex, words.length]);
 
-    // Close handler
-    const handleClose = useCallback(() => {
+    // Close for real - report the position back to the reader
+    const finishClose = useCallback(() => {
         setIsPlaying(false);
+        setTrainingSummary(null);
         if (timerRef.current) {
             clearTimeout(timerRef.current);
         }
 
-        // Generate CFI for current position if possible
-        let currentCfi = currentCfiRef.current; // Use tracked CFI as fallback
+        // Every word in the stream carries its own CFI
+        const currentWord = words[currentIndex];
+        const currentCfi = currentWord?.cfi || startCfi;
 
-        try {
-            const contents = rendition?.getContents();
-            if (contents && contents.length > 0 && textNodesRef.current[currentIndex]) {
-                const textNode = textNodesRef.current[currentIndex];
-                const word = wordsRef.current[currentIndex];
-                if (textNode && word) {
-                    // Create a range at the start of the current word
-                    const doc = textNode.ownerDocument;
-                    const range = doc.createRange();
-                    const textContent = textNode.textContent;
-                    const wordIndex = textContent.indexOf(word);
-                    if (wordIndex >= 0) {
-                        range.setStart(textNode, wordIndex);
-                        range.setEnd(textNode, wordIndex + word.length);
-                        // Generate CFI from the range
-                        const wordCfi = contents[0].cfiFromRange(range);
-                        if (wordCfi) {
-                            currentCfi = wordCfi;
-                        }
-                    }
-                }
-            }
-        } catch (err) {
-            console.log('Could not generate CFI for current position:', err);
+        // Wrap up the session for the reading stats
+        const session = sessionRef.current;
+        sessionRef.current = null;
+        if (session?.playingSince) {
+            session.playMs += Date.now() - session.playingSince;
         }
 
         console.log('RSVP closing with CFI:', currentCfi);
@@ -717,129 +571,249 @@ const RSVPOverlay = ({
         // Notify parent of current position with CFI
         if (onCloseWithPosition) {
             onCloseWithPosition({
-                word: words[currentIndex],
-                originalWord: wordsRef.current[currentIndex],
-                parent: wordElementsRef.current[currentIndex]?.parent,
+                word: currentWord?.text,
                 index: currentIndex,
                 cfi: currentCfi,
+                session: session && {
+                    startCfi: session.startCfi,
+                    endCfi: currentCfi,
+                    startedAt: session.startedAt,
+                    duration: session.playMs / 1000,
+                    words: session.words,
+                    targetWpm: session.words > 0 ? Math.round(session.wpmWords / session.words) : 0,
+                },
             });
         }
 
         onClose();
-    }, [onClose, onCloseWithPosition, currentIndex, words, rendition]);
+    }, [onClose, onCloseWithPosition, currentIndex, words, startCfi]);
+
+    // Close handler - a training session shows its summary first
+    const handleClose = useCallback(() => {
+        if (trainingSummary) {
+            finishClose();
+            return;
+        }
+
+        const summary = getTrainingSummary();
+        if (summary) {
+            setIsPlaying(false);
+            setTrainingSummary(summary);
+            return;
+        }
+
+        finishClose();
+    }, [trainingSummary, getTrainingSummary, finishClose]);
 
     // Navigation controls
     const skipBack = useCallback(() => {
+        clearStop();
         setCurrentIndex((prev) => Math.max(0, prev - 10));
-    }, []);
+    }, [clearStop]);
 
     const skipForward = useCallback(() => {
+        clearStop();
         setCurrentIndex((prev) => Math.min(words.length - 1, prev + 10));
+    }, [words.length, clearStop]);
+
+    // Sentence/paragraph rewind - start of the current one, or the one
+    // before if we're already at its start
+    const rewindSentence = useCallback(() => {
+        if (words.length === 0) return;
+        clearStop();
+        resetSentence();
+        setCurrentIndex(findSentenceRewind(words, currentSpan.start));
+    }, [words, currentSpan, clearStop, resetSentence]);
+
+    const rewindParagraph = useCallback(() => {
+        if (words.length === 0) return;
+        clearStop();
+        resetSentence();
+        setCurrentIndex(findParagraphRewind(words, currentSpan.start));
+    }, [words, currentSpan, clearStop, resetSentence]);
+
+    // Forward to the start of the next sentence/paragraph
+    const nextSentence = useCallback(() => {
+        const next = findSentenceEnd(words, currentSpan.end - 1);
+        if (next >= words.length) return;
+        clearStop();
+        resetSentence();
+        setCurrentIndex(next);
+    }, [words, currentSpan, clearStop, resetSentence]);
+
+    const nextParagraph = useCallback(() => {
+        const next = findParagraphEnd(words, currentSpan.start);
+        if (next >= words.length) return;
+        clearStop();
+        resetSentence();
+        setCurrentIndex(next);
+    }, [words, currentSpan, clearStop, resetSentence]);
+
+    // Peek pauses playback and shows the whole paragraph
+    const openPeek = useCallback(() => {
+        if (words.length === 0) return;
+        setIsPlaying(false);
+        setShowPeek(true);
     }, [words.length]);
 
-    const restart = useCallback(() => {
-        setCurrentIndex(0);
-        setIsPlaying(false);
-        setStoppedAtImage(false);
+    const closePeek = useCallback(() => {
+        setShowPeek(false);
     }, []);
 
-    // Page navigation
-    const goToNextPage = useCallback(async () => {
-        if (!rendition) {
-            console.log('No rendition available for page navigation');
-            return;
+    // Jump to a word picked in the peek view
+    const handlePeekWord = useCallback((index) => {
+        clearStop();
+        resetSentence();
+        setCurrentIndex(index);
+        setShowPeek(false);
+    }, [clearStop, resetSentence]);
+
+    // Press and hold on the word area to peek
+    const cancelPeekHold = useCallback(() => {
+        if (peekHoldRef.current) {
+            clearTimeout(peekHoldRef.current);
+            peekHoldRef.current = null;
         }
+    }, []);
 
-        // Check if rendition has the next method
-        if (typeof rendition.next !== 'function') {
-            console.log('Rendition does not have next method');
-            return;
-        }
+    const startPeekHold = useCallback(() => {
+        cancelPeekHold();
+        peekHoldRef.current = setTimeout(() => {
+            peekHoldRef.current = null;
+            openPeek();
+        }, PEEK_HOLD_MS);
+    }, [cancelPeekHold, openPeek]);
 
-        setIsPlaying(false);
-        setStoppedAtImage(false);
-        setShowImagePreview(false);
+    useEffect(() => cancelPeekHold, [cancelPeekHold]);
 
-        try {
-            // Call next() - it returns a promise
-            const result = rendition.next();
+    // Chapter navigation - jump through the stream, the rendition stays put
+    const goToNextChapter = useCallback(() => {
+        const next = chapters.find((mark) => mark.index > currentIndex);
+        if (!next) return;
 
-            // Handle both promise and non-promise returns
-            if (result && typeof result.then === 'function') {
-                await result;
-            }
+        setIsPlaying(false);
+        clearStop();
+        resetSentence();
+        setCurrentIndex(next.index);
+    }, [chapters, currentIndex, clearStop, resetSentence]);
 
-            // Wait for the new content to render, then re-extract visible page
-            setTimeout(() => {
-                extractText();
-            }, 300);
-        } catch (err) {
-            console.error('Failed to go to next page:', err);
-        }
-    }, [rendition, extractText]);
+    const goToPrevChapter = useCallback(() => {
+        const before = chapters.filter((mark) => mark.index <= currentIndex);
+        if (before.length === 0) return;
 
-    const goToPrevPage = useCallback(async () => {
-        if (!rendition) {
-            console.log('No rendition available for page navigation');
-            return;
-        }
+        setIsPlaying(false);
+        clearStop();
+        resetSentence();
 
-        // Check if rendition has the prev method
-        if (typeof rendition.prev !== 'function') {
-            console.log('Rendition does not have prev method');
+        // Back to the start of this chapter first, then to the one before
+        const current = before[before.length - 1];
+        if (currentIndex > current.index || before.length === 1) {
+            setCurrentIndex(current.index);
             return;
         }
+        setCurrentIndex(before[before.length - 2].index);
+    }, [chapters, currentIndex, clearStop, resetSentence]);
+
+    // Swipes on the word area: left/right = next/previous sentence (a long
+    // one = chapter), up/down = next/previous paragraph
+    const handleContentPointerDown = useCallback((e) => {
+        swipeRef.current = { x: e.clientX, y: e.clientY };
+        startPeekHold();
+    }, [startPeekHold]);
+
+    const handleContentPointerMove = useCallback((e) => {
+        const start = swipeRef.current;
+        if (!start) return;
+        if (Math.hypot(e.clientX - start.x, e.clientY - start.y) > 10) {
+            cancelPeekHold();
+        }
+    }, [cancelPeekHold]);
+
+    const handleContentPointerUp = useCallback((e) => {
+        cancelPeekHold();
+        const start = swipeRef.current;
+        swipeRef.current = null;
+        if (!start || words.length === 0) return;
+
+        const dx = e.clientX - start.x;
+        const dy = e.clientY - start.y;
+        if (Math.max(Math.abs(dx), Math.abs(dy)) < SWIPE_MIN_PX) return;
+
+        if (Math.abs(dx) > Math.abs(dy)) {
+            const chapterSwipe = Math.abs(dx) > window.innerWidth * CHAPTER_SWIPE_SHARE;
+            if (dx < 0) {
+                if (chapterSwipe) goToNextChapter();
+                else nextSentence();
+            } else if (chapterSwipe) {
+                goToPrevChapter();
+            } else {
+                rewindSentence();
+            }
+        } else if (dy < 0) {
+            nextParagraph();
+        } else {
+            rewindParagraph();
+        }
+    }, [cancelPeekHold, words.length, goToNextChapter, goToPrevChapter, nextSentence, rewindSentence, nextParagraph, rewindParagraph]);
 
-        setIsPlaying(false);
-        setStoppedAtImage(false);
-        setShowImagePreview(false);
-
-        try {
-            // Call prev() - it returns a promise
-            const result = rendition.prev();
+    const handleContentPointerLeave = useCallback(() => {
+        swipeRef.current = null;
+        cancelPeekHold();
+    }, [cancelPeekHold]);
 
-            // Handle both promise and non-promise returns
-            if (result && typeof result.then === 'function') {
-                await result;
-            }
+    const restart = useCallback(() => {
+        setCurrentIndex(sessionStartIndexRef.current);
+        setIsPlaying(false);
+        clearStop();
+    }, [clearStop]);
 
-            // Wait for the new content to render, then re-extract visible page
-            setTimeout(() => {
-                extractText();
-            }, 300);
-        } catch (err) {
-            console.error('Failed to go to previous page:', err);
-        }
-    }, [rendition, extractText]);
+    // Scrubbing the timeline
+    const handleSeek = useCallback((index) => {
+        clearStop();
+        resetSentence();
+        setCurrentIndex(index);
+    }, [clearStop, resetSentence]);
 
     // WPM controls
     const increaseWpm = useCallback(() => {
-        setWpm((prev) => {
-            const newWpm = Math.min(1000, prev + 25);
-            onWpmChange?.(newWpm);
-            return newWpm;
-        });
-    }, [onWpmChange]);
+        updateSetting('rsvpSpeed', Math.min(1000, wpm + 25));
+    }, [wpm, updateSetting]);
 
     const decreaseWpm = useCallback(() => {
-        setWpm((prev) => {
-            const newWpm = Math.max(50, prev - 25);
-            onWpmChange?.(newWpm);
-            return newWpm;
-        });
-    }, [onWpmChange]);
+        updateSetting('rsvpSpeed', Math.max(50, wpm - 25));
+    }, [wpm, updateSetting]);
 
-    // Handle showing the image in a preview modal
+    // Handle showing the image (or table, code, poem) in a preview modal
     const handleShowImage = useCallback(() => {
-        // Find the current image stop point to get its src
-        const stopPoint = imageStopPointsRef.current.find(
-            sp => sp.wordIndex === imageStopIndex
-        );
-        if (stopPoint?.src) {
-            setCurrentImageSrc(stopPoint.src);
+        if (activeStop?.src) {
+            setCurrentImageSrc(activeStop.src);
         }
         setShowImagePreview(true);
-    }, [imageStopIndex]);
+    }, [activeStop]);
+
+    // Show the note a footnote reference points at, inline in the notice
+    const handleShowNote = useCallback(async () => {
+        const note = activeStop?.note;
+        if (!note || !book) return;
+        setNoteText({ loading: true, text: null });
+        try {
+            const text = await loadNoteText(book, note.section, note.href);
+            setNoteText({ loading: false, text: text || 'Note not found' });
+        } catch (err) {
+            console.warn('Failed to load note:', err);
+            setNoteText({ loading: false, text: 'Note not found' });
+        }
+    }, [activeStop, book]);
+
+    // Skip the table/code/poem we're stopped at
+    const handleSkipBlock = useCallback(() => {
+        const resumeIndex = activeStop?.end;
+        clearStop();
+        if (resumeIndex !== undefined) {
+            setCurrentIndex(Math.min(skipPast(resumeIndex), words.length - 1));
+        }
+        setIsPlaying(true);
+    }, [activeStop, clearStop, skipPast, words.length]);
 
     // Handle closing the image preview modal
     const handleCloseImagePreview = useCallback(() => {
@@ -848,31 +822,34 @@ const RSVPOverlay = ({
 
     // Handle continuing past the image (skip it and resume reading)
     const handleContinuePastImage = useCallback(() => {
-        setStoppedAtImage(false);
-        setCurrentImageSrc(null);
-        setShowImagePreview(false);
-
-        // Find the next image stop point after the current one
-        const currentStopIdx = imageStopPointsRef.current.findIndex(
-            sp => sp.wordIndex === imageStopIndex
-        );
-        const nextStop = imageStopPointsRef.current[currentStopIdx + 1];
+        const resumeIndex = activeStop?.wordIndex;
+        clearStop();
 
-        if (nextStop) {
-            setImageStopIndex(nextStop.wordIndex);
-        } else {
-            setImageStopIndex(-1); // No more images
+        if (resumeIndex !== undefined) {
+            setCurrentIndex(resumeIndex);
         }
 
         // Resume playing
         setIsPlaying(true);
-    }, [imageStopIndex]);
+    }, [activeStop, clearStop]);
 
     // Keyboard shortcuts
     useEffect(() => {
         if (!isOpen) return;
 
         const handleKeyDown = (e) => {
+            // Only Escape gets past the training summary
+            if (trainingSummary && e.key !== 'Escape') return;
+
+            // The peek view only listens for its own toggle and Escape
+            if (showPeek) {
+                if (['Escape', 'v', 'V'].includes(e.key)) {
+                    e.preventDefault();
+                    closePeek();
+                }
+                return;
+            }
+
             switch (e.key) {
                 case ' ':
                     e.preventDefault();
@@ -881,7 +858,7 @@ const RSVPOverlay = ({
                 case 'ArrowLeft':
                     e.preventDefault();
                     if (e.shiftKey) {
-                        goToPrevPage();
+                        goToPrevChapter();
                     } else {
                         skipBack();
                     }
@@ -889,11 +866,19 @@ const RSVPOverlay = ({
                 case 'ArrowRight':
                     e.preventDefault();
                     if (e.shiftKey) {
-                        goToNextPage();
+                        goToNextChapter();
                     } else {
                         skipForward();
                     }
                     break;
+                case 'PageUp':
+                    e.preventDefault();
+                    goToPrevChapter();
+                    break;
+                case 'PageDown':
+                    e.preventDefault();
+                    goToNextChapter();
+                    break;
                 case 'ArrowUp':
                     e.preventDefault();
                     increaseWpm();
@@ -906,6 +891,26 @@ const RSVPOverlay = ({
                 case 'R':
                     restart();
                     break;
+                case 's':
+                case 'S':
+                    if (e.shiftKey) {
+                        nextSentence();
+                    } else {
+                        rewindSentence();
+                    }
+                    break;
+                case 'p':
+                case 'P':
+                    if (e.shiftKey) {
+                        nextParagraph();
+                    } else {
+                        rewindParagraph();
+                    }
+                    break;
+                case 'v':
+                case 'V':
+                    openPeek();
+                    break;
                 case 'Escape':
                     handleClose();
                     break;
@@ -916,7 +921,27 @@ const RSVPOverlay = ({
 
         window.addEventListener('keydown', handleKeyDown);
         return () => window.removeEventListener('keydown', handleKeyDown);
-    }, [isOpen, togglePlay, skipBack, skipForward, goToPrevPage, goToNextPage, increaseWpm, decreaseWpm, restart, handleClose]);
+    }, [isOpen, trainingSummary, showPeek, togglePlay, skipBack, skipForward, goToPrevChapter, goToNextChapter, increaseWpm, decreaseWpm, restart, rewindSentence, rewindParagraph, nextSentence, nextParagraph, openPeek, closePeek, handleClose]);
+
+    // Media keys, page turners and gamepads
+    useRemoteControls({
+        enabled: isOpen && !trainingSummary,
+        bindings: settings.controlBindings?.rsvp,
+        handlers: {
+            playPause: togglePlay,
+            skipForward,
+            skipBack,
+            faster: increaseWpm,
+            slower: decreaseWpm,
+        },
+        holdMediaSession: settings.controlMediaSession,
+    });
+
+    // Pausing on a word shows its definition when a dictionary has it
+    const lookupText = settings.dictionaryLookup && dictionaries.length > 0
+        && !isPlaying && !atStop && !showPeek && !trainingSummary && currentIndex !== dismissedLookup
+        ? words[currentIndex]?.text
+        : null;
 
     if (!isOpen) return null;
 
@@ -924,6 +949,7 @@ const RSVPOverlay = ({
         <AnimatePresence>
             <motion.div
                 className="rsvp-overlay"
+                style={displayStyle}
                 initial={{ opacity: 0 }}
                 animate={{ opacity: 1 }}
                 exit={{ opacity: 0 }}
@@ -933,8 +959,19 @@ const RSVPOverlay = ({
                     <X size={24} />
                 </button>
 
-                {/* Main content area */}
-                <div className="rsvp-content">
+                {/* Main content area - press and hold to peek, swipe to navigate */}
+                <div
+                    className="rsvp-content"
+                    onPointerDown={handleContentPointerDown}
+                    onPointerMove={handleContentPointerMove}
+                    onPointerUp={handleContentPointerUp}
+                    onPointerLeave={handleContentPointerLeave}
+                    onPointerCancel={handleContentPointerLeave}
+                    onContextMenu={(e) => e.preventDefault()}
+                >
+                    {/* Spacers place the word at the chosen height */}
+                    <div style={{ flex: settings.rsvpVerticalPosition }} />
+
                     {extracting ? (
                         <div className="rsvp-loading">
                             <motion.div
@@ -942,7 +979,7 @@ const RSVPOverlay = ({
                                 animate={{ rotate: 360 }}
                                 transition={{ repeat: Infinity, duration: 1, ease: 'linear' }}
                             />
-                            <p>Extracting text...</p>
+                            <p>Extracting text... {Math.round(extractProgress * 100)}%</p>
                         </div>
                     ) : error ? (
                         <div className="rsvp-error">
@@ -957,12 +994,34 @@ const RSVPOverlay = ({
                         </div>
                     ) : (
                         <>
+                            {/* Training phase */}
+                            {trainingEnabled && (
+                                <div className="rsvp-training-badge">
+                                    <span>{trainingCurves[settings.trainingCurve] || 'Training'}</span>
+                                    <span>•</span>
+                                    <span className="rsvp-training-phase">{trainingPhase}</span>
+                                    <span>•</span>
+                                    <span>{effectiveWpm} WPM</span>
+                                    {trainingSecondsLeft !== null && (
+                                        <>
+                                            <span>•</span>
+                                            <span>{trainingSecondsLeft}s</span>
+                                        </>
+                                    )}
+                                </div>
+                            )}
+
+                            {/* Context ribbon - sentence before the flash */}
+                            {ribbon && (
+                                <div className="rsvp-context rsvp-context-before" dir="auto">{ribbon.before}</div>
+                            )}
+
                             {/* Center focus indicator - TOP */}
-                            <div className="rsvp-center-indicator rsvp-center-indicator-top" />
+                            <div className={`rsvp-center-indicator rsvp-center-indicator-top ${settings.rsvpGuides ? '' : 'hidden'}`} />
 
                             {/* Word display with centered ORP */}
                             <div className="rsvp-word-container">
-                                <div className="rsvp-word">
+                                <div className="rsvp-word" dir={wordDisplay.rtl ? 'rtl' : 'ltr'}>
                                     <span className="word-before">{wordDisplay.before}</span>
                                     <span className="word-highlight">{wordDisplay.highlight}</span>
                                     <span className="word-after">{wordDisplay.after}</span>
@@ -970,16 +1029,31 @@ const RSVPOverlay = ({
                             </div>
 
                             {/* Center focus indicator - BOTTOM */}
-                            <div className="rsvp-center-indicator rsvp-center-indicator-bottom" />
+                            <div className={`rsvp-center-indicator rsvp-center-indicator-bottom ${settings.rsvpGuides ? '' : 'hidden'}`} />
+
+                            {/* Next word preview */}
+                            {settings.rsvpNextWordPreview && (
+                                <div className="rsvp-next-word" dir="auto">{nextText}</div>
+                            )}
+
+                            {/* Context ribbon - sentence after the flash */}
+                            {ribbon && (
+                                <div className="rsvp-context rsvp-context-after" dir="auto">{ribbon.after}</div>
+                            )}
 
-                            {/* Stopped at image message */}
-                            {stoppedAtImage && (
+                            {/* Stopped at an image, table, code block, poem or footnote */}
+                            {atStop && (
                                 <motion.div
                                     className="rsvp-image-notice"
                                     initial={{ opacity: 0, y: 10 }}
                                     animate={{ opacity: 1, y: 0 }}
                                 >
-                                    <p>🖼️ Image detected - Reading paused</p>
+                                    <p>{STOP_NOTICES[activeStop?.type] || STOP_NOTICES.image}</p>
+                                    {noteText && (
+                                        <p className="rsvp-note-text" dir="auto">
+                                            {noteText.loading ? 'Loading note...' : noteText.text}
+                                        </p>
+                                    )}
                                     <div className="rsvp-image-actions">
                                         {currentImageSrc && (
                                             <button
@@ -990,12 +1064,39 @@ const RSVPOverlay = ({
                                                 Show Image
                                             </button>
                                         )}
+                                        {activeStop?.html && (
+                                            <button
+                                                className="btn rsvp-show-image-btn"
+                                                onClick={handleShowImage}
+                                            >
+                                                <Eye size={16} />
+                                                Show Original
+                                            </button>
+                                        )}
+                                        {activeStop?.note && !noteText && (
+                                            <button
+                                                className="btn rsvp-show-image-btn"
+                                                onClick={handleShowNote}
+                                            >
+                                                <Eye size={16} />
+                                                Show Note
+                                            </button>
+                                        )}
+                                        {activeStop?.html && (
+                                            <button
+                                                className="btn rsvp-show-image-btn"
+                                                onClick={handleSkipBlock}
+                                            >
+                                                <SkipForward size={16} />
+                                                Skip
+                                            </button>
+                                        )}
                                         <button
                                             className="btn rsvp-continue-btn"
                                             onClick={handleContinuePastImage}
                                         >
                                             <FastForward size={16} />
-                                            Continue
+                                            {activeStop?.html ? 'Read It' : 'Continue'}
                                         </button>
                                     </div>
                                 </motion.div>
@@ -1003,14 +1104,33 @@ const RSVPOverlay = ({
 
                             {/* Stats */}
                             <div className="rsvp-stats">
-                                <span>{currentIndex + 1} / {words.length} words</span>
-                                <span>•</span>
-                                <span>{estimatedTimeLeft}s remaining</span>
+                                <span>{(currentIndex + 1).toLocaleString()} / {words.length.toLocaleString()} words</span>
+                                {timeLeft && (
+                                    <>
+                                        <span>•</span>
+                                        <span>{timeLeft.chapter} left in chapter</span>
+                                        <span>•</span>
+                                        <span>{timeLeft.book} left in book</span>
+                                    </>
+                                )}
                             </div>
                         </>
                     )}
+
+                    <div style={{ flex: 100 - settings.rsvpVerticalPosition }} />
                 </div>
 
+                {/* Definition of the word paused on */}
+                {lookupText && (
+                    <DictionaryPopover
+                        key={currentIndex}
+                        word={lookupText}
+                        language={language}
+                        hideWhenEmpty
+                        onClose={() => setDismissedLookup(currentIndex)}
+                    />
+                )}
+
                 {/* Controls */}
                 <div className="rsvp-controls">
                     {/* Settings Menu */}
@@ -1023,6 +1143,9 @@ const RSVPOverlay = ({
                                 exit={{ opacity: 0, y: 10 }}
                             >
                                 <div className="rsvp-settings-title">Delay Multipliers</div>
+                                <div className="rsvp-settings-scope">
+                                    {hasBookOverrides ? 'Saved for this book' : 'Saved for all books'}
+                                </div>
 
                                 <div className="rsvp-setting-item">
                                     <div className="rsvp-setting-header">
@@ -1035,7 +1158,7 @@ const RSVPOverlay = ({
                                         max="5"
                                         step="0.1"
                                         value={sentenceEndMultiplier}
-                                        onChange={(e) => setSentenceEndMultiplier(parseFloat(e.target.value))}
+                                        onChange={(e) => updateSetting('rsvpSentenceEndMultiplier', parseFloat(e.target.value))}
                                         className="rsvp-setting-slider"
                                     />
                                 </div>
@@ -1051,7 +1174,7 @@ const RSVPOverlay = ({
                                         max="4"
                                         step="0.1"
                                         value={clauseMultiplier}
-                                        onChange={(e) => setClauseMultiplier(parseFloat(e.target.value))}
+                                        onChange={(e) => updateSetting('rsvpClauseMultiplier', parseFloat(e.target.value))}
                                         className="rsvp-setting-slider"
                                     />
                                 </div>
@@ -1067,7 +1190,7 @@ const RSVPOverlay = ({
                                         max="3"
                                         step="0.1"
                                         value={dashMultiplier}
-                                        onChange={(e) => setDashMultiplier(parseFloat(e.target.value))}
+                                        onChange={(e) => updateSetting('rsvpDashMultiplier', parseFloat(e.target.value))}
                                         className="rsvp-setting-slider"
                                     />
                                 </div>
@@ -1083,7 +1206,7 @@ const RSVPOverlay = ({
                                         max="3"
                                         step="0.1"
                                         value={nameMultiplier}
-                                        onChange={(e) => setNameMultiplier(parseFloat(e.target.value))}
+                                        onChange={(e) => updateSetting('rsvpNameMultiplier', parseFloat(e.target.value))}
                                         className="rsvp-setting-slider"
                                     />
                                 </div>
@@ -1099,7 +1222,7 @@ const RSVPOverlay = ({
                                         max="1.2"
                                         step="0.01"
                                         value={longWordMultiplier}
-                                        onChange={(e) => setLongWordMultiplier(parseFloat(e.target.value))}
+                                        onChange={(e) => updateSetting('rsvpLongWordMultiplier', parseFloat(e.target.value))}
                                         className="rsvp-setting-slider"
                                     />
                                 </div>
@@ -1107,17 +1230,13 @@ const RSVPOverlay = ({
                         )}
                     </AnimatePresence>
 
-                    {/* Progress bar */}
-                    <div className="rsvp-progress">
-                        <input
-                            type="range"
-                            min="0"
-                            max={Math.max(1, words.length - 1)}
-                            value={currentIndex}
-                            onChange={(e) => setCurrentIndex(parseInt(e.target.value))}
-                            className="progress-slider"
-                        />
-                    </div>
+                    {/* Timeline with chapter marks */}
+                    <RSVPTimeline
+                        length={words.length}
+                        index={currentIndex}
+                        chapters={chapters}
+                        onSeek={handleSeek}
+                    />
 
                     {/* Main controls */}
                     <div className="rsvp-main-controls">
@@ -1131,36 +1250,47 @@ const RSVPOverlay = ({
 
                         <div className="rsvp-controls-divider" />
 
-                        <button className="rsvp-btn" onClick={goToPrevPage} title="Previous Page (Shift+←)">
+                        <button className="rsvp-btn" onClick={goToPrevChapter} title="Previous Chapter (Shift+←)">
                             <ChevronsLeft size={20} />
                         </button>
                         <button className="rsvp-btn" onClick={restart} title="Restart (R)">
                             <RotateCcw size={20} />
                         </button>
+                        <button className="rsvp-btn" onClick={rewindParagraph} title="Paragraph Start (P, Shift+P: next)">
+                            <Pilcrow size={20} />
+                        </button>
+                        <button className="rsvp-btn" onClick={rewindSentence} title="Sentence Start (S, Shift+S: next)">
+                            <Undo2 size={20} />
+                        </button>
                         <button className="rsvp-btn" onClick={skipBack} title="Skip Back 10 (←)">
                             <SkipBack size={20} />
                         </button>
                         <button
-                            className={`rsvp-btn rsvp-btn-play ${stoppedAtImage ? 'rsvp-btn-disabled' : ''}`}
+                            className={`rsvp-btn rsvp-btn-play ${atStop ? 'rsvp-btn-disabled' : ''}`}
                             onClick={togglePlay}
                             title={isPlaying ? 'Pause (Space)' : 'Play (Space)'}
-                            disabled={stoppedAtImage}
+                            disabled={atStop}
                         >
                             {isPlaying ? <Pause size={28} /> : <Play size={28} />}
                         </button>
                         <button className="rsvp-btn" onClick={skipForward} title="Skip Forward 10 (→)">
                             <SkipForward size={20} />
                         </button>
-                        <button className="rsvp-btn" onClick={goToNextPage} title="Next Page (Shift+→)">
+                        <button className="rsvp-btn" onClick={goToNextChapter} title="Next Chapter (Shift+→)">
                             <ChevronsRight size={20} />
                         </button>
+                        <button className="rsvp-btn" onClick={openPeek} title="Peek at Paragraph (V or hold)">
+                            <BookOpenText size={20} />
+                        </button>
 
                         {/* WPM Control */}
                         <div className="rsvp-wpm-control">
                             <button className="rsvp-btn-small" onClick={decreaseWpm} title="Decrease WPM (↓)">
                                 <Minus size={16} />
                             </button>
-                            <span className="rsvp-wpm-value">{wpm} WPM</span>
+                            <span className="rsvp-wpm-value">
+                                {effectiveWpm} WPM{trainingEnabled && ' (Training)'}
+                            </span>
                             <button className="rsvp-btn-small" onClick={increaseWpm} title="Increase WPM (↑)">
                                 <Plus size={16} />
                             </button>
@@ -1171,16 +1301,18 @@ const RSVPOverlay = ({
                     <div className="rsvp-hints">
                         <span>Space: Play/Pause</span>
                         <span>←/→: Skip 10</span>
-                        <span>Shift+←/→: Page</span>
+                        <span>Shift+←/→: Chapter</span>
+                        <span>S/P: Sentence/Paragraph (Shift: next)</span>
+                        <span>V: Peek</span>
                         <span>↑/↓: Speed</span>
                         <span>Esc: Close</span>
                     </div>
                 </div>
             </motion.div>
 
-            {/* Image Preview Modal */}
+            {/* Image Preview Modal - also shows tables, code and poems as in the book */}
             <AnimatePresence>
-                {showImagePreview && currentImageSrc && (
+                {showImagePreview && (currentImageSrc || activeStop?.html) && (
                     <motion.div
                         className="rsvp-image-modal-backdrop"
                         initial={{ opacity: 0 }}
@@ -1201,18 +1333,145 @@ const RSVPOverlay = ({
                             >
                                 <X size={20} />
                             </button>
-                            <img
-                                src={currentImageSrc}
-                                alt="Book image"
-                                className="rsvp-image-modal-img"
-                            />
+                            {currentImageSrc ? (
+                                <img
+                                    src={currentImageSrc}
+                                    alt="Book image"
+                                    className="rsvp-image-modal-img"
+                                />
+                            ) : (
+                                // Sandboxed so nothing in the book's markup can run
+                                <iframe
+                                    className="rsvp-block-frame"
+                                    title="Original block"
+                                    sandbox=""
+                                    srcDoc={getBlockDocument(activeStop.html)}
+                                />
+                            )}
+                            <div className="rsvp-image-actions">
+                                {activeStop?.html && (
+                                    <button
+                                        className="btn rsvp-show-image-btn rsvp-image-modal-continue"
+                                        onClick={handleSkipBlock}
+                                    >
+                                        <SkipForward size={16} />
+                                        Skip
+                                    </button>
+                                )}
+                                <button
+                                    className="btn rsvp-continue-btn rsvp-image-modal-continue"
+                                    onClick={handleContinuePastImage}
+                                >
+                                    <FastForward size={16} />
+                                    {activeStop?.html ? 'Read It' : 'Continue Reading'}
+                                </button>
+                            </div>
+                        </motion.div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+
+            {/* Peek Modal - whole paragraph, tap a word to jump there */}
+            <AnimatePresence>
+                {peek && (
+                    <motion.div
+                        className="rsvp-image-modal-backdrop"
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                        onClick={closePeek}
+                    >
+                        <motion.div
+                            className="rsvp-image-modal rsvp-peek"
+                            initial={{ opacity: 0, scale: 0.9 }}
+                            animate={{ opacity: 1, scale: 1 }}
+                            exit={{ opacity: 0, scale: 0.9 }}
+                            onClick={(e) => e.stopPropagation()}
+                        >
                             <button
-                                className="btn rsvp-continue-btn rsvp-image-modal-continue"
-                                onClick={handleContinuePastImage}
+                                className="rsvp-image-modal-close"
+                                onClick={closePeek}
                             >
-                                <FastForward size={16} />
-                                Continue Reading
+                                <X size={20} />
                             </button>
+                            <p className="rsvp-peek-text" dir="auto">
+                                {peek.truncatedStart && '… '}
+                                {peek.words.map((word, i) => {
+                                    const index = peek.start + i;
+                                    const isCurrent = index >= currentSpan.start && index < currentSpan.end;
+                                    return (
+                                        <React.Fragment key={index}>
+                                            {i > 0 && !word.attached && ' '}
+                                            <span
+                                                className={`rsvp-peek-word ${isCurrent ? 'current' : ''}`}
+                                                onClick={() => handlePeekWord(index)}
+                                            >
+                                                {word.text}
+                                            </span>
+                                        </React.Fragment>
+                                    );
+                                })}
+                                {peek.truncatedEnd && ' …'}
+                            </p>
+                            <p className="rsvp-peek-hint">Tap a word to continue from there</p>
+                        </motion.div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+
+            {/* Training Summary Modal */}
+            <AnimatePresence>
+                {trainingSummary && (
+                    <motion.div
+                        className="rsvp-image-modal-backdrop"
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                    >
+                        <motion.div
+                            className="rsvp-image-modal rsvp-training-summary"
+                            initial={{ opacity: 0, scale: 0.9 }}
+                            animate={{ opacity: 1, scale: 1 }}
+                            exit={{ opacity: 0, scale: 0.9 }}
+                        >
+                            <h3>Training Complete</h3>
+                            <p className="rsvp-training-summary-curve">
+                                {trainingCurves[trainingSummary.curve] || 'Training'}
+                            </p>
+                            <div className="rsvp-training-summary-stats">
+                                <div>
+                                    <span className="rsvp-training-summary-value">{trainingSummary.peakWpm}</span>
+                                    <span className="rsvp-training-summary-label">Peak WPM</span>
+                                </div>
+                                <div>
+                                    <span className="rsvp-training-summary-value">{trainingSummary.averageWpm}</span>
+                                    <span className="rsvp-training-summary-label">Average WPM</span>
+                                </div>
+                                <div>
+                                    <span className="rsvp-training-summary-value">{trainingSummary.words.toLocaleString()}</span>
+                                    <span className="rsvp-training-summary-label">Words</span>
+                                </div>
+                                <div>
+                                    <span className="rsvp-training-summary-value">
+                                        {Math.floor(trainingSummary.duration / 60)}:{String(trainingSummary.duration % 60).padStart(2, '0')}
+                                    </span>
+                                    <span className="rsvp-training-summary-label">Time</span>
+                                </div>
+                            </div>
+                            <div className="rsvp-image-actions">
+                                <button
+                                    className="btn rsvp-show-image-btn"
+                                    onClick={() => setTrainingSummary(null)}
+                                >
+                                    Keep Reading
+                                </button>
+                                <button
+                                    className="btn rsvp-continue-btn"
+                                    onClick={finishClose}
+                                >
+                                    Done
+                                </button>
+                            </div>
                         </motion.div>
                     </motion.div>
                 )}
@@ -0,0 +1,60 @@
+import React, { useState, useMemo } from 'react';
+
+/**
+ * RSVPTimeline - scrubbable word position slider with chapter boundaries
+ * marked on the track. While dragging, the chapter under the thumb is
+ * shown above it.
+ */
+const RSVPTimeline = ({ length, index, chapters, onSeek }) => {
+    const [scrubbing, setScrubbing] = useState(false);
+    const max = Math.max(1, length - 1);
+
+    // Chapter containing the current position
+    const chapter = useMemo(() => {
+        let found = null;
+        for (const mark of chapters) {
+            if (mark.index > index) break;
+            found = mark;
+        }
+        return found;
+    }, [chapters, index]);
+
+    const percent = (value) => `${(value / max) * 100}%`;
+
+    return (
+        <div className="rsvp-progress rsvp-timeline">
+            {scrubbing && chapter?.label && (
+                <div className="rsvp-timeline-label" style={{ left: `clamp(15%, ${percent(index)}, 85%)` }}>
+                    {chapter.label}
+                </div>
+            )}
+
+            <div className="rsvp-timeline-marks">
+                {chapters.map((mark) => mark.index > 0 && (
+                    <span
+                        key={mark.index}
+                        className={`rsvp-timeline-mark ${mark.depth > 0 ? 'minor' : ''}`}
+                        style={{ left: percent(mark.index) }}
+                        title={mark.label}
+                    />
+                ))}
+            </div>
+
+            <input
+                type="range"
+                min="0"
+                max={max}
+                value={index}
+                onChange={(e) => onSeek(parseInt(e.target.value))}
+                onPointerDown={() => setScrubbing(true)}
+                onPointerUp={() => setScrubbing(false)}
+                onPointerCancel={() => setScrubbing(false)}
+                onBlur={() => setScrubbing(false)}
+                className="progress-slider"
+                aria-valuetext={chapter?.label || undefined}
+            />
+        </div>
+    );
+};
+
+export default RSVPTimeline;
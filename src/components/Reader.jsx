@@ -1,7 +1,7 @@
-import React, { useEffect, useRef, useState, useCallback } from 'react';
+import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
-import ePub from 'epubjs';
+import ePub, { EpubCFI } from 'epubjs';
 import {
     ArrowLeft,
     Settings,
@@ -11,12 +11,103 @@ import {
     Zap,
     Maximize,
     Minimize,
+    ScanLine,
+    ChevronsDown,
+    Highlighter,
+    Bookmark,
+    Search,
+    ChevronUp,
+    ChevronDown,
+    X,
+    Undo2,
+    Redo2,
 } from 'lucide-react';
 import { getBook, updateBookProgress } from '../services/db';
+import { loadWordStream, findWordIndex, getChapterMarks } from '../services/wordStream';
+import { getResultCfi } from '../services/bookSearch';
 import { useReaderSettings } from '../hooks/useReaderSettings';
+import { useReadingSession } from '../hooks/useReadingSession';
+import { usePacer } from '../hooks/usePacer';
+import { useAutoScroll } from '../hooks/useAutoScroll';
+import { useRemoteControls } from '../hooks/useRemoteControls';
+import { useAnnotations, getChapterLabel, HIGHLIGHT_CLASS } from '../hooks/useAnnotations';
+import { useBookmarks } from '../hooks/useBookmarks';
+import { useBookSearch } from '../hooks/useBookSearch';
+import { useDictionaries } from '../hooks/useDictionaries';
+import { usePageNumbers } from '../hooks/usePageNumbers';
+import { useTimeLeft } from '../hooks/useTimeLeft';
+import { useNavigationHistory } from '../hooks/useNavigationHistory';
+import { segmentWords } from '../utils/segmentation';
 import ReaderSettings from './ReaderSettings';
 import TableOfContents from './TableOfContents';
 import RSVPOverlay from './RSVPOverlay';
+import PacerControls from './PacerControls';
+import AutoScrollControls from './AutoScrollControls';
+import AnnotationMenu from './AnnotationMenu';
+import AnnotationsPanel from './AnnotationsPanel';
+import SearchPanel from './SearchPanel';
+import DictionaryPopover from './DictionaryPopover';
+
+// Search hits are drawn as underlines so they never replace a user highlight
+const SEARCH_HIT_CLASS = 'pulse-search-hit';
+const SEARCH_HIT_COLOR = '#ff4b4b';
+
+// True if a CFI falls inside the range a relocated event reports as visible
+const isCfiOnPage = (cfi, location) => {
+    if (!location.start?.cfi || !location.end?.cfi) return false;
+    try {
+        const comparer = new EpubCFI();
+        return comparer.compare(cfi, location.start.cfi) >= 0
+            && comparer.compare(cfi, location.end.cfi) <= 0;
+    } catch {
+        return false;
+    }
+};
+
+// True if a viewport point is on one of our highlights in a view's mark pane
+const isOnHighlight = (frame, x, y) => {
+    const marks = frame?.parentElement?.querySelectorAll(`g.${HIGHLIGHT_CLASS} rect`) || [];
+    return Array.from(marks).some((rect) => {
+        const r = rect.getBoundingClientRect();
+        return x >= r.left && x <= r.right && y >= r.top && y <= r.bottom;
+    });
+};
+
+/**
+ * The word under a point in a section document (coordinates relative to
+ * its frame), without surrounding punctuation: { text, rect } or null
+ * when the point isn't on a word.
+ */
+const getWordAtPoint = (doc, x, y, language) => {
+    let node;
+    let offset;
+    if (doc.caretPositionFromPoint) {
+        const position = doc.caretPositionFromPoint(x, y);
+        node = position?.offsetNode;
+        offset = position?.offset;
+    } else if (doc.caretRangeFromPoint) {
+        const range = doc.caretRangeFromPoint(x, y);
+        node = range?.startContainer;
+        offset = range?.startOffset;
+    }
+    if (!node || node.nodeType !== Node.TEXT_NODE) return null;
+
+    const word = segmentWords(node.textContent, language)
+        .find((w) => offset >= w.index && offset <= w.index + w.text.length);
+    if (!word) return null;
+
+    // The caret snaps to the nearest text - make sure the tap was on the word
+    const range = doc.createRange();
+    range.setStart(node, word.index);
+    range.setEnd(node, word.index + word.text.length);
+    const hit = Array.from(range.getClientRects()).some((r) => (
+        x >= r.left && x <= r.right && y >= r.top && y <= r.bottom
+    ));
+    const text = word.text.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+    if (!hit || !text) return null;
+
+    return { text, rect: range.getBoundingClientRect() };
+};
 
 const Reader = () => {
     const { bookId } = useParams();
@@ -26,6 +117,7 @@ const Reader = () => {
     const bookRef = useRef(null);
     const isNavigatingRef = useRef(false);
     const lastLocationRef = useRef(null);
+    const preciseLocationRef = useRef(null); // word CFI from RSVP/pacer, kept while it's on screen
 
     // State
     const [book, setBook] = useState(null);
@@ -36,17 +128,28 @@ const Reader = () => {
     const [currentLocation, setCurrentLocation] = useState(null);
     const [progress, setProgress] = useState(0);
     const [locationsReady, setLocationsReady] = useState(false);
+    const [wordMap, setWordMap] = useState(null); // { stream, marks } for time-left estimates
 
     // UI State
     const [showSettings, setShowSettings] = useState(false);
     const [showTOC, setShowTOC] = useState(false);
+    const [showAnnotations, setShowAnnotations] = useState(false);
+    const [showSearch, setShowSearch] = useState(false);
+    const searchHitRef = useRef(null); // CFI range of the marked search result
+    const [annotationMenu, setAnnotationMenu] = useState(null); // { cfiRange, text, annotation, x, top, bottom }
+    const openAnnotationMenuRef = useRef(null);
+    const annotationMenuRef = useRef(null);
+    const [lookup, setLookup] = useState(null); // { word, language, x, top, bottom }
+    const lookupRef = useRef(null);
     const [showUI, setShowUI] = useState(true);
     const [showRSVP, setShowRSVP] = useState(false);
     const [wordSelectMode, setWordSelectMode] = useState(false);
-    const [rsvpStartWord, setRsvpStartWord] = useState(null); // { text, node }
+    const [rsvpStartWord, setRsvpStartWord] = useState(null); // { text, cfi }
     const longPressTimerRef = useRef(null);
     const [isFullscreen, setIsFullscreen] = useState(false);
     const handleTapZoneRef = useRef(null); // Will be set when handleTapZone is created
+    const recordJumpRef = useRef(null); // Set once the navigation history exists
+    const autoScrollRef = useRef(null); // Auto-scroll, for the iframe touch handlers
     const wordSelectModeRef = useRef(false);
     const uiAutoHideTimerRef = useRef(null); // Auto-hide UI after initial display
 
@@ -55,9 +158,123 @@ const Reader = () => {
         settings,
         updateSetting,
         resetSettings,
+        hasBookOverrides,
+        setBookOverridesEnabled,
+        fontReady,
         getEpubStyles,
         themeColors
-    } = useReaderSettings();
+    } = useReaderSettings(book);
+
+    // Reading session logging for stats - RSVP pauses the normal session
+    const { trackLocation, logRsvpSession } = useReadingSession({
+        bookId: book?.id,
+        bookTitle: book?.title,
+        bookRef,
+        paused: showRSVP,
+    });
+
+    // Pacer pauses save the exact word, not just the page start
+    const handlePacerPause = useCallback((cfi) => {
+        lastLocationRef.current = cfi;
+        preciseLocationRef.current = cfi;
+        const percentage = bookRef.current?.locations?.percentageFromCfi(cfi);
+        updateBookProgress(parseInt(bookId), cfi, percentage || 0);
+    }, [bookId]);
+
+    // In-page pacer
+    const pacer = usePacer({
+        renditionRef,
+        bookRef,
+        settings,
+        onPause: handlePacerPause,
+    });
+
+    // Hands-free scrolling in the scrollable view mode
+    const autoScroll = useAutoScroll({
+        renditionRef,
+        enabled: !loading && settings.viewMode === 'scrollable',
+        suspended: showRSVP || showSettings || showTOC || showAnnotations || showSearch || !!annotationMenu || !!lookup,
+        settings,
+        updateSetting,
+    });
+
+    // Highlights and notes
+    const {
+        annotations,
+        addAnnotation,
+        updateAnnotation,
+        removeAnnotation,
+        syncHighlights,
+    } = useAnnotations({ bookId: book?.id, renditionRef, palette: themeColors.highlights });
+
+    // Manual bookmarks
+    const { bookmarks, addBookmark, renameBookmark, removeBookmark } = useBookmarks({
+        bookId: book?.id,
+        renditionRef,
+    });
+
+    // Bookmarks on the visible page (shown as a corner ribbon)
+    const pageBookmarks = useMemo(() => (
+        currentLocation ? bookmarks.filter((b) => isCfiOnPage(b.cfi, currentLocation)) : []
+    ), [bookmarks, currentLocation]);
+
+    // Jump to a search result and mark the match
+    const showSearchResult = useCallback(async (result) => {
+        const cfi = bookRef.current ? await getResultCfi(bookRef.current, result) : null;
+        const rendition = renditionRef.current;
+        if (!cfi || !rendition) return;
+
+        // Opening the search results is a jump; stepping through them isn't
+        if (searchHitRef.current) rendition.annotations.remove(searchHitRef.current, 'underline');
+        else recordJumpRef.current?.();
+        searchHitRef.current = cfi;
+        rendition.annotations.underline(cfi, {}, null, SEARCH_HIT_CLASS, {
+            fill: SEARCH_HIT_COLOR,
+            'fill-opacity': '0.3',
+            stroke: SEARCH_HIT_COLOR,
+            'stroke-opacity': '1',
+        });
+        await rendition.display(cfi);
+    }, []);
+
+    // Full-text search
+    const search = useBookSearch({ bookRef, onSelect: showSearchResult });
+    const { clear: clearSearchQuery } = search;
+
+    const clearSearch = useCallback(() => {
+        if (searchHitRef.current) {
+            renditionRef.current?.annotations.remove(searchHitRef.current, 'underline');
+            searchHitRef.current = null;
+        }
+        clearSearchQuery();
+    }, [clearSearchQuery]);
+
+    // Offline dictionaries for word lookup
+    const dictionaries = useDictionaries();
+
+    // Screen pages for the current layout (paginated mode)
+    const { currentPage, totalPages, inChapter } = usePageNumbers({
+        bookId: book?.id,
+        bookData: book?.data,
+        enabled: !loading && settings.viewMode === 'paginated',
+        viewerRef,
+        settings,
+        fontReady,
+        getEpubStyles,
+        location: currentLocation,
+    });
+
+    // Time left in the chapter and book at the measured normal reading speed
+    const wordIndex = useMemo(() => {
+        const cfi = currentLocation?.start?.cfi;
+        return wordMap && cfi ? findWordIndex(wordMap.stream, cfi) : null;
+    }, [wordMap, currentLocation]);
+    const timeLeft = useTimeLeft({
+        mode: 'normal',
+        index: wordIndex,
+        total: wordMap?.stream.words.length,
+        marks: wordMap?.marks,
+    });
 
     // Track settings that require re-initialization
     const prevSettingsRef = useRef({
@@ -109,6 +326,7 @@ const Reader = () => {
                 }
 
                 setLocationsReady(false);
+                setWordMap(null);
 
                 // Create new book instance
                 const epubBook = ePub(book.data);
@@ -133,6 +351,7 @@ const Reader = () => {
                 });
 
                 renditionRef.current = rendition;
+                syncHighlights();
 
                 // Apply theme styles
                 rendition.themes.default({
@@ -147,12 +366,25 @@ const Reader = () => {
                 // Inject custom CSS
                 rendition.hooks.content.register((contents) => {
                     contents.addStylesheet(generateStyleUrl());
+
+                    // Following a link in the book is a jump (epub.js displays the target)
+                    contents.on('linkClicked', () => recordJumpRef.current?.());
                 });
 
                 // Handle location changes
                 rendition.on('relocated', (location) => {
                     setCurrentLocation(location);
-                    lastLocationRef.current = location.start?.cfi;
+                    setAnnotationMenu(null);
+                    setLookup(null);
+
+                    // A word-precise position (RSVP checkpoint, pacer) wins
+                    // over the page start for as long as it's on this page
+                    const precise = preciseLocationRef.current;
+                    if (precise && !isCfiOnPage(precise, location)) {
+                        preciseLocationRef.current = null;
+                    }
+                    const locationCfi = preciseLocationRef.current || location.start?.cfi;
+                    lastLocationRef.current = locationCfi;
 
                     // Calculate progress from percentage
                     if (location.start?.percentage !== undefined) {
@@ -165,12 +397,13 @@ const Reader = () => {
                     }
 
                     // Save progress to database
-                    if (location.start?.cfi) {
+                    if (locationCfi) {
                         updateBookProgress(
                             parseInt(bookId),
-                            location.start.cfi,
+                            locationCfi,
                             location.start.percentage || 0
                         );
+                        trackLocation(locationCfi);
                     }
 
                     // Reset navigation lock
@@ -182,21 +415,67 @@ const Reader = () => {
                     // Don't handle if in word select mode
                     if (wordSelectModeRef.current) return;
 
+                    // Finishing a text selection - the annotation menu takes it
+                    if (e.view && !e.view.getSelection()?.isCollapsed) return;
+
+                    // A tap elsewhere closes the annotation menu
+                    if (annotationMenuRef.current) {
+                        setAnnotationMenu(null);
+                        return;
+                    }
+
+                    // ...and the dictionary popover
+                    if (lookupRef.current) {
+                        setLookup(null);
+                        return;
+                    }
+
                     // Map iframe coordinates to viewport coordinates
-                    const iframe = viewerRef.current?.querySelector('iframe');
+                    const iframe = e.view?.frameElement || viewerRef.current?.querySelector('iframe');
                     if (!iframe) return;
 
                     const iframeRect = iframe.getBoundingClientRect();
                     const viewportX = e.clientX + iframeRect.left;
                     const viewportY = e.clientY + iframeRect.top;
 
-                    handleTapZoneRef.current(viewportX, viewportY);
+                    // Taps on a highlight open its menu (markClicked) instead
+                    if (isOnHighlight(iframe, viewportX, viewportY)) return;
+
+                    // Center taps on a word look it up, when dictionaries are installed
+                    const getWord = () => {
+                        const language = bookRef.current?.packaging?.metadata?.language || '';
+                        const word = getWordAtPoint(e.view.document, e.clientX, e.clientY, language);
+                        return word && {
+                            word: word.text,
+                            language,
+                            x: iframeRect.left + word.rect.left + word.rect.width / 2,
+                            top: iframeRect.top + word.rect.top,
+                            bottom: iframeRect.top + word.rect.bottom,
+                        };
+                    };
+
+                    handleTapZoneRef.current(viewportX, viewportY, getWord);
+                });
+
+                // Selecting text offers highlight colors and notes
+                rendition.on('selected', (cfiRange) => {
+                    if (wordSelectModeRef.current) return;
+                    openAnnotationMenuRef.current(cfiRange);
                 });
 
+                rendition.on('markClicked', (cfiRange) => {
+                    openAnnotationMenuRef.current(cfiRange);
+                });
+
+                // Sideways swipes change the auto-scroll speed
+                rendition.on('touchstart', (e) => autoScrollRef.current?.handleTouchStart(e));
+                rendition.on('touchend', (e) => autoScrollRef.current?.handleTouchEnd(e));
+
                 // Display book FIRST - resume from last position if available
                 // Priority: savedCfi (from mode switch) > book.lastRead (from DB)
                 const startLocation = savedCfi || book.lastRead;
                 if (startLocation) {
+                    preciseLocationRef.current = startLocation;
                     await rendition.display(startLocation);
 
                     // Flash the resumed position after content is rendered
@@ -245,6 +524,17 @@ const Reader = () => {
                             setProgress(pct);
                         }
                     }
+
+                    // Warm up the RSVP word stream so the overlay opens instantly;
+                    // it also gives the word counts behind the time-left estimate
+                    loadWordStream(epubBook)
+                        .then(async (stream) => {
+                            const marks = await getChapterMarks(epubBook, stream);
+                            if (bookRef.current === epubBook) setWordMap({ stream, marks });
+                        })
+                        .catch((err) => {
+                            console.warn('Failed to prepare RSVP word stream:', err);
+                        });
                 });
 
                 // Auto-hide UI after 3 seconds for immersive reading
@@ -296,7 +586,7 @@ const Reader = () => {
                 bookRef.current.destroy();
             }
         };
-    }, [book?.data, bookId, settings.viewMode, settings.twoPageLayout]);
+    }, [book?.data, bookId, settings.viewMode, settings.twoPageLayout, trackLocation, syncHighlights]);
 
     // Generate a data URL for the stylesheet
     const generateStyleUrl = useCallback(() => {
@@ -372,25 +662,43 @@ const Reader = () => {
         }
     }, []);
 
-    const goToLocation = useCallback((cfi) => {
+    const displayLocation = useCallback((cfi) => {
         if (renditionRef.current) {
             renditionRef.current.display(cfi);
         }
     }, []);
 
+    // Back/forward through jumps, also reachable with the browser's back button
+    const getHistoryLocation = useCallback(() => ({
+        cfi: lastLocationRef.current,
+        page: inChapter ? null : currentPage,
+        percentage: progress,
+    }), [currentPage, inChapter, progress]);
+    const history = useNavigationHistory({ getCurrent: getHistoryLocation, display: displayLocation });
+    const { recordJump } = history;
+
+    // Jump to a bookmark or highlight
+    const goToLocation = useCallback((cfi) => {
+        recordJump();
+        displayLocation(cfi);
+    }, [recordJump, displayLocation]);
+
     const handleProgressChange = useCallback((e) => {
         const newProgress = parseFloat(e.target.value);
         if (bookRef.current && bookRef.current.locations && locationsReady) {
             const cfi = bookRef.current.locations.cfiFromPercentage(newProgress);
             if (cfi && renditionRef.current) {
+                recordJump();
                 renditionRef.current.display(cfi);
             }
         }
-    }, [locationsReady]);
+    }, [locationsReady, recordJump]);
 
     // Handle chapter navigation from TOC
     const handleChapterNavigate = useCallback((href) => {
         if (renditionRef.current) {
+            recordJump();
+
             // Some EPUBs have relative paths in TOC that fail resolution
             const target = href.replace(/^\.\.\//, '');
 
@@ -399,8 +707,65 @@ const Reader = () => {
                 renditionRef.current.display(href).catch(e => console.error("Final navigation failed:", e));
             });
         }
+    }, [recordJump]);
+
+    // Bookmark the current location, or remove the page's bookmarks
+    const toggleBookmark = useCallback(() => {
+        if (pageBookmarks.length > 0) {
+            pageBookmarks.forEach((b) => removeBookmark(b.id));
+            return;
+        }
+        const cfi = lastLocationRef.current || currentLocation?.start?.cfi;
+        if (cfi) addBookmark(cfi, getChapterLabel(chapters, currentChapter));
+    }, [pageBookmarks, currentLocation, chapters, currentChapter, addBookmark, removeBookmark]);
+
+    // Annotation menu over a selection or an existing highlight
+    const openAnnotationMenu = useCallback((cfiRange) => {
+        const range = renditionRef.current?.getRange(cfiRange);
+        const frame = range?.startContainer.ownerDocument?.defaultView?.frameElement;
+        if (!range || !frame) return;
+
+        const frameRect = frame.getBoundingClientRect();
+        const rect = range.getBoundingClientRect();
+        setAnnotationMenu({
+            cfiRange,
+            text: range.toString().trim(),
+            annotation: annotations.find((a) => a.cfiRange === cfiRange) || null,
+            x: frameRect.left + rect.left + rect.width / 2,
+            top: frameRect.top + rect.top,
+            bottom: frameRect.top + rect.bottom,
+        });
+    }, [annotations]);
+
+    const closeAnnotationMenu = useCallback(() => {
+        setAnnotationMenu(null);
+        renditionRef.current?.getContents().forEach((contents) => {
+            contents.window?.getSelection()?.removeAllRanges();
+        });
     }, []);
 
+    // Save a new highlight from the menu's selection, or change an existing one
+    const saveAnnotation = useCallback((updates) => {
+        if (!annotationMenu) return;
+        if (annotationMenu.annotation) {
+            updateAnnotation(annotationMenu.annotation.id, updates);
+        } else {
+            const href = bookRef.current?.spine.get(annotationMenu.cfiRange)?.href;
+            addAnnotation({
+                cfiRange: annotationMenu.cfiRange,
+                text: annotationMenu.text,
+                chapter: getChapterLabel(chapters, href),
+                ...updates,
+            });
+        }
+        closeAnnotationMenu();
+    }, [annotationMenu, chapters, addAnnotation, updateAnnotation, closeAnnotationMenu]);
+
+    const deleteAnnotation = useCallback(() => {
+        if (annotationMenu?.annotation) removeAnnotation(annotationMenu.annotation.id);
+        closeAnnotationMenu();
+    }, [annotationMenu, removeAnnotation, closeAnnotationMenu]);
+
     // Handle RSVP button - click for normal start, long-press for word selection
     const handleRSVPClick = useCallback((e) => {
         e.stopPropagation();
@@ -410,16 +775,18 @@ const Reader = () => {
             return;
         }
         setRsvpStartWord(null);
+        pacer.closePacer();
         setShowRSVP(true);
         setShowUI(false);
-    }, [wordSelectMode]);
+    }, [wordSelectMode, pacer]);
 
     const handleRSVPPointerDown = useCallback((e) => {
         longPressTimerRef.current = setTimeout(() => {
             e.preventDefault?.();
+            pacer.closePacer();
             setWordSelectMode(true);
         }, 600);
-    }, []);
+    }, [pacer]);
 
     const handleRSVPPointerUp = useCallback(() => {
         if (longPressTimerRef.current) {
@@ -442,15 +809,19 @@ const Reader = () => {
             const selection = contents[0].window.getSelection();
             // Try to get the clicked word
             let clickedWord = '';
-            let clickedNode = null;
+            let clickedCfi = null;
 
             if (selection && selection.rangeCount > 0) {
                 // Expand selection to word
                 selection.modify('move', 'backward', 'word');
                 selection.modify('extend', 'forward', 'word');
                 clickedWord = selection.toString().trim();
-                if (selection.anchorNode) {
-                    clickedNode = selection.anchorNode;
+                try {
+                    const range = selection.getRangeAt(0).cloneRange();
+                    range.collapse(true);
+                    clickedCfi = contents[0].cfiFromRange(range);
+                } catch (err) {
+                    console.log('Could not generate CFI for selected word:', err);
                 }
                 selection.removeAllRanges();
             }
@@ -458,11 +829,15 @@ const Reader = () => {
             if (!clickedWord && e.target) {
                 // Fallback: use the text content of the clicked element
                 clickedWord = e.target.textContent?.trim().split(/\s+/)[0] || '';
-                clickedNode = e.target;
+                try {
+                    clickedCfi = contents[0].cfiFromNode(e.target);
+                } catch (err) {
+                    console.log('Could not generate CFI for selected element:', err);
+                }
             }
 
             if (clickedWord) {
-                setRsvpStartWord({ text: clickedWord, node: clickedNode });
+                setRsvpStartWord({ text: clickedWord, cfi: clickedCfi });
                 setWordSelectMode(false);
                 setShowRSVP(true);
                 setShowUI(false);
@@ -482,30 +857,18 @@ const Reader = () => {
         };
     }, [wordSelectMode]);
 
-    // Handle RSVP close - navigate to the last read position and highlight it
-    const handleRSVPCloseWithPosition = useCallback((wordInfo) => {
-        if (!renditionRef.current) return;
-
-        // If we have a CFI, navigate to it first
-        if (wordInfo?.cfi) {
-            renditionRef.current.display(wordInfo.cfi).then(() => {
-                // After navigation, highlight the word
-                highlightLastWord(wordInfo);
-            });
-        } else if (wordInfo?.parent) {
-            // Fallback: just highlight without navigation
-            highlightLastWord(wordInfo);
-        }
-    }, []);
-
     // Helper function to highlight the last word
     const highlightLastWord = useCallback((wordInfo) => {
-        if (!wordInfo?.parent) return;
+        if (!wordInfo?.cfi || !renditionRef.current) return;
 
         try {
-            // Find the word text in the parent and wrap it with a highlight span
-            const parent = wordInfo.parent;
-            const word = wordInfo.originalWord || wordInfo.word;
+            // Resolve the word's CFI inside the rendered content
+            const range = renditionRef.current.getRange(wordInfo.cfi);
+            if (!range) return;
+            const parent = range.startContainer.nodeType === Node.ELEMENT_NODE
+                ? range.startContainer
+                : range.startContainer.parentElement;
+            if (!parent) return;
 
             // Create a highlight effect on the parent element
             parent.style.transition = 'background-color 0.3s, box-shadow 0.3s';
@@ -527,37 +890,40 @@ const Reader = () => {
         }
     }, []);
 
-    // Handle RSVP stop at image - navigate to next page and highlight last word
-    const handleRSVPStopAtImage = useCallback((lastWordInfo, navigateToNext = true) => {
-        if (!renditionRef.current) return;
+    // Handle RSVP close - log the session, navigate to the last read position and highlight it
+    const handleRSVPCloseWithPosition = useCallback((wordInfo) => {
+        logRsvpSession(wordInfo?.session);
+        if (!renditionRef.current || !wordInfo?.cfi) return;
 
-        // Close RSVP overlay
-        setShowRSVP(false);
-        setShowUI(true);
-
-        if (navigateToNext) {
-            // Navigate to next page
-            renditionRef.current.next().then(() => {
-                // After navigation, try to highlight the context
-                // This helps user know where they stopped reading
-                if (lastWordInfo?.parent) {
-                    try {
-                        // Add a temporary highlight style to the parent element
-                        const parent = lastWordInfo.parent;
-                        parent.style.transition = 'background-color 0.3s';
-                        parent.style.backgroundColor = 'rgba(255, 75, 75, 0.3)';
-
-                        // Remove highlight after 5 seconds
-                        setTimeout(() => {
-                            parent.style.backgroundColor = '';
-                        }, 5000);
-                    } catch (err) {
-                        console.log('Could not highlight last word position');
-                    }
-                }
-            });
+        preciseLocationRef.current = wordInfo.cfi;
+        renditionRef.current.display(wordInfo.cfi).then(() => {
+            // After navigation, highlight the word
+            highlightLastWord(wordInfo);
+        });
+    }, [highlightLastWord, logRsvpSession]);
+
+    // Start the pacer from the top of the visible page, or stop it
+    const togglePacer = useCallback(() => {
+        if (pacer.isActive) {
+            pacer.closePacer();
+            return;
         }
-    }, []);
+        autoScroll.closeAutoScroll();
+        const pageStart = renditionRef.current?.currentLocation()?.start?.cfi || lastLocationRef.current;
+        pacer.openPacer(pageStart);
+        setShowUI(false);
+    }, [pacer, autoScroll]);
+
+    // Start or stop auto-scrolling (one guide at a time - it stops the pacer)
+    const toggleAutoScroll = useCallback(() => {
+        if (autoScroll.isActive) {
+            autoScroll.closeAutoScroll();
+            return;
+        }
+        if (pacer.isActive) pacer.closePacer();
+        autoScroll.openAutoScroll();
+        setShowUI(false);
+    }, [autoScroll, pacer]);
 
     // Fullscreen functionality
     const toggleFullscreen = useCallback(() => {
@@ -589,7 +955,61 @@ const Reader = () => {
     // Keyboard navigation
     useEffect(() => {
         const handleKeyDown = (e) => {
-            if (showSettings || showTOC) return;
+            if (showSettings || showTOC || showAnnotations || showSearch) return;
+
+            if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
+                e.preventDefault();
+                setShowSearch(true);
+                return;
+            }
+
+            if (annotationMenu) {
+                if (e.key === 'Escape') closeAnnotationMenu();
+                return;
+            }
+
+            if (lookup && e.key === 'Escape') {
+                setLookup(null);
+                return;
+            }
+
+            // While the pacer is on, Space plays/pauses and Escape stops it
+            if (pacer.isActive && (e.key === ' ' || e.key === 'Escape')) {
+                e.preventDefault();
+                if (e.key === ' ') pacer.togglePlay();
+                else pacer.closePacer();
+                return;
+            }
+
+            // Auto-scroll: Space plays/pauses, Up/Down (or -/+) change speed, Escape stops
+            if (autoScroll.isActive) {
+                const action = {
+                    ' ': autoScroll.togglePlay,
+                    Escape: autoScroll.closeAutoScroll,
+                    ArrowUp: () => autoScroll.nudgeSpeed(-1),
+                    ArrowDown: () => autoScroll.nudgeSpeed(1),
+                    '-': () => autoScroll.nudgeSpeed(-1),
+                    '+': () => autoScroll.nudgeSpeed(1),
+                    '=': () => autoScroll.nudgeSpeed(1),
+                }[e.key];
+                if (action) {
+                    e.preventDefault();
+                    action();
+                    return;
+                }
+            }
+
+            // Stepping through search results
+            if (search.active >= 0 && (e.key === 'F3' || e.key === 'Escape')) {
+                e.preventDefault();
+                if (e.key === 'Escape') clearSearch();
+                else if (e.shiftKey) search.prev();
+                else search.next();
+                return;
+            }
+
+            // Alt+Arrow is the browser's back/forward - the jump history handles it
+            if (e.altKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) return;
 
             switch (e.key) {
                 case 'ArrowRight':
@@ -610,11 +1030,21 @@ const Reader = () => {
 
         window.addEventListener('keydown', handleKeyDown);
         return () => window.removeEventListener('keydown', handleKeyDown);
-    }, [goNext, goPrev, navigate, showSettings, showTOC]);
+    }, [goNext, goPrev, navigate, showSettings, showTOC, showAnnotations, showSearch, annotationMenu, closeAnnotationMenu, lookup, pacer, autoScroll, search, clearSearch]);
+
+    // Media keys, page turners and gamepads turn pages (RSVP has its own mapping)
+    useRemoteControls({
+        enabled: !loading && !showRSVP && !showSettings && !showTOC && !showAnnotations && !showSearch,
+        bindings: settings.controlBindings?.reader,
+        handlers: { nextPage: goNext, prevPage: goPrev },
+        holdMediaSession: settings.controlMediaSession,
+        title: book?.title,
+    });
 
     // Core tap zone handler - used by both outer div clicks and iframe clicks
     // Kindle-style: tap left = prev, tap right = next, tap center = toggle UI
-    const handleTapZone = useCallback((clientX, clientY) => {
+    // (or look up the word, when getWord finds one under the tap)
+    const handleTapZone = useCallback((clientX, clientY, getWord) => {
         // Cancel any auto-hide timer on interaction
         if (uiAutoHideTimerRef.current) {
             clearTimeout(uiAutoHideTimerRef.current);
@@ -628,6 +1058,22 @@ const Reader = () => {
         const x = clientX - rect.left;
         const width = rect.width;
 
+        // Pacer or auto-scroll running: any tap pauses, page turns wait until it's paused
+        if (pacer.isPlaying) {
+            pacer.togglePlay();
+            return;
+        }
+        if (autoScroll.isPlaying) {
+            autoScroll.togglePlay();
+            return;
+        }
+
+        const handleCenterTap = () => {
+            const word = settings.dictionaryLookup && dictionaries.length > 0 ? getWord?.() : null;
+            if (word) setLookup(word);
+            else setShowUI((prev) => !prev);
+        };
+
         // Check if mobile (narrow screen)
         const isMobile = window.innerWidth < 768;
 
@@ -639,7 +1085,7 @@ const Reader = () => {
                 goNext();
             } else {
                 // Center tap toggles UI (header, footer, FAB)
-                setShowUI((prev) => !prev);
+                handleCenterTap();
             }
         } else {
             // Desktop: left 25% = prev, right 25% = next, center = toggle UI
@@ -648,10 +1094,10 @@ const Reader = () => {
             } else if (x > width * 0.75) {
                 goNext();
             } else {
-                setShowUI((prev) => !prev);
+                handleCenterTap();
             }
         }
-    }, [goNext, goPrev]);
+    }, [goNext, goPrev, pacer, autoScroll, settings.dictionaryLookup, dictionaries.length]);
 
     // Handle tap on viewer outer div (padding area around iframe)
     const handleViewerClick = useCallback((e) => {
@@ -664,12 +1110,22 @@ const Reader = () => {
             return;
         }
 
+        if (lookupRef.current) {
+            setLookup(null);
+            return;
+        }
+
         handleTapZone(e.clientX, e.clientY);
     }, [handleTapZone]);
 
     // Keep refs in sync with latest values for use inside epub iframe click handler
     handleTapZoneRef.current = handleTapZone;
     wordSelectModeRef.current = wordSelectMode;
+    openAnnotationMenuRef.current = openAnnotationMenu;
+    annotationMenuRef.current = annotationMenu;
+    lookupRef.current = lookup;
+    recordJumpRef.current = recordJump;
+    autoScrollRef.current = autoScroll;
 
     // Prevent button clicks from bubbling to viewer
     const handleButtonClick = useCallback((e, action) => {
@@ -732,6 +1188,13 @@ const Reader = () => {
                         </div>
 
                         <div className="header-actions">
+                            <button
+                                className="header-btn"
+                                onClick={(e) => handleButtonClick(e, () => setShowSearch(true))}
+                                title="Search"
+                            >
+                                <Search size={24} />
+                            </button>
                             <button
                                 className="header-btn"
                                 onClick={(e) => handleButtonClick(e, () => setShowTOC(true))}
@@ -739,6 +1202,37 @@ const Reader = () => {
                             >
                                 <List size={24} />
                             </button>
+                            <button
+                                className={`header-btn ${pageBookmarks.length > 0 ? 'header-btn-active' : ''}`}
+                                onClick={(e) => handleButtonClick(e, toggleBookmark)}
+                                title={pageBookmarks.length > 0 ? 'Remove Bookmark' : 'Bookmark This Page'}
+                            >
+                                <Bookmark size={24} fill={pageBookmarks.length > 0 ? 'currentColor' : 'none'} />
+                            </button>
+                            <button
+                                className="header-btn"
+                                onClick={(e) => handleButtonClick(e, () => setShowAnnotations(true))}
+                                title="Highlights & Notes"
+                            >
+                                <Highlighter size={24} />
+                            </button>
+                            <button
+                                className={`header-btn ${pacer.isActive ? 'header-btn-active' : ''}`}
+                                onClick={(e) => handleButtonClick(e, togglePacer)}
+                                disabled={pacer.loading}
+                                title={pacer.isActive ? 'Stop Pacer' : 'Pacer'}
+                            >
+                                <ScanLine size={24} />
+                            </button>
+                            {settings.viewMode === 'scrollable' && (
+                                <button
+                                    className={`header-btn ${autoScroll.isActive ? 'header-btn-active' : ''}`}
+                                    onClick={(e) => handleButtonClick(e, toggleAutoScroll)}
+                                    title={autoScroll.isActive ? 'Stop Auto-Scroll' : 'Auto-Scroll'}
+                                >
+                                    <ChevronsDown size={24} />
+                                </button>
+                            )}
                             <button
                                 className="header-btn"
                                 onClick={(e) => handleButtonClick(e, toggleFullscreen)}
@@ -769,6 +1263,55 @@ const Reader = () => {
                 }}
             />
 
+            {/* Offer to go back after a jump */}
+            <AnimatePresence>
+                {history.toast && (
+                    <motion.div
+                        className="jump-toast"
+                        initial={{ y: 20, opacity: 0 }}
+                        animate={{ y: 0, opacity: 1 }}
+                        exit={{ y: 20, opacity: 0 }}
+                        onClick={(e) => e.stopPropagation()}
+                    >
+                        <button className="jump-toast-btn" onClick={history.back}>
+                            <Undo2 size={16} />
+                            {history.toast.page
+                                ? `Return to page ${history.toast.page}`
+                                : `Return to ${Math.round(history.toast.percentage * 100)}%`}
+                        </button>
+                        <button className="jump-toast-close" onClick={history.dismissToast} title="Dismiss">
+                            <X size={16} />
+                        </button>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+
+            {/* Bookmark ribbon on bookmarked pages */}
+            {pageBookmarks.length > 0 && (
+                <div className="bookmark-ribbon" />
+            )}
+
+            {/* Search result stepper */}
+            {!showSearch && search.active >= 0 && (
+                <div className="search-bar" onClick={(e) => e.stopPropagation()}>
+                    <button className="pacer-btn" onClick={search.prev} title="Previous result">
+                        <ChevronUp size={18} />
+                    </button>
+                    <span className="search-bar-count">
+                        {search.active + 1} / {search.results.length}
+                    </span>
+                    <button className="pacer-btn" onClick={search.next} title="Next result">
+                        <ChevronDown size={18} />
+                    </button>
+                    <button className="pacer-btn" onClick={() => setShowSearch(true)} title="Show results">
+                        <Search size={18} />
+                    </button>
+                    <button className="pacer-btn" onClick={clearSearch} title="Close search">
+                        <X size={18} />
+                    </button>
+                </div>
+            )}
+
             {/* Word Selection Mode Banner */}
             <AnimatePresence>
                 {wordSelectMode && (
@@ -805,6 +1348,29 @@ const Reader = () => {
                 )}
             </AnimatePresence>
 
+            {/* Pacer Controls */}
+            <PacerControls
+                isOpen={pacer.isActive && !showRSVP}
+                isPlaying={pacer.isPlaying}
+                style={pacer.style}
+                settings={settings}
+                updateSetting={updateSetting}
+                onTogglePlay={pacer.togglePlay}
+                onClose={pacer.closePacer}
+            />
+
+            {/* Auto-Scroll Controls */}
+            <AutoScrollControls
+                isOpen={autoScroll.isActive && !showRSVP}
+                isPlaying={autoScroll.isPlaying}
+                unit={autoScroll.unit}
+                speed={autoScroll.speed}
+                onTogglePlay={autoScroll.togglePlay}
+                onNudge={autoScroll.nudgeSpeed}
+                onCycleUnit={autoScroll.cycleUnit}
+                onClose={autoScroll.closeAutoScroll}
+            />
+
             {/* Footer Navigation */}
             <AnimatePresence>
                 {showUI && (
@@ -834,9 +1400,38 @@ const Reader = () => {
                                 onChange={handleProgressChange}
                                 onClick={(e) => e.stopPropagation()}
                             />
-                            <span className="progress-text">
-                                {`${Math.round(progress * 100)}%`}
-                            </span>
+                            <div className="progress-info">
+                                {(history.canGoBack || history.canGoForward) && (
+                                    <button
+                                        className="history-btn"
+                                        onClick={(e) => handleButtonClick(e, history.back)}
+                                        disabled={!history.canGoBack}
+                                        title="Back"
+                                    >
+                                        <Undo2 size={16} />
+                                    </button>
+                                )}
+                                <span className="progress-text">
+                                    {currentPage
+                                        ? `Page ${currentPage} of ${totalPages}${inChapter ? ' in chapter' : ''} · ${Math.round(progress * 100)}%`
+                                        : `${Math.round(progress * 100)}%`}
+                                </span>
+                                {(history.canGoBack || history.canGoForward) && (
+                                    <button
+                                        className="history-btn"
+                                        onClick={(e) => handleButtonClick(e, history.forward)}
+                                        disabled={!history.canGoForward}
+                                        title="Forward"
+                                    >
+                                        <Redo2 size={16} />
+                                    </button>
+                                )}
+                            </div>
+                            {timeLeft && (
+                                <span className="progress-time">
+                                    {`${timeLeft.chapter} left in chapter · ${timeLeft.book} left in book`}
+                                </span>
+                            )}
                         </div>
 
                         <button
@@ -857,6 +1452,8 @@ const Reader = () => {
                 settings={settings}
                 updateSetting={updateSetting}
                 resetSettings={resetSettings}
+                hasBookOverrides={hasBookOverrides}
+                setBookOverridesEnabled={setBookOverridesEnabled}
             />
 
             {/* Table of Contents Drawer */}
@@ -866,8 +1463,52 @@ const Reader = () => {
                 chapters={chapters}
                 currentChapter={currentChapter}
                 onNavigate={handleChapterNavigate}
+                bookmarks={bookmarks}
+                onBookmarkNavigate={goToLocation}
+                onBookmarkRename={renameBookmark}
+                onBookmarkDelete={removeBookmark}
+            />
+
+            {/* Highlights & Notes Drawer */}
+            <AnnotationsPanel
+                isOpen={showAnnotations}
+                onClose={() => setShowAnnotations(false)}
+                annotations={annotations}
+                colors={themeColors.highlights}
+                onNavigate={goToLocation}
+                onDelete={removeAnnotation}
+            />
+
+            {/* Search Drawer */}
+            <SearchPanel
+                isOpen={showSearch}
+                onClose={() => setShowSearch(false)}
+                search={search}
+                chapters={chapters}
+            />
+
+            {/* Highlight color / note menu over the selection */}
+            <AnnotationMenu
+                key={annotationMenu?.cfiRange}
+                menu={annotationMenu}
+                colors={themeColors.highlights}
+                onColor={(color) => saveAnnotation({ color })}
+                onSaveNote={(note) => saveAnnotation({ note })}
+                onDelete={deleteAnnotation}
+                onClose={closeAnnotationMenu}
             />
 
+            {/* Dictionary definition of a tapped word */}
+            {lookup && (
+                <DictionaryPopover
+                    key={`${lookup.word}-${lookup.x}-${lookup.top}`}
+                    word={lookup.word}
+                    language={lookup.language}
+                    anchor={lookup}
+                    onClose={() => setLookup(null)}
+                />
+            )}
+
             {/* RSVP Speed Reading Overlay */}
             <RSVPOverlay
                 isOpen={showRSVP}
@@ -876,13 +1517,14 @@ const Reader = () => {
                     setShowUI(true);
                     setRsvpStartWord(null);
                 }}
-                rendition={renditionRef.current}
+                book={bookRef.current}
+                bookId={book?.id}
                 startCfi={lastLocationRef.current}
                 startWord={rsvpStartWord}
-                wpm={settings.rsvpSpeed}
-                onWpmChange={(newWpm) => updateSetting('rsvpSpeed', newWpm)}
-                onStopAtImage={handleRSVPStopAtImage}
                 onCloseWithPosition={handleRSVPCloseWithPosition}
+                settings={settings}
+                updateSetting={updateSetting}
+                hasBookOverrides={hasBookOverrides}
             />
         </div>
     );
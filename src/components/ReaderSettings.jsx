@@ -1,86 +1,46 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { X, Minus, Plus, RotateCcw } from 'lucide-react';
-
-const ReaderSettings = ({ isOpen, onClose, settings, updateSetting, resetSettings }) => {
-
-    // Dropdown component
-    const Dropdown = ({ label, value, onChange, options }) => (
-        <div className="settings-row">
-            <label className="settings-label">{label}</label>
-            <div className="settings-dropdown-wrapper">
-                <select
-                    className="settings-dropdown"
-                    value={value}
-                    onChange={(e) => onChange(e.target.value)}
-                >
-                    {options.map((opt) => (
-                        <option key={opt.value} value={opt.value}>
-                            {opt.label}
-                        </option>
-                    ))}
-                </select>
-            </div>
-        </div>
-    );
+import { X, RotateCcw, ChevronRight } from 'lucide-react';
+import { trainingCurves } from '../hooks/useTrainingMode';
+import { pacerStyles } from '../hooks/usePacer';
+import { Dropdown, Stepper, Slider, ColorPicker, Toggle } from './SettingsControls';
+import ControlsSettings from './ControlsSettings';
+import DictionarySettings from './DictionarySettings';
+import ThemeSettings from './ThemeSettings';
+import FontSettings from './FontSettings';
+import { getAllThemes, fontOptions } from '../hooks/useReaderSettings';
+import { useUserFonts } from '../hooks/useUserFonts';
+import { autoScrollUnits, autoScrollLimits } from '../hooks/useAutoScroll';
 
-    // Stepper component (+/-)
-    const Stepper = ({ label, value, onChange, min, max, step, suffix = '' }) => (
-        <div className="settings-row">
-            <label className="settings-label">{label}</label>
-            <div className="settings-stepper">
-                <button
-                    className="stepper-btn"
-                    onClick={() => onChange(Math.max(min, value - step))}
-                    disabled={value <= min}
-                >
-                    <Minus size={18} />
-                </button>
-                <span className="stepper-value">{value}{suffix}</span>
-                <button
-                    className="stepper-btn"
-                    onClick={() => onChange(Math.min(max, value + step))}
-                    disabled={value >= max}
-                >
-                    <Plus size={18} />
-                </button>
-            </div>
-        </div>
-    );
+// How RSVP treats footnotes, tables, code and poetry
+const structureHandlingOptions = [
+    { value: 'stop', label: 'Stop' },
+    { value: 'skip', label: 'Skip' },
+    { value: 'read', label: 'Read Through' },
+];
 
-    // Slider component
-    const Slider = ({ label, value, onChange, min, max, step }) => (
-        <div className="settings-row">
-            <label className="settings-label">{label}</label>
-            <div className="settings-slider-wrapper">
-                <input
-                    type="range"
-                    className="settings-slider"
-                    min={min}
-                    max={max}
-                    step={step}
-                    value={value}
-                    onChange={(e) => onChange(parseInt(e.target.value))}
-                />
-                <span className="slider-value">{value}</span>
-            </div>
-        </div>
-    );
+const ReaderSettings = ({
+    isOpen,
+    onClose,
+    settings,
+    updateSetting,
+    resetSettings,
+    hasBookOverrides,
+    setBookOverridesEnabled,
+}) => {
+    const [subScreen, setSubScreen] = useState(null); // 'controls' | 'dictionaries' | 'themes' | 'fonts'
+    const userFonts = useUserFonts();
 
-    // Toggle component
-    const Toggle = ({ label, value, onChange }) => (
-        <div className="settings-row">
-            <label className="settings-label">{label}</label>
-            <button
-                className={`settings-toggle ${value ? 'active' : ''}`}
-                onClick={() => onChange(!value)}
-            >
-                <span className="toggle-track">
-                    <span className="toggle-thumb" />
-                </span>
-            </button>
-        </div>
-    );
+    // Built-in fonts, then uploaded ones
+    const fontTypeOptions = [
+        ...Object.entries(fontOptions).map(([value, label]) => ({ value, label })),
+        ...userFonts.map((font) => ({ value: font.key, label: font.name })),
+    ];
+
+    const handleClose = () => {
+        setSubScreen(null);
+        onClose();
+    };
 
     return (
         <AnimatePresence>
@@ -92,7 +52,7 @@ const ReaderSettings = ({ isOpen, onClose, settings, updateSetting, resetSetting
                         initial={{ opacity: 0 }}
                         animate={{ opacity: 1 }}
                         exit={{ opacity: 0 }}
-                        onClick={onClose}
+                        onClick={handleClose}
                     />
 
                     {/* Settings Panel */}
@@ -103,148 +63,595 @@ const ReaderSettings = ({ isOpen, onClose, settings, updateSetting, resetSetting
                         exit={{ y: '-100%', opacity: 0 }}
                         transition={{ type: 'spring', damping: 25, stiffness: 300 }}
                     >
-                        {/* Header */}
-                        <div className="settings-header">
-                            <h2 className="settings-title">Reading Settings</h2>
-                            <div className="settings-header-actions">
-                                <button className="settings-reset-btn" onClick={resetSettings} title="Reset to defaults">
-                                    <RotateCcw size={18} />
-                                </button>
-                                <button className="settings-close-btn" onClick={onClose}>
-                                    <X size={24} />
-                                </button>
-                            </div>
-                        </div>
-
-                        {/* Scrollable Content */}
-                        <div className="settings-content">
-
-                            {/* EPUB Settings Section */}
-                            <div className="settings-section">
-                                <h3 className="settings-section-title">EPUB, FB2, MOBI, DOC, DOCX, RTF, TXT & CHM</h3>
-
-                                <Dropdown
-                                    label="View Mode"
-                                    value={settings.viewMode}
-                                    onChange={(v) => updateSetting('viewMode', v)}
-                                    options={[
-                                        { value: 'paginated', label: 'Paginated' },
-                                        { value: 'scrollable', label: 'Scrollable' },
-                                    ]}
-                                />
-
-                                <Dropdown
-                                    label="Color Theme"
-                                    value={settings.colorTheme}
-                                    onChange={(v) => updateSetting('colorTheme', v)}
-                                    options={[
-                                        { value: 'oled', label: 'OLED (Pure Black)' },
-                                        { value: 'night', label: 'Night' },
-                                        { value: 'sepia', label: 'Sepia' },
-                                        { value: 'light', label: 'Light' },
-                                    ]}
-                                />
-
-                                <Dropdown
-                                    label="Font Type"
-                                    value={settings.fontType}
-                                    onChange={(v) => updateSetting('fontType', v)}
-                                    options={[
-                                        { value: 'system', label: 'System Default' },
-                                        { value: 'georgia', label: 'Georgia (Serif)' },
-                                        { value: 'inter', label: 'Inter (Sans)' },
-                                        { value: 'literata', label: 'Literata (Serif)' },
-                                        { value: 'comfortaa', label: 'Comfortaa (Rounded)' },
-                                        { value: 'opendyslexic', label: 'OpenDyslexic' },
-                                    ]}
-                                />
-
-                                <Stepper
-                                    label="Font Size"
-                                    value={settings.fontSize}
-                                    onChange={(v) => updateSetting('fontSize', v)}
-                                    min={50}
-                                    max={200}
-                                    step={10}
-                                />
-
-                                <Slider
-                                    label="Font Weight"
-                                    value={settings.fontWeight}
-                                    onChange={(v) => updateSetting('fontWeight', v)}
-                                    min={300}
-                                    max={700}
-                                    step={100}
-                                />
-
-                                <Stepper
-                                    label="Line Spacing"
-                                    value={settings.lineSpacing}
-                                    onChange={(v) => updateSetting('lineSpacing', v)}
-                                    min={80}
-                                    max={200}
-                                    step={10}
-                                    suffix="%"
-                                />
-
-                                <Dropdown
-                                    label="Text Alignment"
-                                    value={settings.textAlignment}
-                                    onChange={(v) => updateSetting('textAlignment', v)}
-                                    options={[
-                                        { value: 'original', label: 'Original' },
-                                        { value: 'left', label: 'Left' },
-                                        { value: 'justify', label: 'Justify' },
-                                    ]}
-                                />
-
-                                <Toggle
-                                    label="Two Pages (Landscape)"
-                                    value={settings.twoPageLayout}
-                                    onChange={(v) => updateSetting('twoPageLayout', v)}
-                                />
-
-                                <Toggle
-                                    label="Page Margins"
-                                    value={settings.pageMargins}
-                                    onChange={(v) => updateSetting('pageMargins', v)}
-                                />
-                            </div>
-
-                            {/* RSVP Settings Section */}
-                            <div className="settings-section">
-                                <h3 className="settings-section-title">RSVP Speed Reading</h3>
-
-                                <div className="settings-row">
-                                    <label className="settings-label">Reading Speed</label>
-                                    <div className="settings-slider-wrapper wide">
-                                        <input
-                                            type="range"
-                                            className="settings-slider"
-                                            min={100}
-                                            max={1000}
-                                            step={25}
-                                            value={settings.rsvpSpeed}
-                                            onChange={(e) => updateSetting('rsvpSpeed', parseInt(e.target.value))}
-                                        />
-                                        <span className="slider-value">{settings.rsvpSpeed} WPM</span>
+                        {subScreen === 'controls' && (
+                            <ControlsSettings
+                                settings={settings}
+                                updateSetting={updateSetting}
+                                onBack={() => setSubScreen(null)}
+                            />
+                        )}
+                        {subScreen === 'dictionaries' && (
+                            <DictionarySettings onBack={() => setSubScreen(null)} />
+                        )}
+                        {subScreen === 'fonts' && (
+                            <FontSettings
+                                settings={settings}
+                                updateSetting={updateSetting}
+                                onBack={() => setSubScreen(null)}
+                            />
+                        )}
+                        {subScreen === 'themes' && (
+                            <ThemeSettings
+                                settings={settings}
+                                updateSetting={updateSetting}
+                                onBack={() => setSubScreen(null)}
+                            />
+                        )}
+                        {!subScreen && (
+                            <>
+                                {/* Header */}
+                                <div className="settings-header">
+                                    <h2 className="settings-title">Reading Settings</h2>
+                                    <div className="settings-header-actions">
+                                        <button className="settings-reset-btn" onClick={resetSettings} title="Reset to defaults">
+                                            <RotateCcw size={18} />
+                                        </button>
+                                        <button className="settings-close-btn" onClick={handleClose}>
+                                            <X size={24} />
+                                        </button>
                                     </div>
                                 </div>
 
-                                <Toggle
-                                    label="Training Mode"
-                                    value={settings.trainingMode}
-                                    onChange={(v) => updateSetting('trainingMode', v)}
-                                />
+                                {/* Scrollable Content */}
+                                <div className="settings-content">
+
+                                    {/* EPUB Settings Section */}
+                                    <div className="settings-section">
+                                        <h3 className="settings-section-title">EPUB, FB2, MOBI, DOC, DOCX, RTF, TXT & CHM</h3>
+
+                                        <Dropdown
+                                            label="View Mode"
+                                            value={settings.viewMode}
+                                            onChange={(v) => updateSetting('viewMode', v)}
+                                            options={[
+                                                { value: 'paginated', label: 'Paginated' },
+                                                { value: 'scrollable', label: 'Scrollable' },
+                                            ]}
+                                        />
+
+                                        <Dropdown
+                                            label="Color Theme"
+                                            value={settings.colorTheme}
+                                            onChange={(v) => updateSetting('colorTheme', v)}
+                                            options={Object.entries(getAllThemes(settings)).map(([value, theme]) => ({
+                                                value,
+                                                label: theme.name,
+                                            }))}
+                                        />
+
+                                        <div className="settings-row">
+                                            <label className="settings-label">Edit Themes</label>
+                                            <button className="stepper-btn" onClick={() => setSubScreen('themes')} title="Create and share themes">
+                                                <ChevronRight size={18} />
+                                            </button>
+                                        </div>
+
+                                        <Dropdown
+                                            label="Font Type"
+                                            value={settings.fontType}
+                                            onChange={(v) => updateSetting('fontType', v)}
+                                            options={fontTypeOptions}
+                                        />
+
+                                        <div className="settings-row">
+                                            <label className="settings-label">Upload Fonts</label>
+                                            <button className="stepper-btn" onClick={() => setSubScreen('fonts')} title="Manage your fonts">
+                                                <ChevronRight size={18} />
+                                            </button>
+                                        </div>
+
+                                        <Stepper
+                                            label="Font Size"
+                                            value={settings.fontSize}
+                                            onChange={(v) => updateSetting('fontSize', v)}
+                                            min={50}
+                                            max={200}
+                                            step={10}
+                                        />
+
+                                        <Slider
+                                            label="Font Weight"
+                                            value={settings.fontWeight}
+                                            onChange={(v) => updateSetting('fontWeight', v)}
+                                            min={300}
+                                            max={700}
+                                            step={100}
+                                        />
+
+                                        <Stepper
+                                            label="Line Spacing"
+                                            value={settings.lineSpacing}
+                                            onChange={(v) => updateSetting('lineSpacing', v)}
+                                            min={80}
+                                            max={200}
+                                            step={10}
+                                            suffix="%"
+                                        />
+
+                                        <Dropdown
+                                            label="Text Alignment"
+                                            value={settings.textAlignment}
+                                            onChange={(v) => updateSetting('textAlignment', v)}
+                                            options={[
+                                                { value: 'original', label: 'Original' },
+                                                { value: 'left', label: 'Left' },
+                                                { value: 'justify', label: 'Justify' },
+                                            ]}
+                                        />
+
+                                        <Toggle
+                                            label="Two Pages (Landscape)"
+                                            value={settings.twoPageLayout}
+                                            onChange={(v) => updateSetting('twoPageLayout', v)}
+                                        />
+
+                                        <Toggle
+                                            label="Page Margins"
+                                            value={settings.pageMargins}
+                                            onChange={(v) => updateSetting('pageMargins', v)}
+                                        />
+                                    </div>
+
+                                    {/* Auto-Scroll Section */}
+                                    <div className="settings-section">
+                                        <h3 className="settings-section-title">Auto-Scroll</h3>
+
+                                        <Dropdown
+                                            label="Speed In"
+                                            value={settings.autoScrollUnit}
+                                            onChange={(v) => updateSetting('autoScrollUnit', v)}
+                                            options={Object.entries(autoScrollUnits).map(([value, label]) => ({ value, label }))}
+                                        />
+
+                                        {settings.autoScrollUnit === 'wpm' ? (
+                                            <Slider
+                                                label="Speed"
+                                                value={settings.autoScrollWpm}
+                                                onChange={(v) => updateSetting('autoScrollWpm', v)}
+                                                {...autoScrollLimits.wpm}
+                                                suffix=" WPM"
+                                            />
+                                        ) : (
+                                            <Slider
+                                                label="Speed"
+                                                value={settings.autoScrollLines}
+                                                onChange={(v) => updateSetting('autoScrollLines', v)}
+                                                {...autoScrollLimits.lines}
+                                                suffix=" lines/min"
+                                            />
+                                        )}
+                                        <p className="settings-hint">
+                                            In the scrollable view mode, the header's auto-scroll button scrolls the book hands-free.
+                                            WPM is converted to lines using the words per line of the text on screen.
+                                        </p>
+                                    </div>
+
+                                    {/* RSVP Settings Section */}
+                                    <div className="settings-section">
+                                        <h3 className="settings-section-title">RSVP Speed Reading</h3>
+
+                                        {setBookOverridesEnabled && (
+                                            <>
+                                                <Toggle
+                                                    label="Custom for This Book"
+                                                    value={hasBookOverrides}
+                                                    onChange={setBookOverridesEnabled}
+                                                />
+                                                <p className="settings-hint">
+                                                    {hasBookOverrides
+                                                        ? 'RSVP speed, pacing and display changes are saved for this book only'
+                                                        : 'RSVP speed, pacing and display changes apply to all books'}
+                                                </p>
+                                            </>
+                                        )}
+
+                                        <div className="settings-row">
+                                            <label className="settings-label">Reading Speed</label>
+                                            <div className="settings-slider-wrapper wide">
+                                                <input
+                                                    type="range"
+                                                    className="settings-slider"
+                                                    min={100}
+                                                    max={1000}
+                                                    step={25}
+                                                    value={settings.rsvpSpeed}
+                                                    onChange={(e) => updateSetting('rsvpSpeed', parseInt(e.target.value))}
+                                                />
+                                                <span className="slider-value">{settings.rsvpSpeed} WPM</span>
+                                            </div>
+                                        </div>
+
+                                        <Slider
+                                            label="Sentence End Pause"
+                                            value={settings.rsvpSentenceEndMultiplier}
+                                            onChange={(v) => updateSetting('rsvpSentenceEndMultiplier', v)}
+                                            min={1}
+                                            max={5}
+                                            step={0.1}
+                                            suffix="×"
+                                        />
+
+                                        <Slider
+                                            label="Clause Pause"
+                                            value={settings.rsvpClauseMultiplier}
+                                            onChange={(v) => updateSetting('rsvpClauseMultiplier', v)}
+                                            min={1}
+                                            max={4}
+                                            step={0.1}
+                                            suffix="×"
+                                        />
+
+                                        <Slider
+                                            label="Dashed Words"
+                                            value={settings.rsvpDashMultiplier}
+                                            onChange={(v) => updateSetting('rsvpDashMultiplier', v)}
+                                            min={1}
+                                            max={3}
+                                            step={0.1}
+                                            suffix="×"
+                                        />
+
+                                        <Slider
+                                            label="Names"
+                                            value={settings.rsvpNameMultiplier}
+                                            onChange={(v) => updateSetting('rsvpNameMultiplier', v)}
+                                            min={1}
+                                            max={3}
+                                            step={0.1}
+                                            suffix="×"
+                                        />
+
+                                        <Slider
+                                            label="Long Words (per char)"
+                                            value={settings.rsvpLongWordMultiplier}
+                                            onChange={(v) => updateSetting('rsvpLongWordMultiplier', v)}
+                                            min={1}
+                                            max={1.2}
+                                            step={0.01}
+                                            suffix="×"
+                                        />
 
-                                {settings.trainingMode && (
-                                    <p className="settings-hint">
-                                        Speed will increase by 10 WPM every 10 seconds
-                                    </p>
-                                )}
-                            </div>
+                                        <Toggle
+                                            label="Adaptive Pacing"
+                                            value={settings.rsvpAdaptivePacing}
+                                            onChange={(v) => updateSetting('rsvpAdaptivePacing', v)}
+                                        />
+                                        {settings.rsvpAdaptivePacing && (
+                                            <p className="settings-hint">
+                                                More time for rare words, numbers, paragraph ends and dialogue, less for common words - the average stays at {settings.rsvpSpeed} WPM
+                                            </p>
+                                        )}
+
+                                        <Toggle
+                                            label="Chunk Mode"
+                                            value={settings.rsvpChunkMode}
+                                            onChange={(v) => updateSetting('rsvpChunkMode', v)}
+                                        />
 
-                        </div>
+                                        {settings.rsvpChunkMode && (
+                                            <>
+                                                <Stepper
+                                                    label="Words per Chunk"
+                                                    value={settings.rsvpChunkSize}
+                                                    onChange={(v) => updateSetting('rsvpChunkSize', v)}
+                                                    min={2}
+                                                    max={4}
+                                                    step={1}
+                                                />
+                                                <p className="settings-hint">
+                                                    Short words stay with the word after them; chunks never cross a sentence end
+                                                </p>
+                                            </>
+                                        )}
+
+                                        <Toggle
+                                            label="Split Long Words"
+                                            value={settings.rsvpSplitLongWords}
+                                            onChange={(v) => updateSetting('rsvpSplitLongWords', v)}
+                                        />
+
+                                        {settings.rsvpSplitLongWords && (
+                                            <>
+                                                <Stepper
+                                                    label="Split Words Over"
+                                                    value={settings.rsvpSplitThreshold}
+                                                    onChange={(v) => updateSetting('rsvpSplitThreshold', v)}
+                                                    min={8}
+                                                    max={24}
+                                                    step={1}
+                                                    suffix=" chars"
+                                                />
+                                                <p className="settings-hint">
+                                                    Long words are flashed in syllable parts, using hyphenation patterns for the book's language
+                                                </p>
+                                            </>
+                                        )}
+
+                                        {[
+                                            ['rsvpNoteHandling', 'Footnotes'],
+                                            ['rsvpTableHandling', 'Tables'],
+                                            ['rsvpCodeHandling', 'Code Blocks'],
+                                            ['rsvpPoetryHandling', 'Poetry'],
+                                        ].map(([key, label]) => (
+                                            <Dropdown
+                                                key={key}
+                                                label={label}
+                                                value={settings[key]}
+                                                onChange={(v) => updateSetting(key, v)}
+                                                options={structureHandlingOptions}
+                                            />
+                                        ))}
+                                        <p className="settings-hint">
+                                            Stop pauses and lets you view the original (or the note), Skip leaves it out, Read Through flashes it as words
+                                        </p>
+
+                                        <Toggle
+                                            label="Context Ribbon"
+                                            value={settings.rsvpContextRibbon}
+                                            onChange={(v) => updateSetting('rsvpContextRibbon', v)}
+                                        />
+
+                                        <Toggle
+                                            label="Training Mode"
+                                            value={settings.trainingMode}
+                                            onChange={(v) => updateSetting('trainingMode', v)}
+                                        />
+
+                                        {settings.trainingMode && (
+                                            <>
+                                                <Dropdown
+                                                    label="Speed Curve"
+                                                    value={settings.trainingCurve}
+                                                    onChange={(v) => updateSetting('trainingCurve', v)}
+                                                    options={Object.entries(trainingCurves).map(([value, label]) => ({ value, label }))}
+                                                />
+
+                                                {settings.trainingCurve === 'linear' && (
+                                                    <>
+                                                        <Stepper
+                                                            label="Step"
+                                                            value={settings.trainingStep}
+                                                            onChange={(v) => updateSetting('trainingStep', v)}
+                                                            min={5}
+                                                            max={100}
+                                                            step={5}
+                                                            suffix=" WPM"
+                                                        />
+                                                        <Stepper
+                                                            label="Every"
+                                                            value={settings.trainingStepSeconds}
+                                                            onChange={(v) => updateSetting('trainingStepSeconds', v)}
+                                                            min={5}
+                                                            max={120}
+                                                            step={5}
+                                                            suffix="s"
+                                                        />
+                                                        <Stepper
+                                                            label="Up To"
+                                                            value={settings.trainingMaxWpm}
+                                                            onChange={(v) => updateSetting('trainingMaxWpm', v)}
+                                                            min={200}
+                                                            max={1500}
+                                                            step={50}
+                                                            suffix=" WPM"
+                                                        />
+                                                        <p className="settings-hint">
+                                                            Speed will increase by {settings.trainingStep} WPM every {settings.trainingStepSeconds} seconds, up to {settings.trainingMaxWpm} WPM
+                                                        </p>
+                                                    </>
+                                                )}
+
+                                                {settings.trainingCurve === 'intervals' && (
+                                                    <>
+                                                        <Stepper
+                                                            label="Sprint Speed"
+                                                            value={settings.trainingSprintWpm}
+                                                            onChange={(v) => updateSetting('trainingSprintWpm', v)}
+                                                            min={100}
+                                                            max={1500}
+                                                            step={25}
+                                                            suffix=" WPM"
+                                                        />
+                                                        <Stepper
+                                                            label="Sprint Length"
+                                                            value={settings.trainingSprintSeconds}
+                                                            onChange={(v) => updateSetting('trainingSprintSeconds', v)}
+                                                            min={5}
+                                                            max={300}
+                                                            step={5}
+                                                            suffix="s"
+                                                        />
+                                                        <Stepper
+                                                            label="Recovery Speed"
+                                                            value={settings.trainingRecoveryWpm}
+                                                            onChange={(v) => updateSetting('trainingRecoveryWpm', v)}
+                                                            min={100}
+                                                            max={1500}
+                                                            step={25}
+                                                            suffix=" WPM"
+                                                        />
+                                                        <Stepper
+                                                            label="Recovery Length"
+                                                            value={settings.trainingRecoverySeconds}
+                                                            onChange={(v) => updateSetting('trainingRecoverySeconds', v)}
+                                                            min={5}
+                                                            max={300}
+                                                            step={5}
+                                                            suffix="s"
+                                                        />
+                                                        <p className="settings-hint">
+                                                            Alternates {settings.trainingSprintSeconds}s at {settings.trainingSprintWpm} WPM with {settings.trainingRecoverySeconds}s at {settings.trainingRecoveryWpm} WPM
+                                                        </p>
+                                                    </>
+                                                )}
+
+                                                {settings.trainingCurve === 'plateau' && (
+                                                    <>
+                                                        <Stepper
+                                                            label="Target Speed"
+                                                            value={settings.trainingTargetWpm}
+                                                            onChange={(v) => updateSetting('trainingTargetWpm', v)}
+                                                            min={100}
+                                                            max={1500}
+                                                            step={25}
+                                                            suffix=" WPM"
+                                                        />
+                                                        <p className="settings-hint">
+                                                            Holds {settings.trainingTargetWpm} WPM for the whole session
+                                                        </p>
+                                                    </>
+                                                )}
+                                            </>
+                                        )}
+                                    </div>
+
+                                    <div className="settings-section">
+                                        <h3 className="settings-section-title">RSVP Display</h3>
+
+                                        <Dropdown
+                                            label="Font"
+                                            value={settings.rsvpFontType}
+                                            onChange={(v) => updateSetting('rsvpFontType', v)}
+                                            options={[{ value: 'mono', label: 'Monospace' }, ...fontTypeOptions]}
+                                        />
+
+                                        <Stepper
+                                            label="Word Size"
+                                            value={settings.rsvpFontSize}
+                                            onChange={(v) => updateSetting('rsvpFontSize', v)}
+                                            min={50}
+                                            max={200}
+                                            step={10}
+                                            suffix="%"
+                                        />
+
+                                        <ColorPicker
+                                            label="Pivot Color"
+                                            value={settings.rsvpPivotColor}
+                                            onChange={(v) => updateSetting('rsvpPivotColor', v)}
+                                        />
+
+                                        <Slider
+                                            label="Pivot Weight"
+                                            value={settings.rsvpPivotWeight}
+                                            onChange={(v) => updateSetting('rsvpPivotWeight', v)}
+                                            min={400}
+                                            max={900}
+                                            step={100}
+                                        />
+
+                                        <Toggle
+                                            label="Guide Markers"
+                                            value={settings.rsvpGuides}
+                                            onChange={(v) => updateSetting('rsvpGuides', v)}
+                                        />
+
+                                        <Slider
+                                            label="Vertical Position"
+                                            value={settings.rsvpVerticalPosition}
+                                            onChange={(v) => updateSetting('rsvpVerticalPosition', v)}
+                                            min={20}
+                                            max={80}
+                                            step={5}
+                                            suffix="%"
+                                        />
+
+                                        <Slider
+                                            label="Background Dimming"
+                                            value={settings.rsvpDimming}
+                                            onChange={(v) => updateSetting('rsvpDimming', v)}
+                                            min={0}
+                                            max={100}
+                                            step={5}
+                                            suffix="%"
+                                        />
+
+                                        <Toggle
+                                            label="Next Word Preview"
+                                            value={settings.rsvpNextWordPreview}
+                                            onChange={(v) => updateSetting('rsvpNextWordPreview', v)}
+                                        />
+                                        <p className="settings-hint">
+                                            Shows the upcoming word faded below the current one
+                                        </p>
+                                    </div>
+
+                                    <div className="settings-section">
+                                        <h3 className="settings-section-title">Pacer</h3>
+
+                                        <Dropdown
+                                            label="Pacer Style"
+                                            value={settings.pacerStyle}
+                                            onChange={(v) => updateSetting('pacerStyle', v)}
+                                            options={Object.entries(pacerStyles).map(([value, label]) => ({ value, label }))}
+                                        />
+                                        <p className="settings-hint">
+                                            Guides your eyes through the page at your RSVP speed, with the same pauses
+                                        </p>
+                                    </div>
+
+                                    {/* Remote Controls Section */}
+                                    <div className="settings-section">
+                                        <h3 className="settings-section-title">Remote Controls</h3>
+
+                                        <Toggle
+                                            label="Capture Media Keys"
+                                            value={settings.controlMediaSession}
+                                            onChange={(v) => updateSetting('controlMediaSession', v)}
+                                        />
+                                        <p className="settings-hint">
+                                            Holds a silent media session so headset, keyboard media keys and Bluetooth
+                                            remotes reach the reader. May pause music playing in other apps.
+                                        </p>
+
+                                        <div className="settings-row">
+                                            <label className="settings-label">Button Mapping</label>
+                                            <button className="stepper-btn" onClick={() => setSubScreen('controls')} title="Remap buttons">
+                                                <ChevronRight size={18} />
+                                            </button>
+                                        </div>
+                                        <p className="settings-hint">
+                                            Media keys, page turners and gamepads turn pages in the reader and control playback in RSVP
+                                        </p>
+                                    </div>
+
+                                    {/* Dictionary Section */}
+                                    <div className="settings-section">
+                                        <h3 className="settings-section-title">Dictionary</h3>
+
+                                        <Toggle
+                                            label="Look Up Words"
+                                            value={settings.dictionaryLookup}
+                                            onChange={(v) => updateSetting('dictionaryLookup', v)}
+                                        />
+                                        <p className="settings-hint">
+                                            Tap a word in the reader, or pause on one in RSVP, to see its definition
+                                        </p>
+
+                                        <div className="settings-row">
+                                            <label className="settings-label">Dictionaries</label>
+                                            <button className="stepper-btn" onClick={() => setSubScreen('dictionaries')} title="Manage dictionaries">
+                                                <ChevronRight size={18} />
+                                            </button>
+                                        </div>
+                                        <p className="settings-hint">
+                                            Imported dictionaries are stored on this device and work offline
+                                        </p>
+                                    </div>
+
+                                </div>
+                            </>
+                        )}
                     </motion.div>
                 </>
             )}
@@ -0,0 +1,155 @@
+import React, { useMemo } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Search, ChevronUp, ChevronDown } from 'lucide-react';
+import { getChapterLabel } from '../hooks/useAnnotations';
+import { MAX_RESULTS } from '../services/bookSearch';
+
+/**
+ * SearchPanel - full-text search drawer. Results are grouped by chapter
+ * with the match shown in context; picking one jumps to it and the
+ * reader's search bar steps through the rest.
+ */
+const SearchPanel = ({ isOpen, onClose, search, chapters }) => {
+
+    // Consecutive results under the same chapter label
+    const groups = useMemo(() => {
+        const list = [];
+        let label = '';
+        let lastHref = null;
+        search.results.forEach((result, index) => {
+            if (result.href !== lastHref) {
+                lastHref = result.href;
+                label = getChapterLabel(chapters, result.href) || label || 'Front Matter';
+            }
+            const group = list[list.length - 1];
+            if (group && group.label === label) {
+                group.items.push({ result, index });
+            } else {
+                list.push({ label, items: [{ result, index }] });
+            }
+        });
+        return list;
+    }, [search.results, chapters]);
+
+    const handleResultClick = (index) => {
+        search.select(index);
+        onClose();
+    };
+
+    let status = '';
+    if (search.searching) {
+        status = 'Searching…';
+    } else if (search.hasQuery) {
+        const count = search.results.length;
+        status = search.truncated
+            ? `First ${MAX_RESULTS} results`
+            : `${count} result${count === 1 ? '' : 's'}`;
+    }
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <>
+                    {/* Backdrop */}
+                    <motion.div
+                        className="toc-backdrop"
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                        onClick={onClose}
+                    />
+
+                    {/* Search Drawer */}
+                    <motion.div
+                        className="toc-drawer search-drawer"
+                        initial={{ x: '100%' }}
+                        animate={{ x: 0 }}
+                        exit={{ x: '100%' }}
+                        transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+                    >
+                        {/* Header */}
+                        <div className="toc-header">
+                            <div className="toc-header-title">
+                                <Search size={20} />
+                                <h2>Search</h2>
+                            </div>
+                            <button className="toc-close-btn" onClick={onClose}>
+                                <X size={24} />
+                            </button>
+                        </div>
+
+                        {/* Query and options */}
+                        <div className="search-form">
+                            <input
+                                type="search"
+                                className="search-input"
+                                placeholder="Search this book"
+                                value={search.query}
+                                onChange={(e) => search.setQuery(e.target.value)}
+                                onKeyDown={(e) => {
+                                    if (e.key === 'Enter' && search.results.length > 0) {
+                                        handleResultClick(search.active >= 0 ? search.active : 0);
+                                    }
+                                }}
+                                autoFocus
+                            />
+                            <div className="search-options">
+                                <button
+                                    className={`search-option ${search.matchCase ? 'active' : ''}`}
+                                    onClick={() => search.setMatchCase(!search.matchCase)}
+                                >
+                                    Match case
+                                </button>
+                                <button
+                                    className={`search-option ${search.wholeWord ? 'active' : ''}`}
+                                    onClick={() => search.setWholeWord(!search.wholeWord)}
+                                >
+                                    Whole word
+                                </button>
+                                <span className="search-status">{status}</span>
+                                <button
+                                    className="toc-close-btn search-step"
+                                    onClick={search.prev}
+                                    disabled={search.results.length === 0}
+                                    title="Previous result"
+                                >
+                                    <ChevronUp size={18} />
+                                </button>
+                                <button
+                                    className="toc-close-btn search-step"
+                                    onClick={search.next}
+                                    disabled={search.results.length === 0}
+                                    title="Next result"
+                                >
+                                    <ChevronDown size={18} />
+                                </button>
+                            </div>
+                        </div>
+
+                        {/* Results by chapter */}
+                        <div className="toc-content">
+                            {groups.map((group, g) => (
+                                <div key={`${group.label}-${g}`} className="search-group">
+                                    <div className="search-group-label">{group.label}</div>
+                                    {group.items.map(({ result, index }) => (
+                                        <button
+                                            key={index}
+                                            className={`search-result ${index === search.active ? 'active' : ''}`}
+                                            onClick={() => handleResultClick(index)}
+                                        >
+                                            {result.before}
+                                            <mark>{result.match}</mark>
+                                            {result.after}
+                                        </button>
+                                    ))}
+                                </div>
+                            ))}
+                        </div>
+                    </motion.div>
+                </>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default SearchPanel;
@@ -0,0 +1,101 @@
+import React from 'react';
+import { Minus, Plus } from 'lucide-react';
+
+/**
+ * Rows shared by the settings panel and its sub-screens: a label on the
+ * left, the control on the right.
+ */
+
+// Dropdown component
+export const Dropdown = ({ label, value, onChange, options }) => (
+    <div className="settings-row">
+        <label className="settings-label">{label}</label>
+        <div className="settings-dropdown-wrapper">
+            <select
+                className="settings-dropdown"
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+            >
+                {options.map((opt) => (
+                    <option key={opt.value} value={opt.value}>
+                        {opt.label}
+                    </option>
+                ))}
+            </select>
+        </div>
+    </div>
+);
+
+// Stepper component (+/-)
+export const Stepper = ({ label, value, onChange, min, max, step, suffix = '' }) => (
+    <div className="settings-row">
+        <label className="settings-label">{label}</label>
+        <div className="settings-stepper">
+            <button
+                className="stepper-btn"
+                onClick={() => onChange(Math.max(min, value - step))}
+                disabled={value <= min}
+            >
+                <Minus size={18} />
+            </button>
+            <span className="stepper-value">{value}{suffix}</span>
+            <button
+                className="stepper-btn"
+                onClick={() => onChange(Math.min(max, value + step))}
+                disabled={value >= max}
+            >
+                <Plus size={18} />
+            </button>
+        </div>
+    </div>
+);
+
+// Slider component
+export const Slider = ({ label, value, onChange, min, max, step, suffix = '' }) => (
+    <div className="settings-row">
+        <label className="settings-label">{label}</label>
+        <div className="settings-slider-wrapper">
+            <input
+                type="range"
+                className="settings-slider"
+                min={min}
+                max={max}
+                step={step}
+                value={value}
+                onChange={(e) => onChange(Number.isInteger(step) ? parseInt(e.target.value) : parseFloat(e.target.value))}
+            />
+            <span className="slider-value">{Number.isInteger(step) ? value : value.toFixed(String(step).split('.')[1].length)}{suffix}</span>
+        </div>
+    </div>
+);
+
+// Color picker component
+export const ColorPicker = ({ label, value, onChange }) => (
+    <div className="settings-row">
+        <label className="settings-label">{label}</label>
+        <div className="settings-color-wrapper">
+            <span className="settings-color-value">{value}</span>
+            <input
+                type="color"
+                className="settings-color"
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+            />
+        </div>
+    </div>
+);
+
+// Toggle component
+export const Toggle = ({ label, value, onChange }) => (
+    <div className="settings-row">
+        <label className="settings-label">{label}</label>
+        <button
+            className={`settings-toggle ${value ? 'active' : ''}`}
+            onClick={() => onChange(!value)}
+        >
+            <span className="toggle-track">
+                <span className="toggle-thumb" />
+            </span>
+        </button>
+    </div>
+);
@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ArrowLeft, BarChart3, Flame, Clock, BookOpen, Zap } from 'lucide-react';
+import { getReadingStats, formatDuration } from '../services/statsService';
+
+const DAY_LABEL = { weekday: 'narrow' };
+const WEEK_LABEL = { month: 'short', day: 'numeric' };
+
+// Simple bar chart over [{ key, date, seconds }] buckets
+const BarChart = ({ buckets, labelFormat }) => {
+    const max = Math.max(1, ...buckets.map((b) => b.seconds));
+    return (
+        <div className="stats-bars">
+            {buckets.map((bucket) => (
+                <div
+                    key={bucket.key}
+                    className="stats-bar"
+                    title={`${bucket.date.toLocaleDateString()} · ${formatDuration(bucket.seconds)} · ${bucket.words.toLocaleString()} words`}
+                >
+                    <div className="stats-bar-track">
+                        <div
+                            className="stats-bar-fill"
+                            style={{ height: `${(bucket.seconds / max) * 100}%` }}
+                        />
+                    </div>
+                    <span className="stats-bar-label">
+                        {bucket.date.toLocaleDateString(undefined, labelFormat)}
+                    </span>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// Line of average WPM per RSVP session
+const SpeedTrend = ({ points }) => {
+    const width = 300;
+    const height = 80;
+    const min = Math.min(...points.map((p) => p.wpm));
+    const max = Math.max(...points.map((p) => p.wpm));
+    const range = Math.max(1, max - min);
+    const step = points.length > 1 ? width / (points.length - 1) : 0;
+    const path = points
+        .map((p, i) => `${(i * step).toFixed(1)},${(height - ((p.wpm - min) / range) * height).toFixed(1)}`)
+        .join(' ');
+
+    return (
+        <div className="stats-trend">
+            <svg viewBox={`-4 -4 ${width + 8} ${height + 8}`} preserveAspectRatio="none">
+                <polyline points={path} fill="none" />
+            </svg>
+            <div className="stats-trend-range">
+                <span>{min} WPM</span>
+                <span>{max} WPM</span>
+            </div>
+        </div>
+    );
+};
+
+const Stats = () => {
+    const navigate = useNavigate();
+    const [stats, setStats] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [chartRange, setChartRange] = useState('daily'); // 'daily' | 'weekly'
+
+    // Load and summarize sessions from IndexedDB
+    useEffect(() => {
+        const loadStats = async () => {
+            try {
+                setStats(await getReadingStats());
+            } catch (err) {
+                console.error('Failed to load reading stats:', err);
+            } finally {
+                setLoading(false);
+            }
+        };
+        loadStats();
+    }, []);
+
+    const maxBookSeconds = useMemo(() => (
+        Math.max(1, ...(stats?.books || []).map((b) => b.seconds))
+    ), [stats]);
+
+    const latestWpm = stats?.rsvpTrend.at(-1)?.wpm;
+    const firstWpm = stats?.rsvpTrend[0]?.wpm;
+    const hasSessions = stats && stats.yearly.length > 0;
+
+    return (
+        <div className="library-container">
+            <header className="library-header">
+                <h1>
+                    <BarChart3 size={32} />
+                    Reading Stats
+                </h1>
+            </header>
+
+            <div className="library-content stats-content">
+                <div className="series-header">
+                    <button
+                        className="btn btn-ghost series-back-btn"
+                        onClick={() => navigate('/')}
+                    >
+                        <ArrowLeft size={20} />
+                        Library
+                    </button>
+                </div>
+
+                {loading && (
+                    <div className="library-loading">
+                        <motion.div
+                            className="loading-spinner"
+                            animate={{ rotate: 360 }}
+                            transition={{ repeat: Infinity, duration: 1, ease: 'linear' }}
+                        />
+                        <p>Loading stats...</p>
+                    </div>
+                )}
+
+                {!loading && !hasSessions && (
+                    <div className="library-empty">
+                        <BarChart3 size={64} strokeWidth={1} />
+                        <h2>No Reading Yet</h2>
+                        <p>Your reading sessions will show up here</p>
+                    </div>
+                )}
+
+                {!loading && hasSessions && (
+                    <motion.div
+                        className="stats-sections"
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                    >
+                        {/* Totals */}
+                        <div className="stats-cards">
+                            {[
+                                ['Today', stats.today],
+                                ['This Week', stats.week],
+                                ['This Year', stats.year],
+                            ].map(([label, total]) => (
+                                <div key={label} className="stats-card">
+                                    <span className="stats-card-label">{label}</span>
+                                    <span className="stats-card-value">{formatDuration(total.seconds)}</span>
+                                    <span className="stats-card-detail">{total.words.toLocaleString()} words</span>
+                                </div>
+                            ))}
+                            <div className="stats-card">
+                                <span className="stats-card-label"><Flame size={14} /> Streak</span>
+                                <span className="stats-card-value">
+                                    {stats.streaks.current} day{stats.streaks.current !== 1 ? 's' : ''}
+                                </span>
+                                <span className="stats-card-detail">Longest {stats.streaks.longest}</span>
+                            </div>
+                        </div>
+
+                        {/* Daily / weekly chart */}
+                        <section className="stats-section">
+                            <div className="stats-section-header">
+                                <h2><Clock size={18} /> Time Reading</h2>
+                                <div className="stats-range-toggle">
+                                    <button
+                                        className={chartRange === 'daily' ? 'active' : ''}
+                                        onClick={() => setChartRange('daily')}
+                                    >
+                                        14 Days
+                                    </button>
+                                    <button
+                                        className={chartRange === 'weekly' ? 'active' : ''}
+                                        onClick={() => setChartRange('weekly')}
+                                    >
+                                        12 Weeks
+                                    </button>
+                                </div>
+                            </div>
+                            {chartRange === 'daily' ? (
+                                <BarChart buckets={stats.daily} labelFormat={DAY_LABEL} />
+                            ) : (
+                                <BarChart buckets={stats.weekly} labelFormat={WEEK_LABEL} />
+                            )}
+                        </section>
+
+                        {/* RSVP speed trend */}
+                        {stats.rsvpTrend.length > 0 && (
+                            <section className="stats-section">
+                                <div className="stats-section-header">
+                                    <h2><Zap size={18} /> RSVP Speed</h2>
+                                    <span className="stats-section-note">
+                                        {latestWpm} WPM last session
+                                        {stats.rsvpTrend.length > 1 && ` · ${latestWpm >= firstWpm ? '+' : ''}${latestWpm - firstWpm} since first`}
+                                    </span>
+                                </div>
+                                {stats.rsvpTrend.length > 1 ? (
+                                    <SpeedTrend points={stats.rsvpTrend} />
+                                ) : (
+                                    <p className="settings-hint">Read a few more RSVP sessions to see a trend</p>
+                                )}
+                            </section>
+                        )}
+
+                        {/* Per book */}
+                        <section className="stats-section">
+                            <div className="stats-section-header">
+                                <h2><BookOpen size={18} /> Books</h2>
+                            </div>
+                            <div className="stats-books">
+                                {stats.books.map((book) => (
+                                    <div key={book.bookId} className="stats-book">
+                                        <div className="stats-book-info">
+                                            <span className="stats-book-title">{book.title || 'Untitled'}</span>
+                                            <span className="stats-book-time">
+                                                {formatDuration(book.seconds)} · {book.words.toLocaleString()} words
+                                            </span>
+                                        </div>
+                                        <div className="stats-book-bar">
+                                            <div style={{ width: `${(book.seconds / maxBookSeconds) * 100}%` }} />
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        </section>
+
+                        {/* Yearly totals */}
+                        <section className="stats-section">
+                            <div className="stats-section-header">
+                                <h2><BarChart3 size={18} /> By Year</h2>
+                            </div>
+                            <div className="stats-years">
+                                {stats.yearly.map((year) => (
+                                    <div key={year.year} className="stats-year">
+                                        <span className="stats-year-label">{year.year}</span>
+                                        <span>{formatDuration(year.seconds)}</span>
+                                        <span>{year.words.toLocaleString()} words</span>
+                                        <span>{year.sessions} sessions</span>
+                                    </div>
+                                ))}
+                            </div>
+                        </section>
+                    </motion.div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default Stats;
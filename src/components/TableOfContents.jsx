@@ -1,8 +1,30 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { X, BookOpen } from 'lucide-react';
+import { X, BookOpen, Bookmark, Pencil, Trash2 } from 'lucide-react';
 
-const TableOfContents = ({ isOpen, onClose, chapters, currentChapter, onNavigate }) => {
+const TableOfContents = ({
+    isOpen,
+    onClose,
+    chapters,
+    currentChapter,
+    onNavigate,
+    bookmarks = [],
+    onBookmarkNavigate,
+    onBookmarkRename,
+    onBookmarkDelete,
+}) => {
+    const [tab, setTab] = useState('contents'); // 'contents' | 'bookmarks'
+    const [editing, setEditing] = useState(null); // { id, name } while renaming
+
+    const handleBookmarkClick = (bookmark) => {
+        onBookmarkNavigate(bookmark.cfi);
+        onClose();
+    };
+
+    const finishRename = () => {
+        if (editing) onBookmarkRename(editing.id, editing.name.trim());
+        setEditing(null);
+    };
 
     const handleChapterClick = (chapter) => {
         onNavigate(chapter.href);
@@ -65,16 +87,93 @@ const TableOfContents = ({ isOpen, onClose, chapters, currentChapter, onNavigate
                             </button>
                         </div>
 
-                        {/* Chapter List */}
-                        <div className="toc-content">
-                            {chapters && chapters.length > 0 ? (
-                                renderChapters(chapters)
-                            ) : (
-                                <div className="toc-empty">
-                                    <p>No chapters available</p>
-                                </div>
-                            )}
+                        {/* Tabs */}
+                        <div className="toc-tabs">
+                            <button
+                                className={`toc-tab ${tab === 'contents' ? 'active' : ''}`}
+                                onClick={() => setTab('contents')}
+                            >
+                                Contents
+                            </button>
+                            <button
+                                className={`toc-tab ${tab === 'bookmarks' ? 'active' : ''}`}
+                                onClick={() => setTab('bookmarks')}
+                            >
+                                Bookmarks{bookmarks.length > 0 ? ` (${bookmarks.length})` : ''}
+                            </button>
                         </div>
+
+                        {/* Chapter List */}
+                        {tab === 'contents' && (
+                            <div className="toc-content">
+                                {chapters && chapters.length > 0 ? (
+                                    renderChapters(chapters)
+                                ) : (
+                                    <div className="toc-empty">
+                                        <p>No chapters available</p>
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        {/* Bookmark List */}
+                        {tab === 'bookmarks' && (
+                            <div className="toc-content">
+                                {bookmarks.length > 0 ? (
+                                    bookmarks.map((bookmark) => (
+                                        <div key={bookmark.id} className="bookmark-item">
+                                            <Bookmark size={16} className="bookmark-item-icon" />
+                                            {editing?.id === bookmark.id ? (
+                                                <input
+                                                    className="bookmark-rename-input"
+                                                    value={editing.name}
+                                                    placeholder={bookmark.chapter || 'Bookmark'}
+                                                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                                                    onBlur={finishRename}
+                                                    onKeyDown={(e) => {
+                                                        if (e.key === 'Enter') finishRename();
+                                                        if (e.key === 'Escape') setEditing(null);
+                                                    }}
+                                                    autoFocus
+                                                />
+                                            ) : (
+                                                <button className="bookmark-item-body" onClick={() => handleBookmarkClick(bookmark)}>
+                                                    <span className="bookmark-item-title">
+                                                        {bookmark.name || bookmark.chapter || 'Bookmark'}
+                                                    </span>
+                                                    {bookmark.snippet && (
+                                                        <span className="bookmark-item-snippet">{bookmark.snippet}</span>
+                                                    )}
+                                                    <span className="bookmark-item-meta">
+                                                        {[bookmark.name && bookmark.chapter, new Date(bookmark.createdAt).toLocaleString()]
+                                                            .filter(Boolean)
+                                                            .join(' · ')}
+                                                    </span>
+                                                </button>
+                                            )}
+                                            <button
+                                                className="toc-close-btn bookmark-item-action"
+                                                onClick={() => setEditing({ id: bookmark.id, name: bookmark.name })}
+                                                title="Rename"
+                                            >
+                                                <Pencil size={16} />
+                                            </button>
+                                            <button
+                                                className="toc-close-btn bookmark-item-action"
+                                                onClick={() => onBookmarkDelete(bookmark.id)}
+                                                title="Delete"
+                                            >
+                                                <Trash2 size={16} />
+                                            </button>
+                                        </div>
+                                    ))
+                                ) : (
+                                    <div className="toc-empty">
+                                        <p>No bookmarks yet</p>
+                                    </div>
+                                )}
+                            </div>
+                        )}
                     </motion.div>
                 </>
             )}
@@ -0,0 +1,250 @@
+import React, { useState, useRef } from 'react';
+import { ArrowLeft, Plus, Copy, Pencil, Trash2, Upload, Download, Check } from 'lucide-react';
+import { getAllThemes, themes as builtInThemes } from '../hooks/useReaderSettings';
+import { highlightColors } from '../hooks/useAnnotations';
+import { parseThemeFile, downloadThemes } from '../utils/themeFiles';
+import { ColorPicker, Toggle } from './SettingsControls';
+
+// Editable colors besides the highlights, in editor order
+const colorFields = {
+    background: 'Background',
+    text: 'Text',
+    link: 'Links',
+    selection: 'Selection',
+};
+
+const newThemeId = (offset = 0) => `custom-${Date.now() + offset}`;
+
+/**
+ * ThemeSettings - create, edit, duplicate and delete color themes, and
+ * share them as JSON files. Shown inside the settings panel. Built-in
+ * themes are read-only; editing one makes a copy. Edits apply as they are
+ * made, so the book behind the panel previews them.
+ */
+const ThemeSettings = ({ settings, updateSetting, onBack }) => {
+    const [editingId, setEditingId] = useState(null);
+    const [error, setError] = useState('');
+    const fileInputRef = useRef(null);
+
+    const allThemes = getAllThemes(settings);
+    const customThemes = settings.customThemes || {};
+    const editing = editingId ? allThemes[editingId] : null;
+
+    const saveTheme = (id, theme) => {
+        updateSetting('customThemes', { ...customThemes, [id]: theme });
+    };
+
+    const updateTheme = (changes) => {
+        const { name, background, text, link, selection, highlights, pivot } = { ...editing, ...changes };
+        saveTheme(editingId, { name, background, text, link, selection, highlights, pivot });
+    };
+
+    // Copy a theme into a new custom one, use it and open it in the editor
+    const duplicateTheme = (id) => {
+        const copyId = newThemeId();
+        const { name, ...colors } = allThemes[id];
+        saveTheme(copyId, { ...colors, name: `${name} Copy` });
+        updateSetting('colorTheme', copyId);
+        setEditingId(copyId);
+    };
+
+    const deleteTheme = (id) => {
+        if (!window.confirm(`Delete "${allThemes[id].name}"?`)) return;
+        const rest = { ...customThemes };
+        delete rest[id];
+        updateSetting('customThemes', rest);
+        if (settings.colorTheme === id) updateSetting('colorTheme', 'oled');
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        setError('');
+        try {
+            const imported = parseThemeFile(await file.text());
+            const added = Object.fromEntries(imported.map((theme, i) => [newThemeId(i), theme]));
+            updateSetting('customThemes', { ...customThemes, ...added });
+        } catch (err) {
+            console.error('Theme import failed:', err);
+            setError(err.message || 'Import failed');
+        }
+    };
+
+    if (editing) {
+        return (
+            <>
+                <div className="settings-header">
+                    <div className="settings-header-actions">
+                        <button className="settings-close-btn" onClick={() => setEditingId(null)} title="Back">
+                            <ArrowLeft size={20} />
+                        </button>
+                        <h2 className="settings-title">Edit Theme</h2>
+                    </div>
+                    <button className="settings-close-btn" onClick={() => setEditingId(null)} title="Done">
+                        <Check size={20} />
+                    </button>
+                </div>
+
+                <div className="settings-content">
+                    <div className="settings-section">
+                        <h3 className="settings-section-title">Theme</h3>
+
+                        <div className="settings-row">
+                            <label className="settings-label">Name</label>
+                            <input
+                                type="text"
+                                className="theme-name-input"
+                                value={editing.name}
+                                onChange={(e) => updateTheme({ name: e.target.value })}
+                                maxLength={40}
+                            />
+                        </div>
+
+                        {Object.entries(colorFields).map(([field, label]) => (
+                            <ColorPicker
+                                key={field}
+                                label={label}
+                                value={editing[field]}
+                                onChange={(v) => updateTheme({ [field]: v })}
+                            />
+                        ))}
+                    </div>
+
+                    <div className="settings-section">
+                        <h3 className="settings-section-title">Highlights</h3>
+
+                        {Object.keys(highlightColors).map((key) => (
+                            <ColorPicker
+                                key={key}
+                                label={key.charAt(0).toUpperCase() + key.slice(1)}
+                                value={editing.highlights[key]}
+                                onChange={(v) => updateTheme({ highlights: { ...editing.highlights, [key]: v } })}
+                            />
+                        ))}
+                    </div>
+
+                    <div className="settings-section">
+                        <h3 className="settings-section-title">RSVP</h3>
+
+                        <Toggle
+                            label="Theme Pivot Color"
+                            value={editing.pivot != null}
+                            onChange={(v) => updateTheme({ pivot: v ? settings.rsvpPivotColor : null })}
+                        />
+                        {editing.pivot != null && (
+                            <ColorPicker
+                                label="Pivot Color"
+                                value={editing.pivot}
+                                onChange={(v) => updateTheme({ pivot: v })}
+                            />
+                        )}
+                        <p className="settings-hint">
+                            When off, RSVP uses the pivot color from its own settings
+                        </p>
+                    </div>
+                </div>
+            </>
+        );
+    }
+
+    return (
+        <>
+            <div className="settings-header">
+                <div className="settings-header-actions">
+                    <button className="settings-close-btn" onClick={onBack} title="Back">
+                        <ArrowLeft size={20} />
+                    </button>
+                    <h2 className="settings-title">Themes</h2>
+                </div>
+            </div>
+
+            <div className="settings-content">
+                <div className="settings-section">
+                    <h3 className="settings-section-title">Themes</h3>
+
+                    {Object.entries(allThemes).map(([id, theme]) => (
+                        <div className="settings-row theme-row" key={id}>
+                            <button
+                                className={`theme-select ${settings.colorTheme === id ? 'active' : ''}`}
+                                onClick={() => updateSetting('colorTheme', id)}
+                            >
+                                <span
+                                    className="theme-swatch"
+                                    style={{ backgroundColor: theme.background, color: theme.text }}
+                                >
+                                    Aa
+                                </span>
+                                <span className="settings-label">{theme.name}</span>
+                            </button>
+                            <button className="stepper-btn" onClick={() => duplicateTheme(id)} title="Duplicate theme">
+                                <Copy size={16} />
+                            </button>
+                            {!builtInThemes[id] && (
+                                <>
+                                    <button className="stepper-btn" onClick={() => setEditingId(id)} title="Edit theme">
+                                        <Pencil size={16} />
+                                    </button>
+                                    <button className="stepper-btn" onClick={() => deleteTheme(id)} title="Delete theme">
+                                        <Trash2 size={16} />
+                                    </button>
+                                </>
+                            )}
+                        </div>
+                    ))}
+
+                    <div className="settings-row">
+                        <label className="settings-label">New Theme</label>
+                        <button
+                            className="stepper-btn"
+                            onClick={() => duplicateTheme(allThemes[settings.colorTheme] ? settings.colorTheme : 'oled')}
+                            title="New theme from the current one"
+                        >
+                            <Plus size={16} />
+                        </button>
+                    </div>
+                    <p className="settings-hint">
+                        Built-in themes can't be changed - duplicate one to make your own
+                    </p>
+                </div>
+
+                <div className="settings-section">
+                    <h3 className="settings-section-title">Share</h3>
+
+                    <div className="settings-row">
+                        <label className="settings-label">Import Themes</label>
+                        <button className="stepper-btn" onClick={() => fileInputRef.current?.click()} title="Choose file">
+                            <Upload size={16} />
+                        </button>
+                        <input
+                            ref={fileInputRef}
+                            type="file"
+                            accept=".json,application/json"
+                            onChange={handleImport}
+                            style={{ display: 'none' }}
+                        />
+                    </div>
+                    {error && <p className="settings-hint theme-error">{error}</p>}
+
+                    <div className="settings-row">
+                        <label className="settings-label">Export My Themes</label>
+                        <button
+                            className="stepper-btn"
+                            onClick={() => downloadThemes(Object.keys(customThemes).map((id) => allThemes[id]))}
+                            disabled={Object.keys(customThemes).length === 0}
+                            title="Download as JSON"
+                        >
+                            <Download size={16} />
+                        </button>
+                    </div>
+                    <p className="settings-hint">
+                        Themes are shared as JSON files with background, text, link, selection,
+                        highlight and pivot colors
+                    </p>
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default ThemeSettings;
@@ -0,0 +1,1061 @@
+// Most frequent German words, most common first (top 12502).
+// Counted from the OpenSubtitles corpus (OPUS, https://opus.nlpl.eu/), licensed
+// ODC-BY 1.0; taken from the zxcvbn-ts word lists (MIT).
+export default `
+ich sie das ist du nicht die es und der wir was zu er ein in ja mir mit wie den mich auf dass aber
+eine so hat hier haben für sind war von wenn dich ihr nein habe an bin noch nur da dir sich einen
+uns hast dem kann gut auch schon als sein mal jetzt ihn dann aus meine um im wird mein bist doch
+alles weiß keine oder nach nichts man muss werden will ihnen geht wo etwas oh mehr bei also bitte
+immer hab warum vor los können wieder sagen machen danke sehr alle denn mann tun ihm zum gehen sehen
+vielleicht einem wer ihre diese euch einer komm über gibt okay wissen deine müssen soll werde nie
+wirklich hey kein viel weg würde tut am des einfach leben hatte zeit weil willst kommen dein heute
+kommt wollen damit ganz wäre wollte weißt ok sicher gesagt frau nun bis wurde leid na kannst macht
+dieser zurück lassen hallo meinen gott seine hätte zwei könnte genau waren zur lass klar morgen
+leute vater schön glaube ab gerade tag gesehen reden wohl liebe sollte sagte unsere jemand geld
+durch ob keinen mutter raus gemacht paar mach passiert dachte besser musst wieso sir dieses selbst
+gehört möchte ohne hör her sag meiner anderen helfen nacht finden diesen gute wirst lange natürlich
+ach meinem gar ins sei dort weiter geben seit gleich sagt recht ihren richtig ordnung vom hören
+sieht davon dafür geh diesem wegen hause sollten mädchen hin sollen abend haus denke viele drei
+deinen freund guten unser warte machst menschen essen angst bleiben zusammen welt unter habt schnell
+andere tot getan darf erst rein stimmt nehmen kinder eines glauben bringen ganze genug scheiße
+brauchen gegen moment junge steht sonst musik arbeit seid ihrer fragen herr dabei heißt familie
+warten niemand sofort bevor jahre einmal problem sohn wann brauche fertig halt allein beim sprechen
+beide gefunden hatten sache hilfe verdammt ne jeder warst gern konnte darüber halten siehst verstehe
+jahren kam kind wusste wahr seinen dazu bruder daran ihrem denken könnten dank würden lieber fall
+deiner sehe egal kennen deinem vergessen frage mache komme sage mag sieh echt gib eigentlich jeden
+dad gab uhr stadt männer baby fahren namen bekommen kopf hi gehe kleine später glück letzte freunde
+all darauf ende bald töten dinge meinst toll eins minuten vielen bereit weit ahnung seiner bisschen
+tür auto jungs eure augen polizei stehen sterben hätten draußen kenne fast runter vorbei treffen
+gerne dran wurden arbeiten mom verrückt neue ging hinter sorgen einzige jemanden darum tochter
+braucht idee schwester drin ruhig sah ganzen spät ziemlich solltest name sogar kurz kerl frauen
+liegt suchen finde je woher lang job keiner seinem hört verstehen spielen überhaupt teufel
+verstanden verloren große hand grund jahr kommst mama ruhe gewesen tod stunden hoffe denkst oben
+gestern versuchen art letzten schatz endlich he nimm etwa erzählt läuft schwer anders miss musste
+fünf wasser lässt erste versucht gekommen geschichte wenig holen bedeutet nett wahrheit woche bringt
+deshalb welche bestimmt hoch alter sagst schau ah land zimmer wagen vier gefallen spaß niemals
+schuld getötet wollten verlassen zeigen beste ernst unserer denen ort bleibt würdest manchmal
+glaubst seite lasst zwischen eben während spiel nehme ersten guter chance freundin krieg gefällt
+kleinen erzählen anderes tage entschuldigen wichtig gehst allen bett sachen the schlecht schule
+entschuldigung wort john hättest wären typ schlafen äh tu euer captain gesicht falls neuen bloß
+unten teil beiden mensch kleiner stellen oft sorge gedacht tust trinken einige dies ding unseren
+kriegen blut ehrlich eltern scheint herz jack glücklich alte alt bleib wiedersehen frei wen drauf
+möglich irgendwie reicht fest besten waffe kaum irgendwas klingt platz brauchst rede papa falsch
+sondern alten nummer früher jungen wohin außer früh setzen zuerst wahrscheinlich dürfen jede arsch
+telefon tue kennst willkommen plan großen retten hierher wär bring fehler wollt dollar zehn allem
+pass nächste stunde hände gegeben menge langsam bereits wartet sechs lieben meines büro nächsten
+gebe wochen ruf schaffen leider scheiß hölle trotzdem doktor tja new voll film überall hund geworden
+direkt wolltest tat denkt schiff neues wem könig danach funktioniert hattest lernen deswegen wow
+nennen hm feuer laufen alleine erinnern völlig kleines könnt stelle kumpel verlieren probleme
+spricht kaffee luft fand entschuldige ziehen verschwinden könntest seht aufhören eigenen richtige
+unserem suche zwar groß hol buch krank fühle jedes verstehst wert arzt froh versuche straße rufen
+heiraten super sam lebt gutes lasse onkel total gebracht party erklären spielt wahl vertrauen damals
+tagen leicht nachdem gegangen gefühl kaufen geschafft typen interessiert möchten halte hält glaub
+irgendwo stück genauso kennt genommen zukunft weniger cool licht getroffen himmel nachricht drüben
+passt sagten kümmern laut vergiss angerufen sitzen daß erde großer schlüssel rest passieren eher
+gefragt gefängnis opfer körper solche mist mr findet schreiben böse gesprochen versuch vorstellen
+wovon sobald nochmal herren sex waffen wohnung weh heißen krankenhaus bringe höre millionen klasse
+hart worden sinn außerdem verletzt ändern erfahren tragen wenigstens vorsichtig daddy stolz stark
+fällt möchtest leuten besonders schöne schicken person schätze solange länger großartig lacht
+anrufen stand redest fühlen erwartet boden boss stimme glaubt still sicherheit setz ma mund kämpfen
+wisst lachen hörst zeug lustig umbringen sollst hasse schlimm unglaublich wärst laden führen
+gestorben schauen meinung lesen mörder frank ähm geschehen geschäft idiot verzeihung fliegen zeig
+team general mike aufs york vorher schluss schneller liebt verdient mögen meisten denk umgebracht
+perfekt versprochen handy hinten monate erinnere acht arbeitet fallen rufe nötig mord heraus tages
+unmöglich liebling charlie tatsächlich folgen bitten behalten nähe arbeite joe verdammte plötzlich
+lebens hole tisch michael hörte jemals liegen verkaufen gefährlich anfangen bekommt machte ha hotel
+hilft werdet meister kampf antwort konnten geschickt jedem obwohl sieben komisch gewinnen ihres
+bezahlt you voller unterwegs dumm ärger bild george neu bezahlen dagegen seien starb tom monaten
+leiche niemanden auge arschloch verheiratet peter zieh nimmt gerettet agent traum entscheidung
+schlimmer regeln fenster fangen fort ständig findest gefahr absolut mary augenblick bescheid rum
+gedanken werd ziel benutzt bewegung jemandem wünschte worte kamen welcher zahlen anfang legen
+erinnerst anwalt fahr sitzt hilf offen schönen monsieur müsste arme bier fürs partner klein david
+klappe süß herum finger ehe rolle ließ gleiche monat hochzeit max führt paris wach wozu arm
+geschrieben chef benutzen informationen erledigt hoffentlich müsst fühlt tanzen ansehen darfst
+zuhause wunderbar hältst reise gewonnen dame irgendwann chffffff alex steckt jedenfalls schreit
+tolle rüber tschüss nennt raum heiß foto kalt paul irgendetwas weile bisher minute unbedingt zug
+sekunden wofür erzähl nen beweise nahm aller freut seele schießen müde dauert magst harry brief
+gelernt sucht bekannt weitere unfall dahin kontrolle beispiel lady dasselbe herzen schlagen wütend
+weise damen darin gottes holt fehlt vorsicht heiße beweisen gehabt zumindest vermisst hübsch kriegt
+verbindung tief richtung lage sowieso kraft normal lauf ehre stell geschenk bar tasche gelesen
+gekauft wussten gestohlen hunger leg lügen beziehung ben verschwunden steh nächstes gearbeitet preis
+witz meinte liste geist neben gesucht firma süße rücken schrecklich letzter verliebt öffnen redet
+boot seltsam versteckt fürchte verschwinde erwischt verkauft tante erwarten pferd wunder sauer
+vermutlich näher major jung majestät aussehen ans de and links großes welches beschützen geboren
+erreichen punkt kindern kirche verraten selber befehl colonel fährt zieht geburtstag haut wette
+reich sekunde fahre schwöre geredet james madame eigene zeiten traurig anruf nachrichten frieden
+karte güte euren diesmal schade persönlich kriege stirbt bleibe verändert sonne lieb nämlich letztes
+bekam ruft professor gericht nase ewig singen bank beschäftigt computer yeah toten weihnachten
+offensichtlich naja henry gefühle fuß show überraschung geheimnis fbi kontakt gold drogen regierung
+wein kriegst ermordet fotos entfernt geschlafen manche erledigen ran gegenüber schlaf lust
+wunderschön witzig nick zerstört übrigens willen heim richtigen deines namens zeigt geliebt gehören
+brachte herrn blick besuch schlechte bewegen haare antworten präsident sagtest hoffnung stecken lebe
+rechts interessant entscheiden miteinander meint liebst indem bleibst kümmere wohnen weder
+möglichkeit kaputt bekomme flugzeug vergangenheit anderer zweite armee jim tee entweder weiss don
+detective aufhalten stellt verspreche überrascht sauber hau mark schlag sheriff untertitel setzt
+frag vaters nervös gesellschaft verstecken schuldig hals schützen besuchen of passen überleben
+erhalten teilen gebäude schicksal zeichen richter besorgt küche lief vergnügen wüsste volk lhr
+herausfinden königin soldaten feiern situation lag gelassen allerdings soweit gefahren verstand bord
+schönes jimmy billy angefangen lee fühlst bob mussten rat worauf gebeten tony kamera achtung
+lieutenant ganzes schuhe sarah glückwunsch niemandem gibst statt übernehmen gegend wald al la nimmst
+danny erkennen glas falsche verantwortlich jesus stöhnt herein kleid zerstören jawohl london
+gegessen abendessen gesetz gemeinsam geholfen erster wohnt schritt guck nahe aussieht beginnen
+dachten band ungefähr aufgabe neun furchtbar drinnen zuvor charles freue amerika übrig spur falschen
+sergeant melden helfe werfen bill haltet erinnert hängt freude ehemann erschossen verzeihen schwein
+uh monster entschieden mission verdammten brauch gewusst vorne stopp übel schlampe schöner adresse
+unsinn messer gesund respekt pro leisten davor richard bedeuten ball mitnehmen gespielt to
+schwierigkeiten hälfte kannte stehe maria planeten schwanger gruppe anna verhaftet deal seines
+irgendwelche händen versteht drehen eis danken erfolg zufrieden schließen besorgen wochenende
+worüber stimmen nehmt martin witze beine verbrechen bericht nachts eurer prinzessin schmerz klingelt
+position echte gleichen fernsehen wünsche schließlich gefangen schätzchen seh schwierig angebot nah
+jane gewartet kümmert ring rennen lied eier welchen sorry fantastisch schaut hielt falle drink insel
+dauern daher zufällig dorf clark bewegt mitten bullen feind einverstanden neuer bauen trägt hängen
+freunden deren halb verpasst sprach leise armen wusstest fanden unternehmen träume schläft kostet
+spiele unseres entlang johnny versprechen tiere freiheit verdienen aha unterhalten eingeladen
+schaden genannt beenden ray geändert thomas lächerlich geschlagen park schätzen männern beginnt
+ehren größte energie fleisch besonderes besteht reichen robert zeitung worum nachgedacht betrunken
+sowas patienten gespräch leiden taxi tötet see unterschied wind singt schreien daniel sahen wand bus
+lhre angriff verhalten loch interesse treten quatsch trifft polizist blumen neuigkeiten bringst
+flasche rief schuss fassen meer konntest schafft maschine spreche bein eddie bekommst verbringen
+bücher blöd frühstück tommy meter bilder aufpassen claire dessen muß freuen engel offenbar
+gelegenheit fang lüge ohren au angetan beeil brechen brüder zeitpunkt keinem ecke brücke druck
+mitgebracht seufzt date haufen oma auftrag leer entkommen bobby weißen lösung wart pause irre
+gestellt keller gebrochen weinen nutzen wünschen fragt maul verantwortung schloss hut lächeln ryan
+red grad zweiten hinaus mitkommen vorhin fahrt gemeint ernsthaft gebaut bombe hasst versteh kosten
+zeige traf eigenes haar fragte jason operation befehle schmerzen erklärt steve dach folge gelaufen
+schwarze dankbar gehirn töte mädels mut heilige laura tier system mannes wahnsinn nee rose club
+geschlossen hintern is thema fiel gehalten dorthin urlaub steig vorwärts überprüfen besseres beweis
+baum gebt funktionieren anscheinend lehrer hoffen bessere isst nachmittag nem risiko chuck knast
+entschuldigt gilt held daraus erstes fräulein rachel prima brauchte gewalt dean liebes schaffst
+nachdenken tor erfahrung pläne jagen katze runde deutsche schwanz taten lord dringend commander
+großvater sommer gezeigt hinterlassen gewissen getrunken wahre luke kunden kate zeugen geplant
+amanda erreicht stören stein atmen hose weiße sprichst größer schickt city prinz behandelt tote
+überlegen karten it restaurant welchem roger natur carter emily mami verschwindet lautet streit
+küssen sprich längst fängt drüber gingen erlaubt einzigen bad schmeckt kugel normalerweise schwarzen
+rauf flug beruhigen walter halbe dan geschieht einiges entdeckt morgens schlechter vollkommen
+gelogen verfolgt college weiteren chris louis eh schwert hunde steigen verdammter dürfte riecht
+labor bat tim arthur mindestens fisch eurem füße stehst erschießen kuchen versuchte zustand wunsch
+gäste erwähnt farbe van einigen zufall garten junger autos abgesehen fair vertraut koffer hieß kurs
+wirkt idioten netter seitdem angegriffen geschichten wahnsinnig ähnlich lily aufgeben england
+entführt mistkerl solchen ner geschossen lager besprechen reihe polizisten vogel legt strand
+amerikaner schwarz fern fick scherz san erzählte wichser jake langweilig womit geschäfte my kapiert
+nachher verlangt schlägt überzeugt irgendjemand rot soldat vorbereitet geschah reisen termin gang
+stehlen rechte rache bemerkt frankreich stört radio beruhige pferde vertrag arbeitest dienst zählt
+fragst wesen bürgermeister emma fluss woran geblieben durcheinander me ted nette test mister dadurch
+direktor wichtiger kevin scott karriere akte erinnerung großmutter erzähle lösen bravo griff
+verfolgen zweifel such sprache nerven officer andy langer ziehe entlassen zweimal abholen washington
+kollegen doc fass szene robin scheinen bösen schaffe pflicht wache neulich beeilen knie alice lauter
+spannende unschuldig folgt schutz weshalb geheiratet woanders wurdest kuss verhindern erklärung
+video rom klug kräfte verlangen außerhalb opa selbstverständlich aufstehen hassen pete gebrauchen
+geglaubt milch trink gefeuert erinnerungen müssten suchst fährst kochen schwach schreibt schulden
+hinein simon grenze braut gebraucht peinlich klappt geheimnisse joey aufmerksamkeit form umsonst
+kennenzulernen überlebt nirgendwo meilen einfacher blöde mond ergibt daten merken schande fuck
+fühlte jenny sieg satt blödsinn adam lisa pfund handeln lois enden warm raten übersetzung kunst
+kapitän desto einsatz schweigen krankheit toller schatten wachen tatsache eric stock chief hingehen
+verboten gäbe anzug leichen high beendet freitag million verflucht dunkel geb enttäuscht klopfen
+spuren dreck seiten mühe gezogen brian kontrollieren knochen schick getrennt programm grab ebenso
+trage nachbarn bieten bestes elizabeth fuhr verlässt freundlich dennoch rauchen dick stuhl dreh
+bester schicke vergeben ausgehen behandeln trotz gast ändert passierte toilette annehmen herzlichen
+hexe erwachsen jerry pistole saß dreht aussage liebte street genießen eifersüchtig derjenige teuer
+leo zähne beobachtet gentlemen wählen helft fliegt theater regen feinde william erlauben zulassen
+schnappen komplett panik flughafen bewusst deutschen voraus sterbe solltet begleiten einander fred
+erlebt weiterhin stärker fahrer konzentrieren streiten angeht selben star überzeugen alkohol
+übersetzt verrückte lch king begann angenommen weitermachen echter jackson post mitgenommen
+botschaft ideen fehlen aufgeregt selbstmord dumme zurückkommen irgendein magie phil schlage handelt
+treffe untersuchen flucht verliert irgendeine gegenteil betrifft scharf gehofft kennengelernt
+schlimmste projekt trottel immerhin mehrere erwarte mochte schwimmen zählen innerhalb matt blind
+schwestern code alan schlau absicht barry spielst zuletzt oliver englisch ohr verletzen song schüler
+schien gewinnt älter merkwürdig judy vermisse größe tritt trauen präsidenten trick harvey doug roten
+überlegt größten sonntag zwölf vorstellung schrieb reinkommen killer unterstützung antun rechnung
+dieselbe verändern möglicherweise definitiv locker ed vincent ums abends frisch kohle fing hure
+cousin familien einsam lebendig heiligen knapp ebenfalls überprüft artikel gesetzt jederzeit
+kompliziert spüren signal amy stich kino probieren tode wundervoll tanz geöffnet kerle begraben
+prozent stoppen hoheit riesen rote zugang liest vorn wichtige aufmachen kelly sexy erlaubnis grace
+big story madam leichter halben filme priester herauszufinden packen dritte inzwischen larry presse
+sitze machten geklaut helden susan geduld bühne reparieren hä usa gerechtigkeit fälle selten anrufe
+unterschreiben julia drücken mrs lügner endet dave medizin schreibe verhaften prozess samstag amen
+motor marie abhauen chaos schönheit beinahe lebst tolles anhalten fremden hof akzeptieren norden
+ärzte anziehen dingen umgehen bauch gesamte hübsche ertragen kiste brennt teile deckung landen berg
+straßen aufgenommen gerufen untersuchung alarm blieb vertraue extra entspann beobachten eindruck
+tschüs babys wehtun zog iss herrgott echten springen nackt existiert befreien gerät montag gezwungen
+perfekte erzählst bastard interessieren schlechten hank steigt on carl gekriegt fliehen trug
+freundschaft rate papiere abgeschlossen schnauze beruf gebiet jeff jedoch beten verbunden sprachen
+verräter wichtigste prost brust aufgehört kleider jacke bestellt herkommen wild nenne angesehen
+zuhören trennen schlafzimmer vorschlag meins gift ton vermissen angekommen beantworten deutlich
+träumen verwirrt akten riskieren victor find erkannt beerdigung müll weisst möge stellte mitte
+erleben geburt decke wege schritte gibts gemeldet hilfst mittagessen weint vernichten rock chicago
+ellen crew roy türen gewehr elena arbeitete spiegel hauen geraten dritten ross julie wetter schwul
+regel befindet einheit german armer gucken anstatt champagner gründe strafe smith öfter anne zelle
+langen altes ruiniert jonathan kleidung gras kenn agenten herausgefunden annie rechten brot berlin
+erfreut lügt nehm harte staaten station gaben hinterher verpassen geholt jesse hemd trinke klären
+praktisch theorie zunge notfall besseren winter versuchst dahinter schwere feuern lucy schießt
+anführer schief blau bestens wartest gehts morgan unrecht leck wonach entwickelt bedeutung strom
+krebs gemein wessen minister lhnen quelle zahl schiffe schüsse bricht talent spitze fernseher
+treiben ausgezeichnet tatort möglichkeiten trinkt esse cop details täter wahren dieb offiziell
+dienen westen entscheidungen dauernd geschmack gegenseitig gewählt charlotte pech verteidigen
+schauspieler personen überlassen publikum trägst wechseln begegnet betrogen besucht vertrau europa
+carrie patrick deutschland süßer loswerden melde maggie bestätigt gas sturm setze briefe null penny
+schlafe wirken geführt starten götter festhalten geheim übergeben cia abteilung papier wetten
+gefolgt verschiedene gleichzeitig genie hungrig inspektor zwingen atmet kuh unterstützen geworfen
+verlor süden pater menschheit versteck tötete fähigkeiten beruhigt rechtzeitig streng sendung gelebt
+treppe kim richtiger aufnehmen wolf pa öffnet dämon wut schlange medikamente geschenkt nenn gelegt
+anfassen pizza schlechtes hütte mantel behauptet kilometer beeilung angeblich reiten helen mittag
+gewarnt wohne las dunkelheit spazieren angel hiermit schließt phoebe vieles erfüllt tausend sack
+eindeutig unterhaltung gründen km zugeben mittel explosion gefangenen taylor frische verdächtigen
+neugierig leitung kennenlernen fliege lebte menschliche anderem auseinander fressen beides ficken
+stoff spüre eilig stammt vorgestellt linda welch wichtiges no gehörte mhm glaubte oberst schrank
+fremde gnade chloe yo entspannen virus schläfst einladung krieger vernünftig fein greifen whoa kyle
+schickte per mitglied einziger umzubringen zurückkehren feld mexiko erschaffen information
+hergekommen beweg stärke vermögen verbracht gewisse waschen howard staat geister behaupten schrei
+würdet vögel warnen albert chancen treibt nannte vermute mitternacht jones freundinnen lecker klinik
+dicht befinden ließen bürger verursacht hammer klang internet aufregend grenzen politik superman
+zurecht besitz cops eingesperrt irren kommando schlug krankenwagen love öffne karen richten
+mademoiselle erfunden schnee fühl behalte beschützt punkte entfernen abgehauen geträumt stefan
+dämonen tränen erfolgreich volle wilson caroline höher happy brille musstest heimat terry liebsten
+bye leiter sean kauf spinnst werk cent schlacht beziehungen abgemacht schreie hmm bestätigen
+erschreckt offizier that sara affäre empfangen zweck kämpfe ergeben china fange häuser verliere
+gedanke tausende heutzutage gefühlt schnitt carlos harold lebend real holz kaiser spielte begonnen
+ziehst gelandet scheidung bart beschlossen klo riechen vergisst begeistert ei durchs geil nieder
+erkläre schreckliche beeindruckt vince aufgegeben aufgrund momentan solch meistens stress sterne
+heilen soviel kannten stattdessen aye dinger stimmung bulle aufgefallen kämpft geräusch künstler
+wachsen verurteilt himmels tyler urteil schweine nettes house verlust verließ wirf wenige willie
+schulter kalifornien lernt beigebracht normale anbieten verwenden gratuliere fluch rick übers grün
+unterricht dachtest verarschen gewöhnt anklage tollen lippen fett lege feigling achten gary erfährt
+gewohnt jessica äußerst einladen käse aufwachen verfügung uniform zusehen gesundheit abenteuer hosen
+kurze scheck täglich fresse übernehme wiederholen bestellen freiwillig cole universum zeuge west
+marshall fähig revier reifen mum führe durchgemacht tests führte schenken schädel realität april
+albern brav schwerer jagd versagt truck steckst geschenke sicherlich öffentlichkeit merkt verbrecher
+maske verstärkung liefern jo starke grunde gordon würd verschwand schulde russen führer gemerkt ciao
+loslassen berichten verabschieden antrag schieß abby benehmen verdacht hübsches schreibtisch vampir
+rory probe schaff verzeih patient geküsst ertönt nahmen zahlt vorbereiten verbrannt verdammtes
+frankie informiert einziges zucker stinkt schnappt schreib standen klamotten heil besitzer marcus
+tess drum tasse hinweis verteidigung lügst lies magen enterprise michelle beeilt tunnel einst
+behandlung serie applaus markt korrekt besessen bewahren pack gekämpft black angreifen tiefer huh
+truppen kommandant osten elf beeindruckend besitzt ho heut clever verrückten freien hass antworte
+posten schneiden sammeln gesteckt wissenschaft ursache gewiss bereich catherine meinetwegen senator
+ausziehen verzweifelt jess anteil stets ritter viertel roman pünktlich erfüllen kauft molly basis
+eva schock empfang wiederhole wünscht besondere titel stil fingerabdrücke einfluss anweisungen zahle
+shield opfern blaue sparen weiteres gehörst farm erstaunlich schwachsinn miete verwandelt daneben
+klaus bereiten wüste prüfen gabe hundert erscheinen laß besiegen verpiss umständen angelegenheit
+landes dienstag folgendes fürchten mordes nennst angestellt training aufgetaucht rausfinden ächzt
+rauskommen planet suppe erwischen sitz johnson vorteil for rosa tour amerikanische schönste rufst
+berührt französisch gouverneur angeles kaufe stern gedächtnis wirklichkeit bestraft kreis reine
+edward schlimmes bestehen jeannie erscheint staatsanwalt ewigkeit störung hässlich lauft angezogen
+señor half sollt martha tiger zigarette mutig ausruhen andrew linken hauptmann umstände not unglück
+eng white lucas üben wissenschaftler gelöst reaktion morde dusche mitarbeiter your bedroht gehöre
+befreit stöhnen reagiert identität rund texas fieber hirn leiten donnerstag leonard unheimlich
+mulder jahrhundert irgend diener bruce extrem ausweis sicht sport juden studiert angelogen schaue
+little sally text earl nebenan todd lektion mäuse staub sophie kugeln dutzend ratte mitleid testen
+auftritt gegner joseph verdienst langsamer wunde linie bedrohung bauer kurzem fische einkaufen kreuz
+afrika begangen el nachsehen junior bäume leidenschaft geliebte bereuen spieler berge verwendet
+steuern gekümmert voran wieviel barney graf verabredung verlasse überfallen donna umdrehen damon
+kilo diego negativ schild tanzt verbrennen gefreut penner blauen jay stücke angela kühlschrank
+identifizieren lehrerin francisco kameras zentrale jäger josh wayne wenden we holst suchte start
+füßen unglücklich frohe sand pfarrer plus nancy brachten zauber berühren rückkehr hafen indianer
+miller verschwenden untersucht königs jean lese stahl hättet affen worten kindheit gewollt op
+vermeiden fabrik aussagen wunderbare grandpa miststück verrückter lane jungfrau einfache nate laufe
+reingelegt seltsame heiratet angenehm daheim planen klauen geruch marty klingen tina nächster hörten
+jackie trafen ungern abgelehnt erstens abmachung appetit miami zeigte fan hohen alf ladys sms
+verkauf jamie verbergen sorgt karl sohnes berühmt aussteigen bonnie ginge reingehen durfte korrektur
+wirft titten betreten todes one doctor blöden miles rausholen hohe aufnahme by holmes hübscher vegas
+manager stellung höhle schokolade angeboten befreundet weib ausgerechnet walker beibringen nelson ex
+belohnung seelen steine garage scheißkerl gestört cooper ruhen pillen gepäck carol norman zoe
+amerikanischen telefonieren heirate erkenne funk grüß hurensohn mögliche spring uni scheinbar fakten
+informieren jugend feier wenigen söhne benzin nix vampire erkennt sicherer zigaretten dummes mauer
+erneut flügel schluck hierbleiben abschluss christus bezahle böses dummkopf gerüchte eingestellt
+weitergehen technik ali bezweifle piper over gekostet anzeige wohnst hans ergebnis bedingungen brad
+aufzuhalten versprich verdiene geschnappt francis eile innen italien einig verhandeln weswegen
+nützlich inneren gentleman felix vergesse dunkle warnung gemeinde diamanten wächst gewöhnlich seil
+bär euro großartige beth ware traurige persönliche figur time roboter anschauen kürzlich material
+paula käme stellst bereitet einfallen käfig fantasie brach satz kommissar exzellenz schuldest nass
+rächen womöglich begrüßen lou davis überraschen menschlichen repariert führung gestanden jacob
+schütze störe nina filmen jobs maschinen unterlagen palast graben kette auftauchen interessante
+wovor springt terroristen stan bekämpfen lärm flehe aufgewachsen arbeiter größere humor betrachten
+be organisation widerstand bergen studio hausaufgaben vögeln bescheuert weggehen teller original
+revolution hitler mädel verbinden nathan ermittlungen steck wäsche rätsel besonderen hunderte
+versetzt bibel heiliger reiß kopie besitzen zeitungen zurückgekommen süßes barbara ungewöhnlich höhe
+geschaffen beschreiben ausgesucht notwendig dunklen ignorieren toter deck narr scheißegal höchstens
+übersehen geirrt darunter außen einzig stirbst lhren spielchen girl fahrrad nutte wilde jordan
+bequem rauch verschiedenen kamst betty pool hubschrauber wüssten erstmal kollege vernichtet
+gesichter derselbe hattet konto freie casey haken munition sünde militär gefasst anzeichen geklappt
+hintergrund erwähnen tipp reißen keins genial berichte kram schnapp solle randy umziehen zunächst
+keinerlei typisch bietet leb technologie john-boy ruinieren jünger poirot umso starben rette triffst
+unhöflich safe anzurufen universität mai heben koch derselben katastrophe male olivia prüfung brown
+gesetze meeting versicherung getragen ehefrau mitmachen tauschen ergebnisse boston reg einstellen
+reagieren gefehlt verwandeln gedauert senden blair reporter abgeben mm parker anhören bibliothek
+japan hinsetzen hannah serena motiv paige schalten derek gewöhnen lernte vereinigten gewicht zweiter
+badezimmer schieben dreimal weich echtes zweitens drachen bahnhof erschöpft genauer verlange
+spanisch verrat hexen live legende taub freu konzert hopp wiederzusehen doppelt last vergleich böser
+herzlich monica taschen genügt besucher spanien großzügig teddy hauses leihen scheiden einstellung
+köstlich watson einheiten wichtigen go warne russland angeschossen sammy pierre sklaven laune
+gesamten stille asche geflogen spion what aaron weihnachtsmann hervorragend can verärgert puppe
+überfall unwichtig santa linke übung buffy franzosen wehgetan schwäche couch cousine grant atme
+irgendeinem unterstützt oscar ausdruck pleite beleidigt knopf stop schlimme beweist katie
+dramatische heutigen leere island shane daisy trinkst heimlich eingehen rad greift mächtig williams
+sinnlos versaut netz atem anstellen milliarden flotte umgebung mitbringen beteiligt dunkeln
+entwickeln schämen erwachsene zack durchsuchen hollywood rollen vergesst tricks plätze gefangene
+sünden sender verlass räumen lerne rettet hinweise ausreden alexander mommy diejenige nächte
+herrscht bud jahres dna romantisch flüstert drück jeremy bedanken verabredet pilot colt nigger
+reizend grade stanley leib stecke scheisse ärztin vergewaltigt mußt lieferung botschafter studieren
+köpfe duschen kopfschmerzen öl knarre sekretärin phase handschellen lewis versehen bande treu
+positiv meiste museum albtraum margaret verlobt besiegt existieren könne proben beschissen gewinne
+personal christian bewaffnet fällen wecken wirkung kurt connor rebecca therapie travis amüsieren
+ordentlich weglaufen aufgewacht nähern decken sinne leutnant zauberer hogan bittet ankunft klopft
+abstand bewusstsein nation kontrolliert treffer abnehmen ratten anwälte tempel vergiftet kunde
+august wunden unangenehm ausrüstung segen präsentiert schließ kehle krone garantiert durchsucht
+president tracy verfluchte bestimmten clay ladies ladung beinen hell kent kapitel chase benutze
+alibi ziele bestie gus nirgends wohnzimmer beute bau brennen lex durst logan schwarzer schmutzig
+liebhaber ersetzen juli verfahren kirk stiefel inspector allzu camp dürft orten hitze spielzeug tv
+gloria wolle knurrt meldet rita zone trocken lincoln schreibst audrey quinn probier le kids
+unterschrieben do heulen entschlossen paket gefiel bekamen netten geheime jennifer aktiviert ausweg
+hinweg schmuck ausgang wunderschöne zurückkommt ann illegal ferien persönlichen geiseln segne
+normaler steuer aufgepasst murphy raumschiff dummen weißer ausbildung klavier hauptsache admiral
+entgegen fasse strecke julian version hilfreich schweren jahrelang leeren küste baron behörden grüße
+geklärt bruders kaufte stone puls blue flur denselben rettung widerlich parkplatz katzen laster
+sozusagen mittwoch unschuldige abwarten grandma florida re grünen könntet aufnahmen vision
+schauspielerin passe sing glückliche highschool friedhof irrtum klienten nervt leidet reverend
+trainieren gegenwart zurückbringen herman protokoll studenten durchaus grausam höchste verwickelt
+schmecken klappen apropos liz alfred ansonsten wade missverständnis mitglieder motorrad mickey
+blicken glücklicher hübschen dicke gewünscht gejagt diejenigen diskutieren pinkeln huhn erheben
+paradies tagebuch möglichen jenseits arschlöcher apartment mason pfeift dieselben wilden vergaß
+enttäuschen greg konsequenzen fleck macgyver führerschein online bete verdächtige enkel normalen
+stift interview süßen riesige aussicht ned wiederkommen werbung warf telefoniert anblick einzelnen
+teppich hielten handel gekannt getrieben trainer scully schuh bomben kämpfer victoria bedenken
+sitzung ken sicheren verkaufe ron tapfer experiment besorge tiefe narren abgeholt abhalten bestimmte
+laufenden auftaucht school löschen tara sebastian mies sarg vertragen gebissen geheimen drinks
+schlief tradition soeben komische schultz aufgehalten fähigkeit attraktiv begriff versichere schilde
+legte mitteilen sdh gemütlich muster versprach überwachen eingeschlafen schlimmsten verlierst
+einzelne vergib vorbeikommen aua brüste sandwich gewinner verständnis raymond papst toast matthew
+einsteigen löwen einsetzen gewinn schüchtern scheinst pflanzen green sheldon christopher hätt coach
+werte modell übernimmt walton heftig vorfall motel teams irgendeinen müsstest freier zirkus ruhm
+zurzeit ausmachen rezept töchter laute akzeptiert geschwindigkeit beliebt verpflichtet betrüger
+lohnt märchen blöder becky wille hügel königreich dennis kehren baut chinesen gesichert michel ruth
+block belogen malen kofferraum road bursche erin geständnis ausgegangen begreifen dana blitz löst
+furcht jersey ernstes verteilt bezüglich faszinierend aufmerksam aufregung wendy ethan orte
+entführung keucht erhielt treue felsen malcolm kurzen zorn taucht bestimmen ausgesetzt zurückgeben
+verkehr bewiesen generation liebste ausrichten ausnahme ebene herrlich stürzen herausforderung
+gefälligst farben geliebten ankommen tempo unterbrechen kindes babe erden schrecklichen falsches
+täuschen tal irgendwer deins witwe sichern gerede betrug trauer anwesenheit bilden gewachsen ausflug
+jill verlaufen rand kenny rechnen aufzug befragen wegnehmen abschied benötigen pst amt reiche otto
+beginn daumen bestrafen clarence weine fremder sachte identifiziert gestehen mac owen morris riesig
+entscheide koma prinzen bewusstlos county marke harter hill höflich jude setzte besorg absichtlich
+vermasselt verschlossen sowie gesang gedreht ford religion ey unterschrift rosen persönliches queen
+fortschritte eingang zugehört biete clara vorhaben kultur patientin stephen explodiert nichte
+verzichten steven harris existenz drehbuch football anzusehen ohnmächtig zaun anthony geladen guckt
+privat peg brauchten liam heb virginia wächter eimer blasen rakete salz unfair verzeiht esel
+krankenschwester symbol entscheidet fahrzeug unterwäsche betrachtet bauern engländer wartete schaust
+genossen tropfen probiert spock café verhungern versuchten mütter september aktion bestanden haaren
+louise schluchzt übertrieben heilmittel apparat vorm friedlich richtiges zuschauer teenager
+geliefert may gestritten maus lediglich charakter riley krass weiterer group ricky diana geräusche
+lichter starken dexter staffel flaschen putzen einbruch geheilt beißen nicole stammen wände
+befürchte kostüm warren grüßen versagen übernommen hoffte verschieben verspätung whiskey mars media
+entdecken traue thron riesigen zelt akzent truppe übertragen kompliment flammen erkennst erschrecken
+gemälde ari walt chip mannschaft cindy loyalität benjamin dankeschön vertreten verhandlung lernst
+brüllt füllen letztendlich krise verlierer spencer with kekse ausschalten penis profi whisky
+erledige gelächter fängst erklär einspruch angeln rausgehen monk kaution eures gesessen verrate
+kehrt boy summe lade billig curtis bernard juni gerissen festgenommen ralph befohlen überlege
+koordinaten flog herzinfarkt hinlegen nahrung liege geflohen knall nebenbei mylord nachbar küss
+lhrem geleistet nutzt fröhliche nebel front veränderung affe kontaktieren brand fuhren zwischenzeit
+eingesetzt anton philip megan schlimmeres rennt anlegen nachzudenken schwör übliche kreatur
+verderben medizinische besetzt zugriff kanal blutdruck grüne ausgeben papi clown lhrer sonny
+schwören hühnchen arten aufgebaut sydney betrügen steele trank glatt trainiert indien autor geweint
+blume verletzungen special zwillinge mia reißt zeigst stirb justin diane gefickt schlägst moskau
+erwartest gestoßen durchgehen praxis gründlich benny eingeschlossen tragödie vollständig psychiater
+rasse lance vertraust kummer eigener christine partei zentrum testament entfernung private welten
+verlegen heroin erfuhr gelände kutsche dummer homer stabil ausgeschlossen out draus aufgehoben
+single regisseur vielmals dylan bestand erbe weggelaufen jim-bob noah leichte zuständig losgehen
+long hustet brutal besprochen halbes bargeld peggy action zusammenarbeiten beunruhigt achte innere
+kanone eklig armes avenue öffentlich nützt marine brillant köder gespräche nähert vorgehen
+kleinigkeit kissen manny geisel gerecht trost gehasst gesorgt archer spinner vergebung vieh schnelle
+normales gefesselt lautes kalte leitet angehen ekelhaft salat schicht intelligent meg verhältnis
+socken brieftasche holly packt eventuell nirgendwohin methode gelangen gespannt vernunft zurückgehen
+regnet drama entspannt wörter klingeln ruhige sprung anständig gangster harten aufzeichnungen ofen
+cowboy endgültig aufgaben ruh deutsch neil wodka know air respektieren riskant lohn zuviel zustimmen
+schnaps troy stufe erleichtert scheune vanessa klink spaziergang katherine zettel kotzen blödmann
+hurra lana symptome vorfahren nutzlos shaw telefonnummer nochmals grey medien faul dient russell
+ereignisse aussuchen verprügelt zweites sherlock fabelhaft klinge leistung beileid castle
+durchführen mitchell eröffnen unschuld seist stoßen palmer like genügend sofa gestatten gekocht
+biest lydia bräuchte ausgelöst väter verarscht butter nachbarschaft villa data goldene schließe saft
+begehen hauptquartier geschworen abgenommen werkstatt überreden nannten gemüse schläger frisst
+bewundere geschieden assistentin wettbewerb lebten sieger verfassung küsst fußball geschnitten
+master quietschen füttern gürtel unschuldigen menschlich eigenartig oje hanna kabel duke franz zahn
+landet kisten liegst mona krankenstation leine beschreibung ausmacht beschädigt grundstück steckte
+bahn turm mine sauerstoff nö angesichts ll versager deinetwegen vic angeklagt aufhört baden knacken
+verbindungen panzer marcel bach leiser stimmengewirr zerstörung stirn finn sanft kloster charmant
+aufbauen thanksgiving anlass zähle verlieben atmosphäre ronnie samantha leber jener begegnen dämlich
+krawatte juan tarnung kanada alpha baker tabletten faust auftreten monroe blatt gelöscht dschungel
+alison niedlich klage wolltet jonas akt schießerei anwältin überleg frisur spruch jene moral
+angelegenheiten dokumente fröhlich spezies oktober schachtel opfers noten ellie irgendwohin nora
+brunnen toby sandy lampe craig jagt eigentum diebstahl spenden betrieb gemeinsame absurd gegensatz
+frühling dünn ausland schultern entwicklung vergehen ahnen verbessern herzog diskussion gehalt lemon
+freak glocke forschung geradeaus fette iris rechnungen kasse tödlich tieren ian oberfläche gitarre
+bedienen jan zwang marsh politiker bären vereint irgendeiner ward besuche schreckliches schoss
+collins werkzeug kranken neffe sue dauerte brooklyn lebenden bevölkerung hergebracht just
+durchziehen gepackt service furchtbare liebster flieger vorschriften beherrschen guy detail
+ausgewählt herunter schriftsteller wärt kümmer andererseits bay gene shuttle üblich entführen ike
+jury box ausgedacht freddy partys rausgefunden plant feige gesungen möbel bewährung schieße umgeben
+berater e-mail bailey zoo gedicht lorelai bellt vorschlagen genießt baseball locken ooh trennung
+lautsprecher ticket umwerfend kanzlei wahres zufolge come hebt anschlag timing kid tucker befehlen
+etage dazwischen jules heisst objekt bedaure wobei kokain strategie freundes wolken gräfin bruno
+getreten cal pardon genosse ungut verteilen fuchs day organisiert bla up world east löcher aktiv
+hunter werfe beantwortet meist reis hierhin scotch überfahren logisch heather französische bekannte
+episode engagiert manipuliert zellen are blake dienste sodass volkes golf janet schmeißen grand
+zurückgekehrt eröffnet summt unterrichten verschaffen verlobte erfahrungen shit persönlichkeit gina
+streichen offenen weisheit vergeht beruhig zielen fans wüsstest ashley schuldet erhöhen schönsten
+momente adrian kameraden eingebrochen amüsiert erwähnte mitch premierminister geringste übernachten
+infiziert goa dinner rieche kredit allison lake legal merke jubel klänge größeren bewacht vietnam
+lehren chandler präsentieren nacken auflegen vergangen fangt hühner hector teal sprengen einsperren
+turner zusammenhang wahrer joan marco breit pfeife treibst rannte beschuldigt set verlegt
+überraschungen orleans douglas tauchen verdanken nadel psst gelacht apfel behilflich dreckskerl
+mitgefühl wichtigsten krieges wehe hope heirat exakt widerstehen höchst zurückgelassen gespürt
+methoden interessantes sau notaufnahme verwandten jeffrey trinkgeld ermitteln riechst beach sorte
+kartoffeln bo elefanten sichere sämtliche gekündigt vereinbarung harmlos weiber this dicken
+rauskommt old angestellten datum bezug kerzen lawrence marsch benötigt ermittlung lagen unbekannt
+gefressen brett manieren han enthält anfing kümmerst berühmte schwieriger piloten scherze anfängt
+läufst bekannten rasen empfehlen härter geweckt befördert reiter empfinden bereite täte benutzte
+halloween abgesagt down quasi kocht reingekommen hupen hinunter vorüber ausdrücken reese elliot
+perfekten folgte rebellen di hauptsächlich schuppen braver neill zwanzig berichtet einrichtung
+november sensoren korrigiert houston richie verdächtig legst aufgebracht alternative experte ferne
+prinzip holte richte donald weisen ozean gelungen natalie esther abschaum stevie überwacht
+schwierige ausgedrückt hastings notruf riss bremsen häufig aktivieren lloyd anstrengend antwortet
+ais verschwörung kellner startet franklin andermal humphrey evan lkw erhält schmeißt fürst carson
+perry küsse gebet miranda melancholische räume riskiert verhindert ausrede darling tüte manhattan
+operiert unfassbar herrin hergestellt lila gerichtet fordern fischen kriminelle jenem verschafft
+dezember anspruch räuspert sid unsichtbar keith seth ersetzt ruby handtuch yang dale blödes doof
+wertvoll kardinal jefferson kommunikation operieren problemen aliens cameron erik erkannte river
+loszuwerden unnötig begleite analyse hochzeitstag melodie wehren pablo romantische zurückrufen rente
+zeremonie platte now ersatz mütze veränderungen zeugin rührt versichert teilt russisch wundervolle
+willy wiederhören passagiere diebe guckst fließt elend andauernd nicky ungeheuer fit
+zeitverschwendung ansicht gefährliche bell vierte verbrachte zentimeter trete politische interessen
+anlage anderson autounfall gefangener aufstand schafe absolute kontakte trip notizen ausgegeben
+versorgt gnaden piraten eli stuart sowohl muskeln unwahrscheinlich steak japaner spritze there
+fesseln umarmen loser begleitet früheren ally wacht morden eingefallen fox schneide weiten times
+musiker reichweite hood maya handys öffentlichen beleidigen russischen gabriel glenn erschien romeo
+wünsch schach explodieren kater wundern französischen thompson habs beeinflussen heult hinfahren
+bedingung empfinde top gemocht heran stella ärgern klingst konkurrenz erfordert mädchens unsicher
+festung runden detektiv pastor kratzer junges melissa gruselig flugzeuge durchgeführt intelligenz
+stieg zugestimmt mutti genieße schützt rückzug konzentriert schäme reserviert goldenen bude metall
+kane jacques nüchtern absichten south handschuhe erschießt arrangiert verwundet debbie bates anfühlt
+drückt absagen behalt einiger russische beeindrucken düstere geschäftlich egoistisch mario rocky
+ranch pat gerücht jen temperatur weggenommen tickets li ablenken verletzung anwesend umlegen
+einfachen gehorchen gemalt duncan räuber adler süßigkeiten lunge zurückziehen wyatt sonnenuntergang
+oper agentur kühe aufräumen krach sharon ablehnen graham pfeil unbekannte aussprechen route
+emotional belästigen kälte sektor blockiert öffentliche schweden gates häuptling märz nummern dar
+irrst leite frosch vorübergehend büchern mick miese anfangs verwandt gefährdet cola falscher kara
+verängstigt quellen republik us silber aß umschlag freust hinsicht ereignis beschissene vergraben
+gebunden marion ente gläser kommentar doppelte boris sanfte gibbs lola buck zivilisation tiefen
+reicher verhaftung meldung bohnen pfeifen hall leon raketen gutem versetzen ziege löwe cat central
+tötest pierce privatsphäre büßen kalten eid burschen zweit unterscheiden gerechnet telegramm sprecht
+babysitter pfad getanzt mafia verteidigt abschalten wellen besoffen diensten abschließen angehalten
+doyle assistent ketten reist merkst bot gwen inwiefern pille bock korb herrschaften en bedauern
+angefasst heißer aufrichtig conrad versorgen sperren naiv mauern hugo erweisen zurücklassen samurai
+hoffnungen feststellen finch mandanten quartier philippe neidisch alicia chips zugelassen weibliche
+schlauer vorwürfe aushalten einschlafen transport laptop arrangieren städte vorzustellen unterm
+flash u-bahn status bond stephanie zweifellos rückwärts skandal angebracht pressen tschuldigung
+papierkram trat gemeinschaft instinkt flitterwochen narbe kombination vorgesetzten ausprobieren
+solcher sexuelle geliebter julien lauren ignoriert leslie zogen zahnarzt gelitten zutritt
+vergewaltigung drehe ertrage andern streich kichert sternenflotte kreaturen reif übermorgen dicker
+got nest but angerichtet verklagen helm bingo vergleichen schweiz bemerken herbst meredith
+zurückholen nazis stamm auswahl braves sichergehen antreten lester vorstand sdi robbie organisieren
+tank let besprechung studium gossip kreditkarte schwuchtel profil donner drake schrecken stall saßen
+quitt hotels respektiere kandidaten schulen crane geschäftsmann arnold läutet lachst champion
+unverständlich ermorden betracht schadet fester aah rühren geregelt unterbrochen angesicht
+kriminellen when helena einzelheiten anlügen beschütze stattfinden dads fortschritt gelingt
+feierabend feste burger spannend deputy einnehmen schalte passwort würstchen mittlerweile aufzugeben
+führst harper zivilisten ewige emotionen beurteilen käufer stars erwachsenen division aufzunehmen
+booth werft ältere banken kätzchen option heiratest rettete aufstellen husten schublade gestürzt
+seattle ankommt befragt buchstaben spielten gestiegen abgefahren gewaschen anzunehmen rob anzahl
+zombies have anhänger gewisser vorkommen festnehmen willow medizinischen kern offene gefeiert
+anschließen rico clarke erfindung besserer autopsie rucksack zwingt gnädige einsamkeit gesprungen
+t-shirt geopfert lena beiseite umgekehrt geschworenen draussen ausgesprochen beseitigen burg
+ausführen gesperrt carla irrer drehte ersparen force frech einziehen kira hot genehmigung tankstelle
+versteckte interessanter schneider gelb et gefährden handtasche urteilen erhöht preise bumm
+unbekannten gelten life butler möglichst münze singe saison andrea partnerin haltung vollidiot fasst
+winston minus pflichten spar demselben ruhestand versteckst kai bewachen oz vera anhörung lieder
+miguel dreckig verbreiten wei sch carmen first schenke wölfe erholen bedenkt blutet freddie
+beschweren schmeiß gauner verursachen elvis produkt cathy tafel kacke versammelt sandra regelmäßig
+geschrei ruder allah vollen aktivitäten wohnte kaninchen systeme orange platten rex geliehen
+befolgen belästigt hongkong zombie vorgeht heißes überprüfe veröffentlicht erschieß mahlzeit
+offizielle yorker angie aufbrechen überlasse get kenntnis beschissenen trevor verbindet sanitäter
+überraschend geantwortet droht italienisch verhör größeres klagen dichter großartiger gratis
+fürchtet abzuholen gefühlen beschäftigen unglaubliche selbe barnes spürt funkgerät abgegeben laurel
+angemessen ohnehin chinesisch orden angeheuert wählt lustige abhängen vierten tanner schläge zögern
+bezeichnen seltsames beruflich un bedeckt anzufangen geraucht töteten begeben verständlich pop
+merkte infektion kitty entspricht winkel experten betten boxen torte austausch aufregen vermuten
+geheimdienst schlangen erholt zach überzeugend prue genick wuchs autorität schinken wien langes
+sookie zoey fetten hai binden erpressung derzeit getäuscht buddy keines sammlung anruft tauchte
+weist ergreifen frohes hänge bewohner entschied supermarkt offiziere verwandte schwachkopf antoine
+irak rangehen naomi kündigen geldes dealer könige army januar agnes priorität beförderung kranke
+eifersucht way heutige sprang kürze polen erbärmlich erfasst besonderer good geräte tanze königliche
+durchmachen dallas verschwendet kennedy uld alec akzeptiere ausgeschaltet ufer risiken schrie
+beeinflusst hal aussiehst ausgebildet bezirk herrje beauftragt geschützt abgeschnitten qualität
+henker ausgezogen versichern gewinnst navy schmidt beschloss batman sun kapierst scheibe veronica
+rosie pedro konferenz länder flecken fur neal sonnenaufgang reed braun diagnose paranoid weltraum
+adams vorbild halle wandern fisher frost gehandelt hawaii kabine chefin porter römer weinst bäumen
+simpson datenbank suchten gesegnet teilnehmen umbringt claude blonde bunker mieser löffel geteilt
+klaren bree abhängig überlebenden worf geeignet hindern fahrstuhl ausgeht mylady flagge komplette
+hing italiener disziplin erzogen harvard kongress eingezogen kurzer schirm merlin charme vorlesen
+gefährlicher mitfahren maurice anzeigen schieb empfindlich parken koche gestrichen berühmten manchen
+klopf zorro reichlich lügnerin mode songs breche ausgeraubt hahn wußte krachen spürte versammlung
+folter speck bedrohliche piept verbreitet nolan tore vorräte saal wirtschaft fremd mehrmals
+generationen coole kaufst abbrechen seife herde zwerg brandon neffen festgehalten ablenkung totale
+herrscher überstehen sprengstoff mikey erdbeben level australien figuren älteren lynn po theo spinnt
+gleichgewicht schalter kumpels zuneigung rollstuhl bienen mischen hauptstadt koks piepen langem
+umsehen gelegen em banditen hasste getestet camille brody dosis glaubten somit ernähren hacken
+kammer lenny roll bezaubernd wiederholt zueinander tattoo melanie einschließlich randall finsternis
+wallace betrachte schmerzt gelehrt gewechselt menschliches redete frühen voyager caleb entdeckte
+wirkte versprichst scheine transporter moderne elijah wilder abgelenkt abzug north becher
+sicherstellen anweisung klettern fingern geste spürst privatleben zusammenarbeit hinauf si tokio
+sicherheitsdienst kaugummi weltkrieg huren foster gemeinsamen garantieren wells ln antonio
+kommunizieren cm marc blieben technisch frühstücken ve khan billiger elaine standort wagt leugnen
+beißt landung ernste schockiert esst begleitung allianz vermutet echo herstellen lars lokal sklave
+honig videos verkehrt göttin segeln bewahrt cass hinterließ ganzer cody doris verurteilen höchsten
+februar privaten burke begegnung steige feuerwehr apollo beginne ähnliches stevens grauen wärter
+gewann vertreter starker liebend marge schoß serviert heilig bißchen security genaue wally gewaltig
+knoten begriffen klarstellen chwhite hinrichtung überwinden ablegen einfällt wundert stimmte drohen
+madison entgehen stundenlang hausmeister helikopter beverly puppen aussah night beobachte check
+juwelen bogen duft ankam respektiert non schein gewehre kellnerin vertraulich insgesamt ächzen
+untersuchungen fliegst platt aufrecht geprüft hammond bedient mangel hoher knien hobby ling ivan
+nachtisch kollegin edwards alptraum regina ausgesehen reichtum überaus eisen beamen haftbefehl
+verletzte buchstäblich größter sylvia flieg dreckige erfinden ernte kamin scotty weste sahst
+kennzeichen grayson kronen wage siegen verlobten edgar afghanistan würdig aufwacht gratulieren
+schwager violet infos föderation dose wärme erschienen magazin klemme schenkt min wars verstoßen
+nicholas georgia kräftig herzens mel nachbarin igitt formel bro hervor wohnwagen wegwerfen spinne
+tumor bezahlung päckchen grob nagel donovan starren vertreiben wirkst traust heiratete take neuesten
+e-mails gitter blocks erobern gin spinnen gestalt liter patty drew illusion plaudern schneidet welle
+samuel haft seltsamen spannung knallt zurückzukehren bestimmung tresor amber verfluchten fischer
+verluste lehre jenna revolver schrott verbringt state wähle films vorhang mitspielen erregt
+arbeiteten aufgelöst überlass trag überein unterrichtet ungewöhnliches eve lagerhaus raub visionen
+firmen liv verhandlungen fickt verdorben produktion füreinander krankheiten reggie jeanne schräg
+belle bluten meinten beamten bereden claudia einmischen ärsche futter verknallt muschi beschuldigen
+aktien harrison scheißer sexuell kinderspiel torres magische dummheit gezahlt bewegungen karre
+abziehen bedarf üblichen umgelegt inhalt dankbarkeit peng herkommt geehrt träumte make-up verhört
+messe anwesen deutscher saubere gebete pommes toni lande ruht anerkennung wunderbaren galaxie
+vermutung inklusive überwachung unabhängig brien fernhalten statue bestätigung dawn finale
+verzweiflung gewährt deprimiert erteilen colin rahmen durchgedreht erteilt fotze fehlte verlorene
+kanonen kansas klub britischen aufzubauen jubeln ausgelöscht marianne stu servieren weltweit
+fotografieren niederlage zehen schwächen sternen sheila bemühen logik stillen bellows todesursache
+beschaffen abgezogen klassische außergewöhnlich gruppen schwarzes durchhalten lm weitergeht
+kooperieren mächtigen greif mehreren verschwindest forderungen anfall klare teresa wunderschönen
+bestehe verkaufte aufeinander garcia hässliche großem mitbekommen gate saul ingenieur campbell
+andenken eintreten kämpfte zustimmung besagt roter flamme aufzuhören dokument bishop schuhen timmy
+simone federn paps auswendig bundy spezielle experimente szenen gezählt pfannkuchen hase highway
+aufenthalt bennett devon polly verstecke summen blutung more heidi hilflos staatsanwaltschaft
+ehrlichkeit messen mächtige stur ringe weiterleben aufspüren keks rückgängig fünfte netflix mieten
+speziell neugier nägel ausgefallen glen yes verstorbenen verkleidet entdeckung rauche betteln blond
+cam gilbert burt weggegangen nutze gütiger abgebrochen herkunft annahme wirfst gestank hintertür
+truthahn gefüllt bereithalten vorhat eleanor touristen fordere tagsüber feucht jeans befragung
+abgelaufen picard fu wunderbarer depp hüte israel ausschau kreischt bellen manipulieren studie
+heinrich knurren busch abwesenheit reitet komplizierter traut bestellung tatsachen heiligkeit back
+jahrhunderts verglichen sehnsucht überredet demokratie ranger empfehle schalt gevögelt young ra
+silver kräften rauszukommen schäden aggressiv ausleihen bella schlucken wesentlich satan erben
+police horn lebende schmutzige eiskalt sirene birthday ritual ira pflanze stürzt reynolds investiert
+bernie marilyn formen freundchen politischen freigelassen lionel rausgeworfen verprügeln bescheiden
+garderobe streifen rausgekommen jodi voneinander wirt kasten zeichnen backen scheitern francs jon
+salon medikament demnächst geboten spike auslösen pferden lebensmittel ruhiger durchsuchungsbefehl
+allmählich benommen adieu fragten vortrag amerikas sherry och oui erpressen flittchen zähnen u-boot
+daniels endete ängstlich she as durchbruch dorothy wiederhaben schrecklicher model besitze sorg
+sophia sullivan chor zuschlagen schere kampagne jax verrücktes gestartet reinigen stoppt lucky
+quälen berufung luis knöchel zeitplan zerbrochen verfluchter weichei jegliche versuchung shelby
+beitrag picknick argument reiner flüstern dummheiten meile hamburger kontaktiert spione fähnrich
+erinnerte türklingel henri dynamit organe fell sonnenschein archie lache elisabeth aufgelegt
+bräutigam chinesische monats shakespeare verrät drunter schottland drohung wa wende gefoltert
+erwachsener einzigartig briten profis mon übertreiben ressourcen bischof nationale ausstehen
+geschwister mountain zurücktreten avery roberts axt hugh händler ägypten überdenken ludwig fiona
+warme joel konzentrier del dampf missbraucht loyal wurzeln aufhängen wurm kathy kerze bereue
+loslegen fingen besatzung dog klüger zugestoßen befürchten folgende schmerzhaft jody beschrieben
+zittern standpunkt visier rang phoenix wesley herausfindet schaute theoretisch if chan beutel
+drängen schlimmen klient hängst veranda pam jüngste strahlung betrügt unendlich gedichte sven irene
+gereist schiss benimmst schwangerschaft subcentral kopien infrage zweifeln nonne müsse juliette
+richtet lecken feuerwerk neueste geistes verletzten abwechslung ausgeführt kleingeld evans
+gelegentlich denise braten angelegt artie corporal entsteht rogers herzschlag glücklicherweise
+heilung cäsar angeklagten profit brüllen verschieden münzen hinterlässt königlichen stadtrat
+pressekonferenz nich geschaut zugegeben end komisches regie merk boote verbrennt allergisch
+schweizer verdächtiger gasse tussi befürchtet reite außerirdische ehemaliger radar gestattet gefecht
+angeschaut gedient pension strich lippenstift stab außerirdischen termine maler verweigert boxer
+vorteile ausstellung tragisch rasch oberste polizistin windeln detroit arizona universums aufheben
+narben fleißig freizeit elegant dolch sloan eindringen auszeit internationalen fielen weggeworfen
+vergeuden blätter blass konzept look keineswegs faden kleinste geschrien ertrunken blase treffpunkt
+schrift mathe royal evelyn britische körperlich konzentration schaltet draht at älteste höhere
+gerannt tower gedrückt reinigung fordert ideale stiehlt money eiern dritter züge optionen ge roland
+ersticken farmer batterie obst badewanne manches droge übertragung enge nickerchen juhu cora lungen
+öffnete abschneiden valentine hierbei sorgst phillip schaffte omar anfänger gen ungerecht reue two
+rhythmus kündige mitgehen siegel moore stechen baue prostituierte heller umgehend hoffnungslos
+checken drücke wong merkwürdige valley brandy gelbe nützen venedig gideon lernten benimmt georg
+mächtiger genutzt verzieh schüssel dreckigen wiegt kg abraham seltsamer hiervon beraten schienen
+wirkliche träumt versprech ideal norma sire marschieren mitbewohner verlobung funken gleichfalls
+geringsten empfange führten ex-frau gelben lach vereinbart kimmy prügel läuten anzugreifen balkon
+fran flüchten umkehren ansieht rechtfertigen belügen verdächtigt begannen snow oskar englischen
+inspiriert murray shirt erlaube ertrinken sorgfältig spuck eingetroffen chang lynette feine home
+grosse schickten überreste how garantiere unerträglich vorerst yale verirrt überstanden harriet liga
+wertlos marvin gottverdammt gesammelt kanntest bezeichnet beantworte baltimore shirley connie
+netzwerk moses entstehen ingalls lauten fasziniert ehrliche akademie grünes branche rudy soße
+situationen entführer ewigen erzeugt fünften dtv registriert basketball abgesetzt irgendwelchen
+vorsitzender bedürfnisse suite mhm-hm regieren barkeeper ausgemacht fritz dateien dixon gegründet
+wolke wall umgang schenk festen erziehung agentin marines hasen institut mittleren hingerichtet
+lenken angewiesen überlebende bass pearl lahm basiert rasieren angeordnet gewalttätig untergang
+flach autogramm schwule kompanie casino solches sackgasse einbrecher stehenbleiben erwartungen
+flüssigkeit erraten verkaufst vorsprung zahlst verkäufer zukommen abdrücke kurve kämpfst les
+verziehen invasion pissen klarer herrschen prince zylonen donnie giles outfit prinzipien rühr
+entzückend reinen drecksack frischen corabeth höhepunkt elsa geduldig rio pest wenigsten beschwert
+natürliche erzeugen fürchterlich veröffentlichen wunderbares isaac unglücklicherweise ratschläge
+erstickt vagina scharfe nutten äpfel zoll region zuliebe riefen wachmann gipfel geübt jammer lädt
+galerie enkelin mönch tinte journalist glückspilz platzen ego reinste news aspirin right andre
+früchte gewähren prophezeiung winzig light tonnen lizenz maßnahmen ermittelt stufen joy lüg who
+student absetzen schwindel national fanny vorgeschlagen arbeitslos borg getränke ick joyce änderte
+philadelphia pfoten ausländer häng clyde kalender isabelle hannibal brüdern überstunden angehört
+langweilen deutet griffin friseur oberen fertigmachen they teure silas gedroht ana ermordung maura
+komischen bestimmtes diskret kriechen weißes luthor hinüber zauberei wünschst nadia biss komischer
+hotelzimmer delta chinesischen beängstigend hills quentin frequenz vorhast tödliche summer verband
+gebucht investieren website diät benimm vergangenen rodney verbringe zukünftige kong ehemalige
+aufklären kämen unauffällig gefälscht geier anschuldigungen sal restlichen tomaten gonna philosophie
+liebten programmiert shawn festgestellt fällig kneipe bezahlst beende fehlst vornehmen sumpf
+apotheke internationale liefert wehen bastarde erstochen schiffes manuel nördlich american körpers
+schal anklagen schlagt entscheidest sammelt gegenzug vorzubereiten enttäuschung unterkunft
+freilassen grau hunt verlobter niere kratzen altar erstaunt ausbruch tuch fahne beleidigung
+bedeutete verhält unheimliche unsterblich hohes evakuieren produziert nachfolger blicke vorschläge
+chauffeur englische ironie ausreichend hit anderthalb erlösung käfer küsschen eugene auslöschen
+ihretwegen limonade hedley billige tequila schlachtfeld knight gemäß angreifer hingegangen dns zero
+liefen schale restaurants ausfindig mills angriffe rotes percy modernen motto eintritt bh betroffen
+misstrauisch verwirrend kapelle starkes brick gebetet einrichten ausnutzen kinn frisches quatschen
+automatisch chad körperverletzung spritzen einwohner renn pink chen gezeichnet anständige steif
+rekord durchgeknallt foltern erspart kuba bräuchten überdosis armband bert adoptiert komplizen
+ehemaligen department einschalten handschrift ältesten assistenten großartigen männlich übernimmst
+übrigen klaviermusik ash viktor judith gemietet mischung luxus schwung vicky hochgehen wegtreten
+stargate carlo beherrscht grippe informanten mm-hmm hülle side floh kit fitz nudeln schaf uhrzeit
+zigarre tänzerin einkaufszentrum vollmond mexikaner piepst gestoppt gray eingerichtet umarmung rohr
+batterien ella spende julius mumm gans leuchten alien dom geriet unterzeichnet operationen schütteln
+vermissten angespannt folgenden fantastische fies warp heilt auswirkungen geschlecht buchhalter
+drache computerlogbuch deuten bildung aufbewahrt persönlicher erpresst sang hinbringen
+amerikanischer üble einfaches angesetzt mmm hudson josef reagan volltreffer jonah totaler robinson
+zustößt herrschaft verhören unverzüglich christina bemüht aufgefunden unfähig stellten mi
+ursprünglich distanz rufus verheimlichen verstorben göttern hunden letztens jasper napoleon joshua
+billigen verschont rendezvous empfehlung handgelenk boten unterzeichnen belasten speziellen
+literatur landete gelangt cooler quer satelliten triff analysieren zuhälter zutiefst geleitet
+schlachten angestellte gestalten köpfen stipendium illegale vergiften here feiert bewundern herbert
+furchtbaren hüfte involviert wurf maschinenraum inspiration ohio samen hinterhalt gewahrsam schweres
+einatmen zurückhalten schlampen parfüm präsidentin abe entlassung todesstrafe ausgebrochen wegfahren
+sultan hauch abstellen pornos erklärte produzieren müller gehängt weinte routine merci nellie xander
+schneid kluge heart ländern bevorzuge ctu umkreis beschwerden teufels brooke genehmigt bildern
+scheißen schenkte erschlagen irland yard journalisten fände zurückkomme ärmel fließen arabisch
+verfolge juckt männliche klingonen zerrissen tausch schlaganfall johannes popcorn gärtner bläst jet
+chester garantie ändere jessie anstand power junkie vati topf packe knöpfe aussehe verabschiedet
+bedürfnis nähen sprecher chemie hinweisen stumm zusammenhalten geradezu mitzunehmen weite lori
+rippen kühl dahinten techniker abel betet beachten baute bonjour schecks ausgabe boyd vermasseln
+nötige südlich gramm laken bildet bewahre leises lastwagen kritik stürzte behält sofern vermisste
+entsetzlich francine ermittler nikki aufgestanden fälschung visiontext abschnitt hausarrest sensibel
+album lebewesen lösegeld verwechselt prügeln regnen weichen point pussy anvertrauen ollie kuppel
+verließen jakob besuchte gewerkschaft herhören vorbeigekommen stärken hinzu wrack knarren treibstoff
+signale nachkommen hoppla verborgen belegt babylon waisenhaus brasilien bitteschön wurmloch alters
+deb fee milton quarantäne kommunisten stiftung milo gestapo verreisen halleluja süchtig jammern
+hofft wertvolle maulwurf konflikt turnier gebacken rauszufinden taube mais nüsse trieb eigenschaften
+feder sänger elias dessert rathaus drohungen bewirken mörderin edith wanne durchkommen reid mandy
+vertraute schätzt freuden dauer regt verbessert unerwartet drogendealer gefährlichen fach verdanke
+wohnungen commissioner cross kragen schwachen mercedes klirren valentinstag anstelle plane reizende
+höheren markiert ehrenwort cheers schlamm wälder diner handlung costa versauen klassiker stange
+empfohlen cynthia gaby rauswerfen mechaniker beichten abkürzung professionell begräbnis verführen
+meinerseits valerie françois magischen ellis dienstmädchen chirurg wal paare center sähe aufgemacht
+leide amüsant obersten fletcher gerührt schwänze note datei zugleich nackte doppelten bewundert
+dimension quere wecker entstanden kreischen vivian läden ios lobby umgezogen angeklagte perlen
+schwulen dutzende simmons aufgezogen campus herd hospital leichtes rich gegrüßt aufsicht hündchen
+gegenstand tageslicht emotionale clean cassie sünder beträgt wunderschönes schickst weiblichen
+rauszuholen kapier rausgeholt entworfen eingenommen daphne mochten köchin willi beichte seven marina
+ausliefern perfektes glücklichen wodurch entsprechend umher erica wurst notiz vorsprechen bekannter
+antrieb zwerge trösten armut verbannt parade konzentriere angefahren kindisch krüppel kreisen
+bestrafung araber klebt perücke gemma hummer se june wimmert drittel budget lieferwagen shannon
+zurückgebracht verschwiegen drang redeten chi herzukommen anhängen einsame wu wraith erwartete
+tierarzt cousins zudem sturz rusty untergehen gelang wasch schmutzigen abkommen tänzer dürften
+erstatten verarbeiten verfügbar autobahn mandant clubs lukas widmen sprichwort hierfür vergeltung
+hardy gekleidet fotografiert knallen wichtigeres immerzu schuldgefühle schnurrbart genügen rumlaufen
+brötchen flut haushalt angelo cleveland ministerium aufgestellt est anker wang qual rauschen debatte
+informant masse insekten lud glotzt rückseite spezialität schimmer mordfall verbieten terrorist
+sirenen theorien kichern positive gestresst korea zeitschrift wildnis menschlicher schlamassel
+behindert überbringen reingezogen mitzuteilen zurückkam abstimmung dritt senat mittags marshal
+bridge price raucht veranstalten jahreszeit zusätzliche want drucken segel crowley bezahlte
+überflüssig taschentuch square rockmusik beschleunigen wählte lustiger marian glocken tennis seither
+christen überqueren kreuzung häusern weiche trudy punkten henderson verpasse potter reinlegen jeep
+gefilmt hamilton bucht bildschirm saufen gehackt eminenz mailbox münchen erschoss jenkins attentat
+garrett verschwendung bemerkte miesen zischen helf geschirr ähnlichkeit feiglinge spass lächelt
+klaut setzten bon entwischt rauchst masken schwimmt ausgezeichnete vorname schwitzen ginger bourbon
+haust befand lacey elefant annähernd gewebe unterschätzt sternzeit wachte barbie eichhörnchen
+zerbrechen poker wechsel lesbe cordelia konten schleichen strasse höschen jüngsten niedrig sonja
+klimaanlage vulkan thea anbetracht lesbisch cristina platziert abgrund zeichnungen sinken hamburg
+trauern abreise dates bette klemmt ansehe lin passend sidney mittagspause wettkampf verschluckt limo
+erhebt beneide beschwerde erregen überwältigt turtle nypd benannt begrüßt trommeln burns hayes
+fortsetzen geplatzt pan mildred erschieße locke nachnamen anpassen altmodisch teurer feuerzeug trau
+serienmörder georges dr durchgegangen beseitigt alkoholiker laßt ganzem elemente feinden rückweg
+amelia abigail heimweg menschlichkeit signora geheimnisvolle mcgee befolgt abreisen premiere
+schwingen initiative from felicity sexuellen geschäftsführer telefone peterson strafzettel gelobt
+uniformen beschissener pulver welpen angesprochen kung angenehme kostüme nachmittags lebewohl
+reporterin crystal nikita vorwand genervt kreditkarten durstig eintreffen nationalen mitteln trauma
+beobachtung aufhält dergleichen erwacht schlaft lebenslauf anrufbeantworter feiner verschoben
+zumachen relativ wes rücksicht lamm pier widersprechen erwische dachboden bradley keinesfalls duck
+bislang retter transportieren anrief aufpasst braune spontan prächtig galactica verreist
+jahrhunderten pullover ansprechen frischer queens moon spitzel schnellste bemühungen dreckiger büros
+unfälle beamte angeschlossen unterschiedliche kluger stürmen jedi begreife fersen vorbereitungen
+fortfahren produzent zwischenfall zurückgezogen autsch ivy riesiger vorhänge pflege rauslassen
+kermit golden nachforschungen erfahre kanzler jin stößt austin sahne binde zwiebeln schlitten
+jahrhunderte talente läßt rennst kay erbarmen verkünden vorgestern betreiben starsky mindeste mimi
+andrews singst einsätze nötigen egon bemerkenswert warmes dinosaurier wahrscheinlichkeit worin rabbi
+nachfrage unwohl pony materie verpisst leuchtet wehtut unterwelt irrt prüfungen vertrieben haustür
+neuigkeit gereicht weigert semester unternommen gespart geerbt starbuck glanz fähre betäubt arrogant
+ausgeliefert gästen holland zuzusehen fotograf eigentümer hinkriegen speed realistisch vaughn
+kindergarten riesiges pub bedrückt streitet deckt kassette mack arrow vergebe said fish kandidat
+klempner blaues ängste litt verliebte befahl spaghetti franzose dunkler zukünftigen anzubieten
+gesendet tobias schlauch einstein gelähmt grillen landschaft funktion anonym albträume träum
+facebook mh veranstaltung mount verpflichtungen sinclair rue schülerin innerlich künstlerin madrid
+schöpfer regiert aufschreiben erleichterung ava auktion regal fakt christi niveau fahndung friede
+erlitten mathematik nasa bittest psycho matratze tretet mordwaffe finanzielle bänder detectives
+wieviele undercover herzustellen arbeitgeber werkzeuge frankenstein beruhigungsmittel ingrid coulson
+trugen kurzfristig spannungsvolle clayton kämpften erlangen weltall nanu vertuschen weckt gewagt
+nieren zinsen hutch einpacken monty ballon verflixt herkam rudel gregory horizont sofia durften
+zusätzlich dekan verträge umzug brady sängerin wäldern darstellen limousine fracht zurückzukommen
+morty gedenken aufgeschrieben handlungen struktur kerker aufzupassen hüten christ unverschämt
+durchschaut mögt nachname händchen calvin birne vorgesehen gnädig nachgesehen predigt versehentlich
+schwerter erwiesen software einschlagen schiebt geahnt tätig abgestürzt eingriff politisch
+gewöhnliche stärkste zuflucht generator union raven ungeduldig unklar suspendiert arbeitsplatz
+treppen matty vereinen bruch metern fällst unruhig schlechteste platzt plastik abgerissen halber
+anvertraut leder ausser verfehlt verehrte schmutz aufzuspüren stühle rausbringen komitee mamas
+klarkommen propheten durchsage flora stiefvater grimm lolle faith auftreiben ernie nationen ausgaben
+secret käpt rauskriegen entstand alarmstufe übersetzen griechenland rüstung attentäter tauben
+gewohnheit mieses kindermädchen brenda nervst japanische bitch nsa werner beinhaltet donuts
+abgefeuert luther davonkommen godzilla hinzufügen dreier werwolf denver hebe ehrgeiz aufenthaltsort
+hinreißend gruß borgia howie mckay dj nu zeichnung geige fortsetzung kotzt glückstag japanisch
+archiv einholen bush raushalten verheimlicht hacker hingabe uhren cyril erobert bandit linien
+umzugehen roberto vornamen tessa nerv berührung ergreift sattel gelangweilt intakt isabella poesie
+pflegen belastet reinlassen yen geprügelt perspektive schreist sperma hingelegt wildes begreifst
+marcie ii metropolis schildkröte umzingelt buddha bonus wagst spucken einlassen günstig yu
+lebenslänglich sloane präzise bilde sorgerecht blinde gebot zurückzahlen ameisen verleihen
+bearbeitet riker deckel theresa pentagon frechheit sinkt gastfreundschaft enthalten schwamm
+glückliches sperrt cliff healey container aufsetzen erhielten ermöglicht erstellen cesare
+rausgeschmissen vorgefallen herbringen freiwillige korrigieren leichnam negative never schwebt
+vorsichtiger pilze kürzer bezahl behältst erfüllung verbündeten achtet meiden ansichten isoliert
+ausschlag fünfzehn aufruhr felder make gesunde toiletten schwierigen crawford quittung portal
+gesetzes großeltern mo investition raj schweiß selbstvertrauen geschluckt sendet aufgehängt susie
+taschenlampe saint justiz jägerin heer neapel illegalen schuft rückt drohte scheiss zurückkehrt
+verlangst zünden ärgert großteil instrument codes herzogin bumsen aktivität entwickelte ronald
+gegenmittel reiches sheridan taktik studien dramatisch potenzial anpassung jugendliche ass zerstörte
+clowns professionelle verlorenen gelingen militärische atlanta richards ausgenutzt maestro brooks
+freies cheryl gier insbesondere überzeugung angemeldet winzige vorstellungen massaker gail ausdenken
+auspacken heizung haley magnus mußte erzähler kolonie gps girls gerichtssaal donnerwetter studentin
+greta tickt räumt boom miriam gesichtet kleben zuzuhören ritt bauten abgeschaltet atlantic marquis
+teich raubüberfall duell keuchen chirurgen señorita wange auszuschalten wiedergutmachen vorbereitung
+geile kranker festplatte stoß stieß eingreifen portland enorm aufsuchen verzichte sichtbar pässe
+vorschrift gehör jedermann genieß irgendjemanden ups substanz amsterdam arbeitszimmer notwehr
+patrouille gewitter dax zeigten klappern schmetterling sarge preston förmlich celia tammy enger piep
+ausgetauscht baustelle bewirkt brennan pratt gerochen meintest wusstet broadway drehst martini
+starrt austauschen janice schnellen beerdigt sozialen angerührt say verläuft abschlussball medaille
+vielmehr anschluss anzünden wunderschöner naht handtücher basierend perfekter ungewöhnliche
+international mistkerle vizepräsident brichst abgelegt halluzinationen festnahme steph pirat umwelt
+axel butch teilweise verfickte dat bearbeiten fetter natürlichen ausgestellt wendet gewöhnlicher
+lavon springe gingst änderungen orbit kapsel unbewaffnet internat zeile mühle zeitalter gabst neger
+prediger schwache minen paulie geheimes sessel wegbringen shepherd weiterhelfen verpflichtung baten
+geparkt gerichtsmediziner anita zurückkommst bluse reines gegenleistung jaffa gemeinsames
+japanischen kehre helfer aufstieg entkommt partie lächle verdeckt abfall hauptrolle lilly tarzan
+klingel jens flirten spanier taxifahrer länge träumst tausenden blockieren darcy ausschließen kiki
+wechselt erforschen scanner eisenbahn rumsitzen munter zugesehen karma tristan stückchen provinz
+mitgemacht yvonne pärchen kritisch peters suzanne gesunden finanziert elektrizität busen erlebnis
+mccoy vaterland bitter schleier notarzt stattfindet hervorragende krimineller durchatmen stopfen
+übergabe monatelang beeile harley unterschreibe effekt einlegen verwirrung überschritten where
+instrumente mailand belassen latein caine großartiges billie grundlage reihenfolge körperliche
+würmer arena mexico hong ballett luder gerald werke bullshit mae verfolgung lizzie männlichen
+exemplar bedauerlich blinden jage cd honey finanzieren anstalt vorbeischauen pakt damm laser gustav
+einsamen derart unteren versammeln behörde info beckett gedeckt köter positionen vertrete kirby
+vergewaltigen chemikalien verwechseln helle vergrößern anhaben tuvok angepisst ida mississippi
+unterschlupf hemden besen herkomme ließe jazz eilt candy vorwerfen plans il abzuhalten odo tugend
+fürsten neuanfang drängt verweigern töne patricia maureen staates anordnung orchester senf qualen
+verwaltung übertreibst anonymen galt ver scherzen ausgeflippt modern schwiegersohn getränk hörer
+finanzen bang colorado vernünftige verteidiger rupert verbirgt ähnliche bevorzugen bea hindurch
+eigentliche belästigung seltene mysteriöse vorsitzende anzüge haue häh feuert vorausgesetzt
+profitieren sabine kaltes eingedrungen huch creek vorläufig canyon adern mordkommission schnattert
+baxter piepsen benutz chelsea dämliche erkältung belohnt grinsen bund gestochen katharina moms
+provozieren geschmeichelt anrichten letztlich gehirnerschütterung lehnen geknackt partnerschaft
+eingeschaltet whitney skye gestohlenen aufhörst tagelang oswald scofield unterscheidet begleiter
+margot ober tödlichen apokalypse much knabe montgomery eingebildet berühmter reihen schwindler
+verarschst maß rechtsanwalt geritten romantik net räder nanny betsy erklärungen haushälterin gütig
+privatdetektiv rumhängen ansteckend marcy anstoßen michaels gefüttert nackten nervig neuem sheppard
+geistig niedergeschlagen nicolas herumlaufen einmalige verstößt ähnelt morphium tool bote monitor
+kooperation schwerkraft abgewiesen auserwählt bedacht frucht phaser söldner taugt dalton objekte
+pulli ärzten kiefer aufwecken angemacht klugscheißer zaubern gabel engagieren funktionierte gross
+schwächer empfindest führ ernsthafte vermitteln einzusetzen andreas hughes jenen nonnen
+vorgehensweise wat spender val company blauer rasiert vergebt mayday venus verhafte steigst
+identisch bange bekämpft jep gastgeber innenstadt mitbewohnerin papas schwindelig dc ratschlag scham
+intensiv amigo louie defekt beziehen or talentiert bridget gretchen angezeigt schaufel erschüttert
+reingefallen vetter braunen boys bestechen rücksitz sicherzustellen verärgern magier management
+eröffnung grill schiffen passte deacon chefs verbinde würfel physik dosen grove champ möchtet porno
+absoluter stadion abgeschossen streben durchstehen beging streik weiterfahren ramon tipps sweet
+hinsehen isabel starte plätzchen magazine wanda beruht ragnar korruption wimmelt hook lux abgestellt
+liefere anschließend grube mei flieht schriftlich kamerad irrelevant ironisch herab friedrich stier
+entschluss gescheitert begrüße kitt desaster wachsam startklar gutmachen log luca hypothek anhand
+schlagzeilen auslöser gaius kündigung atlantis entzug server adele leibwächter abzulenken angeben
+abknallen schuldigen thor erschrocken lehrte häschen daily handschuh seide bewaffnete caesar sklavin
+leinwand erzählten geguckt georgie stimmts brendan leichten phillips pistolen verbringst scannen
+richmond klatschen städten ohrringe präsentation gotham häuschen vermittlung zahnbürste feinen blei
+gönnen schlugen sprüche erreichbar scheißdreck kerlen zuverlässig sasha aufprall stewart hochzeiten
+aneinander vorwurf gehörten ausflippen kehrte sonntags cyrus garde sonde blutungen roosevelt
+flüchtlinge unterhose scotland instrumentalmusik becca heldin geschmeckt rod unterstütze schluchzen
+säcke psychopath madonna bezeugen massage geschmissen pudding einzuladen meldete ecken bedrohen lulu
+lichtjahre line schweig zwecklos teilnehmer charley langeweile offiziellen rudi verzeihe hässlichen
+gewidmet tabak ernannt übler sandwiches adoptieren geistern sheriffs vorgesetzter kodex südamerika
+kostete verführt schonen pauline machtlos einsehen mythos verantworten ausschließlich ahh pamela
+geschäften zurückbekommen anrufst marihuana mithalten lebenszeichen woody anmachen sklaverei
+haustier inseln ohh stützpunkt trennt gesichtsausdruck andré gesunken fernbedienung verstärkt fã
+markus element sterling olga verlegenheit metro bruderschaft probiere wiederum bereitschaft chet
+börse aufsatz untergrund versiegelt gegenstände gebildet rast regiment kostenlos ausschuss dvd
+gesprengt ausweise allan feindliche irina feldwebel zerbricht lenkt durchdrehen ausgelassen kramer
+tango respektlos stripperin hengst schwanzlutscher löse banane bloss gavin skinner schurken wäscht
+daraufhin nico walsh geschäftspartner weggefahren psychologie zwing verständigen belastung bender
+bindung sherman umarmt entkam gespenst konntet menschenleben wurdet öde ursprung geputzt sektion
+schleppen erfassen terrasse wilhelm unbesorgt warteten eingereicht sekretär turk beruhigend
+angezündet verbrechens impuls voreilig peitsche griechen bennet installiert verlier rebellion karin
+seemann bones aufgeräumt verdiente elender sound absturz begleichen orgasmus toto vögelchen
+reinkommt renee benachrichtigen kavallerie allerseits übe constable weigern wirklichen aufträge
+beifall cents angehörigen damien resultat global pennsylvania warmen danielle verbiete entschuldigst
+wahlen aufziehen weitem verdreht powers vorschuss bananen dex schuf beschützer fuer wahrlich hüften
+betrag hysterisch schwor schlägerei flogen bösewicht aufwachsen römischen carolina auszeichnung
+riskiere florence ermöglichen komiker auffallen eingegangen kondom besserung vinnie karton verspätet
+obhut aufführung fraß abfahrt hydra briefkasten häftling ezra kat unterschätzen sisko hausfrau
+hannes errichten stapel reparatur pike reste übereinstimmung entwurf shoppen anliegen täuschung doll
+eliminieren verstärken insassen mithilfe packung adressen kang themen aufteilen unberechenbar
+eingeschlagen verklagt drohne vage hindernis izzy qualifiziert solo gierig schreck verrotten
+integrität hinterkopf wundervollen lo lob verwirren allgemeinen frustriert ohnmacht autoschlüssel
+erfährst image grady people unheilvolle kapieren zigarren josé joint nachgehen gedrängt soziale
+diente vieler wissenschaftliche dastehen inmitten millie brannte mengen ausnahmsweise silvester
+berufen schließfach bunny kenneth tische wasche vase einhalten halfen übernahm millionär dreißig
+bernadette denjenigen begeisterung forscher begabt design matthews taufe entscheidend zurückhaben
+katrina nervensäge betritt rodrigo kuckuck veränderte vollbracht jeweils passende unabhängigkeit
+türe einbrechen folgst lücke jüngeren immobilien industries schwangere unfug weibchen ergriffen
+jahrestag oleson fry exzellent strahlen vorgenommen aufgezeichnet business depression privates
+streiche alaska frances wänden erwecken sawyer männchen senken otis spanische beamter kommission
+fünfzig gedemütigt gucke mehrheit teuren abreißen komödie gestehe außergewöhnliche hartes
+ausprobiert runterkommen tragt spart bälle fahrzeuge freya zähl verehrer strecken gegeneinander
+ausfüllen olive crazy vermächtnis beteiligung bengel gottverdammte winzigen nächten ätzend kapital
+attacke vorstellungsgespräch interessiere medium anwenden hamlet stockwerk krankenhäuser direkten
+benötige extreme einzeln traurigen aufwärmen auszugehen befreiung anzahlung jensen komplex alias
+grafen besaß sammle feiertage stinken franc neela freiem elektrischen zustoßen zerschlagen hupt
+italienische hingekriegt marseille columbia unterschiedlich godsey schichten zielperson kopenhagen
+furchtbares fürchtete passagier imperium möcht säufer verlasst weiser zurückzuholen cho mieter
+schlösser privileg kondome montana rührend stumme winde wirbel investoren kakao sadie ausgestiegen
+pisse lucifer thailand behälter beck scheußlich kurier abu decker gereizt fassung leitungen kaliber
+losgeht gemeine wochenlang zeilen granate morgengrauen kristall captains sky bürgerkrieg dulden
+abzuhauen sorgte verhandelt einwände lara unheil anteile wiege yankees herb freaks verbietet
+verwendung rauben cognac allgemein küsste unschuldiger evolution blas vulkanier inn gratulation
+marmelade becken eden hingegen quält spartacus unversehrt gering janeway voilà jüngere mächte floyd
+sechsten produzenten rektor zitrone störungen reichte kreativ höhlen winchester bianca willis quark
+zigeuner schnarchen dead ärgerlich angaben gibson chili diskretion armstrong unterhosen erforderlich
+cassidy auftauchte pascha aussetzen sentimental empfängt evakuierung nebenwirkungen mccormick
+erstellt vernichtung idiotisch cocktail säubern behandelst eingepackt meisterwerk empfindet bestien
+unzählige einbringen darryl spitznamen smoking verschwende iron misstrauen spätestens chinese cash
+gilmore pfui zeugenstand gästezimmer abflug hungern verschwanden serum julio place phantasie
+therapeuten terror bedienung beugen trish elise verriegelt genäht spurensicherung falten saugen
+graue ehrlicher walden leichenhalle wärs fels bohren versteckten desmond notiert milliarde gebäudes
+pfadfinder gorilla roch caitlin kippen gleicht pflaster benutzten anzuziehen verlockend bryce ampel
+interpol dodge technische zimmerservice lu hirsch hayley verspricht lachend anständiger füllt
+geschätzt verbündete zuschauen abstimmen schwägerin cybill deaktivieren rück edmund drohnen begehrt
+gange sauerei portion beraubt constance bull jubelt jugendlichen bemerkung aids cate johann
+hingehört maryann halskette istanbul been beunruhigen scheren schweigt brei antwortete fäden coolen
+schämst mehl vollem aufgebrochen expedition änderung überwachungskameras derer blinder durchzuführen
+parlament direkte dawson tanya umfeld schrieben michigan auffliegen woman hergeschickt vormachen
+vorstrafen hingeht grauenvoll schwiegermutter lehrt langley erwürgt tassen seuche zauberspruch
+lucien läufer drive effektiv nord callie hu auskommen heitere jupiter nuss trauzeuge steinen puh
+österreich einkommen vereinigung mittelpunkt page andeuten helene unverständliche anschein
+höflichkeit aufzeichnung komplikationen aufsteigen gehorcht hollow gefällig schlicht ausgestattet
+reiße nachdenke parks anstrengen richterin bindet alternativen verabschiede vito abgeht dämlichen
+edie druckmittel schweben ankamen crack formular festzuhalten architekt runtergefallen eindringling
+wahlkampf country staunen lagern gewissermaßen sinnen verbraucht bremse idiotin gleichgültig
+gefangenschaft daktari russ westlich men nixon samt mail laurie vorhanden bestell klara only face
+hinbekommen adoption handelte verrätst hinterm rande break reinziehen zart ewigkeiten immunität
+eingelassen gewettet ergab ausgesagt studiere malt tonne regle borgen spezialeinheit behandle
+zerreißen hermann übergebe alma wanze zeugnis örtlichen phänomen umgeht weitaus polizeirevier öfters
+erreiche produkte misch beklagen schurke kleinere sonnenbrille strenge phantom verdoppeln zuzugeben
+titelseite schwiegervater abscheulich nigel kleinigkeiten kompass yoga elektrische gewirkt kaviar
+reiben plage erziehen bekäme streife erhoben analysiert norwegen kappe iran aufzustehen volles hebel
+urin iren triumph begrenzt ham gil streichhölzer martinez erscheinung neid tabu eyes berechnungen
+auskunft dänemark hintergangen flint patronen wiederkommt gefährliches erweitern bereut cherry ami
+won shh übernimm waffenstillstand banks sonia vorkommt astronauten virgil kreislauf nash richtungen
+sicherzugehen weggerannt widerfahren lebensunterhalt hintereinander dingern angreift ziegen
+außenseiter crockett nummernschild steuerbord leidenschaftlich autoren kümmerte auflösen quietscht
+gereinigt verschonen großgezogen backe mina cafeteria zusammenbleiben bekomm bedauere zugesagt jr
+fix schwur bewaffneten höchstpersönlich giovanni anrufer rutsch supergirl juliet blutbad bankrott
+bear bräute foreman losfahren atemzug legenden kopfgeld nadeln señora johns otaru nils papagei
+wärmer groll ketchup aktionen nahen gestolpert feiertag latte erwischte spitzname hardcastle senior
+weht verfolgte angeber befassen fantasien befreie einfangen prophet grundlos abzuschließen engen
+signor haha handwerk daddys schert lose verantwortlichen höchstwahrscheinlich pervers mitgeteilt
+interviews zugefügt vermieter aßen truhe moralische blondine alvarez scheinwerfer bewege jap
+zugrunde mischt aufwachte abheben weiblich verfügt tippen buchhaltung beider buffalo fügen siebten
+befiehlt klickt dracula ermordete jura well einsamer perle lustiges künstliche cape außerordentlich
+falke klicken schwindlig hingebracht überstürzen reingelassen gattin östlich seins genauen wiegen
+labyrinth währenddessen töricht ausrauben lautlos zitat abgehalten hale zweier hingezogen ty
+unendliche antibiotika emil gehn häftlinge polizeichef psychiatrie übergeschnappt heuchler jerusalem
+immun temperament boulevard umhang zugeteilt alarmanlage trefft überfordert galgen hubert wegrennen
+stiles monte courtney filmstar verfügen aufwand interne klippe verurteilung umweg cisco einberufen
+evakuiert urteilsvermögen malone christy ablaufen einzugehen zwecke zeus simpel erfolgreiche
+impfstoff bestechung cruz weigere salvatore verschweigen verlauf aktuellen lampen trauriger
+empfunden journalistin endes kasino titus veranlasst sicherung fahrkarte fortgehen jared aufgeführt
+listen tiffany äußern adrenalin frühere missbrauch seminar drittens fernando biegen demonstration
+porsche deaktiviert vertritt erklärst liebevoll umgedreht konversation freundliche zurückverfolgen
+perverser madeline ausbrechen traurigkeit ming speisen verfallen gittern marks irrenhaus dance
+rechenschaft bloßen schwört verleiht henrik schlucht kauen five erwachen lichts clan rechne
+ungestört stationiert packst angewohnheit lyle sonnenlicht warfen darlehen scheidet josie gestimmt
+standard senatorin beethoven vormittag ratet johanna verarsch sushi auswählen strike geschwätz
+enorme kassieren biene leistet totes antwortest drittes bonbons gequält scharfen beheben beschluss
+ast hereinkommen erschrickt away drückst schmerzmittel lappen zurückzubringen unruhe kommandanten
+fliegende aria nutzte direktorin ich-ich puste täuscht änderst chow gabrielle atombombe türken
+missverstanden nels unterdrückt ausmaß made manuskript annika hallöchen ct freigegeben blutgruppe
+schliefen symbole ausdrücklich reduzieren ungeschickt vermieten te beizubringen ausweichen leckt
+angucken gewissheit verbrennungen klarheit trittst diskutiert kratzt typische abdruck gelaunt bins
+einnahmen hawkins tell entdeckten zuversichtlich pumpen powell fettsack pfeile gewillt stinkst
+lebensformen immernoch cage betrinken tuck town carolyn zäh liu abgang auszudrücken fußboden
+gemeiner ernten imstande erfolgt wahrhaftig besessenheit schämt zurückgegeben lanze erleichtern
+springs stiefmutter verein yakuza nichtmal comics three metapher aufgeht maximal starr friss gehirns
+aufreißen lost razzia hellseher putzfrau wohlstand beatrice alberto holten spitzen poltern erfreuen
+daryl lunch tattoos bordell unterdrücken connecticut please straftat aktuelle dolly entzückt
+unterbrechung knox kochst zugeschlagen schülern darren ethel gebrauch gewehrt base räum köpfchen
+ruhigen weck anhört zusammenleben durcheinandergerede flynn bevorzugt horror dominic krug imitiert
+friedens tick spurlos mitgekommen reserve abbekommen wagner gardner langweilt benji kaisers norris
+schnelles kolonien errichtet mentor blues durchbrechen orson grüner lucie unzufrieden beschämt
+lästig spind übernachtet spanischen definition unordnung yuri mittendrin optimistisch sekte
+vergewaltiger geschockt gracie mikro verbrochen stünde beschlagnahmt madeleine einzelhaft bug
+italienischen frederick löste apachen spezialisten nazi tapferkeit zutaten unsichtbare zurückgerufen
+samstagabend unverständliches pesos ursprünglichen sol resultate alexis sende klientin sympathisch
+verwöhnt schiffs langweile bekanntschaft joggen rettest träger finanziell depressionen weitergeben
+schnecke gedruckt feindlichen rinder waisen chemische baust getraut zünder lachte haarschnitt
+schneewittchen gerry enten pariser einmalig vergeudet tomas depressiv comandante eingebrockt
+schreibmaschine selig entgangen gelohnt notizbuch wechselgeld starrst obdachlosen göttliche
+überlebte merkwürdiges frankreichs entziehen jacks gefällst hupe festland rückgrat schmuggeln
+knoblauch mörders motoren korridor sugar countdown socke bettler signore russe forge lopez salut
+ausfallen zeh freud äußeren grausame cooles bakterien olsen feindes rezeption erreichte dreizehn
+paolo anflug penelope sogenannten verschwendest donny zulassung abtreibung planung territorium pope
+portemonnaie affengeräusche improvisieren reinzukommen tanken einschüchtern explodierte schleife
+berechnen befördern newton aufgespürt streicheln speer reaktionen maxwell director erhöhe hinteren
+zusammengearbeitet hanson geschweige puff dämlicher ablauf rollt mikrofon verwundeten aufgewühlt
+luftwaffe wiese beschissenes verkleidung scarlett intensivstation schlinge mahlzeiten list handvoll
+lehnte stärksten beweisstück pretty einzigartige gehirne pfeffer nachgeben pittsburgh stadium
+stritten stau unsterblichkeit karev ginny wiehern erkenntnis erweckt kategorie überwältigend
+underwood neelix explosionen telefonzelle plaza verschließen angesagt western absatz beschreibt lern
+main lehne easy buße fehlende anständigen häufiger buh anfängst fandest jaja giftig rausch jarvis
+hochwürden schnecken einheimischen unmögliche weaver freilassung sonderbar fassade scharfschützen
+anfrage bewegte ex-mann fotografen monika cardassianer solide ansiehst freitagabend legten klatsch
+dewey schicksals hartnäckig bars paddy sofortige küstenwache entsetzt moe edle unbemerkt religiöse
+scheiben plänen schleifen wundervoller mozart shelly deprimierend onkels jade pol bedankt fi
+harmonie alexandra jacqueline kelch reddington hüter jetzigen buchen leiste dee aufgeklärt kurzes
+außenministerium wheeler adios arrest oxford lebensform clint anfasst veranstaltet umstellt bezieht
+besetzung murdock cut kriminell praktikum grossen angebote märtyrer blutest anfange kick paß bogg
+tapferen haupt nachtschicht gebrochene klebeband metzger marlene gewöhnlichen umarme philipp
+leistungen dankt fitzgerald lesben ehering uno strauss großbritannien armeen aufsehen heu schwarm
+ziemlicher eule mitteilung aufgerissen sätze gottverdammten gelockt erwägung langsame keen gunst
+bann leichenschauhaus widersetzen geflüchtet therapeut abdrücken hingehst lokale edlen dialog
+kaputte susanne tokyo lordschaft zuhört finanziellen camelot bäckerei gehauen ziemliche bronx
+originell sicherheitssystem elektronische twilight glaubens charlene nahezu sichtkontakt strafen
+gehorsam sportler mutiger becker det saga ski entgeht abläuft timothy beschwingte lindsay aufklärung
+phantastisch zane eigen haven gracias justine blonden kobra beantragen muscheln spot bewerbung
+biologische raffiniert protest texte kapiere linus panne willens argentinien bissen abbiegen harbor
+fernen versäumt frühe rohre packte zeitmaschine weiterzumachen beiß kleinsten verzögerung sprit
+initialen ansprache recherchiert malley erfuhren zahlte eingebaut offener geheimnisvoll geschöpf
+unangebracht schlüsse eingefangen halts bewährungshelfer folgten erhebe brenner surfen hintergehen
+hörner fürchtest reaktor run zweieinhalb gebrochenen ansage kompromiss abzeichen mehrfach dolores
+cox zielt vorlesung gesamtes berechnet römische auffällig lenkrad engagement amerikanerin harlem
+jose chakotay fernzuhalten gründer technischen hassan eingeweide verschickt studierte industrie
+frühjahr heiligabend stellvertreter unvorstellbar sichert scheißt space zweifle verbrannte hähnchen
+ren exfrau kulturen ehrgeizig anmelden bewegst verschüttet whirlpool atmung kaltblütig handwerker
+kurse griffen unangenehme ausstellen andernfalls sonderlich angefühlt prag frösche herausfand vega
+vance zärtlich doe jüdischen steuerung zeitschriften verbockt gewaltige genesung auftraggeber wanna
+abgehört oregon gecheckt zusammenbruch beachtet united cowboys pumpe eagle logbuch irgendwem
+ausgenommen churchill rankommen relevant t-shirts besuchst tiefsten einbildung instabil fühlten hr
+transportiert mönche lina riggs stacy beschuss fledermaus segnen stattgefunden nell lebeau krallen
+moss kgb romantischen blutig alliierten mara oberflächlich sanders hicks ostern orangensaft
+unbekannter thornton ausgerutscht aurora freundlicher exil clary blog schmelzen mysteriösen
+überwunden erdbeeren ära eingefroren großzügigkeit einreichen anderswo seinetwegen ferguson zwilling
+deppen verlangte genf trophäe lucia wisch reduziert ernährt irgendjemandem kaiserin koste reiste
+lucrezia therapeutin pfanne komma stillhalten freundlichkeit stockholm informiere konsul dante gänge
+irgendwen unerhört deutlicher bomber ausgeliehen drehten prostitution inoffiziell motherfucker
+glücklichste erschreckend isolieren flugplatz friedliche lachs furchtbarer erkältet boyle nadine
+slim angestellter anomalie bestimme off provoziert siehe aufbewahren diamant herauskommen poster
+gräber savage heh jedesmal bajor angepasst strick übertreib schweinchen herbei ahnte dirk bewältigen
+fläschchen sams kotze übt lupe stanford davonlaufen klima zerstöre jerome schöpfung befriedigen
+schossen soul verschlafen indiana putzt verdoppelt entschuldigungen inakzeptabel prioritäten bryan
+dominion jem karate unterschreib clinton louisiana fat kampfes grades komplizierte waise alain
+würdigen vorrat trocknen entfernte katja bücherei fallschirm laurent fusion frachter komplize haie
+witzbold drecksarbeit schiedsrichter spezialisiert innern verschlüsselt chirurgie hüpfen
+festzustellen harlan gerichts matrosen schweinerei schnarcht anzuhören überprüf überprüfung florenz
+blanche maddie getauscht verübt blutige galaxien antiquitäten wandert hormone homo slade chapman
+nachschub america zerbrechlich palm basta riese brenne sticht hang leser zurückbleiben woods
+prototyp wider liebenswürdig gewohnheiten säure chaotisch geschissen moran call besorgnis
+grundschule verheiratete aufruf sauce verwandter schwelle fröhliches mmh kühlen herrliche
+lächerliche lift angriffen zurückfahren dutch verschluss herzchen eineinhalb verbrachten igor
+besetzen sexueller spaßig kreuzen yep intuition terrorismus traditionen game lad vorgetäuscht
+satellit lehnt samson verhungere unterrichte burton link schiefgehen pyjama verurteile wachtmeister
+dunkles abgeschlachtet tätowierung ansprüche erleiden ruinen reife kommenden hoffman verstummt
+panama staubsauger projekte kopieren unters begeht vorurteile militärischen prüfe verpissen edler
+tablett geblasen hergeholt beratung rabatt renne behaltet tapferer offenbarung wegkommen verabreden
+motive unannehmlichkeiten village späten verfickten argumente behauptete wertvolles niki fehlern
+abendbrot putz übermitteln spielplatz gutachten auszusehen wiehert basil spezielles flüchtigen
+dringt verkraften unglaublichen endlos kritiker schwuler hob pfleger klarmachen dermaßen benson
+hindert gespendet lire erstaunliche gummi patterson zicke begreift marionette backbord benehmt
+buenos erwähnten gestohlene medaillon streifenwagen pascal romanze shelley fluchen javier
+untergebracht kahn scht ehemänner erfinder kraftfeld unbesiegbar niete horst beinah schwing schneit
+versenkt wärest erika brücken toi stromausfall zielscheibe überschreiten bird eingejagt que
+versenken fördern kundin enzo portier riech beobachter beerdigen su entscheidende zeugs lorraine
+auszusprechen gerard dani zoom brillante our einfahrt emotionalen kommentare brachen parfum roms
+durchschnitt glücksspiel geburtstagsparty cadillac herausgestellt beeinträchtigt feel spiels
+hinnehmen eingetragen sprünge joker torpedos belegen xavier belgien rouge darius hypnose
+konfrontiert gezielt schauspielern murmeln ultimative weggeschickt regierungen erdnüsse missy
+spritztour kopfgeldjäger einladungen kleidern mm-hm chicken hawk quarterback glatze systems
+vergeblich mäuschen eingeliefert entschlüsseln kerlchen unentschieden ausverkauft viermal fargo
+zugenommen völker migräne eddy double rothaarige memphis aufgetragen runtergehen seen amnesie
+einzustellen bedeutest steaks empfänger telefonbuch massen vorführung cheese angefordert royce heinz
+hexerei sündenbock asien kopiert astronaut eindringlinge verhältst bosse abzugeben ice genetisch
+anständiges lächelst davina wochenenden augenbrauen kauften unverändert fickst schleicht
+unterbewusstsein nat sehne schilling schluß kundschaft verschrieben entfliehen bestohlen klick
+heiliges verstopft kürbis kröte demütigen grausamkeit makler ausgerastet geräumt kalb santiago
+schnur garth len foundation death kaputten rüberkommen senor teilte einleiten gelder lizzy
+kommandeur demonstrieren vereinbaren tranken copyright ursula mitgekriegt perkins kakerlaken
+durchdacht westlichen waschmaschine shorts sehn dora vatikan ausgänge sausen moralisch krönung
+instinkte hü vernon hierhergekommen büffel geborene ausgebucht mitkommst irrsinn unterhalb tok vors
+jackett geraubt schwitzt ständer lot luna rolf hingefallen kessel jorge waffeln korrupt freiwilligen
+kartell ba kentucky nevada cap illinois wies trainiere bloom kreise raquel eiscreme heimweh four
+entschärfen spionin behielt einstecken franco wiedergeboren festgelegt wähler bürde models besorgte
+fetzen blute leidest blood shanghai trent brüssel vorgeschichte ninja großvaters sabrina
+rausschmeißen verleger genetische säge ansatz erlitt darstellt wohlauf allmächtiger mochtest
+verrecken verstoß weston treppenhaus leland notieren erwidern speicher rauskommst springfield sunny
+lokalisieren spence wangen aubrey periode beschatten höchster luc gehirnwäsche brothers stalker
+gleis erdnussbutter gallagher arnie antut wohnten nachschauen breite dot gespeichert verkleiden
+grauenhaft beobachtete wegzulaufen wiederfinden sinnvoll englands ostküste historischen scheich
+reparaturen ähnlichen aufgeschlitzt sanchez stecker republikaner gottesdienst weis charly türkei
+vollständige gebieter amerikanern schmutziges intelligente getauft soda einsatzbereit verliehen
+beton ausreichen untersuche robbins sabotage konsulat marta nimmer aufgeflogen ballons
+geburtstagsgeschenk micki fleming rotwein wagens blutes tausendmal fuller trab great hetero äußere
+gatten verlassenen sauberen berechtigt gunsten gefrühstückt trockenen taschengeld gespenster robby
+schenkel herzanfall downtown wirbelsäule curt genuss flyer reservierung gelübde dreien blutigen
+carroll notwendigkeit ichs rover rücksichtslos malik korn vermutungen dwight fülle walzer verstört
+zahlung fürsorge inspektion kennenlernte sauberes amulett neuerdings zusteht remington überholt
+vergossen wörtlich bereust platzieren parteien kontinent schweinehund university wachs eintrag
+lindern straßenseite geniale untertitelung hinstellen angekündigt meyer erfand treuer entsprechen
+aufladen blüht beule katz church sprachlos scan düster manuela emmett logische tapfere joghurt
+barrett biologie anwälten geschäftliches ellbogen widersetzt meth geklopft wright begrüßung steckten
+dauerhaft steuert windel älterer greife jeremiah blüte ehen repariere irving docks warnte
+überarbeitet jagte dörfer ungefährlich webber versorgung angenehmer wohler trey leila granaten
+verstreut spuckt deep bagdad wale tagesanbruch subbed interessierst franks berührte polizeiarbeit
+interessierte stottert beworben vorziehen türglocke kompletten abgeriegelt fenstern weilchen cary
+klammern ruck drückte beitragen offenes plündern wikinger abserviert gebührt padre geklingelt
+beschränkt betäuben nigga frankfurt antiker mikrowelle herkommst ernster umgekommen coup mülleimer
+definieren malibu entwickelten buzz getrennte ausüben manöver verlängern schauspiel verehrt vers wag
+schenkst getreide empire zac sicherste fehlenden dummerchen bleistift wissens alejandro gänsehaut
+zurücknehmen magisch jungfrauen trommel ereignissen ahoi freundlichen üblen gebrannt verkündet
+skipper bestelle logo vitamine lover flachgelegt leroy abgesucht verblutet gerüchten örtliche
+verpfiffen rosalie wegzukommen express mitzukommen berühre blutvergießen weigerte puzzle diaz pure
+erwähne faulen gesündigt picasso streitkräfte flügeln bedeutungslos sperre psychopathen pfiff
+abgeordneter kritisieren krankes jüdische zornig briefen lili heiratsantrag ole gießen bestochen
+beweismaterial coleman religiös vermittelt arche elite fliegenden motiviert medikamenten schlank
+lorenzo befugnis lockhart johan regst beau fettes verhext todesurteil kaiserliche besorgst
+forschungen allie auszuziehen rutscht entwischen ringen ausgetrickst creme auszugeben clive why
+zurückzugeben fährte barbaren verzaubert coop interessanten rudern kriegte überquert ergangen neigen
+coco untergeht kunstwerk bodyguard behinderung blühen dünne kamm verwandlung hunderten antike warner
+pelz jemandes regenbogen zitieren verursachte zürich kippe blamieren chinatown programme nottingham
+pate inszeniert vorenthalten freigabe beidem differenzen außergewöhnliches beteiligten neville
+springer angus grosser übungen mittelalter skript simulation stockwerke strahl circa überlässt
+bye-bye starling feng geschadet geldbeutel obere glücksbringer adolf fowler spitz vargas motivation
+abwesend gunnar viper zerquetscht stetson pisser konferenzraum declan weitergegeben malte draufgehen
+davey beteiligen whoo castiel unverschämtheit plattform mexikanischen phyllis bündnis kripo
+benachrichtigt beunruhigend vernachlässigt europas schnellsten küken could yacht feines kutscher
+lagerraum parasiten erhalte landest olaf ferrari spieß blickt helga
+`;
@@ -0,0 +1,1696 @@
+// Most frequent Spanish words, most common first (top 20000).
+// Counted from the OpenSubtitles corpus (OPUS, https://opus.nlpl.eu/), licensed
+// ODC-BY 1.0; taken from the zxcvbn-ts word lists (MIT).
+export default `
+que de la no el en es un lo una por me con los para se qué te mi sí está su las bien del más eso tu
+aquí al como si pero yo le todo esto algo ha muy ser esta hacer vez sé nada hay vamos ahora bueno él
+este nos cuando así estoy puedo fue tú tiene ya estás era gracias hola verdad cómo tengo favor casa
+tiempo todos he mí tan ella son sus mucho puede ti quiero ese dos siento dios ver estaba soy decir
+vida va mejor esa sobre hombre oh porque tienes solo también eres voy cosas hace años están ir estar
+usted día entonces poco sin hecho acuerdo antes ahí señor sea alguien has noche gente sabes mismo
+sólo trabajo puedes quieres hasta mis otra creo hablar uno nunca pasa padre quién nosotros dónde
+momento mundo dijo lugar siempre dinero tenemos ni otro estado tener haciendo vas mira fuera quiere
+oye sido cosa tipo tus nuevo han hijo madre ellos menos amigo nadie días estamos mañana había parece
+podría gusta desde mujer donde allí les nuestro después haber mío conmigo nombre parte gran mal sabe
+dije tenía hacerlo tal tres importa razón visto seguro contigo podemos nuestra dice serio saber
+luego veces todas toda buena claro hoy familia idea hizo problema tanto tarde hora quería pasado
+espera dicho haces será mierda demasiado buen amor salir mamá vale papá cierto cuenta tienen entre
+cada lado chica estas debe cabeza policía pasó amigos hermano unos quien hombres ah realmente alguna
+persona forma caso crees ustedes esos personas veo camino volver supuesto estos algún puerta hemos
+muerto necesito primera manera ven contra aún chico debería pasar historia siquiera pues juntos hija
+hablando pueden minutos chicos cualquier digo hice ayuda sabía dentro van suerte venir miedo poder
+niños hacia importante semana esas ciudad año durante corazón dejar adiós significa muerte sería
+gustaría esposa realidad rápido horas problemas ojos iba único mano pronto niño ve cara manos
+encontrar agua mientras haya da equipo difícil cerca entiendo llegar otros nuestros fin tomar cariño
+bajo primero noches misma punto somos haré viejo pueda auto última hiciste vi sangre entrar dijiste
+grande dices clase señora viene suficiente vuelta hubiera bastante tío loco teléfono quizá ninguna
+allá eh todavía oportunidad pensar trabajar morir muchas cuerpo hago culpa guerra buenas casi feliz
+vaya posible final ningún pequeño cinco fuerte esté primer ves genial cuál pasando vivir tenido
+coche juego necesita arriba llama meses dar diciendo debo justo comer mujeres igual hermana jefe
+pregunta malo cuatro ido fácil hagas podía supongo hijos déjame comida puta número hey segundo única
+muchos os bebé fiesta arma seguir sola creer abajo pensé padres escuela atrás unas ello sentido
+matar haga pensando mas buscando lista habitación estabas listo joven cuánto preocupes plan venga
+nueva algunos hacen cuidado verte espero sigue lejos algunas par mayor trata ayudar dio quieren
+queda último dólares vino john esperar sabemos luz medio debes palabra fueron segura siendo amo
+esperando oído exactamente dormir chicas eran cree quizás vete digas seguridad pequeña tampoco paz
+niña escucha toma cama habría dame vivo buenos nuestras país fui peor cuándo jack venido oficina
+música pueblo conozco deja sitio llamar mía dado minuto demonios afuera falta tierra ay seis real
+paso hacemos idiota perdido demás tenga necesitas estaban adelante habla conseguir hospital
+preguntas marido millones información murió dime deberías semanas resto llamado buscar armas mucha
+orden vemos especial duro viaje dicen llevar estará aunque empezar doctor saben otras diré libro
+raro usar quieras incluso irme palabras perdón llamada haría cuarto diablos jugar poner estuvo
+recuerdo libre acerca perder maldito futuro puesto hará perro grandes ropa detrás extraño
+necesitamos película mensaje seas calle frente tratando mala diez prueba noticias fuego cielo
+increíble trabajando daño diferente di cuanto café diga asunto cambiar boca amiga debemos encima
+asesino voz pena anoche cambio sueño error sucede tuve lleva derecho encontrado verlo acaba además
+siente encanta trato secreto decirle control dolor alto tuvo modo situación decirte propia vuelto
+mil sam tuyo baño divertido mente correcto grupo supone médico capitán cállate dejó foto habrá ganar
+sino novia gusto sistema simplemente llegado aire maldita fuerza disculpe piensas negocio iré york
+pie darle aqui mitad llamo sientes personal terminado siguiente podrías rey propio próxima línea
+deberíamos sentir salvo cual pagar pienso mató campo accidente queremos querido mejores loca edad
+largo entiendes agente hambre quiera funciona nave respuesta vio asesinato atención relación través
+conoces cita barco ocurre vista abogado gustan sexo normal acabó negro caja decisión placer mes
+compañía tengas ok estés pruebas pelo querida piensa ayer tras prisa señorita tonto pude muertos
+frank michael david estaría alrededor adónde tienda comprar basta necesario cena charlie avión
+reunión joe mesa traje dirección carajo decirme suelo dejado eras programa hablas perfecto acá
+canción carta embargo pudo cárcel ataque fotos suena cumpleaños blanco hicieron terminar montón
+esposo escuchar novio pase vayas probablemente muerta hermosa regalo boda culo broma llegó fuiste
+hotel deben oficial estúpido george muchacho partes jamás amable das completamente señal imposible
+tom principio prometo encontré general presidente tuya haremos locura pudiera verdadero peligro
+contacto capaz sala misión investigación alegro sol ellas piso conoce ley saberlo carrera gracioso
+ambos vuelve bonito dijeron cámara io horrible llamas papel mike segundos centro espacio salvar
+vidas peter edificio dile alma siete tren negocios tipos rato mantener sale puedas ayudarte irnos
+vive hacía quédate temo terrible honor vámonos energía intentando tenías adentro delante servicio
+salió cargo basura triste llamó regresar decía ejército muchachos viste conocido juro lee odio daré
+podríamos pies mirando ante mayoría abuela frío doy destino interesante pregunto pensado crimen
+derecha cerebro duda haz peligroso junto matrimonio gobierno viendo querías opinión escena
+totalmente veras inteligente tendrá entender conocer estábamos humano deseo vosotros ocho sacar
+harry diría mire posición prisión sucedió podamos caballeros oír oro izquierda temprano pone permiso
+público navidad estuviera beber cambiado dulce irse james carne harás drogas llevó cualquiera media
+tema libertad vestido trasero infierno confiar modos llave pobre entendido perra segunda paul vieja
+puso mar cenar simple estaré mirar lindo dejes planeta abuelo ben cocina pelea ocurrió sorpresa
+hablado zona hermoso víctima agradable órdenes caballo espalda maldición llevo equivocado encuentra
+cielos bar fondo éxito compañero siéntate espere juicio jesús nivel éste verme diferencia recuerdas
+hogar base creí alegra miren causa acabo profesor ventana pedir estuve irte existe últimos respeto
+hayas encontramos joder salida darte especie san vuelva ten sean hicimos tendrás pidió cliente
+regreso encuentro vienen pensaba lamento color henry hacerte llega respecto tía recuerda sueños
+caliente intento reglas parar paciente ocupado ganas baile director universidad darme sepa matado
+humanos decirlo listos encontró alta dale ejemplo leer cerveza preocupa bonita bomba objetivo club
+té precio podido completo opción majestad verla lleno radio ojalá vistazo principal esperaba formas
+parecer experiencia sal quise pista enfermo evitar bill escribir abrir enemigo repente viva hubo
+aprender esperanza fbi molesta obra necesitan quisiera dan libros debajo veré pistola maravilloso
+disculpa banco max estación culpable duele mary hermanos contar jimmy podrían habían jim común
+llaman batalla jugando próximo consejo volvió quedar tranquilo bolsa llegue haberlo dejaré partido
+quedarme golpe diferentes bob empresa trabaja máquina tocar escapar the hablamos metros cuestión
+hazlo probar bromeando valor imbécil zapatos kim ojo traer vuelo marcha brazo tendría bailar tendré
+creen suyo tratar corte tuviera ayudarme busca diablo londres alex estrella nick cuello intentar
+informe nota pareja iglesia hablo piel luna entrada hacerle sabías vea estados maestro enseguida
+tony correr unidos serán pedido dando propósito refieres cartas coño partir río confianza bosque uh
+dieron estilo tendremos ia ninguno acabar acabado tiempos apartamento traído tenían detective irá
+absoluto ésta nuevos tomó trampa dejé recordar calor pido llevas refiero tarjeta planes arte parecía
+interior dejo isla cuántos animales pesar nombres jóvenes mismos veremos hacerme interesa bienvenido
+noticia héroe habías pelear piernas memoria sentimientos banda salido reina visita preguntar
+elección silencio quedan departamento deje nena estén llaves mentira suya verano movimiento subir
+tomado trae motivo anillo ganado toca teniendo parís baja soldados sarah empezó luchar dejas trago
+azul llena volar inocente usando nueve presión calma conversación puertas caer contrario turno doble
+abre pasará cuentas encantaría debía ama responsable camión herido fe preocupado debido quedarse
+preparado testigo necesitaba danny ruido restaurante olvidado vacaciones riesgo larga terminó
+embarazada clientes verás seré oigan asiento averiguar flores perros conocí billy proteger haberte
+sigues anda brazos desastre tí perdona johnny llevaré vine aun tomando entra laboratorio cansado
+quedarte sospechoso finalmente ray norte enorme inmediato operación espada datos saliendo arreglar
+ridículo viejos hagan rico reloj vienes guardia salga pared familiar árbol teníamos posibilidad
+exacto dientes escúchame puto corriendo linda caminar iremos tanta podrá emergencia imagen bajar you
+jane mando sirve justicia inglés decidido código monstruo estrellas querer escrito evidencia serás
+tommy brillante llorar luces prensa policías entiende pantalones inmediatamente asi copa cine
+soldado malas miles ibas nervioso envió enfermedad beso volverá millón quedó televisión vender pedí
+solía cayó estudio steve pasada don conocerte puntos rojo lugares cuchillo juez casado vuelvo
+preocupe apoyo magia muere momentos sonido pequeños aquel pierna naturaleza richard hielo viento
+acción verdadera robert sepas locos puente quede gato velocidad silla sur espíritu historias esperen
+solos muestra autobús llamaré películas yendo habéis tiro cantidad veamos leche detalles cabello
+ideas empieza oscuridad mark diste gustaba oiga volveré roto líder total asuntos dejarlo orgulloso
+lucha contrato distancia humana perdí apenas área recibir proyecto suficientemente según vergüenza
+carga perfecta política extraña nariz obtener vendrá hiciera recuerdos oferta necesitar bala época
+felices permite déjalo grave sentado llamadas herida creía aceptar playa ayude detente vayan estarás
+chris fuerzas maría cuidar matarme intención menudo descanso acuerdas sentí casos perdió defensa
+video hubiese gana enferma trajo botella hubieras salud dé eddie directamente casas verde charles
+espectáculo dueño viviendo caballero abierto nuevas demonio actuar jake víctimas huellas secretos
+amenaza serie dará bobby corre oscuro echar deberían parecen dedos dejaste cerrar will vuestro sigo
+elegir santo cantar santa clases descansar vuestra mercado responsabilidad park acceso peso seguros
+mírame mintiendo robar profesional walter hechos anna robo humor débil vos huevos llegamos animal
+quedado escuchado recuperar belleza menor calles borracho colegio apuesto escuchando agradezco
+desaparecido creerlo paseo conducir necesidad oí dormido estúpida teniente daniel directo cierra
+fueras abierta vuelvas dura dama pocos mirada resolver coronel usa habido voluntad caballos jin
+resultado llame gay privado uso llevado lleve tuvimos presente harán taxi quienes coger malos
+cálmate tardes ex comenzar sobrevivir américa encontraron pan hayan francia puse sentía intentarlo
+escuché enamorado gustó cuesta detener varios estaremos podrás fuimos kevin romper acaso despierta
+piedra podré efecto estáis valiente martin tengan parque soo tantas puedan siguen tantos marca dedo
+kilómetros sabido propiedad excepto preciosa metido compañeros podremos hables merece toques
+búsqueda crear nosotras cabo llevan quedo inglaterra lados disparar to perdiendo paga conseguido
+estarán funcionar colega hable tonta fuente conocía razones sargento gratis adn thomas ryan local
+ayúdame limpio alguno agujero interés muevas roma olvídalo fantasma natural números haberme varias
+proceso deber enemigos termina intenta washington enviar dispuesto cerdo excelente desea intentado
+olvides miembros cabrón juegos jardín amas habló resulta cámaras militar supe pago cuántas pastel
+kate cambia miembro techo limpiar oyes talento disculpas llevará llamaba cuerpos guapo sombrero
+medicina pérdida escenario explicar profundo resultados cuento cinta inútil asesinado cadáver acto
+montaña depende aspecto teoría unidad examen encuentras lengua carretera agentes universo come polvo
+príncipe diario correo mapa pecho fiscal llamando cerrado harías tonterías complicado comienzo
+acciones jurado manejar perfectamente sensación asustado genio pacientes contó señores volviendo
+importantes amy querría rachel aquellos andy william entero contento felicidad poniendo sociedad
+comandante propios jerry comenzó almuerzo conocemos descubrir últimamente camioneta sexual
+declaración claire rostro pollo pareces ocurrido quiso fuertes princesa alcohol blanca entró
+destruir desapareció invitado muriendo desayuno discutir primo toque llevaba olvidar robado maté
+quiénes criminal levántate antiguo negra pones bote date venganza jodido olor termine periódico
+cansada conexión veía brian preguntaba fantástico show probable niñas negros pareció relaciones
+durmiendo llegué cirugía éramos enviado continuar bastardo bienvenida tormenta pidiendo mataron
+contado estuviste adam bordo papeles tamaño mata responder médicos scott gracia tecnología primeros
+estan truco aeropuerto errores hagamos compartir aquella superior cien esquina sienta preocupada
+vacío respuestas pertenece lluvia solución familias pongo tengamos clave ey definitivamente viernes
+tarea encargo extra protección campamento cae ladrón emily controlar llevaron favorito disparo eric
+déjeme tuviste pudiste dave victoria matarlo gas entrevista huir entera vivos mataré pete guste útil
+fútbol matarte iban bienvenidos respirar cáncer idiotas computadora derechos señoría famoso guapa
+cura esfuerzo enojado funeral tv registro teatro poderes leído larry fuese visión red violencia
+modelo discurso droga camisa tumba decirles clark molesto sujeto recoger ése mentiras efectivo
+tranquila encontraste amigas curso móvil jason construir rápidamente celular maravillosa premio
+parecido presencia cambió equivocada promesa des falso ciencia mensajes encontrarlo lord juntas
+completa lástima combate escribió amante mataste gordo llevarte ji and preguntarte quedas europa
+ángeles alteza matt cargos solas antigua condiciones tomas pedazo llorando saldrá tercera crédito
+siga piensan testigos robó entrenamiento original grace lucy artículo barrio caído ponga aseguro
+sucio rara estudiante dirá convertido archivos suponía laura ritmo despacio ocupada conocen vimos
+motor pieza costa dejarme tomé queso verá pon cerrada estómago mio correcta mires cientos francés
+ponte convirtió imagino helado dioses carl perdone empezando invitados rayos legal recibido sexy
+imaginar atrapado solamente pequeñas supiera pregunté cortar bebida ted estemos tome gustas
+oficiales curiosidad comunidad bebe material paquete fortuna decisiones cumplir comido chicago
+muchísimo especialmente dejan autos poquito piloto disparó lisa balas corto árboles disco humanidad
+quedaré corriente querían llamé leo obvio acabas roja bravo felicidades alegría viniste jeff artista
+honesto aventura sorprende notas encantado rose bolso den podías estudiar nieve oeste hablan vayamos
+precioso revisar estudiantes convierte granja íbamos emma papi ahi irás sois ruego fría muévete luke
+escucho decírselo suéltame sótano milagro alice pintura casarse preguntarle ayudarle tercer tesoro
+lío aparece california salón tenéis of firma caminando fecha sábado sube absolutamente despierto
+enfermera impresionante socio chocolate últimas alan virus empleo siglo cero bolsillo vieron vueltas
+libras escaleras decidir lección campaña meter planta prefiero diversión dejamos claramente soportar
+dejarte vengo dijera domingo casualidad kang rick howard pensó crea tirar ciento ayudarnos pienses
+charla tendrán dígame anterior comienza mr presento vendría alcalde fueran debió obviamente matando
+annie parado blancos explosión bruja mostrar cadena cierta lago página gary aburrido comiendo
+propias porqué vengan pasan amistad nerviosa ángel llamarme pasos roger pelota sonrisa siguiendo ed
+reino copia tratamiento disculpen importancia chaqueta hacerse quedará hablaba taza mueve carter
+tribunal importaría preguntando descubierto arthur desgracia dejaron huesos verle tomo temporada
+pesadilla debí míos verlos china cobarde viajar pide consiguió apareció phil damas morgan doc vaso
+barry pocas casada libres sientas llámame permitir plato abrigo kelly vernos suceder jones lunes
+poderoso escuchas interesado identidad pongas ambulancia subtítulos miras compromiso olvidé
+fácilmente maggie llevamos tambien madera canciones pedirle young carro créeme rompió vecinos
+trabajado serlo labios señales compras inteligencia sara espejo amaba jackson kyle limpia andar
+imágenes arena quedamos tráfico um coincidencia escuche seguramente mayores medios smith venta
+conciencia hank fábrica iguales encuentre americano tratado new chuck muera usado guardias ilegal
+leyes suave intentó secundaria opciones sencillo bella cola dia entrenador corta seres viven ayudará
+posibilidades cia simon seguido murieron vengas vehículo encontraremos pasé registros méxico rastro
+daría recién saltar invierno ventaja mover asistente criatura conocimiento elegido atrapar alemanes
+pasillo fumar regla rodillas felicitaciones ei arresto incendio ira seria condición mantiene plata
+servir sabrá ponerme ayudó heridas regrese llegará malditos refiere creas excusa aléjate pescado
+castillo pondré versión hablé uniforme celda acusado orgullo preguntó huele odia máximo sopa sir
+social sacado casar licencia rápida maneras esperas doctora llegando altura documentos tim cruel
+enseñó análisis woo muévanse frontera ricos joey quedé vigilancia millas despacho difíciles grado jo
+vivido sucediendo mono estupendo louis habilidades desierto armario mentir salvó dejen habíamos
+asesinatos ruta tontería oigo consigo iría asesinos conductor veas conocimos mato escritorio lady
+hubieran alemania cheque parada bebés muero divorcio trabajaba suficientes reputación cuerda dean
+quieran dudas vean comportamiento tripulación abogados llegaron hermanas ayudarlo pensamientos
+compré nacional personalmente oliver perdóname vuelves escapó cómodo palacio ocasión daba ayudando
+reales jung decírtelo pez pobres julia incidente asustada seguimos asco ministro crisis trabajos
+pánico archivo personaje moda in campeón elizabeth regresa jenny castigo ambas piscina susan confía
+ponerte llego trabajas bruce fila desaparecer particular alarma tuvieron atreves regalos saco feo
+deuda aprendido muñeca sombra equipos límite pene salvaje escuchen suicidio lograr dudo lobo parezca
+volví favorita urgente atacar garganta empezamos circunstancias llevarlo fiestas firme estarías
+aviso orgullosa preocuparse hecha siéntese llevarme wow rescate ponen título continúa ponerse veneno
+llevando actor montañas bola ciego fred gira privada perdida funcionando pierde relájate sacó gritar
+educación tropas asqueroso coches llamaste encantan impresión azúcar líneas distinto sofá pájaro
+caza preguntado contenta darles humo venía emocionante compró pedazos homicidio consigue papa cristo
+alemán comercial firmar presentar internet deseos carlos esperan explicación darnos casarme ho
+celebrar central paciencia exterior cojones permanecer caras asegurarme cambios apuesta terreno
+habilidad extranjero enamorada gigante mental karen robin dirige falsa 's visitar bestia min whisky
+actitud crecer instituto demostrar identificación rumores tele nación miel sesión luchando ducha
+guau audiencia adecuado recompensa josh especiales vivía llamamos patio volando compra ésa helen
+cruzar funcionó autoridad mate competencia coma curioso viniendo intenté preparar grados juan tenia
+consciente vives elegante bebiendo preocuparte recibió entrega detenido pasaba evento pecado
+anteriormente pura salen alcance amén golpes pudieras llames pasamos cajas ríe superficie taylor
+investigar leyendo india encantador revista decirnos muchacha ayudarla pensamos mentiroso pizza
+sufrir jae bombas metas city concierto espía paliza tierras enfadado lento metió acabe esposas lily
+conseguiste caro quítate sincero pantalla decidió ganó huevo oso acaban medianoche it abandonar
+amanecer conseguí usó importar esperamos renunciar hijas paredes emociones fresco junta experto
+cubierta inspector encuentran dejando helicóptero meta tae hablemos cabezas biblioteca alerta
+misterio quitar jugador popular gustado comprendo medida secreta vais rusos vinieron francisco pagan
+llegaste digamos custodia botón hierba gordon empleados fantasmas tomaré criminales terry mismas
+dirás impuestos ocurra lucas golpeó sentimiento roy chiste escalera lágrimas ganador ambiente
+consecuencias mmm disponible capacidad instrucciones despedida despertar entrado trataba confío
+estuvieras gritando mami comprado king haberse encantadora damos reacción kilos actual peores vegas
+piense pastillas adorable torre maleta empezado americanos texas organización roca piano maravilla
+déjenme duerme lealtad servicios pagado sucedido pasta casados amar detalle investigando peces
+océano antonio pesado desgraciado harto periódicos guardar combustible tono wayne matará mejorar
+opinas fué salsa salvado hong nadar responde digan anuncio motivos sabría cuantos dejará canal julie
+nuevamente jay fondos transporte usan terapia desagradable tíos dispararon ross empecé puestos
+pusieron territorio trató prometí capaces admitir patrick cercano ronda rusia fiebre haberle chloe
+podían extraños stan nació objeto bolas prisioneros arrestado johnson eun salimos jamie pediste
+maestra aliento habitaciones máscara cooper médica aviones socorro pasaría actuación sacaste
+crímenes pasara patrón llegan funcione práctica hollywood disfrutar marcus dulces delito pasión
+wilson encontrarla gasolina rosa hombro encontraré lárgate saca primavera entendí grandioso tyler
+raza okay guía rata marcas buscas andrew nacimiento sheriff enfrente placa anne tenerlo morirá
+instante personales tontos compañera agencia cuídate traigo involucrado enseñar discúlpeme cometido
+creemos echado piezas parker cocinar marty hitler unidades vincent dispositivo cable quieto zorra
+eva podíamos seremos podéis mueva quedes clínica planeado aparte jackie escape adivinar ventanas
+comunicación molly sección quedarnos mínimo pata estudios apellido vuestros mirad adultos enojada
+llamarte miller conocerlo física jesse ayudaré sabor voto refugio actuando mortal hablarle nathan
+abran harvey delicioso perdiste mírate convertirse vecino súper corazones ubicación brown ascensor
+tomamos intentas alquiler naves pondrá existen requiere tetas echo temporal japón recursos sabían
+arroz entregar informes conferencia regresó calidad hablarte túnel marie caos montar sentimos
+tensión gloria esperado abby ruedas doug barcos puro oídos cigarrillo veinte juega cinturón betty
+clara cristal jueves perdimos flor sales buscarlo escuchaste piedras escondido normalmente oíste
+ceremonia reír comisaría leyenda chino máquinas frase muestras prisionero judíos aguantar vuelven
+metro pensamiento jean seo seamos envía carol rica amado podrán casarte centavos ruso disparos
+decente aguanta vídeo sistemas hagámoslo pájaros ejercicio preparada mantén colores asusta tuvieras
+pública aquello votos periodista pusiste almas pistas hannah diles nacido letra abandonado mundial
+prometido puerto buscan entrando imaginación monstruos fingir disparado mostraré espacial espaldas
+producto ron bicicleta dormitorio aparecer operaciones beth visitas español mereces supo moral
+golpear asalto charlotte vecindario ocurrir preparados ladrones mac pensaste depósito peligrosa
+pedirte martes ataques detenerlo greg poca traidor rumbo pensarlo platos frankie deba olvidó italia
+apetece pelotas salgo punta coge collar científico discusión respira sally familiares grano maten
+dejaría ciertas jefa botas encargaré encanto arreglarlo galletas cerebral citas izquierdo españa
+edward trajiste hueso asombroso hayamos romántico doce deseas invitación miro robot serpiente gritos
+jordan sepan bandera arreglado necesite estadounidense pinta alas perfil estupidez dilo cuantas
+traeré sitios deprisa estando borde levantar nancy hmm busco derek colegas generación partida
+almacén emoción queríamos decidí demanda habrías restos metal escribiendo desearía afortunado manda
+probado antecedentes boston movimientos moto propuesta noble recientemente límites ee nuclear
+alternativa actividad efectos decimos jessica existencia cabaña preocupación volvería preparando
+amanda viniera contestar despedido dejarla explica llamarlo desconocido sr descubrió intereses ana
+traición celoso suceda cadáveres frecuencia daños traes temperatura incómodo profundamente grabación
+salí caída elecciones criaturas sophie vacía choi civil cubierto cuadro escritor salgan clima
+sienten terrorista encerrado militares dímelo acabamos personalidad muro volvamos sentada bendiga
+conté volveremos expediente berlín gobernador garaje donna breve ma construcción distrito tomará
+fotografía sensible áfrica lenguaje sonar llevarla egoísta st volverás vivimos forense rock olivia
+razonable do capital putas concurso pudimos contando barato entradas despues sed jacob km actriz
+buscado círculo cuéntame joon sentarse apesta cartera trabajan encontrará presentación adulto
+lanzamiento cole siglos creado tanque equivocas olvide inocentes divertida pasas aceite comprobar
+catherine violación sobrino joyas katie precisamente queréis jesucristo tuyos mueren federal
+sufrimiento texto tocado evitarlo sacrificio explotar ciudadanos mencionar estuvimos expresión
+teléfonos leonard revés agradecido autoridades aparentemente gafas utilizar moneda dick costumbre
+escándalo cultura tomes caray gatos escribe pulso templo planeando recibe ayudado habrían corea
+prima teddy mina escribí pagó judío nervios miami big lujo abrazo heroína stark joo ésto déjala
+limpieza seok lidiar hazme tirado entienden golf rayo únicos hablaremos crema palo fatal lentamente
+elena dong reserva marina miguel importan ethan primeras hechizo apuestas trasera salto refuerzos
+sabéis matan cogido nina gimnasio científicos ratas ocultar temas sentirse hee diamantes dias
+ayudante funcionan refería tragedia niñera literalmente manzana usarlo penny términos seguía querrá
+sabrás cima atractivo tarjetas principios estrategia pudieron destruido suelta absurdo ensayo piedad
+davis haberla arruinar empleado vuelvan albert terroristas viejas florida oxígeno pedro alicia
+sacerdote sentarme campos cumplido sabia superar mostrarte colección político váyanse hallar grupos
+secretaria tocando guarda funcionará experimento leí significado logrado electricidad cuáles
+petición sabíamos oscura disculparme impacto averiguarlo gerente estuvieron considerado vuestras
+trabajadores poli apúrate esclavos street alcanzar gilipollas brad importaba dígale mandó solitario
+trono procedimiento resistencia porquería carácter joseph peleando madres atacó diera casco
+esperanzas resultó apropiado vigilando ayudo vampiro enfadada viajes olvida poderosa aniversario
+salgas almorzar carreras extrañas ordenador causar blake mataría heridos ponerle destrucción lewis
+mandar gastos terminamos yoon risa trozo lou margaret cierre confesión hacías básicamente barra
+flota sigan hablaré sufrido pozo sorprendido sucia abrió ios debilidad costado puesta hicieras
+ayudas civiles pecados abiertos héroes sano conseguimos jess caminos aprendí buscamos vaca ciudades
+hacían industria béisbol moverse llamaron tenerte mencionó influencia oírme conoció falla pierdes
+recibí volviste demasiada ideal house pagaré fracaso llegada necesites recibo aldea dylan pasaron
+deme rebecca batería plantas ja miss antiguos mama señoras masa césar verán biblia asegúrate diana
+sacarlo envié infancia robaron enteré olvido intentaba potencial diseño prestado acero secuestro
+detuvo físico man diego volvemos uu lanzar convencido cambiando cometer siguió rueda martha
+confundido dragón nubes irán salieron coraje llegas batman adonde jugadores harold voces obras so
+miserable peleas devolver ruth cigarrillos asesinada walker darán on ann oscar interrumpir llores
+gustar ian tribu gorda alegre sacarte encontrarás steven maletas viera sentencia colgar multitud
+daremos intenciones lleguemos función decide permitido comprender sentarte técnica sospechosos
+contaré andando callejón jang publicidad engañar logramos querrás tomaste na levanta oportunidades
+pudiéramos empiece contesta bodas notado senador policial trucos gano cementerio terror cazar
+informado lincoln protegerte cubrir famosa normales cómoda objetos positivo eliminar religión
+sheldon repito defender tira ordenó cantante vince docena advertencia ponerlo ricky salvajes
+camiseta profesora cantando desafío jonathan colina herramientas uñas victor tradición terminé
+testimonio rango vende historial figura conocerla sintió sexuales cueva entenderlo darse estrés
+bolsas aguas west rocas fea equipaje pierdas nate jodida traiga serían atrapados payaso encontrarme
+reuniones ofrecer suyos inconsciente mickey asegurar progreso bromas jeremy asesina fuga socios
+intentaré vía virginia marshall monedas sueldo estadounidenses episodio pico quedaba cabina rota
+vampiros aprecio participar dejara virgen huyendo tendrías países condenado probarlo lois grant
+pasajeros próximos corona sugiero perdedor adolescente enseñaré desnudo chan cuales jaula encantada
+tina condado apostar llevé cha revolución regresado resuelto nieto símbolo michelle cargar carrie
+enviaron josé dispuesta ellen kong serías prácticamente decírmelo dimos justin oficialmente ken
+plástico escapado producción equivoqué soltero kenny vietnam hoja gustará golpeado conejo enviaré
+realizar dormida juventud muertes llevaremos supiste esperemos rutina is niveles guitarra acepto
+agrada sabiendo encontremos dólar mm horario russell anciano vendiendo novela fantasía alivio museo
+imaginé maquillaje negociar prohibido paraíso mete matarla calla formar taller mediodía liz juguete
+pablo productos musical enterado molestia madame cuán respiración auxilio buscarte estacionamiento
+rehenes patético stephen pasaporte yang practicar discúlpame prostituta dámelo transmisión randy
+armado reporte buscaba coartada cartel reconocimiento convencer logró costó importe arreglo dennis
+extremadamente sociales azules gatillo plazo hierro oírlo locales guerrero comentarios potencia
+dijimos aceptado recibiendo obligado black soñando hacernos ofrece desnuda idioma finales vendrán
+agenda comité casó lleguen hacerla patrulla logan encontrarte billete italiano faltan hojas connor
+parezco gravedad conociste dosis bajas creó usas hyun rollo igualmente jennifer miércoles malvado
+servirá federales disparen cayendo tómalo convertir conduce billetes atender quinn todd cuida
+infantil casey remedio rubia malcolm contarte trabajamos condicional molestar identificar that
+contarle aaron pares perdidos auténtico extremo guión empieces circo prometiste considerar mintió
+rita prioridad emperador origen orejas odias ganando descubrí sigas matarán medidas esconder
+encargado mías sabremos ayúdenme fase tratas complejo emocional white sangrando merezco comisario
+adivina seguirá matthew williams profunda estúpidos bebidas dispara letras indios seco háblame
+estaríamos zoe tiendas sorprendente ali robando guantes consejos prometió incluyendo causado yu
+suele hill invito jodan harris relacionado hablarme sentirme marco imaginas franceses cortado
+bendición francis doctores cafetería bromeas altos intentamos espíritus salgamos pescar rumor mágico
+drama raymond onda moviendo mason my políticos centavo instinto emocionado caroline walt pregúntale
+eligió bailando ofreció leal rompe corbata escuchó fianza radiación reconocer toman gabriel tarta
+condena desperté traducción ánimo cerdos supieras enseñarte actos recepción heredero moscú copias
+sufriendo dirigir horribles owen tiroteo acepta ciertamente velas alejado listas olvidaré juguetes
+rifle presa estable hígado riesgos abogada pierdo yeon arruinado mago elliot ford representa logro
+quita honestamente caridad míralo contactos green continuación cambian naranja lata sucederá lectura
+barba páginas demasiados aumento piénsalo vestidos sagrado tocó síntomas caramba vomitar matas
+residencia jugada nora norman cruz estudiando debiste crecido li desayunar mantenerlo narices
+parejas lógica conduciendo traté deporte escala capa enhorabuena ocupados hubiéramos preguntes
+normas toby conectado abra conocida pandilla bancos acerques viuda comes travis cañón soporto
+anthony canta recuerde subiendo chaval tatuaje receta cuyo plano alfombra espiritual protocolo patas
+tubo retiro infección gris solicitud mentido actores estructura escucharme cenizas buscarla pulmones
+directa deudas período materia acostumbrado vendido cambiará beneficio euros asientos documento gané
+ilusión patatas murphy spencer empezaron fraude artículos apagar conducta adecuada mentes presenta
+increíblemente marte débiles largas compasión oyó autorización liberar disfraz células usamos
+invisible abandonó exámenes huella bo llévame vendedor jodas juzgar porno jugo raras medias harta
+asesinar lanza hermosas fiel cocaína equivoco conseguirlo bebido jersey habia asumir cortó furgoneta
+método escudo reto geniales neil población pregunte desaparece queja soltera psicópata fines
+corredor valioso ralph intente representante hablaste meterte prometida holmes bienes llenar riendo
+pare hombros informar wendy lex juramento solar explicarlo infeliz cambie creyó enfrentar trajes
+corran honesta jodidamente muéstrame tareas decían edificios división contarme rob ajá mantequilla
+zapato apariencia verdaderamente tomen aburrida web digno lane quedando dejaremos sentados gallina
+azar atractiva separados giro asesinó juzgado treinta preciso mochila perspectiva generoso harían
+pides dirías alumnos ayudaría salía escuches terminará chinos similar préstamo llegues stanley quitó
+enterrado tratan discos saludable preferiría conozca postre acabará dibujo seguiré tendríamos
+demasiadas oreja terribles considera autopsia angela allen holly comen amarillo maletín contactar
+papas conseguiré perdóneme eventos diane grita contaste brindis eternidad cráneo mentiste malditas
+hacéis pases suelto excelencia habitual quisieras luis encuentres mantente molestes bonitas
+extraordinario violento lavar confirmar fan grosero tiró soportarlo rosas sinceramente concepto
+muelle advierto fíjate quedarás karl presentimiento quédese carajos bajando eléctrica desesperado
+pedimos presentó ponemos mezcla indica columna internacional permitiré louise matemáticas marihuana
+objetivos sector preguntarme motores satélite psiquiatra canadá presupuesto warren tigre quemar
+beneficios sombras vencer adios tristeza mueres mostró callado detiene invitó máxima cirujano hoyo
+ocuparé dejaba plena aseguraré malentendido salvaste jefes vela copas clay mundos atrapada niega
+bonnie paris comió matarnos volvieron queridos moleste intercambio yoo artistas doloroso fotografías
+lleven váyase acento casino amantes rastrear plaza valle vendió nací sincera romance gus cuidando
+sospecha reciente habrán vería engaño profesionales muebles graciosa echa keith signos sue mitch
+empresas deberes preocupados risas medicamentos ensalada quitado ventas esclavo graduación
+encuentren mitchell fruta ciertos robaste salvarte pagando maya policia engañado inusual dignidad
+fama duros horno pesada chef fascinante formación sobrina intentes acusación conflicto miente
+enseñado correctamente unirse combinación vencido personajes barney león ala ooh llegara modales
+champán permiten entré shaw sun probabilidades cuente susto señoritas necesidades desarrollo besar
+despejado olvídate brujas considerando reconozco pastor amenazas afecta ganamos contrató trabajó
+earl excepción riley temer llevaría junior enfermos increíbles audrey líderes votar grito creído
+retraso ciudadano éi testamento petróleo celosa miraba creciendo aterrador posesión buscarme
+japoneses menores región meterme metí decepcionado aterrizar caiga marchar bomberos vinimos mates
+estarlo querrías merecía fantástica estarían trajeron borracha ocurriendo sammy díselo micrófono
+envío descripción interesada salario pegado consigues frodo camiones pasen candidato star ned parto
+etapa escoger alli tortura sandy luce meterse constante haciéndolo equivoca quemado comenzado oculta
+saludar observando craig as traerme camarada contratar raros termino sándwich miran canto imperio
+posibles magnífico gastar raíces saqué carmen willie desafortunadamente llevarse tomaron aclarar
+profesión botellas empiezo maria motel encender houston ganancias constantemente podria lleves
+llenos química fortaleza janet bishop tracy consiga cazador reunir fresca pasear mostrarle vinieras
+monsieur margen agarrar grabar jugado coordenadas programas manual algun rabia sirven sabio
+permanente tercero pavo verdes fallado ellie miró shane rusa kennedy armada negativo inteligentes
+rezar verdaderos causó hadas won exposición ayudarlos isabel conclusión boleto ausencia sintiendo
+vidrio shock whoa suma trate lastimar odiaba stone encantó acceder kurt esperabas once pesca
+cómplice gota decías activo conspiración arco kent aman mafia inversión escucharlo víctor pluma
+saque conviene saliste controla brillantes sello cuartel liam misterioso cervezas clásico pudieran
+ronnie francesa enormes armados preocuparme estuvieran falsas pintar ashley misiles esperaré
+brooklyn telefónica escolar comunicaciones americana parientes preguntaste colin benny preocupen
+metes poema toalla bello watson seguí fuéramos saludos eli vital shin visual bruno quisiste
+pendiente atmósfera capullo plataforma bla lograrlo nicky pesadillas peligrosos maíz comedor tómate
+esconde merecen deseando preocupas polla construido ejecución aguja empecemos pierda dexter
+desaparición repetir japonés sígueme joan encontrarán injusto natalie justa cometió jill llevarnos
+muriera quince atacado amables sabiduría propietario cuentos lobos llamarla calientes macho poesía
+dificil comentario pediré lana sobra planos explosivos oler sentirlo gesto cercana autopista turner
+franklin bastardos pongan actividades aproximadamente daisy curar nicole cameron duelo agujeros
+directora campana suicidó ataúd estupenda oculto evidente cobrar alimentar perímetro atreve temor
+pensabas celos pagas tara empiezan persiguiendo siesta echó principales típico darás mágica yi chase
+for graham seth ocurrirá superiores julio volverán ingleses dibujos avergonzado gusano manhattan
+jeong selva vigilar wallace altas cuartos mueras despedirme posiblemente huh siguientes ponlo ud
+cabra tragos república horror ingeniero arriesgado bailey gane sung jon manzanas guay ratón
+deshacerse aterrizaje cintas organizar guerreros conjunto enfermedades medalla aparato sorprendió
+alianza apagado aves preocupo tumor supervivencia bolsillos avisar island mandado collins cajón
+escuelas megan privacidad autor francos aceptarlo christine lawrence contiene civilización superman
+allison subió raya confesar falsos bond escenas disparando miré furioso elementos evan encendido
+tanques embarazo freddy impresionado ocasiones orgullosos minas eve vano rodeado fuentes enseñarle
+muestran rodilla nelson detectives detenerme cuerdas conde grasa jong fabuloso tirador trauma vic
+dejarás dificultades reyes pensión gina disculpo protegiendo distintas confías promesas hal
+profesores tuyas verlas demuestra ascenso ruby sonreír quedaron respiro término soledad emocionada
+vuela bebo molestando preso llegaremos caen permítame bell perdieron dieta certeza galaxia pam
+equilibrio perdemos escuadrón excusas entrenar duke donald go patada echarle agallas actúa philip
+distinta métodos imaginaba ví asegurarse sentiría sentirte times durar judy pat establecer prepárate
+empiezas indio volante alfred responsables pisos pierre noah escapa lograste independiente casé baje
+pechos teresa sacas contenido graves tirando niebla quejas manejarlo humilde culpo christian impulso
+oírte desfile sonny sera confusión dejarán cincuenta mantenerte prepárense portal bondad wade
+atravesar oración mancha usaba may alimentos avanzar tranquilos ancianos mirado brandon núcleo unión
+pasaste nido pague feria eterna volumen camina satisfecho ordenado llevara escondiendo curtis inicio
+explicaré convertirme use ritual menú economía jovencita consuelo sabrán novios redes anderson
+tráeme creerme llora prometes aéreo locas queria mercancía septiembre radar ministerio contentos
+matamos cuarta audición lentes julian cuya quédense enviando órganos recuperación finn tejido wang
+asesinados colonia halloween odian invitar katherine valores trampas crece quinto inferior olas
+localizar llamaría perfume novato sacarme esperad debbie submarino vergonzoso decidimos creación
+matarlos dispararle reunirse sentidos girar lastimado tokio sacaron harper cuero preguntan pagará
+jodidos unido christopher ganan rebeldes dió imagina matrícula casarnos cancelar heather jun
+acabaron jódete fans fingiendo rocky nacer your lauren martillo kitty junio habrás álbum vaquero
+rehén cicatriz etiqueta mia celebración marica festival prefiere israel adolescentes be protege nene
+entendemos fallo esfuerzos ofender pirata subido congreso mayo cables reed pondría arrogante ola
+costo cal intentan golpea fox estuviese mientas metiste diamante conozcas interrogatorio tenis
+distintos entren ansioso mario presentado apaga fenómeno leslie kyung hemorragia mansión capítulo
+tenerla dirán alienígena crean ángulo olvidaste despertó resistir detenga entran vestida
+conversaciones cuentes semejante despertado volviera entramos paren imbéciles incapaz palmer otoño
+almohada alexander sid tio nocturno técnico enterprise secretario quitarme desorden trevor ligera
+seca sacaré alfa prepara afueras trenes extrañar controlado manny debamos ciega herencia reconoce
+hamburguesa preocupaciones jules grey isaac contraseña faltaba culpar videos adoro enteró barbara
+chistes perrito avance corresponde robé separado duermo quedaría aprobación dejarle encantaba
+estatua levantado song encaja secuestrado asistir determinar situaciones preocupaba fáciles
+aprendiendo bañera dana complicada australia revistas agradecida timbre escondite dejemos vagina
+cabrones lance llevaste retrato vanessa códigos quedara hermosos respirando asegurarnos competir
+suba monos papeleo comisión amada mascota extrañé paro compraste re espérame verse huyó debate
+castle discutiendo colgado sufrió soñar largos blancas amamos maldad mulder pavos long interna artes
+acostado pervertido lavado apetito tabla tiros productor disfrutando presentes hilo guerras
+funcionado registrado lloyd pida prefieres protegido muertas randall lápiz aplauso interesantes
+despierte nube británico necesitabas sabré usarla pegó repugnante duncan ocupo sugiere espías
+dispuestos líquido angeles atrevas aprovechar computadoras traerlo sufre ponía octubre salvarme
+organizado instalaciones quedaremos mentí quirófano disposición aliados maestros becky recuperado
+paula licor inevitable shh mantenga mel chen fritas sandra direcciones extranjeros tales mensajero
+almirante armadura servido sharon traerá richie músculos desaparecida hueco decides samuel deportes
+comprometido sang anciana ultima encontrarnos vacas gemelos pidieron entere freddie rancho confuso
+brenda rojos shawn construyó cargado pilotos vodka adelantado muevan medicación revelar caí abuso
+voluntario embajador vamonos descubrimiento dueños liberado academia crítica contratado sacando
+huéspedes divirtiendo piratas guardaespaldas hunter gibbs legado teme sorpresas muñecas morirán gil
+rehabilitación stuart venid tiburón modelos sordo éstos cobertura atado criada saliera recorrido
+generaciones jen descansa escuchan pila balón identificado profundidad invasión delicado solucionar
+globo pondremos andrea posiciones expertos cerrados riqueza entienda noel traficante bigote
+propiedades acercarse hacerles comedia tranquilízate seattle atacaron reparar compañías cubo
+olvidarlo padrino famosos nam sencilla judicial pensaría potter medicinas dejarnos putos
+administración suministros naturalmente baker comí quitarle cruzado blue observar acuerda manta
+vivió pato toneladas despedir cago perdonar lámpara incluye pillado distracción inténtalo rastros
+juegas que- clan entro harvard derrota molestarte agresión habríamos tocas privilegio samantha
+secuencia niego dejame correos negras bebes entras ríes encantará harrison lecciones firmado cuentan
+hacha astuto sepamos cadenas adrian jedi metiendo estatal cortes preguntaré embajada necesariamente
+pañuelo interno destrozado queden afecto kirk hambriento mm-hmm simples ligero grabado claridad
+obsesionado ácido valientes numero mencionado traen venden gps enseña comprando billetera caes orina
+acércate miseria ridícula desesperada opina vehículos enrique aprendiste trabajador seriamente
+encontraba electrónico revisando zack irene elefante seda tímido existir asustó periodistas diente
+múltiples morirás entiendas acompaño cindy aprende piensen lydia boletos factura agarra hall
+inmunidad engañando enamorados jueces huelga disfruta devolveré diarios terriblemente suplico
+compraré goma observación dentista sigamos bicho april mick adicto pega elige récord ajedrez carson
+engañó criado apoyar orilla besos ayudes maricón jodiendo buck sacamos ansiedad llamen abril
+presentarte iris alguacil negó pendejo enfermería inicial tuviéramos kane hechas rosie advertí guy
+jan anillos retirado tapa tomarlo sentar sydney elemento chofer entres case significaba
+transferencia salta yeah construyendo suspira madison líos infarto quema mirarme demostrado cardíaco
+kara espadas traigan manada ropas multa seguidores soñado jenna conveniente vivas puñado escondidas
+enano obligación levantarse certificado perderte planetas enojar bart castigado meg barro conocidos
+democracia incendios veredicto comidas alturas paige aumentar retirarse ópera logré pierce imaginado
+baños bonitos asistencia salva lógico bailarina regresaré capturado referencia sana ponernos editor
+apártate lola sensores llamaban egipto fuegos okey bernard seúl cortesía camarero confidencial
+afganistán miranda kwang archer especialidad razon ias arrestar salvarlo araña ofrezco superado
+acercando confirmado agosto mentirosa ilegales traicionado reducir lester ficción bauer robots
+hablará bandas cercanos dallas stella talla tabaco respondió bodega impedir sonando pasaje entraste
+borrar hugo georgia muchísimas intenso busqué retrasado iniciar moderna debas seguida ganaste
+molestado mantenerse alison damon masaje criar choque terapeuta romántica vacías esperes can
+amiguito necesitaré cojo exacta carbón obtuvo mantenido dejarlos hye cogió servidor bosques drogado
+específico conservar esconderse compro sebastian desean convertirte agotado acusaciones comenzaron
+destinado mikey sábanas coro nazis granero pierden mo connie erik llenas éstas poeta regresará
+lotería completar camarera pegar acercó entregado thompson moderno beca garantía caleb concentración
+inocencia centímetros liberación torneo cuadros blair rojas galería pariente bang tess oficinas
+píldoras diferencias cumple duermes romeo burke añadir chimenea oficio vendrías cuñado callar gwen
+soltar deténgase británicos asustaste escribo tristes fracasado docenas crítico orinar alienígenas
+tierno espantoso enseño calcetines vientre suelen arriesgar monroe normalidad cretino poderosos
+sindicato sucios quedaste novedad oscuras métete traducido garantizo inyección quitarte jabón
+décadas negar diagnóstico arreglaré sugerencia encantar insectos danos estaciones entraron
+convertirá monte acerque quieta leerlo delincuente esencial obligó torpe buddy piden flujo mudó
+rebelde vapor acompañe pistolas carla sobrevivió investigaciones detención esencia declarar vías
+reunido cocinero ordenar baila sherlock suicida favoritos mantuvo botones lenta ie mecánico ardiendo
+vulnerable fiona comprendes sacarle valentín regreses toro ra pasteles costillas sobrevivido rival
+aca conocías espectacular aceptó ovejas inspiración jugamos doyle ego meredith edgar mónica
+hospitales actualmente pinturas década siéntense sentirás consulta jeffrey diremos interesan traerte
+afortunada cerradura órbita signo morris sonriendo omar casamos filmar echaron pagarle desee
+portátil vasos cosecha troy gene caerá pesa marzo experimentos técnicamente sospechas pueblos
+entrevistas brillo antiguas falleció beverly recibimos mueven dueña melissa conversar ii dorothy
+misericordia suéltalo durará diosa bong guardián flecha gorra divertirse busque sacarla legales
+noviembre implica entregó buscaré tela emergencias envidia meto municiones sullivan costará vera
+cerró cazadores vínculo respetar nevera tejado retirar salvarla necesaria tardar denuncia orleans
+pendientes reconocido sillas láser operar pagué hans afortunadamente culpables escribiste renta
+muros presidenta responsabilidades accidentes phoebe expresar flynn limpiando próximas stefan
+alboroto preferido ordeno disciplina neal delitos mierdas caca pelos cortinas persecución precios
+agradecerte moriré suyas falda enviaste depresión nikki sentimental auténtica booth artificiales
+tomarme drake nucleares mantenerme rincón utiliza seguiremos hermanito enterrar cheques perry
+manejando tradicional roba uses osos drew deberá patty irak sirvo volvía vosotras ebrio aventuras
+venas patria tratamos hope vecina estadio chang utilizando marcharse renuncia terminaste
+extraterrestres bajos argumento edición dí zonas cuidadosamente simpático aparecido valga conocieron
+especialista mutuamente recibirá phillip roman maletero encontraría agradecer alcanza milagros wu
+salvé avanzando gu adams zach comprende produce reservado ingresos hablen comercio césped aparezca
+creció june escritura venimos usé sheila all super benjamin atraparlo elvis salvación científica
+sonidos bajado marrón instrumento rory ignorar aplicación individuo comando winston necesitará
+comience protegerme facultad tranquilidad equivocados xiao arruinó abiertas básico marchó gatito
+convertí materiales destruyó with declaraciones bajó portada mañanas brasil nieta dolores ofrecido
+dispare semillas ocultando reportero global madrid barata suite tomarte ofrecerle serpientes
+crecimiento promedio entendiste sientan responda dejaras doler tucker estallar lenny evaluación
+terminaron saint robbie pis menuda lena empezaste bajen bud arreglos honorable cuadra anteriores
+debías filadelfia niñita llevarán descubre klaus dijeras bernie ataca hacíamos glenn especies
+movernos habernos informante cubre cordero joy amenazó amelia rapido cohete chaleco fabst capturar
+formal preocupan pito coca cometa femenina refrigerador mantenimiento reconoces diciembre votación
+gigantes concreto malvada verga telegrama brutal investigador instalación aparecen elegí austin
+dirigen borrachos enlace deseaba we únicas douglas llamará obsesión marcar gripe angel conexiones
+vestíbulo pantano lesbiana picante cuna rompí manchas campus atacando kansas sujetos explicarte
+charlar entusiasmo enseñarme rencor circuito angie chandler eterno enfermeras viajando atascado chi
+cruce matara fallar comencé levantó inútiles cody previsto frito cuchillos indicado detenerlos
+invitada campeonato ayudé ciclo significan cassie generador sidney entrenado flash derrotar andas
+mercedes griffin detendrá cho beach disparé grabando amber rudo llévate lin jorge bóveda spock
+saldremos puño perdono mantienen concéntrate wells gusanos autorizado eche cambiaron queen valen
+bienestar utilizado boyd joel conocerle honrado desperdicio brilla categoría ambición cuba persigue
+ayudarles manejo baloncesto comunes cuide lindos estúpidas senado guardado encontrarse rex muñeco
+serios camas protector liga facebook sonríe regresen decida partículas mátalo coincide perfección
+olvidas führer dispares aguarda kira gratitud significar ave hyo enseñé cuarenta delta enero
+recuerden herir provisiones deliciosa broadway consentimiento arnold consejero marcado testificar
+archie reverendo cuidadoso quemó comenzando navaja colocar rescatar unir gustaban queriendo barnes
+francamente little nicholas villa sesos mesas fotógrafo frágil extraordinaria claudia granjero
+explorar bloque nietos creías brooke vagabundo reese mocoso fórmula salve bingo hicieran galleta
+admito educado quitaron simpson experiencias atraparon provocar ocuparme marinero admitirlo cambié
+prométeme permites escucharte incómoda mona basado postura ayudaste cañones permitió marta
+convirtiendo khan dorado echas shakespeare hunt ayudan probando alberto tomaremos necesitaremos
+perseguir linterna atraer escoria desconocida cálculos limón denise sasha mosca filosofía aguanto
+ordenes tobillo oscuros helena fumando curva vestuario raíz furia haley alla automático cagar
+inesperado escopeta hyung pillo huésped fusión creando juegan cam tarda periodo naomi know portero
+fiscalía amabilidad suiza escudos dedica opiniones físicamente escocia cacería políticas dramática
+garcía reggie divertirnos trates misteriosa haríamos oyendo pacto sentiste cigarro hábito publicar
+quietos revisión oyen misa temía levante maneja rodar tinta test plaga moriremos echaré convierta
+estándar saltó corrupción wyatt recuerdan atrae esperábamos morgue restaurantes jungla
+agradecimiento residentes oriente bases alemana polis visiones creíste pertenecen ll levantarme
+fideos instintos theo tiburones trabaje síganme melanie captura terminan set pasarme dañado demente
+inventó detroit activa bárbara cerradas apodo quite sexto extraterrestre escuchad acostarse anunciar
+deprimido luchador sentarnos confundida rindo tardará toco ruina regina mejorando comunista
+acostarme pasaré echando explico sirviente dormía bloqueo hamburguesas entorno inglesa laurel
+involucrada crucero dwight pensaré arrepiento similares recto favores inventado inestable perdedores
+alimento filas monica subasta cachorro cooperación pausa kathy alec supermercado matones ejecutivo
+tremendo ceo evelyn verificar propina elaine ava duras this usaste batallas rápidos bandeja abras
+mientes expectativas sospechosa rudy oido conectar causando hanna mantengan pa túneles lees vago
+velada saludo volverse recuerdes boy desesperación danza unirte estuviéramos sobrio have crane
+apertura supervisor encontrarlos tuvieran ri producir road excitante marea pusimos permita moverte
+sofía esperé conrad caravana deb ahorrar quedarán avanzada peggy bastantes abejas sagrada importará
+apunta descuida federación cristiano acababa practicando partidos lizzie lindas agradecerle mejora
+tomaría posee convincente cueste comprobado compre delincuentes enamoré chance bata arrestaron avery
+considero gray acompañarme trabajé cicatrices buzón pudiese anuncios descuento moon fijo naturales
+indican maurice declarado planea asilo emboscada barrera conociera farsa postal vulgar martín leon
+remoto tendrían contenedor creerá ruinas oir digital hudson yun claras traseros héctor cambiarlo
+espeluznante comprobarlo golpeando gentil racista sirva llamaremos temblando jamón moore controles
+bus rompiendo permanece inmortal aérea integridad prostitutas femenino dedicado diseñado conseguirte
+proyectos tortuga dinos cometiendo eeuu revisa llevarle movido recordarlo colinas comemos
+comerciales porter gustaria baek violet escuchamos limpias llegarán mear burro cruzando cambiarme
+jessie funciones bufete cayeron resolverlo am describir termines marvin primos garras desear déjanos
+raj disparaste cuánta aigoo ondas arizona woody demostración ocupar adulta sorprendida decidiste ash
+suene explique coña misiones súbete morimos suéltala clyde logra difunto oraciones conseguiremos
+ocupa mediante desaparecieron deténganse asesinaron wall ríen estelar traicionó hazte permíteme
+molestaría divino toquen clarke retrocede boxeo scotty bichos eléctrico regresé suponer avanzado
+llevarlos dolares agarró farmacia humanas flotando beckett foster eliminado arturo placas hare
+jovencito orfanato atacan insoportable caramelo círculos sostener reservas lesión evidencias val
+tiras chip cepillo fugitivo bando llegaría bici comprometida mínima campbell dragones cambias
+lesiones combatir cállese adora atrapó sirena pásame llevarás gastado extras ruidos absoluta
+habitantes protegerla insignificante dejadme cabe cortos scully alumno salidas herramienta turistas
+cleveland brody cálmese tocaba falló dj algodón serena em retroceder opuesto altar teorías plumas
+cogí baxter otto zapatillas amarilla tablero acostumbrada sorprendería disponibles delantera
+cobardes hermanita une dormí músico calendario navegar permitirá lamentable enciende estafa dudar
+contratos técnicas what comenzamos papás manga bennett aah metieron acordamos pedirme cuernos
+vitales resumen artificial cargamento vicky notar talentos alcanzado comas terminemos cristina
+confiado ardiente nolan altamente sudor acepte mito recibes banquete afectado queramos erin pleno
+jonas asustar ward oyeron homicidios soga probabilidad griego mataran bestias ballena contrabando ai
+cavar bate caramelos existía valiosa acercan cálido voluntarios mostrado cifras reactor presos botes
+ático misil hablaron asustando claus tumbas participación finch hurra paquetes bastón lejano jazz
+llover pidas encerrada asegurado conectados bahía sobrevivientes vendrás valentía domingos
+evacuación cosita imagínate evolución mortales revólver italianos invita escrita agradecería riñón
+terminal asquerosa atlanta rotos masacre triple toqué vicepresidente explotó lanzó hamilton calvin
+felicito sabrías premios cometí futura vistas caigo cortas abraham simone refugiados ciegas kay
+llamara mandé llevaban voló áreas escribes are tramando duque colgando arrancar munición atras
+separar rubio pobreza obliga dándole selección lu jesus encubierto vigila yeong sólido invertir
+dawson crío primaria casaste hogares atracción armar particularmente interruptor sobredosis was stu
+congelado olviden despidieron rechazar pensaron inventar intentaron reciben aceptas robinson vió
+paradero shirley tiré todavia like bretaña bush acostarte confiable ultimo patricia encargarme
+barril deberia divina hablara impide hubieses envíe baúl reflejo canales medicamento árabe separamos
+miento presentarme ofrecerte ohio stevie cápsula mojado joda suicidarse concierne ruptura oponente
+encontrarle admiro saluda perderlo déjate salchicha paró estrado prestar rechazado hoteles linea
+delicada creyendo abuelos recientes excepcional murray descanse sentirá lucifer encendida sirvió
+destruida calibre lea legalmente rogers palos insiste exceso dados comunistas patrones conquistar
+positiva reynolds lazos hacerlos acercarme pagamos irlanda matón generalmente registrar hembra
+estupideces dulzura chao cargada percy aplausos tomemos paces pacífico venda romanos hablarlo
+avergonzada polly solitaria enseñando ahorros delgado aprendió fisher explicarle marcho escondida
+pasajero boris llamados facturas ningun reddington lastimarte parecían discreción robos regular
+soporte dolió ricardo relajarte urgencia interesados ordena específicamente madrugada seung mejorado
+entretenimiento suéltenme homosexual evans usaron cuarentena ari suministro cuidaré vaqueros pensará
+salchichas eugene hablabas pretende corten plomo internos institución derribar judía químicos félix
+vestir ohh gandalf intentaste enterar hágalo brady terremoto necesitarás andan letal negativa kook
+revisado televisor estudiado moriría grites carolina torres nasa moverme hockey género baltimore
+quinta intelectual empacar santos comprador cansados instrumentos rompiste hammond baby admirador
+ocurren increible asia enfrentarse duró acompaña agresivo acordado one analizar acoso visitantes
+anfitrión amenazando compramos encontrara disparan elegiste ballet arregla iniciativa alias valía
+enfrentamos pérdidas mantendré pedo discúlpenme tijeras separación rodney ponerla satisfacción torta
+incluido supuestamente follar felix stevens mantendrá quito maravillas protesta melodía deseado
+naciste irlandés lloviendo pelotón campanas tomaba ki tensa intimidad frutas donnie asociación pearl
+necesitábamos generales willy avisado hondo aborto ofreciendo lake tomate not lastimó detenerte
+ganará yong vendo prácticas camaradas decepción crecí penas rompecabezas levantarte violín saldré
+chad recomiendo bares dejad anton tomada expulsado convenció herr genética experimentar celebrando
+agáchate trágico magnífica fijado descubrimos contárselo apuntando nadia ayudara confirmación
+tomarse conocernos dibujar pulmón debíamos hae panel involucrados echarme ellis balcón regaló id
+ejercicios mordió mírala generosa toallas guante uniformes secta ilusiones carlo jacques cathy dom
+garantizar enseñaron marcharme paranoico deshacerme creencias orquesta duermas comiste hyeon
+despegar realista continente enfoque pondrás ciencias saldrás moscas perderá enseñaste afortunados
+villano creería continua bloqueado esperándote corrió recordaba demos costar roberto entendió poirot
+litros ernie dee seguirán perfectos entregas aprendiz out eché escolta enseñe desconocidos up
+software táctica toni stewart escúcheme paco suavemente viaja inodoro zoológico pintor suk erica
+continúe cosquillas juegues uy debían conseguirás silver firmó máscaras resfriado rana parecerá
+conocerlos sacrificios créame suero saul carnicero contaba entierro llegaré competición einstein
+tesoros originales botín metida habré trofeo nocturna eleanor explicaciones culto volvimos
+mantenerla billones temes rebelión fernando alá peligrosas entendía querrán solíamos dedicas limpios
+mostrando marilyn gordos atento netflix candidatos eduardo verduras sylvia comunicado asumo envían
+aislamiento patear parcial provecho apunto cállense grecia noté conocimientos desarrollar agárrate
+patadas venían reagan ayuntamiento sonó abandonada automóvil principalmente firmes homicida chatarra
+inspección dámela cerrando descubrieron love recta manuel aroma perdería separarnos mateo cooperar
+dawn marion respaldo cambiaría simón furiosa tuviese pañales barras daga georgie compartimos exitoso
+marge zorro acondicionado examinar contador denver retirada dirijo traerla saldría rama literatura
+perderé antepasados públicas marcel conste sugiriendo cómodos inmediata carruaje sirvientes joyce
+bin payasos recorrer by nobles ahh violenta marc presentarles judith paisaje lavandería tardado
+hostil tatuajes dominio dae decidieron dante turnos oppa comparado gancho lindsay mirarte demandas
+crecen wally viajado precisión dimensión clavo abro activos terrorismo obtiene lori comunicarse
+ramón proceder yoga desnudos neumáticos establecido kai hughes jefferson islas montado explicarme
+cargando lazo favoritas pretendía vagón muestre asusté protegerlo dificultad pagaron costumbres
+resaca mecanismo gays pastilla shelby sácalo canalla cuadras masiva meten expedición definición
+atrapan incumbencia east solían luchado tronco documental febrero conserje hada apuro hierbas
+ejercito barbie mostrarles cheryl retrocedan hills chiflado nazi comprarme reid honestos bradley
+novias mostrarme diviértete bay lucía perteneces odiar tocan casaré gavin perdonado conejos recupere
+apoya usaré brisa legítimo acusa senos ganarse liu huido mapas perderás facial puñetazo liderazgo
+perdidas franco insulto monja clásica reciba convierten prudente experta olla mariposa exhibición
+tomara vivirá artefacto gi sip exagerando enviamos esther causas comienzan valerie molestias decido
+abigail lunar joya trozos perderemos antídoto libremente doncella peluca est alejandro escriba
+empujar veronica ayúdeme necesitaría schmidt comparación natal denny seguirme pulgar hwang vientos
+quitas ética arregló hostia agnes cierren guardo preparación durmió respetable buzz avenida viena
+marcos llegaba alquilar excursión aliado ingeniería crucial corrupto verónica lava violó expuesto
+triunfo virtud artillería disculparte asustes seguimiento sucias traidores unió celebrarlo manicomio
+frasco experimentado rodea comeré denme privados mcgee laurie sentamos hugh aquellas azotea leyó
+jared gobernar lionel sacrificar informó varón unirme jurisdicción suban pólvora frenos honestidad
+valla declaró ángela molestó codo finanzas mantenernos cerebros frost burla adopción consecuencia
+lorenzo obedecer matarle rejas ancestros sinceridad corporal aspectos luthor entenderá descarga
+liras aumenta contener masculino invité asustados ídolo yate superarlo milo basa pretendo venecia
+sustancia colorado intervención grand polonia marciales andre pareciera merecido usada investigado
+leones resultar mudarse dada nerviosos mascotas infiel bromeo palanca alterado oímos monje chicle
+haberlos fumo delgada monitor leña lote religioso respecta cargas gallinas fechas desafortunado
+matty escondes desesperadamente suegra financiero colocado controlarlo basurero desaparezca napoleón
+phoenix antoine terminando tratos corazon semestre disfraces abrí acabando diciéndome necesitaban
+gilbert guardas doris detén cuñada programado anual wes comprensión profecía paja detenerla sonaba
+lamentablemente eliges fronteras donovan barriga objeción iván juntar violar invitarte ponme agregar
+mérito mantengo localizado sos montones corren asombrosa consiguen relevante cría envuelto champaña
+optimista atardecer surgió sra asesor ye coja south paraguas preciosas enfrenta públicos soñé
+quemando fletcher dramático violentos destruye conseguirá sentó unico escondió comprarte promoción
+luther labor gold fallecido excelentes cambiaste pensara detengas apretado reemplazar aparcamiento
+establo curado residente golpearon milla pertenecía hueles cuchara cuaderno músicos abriendo
+grabaciones von reunirnos mirarlo fanático campesinos nueces mayordomo duerma accidentalmente tutor
+planear camille perras insistió donante cualidades hastings preocuparnos eternamente recomendación
+ferrocarril claros rechazó interferir morfina despido andaba provoca peste filmando gong
+eventualmente defectos devuelto gabe satanás llamarle grandeza liv cristianos dirigido pipa dea fort
+entrenando celdas escogido forenses ming derrotado susie stephanie dixon millonario gasolinera
+cambies hipoteca daphne gotas frases ignorante refresco brennan mueves déme digitales elsa thor ida
+roberts conclusiones invento exclusiva pasaremos vengarse garrett concentrarme expedientes
+incorrecto sacaremos facil dicha confirma cat régimen pusiera técnicos cazando ling ejecutar vieras
+abres enséñame cintura fran telefono pagos rich investigadores cuidarte abren estreno localización
+edith escucharon mentales latas burt temen mexicano tímida esperma muchachas mudo consideración
+dominar empleada ratones autógrafo javier calmado peleamos relojes encontrada esconderte movió
+dirigía robada carteles apropiada siguieron veis grayson prevenir perpetua facilidad alrededores
+gideon síndrome arteria lynn tasa soplón desarrollado basada anochecer carbono religiosa freno
+moviéndose jonah prometer interpretar yerno cómico tocarme semilla enfades maravillosos carreteras
+profundas marino colchón river cocinando conmoción fantasías regimiento traslado ramas bandidos
+apretar salvavidas apúrense artie jugaba bobo preparen aislado terraza sospechar tocino parados
+ensayos exige presionar crack santiago sólida intervenir viktor deprimente importó disculpan picnic
+tranquilamente cass matanza chester darcy conocían vigilante vacuna alejarme peinado imprudente
+creativo pagarme filete descifrar busquen aprobado chantaje presta evacuar vendí empiecen
+descansando histórico confíes mátame químico mejilla fundación posterior firmas cynthia hayes
+kilómetro cadera callada póngase ofrecí silencioso abe suspenso baterías hoon manteniendo bájate
+perdonarme sexualmente caballería mostrador descubra asignado oveja negociaciones nadando
+funcionamiento keller supremo feas ayudarás inminente autobuses ancho gritó moisés got parad daniels
+arruinando importas adicional condenados ivan defecto provocó viviente calvo sherman miedos respeta
+púdrete granada get buda arquitecto aires reportes recurso tenso escapando daban sonia maravillosas
+pondrán sesiones amarte obstáculo deportivo atrevido desaparecidos formulario explosivo mudar decís
+precaución arreglaremos mack fino secuestró tocarlo mandy escáner google enojo realizado
+francotirador pagarlo lloras cortando propongo píldora sacan flechas rodaje arranca michel sirvienta
+aceptaré factor traficantes fuí roll salvará calzoncillos discursos pala crawford monty defenderse
+claude agradecidos demora motocicleta convirtieron mudarme universitario llueve globos sucediera
+buscó supuse santuario cambiamos quiebra atajo oxford quité barbacoa cuestiones bert sutil parecería
+vacíos zombis harriet sumamente suélteme superficial reconstruir sede prepare tentación paguen
+cancelado sermón dirigimos impaciente horizonte tardaré iniciales zombi detuvieron justamente homero
+rostros celulares séptimo sácame ivy estribor acosté quítame paracaídas industrial pijama entregue
+enteras emocionalmente dárselo invitarme trabajadora jasper gregory envenenado mills anteojos
+provocado angustia price nixon repentino fanáticos mudamos veros marchado representación creerás
+comprarle huelo transmitir despejen levantes definitiva ciegos arde joshua callate ventajas
+engañarme wong agujas alimenta casero tubos creerte interpretación tenerlos conque ingredientes
+copiado práctico duermen bolígrafo aléjense seguiría oz proviene levanto rastreador yuri extracción
+bragas comencemos avísame glen amabas tanner ofendido ingenioso cliff negociación feroz cristales
+volado evitando suspendido lanzado bates relacionados recuperarlo potente conferencias bésame
+únicamente amenazado acompañante hallado taberna polo colapso hongos onu trataron feng gemela
+referencias saltando singh caña mae aconsejo vuelos inconveniente hábitos hormigas rechazo ofertas
+infinito ingenuo supieran laberinto il existido recordaré lastima impresionar llévalo regresamos
+avanza despreciable trayendo ciervo domicilio protagonista traía secundario correctas doo palomitas
+observa hábil respondido peleado dinamita acepté reunirme ejércitos creador vuelan pegarle activado
+recibiste naciones comenzará laboral sensacional déjelo quizas acostaste esclava bridget empuja
+soborno lila subo alaska fabulosa célula precisa mandíbula cobre traigas ausente cantidades deshacer
+armonía respetos águila forzado dorada suéter roosevelt hablaban yan creían cagado consiste cuerno
+shi acercándose declaro detengan dañar operativo acontecimientos venderlo insecto bryan italiana
+estancia deshacerte camisas chispa suposición ajo abrirlo nudo redada occidental creamos creéis
+acera encerrados fundamental discutimos brazalete anita ganarme crezca consiguieron fractura
+sombreros cortaron humillación aleluya utilizó serias tenias repite infectado pediría mueran brett
+intensa besarte lunático confesó discutirlo compensar cobra calmarte mandaron independencia roland
+llámalo reclamar torno cuidados adoran kat desperdiciar convertiste brooks tiffany abandona
+pentágono ganadores helicópteros correa encargue caía acusada distante perlas apreciar mola andré
+veloz sueltes juliette sabrina pésimo adicción actúas sadie luto plana ingreso presentaré
+desgraciados cebo contexto cansé distribución atentado ring irónico guardería coco reunimos
+desprecio párate amé rasguño regresaste palma becca mantienes financiera pub gemelas charly encarga
+clarence tanya buffy jerusalén valley escribiré generosidad despedirte robados cd debimos pertenezco
+entrañas podrido cortina bellas interrogar equivocó cocinera obstáculos salvando rendirse chistoso
+recoge velo secundarios pelean creencia adrenalina escalar conducía aparición inventario estate
+e-mail voluntariamente sostén beck apuntar aceptable lannister extrema brecha tremenda cortaré
+procedimientos christina atrapamos salvador huye póquer acudir pollos fitz helada enojes músculo
+embarazoso avisaré paulie regresando cortada preciosos arruinaste ocultas lecho nombrado shelly
+padrastro enterarse déjenlo supera móviles tendencia sueltos pesados cobertizo deshacernos calabozo
+pagarte donación destruyendo bolos útiles arroyo data jenkins inventé entenderás pajarito sugerir
+frankenstein pop ábrelo recogiendo administrador afirma latín chelsea arreglando privadas tías
+náuseas salvarnos molestarme leíste novedades ligeramente atraco trajimos persiguen reduce barón
+siguiera disculparse culpabilidad repentinamente venus amorosa obtuve eco astronauta devuelve
+caminata dispararé convencerme contarles asegurarte kilo huracán hallamos tammy pieles dvd valer
+hospitalidad inapropiado tránsito escritora mirándome hala esclavitud reemplazo distinguir mandan
+símbolos pense michigan pensábamos tope planeas rezando malvados escotilla nuca frio tenés cyrus
+nombrar mienten bombardeo culpes vivían janice montana vivian sendero lara trigo prepararme
+trayectoria helados lema importara fichas estabais engaña hablábamos golpeé averigua convención
+guardando fijamente preparé peligros fraternidad ayuden leve asado clayton decirse escritores
+preston mei fragmentos quemaduras oposición enteraste blando paras kid encargará topo guarida
+serviría cubiertos leales culos amablemente tráelo defensor borda despegue pope estropeado cancha
+brigada aparecerá corras courtney perdonaré gerry golpeaste besado informa sillón locuras milord
+individuos faro estanque racha patética ganadora menta demostrarlo determinado rindas burdel
+representar sensual aló echarte agradables presentarle críticas caros ansiosa camello alejada
+contestó borrado walsh saques navegación explicado complicaciones desees calme discreto frutos ceder
+intentándolo júpiter atleta saldrán estrelló sacarlos quitaré henri presionando convento rotas cross
+capas art gail square tregua hombrecito sabias reconoció variar rol gramos irías averiguado amigable
+franz regresas empeorar norma suecia satisfacer humillante internado preparo moría wei estabamos
+genes eficiente ventilación mantenemos cuidarme powell piper tripas otis kit funcionarios maduro
+shannon abu menciones zumo descuidado aficionado organismo encargaremos coinciden oportuno condesa
+espuma abel vendré reaccionar fanny calmar ocuparse nudos peli hwa 't sierra fija sophia lograron
+suaves preguntamos ofensiva gases seguras necesarios coges enseñan lecturas urgencias unida
+pertenencias duelen apágalo recordarte rafael apresúrate cebolla saquen clubes obligaciones recogió
+poemas hermandad entremos an terminas elevado wesley girando quites darías sangrado bruto miramos
+cumplió andrews preparó pantalón ironía cogiendo transmisor incidentes bombero justos médula nace
+defensas monta dental rusty inauguración casera billar abeja tontas arregle plasma dani trama
+japonesa apuros mencioné ocupación prepararé lilly sugirió romano entrará retiró porcentaje elijah
+gates divertirte devuelva tequila here afrontar suenas quedaras consigas húmedo visitarme acercarte
+ncis limitado pasarlo olvidamos louie cohetes aparecieron tire echamos bonos sonda disfrutado
+arriesgarme north llegarás desacuerdo obreros philippe madura ficha pica funcionario signifique
+exitosa satélites digna atrevo imperial prestas jardinero disfruten podia ríos fax preguntaron
+bocado elijo hipócrita acompañar crueldad terminada jamal sosteniendo psicología protegida luca
+equivocadas entrego empujó roban devuélveme alejarse capilla blusa ejecutado protegernos irrelevante
+tos pálido porche pascua fruto cuan publicado fuma tacos inaceptable suegro dinosaurios audio
+novelas rodando fina consideran gerald escogió ayudaron déjale abrirla hagáis estimado montgomery
+destrozar soda burns aparta ensayar cruza británica injusticia oswald mares extensión enseñarles
+pensaban corazonada deseamos enviados rodeados american proteja promete milán reunidos pornografía
+drogadicto maní levanté subterráneo biológica transición jade limusina jet honrar empeorando belle
+intentos summer tate hart floyd sergio escombros taxista sentías tiraste servirle ronald bendito
+arañas agotador perderme documentación divertirme maddie biológico conozcan riñones detectar rompa
+disfrute remolque niñez ballenas felicity procesar exista quienquiera aceptan cemento afectar wan
+estupido atrapé relajarse divierte coman protesto comprarlo notable alexis simmons adoptar
+reporteros conocerme cera ingresar cool just quentin centros tomarnos contabilidad brillar tarado
+dirigiendo dominic celebridad humedad escaparon veterinario rompieron comisionado besarme atrapa dc
+confíe luisa emperatriz ahogó bailarín cajero letrero damien pasaportes at atentamente gustos
+temperamento ocupe emilio sida reconocí mudé gabinete brindar gemma válvula intruso significaría
+confiaba terrestre olvidarte frijoles pulgadas escuchaba cap acabé permitirme obligados clinton
+paloma meteré lucky abrirá secuestrador dispárale recordado morder ugh shepherd espaciales solías
+obispo repetirlo abrimos pongamos condenada obstante estrictamente dex presentarse cogerlo extiende
+limpiado felipe cógelo agradas wolf cóctel deriva elefantes marineros julieta hambrientos trataré
+muda stacy goo timmy portland besó arruiné cubriendo directores frustrante espiando peterson
+boxeador reunió funcionaría descubrirlo dobles radical ofrecen time internacionales fenomenal
+estafador pulsera funcionaba elevador utilidad rastreo apartamentos puños pagarán desesperados
+alejarte despidió jaime comprometidos dr desmayó recogido paramos denle enanos burbujas usaría
+maridos solucionarlo engañaste ollie menciona libra variedad regresemos traicionar montaje encajar
+ponle contarnos insignia continuamente kev caitlin éxtasis castigar queens mencionaste cultural
+alabado secuestrada ramera necesiten bloquear late psiquiátrico moveos determinación déjalos film
+atar ame robarle dure echan catalina metáfora misterios explicaría traerle pellejo gotham ambicioso
+noto volverme empresario atún ofrecieron doña dispararme cora antena acercamos danielle acelerar
+forman corté lucir cálida sacarnos resonancia mide sawyer racional alucinaciones seríamos dejaran
+masas eches camisetas destruirlo corres unica veían cuevas orientación or gibson disturbios terminen
+suprema quejarte faltar remota disfruto hood rastreando callarte quitarse coreano agradecemos
+irresponsable buscándote anzuelo crió hubiesen ginger escondidos enterarme rondas psicólogo
+marcharte stalin panqueques ordinario kramer suceden tapadera afirmativo sustituto reducido
+colaboración esperaban asegura celestial sostiene defendiendo tour imaginarme burbuja reparto
+sinvergüenza grúa tribunales lateral congelador llanto aliviar adelanto devolverle glorioso comparar
+declara agencias agotada solicitar explota activar lodo sebastián figuras vaticano maniobra gardner
+yo- permitiría debieron corregir pelicula ardilla gravemente consumo tormentas tolerar devuelvo
+continúan poste pillar viví jax world detenernos billie ladrillo yale asustarte desaparecen flint
+iii aprobar marines mandaré vigilado escalofríos ezra shaun milton evidentemente entenderías
+secuestrar prototipo buscarlos nash cachorros extranjera suciedad bién acusar rutas dejarías
+apestoso árabes compartido pimienta juvenil granjeros gótica caderas acelerador beba pretendes
+griegos esperaremos resiste anónima complace admite cifra préstamos inofensivo hércules tácticas
+pasatiempo regresan gimnasia rapidez bancaria sirviendo abordar librería hilos detenerse
+construyeron camilla envíen arrepentirás detonador manipular íntimo resolución abismo volverte
+relajado violado antigüedad tragar retorno churchill mutantes empezaremos ferrari rifles monk
+amuleto fallas sensibilidad callas infernal dedico saltado movemos pizca revisé predecir enamoró
+matarás langosta sobreviviente quitaste semen profeta newton seguidos grandiosa condón élite granos
+exponer preparativos necesarias empezará cumpla arreglé casamiento hallaron protocolos ganaron frías
+acompañaré secretas repuesto daryl ofendas asustan pelirroja recado gala eligieron pintado mantenlo
+espectadores diálogo enviarme pónganse perdamos filme congresista vega gorro tomás pabellón
+improbable escocés todopoderoso harina proveedor extraer gol zeus marianne contamos higgins edwards
+bromeaba viajero trastorno doblar cuido armstrong lograremos cuelga holden sangrar bufanda órgano
+cuestan forzar escapé cálmense vendes calabaza buque kenneth millie terminarlo chulo spike destruirá
+veías mareado microondas gallo desaparecerá curiosa ignorancia respondes bajes apártense point
+cangrejo finca pero- bailes inventando rodeada honores françois visitante yace trent enterrada
+calificaciones arreglamos invertido agarré es- dato celia idiomas ganancia gustara miradas creyeron
+ladrillos natasha reportaje pm peluche lastimes trish ginebra pasados hawkins superhéroe contarlo
+calefacción agrado jugó devon acantilado goa pasadas henderson prepararte morty demandar pasillos
+matthews knox ocurriera advirtió pretender mande corteza fiar enfermó convoy noción mordido
+insensible acogida nemo sloan ingenieros informarle sirves básica condujo carros tesis videojuegos
+condolencias vendas soon seguirás zhang desgraciadamente deliberadamente compuesto afectó indiana
+florencia deshazte senté pagaste sacerdotes suspensión sushi puros convertiré nápoles ayudamos
+específica cruzó presiones adán prisionera cubiertas suzanne brújula entendería relleno populares
+hormonas mutuo pagaría look posada dales arrogancia seguid marcador creíble peculiar nevada comete
+compensación tribus concentrado sudando pamela simpática wanda búnker alambre responden margot
+revelación seong phillips brick puestas gusten volcán iluminación acusados rivales right atentos
+subí herman olvidaba separadas obtienes patrullas mu warp there católico títulos pesos cuervo
+anónimo raúl comía bota crearon bocadillos alojamiento abandono respondiendo ilegalmente grieta
+mantenerlos casillero suenan ss medir electrónica quítense dirigida sopla contestas bryce
+mentalmente timón isabelle pinky luchó tirada surge cambiarte trump olvidemos intercambiar pakistán
+vómito tocarla kwon admirable chun sookie percepción donny apariencias picado swat espionaje
+convencida corrección parrilla audaz extinción descubren carnada ideales sándwiches rodean tubería
+pedirles creerías cejas anormal dewey grandote sesenta típica telefónicas sirenas manguera futuros
+voluntaria distraído tenedor pais nuera vip disparas detectado calzones aceptará movida esperaría
+epidemia escoba detector consciencia traten orgasmo ram impuesto cúpula contactado cuota ty
+provincia ladrona titular intuición dispositivos arrojó protegeré alcohólico secuestraron jr enseñas
+rupias perdonen conciertos compañia briggs arder dividir devolverlo genético comerciante renunció
+conducto visitó subes secuestradores perfectas conduzco avergüenza yardas trajera tacones devoción
+créditos camarote quejarse lavabo gorila muerde veterano mentor hector corra dirían cantaba arbustos
+busques sensato poción antibióticos mojada interferencia cantan gruñidos victima dirigió enviará
+drácula creerán inició down tacto obligada air mula veteranos exagerado empezaba compran envidio
+batallón jerome chau financieros acerquen drones ayudarán amaré surf privilegios previo impresionada
+coser sanos wheeler vencida revelado confirmó cohen angelo sinceros guarde salmón cuidará debéis
+cogeré volverías homenaje cierro fuertemente dactilares aparatos muevo cristiana supervisión
+ejemplar diciéndole conectada recibieron harlan codicia ingenio font definitivo bennet maligno
+huérfanos detenemos esconderme ace habiendo rebaño ju deprimida pruébalo porción hoguera sobras
+estadísticas revela respetado conecta musulmanes entrara qu detuve tarifa mara luchas trece andrés
+candy lidiando asustarme familiarizado dalton pedía banks retire preocuparía rendir clic pagarás
+post aceptamos gritaba bree acabemos happy derrame benson tomarla pilas pescador evita discutido
+casita descubriste supervivientes seguidas enviarte pasarte impulsos motivación grosera cigarros
+arreglará allanamiento lang cumbre electrónicos crueles reuniremos sobrevive cartero desagradables
+virginidad encargarse agarre acompañarnos pasarán pierdan dormiste pruebe ponla atada propaganda
+negado esteroides charley inversiones espejos izzy contéstame casual visible disputa canasta
+reportera catástrofe mrs comprensible columbia residuos echen huérfano fieles erección salirse
+arterial útero precauciones correspondencia amplio ayudaremos chul buscarle cumpliendo recordó
+tenerme nigel tradiciones simpatía soviética arruines mermelada usen molestas capucha enviarle
+gretchen blog cabreado ayudaba limitada but nico ragnar atiende señalar nativos him enfrentarme
+anakin sofisticado bromear calentar vaughn permítanme violador leyendas judas murciélago vengar
+comparte aplica tercio musica morada miriam estes cambiaré batido bebió halló chismes forrest
+concedido aburrimiento peyton turista seminario libreta conseguirme conocéis mentiría formado lemon
+contestado atravesó whitney piérdete hipótesis foreman fibra cuéntanos obsesionada necesitado
+corredores memorias cases apolo respóndeme filmación recordé rufus encerrar bender montando
+parlamento punk alfredo tomates elegantes arrastrado quisieran argentina patos vieran tires terco
+jode plantado recordará molino butch popa pandillas circuitos recuperarse divertidas josie
+prepararse espina destinados palomas detenidos ricas vendiste ahogado cinturones cary cálculo
+adecuadamente describe pezones clive diseñador dormidos luchamos públicamente fábricas talentoso
+satán creyera necesitemos esconden consiguiendo asustas psicológico busquemos bofetada evitado
+explicas mimi sabés ordenadores empleos lyle deberias pegamento ocultos críos supongamos je pepper
+católica recuperó want recogerlo ko kentucky aproxima compartirlo labial iríamos reich interese
+maquina recordarle partió convencerlo y- hiciéramos russ enviada igualdad aplastar venías índice
+crudo julien escuchará vinos hulk octavo cesta saliva sunny plantar conteste soviéticos atrapen
+bandido reírse logros contraté salvarlos artístico equivocaste sanguíneo royal barb apartado queráis
+comunicarme quedaban escondí aprecia hassan aleja atuendo ando escucharla metan adicta corporación
+presidencial obama gracie despertarte abdomen temporalmente corría linaje defensiva ingenua intacto
+explorador america pike nsa trasplante finge vendemos permitirnos baratos darren vendedores timothy
+imitación campesino usualmente trataste santidad cordón cuyos aprendes manchester dieran
+interrupción comprendido banquero terminara enemiga reventar lópez apelación descenso salas mozart
+invitaron panda espacios llámeme hambrienta abandonaste protegerá ganarte acabaría alabama libera
+nomás frederick matrimonios carly cultivo corrientes animado seguiste circunstancia teal bancarrota
+tractor barriles atacada alucinante rendimiento realeza capitana harley hazle detesto burton alarmas
+clavos nat exigente paseando leah mismísimo redonda noruega sígame muestro frontal exploradores
+reportar obtenido comerme módulo descargar agresiva trapo gasto explosiones disfrazado bum sábados
+limonada casará romperé recurrir mostaza esqueleto devolvió sugieres conflictos tablas modesto
+actuado abrieron dinosaurio completado despedirse campeones sáquenlo monjas llévala violada juana
+características encargó denunciar top transportar sufren destruidos charlas severo profundos mallory
+mejillas malik encerró tambor económica solicitado bocadillo mecánica bunny rupert llevemos cabras
+produjo coloca trío vales cory dolerá invitaste agonía restaurar manifestación apuñalado abrazar
+sacará volved desnudas consultar cabos granadas silas inversores golpearme taquilla regresaron
+legítima testículos quitan lorraine puntería niles jude inmigrantes despiertas ahorrado jurar arca
+socia tessa ruidoso desmond levantas resuelve mudado high uf sully juguemos considerable cierran
+chófer cereales rod salvarle aburridos comporta acostar justificar detendré destrozada creek
+estrecho condones caíste seguían vendrían mentirosos enterrados prepararnos ajuste carpa presumir
+casara penal apagó banca sanar patterson reparaciones recuperarla transformación mudanza gritas
+elegida temblar conscientes alterada transbordador rompo repartir mudarte madeline estudia
+encendedor panza decoración enviarlo bon absurda mcdonald ajustar quemada hayley visitado separa
+obligaron besando adicionales lars barcelona secos atlántico now rodeos intentará crié woods
+recipiente olga levanten despiertes jinete moción puentes chupar cuadrado whoo ocúpate vídeos
+recuperará proponer perseguido diplomático allan alcanzo supimos prohibida logras rompen pasemos
+heidi fallé prince amistoso vestirme sanguínea enviaremos molestan dolorosa uvas truman sabroso
+norteamericano vernon culpas cayera sellado rio predicador leonardo joyería aficionados vil mostré
+divertidos lesbianas incluir prefieren rené alejar rompes circulación anestesia de- tazón alterar
+mexicanos novatos comparten rías dron deciden clare aseguró recuperando encontrados servidores tazas
+conviertes transferido entusiasmado atrasado magos económico aumentando prestarme hale espectro
+babor trueno sospecho tómala oral email callie mataremos contable lancha anomalía monumento planeó
+marissa mandas esquinas escaparse controlan tuberías abuelita conductores byron acusando escúchenme
+cruzados morirse they luchan jornada alérgico propuso mango deberán advertido mantendremos vegetales
+acampar profundidades tiren oía incorrecta permito interesaba molestarlo propone mantas filtro rae
+dígales ábrela richmond pedidos dieras reza conmovedor avisó fragmento relacionada joanna pálida
+canadiense zumbido contestes mahir exhala decencia arrojar mindy juliet beethoven impecable raven
+oklahoma satisfecha usaremos virgil guardan póliza ingrid cafés alejados juicios desarmado
+significativo margarita insistir greene cimientos acercas twitter unen pesas brendan mariscal elija
+despiadado íntimos instagram solteros controlando representan seon reparación retrete rabino
+sobrevivirá armamento credibilidad conquista aurora registrada emmett iron inmune horarios see
+actuales delhi cenas querés llévatelo fríos cuestionar preservar hundió parásito guion formidable
+bok wright invencible universal síntoma grabó champagne ponerlos experimentando ahogando irlandeses
+about canciller programación cuadrados traería reveló jeanne amargo corrí portado ike cargador
+inquietante fu muelles escritos dilema automáticamente astronautas amos arrepentimiento aceptaría
+illinois juegue comamos brandy adjunto roble puntuación higiénico excita grial pasto parecida cofre
+cerebrales alejes poderosas cadillac actuó pisar tocarte hangar cook atómica frances separe afeitar
+valentine reúne acabada apropiadamente jubilación madrastra falls srta prioridades nochebuena
+cerramos funcionara coñac altavoz pasarle carrito amplia mudarnos cucarachas tropa isabella
+cenicienta vístete terminaré fluye alquilado chu pizarra olvídelo bajamos decepcionada medallas
+retira insisto homer pensarán edie traemos respondo cometas merecemos hechizos buster visitando
+dunham biología mccoy contaminación frescos exploración cogiste aléjese oriental escribía tendido
+olvidando gustarle avances lastimé individual agudo esfera callejero acordar arrestados tailandia
+corrido intenten trabajes cante metálico arrestos musicales pararlo ariel quisieron estatus boom
+usaban imaginarlo estresado entregaré burlando hablarles darius barbilla arrestada sensibles
+hacerlas balance proa brote aprieta skinner cocodrilo preliminar perderla micro sentiré deberás
+asociado abandone ochenta virtual ésos renunciado banderas abriré disculpes aquél comerte cursi
+mostrará españoles alcanzó homosexuales generar sobornos greta avatar contribución explicó milicia
+dwayne maxwell llévenselo estricto echaba motos importo alérgica radiante innecesario pidiera
+funeraria concejal verdaderas escapaste casarás cariñoso monjes divertimos betsy ventanilla pego
+indicada zeke memphis compraron marchas acostó altitud cheol silbato harbor protegerlos precedentes
+katrina invitas espantosa arriesgarnos enfadar florence estéis española enojados subimos estima
+bendita canceló anticuado stanford cierres ethel empujón visitarte pegarme acuesta habérmelo inmenso
+christy aposentos mantengas comieron pirámide argumentos rap darryl anotar mirarla fallando guapos
+dele sentaré masivo intensidad usarlos sintiera nacionales estofado trey silenciosa planeamos
+buscaban bebas jardines latido atlantic fang suelte utilizan mariposas educada tito incumbe detras
+universidades castigada huelen recogeré cm diligencia fugitivos ofensivo ocurriría vitaminas hyuk
+tengáis ocuparemos edmund mozo golpee frustrado usual karma complicadas médicas zoey llamaras neill
+langley cultivar remordimiento requieren conocíamos apasionado anular salid robamos constitución
+ginny gelatina placeres observado maureen madeleine jarra masculina etiquetas implicado diaz carpeta
+instructor seguirlo centímetro forzada oírla from entendimiento extremos discusiones suspiros
+sujétate meternos arriesgarse abrid gemelo robarme honra marcial mandato arriesgando guapas
+alimentación proposición multas planeo operando insistes diseños titulares morrison abiertamente
+qing foco compradores acuestas fluido halcón suben norteamericanos resistente locke apuñaló willow
+miserables gritan està críticos supergirl olvidan deciros beben weaver lacey interpol recupera
+creíamos presidencia hm mediana preparatoria confidencialidad pitido divorciado agitado kirby
+buscaremos mandaste sa fritz crystal agradece perderse genios comportarse cambien olía confunde
+eminencia autoestima rodeo pecadores movía dimensiones árbitro maquinaria dondequiera entrante chet
+vendía po morena emocionados kgb holt lizzy organizaciones dense cruzada ganaremos suelten myung
+astrid recortes acompañado felizmente corruptos preocupar fastidio nicolás morí neutral atlantis
+turco encubierta mágicos recordatorio enfrentarte obtuviste news díganme construida permitas lanzas
+ecuación adoptado valió entretenido adictos usados revivir matriz marche donar sonríes pensarás sook
+merlín impredecible eficaz arranque revise regazo baba dese richards moe despejada pittsburgh
+decenas taxis parecidos brien mezclar hyde industrias viviré recreo yenes lloro conduces vena
+rituales contaron entendiendo stargate ada separaron policiales flora dinamarca colaborar recetas
+acompañarte complacer hallé habremos retorcido estacionado cubro drogada convencional continuará
+quiten buscabas publicó chocar lanzando darían paraba coulson congelada day aplicar querrían
+moretones presenté colonias narcóticos insinuando empezaré arresten mantenía aw habértelo carreta
+beatles mordida interrogado completos simulación correctos cómics lastimaste engañas solicito
+olvidarme mississippi gobiernos atravesando pauline aprieto ow alergia contención austria arrancó
+negativos bebí barca atrevería telefónico depender debiera clasificado herbert tributo dora
+accionistas retirarme romperá colombia trineo estricta concuerda mademoiselle repasar criterio
+georges físicos despejar labio acercarnos doctorado controlada propietarios rohan impostor ramo
+fabricar conforme casaría tratamientos podrida dormitorios laboratorios histérica creyente cortés
+obvia heil confían respondas bajé vivienda algoritmo ctu parecemos olvidará bull dudes willis
+deberíais cantas acabes fiscales conseguirle sastre praga mágicas admiradores desaparecidas
+arrestarlo solicita entraba compromisos perdonará éso asistentes vicki sentaba soporta ésas
+episodios habituales rayas monasterio adorables acabara reuniendo maricas pegué brindemos encargarte
+marcy llamarlos dormimos contrataron tinto prometedor barrios circular avisarle púrpura peluquería
+intriga evaluar estrecha contármelo productores poseído portador unidas votantes usará legendario
+aspirina perdon éxitos malinterpretes fachada empuje preferida ninja llevabas calentamiento convicto
+sinclair tostadas reacciones puntual paramédicos diaria detienen cardenal infiltrado abrirse
+instalar alegres gonna descartar polaco hirió entrenados niegas comerse paran devolverte lastime
+encantados comodidad asegúrese picard nº her erupción demencia turquía apagón acabados allie
+vagabundos ratito necesitáis ternera equivocan stacey capitan ano molesten bea ganaba actualidad
+echaste amores meterlo cenando háganlo empujando vance gustaron bocina casaron corro admisión
+comportas conducido atraído mineral frescas resulte mezclado mckay seiya salvamos ejecutivos
+creciente editorial bloom desmayado convertiría buenísimo motín yuan quedemos ordene cavando er
+creativa reúnen expansión trudy látigo bronx winter clienta micrófonos flaco arruine relajarme
+prostitución comprueba hablaría bilbo nana guiar liberó ordené intacta mejore establecimiento state
+manuscrito brujería viajeros balsa masajes yes tyson girl bebía aprendizaje vulnerables victorias
+nell guardaba uní quitamos problemático elegidos eje lloró nalgas clavado catorce lloraba delantero
+shrek debilidades confusa cásate puré emisión mirá bianca pum producido perdiera rodrigo bono
+actualización tang despiertos grady depósitos decidida ba avena sherry kung online atraparemos
+vainilla cumplí ally tonelada identidades ascender pasarás contactó vara manténganse encargamos
+antigüedades observador hardy sucesor preguntándome fabricante sorda nacen estresante conocieras
+abandonaron retener mabel ventilador tierna estante apoyado resentimiento florrick travieso noroeste
+grifo esperándome emociona francesca coincidencias estabilidad luchadores composición quedate
+pasajes boyle escondernos transacción exilio scarlett paranoia discoteca representantes extrañaré
+carné plegarias joffrey previamente maine wagner güey jj cagada propinas asgard arrow tramposo
+duchas tiger repentina protegerse fresa imán atacados infectados currículum winchester prejuicios
+penes mentirle emitir proyección hundido besa estropear sobrenatural hicks tendréis alpha cobb
+trasladado defenderme trabajaban reconocerlo pepe esperó acosador ying invadir tobillos encontrando
+alcaide actúan warner joseon atrapaste terminaría missy ejercer despertarme carnicería rezo
+transferir sueña atascada sacrificado picasso tambores negligencia asuste cassidy aumentado
+aterradora judías sedante irritante conociendo youtube volvieras vinieran venderla lectores
+desgraciada spa ocupará encárgate cereal sánchez infantería matarían elise javi rendido mutante
+despertaste apareces firmemente culturas algas reuniré recuento pedos lenguas zhao pijamas
+advertirte logre instalado blues formularios únete espiar contratista uds retírense dañada amnesia
+rin regresara comprobando mamás tennessee sandwich siniestro olive construimos horca sudar perdonas
+cereza notó faith connecticut patata ganaré cuidarse pintando phyllis nan giovanni expulsar gruñe
+pacífica fry pídele bourne triunfar duela prestó démosle yeo atletas arruina siria ebria aliviado
+vestirte intentaremos envejecer sudes bledo vargas poseer manifiesto surgido recordando holanda
+dolly arruinada nobel jody sterling latidos jennings villanos destruyeron confió raquel permitirse
+disney granjas chapman telescopio rhodes opera castro subconsciente permisos humillado ganarle
+fenómenos besé guardé acerco subas viviera relato negación longitud hannibal esperará crowley
+stanton negarlo bocas vinnie previa departamentos muslos amoroso impactante artefactos manager thea
+marioneta tiran considere vestirse torpedos chocó arrepentido sudamérica sanders butler levantada
+peg pasarla practica pol fuller faltó decano cerraduras vivirás trágica fresas pregúntele
+averiguaremos springs cercanas marsella lindsey rechaza nadine libby ferry atrape bloques cruces
+adoraba boo back acelera neumático moss cisco tirarlo identificó qin hwan obligar inspirado troya
+mercenarios cartón mentirme harlem cómplices experimental molestarla pórtate mártir convencí señuelo
+rollos directiva humphrey continúen atreven peniques margo llévenlo gale besamos lavadora elegimos
+probé severa sergei apos míralos librarse diriges pro apocalipsis theresa flexible lujuria triángulo
+vocación unirnos empate alegrará nobleza delfines bloqueando metemos pesadas apuntes arsenal
+admiración julián rinde coop atrápenlo recoja plátano mini vito traicionaste reflejos apple usuario
+farol escalones soltó ocuparte gallagher curas patán reinos pobrecito considerada pizzas snow julius
+recuérdame insolente incompetente equivocamos old sentirías pegue merced auxiliar logrará
+reproducción metidos encendidas limpiarlo enfrentado carver deberiamos osito asma decidas cagando
+admítelo acuerdos vistos veíamos iros cierras thesubfactory dividido resolveremos morse defiende
+cascos arrastrar matarse haven etcétera yard imaginando sorprender obligues engañé peón cortan
+arquitectura viajan iv dire dadas regularmente entregarme concentrarte básicas operador inmortalidad
+consigamos decepcionante sucedería tomografía insultos indicios convertirlo caminas sucesos
+simulacro exactos enseñará estacionar escoge invitaciones póker gemidos alcantarilla hamlet
+grabadora gata construí volador hayáis tiende sufra asamblea wones peludo panadería miraste
+quisiéramos celebridades jed quebrado alumna destinada haced ocultarlo húmeda porro ríndete reposo
+sudáfrica revisen protegen hundir bendiciones reflexionar mordor fritos debra colgó cortaste
+buscándolo básicos revolucionario dependen interminable falsificación atadas hacker creé asociados
+anos aceptes podrias martínez investiga pureza enviarán rendición toronto tóxico morado milímetros
+encuentros complot hazel golden arrastró machos golpeo comunitario atropelló vanidad díaz
+alternativas addison enoja orlando meteorito expliqué resurrección pinche lucille explote bailo
+afecte acuéstate leas cecilia muérete proteínas mexicana propones panamá skye merezca atropellado
+sacos kayla haciéndome devolverme respetan keen renuncio molestos hawai cuelgues feos lavarme
+ernesto bai talvez devuelves asignación analista regalado rellenar iowa encargar presiona hunde
+probemos pelearon decidirá asteroide zoo universitaria solicitó opio informal eliza lavando flauta
+cortarle dakota unni skywalker geum astuta niegan equivalente eléctricos xx significó inmigración
+fogata dedicación ligar hirviendo cerraron tiraron abrazos sellos receptor programada shelley
+cambridge sloane realizó trimestre playas obsequio celebramos parche banana rossi paolo sangriento
+iglesias desafiar comerlo ajustado destruya lastimando ganaría reliquia juzgando concha cebollas
+hoffman encerraron vivieron sexi saltos futuras eligen vivan consultorio utah pérez ganarás
+accidental salvatore matemática rosemary lina halla hacienda recinto fío esteban ayúdanos
+avergonzarse recibirás huy panorama contara agresor metales cairo pasaban hidrógeno capricho
+llamarás tocará perdones trompeta involucra casan jueza creerle ernest negociando pegas espléndido
+bing aprenderás remordimientos olfato leeré cuidadosa alba organizó athena receso pagues espectros
+acosando publicación carpintero nocturnos nómina chupa ternura quemaron cucaracha mandando
+entrevistar moverlo mendigo dejaban quítese emocionales chequeo palm calcular organizando cobro
+pañal enseñanza galaxias acabaré tortugas sugar seol ryu newman décimo anímate gonzalo impotente
+fueses mentalidad gestión enfrentamiento hembras brujo ran nervio renee comerá proxima liado
+contenedores amen permanezca boone vistes advertirle permanentemente ocultado inferiores igor puntas
+ojala crías carril prestada jodió dickie vacante gime mediocre grueso estalló pésima existió
+convencerte inmobiliario coronas bistec recibirán maddy gastando fluidos zanahorias tratara daros
+atraviesa acontecimiento muscular lloran existiera implacable entregué enemigas bastará amistades
+peleó jarrón ponche cuides cuervos terrenos textos potenciales paradas atraparé rompas colt
+camarones tolerancia planeaba estara vegetal estaca cuidarla comentar acertado starling tomarán
+entiendan fijar capitolio hiciese coleman submarinos hoover salvarse comerciantes griega lavarte
+hechicero ahn oigas infinita honorarios myers almacenamiento piña paralizado leland ayudantes
+progresos xavier team brock traido haciéndose costoso acompañará torturado registró costas setenta
+nacieron eliminación angus indefenso chelines traeremos sutton plenamente golfo frustración
+diccionario cólera apareciste señas pescadores enloqueciendo comeremos liderar abandones chae xander
+màs solomon odiado agradecerles elegancia demostró corred amó lleváis karaoke tortilla nuez empire
+repita miraré pagaremos atacante aprueba aluminio soja ofrenda hobbs apunten laden consideras au
+echemos curvas country compañeras acostumbrados reg imaginarte reinas océanos abrigos mantuve daily
+calificado besaste antorcha amenazar solucionado pregunten costos talentosa karate talones salían
+quitando charco parabrisas inspira fischer reforma lambert aula wook traerlos naranjas milady
+confesado afectando zanja prosperidad relájese desventaja caldo cirujanos tragado enloquecer burlas
+descubran acompañas no- mineros haria reinado necesitara marian magnética ganso fosa perezoso
+dimitri pagaba salvaron infame dutch temprana invisibles aplastado umbral sexualidad if échale
+fregadero cuidarlo acostumbrarme diviertas chivo trabajaré sumo explicártelo comediante recompensas
+reconfortante dolido adquirir morirme maternidad acuesto lisbon animada psicológica cylon cultivos
+cambiara lastimada irracional inscripción priya imposibles desconectado porfavor maratón agarrado
+tocaste tai reno enamorarse expuestos múltiple garantías instrucción dependiendo ametralladora
+ramsey guillermo bernadette cuidadosos pésame dedicada ambiciones recibos marsh donaciones víspera
+rasgos pulpo fumas rindes voyager suspiro soluciones pocilga grite gestapo fibras cuidas aguda
+haberles tintorería psíquico demas estándares brent carnaval choza vagos vader llevaran preparamos
+llegaras horace harté rush dominante biopsia riquezas chow morton empeño clint convencerla bajan
+permitirlo muéstrale cheng lona ahmed ocupadas continuo esmoquin recojo pecador molestaba excesivo
+elfos refleja ansiosos criados geoffrey exhausto aperitivo parroquia define clarice almacenes ofensa
+físicas toros sugieren rocco record gerard naval encontraras tienden nah cazas suburbios parecías
+demostraré rampa berta musulmán asquerosos acusó llegaran filo exclusivo sueltas genera vagando
+norteamérica interrogatorios herb cordura pulmonar massachusetts limpie caerse larguémonos frenar
+clásicos medico histórica diseñó religiosos irving gaby inesperada cumplo aterrorizado anders syd
+leela sincronización conocerás soltado visitarnos viki hara sky carnet parásitos yankees reacciona
+barrett wood robe levantando iniciado bribón intestino individuales heredera cassandra planean
+cartuchos personalidades obstrucción estufa leía cumplida golpean amarillos sofia llenó marruecos
+contestador sustancias improvisar reglamento apoyan preguntárselo ignorando paternidad trofeos
+repartidor hubiésemos bird matrimonial llamabas gloriosa fiable americanas inquieta estudié
+convertirás manipulación inés reservada engreído diseñada olvidaron visa varita canguro melinda
+transformar cherry huida sicilia concentrarse maníaco equivoque dal lamenta bae nostalgia acerqué
+union how guardianes doméstica national arre turcos madrina unirá sácala apollo gustarme estudió
+clon sospechaba originalmente meyer justifica enojó eramos componentes aceptaron slade lillian
+autorizada lejana bronce versiones fallon tocamos recepcionista edna traernos quítale excitado
+cualidad castigados aceptada apagarlo divertir dejéis concede rogar lockhart noventa lexi expreso
+baratas marley encarcelado disgustado confirmarlo catálogo bones sobria míreme interesaría guardaré
+empeora diarrea uña robadas humildad tigres ignora verdades subiré manejado kristen diputado
+arrancaré fabrica entregarte cabalgar orson dormiré hostiles guido sueco intentara elisa protestar
+folleto carolyn llantas inundación recaudación levántese forastero creada póngame recogí resultará
+lucien discípulos conseguiría sheppard pipí aprenda descansen aguantando she kendall tomarás
+ministros externa pianista importado cuídese caídos reconstrucción sauron pegaste light cortarte
+precipicio festín senor esquiar periodismo independientes gitanos et pobrecita benedict detienes
+congelados inmensa aventón celebra jamaica dolía village magnum dispararte carcel acabaste mareada
+echará visitarlo casaremos contártelo porsche singapur engañan provocando posesiones august decker
+menoyos dude seáis permanecerá mencionarlo subieron graduado side perla escuchame let fidelidad
+admitió sangra preocupéis agarro leroy vinci víbora pulgas caviar barton apto darwin colmillos
+vibraciones supieron romperse joderme jaque du destrozó plazca loro semental pino exteriores
+deliciosos acogedor vayáis escriben afectará entidad doscientos rápidas fundador cogen sugerencias
+infantiles gasta trabajaron producen conejito enteros restantes olvidarás escóndete vendieron
+manning financiar dinastía dejare llevárselo informada competente janine golpeas modus good alvin
+chavales apague ostras averigüe aprenden antemano perkins manténgase indicio jeep compositor
+shanghai anunció princeton pinzas enloqueció adaptarse pensáis dory soñaba moo imitar inseguro cuddy
+retrasar entraré efectiva ampliar radios estocolmo superhéroes jarvis inquilinos flojo chin
+descendiente bronceado liza usara regresaremos sorbo culparme anhelo mamada demostrarle bank lorna
+caminaba acérquense enteran bailas podáis mercados logran inquieto acertijo trip groot marinos
+transparente ranas godzilla automática ingrediente bloqueada diabetes soviético moribundo eden sauna
+popularidad jacuzzi grimm mangas think jasmine publico dumbledore desarrollando apuntas serial
+prohíbe modernos marcó gustarte empapado deborah ofende lluvias convence ordenaron formando encargué
+seno perdición excepciones derribado im contará golpearte pronunciar escribirlo encendió noveno
+extrañamente compleja catedral stewie atroz home alcaldesa aprobó fracasar encantos enamorarme
+matadero farsante entusiasta sobreviva pozos cocinas bélgica wen vertical riendas hanson sexta
+michele apretón alucinando actúes entraremos bromees regalar nazca enorgullece desafíos quejarme
+avenue trabajabas spence revancha efectivamente viviremos pronóstico avancen springfield molestará
+blanche asumiendo abordo zanahoria introducir ejecutiva compartiendo vengarme tarzán marjorie jiang
+idiotez rendirte inquilino reclutas prometieron omega manteca flanco calorías momia gladys norton
+bicicletas enfrentan presentan neville caigan pintó esperara servilleta cansando hiro wisconsin
+metía indiferente uld apareciendo klingon natación golpeada recogerte fowler abandoné sonrisas klein
+jeannie cancela tamabin maryland atrajo secas eléctricas controlo insultar desastres consume
+reservar operandi escogí reverencia paddy llamarse calienta lloré librado brillando nerd lograrás
+encuestas comiencen cascada toc intestinos becker swan enfermero shen callados aceptaste estatuas
+soplo garantiza violando jensen interrogarlo garden colada himno marine magnus aldeanos quemados
+lisiado encuesta apurado varsovia abortar municipal bárbaro tardaste presenciar avisarme arrepientes
+alfombras admitido enteramos bendecido gabrielle vicio sake intrusos escapan coqueteando captar
+christie atravesado murciélagos mcqueen adivino us redención razas pertenecer permanecen extender
+viral impresiona duende aterrizó tornado scotland hawái dev universitarios pensemos aspiradora
+gestos extrañaba constantes webb arcilla rima arrestó samurai deacon laptop conduzca obligarme
+mosquitos duérmete cenamos costaría frecuencias nova murdoch terminaremos riggs exijo mencionas
+benji salio paulo desactivar tyrell sartén describió cirugías prometerme chocolates amarme
+convertimos minnesota infectada pedirá mauricio robas descarado bájala marketing jaleo desapareciera
+dodge enfrentas jai relativamente liberal dejémoslo continuó molestarle arrastra pegues depredador
+consígueme ancla espectáculos acusan abrázame odie gino balde interrumpido cao arrastrando reunirte
+eddy despertará bagdad tiradores muévase equipamiento recogerme dirigirse celeste cardíaca manchado
+imaginario grises magnético everett faz acaben dre suplente mienta marchando lamentar recados
+pedirlo extrañamos prométemelo poppy dillon dejarían clifford broche loki almohadas albóndigas
+embarque salada realizando déjenos coged bethany shows huyeron benjamín ataquen webster porta hades
+detenida bmw intentaría sapo potencialmente telefónicos prestigio caigas pistolero recomendó empatía
+vistiendo muslo confié costilla tasha incluida cuelgue afectada tacaño preste pip mafioso
+estimulante johan fascista prisiones acercar raciones presionado aburre maniobras diviértanse
+cuchilla tak penetrar fuesen formalmente obtengo razonar opino remate respondiste preguntarles lynch
+dejarse agárralo perdonad mercer gatita beatrice muñecos floja hedor construye chispas desvío
+comprensivo arreglaste armadas preciado cuénteme apostando vencidos randolph monton librar borrador
+bah seymour dais causan avergüenzo entregarle diseñar bacterias visitarla serte arrancado estambul
+vudú hirieron tratarme suceso heights alí ensayando tibia arreglas realiza mascar gustes adecuadas
+tostada seducir oprah meditación juró encontraran formó avecina ofrecemos mentirte injusta duquesa
+poe kiki golpearlo enganchado rendirme llamarán escultura rahul silvia mera marrones consumir
+camerino equivocación trabajaste táctico sobrevivieron clemencia vocabulario disfrutarlo cyril reía
+madonna cansancio pequeñín corey preparan condescendiente cuyas colmo abundancia tornillo carlton
+ordinaria ligas jadea allah bolsos inyecciones indemnización guerrera francine derramar cogieron
+verdugo transportador presentaron patriota aidan faltas entregarlo capataz cambiarse probaré ocurría
+bajaré malone proporcionar progresando ocupando kerry ético yeso uva funerales tómese graciosos
+contribuir abriste moralidad tráela mari tejidos escondía alimentan heroico refrescante peters
+pégale asiático prestando pegada buscaste quererte suspender canela amistosa picar desagüe center
+acabarás navidades emisora acta informados bi eliot mordisco ganes tinieblas distinguido
+temperaturas tardis seguirte presentará hablaras comería caerán adversario tragó aclara hackear
+confieso sabelotodo flote pretexto eua devuelvas católicos aprendas eileen shield contrólate
+sangrienta dirija devolverá slater well arrestarme vuele discípulo destripador victimas léelo giles
+diplomática francesas lágrima habitacion jugué conteo tranvía ripley plancha influencias despidan
+plateado presté vé mostraste abrazarte violaciones diviertes trapos masters genitales gen animar
+sabios imprimir cesar recordarme teclado sentará pilar francotiradores conocidas bárbaros aburridas
+lider escolares cabellos aro cuadrante puerco botiquín pillas llenando penique lagarto cubos
+avergonzarte colocó cantina ángulos tratará niñito envías vengarte tirarme espartaco recluta linus
+convocado primitivo funda vladimir mision hawk claudio denunció verías exorcismo comparto rotación
+lunas lecter blindado pararme escalofriante atraen presentas cumplen extrañado europeos firmé íntima
+extorsión convicción despensa protestas sensor consideraba candado arrojado axel ánimos tratados
+delegación sucursal jeans arruinarlo solares patinar besito idéntico artística relámpago mejoras
+mataba informaron escalón ferguson penales superviviente resistirse fusil volaré citación who
+herrero bombarderos perdonarte pearson asesinadas parálisis internas credenciales compadre bulto
+redacción gun esquema magnitud lárguense invernadero zane peticiones borg paralelo duran bruselas
+perritos madurar restricción paré salem liberada irresistible anfitriona way porquerías escucharé
+cojas meterle envíame quitará relajante lente mountain esponja consulado ae presentamos conseguirla
+hillary pensarías freud confiamos bebamos bailarines permanezcan instituciones hoyos feto escondiste
+pintas relacionadas pasarse encaje apestan recordarás posponer enfrentó deténganlo acercaba sujeta
+quicio brewster telón locamente retaguardia josephine comimos perverso comportarte rompimos gráfico
+gandhi esquí espiral concentrarnos apostado abbott protegidos transformó aguante adele notaste
+depredadores preocupante contagioso caribe nikita dedicar soleado trek escritas baldwin necesitarán
+mesera his cansa castaño ip claves transmitiendo ocurrieron estã hongo decreto off decentes
+remotamente pese márchate gondor cecil reducción lil planificación obi-wan merodeando hablarnos
+estructuras echarlo solicitudes culparte coca-cola chambers uh-huh juré resolverá teta rover
+montreal mandamos aria cápsulas torcido talbot susurra neo diploma africa averiguaré melvin escupir
+tendencias martini gales buey titanic hopper heterosexual directos balazo vibra terrestres subida
+reservación probamos lyon déjamelo disfruté copiar llenado formalidad empezara compraría carlota
+futbol transforma levántense dones pequeñito dándome calculado retrasados petra senadora saddam
+republicanos bombay mostraron litro estudiantil cruzamos pratt fraser lawson taladro fitzgerald
+pulgada peleen howie horrores engañaron deshecho trabajen demandante comprendí columnas comunicarnos
+restricciones hueca lechuga especialistas kg copiloto ayudaros ahjussi reírte colectiva cortarme
+valgo justine theodore llamarías estirar involucrarme naciera factores convulsiones lucen ansias
+suicidas temores life desembarco opinan irrumpir fish aura abandonados quisimos avisa vivíamos
+sorprendentemente dársela cumplidos corporaciones maricones llore juerga antro presas che analizando
+prenda worf verso valdrá tenerle colisión ahogar bailarinas arabia rondando irían despertando
+capturados descendientes accedió capacidades mesías existo aterrorizada corremos querré aiden vaciar
+suicidarme aquiles interrogando hablarás hicisteis desmayo brevemente sencillamente ruega zorras
+singular adivinado muhammad tardó sueñes inmoral implante guardó entregando traidora coleccionista
+sonado saturno acuérdate feride ajustes acordé slim díganos conserva brindo aceptación acabaremos
+mccarthy desvanece franqueza drogadictos cantantes totalidad zero desarrolló albergue recogerla
+noreste lentos calentando chile resuelva etapas reportó librarme virtudes shiva merecer jurados
+comenzaremos neumonía faltado considerarlo cliché esposos conductos cafeína murio conocerá comienzas
+mayonesa atraparme edison revuelta indicaciones hammer ocultó end missouri firmada estéril destruiré
+calmarse demuestre bikini enamora boletín testarudo grité been aleje mero confundir animados abusar
+hoyt norris atraparán pégame buscara expuesta agatha preferirías callen prestes yogur enfrentando
+ciao tropical réplica marcharnos vivamos pensilvania olvidarse hilda extendido especias recaudar
+accedido rabo persistente enterará cariñosa intermediario sujetador plástica brutalmente tiramos
+iniciando impresionantes escapatoria cuerdo revisarlo escribas civilizado sentaos príncipes pandora
+ocular 'm fracturas conducen bombón asegurada say casarías preparadas salte fallos escribirle cártel
+ascendido quimioterapia hijita bangkok tian sparrow hippie bailan vermont largarnos knight
+invernalia interiores hermione gratuita minnie colby disparamos dáselo recuperamos europeo estatura
+parques ofrecerles estresada candidata transmite desapareciendo conviertas quejo odiabas arbusto
+rodríguez vejez óscar note pirámides espinas envenenamiento manejas fine buscarnos búho desempeño
+mareo valiosos sarcasmo cookie vírgenes rastrearlo hawaii delató blaine usuarios presentaciones
+detendremos ucrania leerla gritado dieciséis terminarás take cangrejos realistas explicárselo
+interponga hopkins metrópolis ka orgánico semáforo electoral caluroso marx enzo beau servía
+prohibición molestarse marqués gigi cleopatra ambrose inspectora sorprenderte ofreces presto fidel
+barreras aparente racial fascistas enfado cruda apaguen alzheimer lámparas famosas contienen
+contesto comunidades amarillas wendell desviar compatible powers ga cumplas paranoica engañe
+desechos carroll agarraron husmeando eleva orgánica dog cosmos comprobé amsterdam festejar micah
+camuflaje morales ande suzy mayormente fósforo sansa distancias haciéndole comprarla united
+predecible energías darlene auriculares mijo clones aburro traducir detuviste atados gaius
+agradecerme capullos advertir kathryn empujado males cómete spartacus avaricia incomoda financiación
+navideño islandia enormemente darlo preliminares devuelvan establece caldera atrasados urgentemente
+presentador constance cúbranse chiquilla aguafiestas discovery describirlo vejiga subestimes
+súbditos patrimonio mezquino evie unicornio cardiaco weston ademas tirón servirte impresiones
+propósitos retirarte retenido envenenada rosado carita obligatorio comunicar externo agricultura
+acostumbrarse cuántica criticar corleone compres vegetariano egoístas coste vagones embarazadas
+divertí dinah ghost distribuidor cafe alemanas rindió psíquica cortamos energia quebró curry bollos
+asia-team actúe occidente propuesto exclusivamente cometiste afilado probó liberados fracasó separan
+maxine blade viable arriesgaré acelerado obrero multimillonario diarias destreza destinos lastimen
+cuéntamelo mármol jinetes graduó atenas karin consistente never hayden camelot belén átomos apártese
+proteína ardillas radiografía usarlas gang venció imprenta dote decisivo capone natalia mazo
+dinámica pregúntame pose legión ranger descubro sellar reclutamiento casualmente webber prender
+polacos escasez enfermar queman brillan krishna saunders cuéntale sucedía intérprete survivor royce
+respondí mención psicópatas investigarlo creatividad costura champú pensaras arnie refrescos
+entregará burlarse llorado disgusto buffalo cursos estatales eliminados cosmo caería portón kathleen
+pararte acercamiento yegua varones bajito competidores principiante tomadas mars cuidó cox
+smallville podríais huérfana cuidara guardamos frecuente dent conservador cerdito invitamos murph
+bloquea químicas borró imperdonable charlando traviesa invite veréis grietas amir ridge besas
+aprovecha intersección trincheras sepárense sagrados identificarlo reúna trayecto cerré torpedo
+limitaciones defendido comprenderlo comestibles cagué buscará apareciera trasladar express declan
+mapache mao irregular ingles hui resplandor parió papito corral abdominales repleto patente len hua
+houdini designado compatriotas skyler reformatorio proyectar katy hum guardarlo codicioso gobernante
+fénix durado delicadeza madam leen hubert afirmación medallón considéralo oui estomago colonos
+hagrid bolsón rió comunión cash encontre retomar creímos transformado ruiz odín night jarabe hot
+colectivo anunciado alimentarse perú vínculos bu reilly vicente salvas contarás bancarias temple
+enfada reja plantación nombró ire follando firmo soberano pegando jura grabada bronca ametralladoras
+viviría sonya detendrán olerlo nieves mustang gitano taco karev annalise emite elias cometen
+adecuados enigma cain armando lóbulo mostrarnos cuidaba cruzan buitres tendió alce a- disfrutes
+analgésicos tirano tarro pillé leopardo escenarios cuiden mumbai camara perturbado enviaría llevada
+ino descortés tetera contraria caminan caminado tratarse place escribieron drive devlin balanza
+ayudarías hostias edén puras auxilios generadores clasificada chisme gire mudaron dobla
+distracciones viola uranio turismo magistrado berkeley estiércol bordes elliott carroza cajones
+regulares folletos opone forzados obtendrá malley colmena vomitando iraq bess inspiró consejera
+lápida tobias roz enmienda maravillosamente unes duendes arándanos conlleva tardan destructor shik
+podriamos ahoga davey charlatán malditamente hydra divisiones reunirá comunismo académico buceo
+susurrando informática fíjese válido muestres metimos títere excavación echarán tened pescando
+acabarán abdominal penélope adolf vinagre rígido obtienen yvonne remover laurent eclipse sayid
+huerto cínico apoyarte idioteces noona hollis genéticamente épocas entenderé demuestran recomienda
+podés sing manifestantes loretta acostando jaulas discutiremos siberia budapest aceptando encargas
+delantal vals hobby cocinado orgía incluyen scofield debut alejó solito enfermas destello armarios
+roberta extremidades boys sábana respire heno beta going cleo torturar amarga acercado exactas
+relaciona pidan hilton colgada encantadores dunn asusto represalias rangers page when parará novak
+higiene reside diamond dead unimos míranos indefensa discreta camine aprendimos participantes
+manipulado repetición miligramos injustamente bájame inicia esten informacion honrada duración
+venenosa concluir envuelta sonriente sofisticada reconocen alonso refuerzo jeremiah edwin siniestra
+obtenga filósofo elimina deshizo viviendas bolton aliviada tong gastó ascensores zelanda ren
+espirituales controlarme cheon rastreado imbecil callahan apuntan vigilan suicidado retardado
+entregamos steele manía luigi deeks verles perdía master despliegue anya tiranía involucrar incisión
+venís cenado ta portugal nop faldas contaría britney suponiendo piojos entrenadora elle brighton
+apuntado vidente estables agradan accesorios veníamos traves tradicionales insultado callaos salvaré
+ro arrugas africano quiza nicola mediados dardos tentador sufría preguntarse híbrido fargo carece
+brandt sálvame investigué soltadme fantásticos pingüinos jodidas enterrarlo informando costando
+psicótico enfrentarlo asesinaste stein bertie round escogiste bam vanguardia atiendo arrepentir
+vogel siervo recordamos ósea lector lanzador invención luffy camellos bucle alejando truenos racismo
+make contrata alfonso volamos ocuparnos marcia picada detengo cerillas gordito filetes separada
+libere johnnie llevados dejarles vigile delirando fabricación babe ticket represento prime
+aterrizado satisfactorio quedaos insulina freeman filipinas tóxicos pararse temporales pulgares
+patrocinador impedirlo brutalidad audiciones arjun vengadores qi nathaniel moléculas incendió
+sediento irlandesa enteraron aproveche requisitos pegaba cáscara admites tartas superó salarios
+recital pegan muevete hábleme gruñón fumado acorde gustabas gatitos ringo colón trepar tango sequía
+gérmenes acéptalo skip hai componente lujoso irina cordones policias insomnio criaron madurez jabalí
+implantes habria descubrirá dadme golpearé infelices examinado cráter chanel merry escrituras
+cuídense traed egipcios detuvimos lápices donas procede preocupó liberty curación tardaremos
+penitencia marchaos inmortales colgante cause serviré serle mátenlo porcelana marks adhesiva
+completas iras nicki extraordinarias secretamente largó válida finjas stripper llamarnos
+inspeccionar estrategias esconderlo impulsivo envenenó brothers aparecía alien sordos indicar
+desierta gabby disgustada apagada satisfechos novata recuérdalo estática enterró apoyando traga
+fleming ahorrando raylan confirmada rambo chucky ramen moreno invitarla comprará reclamo mutación
+memorable romana patines intentemos aterrado alucinación orígenes bellos trance regresarás esposado
+sáquenme recibirme recogida mandarme habérselo espléndida abatido territorios plantada group
+caminantes ding campeona hansen contenía nino mentía sermones reconocería aparcado subirme
+extravagante ataduras congregación bebiste andrei limpiaré santi sacaba lilith aéreas violaron
+veríamos mayday aislada cresta turk escondo anti separarse regional itinerario huyes echaremos
+tratarlo guiará admiradora saquemos desertor rechazada sombrío sik paneles relajada operadora
+marcada haha regresaría perderán conversando anticipo winnie reir innumerables creaste convencerlos
+torso drenaje apartar haciéndote margaritas col langostas hipnosis beneficencia salirte lastimarme
+huyen carguero borroso them fei apuntó redondo entendieron abusos hágame strike introducción giras
+conozcamos barbero antojo filtración tremendamente ruleta rim jugadas gama descubrimientos codos
+town enamoraste cobran asaltar precisos conducción vello rogando mezquita extrañaste decepciones
+dibujando camila destrozando bellamy relevo obediencia informaré arroja revisamos perseguía lima
+levi enteren desapercibido rumorea librarte aparcar vestimenta publica protectora orar venderé
+resucitar pasarela defunción deliciosas cogemos xi ofrecerme séptima dino capturaron puertos manuela
+cócteles vigor lynette ámsterdam tortitas preguntaría gruesa genuino fastidiar díganle robbins
+encajan desordenado definir contundente walden roxy mátala masticar guiones guarnición destruyen
+convenciste adornos lim compartimento calmada arriesga series pantallas jamas descaro activó
+modificar herirte colleen paseos civilizaciones sacaría programar centrado permitía inmaduro
+alimenticia gyeong agáchense sunbae reunieron postales descubierta decidirlo bájalo norm holandés
+gwang alertas coreana cogerme pennsylvania aspirar animadora viajó unieron sírvete secciones
+probarla divorciada balística apoyarme finalizar estribos calcetín inventaron gómez comino
+arreglarme ahorita noticiero apestas seréis seguirle enviarla convierto wars odies molecular llámala
+coquetear puntaje asaltos actrices mercenario jengibre informan bajaron astilla precedente colas
+androide resultaron regresiva quill lockwood venenoso fugaz decidan fertilidad dijeran
+descomposición mejorará guantera arrodíllate gruñendo freya engañarte consola stern fijas combates
+adquisición oxidado elfo noh habana expiatorio escaparme corporativo sable cartman tuck emil decia
+afectados ombligo xuan mocosa galán traductor interrogación tuberculosis ensueño cuidan revolver
+compórtate yanquis serge olaf sudadera doméstico chat sonrió preparas poetas desmayé cortadas benton
+tapar despedirnos reímos mercy domina deshonra creciste quebrar párrafo moriste monitores manden
+vayámonos practicado stop defendernos ponían odiarme elías bass pegajoso llueva tte ryder more
+desapareciste sencillas animación alférez decorado bbc ración prohíbo actuaba encadenado despertarse
+crecieron venado tocara impresionó explicará supiese nebraska latir kirsten encargada diviertan
+afectan riker kenobi huang averiguó sabores inversa riéndose vigilantes sobrevivimos platillo
+mundiales mildred buckley retorcida respondan reaccionó dieciocho complejos explotado werner tirarte
+temible planeé noé bromista rip ducharme persiguió vence sorprenda presidentes pingüino golpeaba
+daos aislados shhh meteoritos hectáreas enseñanzas disfrutas destornillador apruebo pensándolo
+parámetros orcos enterara discretamente bazo alcohólica siéntete lyra complica responderá
+inmobiliaria tumbado tardarán quejando halagado donantes pedacitos meñique marlon luc emerson
+querias liberarte vaga terrence misericordioso jacqueline asegúrense reportado cositas calavera
+bailamos tomad rubias salazar pietro perturbador juzgados dígamelo aviación amiguita situacion
+pinocho localizador harmon enfermizo delicia conjunta tariq resolvió obligan delfín razonables
+quédatelo venderle chung aspirante piénselo jubilado desconectar csi complacido quemé quemadura
+explicando dormirá sweeney lasaña invitaré erais encubrir comenzaste bambú soplar saruman poseen
+dártelo conner aerolínea garantizado vulcano nacidos lastimas expulsada aduana tic crichton atorado
+pilló ganga admirar créanme sabotaje llamemos levantan degenerado vacunas sentenciado mutua estaria
+ambiental suizo moho london estais flotante republicano odiaría fundido fracción juzgues vibración
+abandonando llene hindú regalito limpió vivientes sacudir alegras desperdiciando cuanta monto
+tranquilas savage mudaste chiflada callejera buenísima ames separó pañuelos auténticos religiosas
+molde divorciados creed brittany versos superan joanne devoto causada buscados reconozca cláusula
+melón capó bisabuelo subtitulado satelital portavoz acres viajo difunta uci sacara grove goodman
+optimismo enfadados elevada detenlo sucesión peine maleducado entusiasmada shepard reclutar
+preguntará oakland interrumpiendo supiéramos retiren positivos pásalo destruirla maneje despedí
+sobreviven permitirte eficiencia detallado manson intrigante greer rincones idénticos transmisiones
+sybil grandullón capitanes barrido aj teatral stannis roth lanzaron demo marlene transacciones
+sustento obtendrás gordas enfrentarnos cogerte provisional hostilidad presiento burles alfie
+necesitó moriarty litera inspirador godfrey barbaridad surgir misteriosas apurarnos simios proxeneta
+llevaras hallazgo dibujó cubra contrataste congelando vente salado reuní cantó bryant muéstranos
+joong esencialmente guíe existes anota trataban mugre hamburgo gángster fastidies avion desviado mai
+bajará aprovechando russo meterla identificaciones exageres escobar condenar casadas activada queme
+devuélvemelo escapamos déjela ancestral prefería strange leila entendéis decepcionarte anuncia
+libertades casinos tormento liverpool estableció katya discutas pervertidos explotará conseguía
+preocupé butters vegetariana sheridan garrison bernardo dictador dash olsen vertedero pergamino
+murdock mmmm legendaria engaños ciudadana semanal retos geoff cúbreme pequeñita continuamos
+marionetas bye rice metanfetamina lavo génesis divierten camisón strauss informático escuchadme
+culpando clientela escribimos navegando impidió gasté vice radicales obedece exquisito desarrolla
+curó vertebral persianas localizarlo engañes cnn clasificación disculpad desempleo titán marchan
+guárdalo europea pepinillos janey buchanan gyu propuestas acompáñame fallaste diciéndote prescott
+otan miraban flotar entrad mostraba lamentas buscándola cometieron obediente haras fallan
+controlarte ajusta adquirido recuperaré leeds cuotas savannah pegaron llamándome levantaste imitador
+dominique testimonios servimos fi esplendor avise aseguré numerosos incluidos dominado sustituir
+póntelo caminamos volaron robarte parta lulu descartado terca guapísima causará acordarme
+especulación votado anuario suspendida responderé compitiendo escandaloso cerrojo celo bandos
+hormiga zarpar manto nichols restringida mariquita invasores parsons luo renovar arruinará ahorro
+pronuncia renuncie prescindir tiraré poblado mude matrix ejemplos beneficia reírme opuestos cupones
+bachillerato preferencia podréis modesta creados atacará solicitando cadete ignorado hervir bee
+instantáneamente álex investigue fijé blancanieves rural proporciona envejecido draper consideramos
+aclarado toxinas retrasada políticamente plató pil negué defenderte hailey felicia compara atrápalo
+atraparlos spider rusas hetero crianza subirse egipcio ceniza anal adulterio quinientos densidad
+automóviles seleccionado oleg leigh controlas lan especia urna josef intelecto forzó barrow rhonda
+ocupamos tokyo solitarios rivers boba bebemos acostumbras yoda entretener cerámica yin xu
+controlador sinceras elevar cubriré centrarnos golosinas cuidador imponer calmarme anulación
+indiferencia imagínese audiencias tornillos jeringa calificación gigantesco cafetera supervisar
+significativa iniciación cómodamente agitada supuesta enterraron productora distinción veranos
+románticas lomo laguna ilumina carguen revertir lucharon invitando guan axl marla kowalski islam
+vivías tocaré pilla exigir empujes pudra existían carmine asegurarle starbuck keating descender
+plantó silva disparate yates jacobs averiguaste palmas dorian descubres sufrirá saludables detenerle
+consejeros thornton perforación cito uber polar contaminado poseída pyo pinchazo holland heredado
+galones delia canadienses pedírselo chiquito aperitivos déjennos controle latiendo avisarte remy
+sobornar organizada fósforos conway tiembla dorados sientate peluquero lastimaría instancia
+ignorantes dúo charleston caga alimentando intravenosa steiner kimberly descuido yanqui metería
+estadía comienzos cocino sweet sharp perdedora largamos capitalismo banqueros servida particulares
+cambiarán ayudadme abstinencia resultan abandonaré whiskey sil trinity interpone encontraríamos
+anomalías jovenes intelectuales garage expandir apelar zak restaurant elton denunciado cortarlo
+muchísima fury cotton atendiendo divertiste razonamiento raja lidia deportiva defendió bear arrastre
+apasionada presten falte violentas salomón prendas thorne solteras mafiosos louisa desconocidas
+spiderman pascal fuere creeré confirman puñetazos parezcan xix venderme planet diabólico rafa
+odiamos thatcher talón dell proveedores solemne llevare had decepcionar bubba vs prematuro pendejos
+narrador granger escrúpulos portas wa toxina simio numerosas hijito búfalo auschwitz proveer logo
+cantado bowl barker suzie kris cocodrilos traerán munich divide asume actuaciones renuncié comandos
+odioso unan ritchie enviara averiguamos inflamación heller escuchara espécimen xxi usb bette annette
+exhausta contemplar citar autores superstición guisantes desafortunada asher asfixia ambulante
+gentes estudiaba azafata rompan olvidaremos muchachito garfield kaplan matemático could retiene
+organismos niza nellie foso divorciarse complicados bowman tomarle dañó balboa puramente distraer
+característica avergüenzas aprovechó tech encienda preguntábamos diminuto delirio zar paleta
+mostramos llorón jodiste pradera nata yoko seriedad establos salones picos mudas marisa opongo
+cubrirá chiquita su-des rabbit cenicero plegaria microscopio lucho dudley difícilmente deportivos
+volará hetty despedidos distraída recuperarte recordaría majo griffith gaseosa droides detenidamente
+coronación adolescencia videojuego juntan imagine curarte chorradas miniatura gustando sacramento
+weiss representando presentando opresión mosquito rolling hurley atracciones verguenza tómatelo
+terciopelo recibía propulsión negaron fanática criando mírale mirabas vivirán robby owens lili
+eligiendo comprometer tesla quítatelo zurdo pi pajar yeimy recibas ramona superé srita huyas borra
+apéndice matilda liberarme incapacidad dirk afeitado horacio avisos popó michaels hormigón duane
+dark costaba alexandra gitana romero reemplazado expulsión céntimo acostada andie administrar
+aplicaciones ofreciste negarse mencione marlowe akira wild embrujada consumido subirte bautizo
+abandonan tonos cumplimiento hacés exagerar demócratas bullock bridge dixie salt kimchi bromea ziggy
+mensual god county cosechas palace indefensos entrepierna hi bufón indias atraparte trivial
+desperdiciado biff llenan alimentado válgame revisaré patrocinadores vigilada venderá promover
+pegarte hocico valido discriminación cobardía ahorcado incertidumbre frasier expresa congo
+confidente gradué furiosos escarabajo mantendría imaginarse femeninas toleraré odié subtítulo
+sensata fracasos faye disculpar acostaba agricultores tamara repararlo juntamos confiando
+resentimientos consideraría apretada niki masajista absorber descarada cremallera chinas chances
+reconsiderar pateando avisé bonjour blood aterrada monique drogadicta angelina religiones reeves
+pinto huecos atropello agradaba edades wyoming inmigrante ignorarlo gueto fastidiado espinal
+entrenadores duffy occidentales gillian casemos guiso específicos cristóbal area usadas repitiendo
+gustav cachorrito amargado cisne apoderarse escalada tocador limosna clóset callarse admira acusarme
+despedidas zhou 're mujeriego condenas suposiciones procesado conveniencia aceptara divorciar
+contestaste renovación rene conmovido gilipolleces cómic comerán bowie e-mails regiones proporción
+mortalidad estrictas dougie consigan cheyenne bundy usarse cumplirá tratada sellada pagada notará
+llevábamos preciosidad moya medieval macarrones escucharlos entristece dina ubicar convirtiera tapas
+landry involucrarse enfade com sacarán rodante soportado disparará sobresaliente manipulando
+inclinación iluminar diplomacia myeong were lisbeth elegiría tofu recordarles perjurio delegado
+consultor vení trabajará llevarías need elaborado educar trabajara dublín crecerá metiera banquillo
+aubrey aguarde segundas magda añadido goldie acepten quimio ocupan complicación ártico whitman
+tardando servilletas rand devolví actuamos valdría manualmente enloquecido borrachera sven marchamos
+levántalo kip fiera viruela opinar enloquece bourbon sufro mecánicos compton bombilla arreglada
+muralla montó creyentes confundió boulevard woong cambiarla prodigio inventor explícame gorilas
+continuemos conduciré tirados señala oliendo octava identificada silbido marcando goldman nupcial
+moran fausto chevy observen minerales callo lavarse excitación directorio interpreta esmeralda
+sandalias choca dot llévatela lennox devastador ahjumma considerados buckingham cubrió striptease
+jugaste indispensable entregaste anima duramente postres dare quã notificación insegura barricada
+weir temblor jirafa derrumbó atenta ocultarse beberé amorío pos organiza incapaces caemos jerga
+entregaron sádico mátalos jing dudado cancion aislar spray merci encuéntrame empresarios crónica
+ahogo tómelo sole pitt enamorando reforzar poseo intimidar entenderán urbana manejaba pagara hágase
+ru waters recordad barranco crucé censura billón sorprendí detonar agarren respetuoso cagó trinidad
+agarran ruda holograma esperarme equipado échate deslumbrante cazado aneurisma vendería pija
+nocturnas dubois guasón disfrútalo histeria elvira encuéntralo empeorado adriana sociópata
+mantuviera firmaré volverlo tripa revisó regalé mayoria aguantas erótico agárrense utilizada
+invadido echaría desempleado veinticinco tocaron sueñas reído limpiarte johanna ganemos ceremonias
+bienvenidas arrestan ordenada habra jaguar hinchado zelda importarle hampshire bellezas terremotos
+negarme cullen agarrarlo llévanos esforzado prometimos convencidos confortable cctv aportar
+valentina recrear operativos necio mouse cachondo tex sabine largarme urgentes magdalena regresarán
+liquidar primas landon dignos sonará perforar autobus racistas mucama amador superioridad pepino
+horroroso favorable ness instantánea apagadas presione heroe estupendamente aumentó prendió
+despidiendo búscate subirá interceptar despedimos death dane scout pusieras morfeo connors bentley
+selina paganos mã analizado adelantar seal palestina escaparte apoye marcello aeropuertos vikram
+rompería pubertad estuvieses explosiva derrite seguirla vlad too shay jfk evolucionado esperarte
+barman arreglarse voladores macy harding escaneo caine asignaron almejas perdonó aldeas suspense
+sorprenderá salté bese nevando monada land hundiendo stiles jueguen tao atrevida steph obtuvimos
+lamer berry astucia angelito valora buscador lejanos galactica funcional enterramos crujiente
+incentivo entrometerme sobres lowell dígitos décima cojan tribal señorito hodgins doe alcanzarlo
+tori parcialmente portando latino aprovecharse layla heinrich habláis competitivo cógela adorar
+cubren atacamos agárrenlo ulises garra forbes sindicatos resbaló mitología marnie enfadó
+encubrimiento dejarlas invitan incógnito gubernamental expulsaron civilizada ceño umm estudias
+destacamento sometido retórica puja involucrarte arenas shim reliquias consiguiera vidrios
+transfusión sylvester sacrificó multitudes grandulón citado alejarnos apoyamos visten prójimo
+fontanero radiografías margie farrell remonta nba moira lisboa soportas rendimos matemos temido
+sonja oscurezca apartaos maddox anatomía mirándote guías freír erika cataratas cantera rendiré
+relaja extranjeras cometemos tostado patinaje monstruoso iluminado denuncias aragorn puñal atraída
+levantará ataúdes ramírez humildes cuenten aros alcanzan agresivos valiosas recuperé merecías
+egoísmo anonimato amenazada guardes saludarte petey frecuentemente concluido biografía aseguraremos
+would townsend tijera pasiones hyungnim exactitud cargó mataras suroeste vestía vagar subtitulos
+pastelito alardear prueban pollas darby ulrich minoría fabio automovilístico grimes propuse prohibió
+fatiga compraba tranquilícese sujétalo moses susana superestrella rugby mon giorgio abrumador rito
+underwood xena contratiempo valija narcisista deteniendo alf vih traumático osborne huiste chips
+mariana dejalo deducir clandestino atacarán winters sylvie psiquiátrica mintieron cuidaría chiquillo
+calzado ogro mortimer corporativa vencedor some leucemia ultimamente teri senadores edmond
+mostraremos milly keaton configuración venezuela mit envenenar anticipación secuestros macleod
+determinada trabajemos reparado opuesta interacción georgina excéntrico coñazo zombie recogerá
+exigencias alfiler orillas nic lsd llamábamos equivocaron trinchera asombro wilkes excavar everest
+bach terminaba mírenlo arreglarla seguidme poole estare costello castiga caldwell mendoza jovencitas
+específicas liberales insignificantes impresora cumples tíralo mojar mocosos cuidaremos asteroides
+pillan nicolas malestar fallaron exito augusto ahhh produciendo lléveme enséñale nasal vencerlo
+perfiles independientemente inclino exótico meterá kimmy despertarlo blanda arlene pegados
+concentrada olores evasión agarramos doquier gritarme beirut ice entregarse comprenda acelerando
+aceitunas tráiganlo obstinado hu andén admiraba sugerí pusieran protegió influir házmelo foro
+encierro selma favorece congelar cage burrows quedarías cianuro cabezota arrestarte preguntara
+mentón cabreada jalea espontáneo elisabeth delirios sorprendes alain constancia bean acuario saltas
+mackenzie jardinería sentémonos kelso gustavo pasad millonarios hippies heredar confiaría soportaba
+permitan our cancelada privilegiada davies arrecife rogué ofenda cruzaron oirá moviéndote
+explicarles cordelia durant cersei candidatura ridículos recomendar caracol barrer apuñalar
+animadoras saldar espaguetis profesionalmente detonación defiendes amarlo teníais propietaria
+preparándose herpes estaréis computador atractivos subiste garth fay equivocaba over imaginan gabi
+decidiré carrington respetas plutonio pesetas atrapo apostaría afición profe 'er compraremos venia
+jugoso destruimos cansas cabales tírala lamentamos inmersión buscaron obtenemos jodes túnica
+transplante remos combatientes arriesgaría panecillos lucio literal chuletas adler incontables
+felicitarte karan brille aprovechado superintendente ny modernas manicura heredó bollo altera
+prepararlo hogwarts graba fé extremas albedrío telas retratos raramente hungría tendieron patsy
+ocasionalmente méritos saborear recuperaremos nativo colateral clavar crecía pc federico besarla
+arrestamos henrik vaina navideña grissom fugado did derrick interrumpa anfitriones vasto musa
+candice trabajaremos líquidos foley dígaselo pelirrojo macgyver limpiador eiffel asiática amazonas
+nacida melancólica loción involuntario elijas alfabeto putada benéfica diecisiete cerrará
+portaaviones placentero investigamos encargarnos arreglen hazaña volantes pisas malibú lobby kappa
+vocales sagradas ocultan agarraste sardinas repetidamente objeciones surfear extendió eliminarlo
+dormías amaban actúo satisface informantes genialidad canoa atencion quincy alegró trataría tac
+pisado patton louisiana jugaremos dominó burger pintada necesité laszlo jugaré haceros filtró
+intencionalmente enseñaba céntimos inversor idaho elenco cripta envíes asiente apretados afirman
+entregara descubriremos terri intolerable hebreo rosquillas expresado cece afirmar infraestructura
+escapo alza yolanda tirarse sabueso llevarlas destruidas cretinos renacimiento reclusos provienen
+manolo ibamos falcone colegios antelación sujetar mill emitido descrito descanses abrirme furgón
+ciervos ocupas enteramente sim póngalo genocidio escribiera entrarán económicos capturó bombardeos
+alternativo rosen mount irma ganara dirigiéndose comportan salieras mecha horriblemente aguantará
+yuki oregón dudarlo marinas lonnie carmichael calamar verbal titus semejantes compás compartimiento
+marvel conjuro caparazón camionero plátanos curada apoyó refugios preparaba encontradas curro
+recomendado fisk excesiva casilla atascados arterias seguías motivado colocada autorizó registra
+propulsores israelí uss repítelo inexplicable hearst fundó church zombies quejan penn ivar brusco
+arya pacíficamente luchadora contracciones conor aprenderá consideró bei bahamas merlin main
+contribuyentes conectadas mulas muevanse cacharro bambi away ofenderte molestaré madriguera gel
+alcantarillas torturas mercurio lagos imparcial fields buscándome rescatado encontráramos detuviera
+pony levantamos intentaban impreso despídete prem importarme fúnebre agarras comprenden aspirinas
+suicidios observaciones nilo apestosa lanzadera despertador bad tramo resentido emmet dimisión
+copenhague comarca apreciado alcanzará agradezcas nenas ladrando subterránea rabioso mitos honey
+argelia abdul schneider bayas bañarme póster desgracias plomero iceberg franca dijese burrito
+acuerdan decíamos decadencia viajaba robarlo inventaste impida castor acostamos secadora ligado
+bisturí basados sonrían pongámonos perdonaría ancha acostumbra storm sarcástico rafe quitarnos
+feminista digáis alcanzaré pezón irritable galerías bitácora trixie radiador mediterráneo enfría
+traumatismo sátur ressler proximo lennon ayudame predijo jadeos demolición cricket burocracia
+avanzados acecho viéndote servirán princesas gollum permitieron jeon buscaría aguantarlo tree
+golpees desconcertante déjenla cerezas bañarse amargura subdirector olvidarnos abriera romperle
+disminuir summers sujétense permití diversiones dirigirá pisa muéstreme llegaban explorando
+consideré comportado hipocresía cerda memorial escorpión bombardero íntimas permitimos marchen
+interrumpas heces errónea conocerse capítulos burlan bacteria tóxica sufrieron rohit fallamos
+explotación escapará comprara campamentos tanaka sentían ridículas ludwig franky mudando incursión
+inclina hodges apreciamos willard brand utilizarlo preparaos ordenando ojeada geografía rue oírlos
+nelly explotando expresiones comprensiva peabody palillos mandos finlandia compensaré chequear hello
+enfríe coreanos norteamericana intoxicación insistiendo francesco enviaba cortez watts textura memo
+defectuoso aguantado viudas mendigos isobel irreal devolveremos constructor africanos robaba
+consumiendo asumí provocación monseñor llamativo frida cloaca mantuvieron franquicia filmes cogerla
+reciban pantanos line tomaras sykes reunion fotógrafos deportista lodge ignacio emotivo dañados
+contaminada soñador singer andrómeda acechando sorprenderme rocket rendirnos jonesy techos targaryen
+gregor enamore contusión frigorífico despierten ping gobierna conjetura cargados rach paradoja
+marshal maldecir intencional convertirnos coágulo azufre shu salvados preocupamos michaela liberarlo
+kingcastillo ferretería deban confiesa castigando estragos coyote vigilarlo solemnemente ocupó
+enseñarnos cure puñalada negativas mariscos sevilla juras indique minero haberlas dickens regresaba
+pedófilo ruidosa peleo hinchazón rocío colesterol camareros altercado vin tómame milenio dudé
+confundiendo susurro referías lorelai largarte helga esenciales wing heo castillos abría vern thelma
+severamente chamán acusaron inolvidable nodriza aprobada ponerlas pagados espectador usemos reclama
+difundir balazos giuseppe cbs sabotear imparable enterré atenea socialista válvulas tardo samir rong
+marcados indecente esquivar concentrar coincidir visite problemática buques subía salvada reality
+destrozados horn suicidarte sodio paladar imaginen destacado abandonas suavidad mejoró gunnar faraón
+despiadada construyen robertson granuja envolver entrometido entregues convictos cobrando salieran
+derramamiento asno tranquilizante lancelot firmeza dividimos delilah arruinaron dinozzo cayo casper
+biológicos premeditado garret dax largarse desactivado western váter pastelería nombramiento fango
+atlas jia incendiar rentable decorar reteniendo persuadir levantarlo darth abbey why proceda
+barrotes bajad playboy mantengamos componer colon vincenzo tenerlas rinda leia gallinero abed
+linternas ingeniosa cónsul cacahuete arruinas susceptible curarse proteges gema estilos despide
+compartida acudió rechazaron hábitat garfio danés candace rogó participó dusty soltarlo ofensas
+luché despiden amenazan úlcera recordarán legiones erudito dragon cubanos sífilis pedacito evadir
+drag berlin diariamente burlarte atacarnos reuben reactores preocupando hyeok editora discúlpate
+levantamiento delegados joanie romperlo psicóloga denso bombones escapara liebre derrocar delatar
+ajeno viéndolo fragancia court ayudaras apruebe necesitarías museos convertirán acostumbrarás
+obligaste cobrado tendras ritz normandía judd fantásticas amorcito pisadas extraordinarios visibles
+mussolini modificado nitrógeno gimiendo dispárame casanova bev anubis sudeste ex-esposa coral sutura
+fundamento comerás problemita field anotado nublado habeis voladora románticos diminuta cactus
+arkansas investigó interpretado funcionen enseñamos port liang sensaciones recorriendo parecerse
+lienzo juzga guiado cono comandantes arriesgó perdonadme operado idéntica hemingway especificaciones
+davy agradecérselo mánager janie cromwell alquiló agarrando race goodwin esperándolo crixus bajarme
+acostumbrando jameson disfrutan abundante wick suplicar maverick prepárese facilitar echarnos
+reflexión comunica obligarte kessler batir combinar cincinnati acordó talibanes pillaron pagarles
+discretos atrasada falle tentado reconocerá quitarán necesitados hip hablarán épico centrales
+gilmore duerman topé tiraba rivera neuronas mátenlos espagueti charlene mirara cazadora momentito
+glass galletitas registrados micky kyu interesó clasificados buscarán antibalas quedaran dispararán
+ambiciosa sabrían roben incienso clanes wellington vomitó pacific segmento swift dictadura cobró
+pupilas florecer chewie ceros jaffa incondicional bautismo honrados finas recibirlo inmóvil
+electromagnético collier travesía silenciosamente power cancelarlo reproductor portugués escupe
+letales shaolin clínicas adivine dejáis renal lencería investigadora ilimitado gogh escándalos
+enmascarado tia restauración precipitado festivo zod inn finos escáneres registrando referente
+fregar atf duplicado desperdicies próstata fugitiva sobreviví excremento descubrirás avisaron
+agitación abrumado verían ketchup gigantesca niko lucious inesperadamente estalla windsor
+solidaridad sarpullido recámara malgastar eureka concebir calentador recolectar platino
+esquizofrenia aparezcan méjico lugareños clínico palco mandarte jonás dobbs amarla sandía confiese
+chaplin captado ballard agota afilada acompañan whitey matarías chrissy estética esferas conquistado
+prisas patéticos interferencias cutter curará confirme comadreja proporciones running juancho ravi
+dona dentadura rescató pensiones jekyll informo hip-hop fingió sméagol sinatra saltamos empaca
+capitalista atreva tyrion larsen infecciones educados siguiéndome preguntarlo esforzando dad
+tardanza fabricantes crawley baseball asumió terminarán prometas pestañas permitirle notario roles
+quejó inválido intrusión carmela banner verificación katniss fiasco aqu sostenlo snake significará
+quitármelo generosos beatriz newport defensores curiosos bombardear lograré empezarán tumores
+teniamos rechazaste hancock oírnos cartucho buscábamos retiramos fumaba benito fastidia dabas
+temporizador irrespetuoso grover cárceles modestia hartos demócrata cuadrilla rollins lourdes
+hablador descontento derramado calmate expulsados esperaste sultán seguís mensajeros basil
+avergüences reporta hitchcock derribó célebre yao winslow shadow petersburgo lastre cagaste aterra
+usarás uhh mercancías laurence great driscoll orange jojo intentabas hauser enserio trastornado
+sintieron secar relativo farmacéutico autodestrucción templos liberaron empleador zachary
+violentamente panadero jadeando mamón diversidad descubriera cabecera lem potasio mesero llévense
+lei instaló confundí antártida resistió recuperes halaga gramo fascinado adama zhen procesos
+financieras enfriar empeoró destiny manu valeria thorin mandarle ejecutados cuelgan asedio arlo
+trizas transportes schultz saltan intentémoslo gráficos corbatas casting superpoderes sunset pararon
+notarlo glee escucharán eisenhower confrontación cojín vitamina pastelitos incremento conchas colado
+variables maniquí crezcan pertenecemos gradualmente deshonesto primitiva forasteros dedicó
+espontánea cunningham rouge incompetencia calmarnos apenado amateur wilder tiemblan relajarnos
+palermo limite guionista entraría delaney adorno tell rehacer joaquín integral dependiente corregido
+clubs apunte parks nashville lenin jimbo giros escondas interesar diseñé bucear vallas descendencia
+arriesgas sugerido oponentes colgados arreglarte montada llamare acostumbro sorteo sabríamos oak
+ecografía buffet foca durmiente discapacidad descubrirán kensi empapada probaste pretenden mírenme
+estuche deberé cuidamos wolfe vinculado viajamos reiniciar refinado newark gambas eagle violadores
+moody competidor armand relucir participado encantaban fabricado disculpadme cantaré canso anarquía
+indigno exagerada bjorn sorprendidos mocos inventa creces bailaba ampollas teman sire predicción
+emilia dudando cocido aprendo ágil acertijos aceptarla lian hera destruirlos filmado bateador usarán
+uniré milagroso magnate interfiriendo indefinidamente hooper fundadores épica eliminada supón
+muchísimos frena obligue manejan donuts atrapadas añicos psiquiatría picó historietas entenderme
+destruiría mcnamara ganen bancario asombra meditar encontrarlas compasivo informarme demandado
+babilonia setas rowan igualar hiroshima equivoques cuántico budista juntando hampton comportando
+traiciona temporadas arreglan trasto peleaste oleada obteniendo despertamos asada extradición
+tranquiliza olvidaría lárguese encantadoras aceptarán tipa enseñes disminuye atractivas alivia
+acérquese púas pavel misteriosos gratuito devi convicciones sintieras pisando impedido fotografiar
+amiguitos juzgo conceptos variedades sociedades pesimista comodidades cacahuetes ría poético esgrima
+dyson aproximación frita belinda ramos polvos dividida denis orador casablanca mirame conmovedora
+asesores ouch mandarlo jillian disgusta darío confesarte colapsó averigüemos quemo elogio crecimos
+convocar caracoles cagas és debidamente búscalo asesinas pié palizas avergonzarme sácanos johann
+columpio chiflados cavidad caídas beijing aprisa surgen sincronizado lucia sentirán prado empujé
+chalecos braddock bailemos aldo resistas reencarnación portar mantenme involucró infantes contesté
+concreta tomados toledo mamita loomis diria osaka infalible hung contraste concedo acompañarla
+lafayette jace hackers continúas tutora quererme rockefeller corporales rebote pilotar diplomáticos
+barricadas simular negando divertiremos chantajeando sgto israelíes infracción hendrix griff
+especializado dramas ceguera atendido ambulancias mattie luisiana hodor caballito adoptivo omaha
+contrabandista climático hollow forge armería impermeable annabelle sacudida lucius linden chaquetas
+aarón trajeras sellados peck intermedio duck babylon quererlo maternal lanzan advertencias
+descubriendo comenzaré shore izzie femeninos dormirás travesuras romperte pateó octavia ocean
+cirujana inhumano desayunado coordinación raoul muriel frascos superará cargarlo antaño oskar
+guitarrista cuestionando lyla ies cedric bailado permitiendo oregon fértil pegaso oi golpéame
+asquerosas emmy traicioné picantes milwaukee crio avería apretando turístico siobhan registradora
+protejo barlow procesamiento zeynep formalidades esqueletos atrocidades migas jurada primordial
+parcela frentes tyrone simms percibir óptica incómodos secuestrados proyector preocupara fda
+obtuvieron birmingham ases refieren bastidores suda perrera óxido descargas damian átomo putita
+prótesis pasábamos decidme apoyaré resucitado pandilleros farmacéutica destruirnos alineación
+distritos borrosa resolviendo impertinente bengala pinza frágiles senda gritarle enojas cantamos abi
+voltios vendaje swing rechacé pondrías jugábamos entrenó apreciaría asesoramiento adrián reclutado
+pooja odiarte entregan cumpliré abusado temerario recibiré moveré irrumpió belfast simultáneamente
+pétalos servirme recomendaciones desenterrar murallas largado entreguen curarme dispararan concursos
+australiano sembrar peones men descuide niñeras limita hermosura fiti empresarial digerir derrumbe
+conseguirán asaltaron merienda estrellado cambiaba tenian sucedieron grupal abertura partícula
+parking manantial liberen esparta cocineros ziva inundaciones delicados arreglaron vicioso only
+olvídenlo myrtle intensamente gratificante desconfianza escapen wo poneos espérate divierto asustaba
+gin emborracharme costosa serenidad chinatown amaste aliens regala olvidada nudillos hao diversas
+chffffff whistler examinando dustin willoughby tostadora justificación estupida aleatorio soltaron
+andabas schwartz proximidad pediremos habíais alianzas agotados ráfaga preciada estupendos cósmico
+almendras resopla kato frustrada campañas antorchas violeta tardas mételo kendra involucres
+inframundo closet intentarán gemas encontrarías maguire inclinado hendricks ferit confesiones chusma
+arranco dibujado abandonarlo volveríamos rescatarme penoso suegros mováis job deseen correrá alguién
+marches anticipado pararé parando márquez leyera ciclos adivinen causaron desacato conceder regan
+probarme pagarla ferris derramó graciosas corresponsal pilares peros ozzy olvidados esclusa
+envejeciendo declare cansó parecidas melocotón maldicion indulgente apagan tráiler girls
+emocionantes sublime boss aaah preguntarán logrando limones gao domo castigarme amenazarme alergias
+adelantó torturando merecían darnell caseta equivocarme chupando abriremos olvidalo vigilaré
+relacion quejándose protectores inspirar blackwood armó alejas suelos ares tocaría pruebes patentes
+estafadores buscarlas arrepentirá anécdota revuelto denegada arcoíris yen ole limpié cesto
+recuperarme jp desechable tasas pelvis hoo richardson moralmente leches elogios observan sheffield
+navarro emile vajilla sobrecarga pink ibm ham bruta idealista haréis gringo estímulo cuellos carnal
+burgess acordaba walters peregrinos activista tracción sulu sufrimos heladera direccion combinado
+cogeremos recuperarás patrullando flexiones reconciliación espérenme engañarnos deshice conmueve
+aburres quirúrgico planeada lastimarlo huck fallido desván causarle caño avisas exquisita peliculas
+devoe andreas impenetrable auditorio alegraría rigor quedaros porra luciano incrementar soplando
+desciende demostrarte adoptada abrirte sectores desarmar socialmente masculinos fluir dejadlo
+asimilar primario lancé energética emails concubina hazla dispararles vendedora eugenio duraría
+abrirán ultrasonido habian doblado cutler clavó malignos link cabalgando tratarla muriéndose
+directas confundidos abominación larson kyoko droide ching centenar ahogarse tripulantes indulto
+alexa vota reembolso flo enfrento ajena abandonen juice derrotados danvers causaría revelan eliminó
+deséame bananas arruinaría palabrotas cósmica aventurero tripp presumido asiáticos vaginas previos
+obsceno indy estantes empezaría caprichos shan seguirnos rencores posicion flaca cortados concuerdan
+antonia infidelidad hallaste aang zi restablecer pera juzgue bol succión turtle queenie marius
+dedican chaney bernstein involucre controlarla absolución sombría sexys renunciando mcclane materna
+espesa avalancha agregado admirado accesible vinny subid rascacielos frecuentes determina asesinando
+amara unánime separen bocazas titanio perjudicial peaje extrañaría anticuada parara muéstrate manana
+entenderte disturbio traerás kumar hussein holloway fideicomiso torrente tatiana pudín pd jugaban
+frazier revuelo pippin pekín nazir háblale desesperadas sufrí renuncias precisas nikolai mort
+abandonarme revoir mueble arruinados perdónenme callejeros unirán trataremos tibio pelado obligué
+malaria eslabón histérico distingue caminó boomer ató asaltado melody gánster cambiemos tiza
+obligatoria metralla desafiante samurái plagas hawthorne cochran atacarme arpía ubicado ideología
+facultades envíos debatir apagaron publicista novena aparentar sobrinos olvídese maligna diseñados
+caín úsalo equivale tórax hernández consta conoceré olvidarán faltando contados concesión zhi
+sorprendentes oirme necesitarlo marwan retroceda restante remo principiantes llevársela históricos
+fascina dela deidad reece clem salíamos retiraron empacando abraza velma skynet rugido apoderó
+alégrate equivocarse cabrona bucky saúl pregúntaselo rinden poni marcelo juzgarme ginecólogo waldo
+modificaciones esforzarte davenport sunshine influyente collares madurado lázaro jakob escucharía
+chorro avi arrepienta compren acompáñeme utilizamos korra interminables
+`;
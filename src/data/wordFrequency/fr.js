@@ -0,0 +1,1684 @@
+// Most frequent French words, most common first (top 20000).
+// Counted from the OpenSubtitles corpus (OPUS, https://opus.nlpl.eu/), licensed
+// ODC-BY 1.0; taken from the zxcvbn-ts word lists (MIT).
+export default `
+de est pas je que le la un l' vous ne et c' en les ai une d' tu n' pour il ça ce qu' j' des me on
+qui dans suis du plus m' te avec bien nous fait as tout t' faire était au mon s' va oui moi si se
+mais sur non sais elle être veux comme dit es ici toi lui est-ce sont ma quoi là peux vais votre
+dire rien avez cette son pourquoi ton ils par ont chose aussi été voir avoir jamais ou quand merci
+où êtes peut même comment tous sa autre juste temps alors accord très deux oh vraiment ta bon
+toujours vie peu encore ces dois avait fois quelque fais notre besoin aller faut monde mes
+maintenant vu étais sûr trop avais allez vrai parler père aux crois sans avant aime doit mal leur eu
+femme ans homme déjà veut ses sera pense personne chez gens quelqu' mère mieux mort vas beaucoup
+fille après dieu vos vois tes peut-être autres avons maison jour passé petit dis depuis soit prendre
+choses ouais argent soir parce toute moment savoir plaît donc arrive raison ah nos peur seul voulais
+nom bonjour cela air aider nuit aurais famille moins salut dû problème partir cet bonne travail hé
+passe voulez fils viens pu entre reste tête pris trouver sait sommes serait seule trouvé jours
+enfants tuer ca savez venir pourrait appelle part eh tard aurait chance quel trois pouvez connais
+jusqu' voiture sens assez gars comprends idée ami vite parle ensemble amour passer toutes heure sang
+importe coup truc grand sortir quelques porte petite contre vient voilà nouveau cas entendu rester
+devrais pendant demain hommes frère fini longtemps tant amis question chercher demande désolé faites
+monsieur tué genre aide partie laisser revoir sous eux mois histoire dernière pensais arrivé place
+pouvoir ok quelle devrait mettre vont yeux cause hein parlé maman attends ville police est-il donner
+endroit savais perdu enfant donné venu étaient mec côté façon affaire demandé main arrête heures
+tellement première seulement corps premier suite leurs point hui eau mourir papa train pardon devant
+type dont trouve aura regarde a-t-il espère puis matin pourrais compte ni aimerais loin là-bas
+demander fin équipe dirait minutes vieux mis manger mme arrêter vers droit confiance bébé vivre
+parti chambre possible mari jeune chaque nouvelle compris jouer aucun car merde vérité prends années
+belle voulait prie dr gros croire devez boulot dur as-tu appeler beau aujourd' combien super femmes
+école filles affaires avez-vous bureau elles aucune journée laisse chef donne arriver cœur important
+attendez mains désolée prêt font meilleur près sois feu envie fort semaine téléphone hier vue
+instant guerre plutôt parents mariage grande pays abord fou souviens tomber jeu ait attendre dernier
+plein serai allons marche appelé personnes dehors dessus bientôt sécurité penses garçon plan pensé
+attention terre peine derrière semble inquiète propos travailler choix faute rentrer voici retour
+entrer allons-y vas-y aujourd'hui lieu changer excusez-moi laissé fera ceux es-tu prison regarder
+ferai prend autant putain mot cours essaie presque rendre fête penser tiens difficile celui numéro
+chérie regardez ainsi route voit essayer êtes-vous essayé plaisir étiez entendre facile suffit venez
+adore mauvais arme propre ira croyais tôt amie sauver sujet film tour peuvent oublié hôpital heureux
+allait perdre minute année garder cinq bas aimes service travaille lit payer changé voulu mlle
+devons visage quatre courant devoir parles faisait montrer voudrais sûre photo avis garde devenir
+doute pire pouvais verre dites appris morte veulent calme esprit malade drôle rêve comprendre serais
+écoute commence cherche café attend problèmes allé allais dollars chien questions voyez chemin boire
+sorte prochaine bras moyen musique venue simple pos bizarre nouvelles haut enfin commencé dormir
+grave gentil arrêtez écrit madame morts rencontrer roi situation fous revenir john entends docteur
+retard vaut début marché reçu dîner salle sort partout face gagner trucs seconde souvent sœur
+seigneur erreur jack état secret message protéger envoyé intérieur manque meilleure ben devait
+groupe rapport pensez meurtre âge occupe commencer laisse-moi occuper livre exactement an acheter ii
+cul prix aviez semaines ferais majesté reviens effet pouvait voix ceci sûrement battre ferme sérieux
+force devriez réussi ordre génial bonsoir cru faux bout carte soirée joue puisse pièce suppose
+millions retrouver agent hey new apprendre voyage utiliser ailleurs simplement appel coeur sac
+avaient allô mots tirer accident agit disparu six bois armes connaissez impression faim rendez-vous
+impossible passe-t-il anniversaire armée déteste seras aurai médecin décidé long finir sam scène
+seront cheveux colère fond dos cher capitaine avocat paix pouvons dis-moi celle ignore dès ressemble
+dix rue rencontré mauvaise cool petits présent retourner devenu arrêté parfait risque libre noël
+bateau heureuse fais-tu laissez-moi pars devais rentre doivent continuer cadeau suivre hôtel photos
+fasse habitude grâce gagné tenir clair complètement voulez-vous pourra ligne su veux-tu avion
+rappelle patron connaît promis euh noir york général parfois disent réponse mission vas-tu froid
+croyez idiot auras vraie lee soin gauche expliquer savait liste ensuite crime lumière dangereux
+disais honneur contrôle table bienvenue président ferait autour soleil envoyer porter volé arrivée
+système sorti prête connaître sors mets époque pied faites-vous quitter enquête chaud con or pieds
+rend camp lettre marcher plusieurs plait triste danger avenir poste kim rouge pauvre lire moitié
+joué oublier prenez maître jolie moi-même surprise preuve mr décision forme folle pareil visite
+sortie classe tombe poser content offre serez loi terminé disait probablement aimé aimer vouloir
+ciel relation sale tranquille coin fallait tue balle soyez capable incroyable chéri pote oncle
+vieille stupide ouvrir écouter arrière gueule imagine surtout ordres normal continue jeunes cuisine
+boîte victime droite bons foutre vivant attaque jure but michael allez-vous écoutez parlez âme
+étrange ecoute signifie david choisi flics neuf avance voyons différent manière oublie combat dedans
+allez-y chanson bonnes clé existe sympa met change montre sinon vit acheté coupable ll touche cacher
+bouge écrire recherche bord blessé donne-moi préfère tiré allée joe sentir monter aurez lu certain
+charlie grosse gamin secondes magnifique puis-je bouche tort voie voler dirai travers responsable
+honte intérêt professeur prévu emmener envoie faisais télé tel tient bordel coucher soeur rire
+compagnie blague vendre public réunion connu viennent directeur œil sauvé amoureux dossier peuple
+est-elle opération conseil cerveau servir hors société aille mange sent prochain laquelle prêts payé
+là-dedans déjeuner rêves tom mer devient humain dame tueur preuves milieu nourriture frank récupérer
+bravo juge répondre mike pleine héros thé exemple bar flic éviter nulle découvert départ messieurs
+quitté peau fiche cheval présente prise position livres vêtements the savent dingue auriez sauf
+règles ouvert signe trou entrée mangé vin secours blanc ennuis rôle fric occupé gouvernement menti
+coups adresse jeter entreprise enfer bruit george base centre espoir promets vérifier vaisseau tire
+expérience revenu prince empêcher ramener souvenir obtenir client paraît marier garçons contact
+vidéo diable nez santé deuxième envers sentiments verra immédiatement restez irai niveau paris robe
+paul drogue procès jin projet joli vent peter appartement certains club fut préparer portes douleur
+travaillé bête entrez excuser arrivera étions fleurs mecs pourriez félicitations toilettes mise
+croit intéresse tombé vide attendais utilisé réalité proche témoin rencontre bière discuter occasion
+lycée reine asseoir revient excuse censé solution aimais mur dérange grands choisir sert baiser
+présenter venus enceinte faudra pute conneries clients tas approche presse derniers seuls vécu aimez
+repas mérite quartier énergie accepter réfléchir horrible journal rendu ennemi informations
+personnel copine terrible mien dirais telle contrat rapide avions destin justice vis également
+terrain comprenez altesse importance village ouvre honnête assurer spécial banque tenez liberté
+chacun bombe conduire sept vol nécessaire radio asseyez-vous james fier plupart côtés magasin danse
+épouser frères ridicule détruire contente charge amérique sol bu idées ie longue histoires
+grand-mère espèce aie zone monstre soient park retrouvé meilleurs pourtant dites-moi respect patient
+forte bonheur glace fenêtre you remettre parole futur fbi match restaurant laissez retourne île
+humains gagne lune découvrir prouver spectacle offrir bill arrivent han mémoire machine planète
+vacances retrouve soo connard nature pleurer refuse propres toucher pression vies danser souvenirs
+petites veuillez assis urgence code riche sortez maladie inspecteur tony espace trouves apporté
+touché couple court énorme anglais alex bande sauter mignon henry essaye excuses tourne contraire
+faits huit sache ha ai-je politique goût tourner rappeler jambes max portable oeil faite chanter
+intéressant programme camion restes failli bain parie mille beauté chaussures invité sourire kang
+inquiétez bus ia soldats nouveaux marié frais courage aidé attraper remercie regardé cour remercier
+bob doucement mariée descendre régler aies pouvez-vous ancien environ harry alcool tante enlever
+ayez défense faible pose arranger pensez-vous monte chat aimait papier manqué taille dure rapidement
+dents gosse couteau hasard après-midi intention entier suspect rentré sarah points mary afin chère
+étage chier jimmy victimes selon pourras parmi pitié aiment unique église carrière agir absolument
+rejoindre utilise permis différence assieds-toi merveilleux sexe épouse vouliez nul savons noms test
+debout cartes viendra remarqué films copain tais-toi suivi mienne raisons paie série cible image
+amuser grand-père fil rends piste pourrai procureur apprécie frapper crise mêmes bouger langue jim
+course lors partis conversation inquiéter princesse regard importante palais secrets aise identité
+lequel ecoutez okay moindre fermer peux-tu emmène poisson londres couleur mademoiselle souhaite
+détails donnez-moi cassé mentir accepté venait excuse-moi dernières préféré types utile étant ur
+reposer nick appartient foutu commandant week-end gérer frappé faisons toi-même inutile souci
+troisième université courir lien animaux dise exact attendant compter puisque tuée penses-tu
+présence joie enfoiré clés raté appelles pièces km étranger échapper données lorsque odeur décider
+pensent accès reprendre abandonner faudrait direction caché caméra arrêt jane passée forces magie
+nombre succès signal lui-même comptes taxi pont double vus dépend doigts sexy raconter chiens lait
+voudrait extérieur woo lever membres parlait ji quitte action papiers recevoir article auraient
+produit foi couper échange danny recherches johnny pensait certaines date san apporter gâteau jambe
+créer résultats ordinateur marre silence amené yi gentille fonctionne jésus proches concerne valeur
+regarde-moi attendu menace chasse fout lettres ray détruit prendra toit né douce meurt laisserai
+mètres soldat infos cinéma obligé certainement arbre partez morceau appareil prévenir salaud
+demandais devrions xiao amène viande campagne sous-titres naissance officier durant gardes réparer
+discours coupe amener suis-je méchant france balles costume pluie dépêche-toi semblant richard pain
+ouvrez tribunal pause certaine répondu cou sentiment lâche bouteille cache billy regrette faveur
+poids devenue privé poulet conscience là-haut facilement totalement compliqué resté amoureuse
+trouvée membre charles pleure débarrasser joyeux ho tombée perds au-dessus calme-toi réel ministre
+os grandi bataille épée ressens émission pourrez bleu volonté mens intelligent million dis-lui créé
+pourraient assure piège noire coffre salope continuez steve falloir étoiles surpris fermé folie
+partager montré saura miss faisant pierre accepte propriétaire marrant tommy fatigué directement
+abandonné retraite disant malin nord vitesse agents comprend voitures sérieusement jeté celui-là
+vendu fac finalement ennemis grandes hâte jeux couché robert parfaite entendez beaux imaginer jardin
+voulons arrivés colonel supporter sont-ils sacré chapeau parlais plage médicaments crains perd
+convaincre montagne dormi agréable a-t-elle génie champ examen eun fuir joindre contrôler serons
+dommage entré marque victoire servi habite vôtre milliers appelait amusant to poche direct pouvoirs
+art règle mode lieutenant bâtiment passage traitement univers nouvel mesdames prépare connaissance
+martin célèbre demandes partenaire senti daniel dois-je responsabilité li talent ventre joo oubliez
+supplie humaine préparé véritable jake atteindre dégage patients plans chevaux moments moyens
+nettoyer fantôme métier dan apparemment réfléchi ange tae clairement labo apporte appelée invités
+dors washington don va-t' mensonge défendre ouverte chris relations réalisé gosses young sud
+réveiller interdit survivre style doigt trouvera meurs militaire anna droits perte will titre source
+offert seo cent adam signer trésor mark cherché parc manquer enchanté nombreux and formidable doux
+plat commis dira frappe dort promesse belles coupé oreilles raconte adn risques couverture animal
+conduit différents queue information verras heureusement billets feras refusé parfaitement
+savez-vous regardes embrasser imbécile vieil nerveux jung lancer min battu joues retirer i' paroles
+stop genoux empreintes lâche-moi ramène unité ryan attaquer trouvez flingue bobby acte saviez forêt
+pensées allés mesure évident cousin appels terme leçon connaissais emploi innocent superbe traces
+salon mauvaises auprès ouah shérif espérais explique passera aéroport souffrir rivière reviendra
+mariés soupe ancienne haute délicieux rome larmes page vache gaz marie ignorais attendent coûte
+appelez viki vérifié cancer américain services eddie perdue chances états-unis familles commande
+oiseau entend maire parlent kevin répète sommeil immeuble permettre prudent changement trace aveugle
+o' récemment erreurs ombre gardé fesses évidemment surveiller claire bague mi démon coincé tente
+tenu aidez-moi vienne hong puissance casse accusé réveillé yoon note dossiers notes dirige douche
+principal libérer neige études celui-ci étudier français of paradis vrais rappelles disparaître bref
+devraient blanche voulaient job hum rentrée violence joon protection thomas suit sport inquiet mince
+témoins paquet amies virer humeur choc élevé suicide là-dessus grand-chose commun policier bougez
+enlevé lieux auront voleur désormais amy privée exploser rachel souffle écoute-moi vote quels walter
+résoudre tienne spéciale semblait file essayez soutien puissant racontes ravi occupée miracle
+premiers angleterre brisé mandat surveillance siège assassin vert blesser sais-tu deviens gay objet
+répond théorie jang images bosse fortune veste mène usine crétin site divorce différentes actions
+sombre dépêchez-vous pantalon jae forcément traiter normale période andy annonce jo disons respirer
+dimanche cependant quelles différente avancer cherchez dis-tu craint fais-moi mine criminel obtenu
+tenté assurance distance signé enfuir fuite sérieuse viré bal lèvres revenue tenue laisses dong
+lâchez-moi yu finit logique suivant tableau pousser sergent réputation couche vous-même kate saison
+mouvement fatiguée cellule tourné cherches profiter déranger emmené sous-titrage entraînement
+raconté incident bat rose chemise résultat scott jour-là idiote bosser physique choi caméras posé
+plaisante ted sonne demandez lunettes blessure chaleur jerry reviendrai amitié permission donnerai
+meurtrier journaliste réponses version pilote enfance alice prendrai réponds prennent journaux
+entière seraient souris samedi réglé modèle lendemain malgré souvenez soucis théâtre taire jeff
+chocolat reconnais fais-le jeong wow chante particulier laver larry luke courses fière louis rues
+star yang aide-moi élèves brian couilles do chauffeur celle-là adulte jury tués inviter venger
+pauvres secrétaire europe zéro emmerde artiste adorable lourd pete puce doué dieux réussir riches
+trouverai crier concernant vente engagé traité verrai cardiaque traverser william efforts virus abri
+travaillait fait-il jason vendredi trompe écoutes oiseaux cabinet endroits monté explosion geste
+devra maisons hiver sage casser achète riz moteur esprits blessée construire employés oreille
+cadeaux vole atteint parlant chaise malheureusement fusil vivante gorge final boutique affronter
+pardonner maria souffre los trompé arthur voient eric concours mener dites-vous réseau curieux chair
+concert meurtres passait représente prof donnes médecins vision chaîne repos survécu simon château
+davantage voisins justement élève dessous épreuve aurons mensonges herbe murs rare comportement
+fonds fer chicago caisse lac aventure arbres finie crimes station ayant tien magique ambulance
+accompagner lâcher minuit attente restera origine plainte bébés essence ment opinion somme
+infirmière ours pistolet city essayais calmer cesse attrapé foyer second fausse reculez emily
+répéter gare siècle lis tir rencontrés cherchais romantique cérémonie matt étais-tu paye ont-ils
+blessures mettez abandonne attaqué réaction billet gaffe devrais-je jaloux corde écris gamins
+cauchemar fumer verrez horreur dave nuits midi humanité terminée liquide combattre océan roger
+est-à-dire réellement projets personnage tournée opportunité apprend lisa traite fiston lève laura
+héritier celles excellent it manques ennuie centaines fleur vivent remonter salaire laissée voyais
+ouest hee incendie permet filer grace fan soi in réaliser seriez man carter refaire empêche cloche
+documents canon recommencer précédemment cia sorcière absence prévenu récompense intelligente navire
+carl crâne côte acteur al aient chine parlons avocats tâche autrement échoué conférence celle-ci
+anciens cadavre ménage rapports tromper traversé désert décide ies haine amuse tenter conseils
+uniforme construit clark agence smith messages street brûler rythme technique foule peut-il chute
+poitrine exprès garage peinture angeles vélo royaume sucre rêvé matériel lance désir scientifique
+pousse existence produits top croient arrestation adieu tests contacter nourrir poursuivre entraîner
+collègues pis débile protège manteau remplacer aidera étoile attirer déclaration porc porté
+frontière complet profond travailles sentais barry na lily propose crédit fromage jackson feront
+masque arrives rompu connaissait aimerait joueur uniquement va-t-il chargé estomac crois-moi dégagez
+front morceaux américains piscine susan bel soigner propriété ramené couloir reconnu chèque
+quiconque chinois jus pourrions étudiants attendait ascenseur conditions annie ordinaire jette
+réveille annoncer gêne discussion urgent chut emma seins étonnant californie prénom installer
+précieux panique risqué véhicule nommé barre pareille irait franchement passent science qualité
+condition prêtre rempli rumeurs limite champion allons-nous forcé crème écran compétition vengeance
+appellent kelly ed communauté phil donnez fantastique au-delà rater victor passés surface impliqué
+deviner sentez région avantage aube venais go cha bite secrète lapin jones sauve sacrée soif ferez
+montagnes réserve causé pratique épisode fasses meilleures tempête traîner fiancée trouvent remonte
+œuvre allo chuck étape traduction couvrir joey lundi reconnaître cents département possède fruits
+charmant pub poupée portait éliminer demi brûlé parties lentement shin objets kilomètres plaisantes
+parlera terres admettre sers approcher entretien suivez-moi remis feriez re inconnu fallu retenir
+effort portée inventé émotions lucy poison écouté lois technologie touchez internet champagne gardez
+gardien congé gâcher liaison courageux géniale rick circonstances naturel brûle échappé malheur
+dites-lui lorsqu' venant peut-on voyant concentrer travaillez difficiles choisis explication
+incapable julia médecine étrangers chou prisonnier parte couvert crie sauté alan proposition russe
+veille enterrement fumée studio profondément objectif avouer démons digne volant prisonniers vivants
+recommence limites lié nombreuses chansons big idéal convaincu correctement corée hais bouton
+affreux doc pêche lancé yeon red juré moment-là ballon potes passion yoo disiez tirez piano tasse
+jean entièrement soins proposé pouviez nôtres lutte séparer kyle personnellement descends prenne
+donnera team censée pot précis coïncidence wang domaine loup appellerai détective tapis devoirs
+collègue colle sean saches robin tim julie poussé respecte sauce professionnel regardez-moi enlève
+voyait chen briser japon karen sara moque découvre attitude van song livrer équipage gloire alerte
+howard suffisant lève-toi restent blancs jeunesse aigoo auparavant conséquences bo interroger
+connaissent terminer soudain bêtises dean monstres troupes miroir accompagne organisation visiter
+monnaie passes morgan extraordinaire remplir parking sacs créature ceinture montez trahi respire
+printemps organiser roule criminels afrique refuser appétit chiffres valise ferme-la miel participer
+bloc milliards invite anne whisky têtes injuste jesse blessés parlerai hank maîtresse taylor restée
+poissons forcer elle-même patrick chouette calmez-vous alliez finira douée jenny égal célibataire
+changera clan bibliothèque policiers nation née engager aides dames pattes forts ajouter king maggie
+pizza gary extrêmement semblez maximum guérir réveille-toi voisin ivre expert copie noirs sommet
+poussière partage lin parfum audience stan stade libéré won souffrance adultes accusation actes
+croyait sortira vivait signes prouve identifier diriger fred verres juger conseiller soudainement
+expression ex tribu fièvre etre collier canapé chaude invitée critique meurent sable idiots chasser
+êtres bagages vend secteur surveille yeong gouverneur ravie rentres mexique lady sommes-nous
+supporte associé écoutez-moi chambres détail brillant plu qu pardonnez-moi procédure allemagne échec
+viendrai assistant tape gang josh légende hmm assassiné faisaient dispute essaies partons hauteur
+copains figure adaptation abruti mystère froide effets décisions jouez fêter sortes moto préviens
+singe supérieur tension fantômes annuler sales formation possibilité couleurs respecter péché wei
+élever saurais laisse-le finale jaune conduis disque dette médical clinique cigarette port arrivait
+placard rayon télévision allaient iras patiente saute menteur étudiant événement vegas classique
+texas pensée empereur séance causer malades personnalité info américaine cage voudra nationale
+lumières publique rouges conduite soutenir déçu y' raisonnable imagination arrêtes éteint serpent
+loyer repose éducation merveilleuse boit rentrez fierté plaque pourrais-je malheureux machines
+offerts convient préférée sûrs énerve taule alarme déposer suivante sortis sensible épaule bruce
+organisé absurde sœurs souffert rat donnée pressé jugement huile pointe essai petit-déjeuner bijoux
+territoire principale st réveillée sun autorisation sandwich nerveuse mignonne goûter moral sauvage
+rang bol ferons ailes marchera matière supposé reçois tours noble alliance oppa nôtre cherchent
+revenez actrice condamné aïe employé éloigner oliver lord méthode casier roy rencard jouait terry
+pourriez-vous courrier cris intéressé profil regardant quant emprunter sophie bouffe personnelle
+boule traître tenait arrangé cochon avoue repartir ignorer chirurgie actuellement sein cuisiner
+sincère obligée poule essayait devras yo éternité bleue déplacer commandé renvoyer flotte caractère
+foot placé paire tuerai œufs solide nathan lignes retourné rumeur populaire abby deviennent
+trouverez commissaire amen trône moche analyse semblerait charlotte enchantée disparition intérêts
+nana finis adjoint exercice rattraper ordonné betty cinglé prenait bye demi-heure étudié cherchait
+rejoint repris décès épousé eue appart autorisé psy pierres sortent no retire vincent reconnaissant
+hye donnent examiner fiancé attendrai pourrons andrew allemand pur irais taux invitation capitale
+bonbons progrès enfermé enregistrement mérites black gère furieux my neveu menacé sir autorité
+vampire attrape stratégie robot passez assise médicament tunnel rats armé temple large vieilles
+dis-le enterré descend comédie exprimer méchants enquêter gâché catherine johnson séparés effrayant
+liens pdg coucou travaillent correspond devrez instinct récupéré échelle manges fans biens égoïste
+sous-sol seok joueurs durer linda apprends camarade rit caroline remise rêver appelle-moi assistante
+libres enfui panne crever mo bombes nager hyun correct vérifie elizabeth taper nu comité faites-le
+restait hollywood événements travaux bah commissariat termine semblent tentative continues officiers
+tuera envoyez joseph ressenti ose conclu termes illégal premières ross culture rompre voyager
+revenus section signature business portefeuille devenus jackie rembourser suffisamment dégâts trafic
+bagarre renforts promotion poil helen emporter transformer carlos témoignage doug adorer miller
+assister étiez-vous innocents habitants perdus plateau accueillir aimerai chanceux réfléchis bains
+espion trouvait âmes poudre album camarades commander croyez-moi voleurs couler golf réservé er agi
+stress musée cole gênant regardais wayne empire améliorer activité chats ouverture électrique
+inquiètes scénario russie était-ce aîné indice honnêtement kilos cave sénateur mac cirque yan bêtes
+puisses chaos total interne efficace wu pommes parlez-vous baise mettent cabine langage plaindre
+auteur pouvaient miens écart témoigner laissera boston connue places fois-ci médias produire soirs
+charger révéler grandir diplôme citoyens survie chan influence prier annulé wilson amanda marques
+vidéos voudras revienne interview envoyée géant électricité trahison humour leo dessin greg marshall
+garce uns beurre ressentir mourra t-il tyler déclaré accueil rage équipes harvey olivia fermée saint
+roman bâtard serment bizarres remède défi éteindre football marcus charme balance mobile apprécier
+adoré kong hyung oxygène fauteuil manières embrasse rencontrée esclave gamine race grosses
+malentendu lucas apparence pure rond francisco so cooper pensiez frigo jalouse ri etait gordon
+connait molly suggère urgences jamie guide césar brown trouvés fêtes loyauté instructions demi-tour
+fâché patience paraître génération écraser angela bail rebecca jolies vingt éléments plats plaire
+deviez diras minable ali métro ennuyeux fouiller température prises chefs escalier jessica valait
+pisser hitler fidèle processus gu soucie foutue chers durs réception sexuelle fichu permettez
+gagnant opérations commandes cercle boss foie piégé vague vends angle feux violent détendre jay
+soyons entendue blagues journalistes autorités terroristes russes changent pervers trouveras étude
+excellente parker préférerais résister option west léger énervé sain carol italie préfères entrepôt
+unités aurions réunis phrase examens berlin imagines christ complexe livraison dragon commençons
+charmante pourri commerce collection donna retiré reçoit royale courte pile tireur da capacité
+vaincre réveil dangereuse marty faites-moi etat assuré rigole miami priorité navré production
+officiellement levé habiller militaires jeudi travaillais laissez-le rock poubelle opérer crée
+pleuré immense bottes suspects appelez-moi barbara croix thérapie gants agression cigarettes nina
+besoins vampires culpabilité cruel évidence terroriste voies regretter enterrer sexuel cellules
+séoul issue effacer totale fenêtres héritage savaient villes dépassé hyeon vraies cassette trompes
+coach tendre responsabilités fonction mardi censés el ressemblait brave scandale mn bleus mères chic
+officiel nam énormément renoncer commencent désire sachant telles sauvée disponible ministère sally
+gentils nucléaire esclaves douloureux découverte tournage portrait nerfs pardonne etes-vous promener
+parent informer épaules drogues indique degrés alibi dépasse généreux pensons résolu excitant taré
+pue ye tendance groupes edward doutes trouvais frankie impressionnant fermez timide protégé gratuit
+teddy trous enregistré communication régime rappelez sel amant numéros nuages présenté créatures
+jordan anges seules fume oublierai traverse beth jun barbe floride sacrifice manager compétences
+retournez pourront importantes yeah pro phase volée contient importants négocier matinée écrivain
+craindre katie traîne lampe voudrez oscar taisez-vous venons intentions tokyo désastre confirmé
+brise passant intelligence commercial discuté répondez arrêtera commandement dettes accomplir
+avons-nous simples immunité stylo interrompre pari micro complice plastique allemands cimetière
+confirmer visages solitaire montre-moi dose identifié câble vive couru méchante regardent étranges
+construction vais-je rejoins tuyau bourse acteurs luxe façons plais creuser puissante débrouiller
+devaient otage risquer cons particulièrement couvre viol cachée tarte religion comté reconnaissance
+japonais mars expliqué rouler imaginé magazine intéressante échappe davis pires demeure ordure serré
+arrêtée talents cran enculé directrice tradition major autrefois ressources blonde laboratoire
+espagne nate légère cendres diamants baisse quatrième excusez baisé ténèbres siècles parle-moi
+essentiel is qing original arracher budget ailles chagrin lls subir albert abattre potentiel voter
+environnement bateaux expériences fui lecture intervention tina cadavres retrouvée deviendra hannah
+toast articles reprend orange drapeau masse menaces coincée écriture attaché punir walker nancy
+proposer malédiction batterie contacté espérer innocente sujets perdez boîtes parles-tu dégoûtant
+héroïne activités loué détends-toi abattu métal nan ranger salade couches champs bagnole noix lâchez
+collège brad coule déménager baisser feuilles pénis seong funérailles cliente interrogatoire pages
+cri sociale exception oeuvre lou demandent otages accent rendez cousine délire pilules principe
+vierge signaler oses-tu insiste caution inde mesures ken renseignements stupides suffira tester
+avancez he cessé normalement admire étonne ethan ron escaliers douter menu adversaire sensation
+maintenir exige dalle rires torture gâteaux franc moderne devine roses vaisseaux séjour jungle
+volontaire aaron vides puits descendu boisson équipement autopsie rigoles solitude vivez chirurgien
+morale ordures commission probable filmer punition mortel pouls regardait transfert regarde-toi
+euros révolution renvoyé jess partirai coma quart putains réalise rappelé mentionné maudit partant
+explosé sung personnages demanderai duke coupez tang faibles porno vues sincèrement filé manquait
+ian marqué destruction osé coûté royal retenu rarement vomir jouent continué faiblesse ongles
+espérons adorent publicité agit-il passagers passeport chffffff ambiance pensant diane derek cité
+adorerais arrange dick lot péchés poches planté carrément suivez sortait symbole grant prière plante
+stable elena mêle connor poing mélange moyenne obscurité bâton mêler foutez votes martha candidat
+subi habits règlement guitare exécution maquillage mené petit-fils soir-là revanche conseille
+laissent aidée chasseur deuil virée plantes tarder inquiétude yun avoué branche dessert todd
+resterai réduire resto fruit serviette rapporte bong jacob industrie population espagnol tragédie
+reviennent bai bourré discute steven ya that jouets justin conflit cravate impôts your colline
+définitivement audition devienne dises avertissement cassée combats obéir gil tueurs éclater ling
+approchez satellite bénisse avocate époux sien rupture excellence voyou hae embrassé oblige récupère
+plaisantez avère nue aiderai bloqué armés invisible fâchée shi pardonne-moi boue dollar dis-leur
+jonathan lincoln barney enverrai document harold emmenée agissait outils va-t-on poumons rentrons
+junior munitions saurai quittes aimable saut accuser eva nouilles etats-unis attaques keith centrale
+mette contacts mouvements logan pipi connaissiez goutte ressemblent sentait énerver souviens-toi
+endormi apprécié septembre gi demoiselle attire monica utilisent capacités restant enseigner
+cercueil louise vérifiez méthodes considère mangez sauvages révélé tonnes eaux servent laissez-nous
+donnait souvient évite tristesse excité revolver suis-moi résidence quinn tenais pourrait-il cheng
+impact présidente équilibre remarquer oeufs symptômes ming responsables pomme ressembler
+attentivement irez affection mondiale raymond fausses bible quantité remarque chang positif tels
+prime difficultés coordonnées show confier existent cabane tuez arriverai paierai acier connerie
+meure italien casque pouvons-nous routes embête lewis faisiez vince secte dylan rate augmenter
+russell imaginais scientifiques combinaison pleut tatouage veuve ouverts changements piqué guerrier
+prenons bonhomme blé carrie panneau mettra cadre rita marine légumes tombent transport réussite
+sépare rapporter juifs direz lâché associés actuelle casey aimée passerai motif trompez profonde
+division nuit-là fait-on dernièrement informé ressent légitime criminelle daisy recule accéder mordu
+croirait chatte planque oublies baek margaret enveloppe waouh white mérité administration canada
+rendra vallée quartiers passées buter divine faut-il spencer lame pathétique patrouille essayons
+empreinte caches maths piquer tendu fragile texte tiendra stark serrer verte miles générale yuan
+mason dennis williams liz conçu arts bats noté serveur accuse vendeur abandonnée veiller bauer
+installé élevée descendez remet observer crainte for ecoute-moi légal mickey imaginez moscou options
+trompée atelier destinée silencieux gabriel mai divorcer mentez atmosphère arriverait satisfait
+accrocher confortable usage médicale usa bouffer entraîne possession ressembles indiens chloé cap
+indices occuperai laisse-la fardeau prudente valises arrête-toi dépêcher qi tuent disparaît
+historique suicider commences transformé enseigne attends-moi évacuer complète allumer puni crois-tu
+longues dent pension flammes autoroute endormir condoléances estime racheter clown deux-là comptez
+élément relève veuille devrions-nous kg cieux jennifer jeremy remets marches casino michelle
+passe-moi rendent conscient établir juif circulation couronne communiquer professionnelle ricky
+salauds mortes evidemment souhait testament national réduit idole saigne prêter cervelle malcolm
+capables gus qin placer déménagé pratiquement politiques feng bouteilles intervenir boucle mamie
+vagues systèmes leader envoyés réalisateur poème différemment arrivais curiosité essaient basse
+quête ann liés demandait etes antoine toby uh whoa dépensé reconnaissante enfermer color tombes
+explose house pétrole objection oignons civils posez sydney respiration hélicoptère doutais prêtes
+agis habillé aile local owen décrire saisir réelle charges viennes repéré chi francis organise kenny
+avaler règne boules juan sauras motel mercredi hall arrivez laissant vôtres fouillé island artistes
+destination connus shen pompiers jusque rends-moi green promesses utilisant conducteur jugé shane
+considéré partira halloween préparez-vous biologique ra fleuve écoles sec attiré coté rendue record
+minimum louer bracelet sembles ellen jouet saluer duré blake compromis gentiment harris eli dignité
+jiang touchée soulagement roue nièce bénédiction échanger heu coûter revu accorder randy détestes
+protocole promettre constamment ruiné balade intéresser hill liu gentleman menottes déposé délit
+essayant ruth douceur engagement audrey rencontres téléphoner détention parliez merdé travis câlin
+sagesse horribles sociaux automne assiette portent mystérieux accusations désirez illusion boite
+homicide ouai sienne pique médaille fiches déposition profite prétend louche dépenser épuisé routine
+thanksgiving charité four trouble scènes insisté téléphones statue jouais organes domicile manche
+coincés ancêtres clay fichiers profit cm visites came arrêtés fiers lancement enlèvement contenu zut
+française pasteur prenais xu mangent connaisse disputer résistance infection avertir sources pigé
+sourd prendrais central sieste juillet plairait las inconnue fournir sortant puissent jersey penny
+création élu francs tumeur soucier tranquilles recette poignée panier bières élections rares mettrai
+douze passais familier croisé feuille tranquillement dormais écrasé auquel ayons buvez crié
+localiser déplacé chaussettes longs canard cuir vic asile disaient facture vain enregistrer lion
+renversé diego catastrophe statut défaut juliette tiennent sire occupés provoquer julian fonctionner
+viendrais cordes dealer sorcières choisit brillante misérable tigre reverra pétrin moon utilisée
+confié chant irons net matthew judiciaire pénible ramasser nora ford devrai occupe-toi by vœu loups
+relever fabrique soeurs transparent revue émotion draps linge précieuse aidez officielle angel gibbs
+meubles léo entraîné grossesse trahir par-dessus holly be stephen accroche-toi gloria balancer
+serait-ce portant fatigue viendront partent échantillon cuire enfuie étudie effrayé piéger leçons
+surnom comte sacrifier pareils passons concept requête curieuse transforme batman implique réagir
+ordonne enlevée anthony préparez tissu putes naturellement nous-mêmes côtes riley comptais inverse
+dessins sentent sammy badge deviné phoebe débat poils suivent précisément cesser refait ticket
+allumé rob prières accorde prouvé jules genou baseball ère emporte cœurs cachette arrêtez-vous
+voisine verrons grotte elliot brooklyn pères costumes magnifiques lex fiançailles bureaux naturelle
+a-t-on ventes bazar poursuit bidon obligés quelconque belle-mère développement relais atterri ooh
+gris salopard juin connaissons voyages trouille montée bougé accompli apparaît brille déclare basket
+merveille remarquable pouce rapproche osez-vous poker leonard réunions tombés pirates assaut
+aurait-il intense confirme massacre terriblement factures warren vaux regret aiderait hwang
+innocence va-t-elle manhattan walt sauvetage furent civil légiste peindre zhang citoyen diamant
+bailey ingénieur serveuse arrangement victoria portail exposition santa pam dénoncer chevalier
+muscles péter entraîneur embêter enfoirés comprennent survivants échecs christine occupera majorité
+atterrir quittez république était-il bonnie jetée détester stanley absent désirs élection wendy karl
+dépose entreprises earl restés évasion rebelles occupes éliminé investissement archives avril
+producteur ruiner sonné portez libération pleures congrès célébrer écrite plafond jumeaux annoncé
+poignardé fermés défaite disques discret pistes signalé nid diana cho supérieure aiguille ouvriers
+guère fédéral cicatrice postes regrets espèces garantie pisse coincer ralph alpha tragique meme
+dépression ashley attendons fonctions oses vanessa connards immobilier pirate horloge gentillesse
+fiable saurait orchestre chaînes plaie eux-mêmes développer familiale élite météo jacques choisie
+manquent montant capturer finisse hémorragie seon bonté assassinat commencez drame fixe psychopathe
+norman montres fringues lane lent prêté association vif principes allant compliment poursuite
+compassion vivons présentation appuyer reprends prends-le périmètre antonio partenaires fermes
+fillette grève rassembler pleins divorcé foutus janet tandis guéri fusillade christian sandy
+intimité difficulté retrouvera déterminer pendu vedette jing juges souhaitez amusez-vous accro tordu
+puissiez vaudrait docteurs viendrait réparé neil locale lutter montrent festival chariot venaient
+spécialité provoqué allez-vous-en lana longueur navrée refuge haricots verdict parier yin pneus sue
+économie insectes zhou eve éternelle marc chasseurs tube pipe jours-ci essaierai mitchell relax
+député bétail formule violée normaux fraîche supérieurs rois effraction amenée murphy personnels
+cauchemars bêtise structure sachiez recevez ronnie pertes voyez-vous mannequin avait-il peut-elle
+bruits spécialiste vider peint gré aperçu transmettre pêcher passez-moi yong dramatique maya
+inutiles tues culotte désespéré love saisi future chapitre touches désordre prétendre ying palmer
+brigade nicole battus sauvés exposé frites complot négatif reparti marco éternel kennedy interrogé
+beau-père coke décédé habitué battent raccroche tres alicia diner joan judy chacune auto dégueulasse
+moquer ennui étrangère malheureuse allen zoo titres marchait batte filmé arrêtent courez octobre
+cuit expliquerai vomi gravité dae tuerait stone intime temporaire rituel plains steak référence
+morgue connexion délicat tiroir soda vaisselle admets former mitch représentant sure aurais-je
+miguel soon hélico ned fabriquer personnelles promenade collins guerriers poussez-vous consulter
+capturé sainte anonyme foiré tournoi corruption épreuves puisqu' fonce scanner rapprocher utilisez
+foire poésie mettez-vous coller pété aimons attacher tache payée banques informatique ranch hector
+fassiez marchand étudiante vaincu techniques cinquième réunir pompes dépêche violé possibles lauren
+transféré holmes barrière pousse-toi serions cheville répétition surprises commentaire donald
+partagé suivie netflix marchandise social tv tennis explosifs éclate démissionner rejeté tracy shawn
+précédent finn maladies œuf marin ultime littéralement vaches fichier gagnes puissants fameux
+chaussure craig confus manuel megan hôte gps evan missiles obsédé dommages allions montrez-moi trés
+démissionné tara couples lave kitty dinde comptent registre attendra acide xin massage sou
+prochaines loyal all françois lesquelles xuan opéra continuent biscuits rentrant gina dessiner
+bouclier amiral mordre hauts tabac chantier rapporté empoisonné mines conséquent marchent ambassade
+donne-lui natalie permets mourant bougies experts liam douzaine livré lawrence nier adorait observe
+extrême serviteur entrés magasins défoncé prenant possibilités voudriez plaisanterie grillé dérangé
+parlez-moi appartenait effacé dégager samantha conne sentez-vous fabriqué carnet marteau satan
+commettre donnerais benny serre surmonter prendrait parait times rosa déçue flèche mettait
+ordinateurs harvard paige considérer inspiration nelson poussée noyer chemins ambassadeur levez-vous
+savon blue servira planter vodka mets-toi wons hésite cibles navette photographe clara ris hommage
+formes colis appelés pédé mei allison actuel permettez-moi envoient conclusion arraché bienvenu
+énormes frappée trajet rentrés antenne connaissances critiques intuition hélas fréquence gras
+rappelle-toi benjamin centaine éloigne look alliés impératrice crève mouche cameron sentie engin
+soie trente spécialement guider inconnus déesse voile jie quinze valeurs baissez nicky arrivant
+emprunté allume chase peste impressionné établi requin mondes dana jon boissons up michel téléphoné
+armure ambition recherché tian servante mm robes flamme philippe arrêtait union fang foudre maîtrise
+franklin âgé troubles debbie feraient repérer know habituer valent with chiffre nettoyé diriez-vous
+apparu quarantaine fusils sheldon patronne cheol reculer fermeture avancé appellera fées manoir
+thème déconner démarre voila willie taupe poli bases escroc désespoir mario ignorez veniez codes
+disposition galerie misère jalousie comptable zhao déplace goo connaissez-vous cessez bossé augmente
+glisser unni contents apprendra surprendre planche honnêtes dale freddy vaste dentiste détruite
+inconscient inventer insensé carton curtis performance existait terreur ruby bang pilotes décevoir
+miracles tactique hello mu descente reporter août publié effrayer baignoire shaw lâches soi-disant
+noires lourde fédéraux flash bruno générations ex-femme eut singes compté assumer remplie camions
+ellie one vietnam fortes emporté kent démission approprié fusion campus conclure french demie
+avantages emmenez-le fit mmm spéciales noah méritent cherchons philip novembre orage génétique plomb
+suprême balancé mia nuage traitée laissez-la civilisation ecoutez-moi bizarrement coiffure
+embarrassant salue bond ondes magicien fins vitre participé internes habitudes faillite britannique
+vivais camionnette reconnaissez analyses pâle soirées avenue sous-marin fabuleux obtient enfermée
+coupables libère anneau airs brouillard vilain nettoie préférez sabre décembre zoe colonne bosses
+échantillons artistique out évolution infiniment sperme superman joint forcée craquer laissons
+impliquer graves prudents payés oreiller wade boutons chu houston amuse-toi blâmer éclair diront
+plaques pardonné laissés remplace prostituée seung supplémentaires bok dépôt rendait ralentir
+inhabituel crevé maillot syndicat cocaïne sonner démarrer appât solaire civile tableaux allonger
+commentaires eus christopher sont-elles description seattle may blanches balader coopérer beau-frère
+sexuels sms papillon carla empêché voyous paula filet ae arnaque banc bishop mairie engage mail kurt
+emplacement tirs impliquée individu levée psychiatre suicidé croyez-vous sortons ki andré ivan
+généralement poignet étonnerait galaxie énervée xi monseigneur turner pat kai fox visiteurs liang
+bip sandra machin partes wallace déchiré vols repousser excitée can circuit discipline comptait
+espérant pan admis nécessaires mafia angoisse ennuyer barbecue rayons vire villa précise serpents
+espions castle caca mourrai armées bernard sèche texto grey rendrai défilé flipper anderson
+laisserais courageuse retient bœuf souvenez-vous vœux satisfaire gâchis édition réussit renfort
+moustache gardiens watson hoon sous-vêtements décharge jedi chanteur vulgaire harper sobre
+impressionner modeste insulte henri espoirs pyjama carburant hua gêné chantage voté stars poursuivi
+heather exister éternellement séparation fouille patty boxe quai scolaire perdant plonger
+rappellerai moteurs tiendrai drogué sorties habillée georges blesse ceux-là antécédents claque
+impatient qualités encre jill sueur poète hurler pendre artifice little soupçons mallette humaines
+um iront professeurs menacer gym dépenses ignores visuel saurez confession chun calmes pilule
+district contrarié gratitude affiche enchères ressort légèrement analyser amende surement citron
+zheng augmentation volés maïs glissé assassiner faille parcours nus sauront parts grille
+concentre-toi naître garantis base-ball australie tonnerre relevé talons sharon battue détresse
+laser buffy allergique maîtres journées plaira séduire infirmerie fascinant candidats primaire
+pharmacie seth atterrissage coupée célébrité we sorcier jenna allure irak hyper présents nettoyage
+miennes rhume prétexte exécuter compagnon préoccupe combattu bornes disparue copines enlevez nanas
+catholique vise amateur contrats sens-tu licence déchets quasiment luo guise homo pompe dites-leur
+deal hop épargner réponds-moi piper violer sonny chloe choper pèse assassins veines renoncé
+arrive-t-il délicate aveux gestion sourit rentrera tâches souper traites secondaire inévitable
+rappelez-vous duel conversations attentat délai aimiez réfléchissez franchir comparé saoul sebastian
+fixer veine soupire retenue troupe wyatt investir médicaux e-mail zones supermarché manipuler proie
+cocktail grimper honorable accroche rapides obstacle morris cochons toile klaus grange pressentiment
+robots graham brandon appuie manny traînée sortirai moutons publier ordonnance aspect môme cristal
+entrain endormie fée grossier spéciaux drew rocher hwa rêvais voulions économies excite meg
+féliciter mariages finissent hache mentale levez reed concierge beach conte meuf donnant nichons
+patrie promets-moi exceptionnel brosse gong incroyablement poulets préserver ja col jet autorise
+concentré canal kirk baker durée chargée humble alfred martiaux fumé obsession renseigner méritait
+canons revois locaux dexter renverser juridique portais verront botter botte fondre croisés
+terribles essayes démocratie gyeong meredith emménager contrairement samuel décrit intéressée
+vice-président réagi yue suisse saine égalité prié intérieure colin fusée déconne qg denise tires
+apparaître torturer fassent marquer serviettes trouveront repose-toi fondation grain arrache
+afghanistan décoller nadia déclarer automatique connaitre mises furieuse acceptez vainqueur croira
+temps-ci veronica rory achetée situations mineurs éléphant effectivement miranda attendez-moi étages
+bisou bell maîtriser chômage casse-toi zach copies entouré transférer céder adrian conviction
+profondeur défendu xia paiera intégrer pitoyable détestais lesquels domestique revoilà cachets hal
+dépasser comporter scotch grippe kyung refuses timing duc verts hunter désagréable paniqué pull
+navires gâche rende détestent vertu veuilles orphelinat allah dons tueront cachés instrument
+épicerie jetons installe souffrances aimeriez distraire vulnérable pouvions certificat divin lydia
+réplique rôles planifié faciles splendide dés vapeur omar débrouille comprendra empirer surprenant
+paiement ado chae souhaiter insupportable jan orbite changes adorais offres mâle madison sociétés
+bart guy fine international demandant burke apportés piges dallas katherine sucer script donnez-lui
+ding leslie développé hope évaluation bloquer philadelphie goûts diagnostic accusée shopping road
+gratuitement barrage lloyd honorer sembler peintre mêlé arriveras ciao compliquée jusque-là chiant
+hyungnim nègre venez-vous stella kansas auberge tapé hugo radar justifier dizaines respecté kidnappé
+ci degré inscrit certes alison habiter prévoir herbes impérial richie adieux fei opposé doyle roulé
+carmen sortais janvier damon jetez nuire hôpitaux caravane remplacé mental mm-hmm jeanne cérébrale
+proximité isaac merdique interdis utilises solo sachez roues buck bi essais adopter puzzle tripes
+agneau défunt sirène rebelle noona cindy sacrifices tristes détenus physiquement trottoir poubelles
+rideaux retournée commune paperasse gene mrs halte fraude coopération retournes comparer incroyables
+baraque destiné clef loge facteur partait pierce fonctionné facebook raccompagne baby travaillant
+renvoie becky provoque gravement mcgee sensé alimentaire menteuse âgée infirmières plaisantais
+pressée expédition brute électronique virginie niveaux disputés rentrerai bandes imbéciles promo
+puissions langues déterminé sénat ajouté emmènes détenu aînée hélène éthique rançon pensaient
+traumatisme transporter payez déclenché honnêteté inscrire arrières boucher instable stuart maurice
+annule balai ana lang lola retiens nage représenter formé montrerai visions raccrocher pablo réseaux
+fu directe caisses lessive graines dingues moques formulaire débarquer chèvre augmenté agressé bay
+chienne ajoute financier tiers marcel camps examiné grandit this lavé régulièrement suggéré viendras
+détendez-vous reprises ciseaux pognon cow-boy confusion particulière drôles alcoolique propriétaires
+jazz jouant devront recours jia protégée restons danseuse démissionne cheminée tickets pâte
+observation venues toilette préparation harrison voire charbon rosie appelais homer tronche viens-tu
+verrais profité investi invasion cambriolage farce attaqués téléphonique sévère réservoir boum
+accidents mèche volent boucles blair ver trevor blâme ronde décides führer crétins raccompagner
+carson austin amber trouverons archer kwon entrent ravissante permettra lesbienne décédée cuba
+méritez authentique aussitôt randall zombies valable devrons récolte rancune vois-tu ruine dessiné
+refusez jolis paisible mouillé fumier céréales réaliste matelas garantir adapter entendent
+harcèlement cookies bacon enfuis culot arrogant mineur claires accrochez-vous librement redevenir
+pacte kane intéressent permanence donnerait stock familial conséquence raser reconnaît psychologique
+messe antidote thompson passerait pourrie nounou dwight béton employée racontez craché anglaise
+égard paient demande-lui évacuation vivra jen utiles jeffrey bandits âne établissement douleurs
+traîné coréen échangé patates paille assisté déchire insulter confie sacrifié réclame petite-fille
+manquez originale prochains communiste risquez retrouvés échouer premièrement qualifié avery
+demandons consort folles soutient rude claudia veut-il calculs dorment commençait tit april
+quotidien elvis bingo secrètement procéder démonstration crane chanté liée mortelle sombres
+travailleurs guerres confirmation paysage east championnat exposer connie tirent addition enfuit
+troy fonctionnent champignons exécuté enquêtes laissait demandée buvons tong appartiennent araignée
+brooke explorer supplier isolé selle missions nobles sunbae hésitez soulager outre aventures nazis
+collé cachent fourni états raclée casquette maléfique honoré diabolique perdent raciste mont maudite
+lits belle-fille flippant professionnels magazines rocky interroge impasse standard comporte bennett
+stefan fidèles jonas plaisanter coins soi-même tuyaux effrayée fiona chinoise suspecte évité
+dispositif touristes sixième matins bin troupeau trahis attaquent survivor gagnent saleté rideau
+jupe durera oubliée éloigné booth étouffer éveillé dorothy pige maternelle environs anciennes
+dormait transmission caleb richesse ahjussi brenda rasoir pâtes inspire shirley réflexion pourvu
+ponts vidé cycle défauts phénomène encourager seol privilège plume indien devions déconnes active
+reverrai composé hans florence épuisée hypothèse voyagé lester loupé profession réserves bars
+chanteuse rex véhicules score cousins avalé province violon promet académie guérison intelligents
+chips persuadé réalises volontaires publiques suggestion soulagé soigné cargaison rigoler plancher
+confidentiel prévenue imposer coco spirituel griffin déclencher mel baissé appareils grenier mortels
+naomi prononcer révèle nés envisager rechercher cash aidés atroce beverly préférable peggy balcon
+rangs saisis diversion suspendu vont-ils tournent moine marais lignée sexuelles inspiré sécurisé
+isabelle refus capital aah vachement maux embarquer episode transmis couteaux vendue soutiens serena
+reese stand mystérieuse appartements décrocher serrure zombie jumelles vagin retrouverai hao amants
+sullivan t-shirt trains are échoue nuls serait-il identification coiffeur épouses mangeons remplis
+modèles impériale perry andrea soupir dimension winston violet racines douglas kara tables israël
+ego ià maigre forteresse perdons dirais-tu mourras sur-le-champ revivre pape sid instants perfection
+ran tremble amusé abeilles zhi réfugiés bloque escorte geum convenu ressemblez otto rappelle-moi
+sook duncan supplémentaire bud choqué accroché remords bénéfices sanguin signaux pensions pr étouffe
+adams lapins edgar sortiras préférés coulé fichue évanoui séquence merdes vanter lisez joy religieux
+éclat wen enthousiasme naze affecte missile mènera vera défoncer travaillons croiser barnes goûté
+désespérée versé shanghai falaise enseigné xiang surprend psychiatrique boy moore frontières devinez
+réchauffer emmenez confort disparus îles tortue idéale invention draguer concentration pointer
+alentours atout logement apparition habille épidémie chandler féminin plaint broadway arrivées
+claude bowling attrapez-le violation supprimer convaincue wan location angie jurés dis-le-moi
+pénétrer roméo like raccroché philosophie chauffer sang-froid révérend donnés iris simpson adresser
+saloperie dj chèques entende endurer causes fauché certitude renard regarde-le lindsay dites-le
+embuscade impatience magiques utilisait chauve hockey comprendras shakespeare dites-nous dîne
+colonie foirer aimerions stage élevés glenn camille assassinée costaud prit réveillez-vous relâcher
+achat vendent mériter cd repart cavalier banane clubs quelques-uns calibre adopté tait exacte gérant
+souhaité défends bouquin appartiens fonctionnaire fourgon neuve hunt quittée détente river
+ordinaires matchs lan saigner gardent buddy inspecteurs achèterai teresa brody raide décor rio
+sciences chiottes présume suffisait aérienne écartez-vous discrètement clôture cicatrices fermier
+collines parvenir ignorait gilet gangs télégramme wells brésil cuillère volontiers littérature
+offenser communications similaire intrus font-ils kira braquage sofia sympathique pedro ouvres
+ignorent graisse rein conditionnelle nourrit consiste fuit contenir salles habituel ressortir ravis
+poupées têtu débarrasse emballe disparaissent melle laurel féminine bouleversé espionne comprenne
+khan cheon queen phoenix dvd passager haley ruse pète ingrédients garcia tissus cruelle corriger
+humide ju soutenu ombres glacé déménage terrifiant chimique portables messager cuisinier perle
+rétablir reparlera autographe alexander extra unis crises bouchée mick ressentez gage alexandre
+pigeon nommée mourrez chimiques canne noces erica cal célèbres traquer réacteur flingues armoire
+positions masques apprennent tourne-toi garer inquiets sièges attache débarqué ados outil pleuvoir
+perles mouchoir fixé cody décroche suivait soulever profs fermez-la verser acheteur tiens-toi
+chaises extraterrestres apprenne planning continuera contenter cogné extraterrestre refusent stopper
+melissa tuant paies glaces cachez mouches soûl battait pelle sceau élégant devons-nous abus
+accompagné février mentent hurle fracture techniquement renonce bonus poèmes arizona boyd aident
+simone distances soumettre amenez devenait allongé commençais val mona entendus vaurien typique rime
+tenez-vous litres basé sites impliqués accélérer générateur trophée planètes trouvons marvin carré
+démolir seau plaise baby-sitter sheng poses barman évader entendait vip ivrogne embauché supplié
+sauveur poules affecté instruments spatial nues oubliais excusez-nous étiquette glisse parapluie
+infini dirigé revenait favori anton entretenir déchirer xing apportez obliger inspection posséder
+lenny assistance plaisait radiations branché chassé siens cigare altitude regards drake arc liées
+cachait accordé scotty honteux affamé appelez-vous syndrome tucker détesté gelée attendez-vous
+cassie reviendras domestiques sheila pourboire sacrément utilisation existé attaquée agresseur
+ouvertes musicale crack gays arnold modifier jambon neal acceptes tess arabe plumes insigne
+compliments marron correspondance zack merdier comique alimentation parié potter percer déprimé
+compréhension inquiétais éclaté nommer détecteur douairière conclusions marins braves got rochers
+délicieuse occupez-vous arbitre mets-le attachée taches finiras çà bâtiments distributeur horizon
+prépare-toi créée piloter pearl josé cv brûlée pleines fuis largué économiser monroe relevés signez
+oeuf assurez-vous pleurs orteils comptoir persuader répété pince urine conrad multiples semblé actif
+percy pavillon reprocher taureau beckett débarrassé allié pourrir danses bougie sherlock viser
+plombs enregistrements sécher mettant privés kathy concentre illusions gant trajectoire ring
+isolement céleste di requins tuerais coton crayon parfaits mousse poursuites vase piqûre exagéré
+musicien individus bouts reggie via mentionner tabasser signification remplaçant saul mignons coude
+utilité reconnue glacée fouet repasser initiative baron traîtres provisions respirez recommandé
+enfreint gars-là willy pic pique-nique mettons mettez-le éditeur parrain allemande torche
+explications sublime souhaits denny perdues mouillée relecture correspondent hourra dee migraine
+économique emménagé décroché yoga croissance semer mou boris localisé catégorie pétasse briques
+crevettes assure-toi pompier harceler convoi clyde internationale brisée radios zhen ruines flux
+trouvées volume signale engagée soupçonne clairs rendrait réglo pointé enregistre observé lt dormez
+banquet freddie tire-toi deb clou sente round petits-enfants rejeter hamilton stressé prennes mikey
+acquis exemplaire perruque libérée résiste musiciens gestes détestait rassurer ohio due synchro
+arrêtez-le milliard enterprise cinglée tai regina recommande marines parano hôtels injection herr
+billard architecte baleine joel avancée craqué nomme cracher craignais intégrité fisher écrase lake
+sûreté patte calmement luis relâche souffler emplois calcul adresses écoutais disciple donneur
+changez girl gangster drôlement bilan encaisser négociations croise noter gotham dégueu tonne
+écarter arrêterai attendiez ve asie shan hangar bouges saucisses servait aérien rappel fantasme
+concurrence menacée ex-mari haïr hérité reportage courent anéantir delta reynolds croisière mercedes
+ordi jurer ramassé contexte conquérir stevens interdite gouttes volontairement triple répare
+trouverais mesurer fun théories allées redevable clean south quoique dîné répondeur cherchant
+positive débuts débarque foster sons dawn autel insister barreaux sachent griffes garderai virginia
+pourrais-tu distrait comprendrais violents revoit appelles-tu relâché grise mènent crue fait-elle
+apparences investisseurs assemblée œuvres touchant elaine gagnera spock patrons aimaient hudson
+gênée what have entendais remettra paysans écrivez mécanique lena enverra ramenée mètre ruban méfier
+flynn inattendu collecte renseignement menton gagnez minuscule pneu confiant amelia soigne péril
+chiot accoucher retrait naïf dawson miettes chewing-gum écho noyé jessie bella cloches défier
+baltimore attentes alternative embrassée ward tue-le emmènerai préparent ncis morveux parlaient
+imaginaire collaboration rodney agressif roulant salir accouchement sincérité bouleversée imposteur
+recul modifié fédérale harmonie felix torturé get vieillard séparé séduisant elsa continent
+restaurants matos christina embrasse-moi substance débris pizzas murray clarke onze nouvelle-orléans
+trait obstacles conserver promu réconfort optimiste réels énigme regardée politiciens creuse
+largement désespérément aliens combattant grayson ko reins boulots indépendance suivis souviendrai
+rendez-moi gâchette reproduire robinson torse égale couvertures cleveland bac office latin fiction
+briller averti pièges morphine bouquet vents informateur atlanta hwan contrariée kid dis-nous
+diplômé indiquent tournant immortel char world denver est-on phillip yens autorisée was humilier
+calendrier ragoût envoler stagiaire evans survivant sages récent fréquente dirigeants alec sourcils
+prévue dit-il effraie maris gao peurs schmidt régiment généreuse connecté voudront milan foutent
+suffire nolan sylvia réagit pleurait dansé yacht intéressait détient célibataires voeux overdose
+impatiente enfoncer cathy cartel plaintes nicolas franchi conception chimie group espionner lei
+impoli absolue rogers parages tan montage patienter refais lâche-le complices commencera ahn nerf
+envoies demandera perspective bien-être réduction fontaine ruelle alien ais obtiens just argument
+entrées tracasse erin dépense agenda raconte-moi hésiter p' nucléaires sasha parcouru donnais silver
+oublions chad particules cartons enterrée achever einstein adoption malchance hanna convenable
+approuve zi programmes compagnons oû discrétion finissons-en robbie faisons-nous perde not nœud
+adores rudy visible trésors perdra case tenant représentation clin légendaire soumis secondaires
+ironie dragons calvin frangin corrompu baxter range shelby marianne intrigue gamme merdeux fosse
+gratuite fédération cogner abandonnerai placée logiciel affreuse toxique consoler bernie motivation
+gray améliore infiltré joseon dixon aborder insecte ramasse drone prendrez condamnation réservation
+définition wong objectifs campbell laid conseillé leon légale jong nuque villageois gai stewart
+bonbon baie application banlieue nicholas femelle mythe condamnés ellis capsule jaunes a' ignoré
+ciné larguer reviendrais ke défaire appliquer habites délibérément semestre communistes mourront
+aimera sélection plongée gelé griller punie immédiat peuvent-ils osez cuisinière exercices mouton
+humiliation efface perturbé affirme june étonné madrid étapes violente amateurs mi-temps laisse-nous
+fortement écrits désolés croyant vivres crash jefferson colocataire arrivons obligation écoutent
+prendront organisme nourri embaucher bâti hypocrite déguisé saviez-vous thérapeute lionel horaire
+reproche caserne voisinage ramènes entrant butin béni précision yao pacifique occasions sportif
+proprio franchise secouer faîtes testé tunnels rampe brady rejetée artère introduit coupure évanouie
+doo mord haleine pere indiqué classes grandeur confesser suspense kay regardez-le ail étrangères
+flèches nikki parlerons disposer penses-y boucler entres bâtir navy effondrer donovan conduisait
+abrutis indic applique infecté paniquer majeur faisiez-vous frappes comprenais rendus wes
+fonctionnaires buffet abraham brûlant croyable sonnerie sérieuses reviendront bruyant vaccin intimes
+épouvantable cassettes polly indispensable coeurs emballer poster participe sal greffe financière
+remonté lente amuses condamner cao eleanor excès dynamite débiles semblables potion activé erik
+coupes approbation poignarder lécher juive artie marketing mômes fâche accidentellement doubler lila
+massacrer embarque brutal déception opposer géré générosité coût chrétien wall horreurs pareilles
+meurtrière prononce opinions franche reçus grenouille superbes satisfaction prendras ralentis trempé
+choses-là dortoir solutions majeure franck ava intrigante épais était-elle julien emparer terrasse
+opposition ning maison-blanche bénéfice bec tendue burt ballons bunker répandre dates buvait
+craignez retournerai approché hm souhaites scoop nocturne intermédiaire froc souvienne détourné
+sapin oz porteur doris foncé bouddha cinquante évanouir saucisse grec artillerie tomates wally papy
+supposée chalet poussez chul prêtres approchent illégale traque capture laisseront jesus respectable
+contacte pauvreté fourmis tirée insultes continuons uniformes myeong laisserait évaluer hait suzanne
+talentueux méprise fidélité faveurs roland endommagé anormal fourrure acceptera mama portera
+imprévisible futé ennemie crédible stevie marion toutefois fatigués excitation prenez-le encontre
+mépris montes rico nsa evelyn ambitieux provient serviteurs nombres sympas shu roberts punis malins
+cynthia éponge occupent dante couverts abandonnés finances meute gardait tueuse absolu tombera
+disciples racine hills bush esclavage habituellement pleinement lions emballé bienvenus aillent
+visiteur partais rébellion qian time aiguilles impose gilbert indiquer fumes approuvé triomphe
+effondre empêchera gages meurtriers pois limousine angelo vice cacahuètes moo partiez messire slip
+im chauffage doive irlandais demanderais lucifer crache mater heure-ci grèce gémit down onu chantent
+aspirine commencement procurer offerte gwen plongé inscription hassan épées mâchoire mélodie woody
+invente émissions sentiras horaires savions lires merveilles mat agitation muet donnez-nous
+passerelle quitterai jouir sucré atteinte admirer cerf poings terrorisme rentrait souffrent exercer
+emmerdes chanceuse emmerder moquez semblable arriveront bancaire prétends ouragan douces liv
+critiquer changerait romans tuteur finirai susie huh injustice napoléon spirituelle prophétie
+créateur arrangera réconforter mangeait exagères dirigent luther documentaire cam numérique cyrus
+laisse-les teint piégée décolle universitaire enfermés mettrait clefs gold ski renforcer habituée
+utilisés secrètes distribution frit poussent montrez marée dépit baigner lueur discussions curé
+révélation mule irresponsable extrait compagnies billie vingtaine resteras buté ramènera laissez-les
+abandonnes chantait crochet extraire reposez-vous joyce couvent von valentin félicite cuisses soja
+bd phrases matty climat châtiment soulagée sanctuaire mentor embauche aimant yeo foin cure bradley
+généraux centime raccourci comtesse publics farine bassin pratiquer triche ernie maligne étendre
+coffre-fort pardonnerai plaider vivaient mettrais gala verrait hormones romains reviendrait occupait
+faisons-le adrénaline équitable récit consentement thon prisonnière protégerai porcs parcourir
+rigolo sinistre vieillir patricia millier obligations cape détour valoir gèle plonge bree
+psychologie mers kat valley retournons square indépendant rosco bavarder pressés pelouse déja
+arriverez cavalerie venise esther envisage branches là-dessous thèse presser couverte légalement
+connaissaient habitait exclu malaise enquêté convoqué abusé sonia ella reflet absente rebours épave
+épargne localisation par-là pagaille suivra sirop garé reagan égouts étonnes camping présentes
+éteins cherchiez valet sophia rong surveillez zhu spartacus lizzie déroule porterai solides scan
+correspondant mimi brett pâques électriques vilaine itinéraire coloc barré exagère creusé vivrai
+prends-en serveurs réactions épargné baissez-vous occupez milo nain amer consciente plier nourris
+spike hôtesse coûtera sérum reconstruire détourner tais glaçons tailleur dom câbles achètes dénoncé
+damien paquets joyeuse rhum ignorance actionnaires démoniaque pentagone surveillé salutations module
+boeuf sensibles emmène-moi rient espérait livreur enseignement considération marge dol prétendu
+connasse grenade tuez-le bonnet détermination centimètres irlande jared accomplie voleuse unir
+graine vendez hyeong diffusion oups avances chauffe guo nie crucial dévoué piraté photographie
+exploiter chargement orgueil comble briquet renvoyée après-demain survivra beurk dégagé amenés
+mangerai peintures coque vicky loser lier galère fermement sers-toi verrouillé lointain jade alexis
+visité écoulé chantes carlo cognac informe mulder ouvrent allumettes aidez-nous suffi devise
+apportera remplit marilyn hostile athlète tatouages moelle accepterai phare comptes-tu cellulaire
+aigle trembler alias repars kit mandy cruauté choisissez cafétéria géante dã apprête marina vexer
+rôti rangé immobile preniez danielle applaudissements uvre physiques pantalons abandonnez voiles
+summer immeubles caporal candidature pére creux craque bijou devenez cruz américaines sonde fiancés
+sympathie regretteras labyrinthe happy merlin contrebande durement douté répugnant hétéro détruits
+immatriculation gin ete communiqué tenues judith cat humilié prévenus finch poisse indigne lynn
+barrer yes grade apprendrai sauvera shannon tiennes tribus séminaire parlions cadet déclarations
+petit-ami impitoyable décennies conspiration virage espionnage yuri zoé traitez remarques suggérer
+fletcher mexico hayes combattants toc onde dures hallucinations risquent devint chelsea prononcé
+précaution arrêtais séances rive hai rich récente design trousses noyau introduire retarder
+transaction pope féroce luca dal religieuse garrett cerveaux puces librairie profitez réussis
+rentrent tremblement bataillon tournez porte-bonheur inacceptable aidait archie gaspiller
+négociation chargez vicieux présentés flou défend terminale allumée fondé ficelles trompés disputes
+cliché dépêchons-nous dealers limité cliff natale experte tubes disponibles buzz sexuellement
+sentence prédit gendre voeu installation principaux barres jouera clarence tranche passionné
+deviendrai sincères baguette oppose nègres fugitif coudes ballet réparation duo coq menthe ari
+raconterai fréquenter éclairer ligue heurté gardée aveugles consultation manifeste affirmatif léon
+ahjumma urs auriez-vous traditions lard festin tentant hamburger habituelle croie supposer béguin
+protecteur distribuer jérusalem vaughn comptez-vous chauds téléphoniques lancée soviétique parasite
+marcherait chapeaux médium apollo ouvrier néanmoins placés filme chaleureux autrui prendrons
+hospitalité deok cafard gavin contrôles ohé lci baisse-toi donne-le-moi stu hawaï right préfèrerais
+quittés veillerai banal permanente bouc yale rails tarés réserver price ouvrira guan classée
+attraction traduire tournez-vous remporté pouces dirigeant boivent terrifié gabrielle batailles
+arc-en-ciel assiettes boucliers bourrée rejette kidnapping tonton imiter feriez-vous assurances
+programmé obéis marta identiques pologne raj flûte acceptée japonaise régner offensé doit-on amical
+médocs cavale marijuana cote chorale sentirais ôter news brouhaha métaphore hugh cuisiné bien-aimée
+ge contes hu évènement conflits tombeau partiel jamal explosif prostituées mails luna résumé
+chapelle poumon écharpe satellites exceptionnelle triché repère banquier jasper cafés obscur
+rassemble cherchée paresseux envahi effrayante tiens-moi piles clowns courtoisie bien-aimé lumineux
+lori exprime chaudes marchands dangereuses lucky berger helena boulettes pop centre-ville file-moi
+meng lavage séché ridicules now survit brune préparée prévois nixon hughes cite sanchez xie want
+souvenu repoussé décollage conduits volées villages manquera traitent grands-parents citer étrangler
+arrêtons recommencé émotionnel spectateurs maladroit mit manches interrompu gêner recruter privées
+rafraîchir consacrer propriétés choquée laurie georgie gun contrôlé berceau vétérinaire réclamer
+opère finance sidney enquêteur foutaises délires crabe vendait profits tak bloquée huang rentrais
+web visiblement faisions traités rattrape contourner baisers american amènes interprète bla
+roosevelt reproduira sacrés embarras tanner servez-vous septième luthor ting boxeur accusés ragots
+fichez beignets affirmer abe souffres ivy aprés grimpe habitez hallucine disparais descendant
+comprennes clous eglise frustrant passe-temps gonzesse encourage continuerai violeur financiers
+déguisement souriez etais dangers abu janice dentaire préfèrent appui adversaires crawford
+suspension détacher keller comprendrez chemises gueules animé saisie regardons purée donnie guérie
+wook provisoire paru tuées mondial posté appuyé colorado becca supporté shepherd commode sloane
+institut fais-toi irm peigne loup-garou gates enfonce appelons gideon similaires ren orphelin
+accélère amélioré coéquipier mexicain arrogance chrétiens révolutionnaire pourris fermées frost
+laissais saumon arène madeleine effondré notion municipal fautes loue danseur financer pleurez
+expulser mettais bâtards baskets orphelins évier moulin battez suivrai pros jenkins dizaine rasé
+bute furax incidents prétentieux bandit audace fondu at fabriques opéré intéressés découper
+trouverait demandez-lui chevaliers francine négro croyons sik trish intrusion bulles congés
+pratiques north dorénavant origines étroit embarqué apporterai vermine baises ralenti resterez
+anxiété dite rae montrera inventaire e-mails étendue relié nasa transition frankenstein naïve
+masculin nécessité restiez éliminée gonflé fraternité mêlée tombez dévorer santiago présentée méfie
+media construite apres zhong incapables peluche expliquerait coupures influencer hôtes fanny
+tournait vivian abigail salive mécanisme escorter sdf voudriez-vous mourrais intéressantes évolué
+torres peterson cheryl amusante marchandises envahir associée enduré daniels sabrina raisin
+indépendante rusty pouvant pick-up achetez envisagé loterie doublé arguments quittera terrestre
+identique affecter confiture précédente pissé bates distinguer hanches drague forcés assume mystères
+hart wc élan dément éloignez-vous insulté détecté assurerai spatiale carbone conserve touchés
+répondrai gangsters cuivre préfet représentent rassemblement obligatoire prudence permanent entrevue
+voudraient mangeant ferais-tu pancakes gyu montent droguée devenues gonna chaton trahie marionnette
+réuni paulie réalisez normales vendus ramènerai monty manifestation détonateur atomique piégés visa
+anomalie divers lourds enthousiaste usines coutume touchent successeur solde bouillir marchant
+freins bulle faiblesses correcte close ramon suicidée lorenzo immédiate entendra provenant cinglés
+drama brooks see employeur marrer rassure anita promène divertissement déjeuné hésité pots ignorant
+basée souffrait essayent résidents fouillez attendaient google épousée stressée séduit bougent
+saurons déplacement tireurs précautions tammy protégés institution drones tue-moi affiches
+tempérament dévoiler découvrent auteurs célébrités saoule dérangerait voulant vitamines scully bert
+séries mccoy activer pigeons jonah tao fût walsh visé super-héros infiltrer opportunités prévoit
+paumé ironique hosto silencieuse assurée wolf belle-sœur écrirai saints dit-on battant télécommande
+portland malik barbie pil psychologue réveillera héritière audacieux detroit annulée résolution
+cylons burton pensez-y agité émissaire thor isabel tirera symboles maintient naples mélanger
+diplômes séparément mangera biscuit avéré mouchard protègent elijah parade fermiers xue pieu
+ferais-je bing morty passionnant baigne sandwichs traitements satisfaite effectuer come apaiser
+brennan gymnase gènes fatal edith pa tricher fossé naruto travaillerai gorgée theo retardé tentation
+peut-etre centres tracer ru détectives voyiez joong débuté vestiaire préoccupé dormant apparue
+rembourserai mere salopes cherchaient alaska pardonnez deuxièmement introuvable willow primes
+yankees superviseur sieur mois-ci bio sains pensera brèche amsterdam jadis autorisés trêve entente
+enculés utérus regarderai concerts cédé goku culte surveillent heo cuisines bones penserai crêpes
+veau peyton passeports aire michigan canards âgées toubib statistiques reconnaissants acceptable
+sécurisée sawyer montana insensible couchée abel policière chopé fourchette énerves égratignure
+maddie tirés sierra ronald présidence revenons mutuellement mae harriet vertige homard brûlures
+spécifique inquiétait concurrents voles rouleau géants menée ressentais cheveu reverrons finirait
+doyen reprenez disparaisse oswald maniaque jardinier culs viktor gagnants répondent amène-toi
+papillons panneaux déshabiller us faculté scénariste wagon echo transformation samouraï intact
+élimine suture ringard reid pubs powell mississippi écureuil souviens-tu recommandation frérot
+brillants réjouis martiale clope inquiétant étincelle dewey bridget armstrong procédures suffisante
+condamnée textos tendresse plaisirs étang décret bunny spectaculaire champions profondes paires
+exploitation antibiotiques enterre garée citation excusé évènements timmy inférieur retrouvent
+regagner lances amusée achètent starfleet références accords réfléchit millie fitz sentimental roche
+régulier musical hayley forment chocolats autoriser ampleur méprenez mentait calculé pêcheur burns
+sirènes crépuscule complications lisais confuse fournisseur désaccord clientèle side revenant
+distraction déjeune moïse avertis inoffensif révolte isoler déclenche épisodes alma couvre-feu
+entrainement électeurs contribution parachute trappe caoutchouc ignoble gigantesque coulisses gravé
+gabe traits compréhensible souviendra roberto regretterez consacré émeute frotter dope brume
+immigration futurs dîtes affamés coupés coriace marshal tabassé abandon prends-la écurie
+interprétation bouillie carottes admirable sadie libérés voulais-tu fraises emprise complique
+console remuer reparle troublé simmons souri norma victoires préparatifs têtue prophète session
+recettes espéré trancher ruisseau queens participation lecteur reprendra cire désintox déçois
+caillou quentin bâtons intéressants politesse décidez achats rigolez home capte marchez convaincant
+cantine prés nico comprenait blog frodon équipier éprouve sloan entourage ennuyeuse croyances inclus
+classiques karma connecter condamne exil justifie gorille émetteur cahier réviser redoutable
+bousillé cui scie reviennes cigares serve diaz renseigné emprunte crichton classé cherchez-vous
+appellerais préférées magnétique courts défie cultures break succession day araignées tanya
+jésus-christ froides recevra anxieux gretchen mannequins feras-tu bulletin tablette humiliant sas
+joshua darryl manipulé here efficacité pennsylvanie bites réessayer connais-tu montgomery détecteurs
+compagne sermon négative minables urgente quittent orientation del débordé agences iran clos
+attendue néant limitée maudits fameuse bae pirater tribord holt franz entretiens habitue menteurs
+juridiction dark you' écoutera mentalement justes pansement aliments cass sorcellerie nations brique
+agisse rivières dessine agissez benson aviez-vous attentionné fournis soutien-gorge secoué omelette
+tate malle hammond glen effectué rin crystal cocktails amusés croirais resteront expliques
+recherchent dominer protégera hanche entoure analysé médicales inspecter impuissant témoignages
+orteil comparaison vocation préparés neutre évadé négligence retrouves douzaines ratée plombier
+oubliera enquêteurs inquiétudes suède hautes compétent nausée faciliter schéma sourde écrivait
+temporairement taxes clinton reçue bender terrifiée serais-je comptant fonder cogne soigneusement
+locales fournit ouh salaires italienne enregistrée couloirs ferez-vous otis inculper tarée manuscrit
+convention wesley sifflet gratuits jupiter empoisonner planifier fragments dirigeait nazi lancez
+transports éteignez déprimant cornes chef-d' égaux vital priorités paralysé faisais-tu shelly
+concentrez-vous muscle réservée voyageur invincible indienne emprisonné chargeur brun rajouter
+locataire cède demandez-vous battrai travailleur initiales détestez monk gratte sin neutraliser
+implication débutant payait rap motifs hyeok héro désigné gratter anéanti golden explique-moi
+éléphants gens-là goûte épicé recruté prétendant parasites pains gwang différences compteur darcy
+cafards brick saisons criant arche viendrez circuler résisté floyd attrapez trentaine intensifs gail
+cercles posent jouons couture promise perdrai incontrôlable infarctus cordon enterrés prenez-vous
+fâcher gagnante mélancolique entrailles dérangement wheeler tracé morsure javier engueuler ministres
+mature fatale odieux gregory coca rusé caleçon saignement perquisition mollo nécessairement chester
+aveu procédé devon weekend verse nash deviendras restais coquille communs vitaux toutou servirait
+préférais mok esthétique refusait bei rencontrent croyaient stacy préciser prudemment pion lie
+guérit envoyait astronaute interviewer purement limonade registres auxquelles inconsciente
+strictement obsédée suk fabrication mack désirer examine diriez suffirait noie tequila mineure
+prototype avortement soulève impressionnée perdants pc évoluer éclats vitrine there envole clarifier
+unnie entendez-vous casses légendes criait bouchon ducon bananes peines maureen pop-corn défiler
+chères concubine sports papi réciproque partirons évêque résume ivresse héroïque holden wright fran
+diffuser appelaient volcan poteau comprenons soupçon sans-abri dodo xena décoration pauline prisons
+poignard creek exigences eden pédale montréal trac temps-là constante ampoule noeud mauviette
+cachées vatican embrasses baratin tomate orgasme inculpé étrangement amours disparaîtra brien
+trafiquant patrouilles filtre flatté ohh grammes kidnapper emprunt envoyées accessoires trimestre
+financement queje noel musulmans dutch répétez pâté costa attendions aidais portière millionnaire
+intéresses dynamique changée débattre frein engagés cadillac kimchi weaver vortex remporter
+politicien cries seuil publiquement paysan compensation coudre volait soudaine fléau impulsion
+endors aspects temporelle scellé poivre découvertes cross va-t-en vargas nécessite égypte edie
+opératoire offrent possédé prometteur envoi prédire bossait apportez-moi cristina habile toux
+progresse obtenez strict tiffany trompait animation descendue gemma songé planquer langley escalade
+cargo regrettes jetés heureuses actifs percé écroule éclairage bourreau intimider sherman dérangez
+margot lâchez-le gardner frappez critères écoutait correction bouffon mourante arriverais sauvez
+egypte romance preston précises pakistan ouvertement étend circuits ouf transformée refroidir
+installée modernes iii dégoûte camper sandwiches adolescent vance tenons gibson courait vitres
+fantasmes pair jettes réjouir excellents accueille robinet maximale ancre vieilli files voudrais-tu
+oubliés laide back subitement passages flanc cailloux aînés iui doubles précipiter don' teste
+seringue dicton consommation batteries squelette cassés suivants entrepreneur abeille toits rupert
+baleines pékin réparations chargés reste-t-il expérimenté géniaux innombrables tenez-moi bavard ash
+louie défonce classement aurais-tu patterson nathalie tambour edwards sortirez resterais masqué
+brutes marquis loger diviser whitney élégante postale développe silhouette emmenait indiana
+rédacteur plâtre donny haut-parleur marbre faites-les débrouilles bea salades passerez lulu
+apercevoir way cendrillon shim foncer emmènera sonnette illégalement fichus cassidy signifiait
+principalement rush rim oeuvres omo précipité bouclé instruction proviseur plaisent fraise interdits
+cohen conseillers vérification priver moutarde lampes adorables faites-la triangle allusion
+raisonner planqué pamela repaire julio high fichent crient levier compenser avale blouse pardonnera
+conduira lézard garde-le coûtent mozart montrant étagère préparait ahh revers regardez-vous
+moyen-orient dinosaures craignent vénus loyale larme apprécierais stanford ninja ffffff consultant
+apportes vocale concevoir attirée naît blond abdomen henderson voyageurs emmènent allons-nous-en
+accompagnes fritz étais-je félix démarche scarlett procureurs huo extérieure sexualité jr racontait
+oubli pourcentage imprudent écosse ghetto discrète candy resterait répondez-moi pom-pom souliers
+apprentissage lecteurs contrarier rassemblé reverras country anneaux regretté ému déconné cuisse
+récolter achetés jax extraction diligence gouvernante projection dynastie agressée addison respects
+miao dague rangée probation susceptible lourdes gains acceptent majordome diplomatique buster
+fernando pointes cachet atlantic navigation involontaire remercions éclaircir biologie déprimée
+greene ç' planches lopez minou enseignant blues convictions embrouille pousses rival personnalités
+attende grouille doucher sournois respectent permettent terminal annonces allonge-toi glorieux
+braquer aiderais attentif curry raid traduit tentes sensibilité quoiqu' préférence barque bancaires
+regarde-la démence accueilli caitlin charley trouviez godzilla graal trip détendu secourir
+hamburgers sortez-le saignes fonctionnement échappée occupation contenait ressemblance dresser poêle
+mills lesbiennes eugene reparler coureur réduite réconcilier poursuis suivais luc falls arrestations
+recommences inspirer mére clayton mutation consulté campement rené rousse noblesse imminente créatif
+louper fais-lui enjeu apocalypse insistez disparues tombait répand alain cora affronte complicité
+harlan apprécient soufflé manège ignorons réglée épingle dissimuler deviendrait oxford informés
+décidera compromettre collaborer chancelier parle-lui oie interdiction découvrira cueillir bleues
+reprise payes moya débute façade cerise short knox hystérique mina galactica chéris simulation
+prépares faisable bryan semé récents interpol post infraction habitent adultère gaze infidèle doués
+pente habitués batteur partisans essuyer brendan phyllis allongée soucies matériaux anesthésie
+souriant italiens baptême annulation recrue kilo artificielle olga proprement marchés bouillon layla
+fourré fax emmenez-moi changerai pincer tartes sauriez écoutant diverses démarré blocs intacte
+carnage câlins combler percuté milton cérébral extraordinaires admiration elisabeth twitter tentent
+suggestions riez douloureuse songe exprimé amendement déposée courtney capote porridge donne-nous
+distorsion achève croûte vouliez-vous hawkins beck salé saké chimio posée bravoure racaille hilarant
+hésitation columbia secs entraînés lâche-la toiles clip branler flacon ferment remédier miséricorde
+grenades dani bull aimes-tu agonie kilomètre irene wanda voudrai transporte ketchup iv brûlés
+nomination entourée terrains restaurer paranoïaque parallèle gène racontent compétence producteurs
+prévenez prends-moi souhaiterais dracula sauves rabbin hiérarchie assurément andouille vous-mêmes
+rafael mémoires briggs tete penche défenses reviendrez poussin plasma primo évidente tessa partagent
+avise tyran repousse perturbe asiatique ezra négatifs aquarium vient-il handicapé daryl franco
+disputé diffusé rassurant apprenez vernon sugar ragnar déplaît servie ralentit good suive souverain
+sédatif réchauffe hold-up ernest sonore laine ferrari remboursé parlerais milice déménagement
+montre-lui massive complexes abîmé offensive harbor garanti discrets attends-tu from hameçon dispose
+warner méritais supposons obsèques locataires dialogue prochainement doré ramenez baver chutes
+probabilité déprime smoking forêts croiront carreau vêtement hausse négligé organe fibres lara
+karaoké exploits auxquels invites inquiétante emmenés assois saveur confortablement missy bloqués
+sautes reviendrons protéines dominic appelle-le éteinte aimeraient représentants naviguer ferraille
+abuser marrante conquis topo saint-esprit composition tentez pénétré frissons milles rappellera
+reproches oserais mécanicien kenneth karaté équivalent habille-toi barb imprimer bander trauma
+interpréter concerné fessée destinés criez apprendras annuel adolescents ginger inquiètent murmure
+gel tolérer repense dévouement banks sainteté plaies kidnappée ingénieurs guillaume braqué
+traditionnel finirez boutiques totalité inconfortable fous-moi ascension algues défis agresser
+empoisonnée employer pinces cassées swat fuyez abîme zeus oublient limiter handicap grandiose
+armement motivé vega tombant retournera contenant apparaissent week-ends réussie voudrions mi-chemin
+xavier pétard virginité rassuré souterrain marseille pureté locke rechange harlem chronique
+utiliserai confidentialité brin ambitions préoccuper yoko lésions reprenons nevada sherry fureur
+travaillaient entraînée soûle sauna provenance chie vaudra boyle dalton comptabilité trent autobus
+gémissements anniversaires mouiller hyde explosions contrôleur mamans duper bourbon précédents hot
+hors-la-loi bronx jouerai admission mathématiques gardais celles-ci extinction sauve-toi affilée
+saurais-je expertise ctu stérile mateo manifestement automobile collectif spa sniper éloigne-toi boo
+roll flirter taudis kentucky acquérir andrews expo techniciens grogne regrettable expulsé ras
+monstrueux harcèle kung-fu corbeau perception ingrat cachais précieuses apporte-moi créés tasses
+studios pike particuliers darren prostitution popularité finiront émis écoutée peloton suicidaire
+arnaquer ferry touriste agissent spectacles tyson clandestin remercié enferme ceintures plaqué
+exploit woong querelle maternité doses poignets patate pédés contagieux coursier recrues infirmier
+dissuader aurait-elle officiels exclure they hou immature relier délivrer nice gerry doctorat canot
+boulangerie assiste saloperies libérez po sookie préjugés porte-parole acompte svp fluide collision
+scandaleux mutuelle constitution sakura inquiété mercenaires coréenne supprimé souciez snow répondra
+répétitions prospérité homosexuel gerald light occupais banni souffrant gardera pratt ceux-ci
+remette usb tout-puissant tiens-le moquent mentais séduisante trouvez-vous réveilles hyuk bronze
+vicki enceintes définir architecture magistrat moines calmé redire elias trafiquants mangeais greta
+poney stephanie contrôlent cynique revendre lèche dinosaure affronté mourrait chants tobias
+pistolets disney tarif insignifiant flippe casting trouvez-moi support akira pédales deacon sentira
+perpétuité embarquement em attirant perdras livraisons emmenez-la richmond décident pâtisserie
+éveillée chrétienne attrapée juliet frances assommé whoo immortalité vivras phares peuples
+paraissait toxiques populaires écrans tuez-les tapette sébastien passions lucien herman callie
+station-service peignoir agaçant rétabli ram détecte confondre lunaire lemon perturber visez
+stations bougez-vous répandu phillips rends-toi normes impressionnante illégales tousse lanceur
+thaïlande interdire approches loyaux claquer accompagnée négocie humidité souhaitons laurent servant
+sentier sacha express petite-amie partenariat lorraine grains contaminé commerciale taxis moss qiao
+fusées égout apprenti prescription permettrai ouaip mini ferguson faciale coussin copier cardinal
+savant raven venin nains seigneurs ramper quasi envies stresse ferions choquant bisous acheteurs
+vives hygiène théo égaré tracteur mâles julius fourrer aish divertir étions-nous dog détruira
+écrivais chope state hastings sursis intégré dépendance vendeurs magne-toi embarrassé compliquées
+ginny natation miriam tuez-moi prévisible décidée ciment centimes russ témoigne croquis cartouches
+audio slogan saint-valentin dilemme craignait rédiger éloignés allan résolue cascade adapté payent
+county plaza culottes kgb coquin conseillère chauve-souris siennes buvais mara capot vinaigre talon
+siffle rivaliser ouïe jorge surf melanie fry maintenance buts saufs promouvoir incendies déterminée
+estimé old championne sous-estimé brillent tampon produisent gokû filez comprise courants beatles ty
+frustré fraîches ally viril say menaçant jumeau vins photographier sterling recherchons gaby clopes
+trousse issues josie escrocs étouffé âgés kramer zhan rompez remontez permettrait verrou sera-t-il
+suspendue bouffé staline oregon dérive cookie pudding ike joanna globe dorme facilité pêcheurs
+brûlent adolescente servez apprenant when sociales réveillon menés lisant garant dégénéré cyril
+aimeras mister grotesque défoncée chèvres sinclair semblaient oklahoma lars dignes valu technicien
+myung uncut suce réelles junkie étendu abuse stratégique coffres chantant champignon candidate sorts
+flint brisés martinez élue chevilles mets-la accusez micro-ondes melinda leah labeur doublure tuait
+obéit fouiner commotion témoigné punch circule mélangé manquais jogging utilisons suffisent requiert
+désires parlement combine tournes aideront emploie dorée canyon restau sévèrement revenais polie
+herbert fabuleuse remettez permettant invitations crédibilité avorter yaourt relie romain hantée
+bouquins arabes voyaient passeras quittant envoie-moi pittsburgh subit heidi lèvre brancher dansent
+prescrit soupirs habit expliquez-moi croyiez timothy neill concret parlons-en bagues ollie lyle eddy
+dois-tu déserte chié aspirateur trouvaient prions installés douches stockage arrivera-t-il annuaire
+évoque verrouillée satané repérés prospère virés princes moralité marissa qiu lames instagram
+drogués señor pleurent offrant illinois demoiselles kirby ka génies donnons réponde profondeurs
+répliques crête quarante décoré argo supposés famine diplômée amicale malheurs logo régions rates
+baisée interférer somnifères dénonce tornade ressusciter norvège newton blindé vernis probleme
+éruption ennuies caviar biologiques érection entrons élégance amusait lilly état-major enfiler
+concentrée carver benton matthews donne-le lynette lasse tentatives séparent potentiels parfaites
+tranquillité jérôme athlètes temporel monastère betsy impeccable branle traînes pneumonie industriel
+boussole pourrait-elle tétons textes puissantes ace cultiver sutton mexicains stabilité trump silas
+bianca coince bocal montrait subtil manquerai présentent nobel clans propagande michele vertes
+oignon leurre moniteur identités eût espérez buffalo assoir réunit blouson entrera carole broche
+applaudit frustration obus deja spider-man frappe-moi espères mentirais ecoutes connecticut ufs lyon
+gouverner détruis battra nonne milliardaire réfrigérateur appli commençant clause alberto vanille
+plantée médiocre brusquement suivantes olive mabel turk tapes pyramide bénéfique hardy cupidité
+costard passerais inférieure protégez exécutif disposé soupçonné plateforme mûr manchester intègre
+enculer contribué romantiques grandissent clive transporté rivage repasse reich privilèges apprenait
+dormirai cook chirurgiens santos captain arroser piment grue avant-hier jettent massacré
+irrésistible obama messagerie sondages par-derrière never castro associer déchiffrer gagnerai
+géorgie bryce rogne résurrection pressing lindsey who innocentes fonctionnera prue caramel gères
+barbares scofield essayez-vous alabama kyeong traversée ruo pourrions-nous appartenant sensations
+contente-toi barreau inattendue giles argentine situé ping perroquet émeutes marathon grandissant
+vierges sait-il envoyez-moi emballage détecter appelle-t-il alzheimer suivront pleurais disputent
+démoli montrée hautement chantez am opium étalon sanguine inauguration errant lèves interromps
+imprimé angles éclipse conquête anonymes agressive sky équipé donneront coffrer formulaires gâches
+gook crèche oranges kev trompais mao rufus pétition jacuzzi définitive danemark cadres pues hale
+évoqué difficilement sentes rendant pianiste parquet marionnettes contraint carolyn appropriée
+mention diraient spaghettis fréquenté butler perso new-york mourrons dérangée dansez balise jj
+équation pencher idiotes courante accélérateur hypnose externe dites-le-moi atlantique reçoivent
+daphne singh libby gandalf palm lisait applaudir improbable alliances chili tend renvoi inoubliable
+steaks infinie recommander tord familière déguiser assigné assieds quantique ga amusent mallory
+fais-la avancent retirez écrites chiots célébration inclut éloignée miroirs réside reprenne buissons
+stanton hi dôme prédateur cuite caresser favorite errer micros manipule genève taverne choux
+artérielle palace crotte petit-déj rédaction plaide passaient continuait niquer efficaces ada
+intestins brebis trouve-moi panama automatiquement évites épuisant saboter off consulat savais-tu
+punk tordue recouvert debra clone puanteur posture commença troie trompette préliminaires justine
+échanges unes georgia argile hicks clichés barcelone spécialisé battements hamlet pleurant scénarios
+ridiculiser organisée nette baba suspecté résout projecteurs abîmer séparées épices déçus bave
+autriche divan courtes testicules sculpture ricardo moe chaussette montre-toi retirée mourez wagner
+spécialistes lian immonde hotel descendent ariel rembourse réagis partageons andre réalisent
+interviews allégeance utilisées manipulation foulard desmond rhodes renée rejoindrai listes age life
+sentirez porche paroisse maintes enragé éclairs spectre trouvez-le invisibles bide dea remontant
+émotionnellement souffrez grecs échappent émotionnelle beau-fils if harley louisiane donneras
+décevant balistique comète cache-cache rédemption faith rétablissement ba rappelez-moi ow
+recrutement imitation naturelles compliquer richesses insu érotique redescendre moindres hoo résumer
+lannister racontez-moi marient yuans rassurez-vous loto bank avais-je reum prenez-en marcos
+interrupteur entourent définitif america tactiques punaise déco grottes trompent salopards digérer
+connues rangers missouri amenez-le lao assoit vibrations rase ida grandement violemment valentine
+propositions jeans partiras katrina redonner jardins médailles dimensions capteurs hanté girls tacos
+make appartenir regardes-tu désespérés boulet arrêteront gaius amir aimés futures détournement
+springs once embrassés brève titan rênes hot-dogs excepté amitiés amélioration uniques tenez-le
+meufs jouaient évolue box boone divisé strip-tease informée extrêmes arriva sortez-moi picasso
+briefing hilda cary uf océans domaines sushis lisbon utilisera hogg auditions penserait winchester
+regardera inclure stéphanie soutiennent détend assures apprécies opérateur manie brièvement défait
+stéroïdes pardonnes memphis battement inapproprié gibier tata proposes investissements plate-forme
+agrandir adoptée progresser manquant vertébrale possédait nigel boys internat giovanni favorable
+cobb rattrapé lã allumez tofu regarde-les agite veulent-ils sorciers poursuivent oser combinaisons
+manifester gâté rouvrir live exposés crocs bagage manier gallagher dora agnès recueillir cardiaques
+bénis notaire écrivains compreniez prends-tu burger aboie randonnée laissées carlton confirmée ronge
+protèges maine carrés avatar algorithme confinement raisins posait actualité chêne travailliez
+restauration jeannie grenouilles flotter dé baissée theresa ressuscité répit catalogue méditation
+jude churchill alléluia mêlez astrid sortiez représailles vexé emménage dance youtube signatures
+foreman enfoncé attirante mate astuce couchait center amusez portier transactions passeront
+épouserai turquie serrée respectueux préliminaire inuyasha infirme fournitures allumette puant
+paieras écarté voyante rendais jennings bénie touchera improviste compare abris shao imprévu
+duchesse humilité crédits essaiera décent christy treize thune exemplaires eues directeurs valérie
+trahit etant chinatown saletés renaître prenaient flot tarde doutez beethoven aviation attractions
+rigueur rencontrons tailler roux pascal orpheline enlèves about rassemblés offrez nat fiables
+dominique appuyez viendriez traitait night colombie conçue tirons-nous iron connectés stressant
+médaillon delà dispositions caractéristiques arrêts appréciez francesca exclusivité empiré rui
+barbare ratés protocoles portaient pertinent intensité impardonnable amnésie vis-à-vis
+traditionnelle sida pendaison donniez axel thoracique pleuvait homos guet paolo indéfiniment
+décharger clavier nadine intercepter bandeau dénommé tirait situe reddington poux enfreindre offense
+mindy envolé chars lutté lamentable buvant remporte remettrai participants royaumes tournure toni
+sophistiqué singapour plate trophées mckay hante dot compatriotes zeke achevé tasha foyers diabète
+allergie prétendez contrainte concurrent huîtres changeait flagrant swan sentimentale rédigé
+illégaux dakota reprends-toi aeryn flippé musulman hurlant fragment britanniques avide puisqu
+opérationnel coup-là refusée grossière velours vagabond trey rejet wouah hot-dog fondateur prague
+paume mexicaine saunders rod daily bennet collants bracelets artificiel implore cavaliers wol lise
+grady athéna supplément achille porsche kiki irruption firme vanité neufs érudit ban sait-on raoul
+attachés tranchée antique parvenu formidables beuh malone constater humiliée forfait digitales her
+ferait-il dre appelant intercepté tirant désirez-vous proverbe cale isolée culturel chameau
+chatouille leaders aspire tiger sunny label galant calculer arriverons transmet gentilles collant
+pêché mariées gracie gifle fais-les cox dodge bruxelles jian bossais optique nell jeon munich meneur
+lucille joints florrick richards poire couchez-vous equipe bouchons astronautes asthme pilier momo
+aidiez scooter écrouler connaissant achètera judas écouterai chercheurs entraider citrouille
+traînait lingerie vitale pseudo chapman caresse hectares enlevés familiales syrie pellicule
+honoraires bourre orson gale kayla tolérance sdi récoltes montés instructeur ressaisis-toi
+débrouillerai pots-de-vin mathieu croyance métallique compartiment carrefour romantisme diarrhée
+partirez carotte soulage entendrez encouragé menant gestapo scout favoris faufiler aimez-vous
+vendant idéaux conduisais rêvent possèdent mg parvient geler discutera pourboires wendell roupies
+recevrez perdrez honneurs peser équipements révélée lacey infliger hara email marcy signée pâtés
+hacker serge culpabiliser blanchir nostalgie émouvant drapeaux crowley viole caverne vulnérables
+plaisant mmh vaille masses sachet parlerait épaisse dinozzo zoey bats-toi vocabulaire apportent
+quelquefois marchais causée cambrioleur allonge lentilles ecartez-vous journalisme hopital darius
+yard usé passera-t-il ouvre-le pin persuadée imite emmett coupées trad bouches remerciements
+radiation questionner affamée virgil traversent joies regardiez lucide larguée assistants vieillit
+perdrais carnaval vigueur surveillée irène entendant diminue winter trainer maxwell fouilles
+traiteur mentionne escroquerie capuche bernadette izzy fiasco évitez jaime représentait ennuyant
+obstruction inconvénient igor gardez-le gagnait timbres pepper formalité véritables pépin grincheux
+veinard immortels ennemies benne transférée monument il-vous-plaît justicier rappellent malsain
+décollé assommer ryu organisations eliza devriez-vous radin croiras ahmed léonard excessive truqué
+débats hymne drive paierez quais convaincus connaîtra gouffre concession isabella directions chuté
+chip chercheur adressé sil orlando résident deviendront retrouvailles masser margo empathie bao
+quotidienne corne jugée irina devrais-tu infanterie lucia talentueuse expulsion rêvait kerry chet
+vivantes bousiller bêtement vito tronc antiquités nickel scolarité partirais paco heil attirent
+avais-tu albums clémence brûlure maries respiratoire wo let istanbul yankee dépendent yep tombées
+general fréquences bbc inscrite hazzard couronnes tranché hyo habité remue remontent pare-brise
+forrest cisco admettons faucon ampoules ventilation sortirait penseront rencontrées rajoute
+congélateur repensé infâme joker toronto shelley gardant repasserai laissez-passer hercule
+hélicoptères syd fie catholiques poursuivez paranoïa expliquera fabricant daphné tennessee sanglier
+nœuds élimination dolores ananas subconscient pulmonaire kwang effondrement comprendrai agnes
+moquette installations étonnée spécimen biopsie malley maintenez emmenez-vous considérée been
+retournent intello grossir biche espagnole cas-là t-elle excellentes crapaud suspendre réforme momie
+dixième demi-million sourires fi économisé conférences présidentielle exotique discrimination
+défensive manœuvre vétérans valerie larges radical performances trame porcelaine droguer retomber
+maquette belgique désobéi crevée lâcherai truman riggs présentations indemne rencontrez plantés
+investigation statues habillés fractures fantaisie diamond corbeaux contactez interruption générique
+cow-boys moches diplomate comprendront queues interprété excités couvercle vinnie tirage plausible
+dex colt arsenal raisonnement gaspillage agitée versions martyr injecté apte morrison crapule
+tablier créent capitole bâbord strip-teaseuse réfléchissais mira méprends jasmine espaces
+criminalité utah pot-de-vin lockhart énervant sadique pancarte endort vaudou stricte princeton
+nausées maternel excentrique désactiver compatible clandestins misé évoquer escalader rancard
+barre-toi donnerez remerciement insultant improviser caractères taf mesquin alerter réflexe plaisez
+willis vint récompensé nemo butch technologies odeurs delhi est-ce-que doit-il confiée chérir
+tristan mâcher sottises olivier ip gladys mosquée clones industries fatigant chantais inverser
+barrett appellerait ugh iowa symptôme sécuriser élus composer anya rouillé motos mélanie fixée
+froids consignes tre chauffeurs hiro sortirais sortilège thorax supposition notez flatteur qualifiée
+veillé églises traînent remboursement minnesota impliquant gratos goa' exiger décorations danseurs
+moustiques esteban atlantis woods sitôt foutues enzo démontrer déborde contredire conduisez boom
+motion crayons merveilleuses jerome rodriguez pleurnicher décorer amènerai agiter webster répondait
+récentes rã hanson empêchent pet comportes ravitaillement put intentionnellement cérébrales hériter
+colonies mutants mémorable cristaux polonais pénal malhonnête longuement resterons offrirai meyer
+fargo buenos soit-il god distinction wisconsin tarzan masculine françoise attribué assassinés
+nourrice noh grande-bretagne chandelle arabie aggraver tank enseignants dires confronté rassemblez
+pécheurs tempêtes prodige noyée mendiant lustres gonfler démonter byron approuver philosophe valve
+gaufres newman instincts higgins transpire souhaitais mords menait foutais data basses étranglé
+est-ce-pas tortues maquiller corvée asseyons-nous relaxer gentilhomme end chung étudiantes entières
+produise caire bruns valide courbe madeline gye enchaîné criminelles créativité savage mountain
+habituels divorcée repenser descendants fumez comparaître commerciaux allie travaillez-vous pôle
+passionnée lointaine jumelle sergio renommée récupération déterrer dentifrice cathédrale bords
+rythmée revaudrai marks souhaitent bird psychotique patriote bluff salazar rubrique ingrédient gazon
+stabiliser nord-est klein carrosse saigné perturbée ingénierie gomme reflète flora déplacements
+attrapent reproduction enjeux fuites trio sanguins wars deviendrais brosser ingrid chaotique plages
+ont-elles littéraire tourisme fuller forcez contrer transplantation think tardis fur carly déplacée
+pourriture grimpé molle mile fuck détruites bagarres radeau filons éprouver dimitri titulaire
+inutilement changeras seize etje bouge-toi bagdad skywalker sanders posera souple liquider sentirai
+peaux récompenser atterrit paulo gardons éventuellement amos tensions ressentent observateur hybride
+douteux pei chœur laissiez coutumes loisirs investisseur mettront gouvernements cassandra présage
+karev migraines malibu leela perdait arrete quelques-unes dunham dépourvu seriez-vous poliment
+démange contiennent bossent sensée abattus genres bambou débarras indigènes hippie excessif dîners
+complétement cherches-tu bavé atteindra sordide priori décence brothers violences kelso durent
+veillée paré effrayés stupidité piaule peg martini dillon choisissent alvarez brent présenterai
+frire fanfare rendons huitième parleras futée picard outrage hawaii agriculture absurdités séparée
+pendue guerrière gino comédien snob seymour felicity déplacent corvées gonfle estimation fibre
+empoisonnement dévouée slim duck voulait-il végétarien signifier marchande berkeley annulez
+agressions souche masters fondations fleuriste roulettes pyo veillez émettre constance bowl gomez
+exigeant marguerite powers infiltration frisson freud dépendra melon blaine délais confrontation
+lacets collecter nino hannibal vétéran shik présumé let' trudy relève-toi racisme traversant tonneau
+nié pendentif délégué plié grognements lanterne erika balayer ramène-moi matières boucherie soju
+referme recherchez puéril ordonner fonctionnait traverses sud-ouest referai filets baguettes
+supportes salée rossi manning jeep énervez donjon talisman partante montait déni prolonger
+paillettes il-te-plaît dauphins ressemblant edna cobra bestioles zane paralysie détruisent aidant
+fixes tueras publicitaire enrichir émet effondrée accouché mystique massachusetts divorcés cacahuète
+brutalement surmonté plane pédophile morton fus communique surveilles prioritaire natasha insistes
+gouverne gâtée rayé nikita lisent adjointe over naturels commando oublieras ichi hobby gérard
+éclaire servis ernesto torpilles relancer gain écarte claqué baptisé yumi séisme macgyver garden
+hubert hillary tech sim angus rentreras osaka recevons propage miaou consolation rêvez reno
+expansion analyste taxe étonnante résistant pi touchait sicile intéresserait anders raviolis knight
+escadron shaun maturité maladroite insolent heart drap taek fitzgerald étui tuerie négocié demandiez
+billes loupe bactéries réalisation vidéosurveillance travaillera clarté cavernes attrape-le rituels
+bouché microbes essayaient accepterais regardaient publication nord-ouest horace fourrière volez
+retrouveras dédié leroy filiale exposée injonction vieillesse sabotage rappelée pêches originaux
+lina charlatan brut brevet priez miser laisse-toi dirigée cache-toi bikini encens bloom partit
+eunuque faites-lui élevage vivrez expire cambridge leland diminué dictionnaire inculpation dolly
+hawk vrille déchirée saddam prédateurs frappait fad amusement cuits compositeur téléspectateurs éric
+distingue jai user marjorie gandhi bette sud-est rame misérables heights expose cain moqué légume
+formalités terminées rotation radis hulk positifs wraith grossi gronder désactivé anakin vinci
+défenseur clim wonder jacqueline elise chialer chariots paraît-il inspectrice regardez-la ongle
+laisseras aimerez orient klaxon russo répètes jarod hip-hop thermique lâchez-la garantit entiers
+coleman yvonne infectés gênez she moule défunte obéi trempe oprah dansait arrêtez-les présentateur
+piqûres sully couche-toi chemisier méfie-toi durable beignet accordée mourut mackey etats clochard
+alimenter take initiale demandes-tu celia trouduc town décisif continu luisa impossibles bourgeois
+jensen impressionne hurlé harcelé réflexes ascenseurs vermont retombe abattoir libertés coûts
+vertiges précoce cowboy universités odin la-bas poignardée perdais endurance deeks bûcher sportifs
+souvenais prétendent dit-elle notamment homosexuels flinguer perkins brunch reproduit manteaux lue
+dépêchons reverrez rapprochent facteurs éclairé remerciez financièrement éduquer ancêtre decker
+constitue capté diminuer barrières fisc aurora sabine marsh irving celles-là sous-estime soûler lrm
+lambert fugitifs évitera délinquants meeting intersection dupé danseuses christophe bile amoureuses
+haven game bénévole tribunaux poppy péri devenais allergies trébuché mafieux fatiguer banale
+fouetter reconstruction homicides exploration croies arrangerai inconnues adolescence devrait-on
+retourne-toi pornos naissent guido dégages more entends-tu vendra forgeron emerson sûres entité ziva
+yuki refermer pénètre décalage débuter teal' geoffrey donuts chambers licenciement impôt ss
+rez-de-chaussée pétales humphrey dwayne baies principales piratage confiante ravisseur écrasée cube
+wild pourrait-on repentir massif mettes tigres blonds adolf vessie sortiront follement amigo
+poétique maroc élaboré transforment salvatore jody hanter gifler préservatif muté couille eduardo
+diagnostiqué surfer rations maryland délits fasciste tromperie corrompus scotland toasts frederick
+couchant cerf-volant actrices rabat-joie intervenu gae régulière injecter dévoré stacey kidnappeur
+identifiée contribuer colby implants amertume troublée sondage samson oserait lasagnes gerber
+dauphin dansant plomberie starling reyes désiré rodéo maintenu tantôt sphère préservatifs mentaux
+fuient évacué caser callen allégations servantes ajuster supergirl sos réparée need confronter bled
+arrivaient hilton fondement tanaka sauvez-moi sasuke résoudra tendances mettez-les convertir trek
+licorne holà géniales financé beautés stockholm penserais liza ethel cherry regardez-les étable
+norris motivations incapacité déclarée agréables splendeur magnus grimm cricket torts secoue
+rejoindra recharger mémo lem apprise anévrisme niles gagneras cléopâtre attendrais coiffer boucan
+arrangements complets préparais grecque charrette songer jed influencé échappés croisement causés
+boirai serrures étranglée considérable pratiqué cruels beom muette monique immortelle dubois torches
+douane everett perspicace femelles exigé dévotion foutait camping-car absorber saouler calories
+remplacement embrouilles comprendrait amènent admet détaché progressé ham amenez-moi rocco refrain
+pluies dressé camelot blondes soprano intervient suivons springfield scolaires embarrassée écrivent
+créant tueraient contactée colombe canaille sautez renverse recoudre dévore coop bear wood sortaient
+casserole redevenu prestation ghost disparaitre créneau abominable météorite gratis décennie
+vendeuse étés défectueux correspondre ouvrage hoffman épatant échographie clint vladimir global
+gagnée barton adorerait absents saluez roxy intellectuel garde-robe étreinte dupe relance
+incompétent addiction reilly rangez prénoms intestin implant handicapés bénévolat lawson jeju traqué
+sème institutrice étroite eagle simuler revoie bavarde substances shang offrait abbott contacterai
+brochure arrow alexandra united teng découverts débordée râler satisfaits retrouverons reproduise
+barrages faisait-il ball agenouiller aération shinji lus craintes chevet religieuses parlerez
+jérémie fichais discutons branleur parcs lili dépassent conservateur comprimés découpé considérés
+rayna plantation piètre manifestants rides gentlemen aggrave volants ro offrons brutus représenté
+ficelle menacent jt cosmique comprenez-vous compatis sceptique réfléchis-y menaçait instantanément
+conduisent appeliez sacrées power lo licencié surgi insinues étoffe crabes stellaire rééducation
+profonds colons inventée débrouillé introduction répondais prouvent pesos éveiller bethany rubis
+pulsions nouveauté devenant capturés saloon frotte réjouit miam kiffe berner attendrons fragiles
+historiques stups sourds maddy kendall égoïstes concentrés suédois distribue achetait étalage saboté
+offrande tirez-vous quittait pollution écrasés dépendre bourne surveillait canular serrés aériennes
+portés gardienne fade aidan zhe prairie eteins anxieuse raisonnables sofa ressentiment protégeait
+finissez chanteurs caïd brutale insinuez uh-huh organique riposter recueilli sosie écarte-toi amère
+tolère roc financières tourmente denis sous-estimez lorelai gap étre retournés hoover fichait
+essentielle daddy excuse-toi donne-la-moi mûre malpoli gonzesses fares égoïsme absurdité verrouiller
+télescope how cornichons ser rentable produite pouvais-je parlez-nous oleg rivaux métaux conduirai
+sylvie skinner rassurée paragraphe éloge edison records laisserons robbins meth webber minuscules
+grabuge aideras sportive réceptionniste plouc ouvrant mets-les daleks bondé excursion contrarie
+tentait herb embrouiller tenace olives luigi horriblement compréhensif brigitte varsovie trouve-toi
+comporté variété tremper thea emmène-le dorian sing proviennent bols manu imposé corey acharné
+profites-en surpasser trempée nicki paupières paisiblement bad soulevé chiffon amoché téléportation
+lobe réciter cliniques honore identifie compléter virilité vigilants meuble concitoyens burrows
+signifient habitais dégonflé courais away nombril myers earp mire respectes catch hak grouille-toi
+distingué courtier anomalies prends-les rite mare glacial distraite soutenue sheppard planer
+méchanceté menacez griffith formel scrupules racheté jackpot démo vigilant trouvant mettez-la
+tête-à-tête feel expliquez essaies-tu entrave résolus deborah trouva déguisée commet bourrés
+achetées absenter expressions dessein tact mourait cherchera adorée titanic familiaux retrouvez
+norme exerce chargera caféine starbuck écrive traitant oculaire étiquettes ensembles laden annuelle
+hallucination exquis détroit chow atouts baldwin transfère installez-vous infaillible aspirer arnie
+styliste promettez pare-balles grandis cachant décomposition attentats exagérez stewie lapd recréer
+affectée talbot shh raffiné formée arreter troublant philippines climatique charmants aiguë peins
+modifications antérieure liqueur anéantie titus surnommé fondée accessible restants fascinante
+dimanches basant valez slade objections urne perplexe fouine attrapes applaudissez récompenses
+délinquant cannelle territoires substitut lim distant essentiellement terrence effectifs copié
+buisson liberty couillon balances activée mercenaire viviez servirai placement entretuer avidité
+admise administrateur dormira tantes impulsif exécute embêtant croirai attardé reprennent neuves
+surnaturel sponsor olympique greer téléporter publie hypothèque millénaire alfredo dc attirés mordue
+courtois charabia aria protester novice athènes science-fiction judicieux rosen gratuites crottes
+dévasté absorbé abandonnées souhaitait fantastiques a-t' madonna hopkins vécue frappent cécile
+casinos aimeriez-vous tournevis réconfortant lynch jose garnison civilisé immoral fiscale soignée
+siffler piques micah jugez hollande abdos sauvegarde partiront caille béatrice aléatoire stéphane
+réchauffement mangerais décapité coéquipiers céline bicyclette animés salomon inestimable fréquentes
+facon bluffe invoquer vilains proteste paternité originaire gendarmes qualifications pose-le lucie
+inventeur injustement engins elliott trafiqué routier gigi emmenez-les vertueux pieux manucure
+détachement autoritaire vendrai aiden pantin emilio brutalité vestiaires sayid en-dessous norm flots
+décida arrogante insuline cadenas ravisseurs méprisable cortex charmes aiderez buchanan télécharger
+promettez-moi opposée montre-nous cece révision ennuyé contractions mesdemoiselles litre lâchent
+hydrogène forum disneyland tranchées immunitaire aval amènera lirai sanglant louches chrissy set
+redresser prestige glamour gagne-pain crosse loft incision démasqué chercherai cambriolé scalpel
+mijote savourer républicain lucious kenji extension prévisions comparable exciter manifestations
+cruciale apportée alphonse grasse rabais vélos sarcastique déchet tanks détaillé vieillis tirerai
+semble-t-il primitif matelot caraïbes bossez ultra suicides petra livrée caprices cannabis ardoise
+rappelait probléme élastique espérance discutait sonnait retrouverez ressaisir demanda aperçois
+syndicats suffiront declan tordus députés chin supporterai signalement renseigne valse -ooo-- men
+paroi mohammed biais accrochée projecteur mendoza carreaux quelquechose obi-wan mascotte loretta
+imminent épique agressivité ulcère tranchant domine détenue bee ravin mettras admirateur motiver
+point-là lotus brillantes hollis consul renouveler paramètres desserts réussira funèbre envergure
+allongez-vous précipite mascarade spence roberta partagez grognement activez veut-elle différends
+vaguement peng lisse inhabituelle infectée envoyant cerises illustre ozzy acceptons stupéfiants
+envahit vérités excitante cabaret ulrich posais master maréchal lucius industrielle abandonnera
+porteurs busan bridge agatha solidarité muffins camouflage trucs-là psychologiques neul croirez
+sheridan sanglante racistes progression oncles mouillés lorna nazes dino téléchargé larbin écoule
+courageusement pls pilotage dépendait dam arrêterait apprendrez volante rassure-toi manquée faction
+attaches approvisionnement thérèse constant collectionne apprennes adèle abordé isolés interrogée
+folies accuses pinceau maquereau choque fallon disco crocodile véritablement nounours bangkok
+robuste ôté lésion décidément attrapez-les alimentaires conscients vautours turcs trinquer tournées
+marx embarrasser aptitude rationnel potentiellement pommade guichet gorilles postulé grâces etrange
+clientes too musclé mettons-nous gaspille enos coulent mêles beyrouth afficher accepterait abondance
+vaincus plaignent négligent land initial endormis bombardement youpi musculaire maxine ukraine
+reposent frere dresse cochonneries chanel relativement magic christie virement três taillé ingénieux
+divulguer centimètre casques accouche possédée crânien august annexe entrait échappatoire annalise
+aires strauss skip randolph lancelot kathleen reines naufrage noeuds diffamation bombay terminés
+orthographe survivent répéterai company alchimie leila garderie engrais cachez-vous boucle-la vante
+écossais brusque homosexualité étonnamment capotes améliorée pérou croquer classer sketch ruinée
+geek débarquent superficiel méfiez-vous fish rhonda répétait dragonball bagnoles sors-moi obscène
+découpe changeront trinquons pietro espace-temps riant ressorti réduits plie noyade aveuglé ãªtre
+shillings affectueux stables renversée louanges goûtez émue détraqué anticiper trouves-tu thierry
+gaston désobéir résidus indifférent pécheur lourdement fournisseurs fluides coûteux symbolique
+obscure miteux inondation européenne coupent sous-marins shit interrogatoires joffrey conteneur
+zurich violoncelle marquée linus connexions possédez manuels guidé défaillance tenus rendes gossip
+engagements orge katya joséphine gagnerez domination délégation coussins abat zoom noirceur dégagée
+bandage xian signerai poulette obligez étudies rejoignent parchemin fugue énergétique conduisant
+serait-elle affirmé patrimoine incompétence fréquent flottant well motards évacue dickie deviennes
+délicieuses aller-retour adapte shore régional nocturnes tango entendras croissant suo roth vénère
+sauverai recommencez sombrer gagnais conditionné sociopathe kappa rapidité punit janine perche
+metteur failles byun sacrifie races agace manqueras lmpossible escouade brûlante vendues ridge
+composée bêta élevées sucreries sabots portion laisserez edo élire élargir droïdes chirurgicale
+parfums melvin françaises devrait-il could coquine blocage tito samouraïs rôde rencards rassemblent
+préférait portiez mandats lunes laurence habituelles éventualité défié comblé cockpit quatorze koo
+gueuler armurerie survivrai peters bye-bye quarts tyrannie souviennent réunies jument havane
+coûterait abonnés rayures coopère pharmaceutique minorité mémoriser interdites européen amulette
+sybil exterminer désigner woon webb pointure éradiquer channel attaquant ouvrirai abattue
+repliez-vous renifle mitrailleuse léopard indulgent eileen carcasse zero préoccupation katy chiante
+violentes utilisaient obtiendra conservé adrien passiez légers flattée solitaires osseuse chattes
+bryant arrêtiez unies obsède guérira extorsion gaspillé chico cactus scylla rejoigne fascistes
+égards débordés attendront maestro etait-ce étaient-ils docks collaborateurs pendule losers hodges
+coulson stein salvador remarier proposez perez mccarthy loisir serre-moi sables eugène brock boxer
+terrifiante payant gâchez tranches simplicité directives eul cupcakes bougeait aigo stationnement
+solaires reconsidérer jugés camelote réveillés patsy funèbres solomon pitt illico hypocrisie hippies
+circonstance alphabet sécheresse réalistes parais dérapé débrouille-toi adhésif esquiver descende
+cheyenne sanction ramirez pearson clique laveur hic gardés cdc abandonnent omis électroniques
+bouffée bom aidez-le scouts tempe toucherai opposés mentalité fissure empare cobaye poursuivie
+périodes paiements heng corporelle neiges mercer méga justesse goliath clarice anus vigile optimisme
+changeant tripoter barge démocratique darling augmentent primaires gaie franky confirment refroidit
+jeremiah it' frasier aide-nous pantoufles éliminés canaux savants communion abriter uranium
+mécontent manson enseignante considèrent communisme visant matinale effacée cygne comportements
+compliqués adama tremblent superviser marius rohan pride colleen jabal délice sèches gaucher formés
+darrin chaudière proposés ménager stupéfiant échelons supposant portraits lèvent glorieuse fumait
+banquiers accessoire venge troll tatie précisé passif descendus sup emportée censées alvin farrell
+enfuient démarrez skate risquait plaquer motive maintien importait boulevard routière mutinerie
+initié uni tiroirs derniere démocrate conway constaté confisqué abed weiss présidents marraine
+dépouille mobiles inaccessible démasquer ventilateur bowman téméraire justifié précédentes épines
+intelligentes teri slater him fâchés choisirais sunbaenim party kristen fourmi consigne appelle-la
+skye reliés macho institutions transcript rendrais problématique en-cas tenaient méditer éclaireurs
+ronds pourries aw anatomie entendues appelez-le angelina utilisais ruche apple lillian dirons
+conduise tricheur eliot égocentrique culpabilise woman riait immenses spectateur racontée hum-hum
+calmants rejoins-moi procure pointu foutoir exclusive boites inaperçu funéraire kirsten ici-bas dell
+purge forage fighting menacés caine belle-soeur agissant weston compromise atroces sonya prélèvement
+dégoût che transpirer retrouve-moi remèdes guang tordre racontais minces lilith smallville réputé
+idoles épine définit couronnement perfusion menotté individuelle bullock psychiatrie vainqueurs
+philly norton gingembre divinité réclamé futile explosera brouillés huan vivions percée capter avisé
+armand winnie fiche-moi crevette amour-propre plaisanteries dirigez renaissance poètes lil dictateur
+darwin confrérie compose blessant prémédité paieront crampes cortège convoquer bellamy sali
+pensais-tu hwi dublin accéléré sibérie refusais rabaisser plaignant ivres hospitalisé dubbing
+truands ravissant occupées collective baril astéroïde arturo aptitudes repensant remplissez maría hs
+fleming cosmos coïncidences charleston acquisition sagement hommages fowler battons tee-shirt
+rosemary novak enflure cyanure crasse cramer sotte pokémon manquons lâcheté eiffel économise
+importent croisade combiné rouleaux pius dépens chaleureuse volontés leonardo contempler traîneau
+salement occidentale hypothèses exemples rendras picoler affaibli tendres hobbs gronde foutez-moi
+fayed détourne bille stimulant sous-estimer savannah prenez-la devez-vous joueuse ballade balançoire
+truc-là narcissique estimer alarmes shot propice maitre kyoto hostilité yeol ramsey diplômés
+avancées underwood enlacer continuellement autonome juridiques défendue déclencheur contremaître
+anguille organismes muse marlowe insolence flirt fais-en draper admets-le timbre sweet die britney
+blanchi déclin mutant aperçoit roulette espèrent yards sweat considérez compétente causera admirais
+stratégies pack psychique hélicos deviendrez sélectionné psychopathes paso nourrissent fasciné
+shampoing radiateur jouée emmène-la choquer patins meures emprisonnement t-shirts scellés croisée
+brittany baisés alliée recevait chucky volets subtile roulait loki finissait edmond concernent
+vacarme soutif palpitant ulysse risée ratez jp ecosse sanglots rugby construis chuter gland escobar
+écoutiez détruirai arrangerait seigneurie quarterback lâ indiquant écoutons donnaient com sweeney
+fischer ennuyais créative convenir sceller régale décors ouste héberger empêcherai bavardage
+profitez-en déconseille superstition retenez pv placards khalil jean-pierre indifférence encerclé
+baisent attaquez garanties exécutés gabby royaux refilé jures grignoter séparons-nous
+progressivement désigne serais-tu ames superficielle ressentait obtiendrai indiscret détache cerné
+vedettes réfléchirai salem neuvième glissant fais-nous sucé islande interférences bass atteignent
+almeida patientes orgie hue demi-frère auxiliaire véto sultan rends-le-moi pastèque intérim cerner
+spécifiquement emmerdeur élémentaire combustible cachot inspirée haricot enregistrés cessent
+remontée payées demandés dead royce pénitence jouiez giflé exagérer etc déserté traceur séduction
+exorcisme clare vertus réguliers pend honorée détendue adoptif romaine inimaginable déclenchée
+tiendras fauchés falsifié visibles unie sacoche retardement existes cages biberon respirateur
+polaire constantes circulez attribuer querelles procède ignoriez expérimental soul senior réalités
+pions immobilière hurlements saisit planet ping-pong caches-tu profitent plaines kook latte gilles
+admiré prévient partageait ouvrait chelou sucette partagée annette politiquement nouveau-mexique
+assembler aluminium suppositions stoppé scorpion elderman consommer freeman relaxe réglera nian
+ecstasy cercueils tardive glauque dévoilé aziz noce dégoûtes platine finies coup-ci pacific
+indépendants reconnaîtra partirait neurones were turc our bijouterie ardent tireras sentiez
+réfléchisse produira renvoyés reconnaissent présentez oreillers hostiles capitalisme babe médiatique
+universel priya obéissance négatives jarvis bouchées inversé énigmes quantités joujou corrigé
+comédies garde-la brouiller souviendrais rapproché jetterai lecter grove dispersez-vous démolition
+augure sonnent prospectus portugal poilu maintiens chaussons tourbillon sérénité rondes retrouvées
+raffut proies pensiez-vous montre-leur épice idioties hospice demande-moi crus conforme chouchou
+arrachée teniez indigestion recherchés minus carmela werner reparlerons internationales comptons
+cambrioler jiu jeton fers vivement exaucé satisfaisant révèlent irréprochable wagons unit rejoignez
+lennox intouchable guk paddy badges pass facilite procuration obèse mouchoirs espere écouteurs
+dépassée réincarnation oakland léa fines exclue débarrasse-toi corporation colonnes buckley broderie
+run passerons nettement tatoué rapprochés bannière atteigne western vincenzo prématuré préférerait
+conan poe mente galles frappe-le établie entraînes donnez-le-moi ruben rougir reculé
+électromagnétique tapez ninjas hambourg déduis aura-t-il cecilia wilder taquiner silencieusement
+rigolé perdrait london vador terrestres mustang lowell gunnar dessinée budapest bmw accusent sommets
+présentera metropolis entrainer semblais recommandations parle-t-il intimidation interrogation
+ingrate excusée débrancher darby calmant zèle minnie fâcheux exigent épuisés égales causant br
+lycéens inquiétée provocation manoeuvre death changerais poutre pègre keen cuddy contrôlée confondu
+doe différencier steph lavabo injections fainéant vivrons that' requis renforce murdock guéris
+disperser skynet préfecture going extase couvrent supérieures ritchie réservoirs réfléchissez-y
+puceau pharmacien bretagne tanière izzie bousculer basique apprécions expérimenter paierais hip
+diriges cecil sync harceleur cultivé sénile douillet doctor alla tambours simulé neville légué elfe
+cratère congelé cendrier visiontext niki tac mercy lizzy inventions garde-à-vous fœtus circulent
+bouddhiste ringo prierai déshabille-toi bandages transe toxico qualifiés laissons-le renee
+reconstituer pupilles people fugué débarrassée âges soupçonner reporté field fa catastrophique
+tailles ressemblais nathaniel lisbonne éclaireur duquel virtuel paysages modestie delia tsar
+sénateurs prouverai princesses premiere muffin moquait manquerait inséparables espagnols borné
+trinque paniers impensable erre bombardiers ave rand maléfiques indications sushi sato assied pip
+démodé épuisement attaquera insuffisance inondé écureuils auditeurs vengé tic maigri entendiez
+décompte contamination vifs tamara fabriquée épuiser concernés programmation porteuse joanne
+confonds avait-elle inférieurs embouteillages cramé bruyante schwartz nouveau-né fixés fabriquent
+déployer aisément votez souriait pansements lumineuse brewster rip keating orléans hadès conjugale
+levant bach appeller rénovation météorites crampe choisira changeons apogée trembles soutiendrai
+obtiendrez hazel casiers allier professionnelles obtiennent étincelles entre-temps angelica purger
+pence oak communautaire arrêterais tã prévenez-moi légères index hetty anarchie yates incognito
+illumine ginseng fondue actionnaire publicités honey frappant dues dramaphiles bronzage partielle
+ouvre-moi molécules hopper enrique décédés cotés tourmenter pénitencier disputez censure appréciée
+appliqué veuf suzie surgit savoureux mémé huck his foireux collée bénir rencontreras martyre lonnie
+jamaïque extrémité dixie revues myrtilles déballer tex renforcé recommencera nostalgique douanes
+dissimulé créations cara abbé rendors-toi perturbant mortalité hystérie embrassent donnerons benji
+toxines réconciliation rationnelle pingouins otan barbu satanée épuise clore viens-là potable cloud
+voué tomba réussisse régaler reconnus phénomènes légions légion impressions hayden douilles
+collectionneur affectation acolyte torpille sensationnel remarquée enfers divise commerçants lents
+zizi thatcher scanners nulles habitant reeves luxueux dangereusement aaah laverie largue gerard
+crochets attirance souhaitez-vous ryder civiles réclament poussait persiste geoff clifford visait
+tell repérée reddition marchons golfe viable sifflement retraité lèvera shiva pochette pinocchio
+malchanceux bourses ambrose vibre réécrire hammer geon coiffeuse vendais respectez républicains
+panda mayonnaise issu foncez évacuez érable edmund tatouer mouse imaginons convaincante
+concentrons-nous touristique steiner pipes moran carmine traînez méfaits idem howie demi-journée
+cylon bertrand automatiques attachement respires jfk rites perçu becker algérie située hansen galop
+équilibré diplomatie caprice romeo ramona len fauchée explosent cassez-vous campagnes odorat ducky
+callahan baronne stylos fertilité suggérez mc faye codé stern ivrognes dense bestiole sarcasme
+inciter bobine vipère transfusion lâchera enverront bidons ruiz remplies félicité cologne wyoming
+uber royaume-uni logements harding cloué bret synthétique répandue massacrés cheffe apportait
+connecte blanche-neige remplacera radieux contretemps tuberculose ice décente contusions carroll
+barbier sae riposte rendront remettent horn désarmé cirer antarctique réalisera mcdonald interface
+had qualifier flair dépêchez dentelle irrespectueux avoine repartez permettait pal cuillères bouclée
+souviendras penelope méchantes enclos menus joins finirais taquine mathilde marlon éduqué
+réussissent officielles tomas selfie mutuel tyrell sven poursuivait marley marlene jargon hodgins
+fièrement tori pizzeria bercail agresseurs owens friandises entamer dérangeait coming axe apparaîtra
+tri hurley déroutant universelle préoccupée concernait shepard reposé kiosque importuner identifiés
+soudoyer hung foules efforce stimuler rice incurable incompréhensible impatients dai sergei rigide
+omega destructeur conclut we' spécifiques space plaidé pendus donne-m' assises xiu imperméable
+hurlait gunther frousse frére étes constate bobards yoda sautent bienveillance puberté only marnie
+lutin intrépide lycéen japs foute battaient tiède rayer niqué gourde bombarder supérette pleures-tu
+déraisonnable approche-toi progéniture maxime injoignable énergies torride thorne secteurs enchère
+conjure audacieuse microscope éprouvé enverrait emilie danois projeter olaf johanna eteignez épeler
+discutez continuerons argenterie admettez vomit vende tabouret rafraîchissant matrice tige jupes
+jacobs essaierais vaccins souvenue fisk elles-mêmes disputée dérangera délirant chassés bowie
+prêteur déroulé décevez davy branlette aéroports verrous éteintes urss piquée penchant par-ci hormis
+brûlait blood noé dépôts veuves probabilités asher sacramento réservations leucémie labos foraine
+distributeurs déluge caillot vêtu tiendrait mourrir mourais glacier composants carrières hard gourou
+gagnerait effrayants dunn comprendriez canadien livrés investis brandy bahamas artères wanna
+immiscer audit troubler dispo purifier parsons parleront miséricordieux dudley arrose agricole
+administratif reconduire pioche meade juteux iis diables adjudant stargate souligner couvres ch
+caniveau barils températures stocks steele pressions maritime gnôle sensei ronfle romano poursuivis
+expliquez-vous camilla camé argh ulds serres rygel religions magnez-vous hamster comptés chaperon
+ambulant vérifions sponsors plutonium photographes paraissent cartouche signés ripley
+post-traumatique porto obéissez boive wing violette russel pétards hollow fêté datent côtelettes
+consacre admirateurs rêveur parcelle éphémère coupons affreusement soute droïde cassez vegeta mossad
+landry cheese répercussions raylan génétiques figures doté brancard arrière-plan protégeant
+primordial paries incline guitariste échéance conçus chatons années-lumière traversez survive
+remplacée tolérerai préoccupations parlez-lui mayday culturelle conviendrait burgers submergé
+soumise repartie podium osent obtienne intellectuelle emmy dégoûtante archevêque légales grillés
+chassent grille-pain enfile battez-vous apaches suzy moléculaire leigh indemnités incliner
+suivez-nous présentait portons planification magnum darlene cassent arrêteras fast-food existaient
+boiteux rigolade passa intolérable groupés fassions choeur capitaines calmera soufre morales holland
+hétéros expédier élixir confessé accidentelle traducteur fanatique explique-toi essayerai effroyable
+diffuse équipés vérifiais infime brighton bougre répertoire perspectives gémissement timides
+internationaux hollandais cocher wahou vivrais occident musicales étrangle agirait gilmore féminins
+année-là relire marcia bougerai banquette conserves tiendrais mouille embêté heurter elfes délégués
+xiong sauvez-vous reçues polo périr matin-là hologramme bienveillant suites livret combustion
+projette procuré mercure lanternes défouler robby morbide iceberg emmenais ursula mécano maillots
+hola bertie intitulé éventail euphémisme engendre distractions nebraska kimberly distribué déciderai
+montrez-vous atrocités surveillant pingouin cake boomer vomis tourmenté texture millénaires
+épaisseur vocal suspens manigances frustrée dégustation bloquez ballard visuelle prouvera piliers
+insignifiante infecte féministe exacts disent-ils capone respiratoires ramenez-le rallier plaine
+partition papoter mettiez lacs bouseux soutirer ressemblaient rahul harmon capsules tirerez
+pourchasser mika kessler gohan sauvant mayer mariera fléchettes détruisez commencerai formelle
+encouragement comprends-tu cabines tapage soucient incertitude hibou génocide déj confidentielle
+bundy socialiste radars humanitaire hoyt diabétique attrapez-la souffrante réconforte prestigieux
+olsen hilary gourmand appuies apparus ralentissez piller piétiner michaela flatter zen grill bjorn
+atteints révolutionnaires hypocrites aya régent ravages observent nellie marqués dictature natalia
+mentirai interminable révélations moira maddox lingots ku azote variole them seyit précède
+pourrai-je nichols couchez alligator viols raines heller enlève-le récolté providence préjudice
+civilisés spirale impolie fraction décevrai chaine arriviez gadgets coran barker visionnaire projeté
+potentielle embrouillé caprica vauriens rencontrerai machins étudiais encourageant vexe sardines
+restreint tiendront mémorisé grillée frappera fat récupérée mellie divisions cendre boira ravir
+porte-monnaie bam annabelle sénatrice réparateur chronologie cadette appelleras trouillard
+retrouvait quincaillerie programmer payerai newark first davey productrice mendier mathias incertain
+générateurs déguisés damian cooter albuquerque zelda rosée kensi débarquement couvrira catégories
+somnifère keaton supportais osais matinal fiole dérangés benedict possèdes granger endommagée
+contactés cinquantaine savoir-faire maîtrisé facultés exotiques estelle colette chakra réalisateurs
+pairs moriarty dirk cedric basculer wilkes reçoive prescrire ferrée discutent verrouillez ultimatum
+samir imprimante désamorcer paternel moustique gâter excréments dina delphine urbaine terminera
+lasers kidnappeurs dégoûté datant assignation strike recrute parviens citoyenne utilisateurs
+ramenez-moi potins piccolo considérant gustav freya corinne professeure hussein fatima captivité
+apprécierait alejandro passagère mythologie émotif virtuelle palier mcqueen incluant fondateurs
+faites-nous dicte aigu traitre remplaçante kathryn débrouillera tope superstar serviront nova
+méfiance hondo asseyez viendraient pus pourrit intoxication empêchée civilisations caresses
+animateur rover préserve nouvelle-zélande bouée halète wa transmets toto sandales sage-femme mêre
+truie tampons standards oppression walden utilisateur goodman foley fields chargerai cbi braque
+anecdote tapait souffrira replie nationaux merveilleusement gobelet emil cory collent blanchiment
+amnésique précipitation martine loges lièvre génétiquement cités aspiration protégeais pret haïssent
+clodo tite spider seven réfugier pré pierrot luka intéressez give cils rescousse guette
+convalescence abonnement rivers calèche assis-toi flocons épargnez-moi découvrez ziggy prélever mad
+déterré absorbe représentez paierait manquante écuries damné couchés attachez réintégrer iraient
+francesco chauves-souris abrite sonja maltraité tortures sanitaire montera gazeuse acquitté
+stagiaires soviétiques nique frappés délicatesse biographie b' anonymat rapportent méfiant enquêtons
+dépositions messie emails boches secrétaires rhétorique impuissance escale dream ching barrez-vous
+déduire cholestérol véreux valentina singer observations électorale demeuré carrington baptiste
+supportent réagissent étudiait again affaiblit trier huiles demanderait compta two opportun
+nous-même mât reposes intervalle antiquité yakuza rejouer prenez-moi ouvre-la massages ivoire filmée
+clément civiques aorte visée truand duffy conclue brandt postuler music jaguar écroulé consommé
+africain toxine crosby changés affichage sifeng romero quota micky germes exclus contaminée takashi
+surprends rétro ouvrière maura marmite hébreu foutrement découvres challenge brûlées volera
+restrictions papas lucratif invitées horizons gabi flan extradition continueront colocataires
+branchée bénéficier ogre judiciaires infernale élaborer cuistot couchais agissements sunset invalide
+exclusivement contrôlez congo clebs approfondie ajoutez surcharge refroidissement inhumain barrée
+orion gâchée entourés crypte sociable parjure carabine allumées symbolise sã monarque inscriptions
+harnais dus connectée sauvagement catastrophes berry saccagé présentable mûres ennuierait blaireau
+schultz réanimation préviens-moi playboy obsédés hana vestes proposez-vous intendant détesterais
+affrontement vengerai tourments sparrow manon inspirez cullen comprimé yul whitman tripp spring some
+salt mcnamara dormiez odd morsures marrons réfléchissant réalisés raquel mendiants logistique
+combines bambi appelle-t-elle transformés secouée garrison éloges richter rambo navale lsd terriens
+rattraperai ramènent problême nageur enlèvent botté approprier whitey vibrer shots entraînant dubaï
+corp chrono chimiste roz refusera pli gare-toi filature armer actuels rebondir humides hood dusty
+nil main-d' jd horatio communautés montons dormiras disputait désintoxication brûlera supers
+nationales infecter espionnes divorces bougera blesses refiler liverpool horde goldman supplice
+pâtissier instituteur hideux flingué feuilleton enveloppé empêchait thelma sucres pêre jethro
+infernal ensorcelé cycles construisent conformément astucieux y-a-t-il vogel supprime musées lexi
+semence méticuleux intenses déshonneur bug bev nashville louisa gratin copenhague compatibles
+spaghetti ravoir loups-garous illégitime falaises essuie encouragements emprisonner dansons bactérie
+tourtereaux structures potassium oubliées magda guides poignées pancréas kaplan aboyer sauron
+recoins protestation formellement critiqué cavalière winterfell tremblements tends sodium relique
+technologique tâchez rodrigo marwan insomnie vitamine reconnaisse racket pornographie négliger
+gamines vivrait versailles octave louée dissiper spécialisée quill gestionnaire crassus use profites
+glacière formons emparé dansais atomes tijuana survis retrouveront préavis permets-moi garth
+porteras girafe décapiter corrompre pessimiste faites-en elisa élèvent animale xander surnomme
+semelle propulsion jupons encerclés cuvette catin vielle récital infidélité fraser transmettrai
+raton pomper lâchée demi-douzaine causent balèze supporterais speed miches étagères driscoll
+déduction corrected collés casper âneries tue-la silva résonne pudeur pika orchidées délivré
+cappuccino avancement terminator everest détestable bradford blindée balivernes prive pauses fury
+débauche victorieux surpasse mènes joliment gilets envoyons enveloppes consulte chuchote thornton
+newport nelly fe cuve civière recherchée fez devlin désirais démocrates cochonne quincy épinards
+dégénère contrefaçon conteste syphilis sentiers remorque rapportera intimidé tocard string romps
+magiciens freiner dragué dérouler delilah spray paralysée mordor edwin peck oies montrez-nous
+grilles clochette capturée andi suv remy frôlé stratagème prostate murmures lugubre kingsley iriez
+habilles designer démontré coréens cocu building volais violeurs redevienne pesant joyau héroïsme
+extérieures enchaîne désirent bourrer axl adverse radieuse mobilier lyla barrow vannes ration
+jardinage eloignez-vous cuisson assurés ambitieuse achetais winters féroces affront traumatisé
+supériorité prédécesseur pointent pink aperçue extérieurs débarrassés tondeuse québec poulailler
+penn mangée exclusif enquêtent débutante confesse carats accros roumanie licencier caisson cai
+associe altercation rivera regretterai normandie marierai irréel dicter abstenir tomberont titans
+réfléchissons lancent karine égarée économiques bermudes accroches fertile auschwitz allemandes
+prévenant penché michaels inquiéte globules gag bristow appartenu limitées défini compte-rendu
+sanctifié redémarrer neutralisé invoque etoile apitoyer affectera réveillez renvoyez rabbit neptune
+haineux dumbledore commencerons arnaqué vitesses tuerez strange helga co chics bâche suer claquettes
+vieillards rollins fanatiques encaisse donne-leur dix-huit bookmaker aligner sinatra murdoch
+ménagères shea perturbation paradoxe influent règlements prouve-le gâte commenter sections ramenés
+climatisation cambriolages bavardages suspicieux sha orientale convenait transporteur sait-elle
+lieues ladybug forgé déduit butters aubrey summers séquences respectée impliquées fixation fichons
+est-tu contactera amène-moi where regrettez pister intégration giuseppe descendra subvenir
+regarde-nous rain patton mildred kenobi hampshire cohérent sévères fréquemment détruise aborde
+organisés neveux manquerez lycéenne gymnastique dyson sers-moi schneider sauve-moi éclipser boulette
+moses impératif escargot drames coupant confidentielles willard négociable montrais crixus
+coopératif brouillé achevée vitales tournera sermons parenté naval karin débutants coyote
+belle-famille véranda venezuela retourneras réfugié râle couchent accompagnent réunissent lotion
+converti cincinnati cheeseburger charpentier supporters propager arrêtées sylvester opérée escargots
+cheung bombardements adriana kimono evie couvre-moi blanca mortelles interviens guérisseur floue
+dépendant baby-sitting roches ports obéissent figé déploiement authenticité amélie worf subis
+là-dehors fiancer enlevez-moi bourgeoise accompagnez retiennent rapprochée proportions porterait
+initiation compton repérage mussolini goldberg cordelia adjoints torturée sédatifs fillettes ficher
+déconnecté swing rendrez ouvrez-le mignonnes gianni delaney cnn inscrits héréditaire donnez-leur
+memorial légaux gelés dix-sept dinah charitable brisées récits ovni convenablement cochran attendus
+aggravé recyclage reconquérir maigres zhaan zachary poole karim jericho feeling duan approchez-vous
+watts room rolling fabriquez recouvre nyeo masquer impuissante choisirai antre télépathie parleur
+muscu braguette surnoms remarquera mettaient manigancé expiré dougie dojo brother infrarouge cotton
+composant rétablie repères portions porcherie johann effacés déficit choisisse voudrais-je vancouver
+rappelles-tu merle croisent commandez amadouer torchon physicien honteuse étonner ac gigolo frida
+envahisseurs enquêtait bolton votent tonya rincer mount bibliothécaire polis miniature enfoui cutler
+asseyait apéritif synonyme pilar frangine déposez côté-là connors tuck suggèrent skier plutot
+autographes ardeur omaha mettrons kagome hongrie fois-là diversité coiffe bobo rubans roxanne lyndon
+gob cocotte aspiré stocker sex sentant pelles johnnie épater coffret bombardé atlas soucieux
+nettoyez great damas citrons cbs approchait stp niko amène-le accompagnement stephens ignorants
+fréquentait dao contester barbelés voudrait-il soixante organisent herpès disputaient tahiti
+récupères grissom gênes blade would sors-le prenez-les ms je-je étudiez entrepôts césarienne
+caldwell battante aérodrome adeptes significatif retirés repeindre nationalité houdini glasgow
+équivaut aurore appréciait stiles restées pinky mohamed développée dev cessera cassius uss
+souviennes placez flaque fiesta exam encule alf tatiana bess balades orgue fouillent whistler vern
+tuais pâtisseries païens impulsions dis-toi balais tiendrons taise revus réglez margie hailey
+évitons donnez-le déshonoré chinoises avouez yen patinoire gaillard bloquées bentley scandales
+rajouté hamptons enterrements around affaiblir waters mathématique kendra joanie ennuient déshabille
+beaux-parents vires sauts familiers copilote conner castor cascades supportait roulante kenya
+étroitement colomb cloque affût vikings mineures forbes soucoupe pensionnat trixie portées boulanger
+vanne redis émile cortez appartenaient rosalie retordre pondre immigrés dominant découvrirai aimante
+abomination vastes sox shadow reverrais lai débarques reg pine peloter raul prothèse line réacteurs
+pinte felicia centrales bien-sûr aldo squelettes ripped jeb couvrez concernée colo claquement
+baisait appréciais révérence pets raccrochez kristina dialogues basil tucson tiendrez salons rounds
+palestine explosive croiseur apprenais acclamations pieuvre masseur grouillez-vous donation stresser
+solennellement persévérance fraîcheur déserteur charisme bienfaiteur approchons redoute parceque
+jojo intraveineuse harem envol couchage audiences ploucs enquêtez engendré visent through
+rencontrera prélèvements muriel mangés lost gémir écrivant divulgué considérablement concombre
+conclus nypd marqueur johan étouffée écouler dissoudre détruisant chanterai affrontent accueillons
+trouve-le exceptions buckingham tiny occupant millimètres juanita égorger édifice échapperas densité
+vaine sunshine masturber étourdi érudits encaissé chochotte aoi virez reconnaîtrais potence paradise
+oublierais instruit habileté débarrassez-vous approchant gitans contrepartie sonar reuben
+recommencerai purs piquant oseille nappe nagé épousera éplucher della décourager barlow succombé
+schémas préférez-vous maxi hmmm gamma établit cadence braqueurs sharp reveniez nicola hernandez
+couperai cocon chaleureusement vulgaires rigolais derrick concessions brownies tombeur talyn
+sanctions pyramides embrassait programmée préméditation orthodoxe niez ligoté kimmy fen existais
+accède tronçonneuse poong moralement éjecter cravates commerçant abou rechute piger suggérez-vous
+partagera jetait estompe consomme clochait perf nibards mess mémorial marla lennon contrôlait
+canette tôle sen ramen graphique embauchée cest vexée traversait surpassé savons-nous préviendrai
+présidentiel liaisons kitt jets blindés prétendait prescott gagnons edouard dispensaire boirais
+sylar sbires eisenhower duane décapotable bilbon pointée icône débit confortables burrito retarde
+présentatrice assurez arlo starr plaisantait peralta patriotisme miraculeux laisse-lui échappera
+coordination récréation ocean divertissant clic valium publiée plongeur inn générer fréquentations
+émilie bronson brises tracts télés kei regorge peintres mouettes déplacés coulait boudin arkansas
+retrouvons rembrandt planques pionniers hitomi finesse entrepreneurs coroner coquillages temples
+pénibles couvertes actuelles tibet remercieras préparerai planifie ny monterai demandaient recevras
+receveur metro confrontés tesla pépé fumiers détenues croyants craie soldes shaolin selma farah
+consommateurs appréciera acceptez-vous noriko mitrailleuses humblement hermann cutter carapace videz
+régal prêtresse positives patientez irritable invitez épouvantail abouti voyagent poursuivra patiner
+insultez infligé hutch cosmo charmantes blasphème upper soudoyé referais parés idaho emile
+assurance-vie rouille rivale laitue guidera dédicace croustillant clem adorez tree promoteur
+passe-le-moi figurines déterminés walters transférés sea laissons-les juvénile interviewé équipée
+engueule berceuse pâtée giorgio flirte emblème embêtez docile bénévoles serrez confidence caleçons
+amandes siobhan pff cérémonies bof adler servaient patrouiller hépatite amiable superstitieux
+poussés merrick levi entraînent cabinets retracer préalable locomotive cosmétiques cartman
+souterraine posez-le fraîchement envolée défile bienfaisance trèfle risquerait quitteras joyeusement
+joui disciplinaire dénicher corrompue wi-fi végétarienne imaginait grimes dobbs devinettes détermine
+abaisser sot requise prélevé inviterai carlson hemingway créateurs casanova récré plongeurs kowalski
+formez entorse châteaux vises resta moisir lambeaux éveil convulsions comptables considères conjugal
+amusais nonnes héritiers électricien devants cidre absurdes mettez-moi déranges cools
+accomplissement interner inquiete firent chorégraphie auditionner au-dessous single doutait bonnets
+ressemblera orabeoni baume bascule apparente viseur story réunie protectrice pigez paniquez machette
+hikaru découvrait restaient fuyant compote résistants palourdes niche matériau festivités cupide
+cromwell sécu enflamme effronté vieillissant ritz préparons mutilé mules milady lau inconsciemment
+déployé beaumont anchois taureaux souches redeviendra pegasus incarne attrapés pepe négros implanté
+claques roulent pédiatre partages link krypton employeurs crânes anime viking stannis samedis
+plateaux haru channing aboutir luxure laboratoires mettrez frimer dunbar theodore rey quantico puent
+garfield exquise der anéantis vient-elle royales refroidi pèlerinage modifie lunette détruirait
+cagoule bouscule agressifs indulgence hauser compréhensive casseroles brenner pikachu moisissure
+exploite berline simultanément sachets maîtresses cibler activement voisines théorique stipule
+poserai paysanne manifesté intentionnel subordonnés snake rimes il-vous-plait baltar souvenait
+lafayette humbles crazy coopérez chameaux arrêtez-la tania recoller rampant éloignent commissions
+unanimité silvia loulou ignorée beatrice terrifie portez-vous phoque petey municipale menez estropié
+confirmez purgé missionnaire marécage jobs hong-kong dévoile canoë appendicite abats reprendrai
+remercies recouvrir raconteras panthers entaille chouettes accompagnerai repartis renifler regardés
+idéaliste hématome ecole balthazar aquatique munch battais agneaux acceptation volts turtle surgir
+mordent hernie entendons veillera recherchait photographié irlandaise informateurs frits francfort
+émotive tariq insuffisant géographie chenille verset surprenante rivalité périple macy détiens
+candace banner real rafe inexplicable hitchcock dela imprévisibles alpes subtitles rhinocéros
+réveillent mangeur hebdomadaire commérages accordez-moi vaillant occidental gore dévastée
+administrer ressource lux dévier poignarde osera indes décombres cletus caractéristique zhuang
+scélérat sauvées recharge dégoté connaissions attentionnée vice-présidente sodas rebord gangnam eyes
+celeste boxeurs approchée supervise originel marcello lupin indemnité hiroshima gramme fleurir
+essuyé avare ridiculisé rail pare-feu luciano interrompue gillian waldorf parierais mst lancés
+improvisé disparitions citations chiana bûche appréhender zéros ze variables tardé éminence
+destinées casse-tête brûlez sykes poulain reconnaitre mets-moi greenwich furie vison sanglote
+reconstitution fusionner dépanneuse commise ambulanciers traîtresse portugais ous entamé acceptées
+watanabe servais gendarme container connaisses bum avc aelita quitterais survivante sioux rdv
+enlève-moi détection bulletins sembliez accompagnera wick retombées ressemblerait monopole lá
+décolleté braddock school ouvrons morse lavande jacky nassau larkin incarnation défoncés carpenter
+avalanche accepteront winslow virgule tropicale rolls rentrerais expresso veilleuse salué rompt
+forge brisera said retirent photographies clandestine sortit roubles convoque voyagez tendrement
+strip shorty relâchez lassie gertrude capitaliste amante shun réalisée mêlés gaines coopérative
+borden assortis souillé roules interférence farces transmise rachète épargne-moi cobayes cambodge
+bordeaux achèterais zuo tracas seaux saignez risquée préventive mortimer lira fourrures emballée
+brouille géantes essayiez suivaient hâtives elton canadiens rica patriotes imprudente has
+enlèvements diffusée communes college risquons observez lunatique escapade épouserais coute
+affirment stevenson remplissent hagen formules couronner avant-garde apache suspicion neurologique
+implorer bénite attrapera lys égyptien défaites sautant macao indestructible five borgne sortirons
+singulier requêtes remarquez midwest aveuglément adele teinture promets-le-moi pénurie mouillées
+jakob gonflable gares fracas dash transportait sabres pardonnée olympiques janey coupera alcooliques
+poussant fichez-moi conducteurs angoisses réflexions kono intellectuels suppliée manif felipe
+éloignez suiviez représentes plaisais gênait aplomb virent remarquables nbc minutieusement islam
+hélice diamètre arrangés vilaines retravailler rangées raccompagnée ludwig larson gluten espére
+échappement déplaisant braun anticorps alfonso quittais pesait giulia exilé balayé attaqueront
+antonia why maltraitance eren conviendra babylone arrière-grand-père richardson offrira malentendus
+guidée davies cousu calcule attentive somnambule motard mcgill confirmera buanderie acquise
+risquerais plongeon opérationnelle huissier gagnerais étouffant creed scierie ramer law grandisse
+défendez avérer attendrait ahmad salim promue dérivé chasses jessi infidèles hauteurs hampton
+extermination dérober compétitions vignoble tombale saturne imaginaires dévié déménages attriste
+tintin supervision sansa henrik gringo fêlé étaler conquêtes assurera aimerais-tu négociateur
+insensée fracturé crow bouillante barbant aki wilfred swift passez-le-moi libérera enflammer destins
+contre-attaque confidentiels complication asgard marisa juice hospitalisée heinrich enchaîner
+bistrot sœurette retours marchander jocelyn calcium psycho méchamment mangeras dude colliers violons
+vêtue patti obéissant nase empoisonne disgrâce comparée renier reconstruit rade improvise format
+dépouiller church birmingham artisan adversité wichita taels récupérez pavé narines morue flatte
+caniche allumage recommençons kris gober dessines désorienté continuais capitaux oracle krishna
+gregor fourbe externes ensoleillé diaboliques rectifier payais dis-je verrouille transmissions
+tourte incheon geneviève fatiguant éclatant désarmer affole vendons transit terrorisé récupérera
+particulières monologue lamar jekyll hobbit cornell autruche assad suggères rôtir félicitation
+fautif concourir chantiers casablanca annoncent réhabilitation prunes entraînante dottie boon
+appartiendra adéquat tonic penseras konoha igs expédié évadés destiny renoncez parfumé paparazzi
+logé gogh escrime détache-moi cafetière bucky vingt-cinq circulaire chamane tarifs rebeller nba
+gladiateurs éveille couplet wellington simms serez-vous seras-tu renseignée hyang tutelle saisissez
+lockwood key envoyais derriere lew exaucer ernst davidson correspondait comptiez battrons balayage
+affectés spontanée paumée intérimaire impuissants meadow logiciels gravir empeste bloquent acides
+réa marian jetant dérobé alcoolisme signifierait ryo répression ramens pourchassé mépriser melody
+fay décoder crêpe alfie abcès patiemment franchit devenaient costello blessez salsa rêvée redevient
+parallèles fauteuils deep débarasser aimions abîmée suspecter pleuve occuperais gratte-ciel gate
+fictifs éjecté chandelles candice trique rôder quan milk-shake kendrick ignoraient gustave fente
+dirigera chao waldo truite tic-tac recommandée magouilles fabriqués cherchions carmichael bouboule
+baisses appendice trinity trina sexiste replier postales oscars filon darnell skyler porte-avions
+lucioles immobiliers hogan grimace conjoint much minutieux maquillée lima jetable illimité hermione
+discréditer coalition alerté retires radicale janis glee eureka descendons choo amenait trolls
+ridley provoquée perçois globale ecg calmée achetant stores ôte lip féminines endommager did
+antennes alléger oral matraque loïs glass babylon associations selles redemande matilda enfantin
+curly vandalisme shay rôdeurs quinzaine mariez larsen josef gondor contentez-vous tourment réglons
+préférer oublierez offensée nudité enclin remets-toi macbeth lis-le gênante garza discuterons cdt
+suspectes rencart notoire martyrs jettera jetées épingles chino artifices abdominale superhéros
+pee-wee paria manuellement magot grognon dingo canots bubba andreas wolfe vasquez tomberait shrek
+ramenait épris amplement transpercé snipers selina perpète observait marvel glandes fatiguez
+éventreur coureurs corrects bruyants moustaches merdiques garderais fourre déstabiliser délicates
+teuf rattrapera frontal dustin chevaucher artefact abbey trébucher reporters levés frédéric clapet
+cahill always voûte répondit récupérerai nuances mêle-toi goudron exceptionnels chevelure bean vices
+trouvions sols grossit fumeur conversion blessées baise-moi assassine démarrage comportent bousille
+vlad propulseurs mûri mages dickens amendes rappeur ramos rachat nourrie intacts enseignements
+télévisé stokes seringues serein hendrix coloré sors-tu rancœur bouleverser tumeurs steel sobriété
+indisponible divisés bison weber viagra sceptre roscoe proctor mackenzie fuyait décorateur
+turbulences suzuki rab extra-terrestre clavicule attentifs ambulances visibilité verger spot poulpe
+indécis sésame patrice flottent envolent coqs colon chantera authentiques popcorn monture maudire
+endommagés employées athée synthèse revenues récepteur luz gradé fâchez espériez blanchisserie berta
+retenus quittons pénalité minuteur cate résistent redonne peace muller entertainment cavité bips
+bertha belfast uld sera-t-elle ibrahim fong milwaukee graver entuber enlevées adoptive shampooing
+saint-père implacable clocher saveurs odieuse méritaient magnat kovac instructif fonde dévalisé
+constitué byeon byeol atf astuces apaise serveuses plaquée mœurs contenterai chasteté bessie tutrice
+perturbations maudis matricule imprudence honorés gérez comics autodestruction tampa pandore
+ouvrez-moi dérangent branchés sheriff ramène-le pèlerins katia évidentes bronzé moules milly
+manipulateur étirer ennuyez cernés arnaqueur tobin rolex investit haletante ferris ennuyait déguster
+connell aisé tully titra regrettera oublie-le offenses leeds impériaux autorisées accroc terrier
+mill markus javi hiroshi descendance crade cacherai anticipé tombais something lave-vaisselle iván
+condamnations cesar call avertie asiatiques surveillés really poigne ourson galeries fossiles ermite
+dépassés chapitres adios vil spontané lénine garces
+`;
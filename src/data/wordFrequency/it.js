@@ -0,0 +1,1678 @@
+// Most frequent Italian words, most common first (top 19470).
+// Counted from the OpenSubtitles corpus (OPUS, https://opus.nlpl.eu/), licensed
+// ODC-BY 1.0; taken from the zxcvbn-ts word lists (MIT).
+export default `
+non che di la il un per in una mi sono ho l' si ha ma lo cosa con no le ti se da come io ci hai
+questo bene qui sei del tu solo mio al me tutto c' te era della mia fatto fare essere so quando sì
+ora lei gli ne oh questa detto ok va perche quello mai alla anche stato abbiamo tutti dei grazie chi
+sta molto più voglio perché tuo beh sia nel lui allora posso piu ehi prima tua suo niente qualcosa
+sai siamo un' cosi davvero ancora hanno stai fa sua così casa uno dove su vero vuoi noi due quindi
+dire d' delle quella sempre altro sto andare ad po loro devo quel forse li proprio certo tempo nella
+poi vi credo vita cose sul quanto puoi fuori anni cui andiamo dell' parte visto qualcuno all' lavoro
+voi ciao dio volta dopo adesso stata uomo padre devi bisogno gia amico ed posto nessuno via cos' fai
+signore meglio cazzo dai dal vuole sembra giorno ogni modo senza vedere dobbiamo signor qualche
+dispiace penso ecco parlare tra mamma già sarebbe dalla troppo fosse possiamo ce nuovo male madre
+avete tanto favore successo vai sulla giusto sa miei aspetta avere altra farlo alle facendo abbia
+momento ero aveva ragazzi deve persone nostro tipo prego grande può senti appena potrebbe soldi dice
+sapere tre oggi questi piace idea siete ai avevo figlio accordo gente sicuro vieni degli guarda
+dentro trovato queste caso forza dov' tutte pensi signora faccio nome avuto problema altri puo aver
+mondo tutta preso nulla nostra donna stare basta insieme faccia ragazza subito famiglia ragazzo
+volevo okay sentito ah stesso ragione sarà tuoi capito notte volte testa serve tesoro sotto eh suoi
+vado sara dato stiamo bella scusa erano pensavo avrei prendere buona porta bello moglie vorrei
+storia succede morto cercando dici persona pronto meno dovuto avanti capisco secondo venire polizia
+lì avrebbe stanno mentre letto fino dico amici fine aiuto paura fratello stavo uomini nell' domani
+facciamo abbastanza capo amore nei ucciso state piano macchina trovare comunque vediamo giorni
+nemmeno mano dall' presto stati merda far bambino andato vedo tornare quelle cio primo vostro
+neanche sera giro morte e' qua pensato buon anno mie diavolo quasi piacere bel dovrei nessun contro
+stessa felice colpa punto andata dovrebbe vedi quale chiesto invece perchè migliore nostri finito
+figlia dovresti papa almeno sento quei col ore passato magari minuti terra vostra strada sola credi
+importante sue salve settimana perso uscire parlato papà stasera scusi dollari occhi mani ultima
+possibile scuola significa sapevo nelle potrei stava bambini eri importa indietro riesco sangue
+chiama messo piccolo traduzione tardi cuore marito viene venuto ieri spero ricordi quelli dovremmo
+lasciato ascolta difficile quell' auto chiamato ciò altre parlando pensare fantastico fatta numero
+veramente fanno com' serio possa fossi entrare anch' qualsiasi pensa dicendo acqua portato stanza
+problemi forte nessuna lascia amo roba agente dietro corpo pare sentire foto telefono voleva poco
+prendi piccola vicino quest' sacco stia capire potuto cinque strano tue andando donne sappiamo bravo
+ragazze festa senso genere quattro dare attimo sorella pure probabilmente film parla ufficio verso
+mesi farti unica morire signorina vecchio domanda ben guerra dottore conosco qual vivere vista prova
+nuova ricordo divertente avessi sicura paio conto perdere dimmi farmi figli mezzo lavorare unico
+esattamente squadra esatto possono fate faro sapete dottor parola piedi sopra motivo avevi cavolo
+capitano finita volete siano potresti gioco perfetto be mente mangiare resto credere fortuna tratta
+chiamo morta là entrambi avresti passare cena the sarei controllo affari spiace ultimo facile farò
+buongiorno davanti tizio dammi sicurezza dalle quanti dica matrimonio john vogliono molti culo fuoco
+cercare pistola potremmo re mandato puttana negli cioe inizio saranno causa voglia mettere fammi
+uccidere vogliamo faremo però genitori sesso potete ricevuto vivo presidente città citta succedendo
+ospedale fu agli scritto smettila vada attenzione sulle bere situazione omicidio revisione avesse
+ottimo cura durante provato parole lasciare dicono new prossima nostre arrivato paese sull' andate
+chiunque capisci pace immagino musica tieni oddio jack libro eravamo amica diventare sui sbagliato
+dirmi wow farai entra venuta scelta voluto portare assolutamente molte chiedo torna scoperto fatti
+settimane dirlo alcuni prigione giornata piuttosto buono aspettare parli arrivare lungo vede
+avvocato deciso sarai messaggio dormire dieci stupido usare dello cielo guardare bagno aria voce
+tornato vuol giù conosci benissimo prendo verita cane restare chiamare poter campo luce sam
+qualunque giovane signori fra provare minuto saperlo lontano gruppo continua arrivo gran realta
+cerca passo domande insomma bambina pensando capelli trova onore aiutare verità prove n' funziona
+alto giu credevo futuro preoccuparti idiota cibo fretta cara finalmente morti odio solito brava
+incidente allo dev' intenzione speciale cambiare vera camera oltre semplice dirti riguardo finche
+aspetto viaggio chiaro chiamata bocca permesso piacerebbe dovete giocare ordine circa ovviamente
+finire piu' natale i' direi vostri occhio pronta scusami mattina cercato crede sistema york fondo
+resta devono prossimo pronti saputo scusate potere milioni soltanto armi arriva fermo mese chiedere
+cristo torno venite controllare appuntamento chiami vecchia detective pero metti grado vanno nave
+iniziato perche' informazioni libero stronzo grandi pezzo segreto colpo faceva piacciono porto
+oppure completamente vederti lista venga veloce assassino sapeva finché tom ormai interessa generale
+giusta tenere pazzo vittima giuro consiglio michael alcune semplicemente zio centro specie mille
+sogno lasci carino doveva brutto nello aspetti incredibile sole glielo legge spesso guardate
+cambiato scena volevi charlie lasciami gentile rispetto ve fara zitto incontro farà servono rapporto
+errore mike sanno pagare sorpresa occhiata risposta presa servizio medico usato hey caro schifo
+avrai dolore saresti personale quali saro peggio addio addosso dovevo poteva pieno diverso vestiti
+sparato realtà do sarò normale fame programma nonna sappia sembrava migliori notizie avevamo riesci
+posizione vengo rimanere compagnia proposito farci joe ricorda frank prende tante avevano arrivando
+chiuso terribile ritardo attento bar sembri fallo dimenticato bisogna impossibile cioè studio stessi
+arma conosce uscita ii fin disse david vattene quante guai intorno video manca esserci grosso tanti
+dolce chiave cervello coraggio interessante peccato questione adoro aereo guardi rubato sala base
+peter george sette sente compleanno potrebbero relazione cliente spalle seconda parti vale qualcun
+diritto sicuramente appartamento pranzo saremo denaro riuscito continuare serata nero vestito carta
+ex dottoressa bastardo potevo iniziare lavora otto conosciuto zona stavi intendo negozio trovo
+aspettando partita tv spazio andra notizia tempi linea james riguarda soli parliamo uh poliziotto
+scappare fronte vinto averlo tranquillo silenzio andati fossero simile pezzi calma santo ricerca
+pena aspettate stesse esiste scoprire altrimenti diceva luogo lettera vive salvare canzone vengono
+pubblico senta corso henry regalo sentite rimasto lavorando né scherzando stamattina missione test
+salute farebbe scelto dura computer stupida avremmo aiutarti contatto pericolo entro parlo alex
+freddo triste promesso esercito america ultimi trovi dunque guardia jane infatti possibilita intendi
+fbi casino buonanotte caccia gay arrivata lavori max certamente regole vostre dovrai secondi ballo
+ascoltami birra ovunque club paul arrivati governo bellissima oro duro cucina decisione anima forma
+tornata esempio incontrato occasione stanotte porti droga possibilità cellulare necessario avremo
+ferma borsa prometto palle nonno piena attacco dagli affatto colpito salvato siediti reale comprare
+inferno parlarne diciamo regina carina aperto brutta braccio fermati stavamo crimine andrà chiesa
+effetti tenente sapevi scrivere scommetto paziente scarpe danny livello fermi ia lunga mentito viva
+spettacolo usa visita alcun sarah precedenti diventato mica sinistra percio processo mare direttore
+intelligente mary rende comprato classe ehm cambio scorsa farla bianco tavolo stagione dite nick
+dannazione cavallo sergente incinta rotto aiuti episodio rispondere contento conoscere inglese volo
+attraverso riesce differenza apri passi uscito coi codice lato hotel maggiore farsi uniti trovata
+eccolo carne lavorato star umano certa miglior averti de pagato libera avrà vorrebbe caldo pelle
+interno temo leggere comandante cerco avrebbero pomeriggio documenti farei giudice mostro destra
+luna ringrazio guardando pericoloso buone affare figliolo jake vino passa presente ordini
+arrivederci caffè barca maledizione nuovi vederlo lezione intero dia partire venuti sogni chiedendo
+alta nord pensate jimmy parlarti perciò congratulazioni data sposato gliel' sembrare treno radio
+comune cattivo imparato smettere ottima aiutarmi ama intera responsabile abbiano lascio farcela
+bomba agenti belle m' pochi san clienti periodo energia segno mangiato calmati chiudi posti
+accidenti bellissimo quegli dovrebbero vivi speranza rischio caffe rosso soprattutto combattere
+tocca operazione zia sexy gamba biglietto pazza ufficiale vorresti vincere gambe pressione farle
+seguito nascosto maestro fantastica benvenuto and sarebbero offerta ami vite scherzo qualcos' finta
+testimone fratelli banca aprire potesse stronzate indirizzo tale ottenere potessi jim esperienza
+portata messa steve piangere bill segreti scorso tony lasciate andremo sud uccisa darmi torni
+pianeta darti inoltre serie esci ray vittime diversi porca guida prezzo strana arrabbiato vecchi
+verrà orribile gesu ritorno entrato animali enorme metto harry passaggio imparare progetto danno
+naturalmente colpevole ragazzino metri tommy chiavi mossa finestra suppongo destino molta saltare
+correre frega edificio colazione collo difesa diro vicini fiducia aiutato maggior avermi saprei
+capisce ristorante nomi laboratorio scegliere comando chiedi arte meta discorso nove avra segnale
+perfetta fortunato libri carriera blu cominciare muro will tranne bob proteggere prendendo dubbio
+dati stazione emergenza giustizia immediatamente odore umani college ascolti contrario terzo
+preoccupare locale mette faranno battaglia aiutarla diverse notato chiamate sceriffo sembrano
+evitare spirito seduto bianca ryan lingua dipartimento controllato massimo praticamente riunione po'
+rumore torta guardami dirò accanto eroe turno piccoli entrambe dovremo potrai londra vedrai punti
+fiori vederla persino ovvio furgone amy coppia ridere inizia pausa billy grave vedete memoria dovevi
+aiutami tranquilla cosi' naso andava nemico mangia chiudere felici colonnello palla giovani richard
+nuove costa laggiù lee scatola torniamo albero you tribunale razza anello prenda idee piede ferita
+ferito cerchi preoccupato verra sentimenti arresto project averla dà soldato natura cominciato
+inutile casi prendiamo colore basso uso don anzi storie digli daniel preferito dirle utile cattiva
+cani sparare parigi diventa chiamano ascoltare kevin decidere professore fidanzato sensazione
+andartene legale carte compito srt stronza contenta provi los corte tengo pesce pensano johnny
+obiettivo incontrare nato visti show conta accesso breve risolvere isola povero stavolta mark
+affrontare poliziotti opera anna buoni ballare bacio resti funzionato bordo sbaglio giochi verde
+saremmo aperta improvviso continui fianco alzati accettare metà continuo peso piaciuto stile corsa
+entrata soluzione maria fanculo contratto arrabbiata fermare retro meraviglioso guidare denti
+mandare fidati sveglia tiene ultimamente creato prendermi kate dipende innocente scopo coltello
+chris fila magia effetto procuratore ricordare smesso dna vendere pantaloni miss centrale azione
+principe cadavere chiusa fede nipote andro soldati conti finisce stavano riuscita troveremo stampa
+of assistente ognuno robert debole risultati ridicolo sii vaffanculo andarci adam dirtelo grandioso
+americano gesù francese chiederti faresti taxi sottotitoli creare peggiore bevuto rimasta angolo
+latte buio siate malattia gatto suona troviamo brian estate scomparsa fargli risposto condizioni
+muoviti charles angeles fiume schiena sindaco nonostante reso campagna andrai tenuto paga seguire
+cerchiamo scott coglione rachel bobby dettagli chiaramente rispondi capace distrutto forze
+importanza debba importanti particolare stanco piani mantenere piaceva richiesta parecchio dando
+principale rose insegnato faccenda vento immaginare dimenticare matto convinto rovinato campione
+buonasera braccia laggiu decisamente washington usando provando momenti sbagliata andrò pensarci
+mercato valore sbrigati salire drink riuscire spiegare principessa provo avro attenta zitta eddie
+andy bellezza prendete tanta morendo rilassati buco conversazione dover speravo attesa pensiero
+rimane benvenuti conoscenza ponte malato claire sedia vedremo omicidi walter finale impronte
+sistemare pensiamo emma succedere avrò emily ghiaccio tracce bottiglia accettato indagine pensava
+passata super eppure fottuto propria tiro cadere ll diversa sguardo perdita milione camminare eccoci
+dan pratica americani primi villaggio scuse fantasma trovarlo potevi preferisco scusatemi ispettore
+teoria chiamami dovere camion parco palazzo privato dovreste troia chiede volessi purtroppo eccola
+preoccupata area aspettavo prenderti accusa crederci martin stelle direttamente ie aiuta esserlo
+voler cento fidanzata andarmene seriamente pista terza desiderio preoccupi mentendo ubriaco angelo
+tradurre luci popolo case grace dita vince infermiera altezza seduta minaccia età controlla
+nazionale genio caduto corri cinema passati tetto alcuna stella josh media politica voci suono to
+copertura conosciamo vissuto piaci internet eric lettere occupato sposata cancro numeri diamo
+credimi compagno merito società quand' nient' spada vedermi scendere pazienti kim dirgli leggi
+cambia facevo pete sentita diventata perfettamente ragazzina bicchiere autobus dargli vuoto porte
+animale jason azienda sabato pollo spiaggia ordinato rotta dovesse telefonata thomas completo
+lasciamo entri liceo rosa mezza innamorato doccia guardato matt stanca arrestato esce date venduto
+gara comincia orologio eravate fan erba viso bevi metta fece ascoltate distanza alice maledetto
+chiamarmi magnifico universo esame quartiere uccidermi andarsene sposa partito lascialo strade
+cappello pagina mostra giardino intendevo testimoni nera taglio velocemente potente killer potrà
+muore segni paradiso rabbia fuga biglietti s' toccare termine collega vittoria assurdo mr giornale
+dimmelo insegnante annie talento o' spaventato naturale vicina coinvolto immagini figo grossa umana
+amiche girare seria corrente libertà rubare venendo doppio immagine certe conoscerti tantissimo
+allarme ultime militare padrone prenderlo arrivano azioni tipi sveglio amor potremo preparato
+direzione gratis dito vendetta cantare distruggere lasciata funzionare invitato chuck regola servizi
+luke zero ruolo cavalli mattino pazzi funerale dallo ospiti ministro venti ottenuto intende simon
+abbiate domenica tette vorrà ted spia manda rimani partner dritto presenza eta abby succedera son
+offerto atto apprezzo discutere mentire gestire chilometri migliaia sugli lasciarmi volevano street
+guardati domattina lasciatemi pensavi vacanza nemici medicina speriamo sali tira scappato pur
+informazione lucy sposare andarcene est accaduto violenza articolo crescere suonare forti caduta
+calmo presi parlarle cugino fossimo messaggi famiglie povera danni sentivo sospetto guardie gira
+trappola dirai starai attenti diventando criminale lady giacca unita rossa dormito scomparso modi
+entrate sarete commesso pugno opinione chiamava cresciuto mal interesse laura mettiamo bell' sig
+francia ossa roma carico fastidio lisa premio fermato sopravvivere studenti battuta dappertutto dave
+tè hank profondo arrivi cella finora membro lupo gas macchine risposte lotta presento piccole mostri
+moto percento jeff vorra carl colpi amicizia diritti pulito protezione disturbo avranno assieme
+dicevo diretto pane pesante city park aeroporto gloria scusarmi creduto risponde terapia santa dirci
+disastro uova tirato tenga sedere veri preparare versione costruire rete sean potra guardo puzza
+ricco ali sposati gola fumo crisi dirmelo raggiungere nervoso minimo persa traccia inghilterra
+albergo tornate incendio falso dirglielo ucciderlo polvere chicago gioia fucile maniera william
+sessuale orecchie privata tentativo weekend totale poche sicuri sentirmi aspettiamo svegliati
+parlano scherzi trucco lord trovate t' dovevamo nascondere aiutarci succederà rendere urla larry
+calda aspettato dovessi ambulanza superiore dean volare mancato perdono errori proprietario piaccia
+raccontato ospite dovro dovrò dillo poteri credito recente dovrà pizza fatemi amato kyle telecamere
+quarto bravi avessero movimento regno volevamo stomaco membri licenziato preferirei tirare chiedevo
+analisi muoversi merita volesse promessa capita farvi credete sissignore dannato phil baby bei
+assicuro abbandonato facilmente scale attorno darò smetterla corpi sospettato mettendo puo' cinese
+verranno imbarazzante fonte mancano perdendo studiare divano amante risultato accuse jerry societa
+neppure bloccato avessimo tornati scrivania complicato louis pavimento tolto mila famoso desideri
+lily traffico avrete eccoti contare cia prestito potreste solamente chissà sorriso sentiamo lavorava
+ferite proiettile motore specialmente posta darle lontana file ingresso riuscivo respira mettiti
+fido nate roger lasciati piatto folle proposta rapporti tuttavia cazzate affascinante virus liberta
+simili jenny carter prenderla bugie clark prese sterline trovarmi frattempo leo banda esplosione
+alan calcio ricerche lago barry ascolto teatro riusciamo ladro spaventata compagni facciamolo
+tentato sorpreso pioggia debito occhiali conoscete taglia gary resynch pietra uccello sito maiale
+dubito parcheggio serviva camicia comportamento comodo montagna respirare uccisi bianchi seguendo
+costruito formaggio kelly sparo assunto uscite sapessi facevi diretta averne spazzatura divorzio
+innamorata tagliato maggie possano fatte tazza agenzia volto morgan intervento creda mucchio
+permettere salto team rimasti puntate pensieri taylor soccorso respiro giuria modello panico darci
+giornali ombra piscina marina ricordate portate tavola mezz' trovarla carica salta pensione copia
+pilota sorveglianza dichiarazione costretto smetti neri limite portarlo bugia mettermi elizabeth
+centinaia affitto appartiene idioti evento bugiardo governatore riusciti venne sé daro dono amanda
+moda petto custodia dovra farne impressione strega jackson coso malata dimostrare terreno tradito
+neve veniva impegnato portando interessi vorrai speciali odia molly portarti ragioni gelato perfino
+spara lentamente metterti vergogna adorabile iniziamo chloe castello medici pazienza organizzato
+sonno trovati colleghi toccato malapena nota tornando conoscerla maschio ascoltando mostrato karen
+festeggiare indovinare liberi attaccato togliere risolto sporco pari passate sentirti voti passando
+complimenti nathan miracolo epoca vicenda divertimento meriti volere troppe anticipo lezioni
+giocando rapina cercavo parlava nazione band argomento sbagli artista california pillole facessi
+firmato alba telecamera auguri stupidi fase abito suicidio uguale julia preoccupa meravigliosa
+ginocchio galera ride alberi veloci familiare interessato feste troppi positivo muovetevi
+andiamocene diamine sparire invito onesto fuggire portami punta victor tenerlo università fortunata
+usciamo stara patrick provarci bosco patto sale ovest bestia presenta socio susan personalmente
+magazzino commissione coloro sullo coach bastardi vantaggio spese mezzanotte contanti morale
+avvocati caspita tim fallito indossare occupo esperto pensaci onda rendi preciso andrebbe saltato
+fondi firmare totalmente incubo babbo fattoria presenti senatore conosciuti tasca secolo cima avendo
+corridoio bersaglio parlarmi vedono sorelle chili superare esistono eccellente originale muoverti
+stammi sopportare sparito probabile lasciala credono jones km greg riposo indovina diverte esterno
+stan muovere smith concerto yo buttato clinica champagne maestà episodi sir troverai tecnologia
+scappa firma americana oliver calmi riposare furto vendita togliti dormi criminali carcere voto rock
+tyler arthur tomba legame mostrare mancanza single materiale facesse ln superato passeggiata
+impazzire amen lasciarlo opportunità causato lasciarti follia attività dirvi messi trovarti
+divertiti leader football unità personali charlotte supporto tratti medicine derek giornalista dorme
+scala aiutarvi opportunita scienza costume rompere pò scendi episode sembro uccide rischi
+conseguenze passione cercate olivia autista essermi terry coscienza discussione beccato profilo
+prete sinceramente vorremmo elena gusto compiti ross europa esca tunnel attivita season cercano
+assicurazione foresta robin ucciderti permette mappa palco lieto confuso manchi filo ripeto portarla
+howard trattato certi gioca figurati helen fabbrica federale cieco responsabilità messico lancio
+titolo motivi assegno tornerà tizi belli van grazia red dicessi conosceva sufficiente oscar farete
+calci egli istante pene amare lasciar sorta sincero ammettere retta veda pulire uscendo tempesta
+penny chiamiamo vice rebecca trovano difficili crediamo jeremy maschera visione cominciamo nata jo
+reazione cattivi dormendo eccomi regali sapesse oggetto jay vivono esco jordan west sport vederci
+sfortunatamente contatti prendono sezione my onestamente segreta ascensore furono miglia rifugio
+casey fiero spalla all rischiare profumo coincidenza portarmi alcol ricevere inventato impegno
+brutte zucchero chiedermi giudizio spari pochino personaggio lacrime esami conoscevo crimini usi
+scemo reparto usata pazzesco corda benzina dissi rick creatura fumare pulita king vincent raccontare
+ambiente beth fidi capite canzoni quant' garage spiegazione disposto lascero andrew proviamo sara'
+confine propri significato letteralmente oggetti ione televisione frankie baseball sociale professor
+struttura accusato prendero disgustoso specchio venerdi butta perdonami dosso cambiamento svegliato
+proprieta venisse reputazione partenza hannah punizione conviene jamie navi organizzare portiamo
+uccelli fico influenza tedesco dodici marcus joey nascita scambio distretto fiera incontri palestra
+direbbe inviato universita angela illegale man on big bruce starà perde piacevole oceano tagliare
+servire chiederle cioccolato farli seduti preferita rovinare decisioni previsto talmente ricky
+urlare dolcezza pubblica esserne huh documento desidera um ricchi soffrire labbra controlli stronzi
+mangi superiori potrò risorse ethan jackie biblioteca tornerò settore robot canta cooper portano
+veleno ufficialmente diario continuate proprietà uguali spiega adulti aprite stiano salvo jesse
+studi offesa online legato fred metterci incontrati incarico ricominciare troppa inverno agio
+maglietta facevano orgoglioso impazzito recuperare organizzazione frase emozioni jessica esplodere
+civile betty biscotti julie guadagnare attore vecchie aiutatemi sigaretta grasso gradi amava pago
+verrai umore mondiale rapito ragazzini avreste parlargli accada levati convincere condividere riso
+russo consegna finiti relazioni colpire legno doc eventi cercava ferro dolci abiti studente dottori
+mac aiutarlo poveri divertendo raggio scientifica marty raggiunto resistenza partecipare disponibile
+estremamente aspettano richiamo agire cerimonia fegato stretto torre pessima imbarazzo todd sfida
+aiutando fermata prenderemo cole indagini porno professionale stop doug fredda adatto prime dille
+strane brillante potevamo droghe sieda grida orso darsi istinto vegas dubbi lascerò harvey dì eva
+tornera chiacchiere figura scoprirlo maledetta deserto golf mando ringraziamento ricordati fantasmi
+staro blocco considerato dovrete metro inizi splendida gliene intanto dovuta diventi cio' cammina
+prenderò alti progetti zombie grossi ammazzo prodotto pensavamo fingere prendilo succeda quadro
+circostanze lassù benvenuta las presentato aperti preside crudele becco parleremo esseri delitto
+catherine linda febbre owen rossi sentirlo averci spinto armadio battere olio it mutande gordon
+sally professionista arriviamo rinforzi notti parlate katie capirlo cina aggressione mangio vetro
+falla sistemato miller lucas racconti stupendo elicottero consigli mistero cadaveri nastro black
+gigante datemi negativo resistere giocato chiara penna johnson jess parker prenditi cameriera
+dannata teste viviamo condizione miliardi alibi assassini fortunati poterlo disco shawn moltissimo
+prendersi offro cresciuta tornero caroline valigia smettetela house coda fidarti urgente el pistole
+potro rifiutato funzioni corretto tratto rivederti cassetta improvvisamente chieda sottofondo
+sistemi mettono russi splendido giri lontani tedeschi normali litigare percorso battute confronti
+prigionieri germania vere carlos synch connor tour puttane giovanotto velocità marcia orario steven
+commissario scappata deluso ditemi ian federali completa saggio avevate antonio wilson sposarmi
+miele romantico fregato marco texas conferenza straordinario sciocco tecnicamente prigioniero finto
+noioso accetto justin folla stress trasferito piantala segretario gia' demone gus bevo junior
+sciocchezze julian buffo tenuta occupata cucinare pericolosa destro eroina oscuro scritta serva gang
+mira salsa torto geniale nervosa zoe fiamme chiamarti montagne conferma cari teddy extra sapevamo
+studiato preparando orecchio campi assicurati precedente innocenti anne nudo fermarlo parenti
+ascoltato tragedia figlie ritornare responsabilita preoccuparsi richiesto servito disposizione
+mettilo pesci roy andar bassa territorio raccogliere chef combattimento bruciato larga morso usano
+piatti incastrato nina finn realmente by cretino vasca contea fottuta stronzata arrabbiare limiti
+entriamo andasse ron simpatico portati delizioso fottiti coraggioso ricordato registrato assicurarmi
+cittadini africa potenza costo onesta canale uniforme barba tramite e-mail quanta gibbs mezzi
+primavera sophie boston visite alza lasciarla dylan salutare vuota preferisci dirà figa staremo
+nancy apre kenny sconosciuto ebbene dennis stanze argento liam geloso randy incantesimo maesta
+arriverà colloquio udienza inglesi dicevi presentare fisica tappeto eccitante miseria accadere han
+cognome esser corto dacci conosciuta commerciale lavorano esistenza furbo giocatore set lasciando
+manager offre chiamando novità vampiro davis soggetto chissa chiamarlo grant odi muove rivista
+cattive museo troverò marshall appassiona brav' vedevo virginia passiamo pessimo credeva prossimi
+uccido trovero amano mmm servira equipaggio cassa diglielo tenete essersi minima zuppa metterlo
+lottare immaginavo matematica orgoglio volontà succo restate massa patatine scelte cintura lavoriamo
+traditore ebrei sigarette andranno brown adora guardarmi procedura cavo mentale offrire collegamento
+capi aggiungere immaginato peggiori party quindici spencer annuncio panino attraente sospetti dira
+tradimento accorto cartello mosca fisico ripreso madame carol divisione pancia veicolo raccolto
+rinunciare proiettili facciano autorità vergine ubriaca litigato usciti vacanze gesto dopotutto
+conoscono email pura meraviglia fatelo arrestare largo miami adulto colori auguro infanzia jacob
+scegli gabbia sognato cambiata bambine avventura vorranno intervista fidarmi resa pianto nascosta
+attacchi serpente appunto piange combinato gioielli tornerai fiato sabbia margaret gatti locali
+wayne possesso capitolo scrive osso jules italia foste piangendo notare indossa vampiri giapponese
+evan frutta viveva mettete spagnolo apposta segui bla superficie ufficiali nascondendo istruzioni
+motel eli sin volentieri continuiamo curioso hollywood girato felicità fresca album pasto comincio
+abbi nozze giurato chiusi farmaci denuncia novita picchiato uccidendo sospeso canto pacco toby
+riserva coperta cammino registrazione incredibilmente concentrati strani leggenda amavo eccezionale
+telefilm egoista sano identita busta barbara femminile occupa alzare grato catturato scopare danza
+arrivera scorta parto cancello riley riprendere chiamarla martha viaggiare anime richiede na ipotesi
+battuto giudicare preparati bombe spetta bibbia potevano conte bici perdonare confessione singolo
+persi russia piaccio sapevano cavaliere aula burro venerdì italiano mettersi top produzione
+abbandonare impresa ringraziare programmi bonnie whoa love scrittore velocita addirittura poesia
+marie intenzioni sinistro riescono veniamo croce calore deposito riesca walker buttare darà truppe
+nobile sposo spieghi impegnata funzionano comporta confermato booth torneremo travis pesca muori
+reverendo elezioni possibilita' bagagli successa minacciato menti creature lauren fresco tasse holly
+attrice brad scrivi jenna campioni stavate militari plastica verrò dispositivo edward giappone salva
+finestre ellen riconosciuto espressione sapore starò potessimo versi branco tocco florida conosca
+mister disagio parlami ken coma inquietante disegno tenerla atmosfera spostati fatica volante chance
+saluti dritta cancellato hill esagerato impero temperatura immagina scimmia dimentica servirà topo
+bimbo andatevene secoli catena elegante quinn femmina sete racconto coglioni fermarmi liz regista
+dell ruota spiegato rifiuto battito lou ammazzare audrey civili flotta uccidi rivedere ahi spostare
+imbecille attaccare allenamento paghi sodo massima lewis patate infarto casini ossigeno sorprende
+affetto convinta colpita francis buca combattuto leslie questioni testimoniare dispiacerebbe
+fermarti ladri trauma rimanga russell riportato indizio spezzato dl sessuali aaron tiri ann vent'
+shock migliorare lunedi ucciderla subspedia condannato nasconde miles pagano significhi perdoni
+sentirsi identità cure go potrete ministero sensi morirai tubo badare cabina jennifer cacciato
+semplici vedervi gliela soci pietà acque demoni accompagno tempio trenta mortale mago pugni carro
+tema francisco riportare fiore occupi esperimento dimenticata gomma muoviamoci tatuaggio whisky
+qualità dollaro reato investito dipinto carrie qual' white vicolo capacità noto patente riuscirai
+villa giochiamo anniversario finisci sapendo trovava pieni stupro potenziale parlavo scrivendo cuori
+coinvolta testimonianza standard tienilo dovevano nuotare premi tende guadagnato cortesia scoperta
+comitato strategia cultura harris leonard diversamente confusione obiezione april iniziando cavoli
+mangiamo simbolo linguaggio tradizione minore schermo cameriere fantasia mason bastone francesi
+portatelo polso dicevano possiede earl armato settembre mancata sostegno bloccata neanch' sbagliate
+controllando gentiluomo dara classico chirurgo istituto progressi magico informato eliminare pagine
+clay sembrato collegato segue fedele vacci ripetere viaggi natalie spiego trovarci mandi accetta
+matthew spinta difficoltà taci licenza diane profondamente cappotto funzionera staff caos rubata
+dichiarato stephen evviva finchè finirà identificato tono spesa nuda puro togli insegnare prostituta
+coprire rapimento collezione trattamento brucia preparo sopravvissuto entrati aumento debiti
+cassaforte targa tenendo sparisci sperare sintomi comporti janet prepara coperto saluto riavere
+brindisi famosa piaciuta porterò temporale sparita considerazione ringraziarti riusciremo scopri
+ricca dana finche' ebreo ammetterlo lana seno mangiando cade violento isolato ritrovato beve
+atteggiamento frigo grae' distrutta chiederlo megan rovina popolare logan dispiaciuto accade leone
+operazioni scuole corona young restano occupati comunicazione insalata tengono boom segreteria coca
+unione fidare scatole spiacente ideale resisti batteria occuparmi continuamente portalo termini
+uccideranno uovo ritmo polmoni evidente armata amata impatto consulente accento allison eccome
+condanna baci filmato ricompensa alicia speranze storto desidero fotografia sms stipendio
+rappresenta esserti svegliata spento appuntamenti albert pazzia ellie spaventoso addestramento walt
+diamanti tecnica nucleare crema antica facevamo acceso dammelo sparatoria verro teniamo angeli
+dettaglio sbirri botte politico cambi attentamente notevole colui segretaria tocchi india scherzare
+aggredito tumore daremo complice proteggerti assumere boss telefonate hanna procedere interessata
+e'o halloween cancellare immaginazione metodo sopporto suoni capisca stretta tenda diventano
+raccolta viste trasferimento tenerti cugina pastore attraversare andavo wendy dimostrato misura
+finisca trasformato scrivo eroi joseph autorita usiamo sederti consegnare pregare rifiuti coniglio
+serial confronto unici assistenza metterla benedica telefoni roccia cravatta stupide sapremo tal
+spagna movente fottuti difendere little speso abbassa keith spaziale cocaina portava unghie chiamero
+cantina medica continuano livelli porterà lois normalmente fallimento aerei temere liberare
+interrogatorio felix liberato registri gruppi appunti carattere stando vincitore dose abita curare
+mollare cerchio trattare catturare ragionevole terroristi prodotti altrove assomiglia ammetto finira
+cimitero abitudine considerando cauzione mandata campeggio banco michelle euro victoria possibili
+patetico monte ritorna matta elettrica ostaggio asta lassu costi hitler tina sofferenza seguo
+considerare attuale vestita riusciva squadre contattare chiediamo armati successe cambiamenti
+peggior registro cortile brutti mettila mestiere terribili bionda qualcuna maya mogli vomitare
+sforzo sebbene sparate interni cowboy sesto emorragia preoccupati protocollo teneva williams
+rintracciare imperatore stivali gentili joan feci sacrificio perdi jonathan educazione piacerà
+rivoluzione compagna vodka arriveranno licenziata potermi uhm grilletto eccoli eccetto risate
+malattie portero sociali lanciato tensione avvicina elliot rilasciato uccidera collana distintivo
+operatoria peccati erica negro indagare capacita giallo internazionale fatevi chiudo ashley one
+chitarra generazione lasciano onde shane neil invitati linee castle alzato distruzione dovranno
+reali piazza autopsia confusa sentirai potranno protetto cotta volerlo tutt' dormo rottura monica
+blake rispettare ansia diventati toccarmi usate secco dick svegli rimediare topi citta' bambola
+hamburger presumo avviso dea piacera cittadino qualita muoiono green portafoglio siccome iscrew
+comunità entrano comunicare stupenda mitchell beneficenza getta ordinare warren dimentichi complesso
+genitore bruciare balla lieta altrettanto infelice tenermi giocatori mezzogiorno alison romanzo dar
+usarlo ambasciatore fermatevi cambiano baciato smetta condotto neal giunto yeah prezioso orgogliosa
+anziani religione murphy harold promozione merce pensassi bo apra chiedono riuscite salvi passaporto
+vanessa zitti pubblicita sareste cacca infermiere gabriel disperato richieste servi mickey
+particolarmente serena regalato continuato riconosco gemelli comunita consegnato trono privacy
+racconta spaventa fratellino abbraccio figata vedova tagli lincoln lanciare straordinaria sincera
+wade pipi falsa jill senz' contenti undici tipa mammina accendere guanti sedetevi adrian poterti
+sofferto consigliere feriti sacro moriremo partiamo tranquilli restiamo fascicolo prenderci
+interrompere girati cinesi raccomando bandiera spiriti chip malcolm stabile autorizzazione separati
+pubblicità crea eccellenza ostaggi caramelle facce riconoscere sbaglia tracy trasmissione record
+lusso trattava jean sfortuna morirà tentare mobili ammesso apertura spegni spina troveranno visitare
+damon fango schiavi leggendo capitato anthony ehila infezione valigie compra impronta isolati
+rientrare gelosa parlero impegni sporca congresso accomodi ford economia entusiasta prendila matti
+violazione controllate metallo pronte lunghi pelo amiamo rallenta scopre scommettere opzione
+trasporto asilo ronnie drago is ammiraglio ammazzato lane acciaio parere amministrazione pietre
+guidato suolo nora sentono associazione vedrà shh impedire alieni riprese cucciolo morira bentornato
+diego barney mollato capitale pacchetto macchia marine perduto guido motori uccise streghe codardo
+volonta vende principio aiutera abituato preferisce your produttore scommessa dale imputato bus
+luglio abilita amber candidato subsfactory certezza cifra out duramente appello noah kit dozzina
+sammy confessato puntata heather tipico lama magnifica origine colin lupi nelson isolamento chiese
+lunedì profonda hmm entrando lancia dava cacciatore sollievo eun schifoso saprai mo armadietto
+proprie vidi porco tramonto facebook paige saprà impiegato connessione tecnico segnali ridotto leggo
+miniera promesse fidanzamento cominci spegnere quarta lega nervi cercarlo raymond daranno cameron
+continuava stadio baciare sensibile familiari contattato paesi chiacchierata parlerò cam li' rita
+aiuterà appetito scappando pasta bang sede cavi pam sembrerebbe dipendenti cantante giornalisti
+invisibile schema darvi posteriore jersey batte estero concesso centesimi opzioni norman rosie
+accadra hong guardalo rendo diretti collina craig risulta portera esso leon babysitter scene indossi
+mitch forno passeggeri saluta allontanati dog cartella sorridere indica sbirro partite lance
+discorsi quinto avvertito tigre corrisponde deboli manette essendo averle cronaca drew sí attori
+vengano time averli assoluto servo capirai ridicola essa datti hunter trasferita girl preghiera
+diana tuta manuale attrezzi allenatore materia servirebbe scavare stefan compreso philip password
+martedi ridendo fantastici alternativa dannatamente avervi terribilmente berlino aspettami sposi
+essi daisy leggero abitanti desiderato valle boy hall insegna prenotato bugiarda stufo parente
+realizzato lasciarci passano assenza avvertimento hot trevor for klaus identificare sviluppo bara
+basket tristezza mela osservazione russa vedrò contiene troverete debbie stone incazzare ricetta
+lento umanità hector ucciderò indossava minacce cazzata doppia christopher maggio road mario grata
+fascino blue iniziata recitare tessuto orribili francamente accademia dir risponda diresti infine
+antico passami sconvolto gravidanza malati interessano maledetti portatile ucciderà leggera
+guardiamo cazzone suggerisco ruth guerriero quartier mettero database corre nicole costretta
+investigatore avverto funzionerà vola karl luoghi clara verdi ella guardano somma osi pagamento
+venissi coinvolgere sposarti indipendente spingi esecuzione organi abbandonata arti cellule maschi
+riparare sentiva potenti responsabili enormi sbattuto impara kurt guadagno vedendo irruzione mel
+scienziati rinunciato politici onesti accadrà bravissimo island ambasciata strumento impianto
+movimenti medaglia terre flash madri terrore troverà ala rapita pattuglia modulo innamorati
+manhattan recupero videocamera cardiaco bicicletta salvarti facili confessare chiamerò spostato
+perdente esercizio complicata perdiamo metterò seguitemi drogato giuste melissa bloccati lydia
+coordinate shaw intelligenza chimica mandati spacciatore giovedi east dwight centimetri munizioni
+meredith impressionante solare ribelli norma marte gettato laser scuso circolo scontro sedile ndt
+gonna sorridi sposarsi vedro lasciatelo ragae' solita personaggi cambiando presentazione magica
+cranio accomodati legali descrizione pallottola sapra gita seth indiano riservato ritiro katherine
+bailey tara serviranno cuscino piante passera cause laurea indiani blair gps domestica mafia
+difficolta scarpa trascorso giugno christine uscirne abbassare malissimo robbie carmen strumenti
+cerebrale tregua franklin carini salvatore ottobre situazioni nascere lesbica bishop sconvolta perdo
+aspettava autorizzato spasso giuramento terrorista seguimi popolazione nascosti riconosce ooh lunghe
+vedrete barista mangiano negozi preoccuparmi cellulari padri andre vic kong brooke stuart vari
+interessanti invitata scaricato jung brooklyn angel scordato insetti circo spedito sepolto sana
+scopriremo miranda chase alzi correte coppie testamento doyle moneta arrivate stabilire sebastian
+giapponesi post cleveland seminterrato iraq afghanistan won beviamo muscoli poker ascoltatemi preda
+mancava petrolio valentino chiappe chiude rissa stufa uccidero rivolta adatta muoio campanello
+monsieur felicita teresa zoo camere fondamentale turner soffre stabilito obbligato conclusione
+logica pat sopravvissuti meg guardarti lavare presentano svelta gene cinquanta boschi sorellina
+falsi parecchi aprile gina flynn informatore volume gravi generoso franca veronica day galleria
+beach brandon interrotto straniero misterioso duri zone squalo spingere muoia mura elementi martello
+mele scandalo graham occuparsi sere reid mazza chiuse ruote viola avery custode sostanza principi
+varie lutto pillola campus riflettere umane ralph confermare bevendo medio pablo allen prometti
+divertirsi cocktail scontato cassetto permetti accadendo causare concetto diede presso psicopatico
+lavoravo sostenere cenare sheldon sbrigatevi dovunque leva equilibrio abilità tacchino mulder pub
+aumentare dicci svelto incontrarci compro rimangono rimango risparmiare malvagio bellissimi vagina
+zaino umorismo accordi prenderli jen tac sciocca microfono consapevole attrezzatura spendere
+colpisce telefonato sprecare sentiti chiusura provarlo intelligenti industria mcgee chiamati
+preoccupatevi vederli sorte ni incluso funzione grayson eterno ciclo opposto fottere sentiero
+arriveremo collins preoccupazione scotch muova insegnanti vedeva mostrarti bagagliaio incidenti lire
+ripresa supermercato pulizie acido interna coraggiosa accedere attirare mori evvai inutili alcool
+benedizione cassie kent senzatetto adolescente copione sostiene tortura talpa sandy eccezione maglia
+prega aiutata andassi copie rivelato divertitevi prenderà sperando may positiva collaborazione
+seattle radiazioni festival vacca soddisfatto diventerà banche pozzo bay sindrome costoso assegnato
+dipendente bimba coro cin dieta garcia becca debolezza corea patria compassione up ivan dimensioni
+truffa that venivano ira pagata artisti atti cacchio pervertito funzionando permettermi
+comunicazioni decidi metteremo credevi parete cal liv divertenti giunta repubblica mucca ruby
+obiettivi pianta kitty corrotto indagando dimostra noia dee ando canada noiosa apparire amanti
+sfigato harper conflitto stanley guarire jin crescendo salvata ingegnere finite brave realizzare
+immobiliare finirai cambiate scopato provate diremo connie fonti bada wallace madison giovanni naomi
+quinta tasche lindsay muovi effettivamente manny violet lascerai carlo cesso licenziare decide
+legati rob guaio romantica giungla avuta importava bicchieri unito cos gridare doloroso andrei
+elenco sopravvivenza sbagliavo canna portala baffi detta tess calibro birre ginocchia salotto
+impiegati disegni bucato cacciare legata bottiglie carla zach andai specifico incontrata dichiaro
+autore caleb tucker fissato indosso assurda padrona ago esperimenti promettimi benjamin sperma
+prenderai riconosci prospettiva riempire diventerai curtis hope recentemente deliziosa combinazione
+usarla rischioso sega antichi matrimoni aveste jeans conseguenza troy tokyo prossime muri phoebe
+lettura farebbero accetti molla condotta scienziato finiscono times vaso cesare fagioli azzardo
+articoli metodi sforzi cieca anziano assistere jet perfezione opere soggiorno garantisco carburante
+giocattoli decesso nominato mrs anelli tempismo trasformare offrirti esprimere clown rifiuta verme
+piene centesimo occupando rotelle soldo nè fagli partiti guardarlo autostrada joel complimento
+riuscirci bingo darai seri tieniti andavano vivendo chiarire concluso sorprese duca fortunatamente
+lasceremo poiché peli preghiere riceve elementare grey singola basi fida addormentato statua confini
+frequenza darei andrea biancheria sporchi ricevuta odiano assassina massaggio rapidamente liquido
+crederai fotografie comanda gusti fermate novembre clyde amministratore segua ra donald mensa burke
+rory grosse von mail ispirazione chirurgia impazzita ana esaminare pierce agito succedesse sentenza
+nascondi aperte marchio chiedero scopa vomito incazzato collaborare sfuggire mettetevi annullare
+sappi duke rifiutare vietato shopping beni formazione torneo papino continuazione parlarci svolta
+juan maniere alieno monroe fossa pericolosi evidentemente indizi benny coinvolti conoscevi premere
+valigetta affidamento copertina sorprendente sharon scopata assassinato quaggiu nido proteggendo
+guidi condoglianze finisco esperti prestato portafogli saperne spie fuggito divorziato night world
+attraversato raro rosse cioccolata valga cazzi valori valutazione rumori misure roman nascondersi
+vorrebbero mandando angie obitorio disposta kang pigiama iniziano spera pianificato trascinato corsi
+sedermi sire carrozza riunioni preferiti prendera dente fiona pulsante kennedy scopi portarci andò
+vietnam trovera certificato dentista duncan routine detesto porre guardava facci monaco avversario
+psichiatra parliamone bell attivo coperte escono anderson ritirare lex perse girando agosto
+irlandese appoggio forme lavoratori quota perimetro menu toro cercherò frutto lloyd costumi boyd
+schiavo urlando studentessa mick lemon fermarci oscurità grassa ned temevo brennan vivente recita
+autunno preoccupo bravissima tali passerà arco patty finiamo denise affrontato mandate riparo ebbe
+accesa incubi depressione pieta joy consenso false nuovamente bassi aspettavi long sid chiederò
+fidarsi rene rappresentante divisa tennis porteremo discusso vadano tornano compromesso concordo
+regolare proibito investimento concorso terro claudia vitale bagni chiudete degno utili reed eve
+presentarti leggermente fermarsi potessero sconfiggere clan louise quì avenue indiana morì salvezza
+pa programmato sun satellite marzo uffici salito ancor giovedì alec dvd rinchiuso bastare rivoglio
+ovvero maestra capra giocattolo brick rimanete scimmie perfetti accorta isaac simpatica infranto
+corruzione lenzuola scout torneranno credermi fissare provaci strappato sentimento atterraggio
+dimenticavo suonato raggi diranno solitario fisicamente renda alquanto manco penale sembrate
+staranno divertito cresce proviene favola torte winston messe becky server salvarlo diamante
+risparmi gemma fiamma beckett uccida adorano color mosse orleans togliermi concludere diploma
+contenuto guadagni riga professionisti comprendere martedì prendetelo prenderanno denunciato divento
+botta puntato adulta preparatevi bruno avvicinando goccia insolito vena tagliata alfa fidanzati
+foglie ciascuno lampada fama prendeva panini sconfitta durata salvataggio scortese lavanderia
+attendere vedra dicembre attacca competizione selvaggio compri vernice round freccia gentilezza
+rispondo spreco modella svelti commercio puntare commettere comportato paraggi osservare assassinio
+miguel suite mancherai vendite pensavano riabilitazione rancore bones flusso musicale insistito guy
+quantità scusarti ottime cercarla comprata mm foglio griffin calmata votare vinci lizzie amelia siti
+don' sedersi note arresti maiali succedono glenn watson tentando diagnosi sospettati chiedete
+nazioni sappiate sydney rimuovere rimettere harrison diamoci queen correndo perry titoli parecchie
+fornito quadri codici muoverci satana cercata esagerando nessun' ucciderci astronave abituata
+conoscerlo vie tacere mediche verdetto saggezza approvazione ritratto controlliamo romeo guerre
+nuvole fox fuochi uccidono riporta unite web tosta candele scaricare bistecca fissa orari necessaria
+diventera recuperato buchi dedicato alexander stranieri scaduto leale registrare disperata letti
+telefonica riscontro gil stiate palmer nausea cristallo chiari applauso toc curiosa cicatrice dallas
+eterna riferimento infermeria riconoscimento bastano molo erede apro legami barnes divenne invitare
+farmaco ritengo meccanico cominciando protagonista letale circondato permetta force importi animo
+pesanti arrogante impazzendo impulso alleati ottimi scomparsi unirsi maggiori oscurita fili costante
+tristi assegni ascoltarmi perderai lena alcolici sapranno compiere intervenire commenti sensori
+river pareti sconfitto scienze chad sceso salvarla harvard dissero volevate we seguirmi andavamo
+fermiamo dividere svenuto ego madonna andarvene judy moon curriculum rendono budget priorita nerd
+wells sindacato haley vide dimissioni spedizione rispondete multa rischiato probabilita with
+solitudine mento istruzione paolo sofia avvelenato cat gentilmente elvis successivo nolan permetterò
+andrete improbabile professione commedia cava pregato scacchi allah compiuto calzini costato reagito
+scordatelo assicurato detenuti yang omar ossessionato lawrence mamme zack valido ignorare business
+somiglia salite tremendo ari quantita condurre presentarvi accettarlo randall sconosciuta campionato
+prepari dawn siedi nicky esperienze mostrano volontario innanzitutto cindy professoressa impegnati
+raccontami cambierà wes ginnastica spaventare sognare yoga pipì guidando pisciare particolari
+christian verificare ranger ulteriori colonna principali terrò conforto preferite vicepresidente
+wyatt emozionante caporale nell distrettuale mangiate bollente michele sgualdrina eliminato
+supervisore fui vergogno amichevole ninja gwen avvisato lati cereali assistito comportarti
+restituire delicato fisso campbell espresso uniche missili elemento gennaio capaci razzista
+riuscissi affamato cambiera rispondimi emozione saint maddie infinito beverly sprecato conoscervi
+procede famosi dimenticati cd crescita jan radar curva trovarsi aggiustare nebbia maschile sconto
+metropolitana portale proverò rimandare etichetta qualcun' preziosa indicano entusiasmo dicesse
+classica e'a progettato miracoli occasioni contano probabilità comportando comuni incontriamo salti
+fisher regione tolga appropriato holmes iniezione sconosciuti woo grano ridi happy richiamato lola
+ritorni riviste stevie turni deposizione galassia economico deb assicurarsi stark avvicinare borse
+nikki ubriachi barbecue archivio scolastico freddy jared intesi xena soffrendo bagnato hamilton
+frequentare bianche cercarti shelby monete overdose guardavo sequenza colonia sedici esplosivo
+alleanza fenomeno south colto pop ruba ava fetta obbligo artie cuoco mondi testo incolpare panni
+ehilà gabinetto cresciuti rubati hammond carine incontrarti moriranno provero ingannato scully
+trucchi hawaii eccitato perdonatemi circuito sappiano thompson pianoforte orbita smette pubblicato
+spirituale sol preavviso sbattere pescare adolescenti formula laurel guadagna douglas delicata
+costruzione cody riuscirò guerrieri casco edifici pirata richie scudo usati jeffrey freddie ordino
+carson lottato austin samantha mikey pianeti tata biscotto willie scarica combattendo costruita poca
+riva brody prato assalto nudi salvarmi finiscila butto guardiano australia private stellare tesi
+orrore scattare urlo stranamente bowling vulnerabile muovendo conoscenze addormentata incapace
+cecchino messicano affidabile ottiene chiedergli scarico vuote tolgo negare barone occorre seguita
+mercoledi pallone ricercato reggiseno perdite hobby calcoli capiamo accompagni ranch preoccupazioni
+prenderne jazz dischi asso peggy omaggio piacesse lotteria bottone favoloso accendi sottile
+partecipato callie disturbare ingannare moderna liscia puliti oscura kira considera starei ncis
+resterà dramma serratura dannati attentato raggiungo zampe latino incasinato hockey candela
+concentrato umanita bancone look ospedali grand infinite tae pro verbale innocenza inferiore pensai
+rilascio quaggiù catene dovuti marta scomparse serpenti archer cieli ritirata prudente analizzare
+supplico sordo girano scende destinazione comoda rotte alte rivelare paparino risata lester curato
+abigail postale poterla prostitute maniaco adams baker iris jae italian dammela gestisce venduta
+soffitto statale rituale colpisci senato schmidt brividi dritti permettero banana fermarli venditore
+valere trasportare esatta mattinata cittadina riscatto capiscono esaminato aiuterai comandi hard
+sapevate soffiata penseranno cha ferire sasha starebbe ritiene respiri menzogna domando foster
+fotografo fulmine centinaio corse ripulire porter detenuto paula calmatevi mandarmi hal marijuana
+vogliano manicomio pompieri unirti decente aggiunto verrebbe apparentemente illusione conquistare
+costretti vedranno scorre eccetera agitato grigio kay interrogato iniziate avvenuto perdonato sandra
+demonio asciugamano meritano sentirla tienila shakespeare bestie segnato fucili frattura risorsa
+penserai stephanie ricevi ridono em proteggerla negri esista estranei appare etero garantire
+apprezzato roulotte ammiro bellissime riscaldamento meritava nominare inviare sosta cannone
+proseguire allucinazioni samuel comportarsi desiderare prepararsi personalità dipendenza ridurre it'
+inevitabile uccellino matty efficace cacciatori trasferire theo reggie batman drake campana sullivan
+sollevato sciopero bussare toast negato canti bennett ingiusto pesi secca rivedremo votato gabe
+operai min attaccata giudici lenny murray agenda blog registrazioni proprietari kara jonah
+aspettarti donato valida offerte peggiorare morirò generazioni goditi gavin occupero google rocce
+salita rintracciato negoziare provino femminuccia alternative prenderle sheila conrad precisione
+dirige dj preghiamo trovarli possiate melanie costruendo ellis anton central corde estratto karma
+provocato proteggermi ossessione dimenticarti chiamavano usava sirena trasferiti aspettarmi sandwich
+versato concentrarmi delusa reynolds ritrovare vermi silenzioso affinché dipingere potuta impari
+simpson juliette philadelphia comprensione vendo dexter sfruttare mobile dimostrazione colpevoli
+tasso axl gangster erin boris pirati vogliate ribelle avvicinati palo tattica ricevo fregare val
+aiuterò finendo ritirato fidarci incontrarla mantenuto convincente brenda api marinaio gomme
+cavalieri esperta darebbe intimo fata cifre eseguire creando fantastiche morisse sacchetto penserò
+morris garanzia proposto mona approccio ragno combatti ivy cathy spiegarmi direttrice spiegazioni
+attenzioni atterrare papi cyrus fotografica pierre legalmente salone chiedervi cercarmi omicida
+massacro ballerina stessero grandiosa semi june sherlock piangi gestione toglierti torcia aspetterò
+marea legittima piper marrone milano costole disgrazia renderlo hacker finiremo dolori sbagliando
+sviluppato bisogni funghi sfuggito rex riusciro valley nati reese valgono antenati cagare silver
+portiere carità leggerlo esagerare reagire interessati get greco arrivarci down ragionare software
+hei fragile elefante perderemo scheda spariti audizione legate compare sembravano houston esistere
+mostrami commento rimosso nipoti donovan georgia epidemia volerci rospo partendo onorato fecero
+trent' comportati visuale sinceri pompa poiche dixon volti ombre sadie vene prezzi terminato
+intelligence ash discuterne giochetti disordine priorità saper instabile gettare aiutero clarke
+dispiaciuta picchiare nere mandano you' limousine appeso lascerà precisamente rimarrà cheerleader
+sospetta piccoletto carbone pugnale bart sapone gin cattura fallire parlavi posa compagnie chen
+settimo hugh inserito venute scozia teso ripeti arnold valerie italiani progresso rapido dibattito
+buddy ring occidentale valeva spaghetti annullato terremo rivederla north candidati ward stanchi
+cerchero creazione sceneggiatura sedie opinioni nazisti offrendo esplosivi sanguinando crane ohio
+riuscirà bloccare are parlavamo delusione mettiamoci scossa scappi disperazione distante voluti
+digitali raffreddore permanente schianto stretti mancare scelgo naturali barche disturbi categoria
+arrestata filosofia riferito chang co intrappolato visioni protetta viaggiato sopportarlo falli
+estraneo urlato piove firmi tacchi ricordarti scopriamo dominio accadesse invasione attualmente
+vedesse dirla impedito calvin dimensione hans democrazia trapianto moore guardala dimenticate
+scommesse volpe dossier altamente peste seguente inchiesta burt soprannome recenti geni sobrio mh
+musical elettrico monk produrre paure destinato cemento prendimi frode attaccati dovessimo inganno
+finanziario organizzando venir sung bernie renderti yen globale permetterci orsi radici rara pagati
+fusione vigilata generatore daphne terrorizzato alpha consideri yoon liscio sognando milo vendendo
+delta mise tequila squali sposarci acquisto aerea dichiarazioni economica minori jasper scappati
+comunicato tirate ciambelle stupidaggini alfred prosciutto edizione eleanor cenere iniziativa mindy
+porterai useremo bernard divertirci inserire alimentare contessa onorevole treni irene danneggiato
+mancia assoluta febbraio donnie nascondiglio violato fermarla penserà incontrarlo limone barriera
+finestrino collegati perderti impedisce piloti presentimento gratitudine suprema apparecchio
+avvicinarsi registrata panchina wolf accompagnato isabel ji lascera contadino incontreremo
+fondazione sbarre missile edgar mito suggerisce end giusti adozione usciva garrett spade filmati
+operare seta ditta rusty rifare abitudini riporto liberarsi tatuaggi studiando tecnici ritardato
+credetemi accomodatevi sbagliare stradale chelsea santi arrabbiati jun vendono coltelli parlarvi
+allerta volgare basato israele rilasciare protegge spiegarti cancelli jon superman ceneri sostanze
+suggerito pollice ostacolo scudi timido giocano deriva finch quassu insistere malinteso
+chiederglielo avvertire veste poeta high polo porteranno mutandine luca know incantevole violenta
+imboscata can mercoledì faccende resterai divertita servisse piccolina casse ammazza necessariamente
+squillo piccante country quassù bunker bevuta incontra franco taco alloggio vitali poltrona fingendo
+ritrovo this caduti tredici saltata sufficienza gray sposta american combinando grandezza percy
+tenerli rocky ammettilo definizione osare sudore bud alzarsi tradire shepherd pancake gelosia
+gallina aquila bestiame riservata lite furba like ometto svizzera riuniti muso approvato teorie marc
+bè benone esclusiva broadway infantile pacifico butti caviglia presentata hudson enterprise
+giubbotto marilyn frocio piccolino costano residenza pesa rossetto poesie aspettative giganti
+iniziale pecore marvin kirk eletto fuma frena scritte servivano emotivo or cervo rimarra frutti
+attivato incredibili toccata fica scambiato dirigere pensero maglione sponsor stima bacon rimesso
+offeso rivisto sentimentale tana seo cedere convincerlo franchi sputa disegnare punteggio toccarlo
+soo vigilia disponibili sasso iscritto sottomarino umile keller cuba vescovo stufato lupin
+fottutamente disperatamente sacrifici accompagnare interrogare seme bruciata libretto litri alzata
+farmacia odiare determinato ciccione toglie politiche cognato rallentare fornire portarli liberarmi
+bridget piega discrezione propongo chiudiamo woody macchie frequentato nasconderti maurice gemella
+condiviso dozzine amarti voluta scrittura nadia orchestra enrico scambiare imparando tonnellate mini
+scherza ucciderai spettacolare lake tirarti senno contadini rilassarti riposati aah dispiaccia
+immediato notiziario riempito bambole impiccato procurato decido altare divertirti esposizione
+tecniche scomparire news disposti des provano tavoli depresso lenti decise pubblici composto dawson
+stessimo pan vorreste occuperò guarigione spot scotty air precisa buttata ringrazia ascia disegnato
+aiutarli vigliacco kansas moriro olive avvicini cestino distratto metterai intenso circolazione
+rimaste cambiati calendario insegno differenti capiti valsa soddisfazione claude caverna rovinando
+ognuna paranoico completato vomitato sorso simone frontiera jedi defunto profitti profitto
+perdonarmi rompe confraternita portatemi semestre accadde mosso elettorale ioni pugnalato razzo
+intendeva sfigati psicologo jessie volontari scendo scadenza bong chiedertelo oriente gold
+dimenticarlo addestrato nicholas estremo rapida ricchezza homer spiacevole afferrato procediamo
+comunista spaventati tenero sophia avvicinarti turisti terrestre inseguendo aziende balle mortali
+permettersi digitale kenneth scherzavo cavata luis rudy glieli dimentico macellaio what batterie
+significare conoscessi intimi capanno punito donatore biologico cospirazione shin lacey picnic
+barattolo attiva pallida saul wall contratti conduce trovavo negativa ricominciamo mettimi nsa
+futura cuccioli derubato khan riferisci sopravvissuta balli manica piacevano mentirmi vicine critica
+miglio nucleo faremmo aumenta app verremo chiamalo freno lingue staccato rubando storico side inviti
+sostituire vivian illegali passava morfina misteriosa crociera arabo immondizia corrispondenza
+benedetto cercavi prepararmi divina vedessi ristoranti rodney rischia falco bonus legna sembravi
+twitter usciremo arrendo monitor operativo basa toglimi feccia fort chandler braccialetto pulizia
+audio privati trasforma esposto odiava sidney baciami mercedes aggredita occuparti cristiano nude
+privilegio attraversando ironia smoking manzo song hugo ricevimento gemelle cocco mandiamo preparate
+abuso sciocchezza straordinari ferie posizioni affinche freni papa' protesta cagnolino telefonare
+quaranta legga cantiere tradizionale tradita secchio assunta finirla bauer toglietevi frammenti
+creata lasceranno forbici batti vaccino individuo segrete hills applausi insetto ucciderli pope
+fammelo bum palude scusare zucca carrello scuro esibizione mais investire ezra continueremo fitz
+strip creatore ringraziarmi benessere raramente lava estrema armate life completare interruzione
+crescono conclusioni sposarlo arancia coppa giornate celebrare disciplina schifosa fedeli alberto
+seguiamo risparmiato fran particelle kathy terrorismo marca dessert tedesca cass terrificante
+guardarla men costantemente sonny venivo mandy richiamare nucleari riguardano quarantena evitarlo gi
+mina premuto modelli condizionata terapista visitatori violenti just indossando facessimo
+onnipotente federazione baxter favori durare attende merlino osservando concentrazione voli
+insopportabile essenziale incrocio crollare damien glen chan menta joshua rilevato tranquillamente
+sal caserma ahia dorothy camminando attrazione scesa briggs patti tessera bert peyton apparteneva
+metteranno darren terrorizzata shirley vederle cosciente utilizzare descrivere portarle marciapiede
+maleducato facciate rientra tenersi spinge divertirmi steso proteggerlo arrivasse hee furia ferrovia
+afferma chiuda jj assicurarci domicilio kat tartaruga rovinata sushi evitando casinò oz pericolose
+apocalisse corriere shelly sacchi diecimila uccidilo schemi risonanza pietro provviste voltare pos
+mandero valutare frasi brendan uva curiosità lotto parata passeggero vincente svenuta seguono
+sbrigare price materiali dí immigrazione pubbliche appartengono brandy letteratura hart immaginate
+marcel archivi eternità addetto vantaggi sparano gialla hayley guarito shannon vendi salvati
+medicinali ucciderebbe fazzoletto rafael bond maresciallo crack consegne evans doverlo verdure
+chiedermelo dani cynthia fritto stevens noti mentali siedo personalita scopra convivere generosa
+aids lori perquisizione mariti good critico rendendo water stewart now cera delinquente divino
+piattaforma riuscira pagherai conversazioni lavorate lividi pullman stronzetto muovermi signorine
+phoenix sostituto fumetti dovessero graffio isole sceglie missioni donazione griglia lasciaci
+fascicoli prestare strappo ops christina pressioni spiegherebbe selvaggi percentuale succederebbe
+gravemente suggerimento bennet definire roberts manderò odiato fienile competere thor choi
+facciamola granché nonni litigio tubi ripulito camille preparazione brasile chiameremo colpiti
+difetti avergli americane sufficienti inventata fi arizona editore provocare drogata cominciano
+musicista lavorarci lasciarli crollo scoppiare granche prendertela seguite evoluzione mills esther
+picchiata soddisfare ragazzine cambiarmi osserva dante risalire pasticcio tirati libreria aspettero
+nobili aggressivo chilo perla einstein restera legare bastava manutenzione rimase portarvi notturno
+nascoste whiskey definito armatura agnello bordello farsa mantieni maggioranza mama sott' arteria
+necessita sedute brutale pulite convincermi tirarlo capitan alloggi scommetterci capirà permettimi
+anonima baracca arachidi chiacchierare cadendo panna patetica sutton gail art ricordarmi anatra kg
+orientale femmine descritto tenetevi terremoto samurai occupiamo ringraziarla scommesso blocca
+mantiene indovinate ispirato rilevante vip orgogliosi rimaniamo tossico alzarti escluso reati
+vennero significava fareste udito kane ubriacone pranzare sballo brien doris scopro metterli
+artificio clacson clima decisi contemporaneamente rovini seppellire suv pepe sacra soggetti cugini
+fastidioso inchiostro energie cruz tantissime gorilla pentirai vicinanze metterà infilato combatte
+considero he avventure parcheggiato romani spiegarlo rispettato florrick pensera trish saggia
+riferisce assicurare delegato ceduto psichiatrico vega agnes brindiamo correttamente nuoto si'
+gabrielle spiritoso merci deputato lavoretto avvisare martini more puttanella fini comprensibile
+eccitata richiamami affidato lenta dovevate bush trofeo pagando nash meritato privo cicatrici
+reporter aiutano architetto spararmi dance fidato ramo darcy dong vuoti brett passeremo calze gossip
+precisi detroit deprimente scartoffie rimorso stacy celeste klingon portland suicida telegramma
+chilometro successiva italiana fumi alzate educato gestito profondità muffin assaggiare tessa
+spogliarellista ipocrita dimenticherò lesbiche hood tolta account viaggia lealta difetto hunt
+contabile roberto navetta dolcetto arrivò seppellito yogurt jonas lampo furioso resterò tenevo
+spaventosa aggressore collaterali fantasie occupare grotta tosse stu sospensione intima tate pasqua
+cantando rimedio wheeler sessualmente cambiamo midollo setta folli telegiornale carri tirar javier
+eredità svegliare ordina piombo procura anziana doveri allegro scorte riferisco avvicinato
+irrilevante tosto resi volato immortale salendo egitto ricostruire ratti cantano sessione arrosto
+dignità reagan sfera tribù lealtà azzurro critiche poterci rich dichiara but falle miserabile
+neonato passero seung mandarlo liberamente oca aspettavamo evitato adrenalina roland ty alt tenebre
+maschere laurie capsula colline phillip automatico disturbato psicologia pagherò antidoto muovono
+ammissione abe scriva polly torace spostatevi isabelle moderno sennò spaccio furti crystal powell
+marmellata scema tirando pagate divertiremo rispettabile miliardo genetica incastrare surf beneficio
+abbattere fattore emozionata cross distruggendo joyce cercheremo minacciando peggiorando promettere
+preservativo esaurito moduli canali occuperemo cantato lavato ms civiltà baia aggiornamento gates
+tanner ridotta nasce diciotto risale unire evacuare wu sporche parlavano bridge assaggio first
+secret nascondermi violino rubate holden separazione splendore pony tirarmi cappella perdenti
+liberarti considerata menzionato amavi cristina sistemo turbato riflesso aggiornato atleta stringere
+cupcake dichiarare regolamento sfugge task beccati bacino torres litigando scattato fatale sfondo
+ragazzone marcio cartelle jefferson apriamo scappate antoine comico insignificante aziendale vinco
+straccio obama caricare lynn interrogatori dormono seminario casuale selvaggia uscirai lesioni
+sapersi trent contributo when aiuterebbe grati disturbarti indicazioni spike sbagliati evelyn
+esplorare farmelo sella narcotici grassi tienimi pettegolezzi cliff zecca pazzesca mucche galla
+autentico ritrovata incontrarmi trascorrere pompino interruttore specialista rum ca cristiani ponti
+sparargli barzelletta divertire mari cardinale uccidiamo officina pearl bentornata jude obbligata
+municipio scappiamo cercavano ritornato doni nah mae e'i prigioniera pisello appartamenti capira
+allontanare aree resteremo ostacoli stalker cinture eseguito decine bam vapore et curvatura archie
+insisto collegio buck joon adorato battaglie accusata campane irritante esercizi puzzle solite
+ingaggiato zoey offrirle perda difensore popcorn cucchiaio trattata jenkins parrucca corretta
+costosa giuseppe andavi romano gamma righe solitamente fara' got patrimonio jamal bimbi povere bates
+materasso capitare dona distrutti frigorifero pedro brady vicinato veterinario vigili scoprirai
+informata tenerci postazione distributore garantito bollette liberati wally facessero talvolta
+sigillo annuale polli ratto check pallottole rilassi riflettuto staccare offri duecento suora
+trasporti orlo degna uscira aborto arancione rio rana noci complotto paghiamo dipinti stuprata
+trattenuto atlanta scendete rimarrai hayes infernale autografo duello provincia spray tragico
+irlanda ispezione allegra imminente ri opportunita' nazista veicoli uccidimi camminato grido odiavo
+soda nano gideon menzogne banale uscirà preparata uragano dirvelo rovescia sonia temporanea
+sacrificare industriale accosta quattordici streaming janice metteva bea bandito bradley anomalia
+fogna fc convinti drive costituzione mentore portatela riposa atrio signoria vendicarsi ripartire
+ignorato fissando orologi mosche alzo festeggiamo suicidato oxford creativo poster regolarmente
+reggere deficiente back caveau helena marge sparando dre furgoncino insinuando accennato fartelo
+spazi principalmente mettera invenzione lorenzo immaginarlo guidava balena profondi origini
+contenitore fumato vabbe apprezzare leoni lavandino padroni lionel drone buonissimo terrà precedenza
+saprebbe impaziente operato fontana vivevo pasti nastri chiamatemi documentario asciugamani deeks
+doverti rifarlo rispetti care elsa anonimo gardner edwards perlomeno audace napoli lamenti eredita
+periferia produttori tirata capodanno chiedeva malvagia torturato cagna montgomery restero respinta
+calmarti abbigliamento scientifico beccare pecora alzarmi prendine bruciando scendendo riprendendo
+clive corna emozionato edith ferrari asino mantello yacht credibile differente misero frost permetto
+strizzacervelli puzzi maxine piazzato coinvolgimento marion primario offensivo etica robinson altrui
+mandami pisolino parlerà figuri toccarla eugene avanzata holt sportivo square banchetto malgrado
+contesto giurare analizzato spaccato fortezza dormitorio sofferenze buffa elijah meraviglie
+interferire bancarotta originali nazionali morsi artificiale aidan mostrarmi determinare sembrera
+presentarmi suonava sciarpa affittato traditori oppa bottino preoccupate conferenze colla verita'
+elaine starmi cammini dom verrete rendermi piacerti balliamo starete sembrerà fortemente essenza
+mutuo abbracci diversivo scritti trattenere timmy promosso patrigno darryl chimico brusio gallo
+controllano magliette logico definitiva appassionato evacuazione cadono national svedese sacrificato
+adottato solletico farina buzz accampamento sistemata bevete temporaneo ringraziarvi adesivo
+cancelliere bagnata way medie strette sani network orgasmo ritrovi voltato orfanotrofio balcone
+laureato sollevare mazzo capello piovere cae' agitata controllata plotone inizieremo fregati grembo
+fore' teme incaricato ostile salsiccia presentati diventerò soffro cervelli superficiale esse studia
+ringraziamo spavento affrontando barbie cannoni rapire susie adori social ridammi lasciali bryce
+gocce sloan circolare pertanto tammy perderlo sirene carolina svegliarmi identificazione sylvia levi
+hughes preservativi restituito siede sino violentata conigli recinto ottimista necessità du
+liberazione perduta distrugge concorrenza incirca messicani callen camper gregory ugualmente
+facciamoci migliorando avermelo respinto eccone kung dawero dateci tessuti rispetta indossato amate
+figuriamoci pentagono molestie farfalla cucinato concedo frequenti banconote inseguire produce
+metafora ormoni fianchi perdona erik scherzetto emotivamente master discarica disprezzo tiriamo
+nanna permetterti gilbert que confidenza paramedici gliele vediamoci tenuti comandare spacca
+erezione joo buttati vedano ricordavo incastrata falls ingrid rientro lin magro spacco wesley
+cancella necessari caricato cellula allontanatevi caverai estrazione perle luigi cavalcare rinchiusa
+bolle spionaggio home roll stregone ingenuo scoprisse interpretare iniziali elettronica esserle
+servita libere schiaffo prepararti baciata soliti attivare pagliaccio investitori orecchini bizzarro
+dama pupazzo turco corno fieri abbattuto necessarie spacciatori estrarre incazzata corti riportarlo
+comprendo tabacco gu cattolica camino point riuscirei madrid pollici yi beccata vaga giorgio
+idraulico procedure toni coraggiosi difese tic fedina formare gerald denunciare portiera dormiva
+sfilata diviso sentirà formale prescindere trasferirsi migliaio serviti pericoli cece sapro
+capezzoli immobile cartone ricevute ottieni verifica ripulita diaz umiliante reni durato veglia
+ironico sviluppare biliardo indipendenza center sparite definitivamente comunisti renee
+inaugurazione intensiva guanto aprirla tremenda tantino allontanato boxe cho eccovi osa tifo link
+piantato straniera addison danielle la' traguardo orrendo dorsale sparagli aliena consigliato abusi
+vulcano soffitta scusarsi abile scoprono portaci ch' iniziò aspetteremo benefici affrontarlo impiego
+improvvisa infinita ciccio assemblea inappropriato guasto bree accettate trattasse lasciatela
+baciarmi pittore monty escludere disturba spugna coinquilino naruto attratto alito tradotto stupisce
+dimora ghost metterei vetri stupidaggine maturo celebrita celia willy scoperte chiare presentarsi
+intendete testardo decenni cast prevedere pass assistenti nuvola espulso marshal cavalleria
+distrazione saprò compenso frequenta balletto lontanamente ebrea trasformata richiedere cogliere
+bancomat profeta vendiamo chiudendo capanna comprati valeria inclusa sciroppo pagherà facciale
+riposi chiesi scrisse allergico gravità apparso ricordano favolosa riporti denver comprende
+pellicola osato manuel rivediamo dominic fotta annunciare contenere pochissimo parlamento muovo
+capolavoro rapinato provengono frankenstein dirsi suzanne v' tiffany solido pubblicare intrappolati
+kid cylon vabbè scenario sapessero velo ambizione banditi culla finisse compresa trattano
+convincerla pomodori maura spettacoli lucido sabrina calmare modesto teletrasporto canyon popolari
+passaporti sottovoce informare turbata glee levatevi timore conquista fanciulla chiodo noccioline
+sbrigarci juliet mentono funzionava tabulati flebo corrispondono regge bip capitata pareva
+nascondono stamani entrarci ricordata scattata disgustosa abbandono serbatoio bagaglio borsetta
+giudicato profezia notturna timothy dategli magnus aiden foro supponiamo trascinare eddai sprecando
+sensazioni dubitare formato insensibile sorride complicate separate ansioso durerà baltimora
+diciassette comprate ascoltarlo antincendio battesimo cupola devon raccontando concentrarti cuscini
+sanitaria dividiamo wa darlo panorama culi assomigli diventate discutendo sapresti distinguere
+vergogni anonimi ricognizione vali sostituito cappelli abituati old tanya analista copre trovarne
+cominciata tornado container confesso meccanismo knox poliziotta georgie telecomando guancia
+opportuno alexis eternita scoprira tonno urgenza temi evita nasa valvola ricatto signorino pestato
+combattiamo godere milady perfette pratico affar guardata mandarti steroidi concentrarci vialetto
+rasoio vorrete pienamente cm lavaggio equipaggiamento haven colorado bull emotiva frainteso possiedo
+tentativi parlera summer at trovasse visivo spettatori gare capii divorziare reggimento solitaria
+caitlin siero controllarlo identico significano incendi riguardi corro credevano harriet ergastolo
+performance potenziali donare preoccuparci venezia succedeva navicella gotham worf ginger rito
+intensa passerai avanguardia sicure potter collegata chiederei permettete coprifuoco bretagna
+marcire consiste inventare pulisci spedire sene' ciotola tromba gomito richiami lucia rotoli
+damigella legittimo pelliccia grecia dr insiste insulto sentii negativi raccontarmi patata aprila
+ave trovassi tentazione attraversa grammi religioso autostima resoconto basata eden squilla alzatevi
+accusare soffia ballando lunghezza supera inaccettabile mara depressa íl aprilo ciechi binari comodi
+prendili guardatemi strike motto biologia insegni brooks esservi finanziaria dintorni plasma prevede
+sigaro pancetta arbitro magra britannico giu' silas estivo rivale visitato complicazioni robaccia
+lottando celle sacca accolta fuso elettricità schiava avuti bourbon faro' week-end hodgins jacques
+operativa ictus tiralo arrivino if subire maratona rico comportarmi padrino parlerai difeso
+acconsentito margot corta ereditato fischio realta' senatrice youtube muoviamo scoperti assente
+pannolini nico sentira chiedigli baule chiesta pagarmi pittura cola vinceremo mine iran dirigente
+scarlett battaglione elicotteri inseguito nam svegliarti incrociato citazione musicisti svezia
+giovinezza pubblicamente migliorato jesus continente labirinto traghetto cap cassonetto accompagna
+teschio laboratori nottata indagato copro amarmi esercitazione sfidare allontani quentin
+rappresentare giurisdizione pasquale ta profondita basse gentiluomini riprendersi sgradevole
+courtney affamati desiderate allergica jose curiosita funebre salga facoltà jeannie recitazione kai
+lucky renderebbe an speravamo ollie horror guscio ignoto venirmi osservato convento formidabile
+barbiere carly chiarezza intestino ingenua deacon coreano calo prendervi casetta wo sfortunato
+esemplare piste dinozzo hyun salvarci peterson discesa mar granata sembrata centimetro religiosa
+sonda reception prenotazione strisce investimenti montare simmons misteri nostalgia entrava francine
+tornasse marines dette stoffa ombrello occupazione domestico francesca box mostrando nodo utero
+astuto comunale generali aiutiamo meravigliosi tesori nikita pentola accompagnarmi cyril game
+costerà giura avanzato sotterraneo bloccate artu automobile goku facolta candy grana cartolina
+provoca scompare paghero centri salgo riconosciuta rendera denny argomenti mack contrabbando
+cominciate pensasse veterani spazzolino venticinque eccole aiutaci assai alaska sanguigno
+localizzare silenziosa meyer ape portò daccordo poverino preferiresti mimi biasimo disturbarla tondo
+andiate rimetti foglia troll resistito coinquilina rifiutata corsia competenza delinquenti onorare
+manchester gibson crawford dopodomani accusando accendino starmene pallido organo attirato cimice
+arrendersi lasciava stalla documentazione intendevi matita olimpiadi dicesti quadra organismo addome
+detenzione abbandonati karate manovra scintilla assicurarti rivolto antidolorifici occuparci
+significherebbe ammetti cassette giocava truffatore tiratore proprietaria sherman granchio pensarlo
+vernon kev dimostrarlo promette maureen lasciateci bacia burns rufus giardiniere bibita baciarti
+riprendermi gretchen finocchio bande presti fuggita hulk crederti izzie microonde michigan celibato
+avvicinamento raggiunge possedere julio riccardo viventi empire sepolta bryan maggiordomo nuziale
+mascalzone louie bon istruttore premuroso igienica dessi yuri trasferirmi liberata usero pc
+arrabbiarti toccate congelato scopriranno tornarci sposiamo sbrighiamoci scendiamo annunciato venere
+rogers nasconderlo mozione eco tipica dircelo esploso pennsylvania mettici bersagli stanne elezione
+tatto vizio cuoca grigia nigel ernie prenderei celebrità judith avvicinatevi segnalato
+internazionali recinzione biologica modus esplosa salutarti les svenire tradizioni bacchetta girls
+sbronza scoiattolo corrono soddisfatta scatenato kappa gelatina guardaroba pompiere rayna unisciti
+ronald starti marinai oggigiorno maledettamente spezzare combini predica godetevi trascorsi indicare
+spontanea vivete perfavore metal tenta fritte anteriore noleggio gravita mah sparisce congedo tener
+schifezza ciambella vinta imbroglione valentine mm-hmm chiedilo modificato finali ordinanza
+brillanti anita perdero teatrale discreto erbe stazioni am armonia arrestati fascia eccessivo
+spiando vicky gialli group finanziari preliminare svolgere buster amichetto cheryl conservare
+dammene invidio avanzi distribuzione er salsicce omosessuale boccone volando continuerò buffet
+duemila comportata trappole uniformi userò jeep unirmi bank nicola sottoterra macello rispondono
+trasmesso daniels giacomo urina piacermi indicato individuato ricevendo ingegneria timida capiranno
+condotti suonano stento risveglio passavo operandi droni vivevano gioiello lamentele accoltellato
+troupe cotone grandissimo adorava cassandra trasmettere interiore rabbino conservato hetty paulie
+pratiche scatto dimostri credevamo snack ditegli golden cacciata rigido rame lamentarti manchera
+beatrice marziali adorabili soglia sanchez sync firenze assicuratevi togliersi commissioni brent
+aprendo guardatevi fato misericordia sbrighi indirizzi nodi aglio agitare vocale ga stupratore
+vaughn ahh rapine comprarmi ignorante decida patricia risiamo suonando marketing spaziali dinosauri
+localizzato puntuale trovai culturale sospira discoteca speri katrina scuri frances tassista petra
+roosevelt vincono intrappolata insegnarmi ripeterlo televisivo carbonio prudenza puzzolente
+investigatori destinati abbracciare cotto invio attaccano interessava tutore imprese giudiziario
+riprendiamo alleato pila conquistato tesa frecce commissariato organizza impulsi serbo triangolo
+volantini alfredo emendamento videogiochi giulietta vagabondo antibiotici risparmia metterle
+infrangere cesto identica interpretazione accidentalmente registratore renderà penseremo agisce
+giove scenda fax ladra afferra scadente corvo durera canadese preston proteggerci utilizzato residui
+montaggio mastro affamata yankee razionale sportiva volano intuito imprevedibile conoscermi bevono
+segnalazione complici atterrato astronauta messaggero accadono accompagnatore smetto incontriamoci
+renderla corridoi ricordatevi inventario avra' marziale sollevata hale causata allenamenti flora
+fidatevi collegare royal spietato presidenza henderson cavando supereroe emergenze dalton
+pronunciare liquore esausta regime giuda giulia aiuteremo umiliazione cartelli rush sostenuto
+prendesse marchese continuavo mostrerò conoscevano rispose imparerai piú starci taglie portar beva
+punire trasformazione ja spiegami concentrata mostrarle tossicologico portali edie segna
+costringermi us caldi gracie university perderla pronuncia specialità stargate mattoni postino
+dirigendo ginevra parcheggiare lilly chiamala caratteristiche invidia trattarmi filippo statistiche
+darius efficiente separare indovinato limonata sans pamela sbornia modificare arrenderti bastato
+individui lara flint seguirlo light scrittrice sè poverina sequestro considerati julien forzato
+ulteriore ricominciato mappe riportarla preparativi limitato cristiana attrezzature scelti souvenir
+amaro circondati stressante avvenuta yale comprando formiche partorire riserve risarcimento
+elementari rilassarmi angoli domestici felpa intento sdraiati cary schiuma chimiche tantissimi
+arcobaleno matteo fletcher trattarsi crowley trama ricomincia scrittori continuerà ciglio spezza
+basterà scolastica ei donny buffone prue insegnarti feloreena serate alimenti cerasa selezione fish
+svegliarsi godendo accese cappuccio dinamite numerosi tardis fingi luminoso blackout cattolico colpe
+vivrai dillon accettabile concentrarsi immenso cominciò russe picco queens simboli quarterback
+affido brunch diventero spuntino fermera sentirei oswald ribellione massaggi budino permettetemi
+togliamo scia clarence who vesti romanzi ritenuto mangiarlo smettete darla bussola piangeva
+frammento decollo lyon striscia sanguinare imperiale operatore agenzie tornassi sorridendo binario
+ruoli lamenta muto eccesso irlandesi lamento vincitori addominali artigli allontanarsi ammalato
+reazioni abbassate simulazione scozzese condizionale onestà impostore sposate disgraziato rimessa
+quartieri ricostruzione pomodoro accolto fogli riggs trafficante carlton arrabbi individuare rotti
+gridando spaventarti introdotto provavo matricola prostituzione piacciano avanza convocato right
+lamentarsi sposarla sportello piccioni isabella cenato rima detti polonia difendersi mancherà raduno
+aprirlo rompi proveniente uccisione graziosa masticare insulti rivelazione ricorderai interi
+ossessionata cerebrali herr sconvolgente costata tradisce scivolare canaglia promettente venissero
+tango nevada turk stressato amatoriale strambo esecutivo rami see distanze acquisti atteso theresa
+artiglieria preti fissata luther pugile yu antiche pompe positivi vicki lavagna mettetelo suicidi
+fermerà discussioni davano seguaci furbi aspirina cassidy invano piscio scoprirà pakistan covo lieve
+sacerdote ow picchia rivela emmett vassoio attico lasciassi modelle parassita continuerai muscolo
+inseguimento scanner tornava interpretato aiutati rimpianto bigliettoni minimamente ingredienti
+avversari fatela spa diffuso spaventi fedeltà priva colpirmi baita passerò sawyer izzy dadi prestiti
+from controllati barbone andassimo fratture debbano giustificare fighi aggeggio differenze
+paracadute abbandona cook sopracciglia tenetelo dimentichiamo ade sicario ballerino piume christy
+obbedire lila mance richiedono how gatta catastrofe biondo palm include umiliato langley lavatrice
+clinton satellitare commerciali rintracciarlo ondata affronta governare tombe arena autorizzata
+shield salvando concerti gabi culetto prof talenti reattore immediata saliva nani conoscesse
+riferire sergio prendano informati tasto assicurero guardatelo limitata intruso goccio salmone
+sorgente importasse lattina costiera dignita psicologico scopriro sfogo esausto en amsterdam league
+interamente fiumi sperato pensateci drogati proteine viscido bugiardi genetico tela bevande colloqui
+destinata dialogo frego telefonici suocera esistesse santiago cadde raccogliendo minestra hassan
+compilare blocchi bussato daresti minacciata we' commovente rapitori 'e preliminari suvvia pianti
+zampa profonde tribu whitney testi vivace aumentato guinzaglio tendenza crollato dure orizzonte
+completi yard sottosopra adottare virtù fibre ip cascata acquistare kensi conoscerci armstrong
+meravigliose abraham accettiamo locanda polsi spegnete county illegalmente recluta freezer heart
+fesso cognata venderla ricordami minorenne sookie scavato was finiranno ritirarsi tronco nixon
+acceleratore elettricita mentalmente ballato spettro checca matthews miniere dead lisbon sterling
+rubi potevate alimentari stallone sub sentirci lawson pregando chiarito scenata vaniglia sospesa
+corriamo bevanda mannaro incisione volontariamente infiltrato radice circondata mars town lode
+professori alias senior pantaloncini sederci decimo bisturi concorrenti sovrintendente salario
+piango matrimoniale diffondere organizzata ziva terminare scansione vincendo rilassarsi spaventando
+duchessa serra dispositivi lontane russ morirete posticino telefonico snob catering disk reclamo
+atomica lasciarsi sfuggita lavoreremo napoleone dopodiche guidatore condannati figure soia burton
+sedili coroner pento schiacciato gemello storiella esito genero tirarla diga ascoltarti specchi
+lasciò venduti forchetta not palloncini sorvegliare manderanno artistico parlassi strato sistemiamo
+aiuteranno chiedessi pargolo sanguina spiare penitenziario tossici previsioni esplosioni seal
+rimpianti interpol combattente scorrere riservate bloom karaoke bilancio aggiunta freghi take
+risolveremo perderò pneumatici skipper diabete gigantesco universale liberate lina felicity
+prendetevi mascella draghi vestire piselli orfani apollo sopporta tobias aghi creek lucious triplo
+millimetri slogan eccita beck diventeremo apertamente cambiarlo rendiamo comportano indossano aurora
+poteste calde connesso live polmone console finanze feroce stagno pigro malvagi jax evasione buddha
+sposti penne raccogli funzionario morbido cercavamo influenzare ko ariel basti abbondanza rubrica
+cambiarti specialita cercheranno rimorchiare mostrarvi vinciamo traiettoria richmond motivazione
+bikini pozione reality bontà cruciale gradirei mangeremo caramella confidenziale proporre bussa
+chiavetta manderemo spiccioli aprono societa' indice subs risolviamo poveretto consentito attaccando
+musulmani lanci moriamo dimesso prototipo desolato volessero chemio tuono ricoperto facevate
+aiutante invia informatico cosce walsh permessi liza prevenire fiocchi baciati risolve contribuito
+imbecilli ragiona startene scheletro specifica elettori nascondo fuggitivo fire cipolle bottoni
+continuero sigari dogana banane ethel carote maniche accorga cofano mancante riuscissimo
+respirazione riuscirete prendessi cometa yoo riformatorio pagamenti scantinato insegnano fotocamera
+urlano fondamentalmente trionfo tormento lascerei part-time frustrante vivremo jr golfo comprarti
+manipolare passarmi galline dottorato meta' capivo lu precauzione fateci effrazione colpevolezza
+seol gallagher muta cambieranno anders risparmio goblin caffetteria riferivo intuizione stiles
+procedi wright mettervi pannello sovietica aragosta avviare mantenete vago furiosa palcoscenico cibi
+design strutture fondato vargas arrestarlo permettono esterna fncomic successi usarli trovino brodo
+penelope matura uccidersi presuntuoso scura trovarvi butler shelley have stanford bidone here clone
+asia camminata aspettatemi scappo hospital accompagnata chiamerai cookie riempie secchi columbia
+marino seguiti femminili rappresentano ecografia esplode andammo pensavate accelerare riposarti
+lavoratore atleti proceda modifiche tragica proveremo crederà leggende omega uccideremo provenienti
+milton gattino otis convincerti orrenda riparato week evadere polpette sky sobria trump informatica
+avanzare trey lettore scorciatoia ottengo tragitto innocuo fotografico compromessi jody regia
+codardi arturo diventasse dolcetti joanna mettiamola chanel lockhart martinez nomina stupefacente
+school percepisco camice rivivere impazziti videocamere hawkins stanton evie paris ragni visibile
+forense lavoravano fattorino succhiare camerino verificato fiammiferi consapevolezza aubrey pazze
+imbarazzato brilla michel industrie riuscisse gong perquisire uccidete mandarla ricevete hastings
+calcolo comportamenti leah crichton voltati bin cora magnetica sessanta convinzione patterson svolto
+disney insisti soccorsi tori quotidiano barb reddington decina nasconderci esaurimento zoccola
+astinenza over barrett marchi assaggiato sposerai testare ascoltarla scusarci coscia arriverai
+acquistato sentirtelo problemino ferirti saprete promemoria dormivo weaver diventiamo convince
+pannolino mississippi sissignora eliot stacey incasinata occuparmene buste mettili vinca sogna
+gioventù parassiti stringi statemi notiziari spenta registrando finirò tremare fast accende
+affermativo orientamento ripostiglio sentendo bolla natasha mateo parrucchiere chet installato
+diamond ideali diverti billie voialtri lecca cresci status distruggerlo ball tornò giuri colpirlo
+rischiando mangiati blues prelevato cessate causando supremo shot two sci provava riconoscente
+liquori fisici scotta gerry superata diamogli vociare montana can' stereo porsche alcolizzato
+illuminazione impotente rientrato frederick portiamolo ottanta quinte macchiato approfittare eduardo
+camicie botto prestarmi indistinto hm avercela odino vestirmi veder crepa lasciarvi divisi fregatura
+dotato benson bussano piantare severo morty novellino volontariato costosi groot protegga riguardava
+dolorosa sbarazzarsi giocate riusciranno dimentichero balia manifestazione filmare în ferguson
+decisa stimato disarmato vetrina bird tagliati miglioramento cautela beta portavoce incosciente
+offrirvi riceviamo vigile raj oregon luisa attratta paghera dilettante marianne oscuri benedetta
+inaspettato pazzoide polizza dolly pappagallo oltrepassato decorazioni cappuccino linus volermi
+vertigini tendono fornisce diarrea terreni direte gettate ernesto justine avvelenamento boyle
+impressionato qualificato fondatore presunto sully rapitore giurati casalinga affittare richiama
+ketchup portafortuna jerome pi prigioni tradendo spaccare proteggi daffodils parcheggiata
+rifornimento accogliente addice accoglienza esteri drammatico lindsey interviste drammatica
+concorrente sang betsy qualcosina concentriamoci infilare matrigna iii pentito pallina nervosi
+collera lennox london spogliatoio collare uscivo fregata reagisce imbrogliato es pizzico prince
+suore sposeremo commozione monti imitazione iron comprano clayton dark adele arca apprendista urli
+divertiamo dirigenti eleganti sviluppi opposta avvicinarmi rap chimici sierra general rinuncia
+spence volontaria detonatore gradito incontrano ventre mercurio hipopo mon irresponsabile ignoranza
+disperati fornitore josie alma shampoo illinois inciso ricordava prepariamo combinare operaio
+cartoni componenti chiamerà sentissi segretamente parametri processi cristalli rover ucciderei
+borghese tasha spaventarmi make plausibile televisore deliziosi sesta wanda implica bleah accorti
+assurde pala sfido gamberi sti butch jasmine coyote prendevo divieto condividiamo continuera polie'
+stewie combacia saltiamo prenotare desideravo arrivassi vance calmarmi riservatezza vitamine panda
+davo nova sovrano magistrato giriamo assicurazioni terrence pacchi stà consideralo finge kentucky
+giulio onu esistito creati carogna costera scordare station concreto protettore demgirl protocolli
+vergognarsi siringa flirtare compatibile scarafaggi call geme confezione travestito olandese woods
+imbattuto conosciute determinazione sex combattono forzare temporaneamente mollo sant' attira
+migliora potersi invita negligenza pescatore dude colpiscilo scampo messicana fuorilegge lars ginny
+scriverò ducky diplomatico tazze interventi want union boo arreso approfittato fotte compriamo
+cricket attenda riprendi negarlo solida sintomo brivido orlando satelliti ambizioso sudare
+giustiziato avviene citato desse aldo margine effettuare cariche indispensabile cimici farglielo
+warner tomas dolcemente sputare compratore sottoposto urlava oculare rubo metterebbe gestisco
+responsabilita' phyllis annunci bruciati chiamerei partecipazione ingiustizia antidroga ripete
+apparenza paranoia intellettuale futuri ditelo never assume tonto miliardario banks licenzio
+arrenditi colpiscimi dimenticando consolato intere faith terminale fissi lavati miriam fratellanza
+preziosi atlantic ampio hola aspirapolvere parolacce calcolato scoparti stronze kyung barella power
+nega fiscale riuscirebbe fuller grady cottage assurdità distrarre grimm cavarsela henri mangiata
+rendete testicoli cene corone fardello specializzato ottavo fondamenta giovanile bad disturbata
+figliola sediamo lavo trasferirti letta dannate sabine freschi circonda timone spine scriverlo
+spagnola stagista toilette chiamera newton andarono camelot funerali potervi stancato let barile
+schiaffi arrivava ferri marcy lente cochrane selfridge iscrizione fonda francesco equivoco testata
+perbacco greci veranda rae pagarti solleva connecticut abbaia vendicare fae offriamo precauzioni
+fanny incontrerai unisce giretto volle scivolato comprerò fidavo fragole potercela vasta dora
+assicuri spegnilo lobo preoccupano fuggiti riportata rifornimenti picard cespugli nadine
+oltrepassare abbassato casella wi-fi monta spiegherò molli chester dino annoiato riprende oltretutto
+torri muovete trasmettitore intrusione guardiani stargli porci offrirmi magici leila blaine tormenta
+bistecche enigma angoscia wraith normalita fattura dwayne esterni parlasse hyung venderlo sanders
+ridammelo rappresento pianificare gesso scoprirò stampato delia intervallo partorito fondamentali
+rese torti gelati buffy inventando perdermi rimarro spacciato posseduto fighetta cenno blur gala
+investigare vestirti buttarmi sistemazione morde fermeremo fermatelo istinti norvegia prevedibile
+winter esaminando troietta definitivo pride sentir affezionato andresti viaggiatore gratuito
+procedimento mariana seanma inclusi classifica facemmo dividerci berretto off budella riflettori
+recitato precise separato cannella bmw perkins spostata sfide ramon accettata dormiamo spararti
+tappo socia chiamarli coop dosi hara liberarci adorata vagone wong filtro cipolla cioccolatini
+intralcio altoparlante guardali karev suicidarsi frequenze aviazione manifesto confessa imploro
+sottufficiale trattiene illusioni sopportato seccatura fratellone esclusivamente andrews rocco
+phillips sedativo fregarmi aggiungi giardini centomila ghetto versare dovermi wrestling difensiva
+finiro trovarono distratta lucifero mirtilli minacciare favole occuperà ricardo vela vienna sbatte
+vivrà trucchetto allie riusciresti trovò colleen testimoniato noiosi immaginario servitore
+prepotente scelga grassone reti saliamo sentivi mackenzie vasi consegni creano alleluia meritiamo
+rimandato arruolato damian dinosauro navale apprezziamo bethany liquidi scioccante schizzi morse
+considerate catturati affondare villaggi trasformando giovanna lang fartela frontale kirsten amnesia
+spilla pagheranno gerusalemme avvolto toccherà tesserino au proposte sdraiato quadrante compresi
+asse sherry iniziarono verra' asiatico venirci vibrazioni sostengono parziale attivi nasconditi
+lesione stressata barra springfield correva conducente importato morirono chin cresta consulenza
+rilassato orme ammiratore fateli calcagna lucille trattenermi scesi ada quadrato pressi argo
+rimettiti scatta ecstasy lizzy portateli bibite bicchierino controllarmi bisognerebbe greta abed
+coniglietto suocero propaganda melodia neo kimmy combattimenti isubs drama font capiva jensen
+portavo cosmo dote estinzione squilli fiasco raven resistente rilassante totò gate movies leonardo
+ex-moglie rubinetto edmund multe nossignore supervisione zane cardiaca scatti stringe sbatto guarita
+disperso said corrotti pappa diverto ay felicemente spiacerebbe prepararci aiutate prelevare gerard
+maledette semaforo provalo scapolo delfino aggressiva allergia finzione spagnoli cory travaglio
+festeggiando rifatto scosso peggiorato famose colombia proiezione haskell calligrafia ammirare food
+attaccate umido determinata melinda ammalata poveraccio abbassati guastafeste predatore addestrati
+staresti beveva bass regalino salvate allontana repubblicani lisina nono festeggiato oltraggio
+significativo hangar sofisticato cash paesaggio indifferente benda cancellata residenti tornai
+portassi universitario suggerire datevi balene dopodiché tavoletta asma sopravvive contraria
+amicizie esilio terminata puntura camilla smarrito strappare assi nat spostiamo incantesimi
+trascinata sepolti elias jorge novanta frusta harley occuparsene concentri allan cinquemila
+licenziarmi ricordatelo sistemeremo offrono scaricata orsacchiotto trimestre danneggiare invisibili
+gancio luminosa vini batteri lasciarle elettrici coinvolte jed sfamare trudy kristen quaderno orfano
+scacco ammette curry bottega lieti rango pulisco donazioni rubano orale farfalle carichi skye
+convulsioni espansione ohh oprah doti magazzini devozione meschino scopando sensibili ugh caviglie
+razzi boone funzionerebbe lampadina rilevare angus puntando fighe tremando disoccupato
+sorprendentemente hyde ferme jd strettamente scriveva mattine siobhan intrattenimento vulnerabili
+riteniamo cantava trovami rapinare beatles raccolti riprenderti cantiamo avvenire playboy sciocchi
+azzardare card gru poppy raylan diventeranno rompo deduco savannah frullato rivali reclute credera
+imbarazzata parrocchia piaga inizialmente raccontarti interrompo riprendera abel riparazioni
+acustico equo vestirsi rod fernando plancia invecchiare seguiva spesi morsa culto winchester
+percepire accompagnarti maschietto imprenditore shay churchill adriana sfondato bullo cobra starne
+credessi definisce somiglianza spock carmela buttalo margarita tarda percorrere liberta' saro'
+tattiche ripensato smetterai eccitazione toglierlo leccare insultato penserebbe kayla hostess sereno
+mei pregiudizi dicevamo lurido combattenti squartatore genitali bambolina trarre rampa thea allenato
+sospettata maghi facciata tute suggerendo sarcasmo numerose crediti confusi spregevole dimostrano
+ascoltiamo integrita fluido pipistrello say hazel sugar riprendo scalare verdura sorda timer
+mountain ss kono sepoltura finanziare boys riprenditi mannaggia convoglio maryland trattati
+cercatore ebbi katy boia mulo nemica polacco heidi associato sensitivo simpatia oui inno otterrai
+tappa caterina hawk emesso lavarti finti dax giunti dutch best fibra eileen ricoverato enzo pisciato
+consulto guidata innumerevoli creativa trovarle lusingato lavoravi quarti occupate st sposerò
+rischiamo igiene riportarti talbot fermano marjorie rovinarmi romanticismo funebri sistemarlo chiodi
+appartieni sciolto caveremo assassinata allegria cattiveria monastero dicano continuando remoto
+'giorno veterano riceverai decker springs crederanno testarda ritrovati magiche eminenza salvarsi
+sharpe vitello quiz spente circuiti procedete ripagare paralizzato parchi contato lopez acquario
+emilio apple carver canestro riparliamo menù buttate immobili brevi girava coprendo confido
+sistemando privilegi ignora apprezza anestesia frequentando lavarmi sondaggi collaterale saggi moya
+vagamente ringraziato recensione minatori presumibilmente cox passeggiare noce rinuncio lettori
+sinclair rimarremo anticipato palazzi scioccato traumi ice rappresentanti len protetti rimarrò
+sbagliano amorevole pauline basterebbe hillary scoprite delirio nuca chat inversione canne vele
+consumato lorraine effettuato violare firmo agonia poterle pinguino funzionasse protesi
+potenzialmente marsh palline chambers intercettato soluzioni bruciate asciutto insegnando tram
+trasferisco chiarachi confondere licenziamento raffinato alunni correggere fresche appesa ste
+pianificando sentisse incoraggiamento portarono pensino autentica severa lux ufo condominio
+sediamoci dilettanti fredde ricette abbracciami perdera capricci away patteggiamento elmo grove
+tagliate agitazione ryder alimentazione coulson ustioni automaticamente volanti tirami bis minuscolo
+cate floyd fluidi arroganza arrabbia chiamavo compiuta montato sperava mattone retto ampia possiedi
+ike conciato aeroplano sciogliere preoccupante break abbassi dicendomi adeguato convention
+transizione hackerato mix iniziai altronde favorevole rhonda meteo insolita avvelenata perderà
+stalin jang comprarlo occupano stacco perquisito economici cliniche pappone disattivato sistemati
+ripensarci deceduto sintonia piaciuti peccatori soddisfatti vestaglia lodato vendicatori somigli
+trafficanti navigazione alabama dormita freya sudato ficcare geoffrey company fabbro picchi
+stregoneria oklahoma luthor picchiava cretini uni cortese maddy sauna pensata girate distribuire
+nutre referenze truman richards scoparmi people copri marissa radicale dov interessare pe interne
+candidatura spunta adatti tagliamo tree sergei compromessa ingegneri sguardi evaso fargo giace
+argentina agguato governante indipendentemente predatori virtuale contati pipa mulino turista praga
+aiutino rivedrai philippe crederesti esclusivo reno stamane muffa yuan margherita julius freddi
+monaci allontanarti ammasso dame harbor nascondeva bono tenera tirocinante suggerimenti palmo
+chiederanno conoscevamo alleviare dakota scasso succhia kgb hardy composta condannata testimonianze
+usavano contenimento vito shaun daryl cucire millie taverna giocavo distrutte santuario chiederà
+snow nino labbro elite adoravo swat ripeta guardaci tesorino catalogo tracciato coltivare prodigio
+invaso stand elise odori humphrey passaggi mediocre cuffie raggiungerlo intermediario marcello
+aggiornamenti peperoncino buckley infastidisce specifiche ristretto repubblicano sputato lavata
+iniziera tramando manning finiamola geoff space dissanguato contribuire mascotte avvistato
+ulteriormente orson schifezze soffocare layla inserviente piazzare fitzgerald fidata padella estiva
+luciano obbiettivo biondi mostrero olga multiple bluffando vile incontrate classici moccioso
+esercitare rifugiati resurrezione manoscritto terrai major teppista grandissima scrivero marley
+settima presidenziale preferirebbe scellini brothers chirurghi keen superarlo aura cadillac
+permetterlo percezione difendendo vendeva consolazione wang mccarthy stabili aiutateci bette curve
+ascoltata bri por scrivono dispensa scongiuro arrivarono nutrire ctu contatta hydra fraintendermi
+mirino bronx strafatto rollins isolata chiediglielo bastoni insufficienza affermare gamberetti
+scatenare burrito tirocinio riunire ricche tetta sbarra fà amati dirigo nashville stein lotte
+inviata fedelta resteranno trattative stronzetta vittorie attivita' intendere volerti herb portello
+tossica shanghai cohen preferiscono tagliando penali cinquecento obbligati bolletta ricovero carolyn
+televisiva vincerà garza decollare ragioniere motivazioni sperimentale stuprato rettore psicopatica
+offendere cracker appendere carota commessi salutato mordere eventuali tubature buttando
+sottovalutato nervo graffi fisiche ricorderò partiremo fragola missy sheppard monumento masters
+andassero allontanarmi pugnalata aigoo appartengo guardavi spegne seoul gracias caffeina capre
+landry interrogando pessime gaby promuovere vocazione giostra fantascienza cloud eleganza riduce
+distruggi khaled cominceremo gufo seni risentimento perverso immunita devoto riceverà buttarti
+scaffale grand' potra' salutami complessa intatto alcolista aggiornata rivincita herman felicissima
+village fallita lavon vescica aneurisma wars milionario sailor esisteva maligno riparazione broncio
+tutor dubitato trattenendo schifosi bancari sognavo sparami camminiamo dall malik mercenari
+autorizzati wagner lillian conveniente raccomandazione quote biopsia comparsa corrompere trofei
+instagram morrison gesti apprezzerei risoluzione bunny modifica vin alcolisti permetterà vota
+skinner auggie promettimelo chiudono colposo rimetto liste impianti uncino alzheimer toccano fategli
+soffrono calzino ventiquattro barre assaggia scoppia palloncino gel bettaro sveglierai subtitles
+litighiamo algoritmo sfondare margo litigano interferenza riprenderà reginetta sorpresi fottute
+sassi bowl porterebbe centralino porzione yun martire scrupoli informatori inizierà riposando
+affermazione brine-chan rosen allettante musa parecchia impedirlo pepper sembriamo garden ainhoa
+cavera ping passeranno congegno portasse piccione procurarmi dedizione ascoltano moe mayday assedio
+disonore yakuza anca registrati confonde controllarti whoo echo predicatore quercia metanfetamina
+pidocchi turba polare lucida robbins caverà tito peggiora camp maine britannica alfie cenerentola
+iniezioni progettando fargliela uccidervi funzionari follemente fumetto cor rovesciato equazione
+controllarla rivedervi laureata eliza salvarli hobbs sunbae elefanti riflessi apparenze zeus
+cacciando sospettare locke hoffman willis place trecento offensiva gino nonnina cotton aye
+convincerli godermi funzionante suicidata marnie pawnee vaticano votazione infettato security
+colombo chiameranno sbronzo crudeli walden cadute insegnamento firmata tirano imbrogliare autori
+idromassaggio avviato annoio accensione weston silvia composizione localizzatore anomalie astronauti
+traditrice sanitario suor aspettassi mangiava pulci terranno impeccabile estremi pittsburgh conor
+tenerle chiamarsi bazgaz punk seghe piuma avvicinano topolino alvin sterile coccodrillo capirebbe
+allievo foreman annegato dewey caratteristica shea onorata mabel vecchietto felicia sfidato scambi
+ovvia collasso ringrazi esilarante deviazione rendeva thatcher erta calorie dracula tabella mondiali
+salviamo feto fasi rari global apparizione saldo trattando franky louisiana pennello uscirò cercherà
+as cherry fermalo impiegata line lascerebbe prevista byron stefano starsene escort schiacciare
+perdonate cuor scoppiata plaza prendeteli vivevamo strati accogliere turtle obiezioni sbagliava
+imbarco ingoiato music chiedersi detriti commettendo direbbero terroristico emerson seguirla
+pedofilo franz buttarlo piegare robe faccino fidava cascato sfiga richiedo perderei buia ju antenna
+mckay registra gabby azzurri carroll disaccordo ritrova caffe' cretina semmai logo spirale dilemma
+ambito proprieta' death amarlo difendermi realistico decennio apprezzi forrest normalità cavolate
+cubo considerano parabrezza fastidiosa micah accendo ritira guance affollato udibili collegate trip
+osate ebbrezza povertà moschea esporre presta loft cosetta iniziero ricevono wilfred natalizio
+rimarranno seguenti fungo eccezionali postato castro vivrò spingendo nascono percepito moss riaverti
+prescrizione arabi supporre mangerò iowa cambridge lego bureau netto herpes dex chiederai polmonite
+florence paranoica yoko wild cerotto saltate accelera decifrare identificata meccanica ficcanaso
+future emmy neutrale gillian direzioni ciccia stabilita proverai cheese room sweets stagioni
+paralisi serrature riaprire sylvester colt dunham code annalise teppisti contattarlo ostriche
+herbert bastoncini preoccuperei candidata mellie viaggiatori usciro perdete combatto laterale
+webster eyes razzismo odo tracciare analizzando eserciti debolezze cucino sudando concordato fry
+crei alterato stiva inferiori portavano farmela scherziamo chun portico tagliarmi noel rane lavorerò
+spingete aspettarci scivola they hicks combatteremo bancario morbida gregge ambientale
+rappresentazione marisa tamara peppino fumando kathryn scappano mercante fogne rombo barton deborah
+soffri spostarsi rimasi boccata elettronico pasticceria pino diverta pagarlo terrazza apposto
+fulmini bender annuario bruciano norris commosso arrestarmi storica pretty 'il misto avute territori
+immigrati precipitato ricavato turchi trovalo vergognarti luc citare rivolgermi lontananza
+omosessuali angelina risvegliato moran leri western traditi united sorridete parta maestri lavorerai
+separi winnie turchia cespuglio temono ammenda cattolici accorgi law ingoiare cascate manico accorge
+swan medaglie anti scafo ciglia deludere amigo carita balistica malley elaborare lavorero capro
+danimarca sacramento ridato buttiamo underwood dispetto investigando allarmi preziose trasloco
+democratico lyla finte zombi reciproco cigno professionali applicazione ricordiamo milizia manciata
+fondatori prendetela livido ricorso stimolante crycra confermano obblighi interprete ordinario
+pagheremo preservare incontrarsi congrega conner usb dickie interrogarlo acuto pattuglie pinze blood
+bug avvertita conclusa gigi milord critici raccomandato real petizione diano unisci sarto leggete
+riuscivi lexi ripugnante oso tariffa bende licenziati reddito vano pacchetti bing cuccia nativi
+affanculo riprovare memphis abisso forum squisito tremendamente campanella talk inizieranno
+prendiamoci circostanza togliete strisciare vecchiaia taser decomposizione improvvisare baek ida
+procione libby alvarez pizze dovute mancavano farmene boccaccia invincibile frittelle esposti
+governi bullock tempeste briciolo fotografare espiatorio chiedile peloso scarsa strappata fattori
+felicissimo prurito proseguiamo ricordarlo rinchiudere faticoso passionale lavanda decidiamo
+rappresenti imputata lorelai macchinetta rimborso specializzazione prelievo ignorando massacrato
+rigida competenze intatta quantico sequestrato nuotata castigo volantino zefram tributo fritz amarla
+palpebre acuta acquirente urrà modalita waffle capirmi occidente costruzioni letture incarichi
+magnetico sound oppio rotazione gigantesca neonati je associati soffriva separarci tamburi prudenti
+appropriata brezza occupava invecchiando soffio spinale fortissimo santos granate navigatore
+memorial mangero rhodes sentiranno abbasso mandalo declan pretendere europea fátima stirpe assalito
+esatte piangono that' camioncino corteccia venirti completata splendente rupert automobili consumo
+amichetta catturarlo comportava conoscendo banchiere open artistica battermi ripetutamente inventati
+controlleremo interrotta vortice fune sincerità crederlo ricambio arrestate utilizzando inquadratura
+virale ansiosa bue unirvi fabbriche constance bagel jarvis compleanni salame grigi cinepresa pick-up
+chiedera boxer acquisito entusiasti collegamenti spostando gradino subconscio palace tormentato
+bisognava ingiustamente dev cartellino caviale woman lyle temeva panama messinscena polmonare
+danneggiata azionisti relax riattaccato processato torrente posteriori dalek goda passarci
+scimmietta prestigio accettano pranzato riprova mancherebbe lnvece wisconsin architettura bear der
+rapinatori definirei scambiati aspettarsi coprimi anatre candace frustrazione pike madeline
+eccessiva tweet impegnativo violentato coincidenze scoop nacque yes virgil doe webber rodriguez
+ananas elettriche sunny spedizioni capiresti difficilmente chiosco piaceri vinnie cecchini
+intenzionalmente parentesi elevato thailandia compie schede com conflitti bruto huck hip beccano
+noiose gianni ridete potuti squallido vincerai insultare chic wood mexico tolleranza kiki briciole
+mummia amerò comprarne adeguata fenomenale vergini fiocco musulmano scarafaggio manipolato
+antiproiettile limitare credenziali riduzione cerchera continueranno strauss tacos opposizione
+permanenza comprero soffocando poldark seymour stalle dyson sommato purezza posare tripp conviverci
+gettata recitando metter rovine criticare trasformarsi nobel intime rand granger isterica troie
+mozart jennings integrità materno dovro' desiderano cloni riprenderemo riscuotere periodi mettessi
+mad scavando savage devastante equivalente cognac comunione gunnar aeree promettermi consegno willow
+ale princeton riker yates 'la pagava succhi paglia insegue appreso infetto toccando fieno rimettermi
+terrestri tavolino gridato significasse tornerete trovassimo cavarmela nona utilizzo raccoglie
+sentirvi condivido ente assumo aggiustato adamo fissarmi channel aeronautica confermata esattezza
+scemi fermamente costringere jeremiah hitchcock superstar atlantico riempi salverà risolverlo tao
+contando cancellati coccole verticale clandestino danese zuccherino uccidetelo accettazione royce
+esigo odiarmi pulendo lynette collaboratori mutaforma tornino avviciniamo rido imbroglio rompermi
+lucascorso crush falsificato rimetterti greene donatori picchiarmi riguardanti drammi appoggiato
+pechino chakra innamorarsi baldoria ubriacare incontrai desiderava tenevano mitzvah im immune pegni
+heights contattarla maniglia iniettato hit buttala quarant' estorsione pilotare valgo cuoio arrivai
+previdenza ricercati holland delfini moltissime coinquilini innervosire dunn trasferisce lucchetto
+salvami firme ingrato occupera tienili concedere newman esposta ferisce spedita august pratt
+sospendere zar cisco giornalismo confortevole axel litro bye scusato saga caffrey stupito ricorderà
+unicorno meteorite sonya clary studentesco scegliete fari stoccolma chiedimi restituisco
+fratellastro bastera desmond zoom bentornati ragazzaccio coming manicure pivello provassi
+rianimazione vasto bhe venivi prendersela sketch approvare fidano viaggiando express piacevi
+cacciatrice aspettarlo leigh infelici toronto divertiamoci incassare sweet ventilazione mademoiselle
+spenga robusto coperti provata raccontano furgoni brutalmente ruiz segnare slitta festeggiamenti
+servirti svuotato versioni entreremo dialetto there ceniamo penserei orgia contengono zii tuffo
+sceicco attuali capone marroni church capirci vedersi profumi cheeseburger arance prendevano bentley
+investita sostenitori beau ripensandoci ripetuto mali assicurativa vigilanza riportiamo rompendo
+trasparente touchdown fori avertelo fosso immorale giudicando ventina conducendo slade dispiacere
+greer tireremo accusati punte idiozia derby simpatici titus rottame identificarlo stacca timbro
+deliberatamente señor correnti bozza varco crosby macché sopravvento copiato redenzione estasi orto
+infame webb lavi lasciasse godersi ano avido suppone crosta marmo sincerita brindare shuttle
+abortire partono morali disparte soffra cordone ridicoli maionese suggerisci romana ammirevole
+localizzazione thorne malibu segretezza allenarmi espulsione bagnati batter spogliati cattedrale
+brillare condannare farabutto devastato debutto josé swift giudicarmi suonate dirk rivoluzionario
+telescopio comment presero she dougie annegare dominare chissene doctor meritare scusateci riservati
+venditori titolare sugo ding chiuderla cecilia affascinanti trasmette datore atroce ambizioni
+chapman dizionario conoscerai gnocca tostapane cagato angolazione charley pong schiavitù costolette
+colonie leggendario velluto bigliettino friends getti tonnellata skip divya defunta lise boulevard
+elle fanatico vissuta vedevamo organizzazioni addetti scooter coincide pacifica bbc culture steph
+seguiranno rj marks ospizio prenderebbe gestirlo desolata dorato massachusetts next ragnar
+aspettavano pae' piramide guardarci successore ballerine nicki racconterò traduttori concede postumi
+dinastia impossibili sentiresti guardiamarina programmazione glorioso ahmed aldilà parare scomparve
+sybil 'non caricatore pedina flauto infedele nun solomon ciel osservatore saltano gradevole
+garantisce ingiusta tocchera ritornata impermeabile rassicurante inviando arsenale europeo
+baby-sitter concessione cada daccapo investigazione perez compromettere pezzetto sentirete andiamoci
+yvonne marce psicologa virile ally disordini perdonarti rapinatore afferrare irresistibile
+compatibili pacific tyson frittata mercy sportivi musicali raoul sonja accompagnarla minnie
+guardarli cartina becchi joss poppa syd hopkins clint senor gol sporgere arredamento frequento
+parlaci affermato fleming sottovalutare divergenze cercarli tappeti diffusione divorziati punch
+prescelto oleg dorata amara spiegarle piantatela puntini onori autodifesa begli memorie uh-huh
+tendenze rilasciata tennessee zen pen fiammifero influenzato descrive frate contiamo marian colei
+rivederlo vallo charleston diagnosticato anteprima malkavian siria corvi viaggiano strone' hello
+arriverò alveare heil psicologica trasformi reich quiete xavier macerie radiografia evgenij amleto
+pelato gemiti sedurre identikit rapiti biancaneve bracciale cabe purché hamptons special spostamenti
+pupa avvicino connessi imprevisto viale abbandoni principiante divise girata paddy chiederemo
+trasmissioni distruggerla immensa costringe angelica mercer componente toccava dividiamoci vocali
+tristan everett anziche riprenda tai sinatra misurare ficcato nathaniel pavimenti ambulatorio
+obbligatorio abbandonate cheyenne scava cripta dovra' sorgere gradisce patologia barbari caverne iv
+istituzione mega cool saliti pretesto sigillato gonfia tecnologie fascista sipario cucinando
+goldberg orrori riproviamo diciannove tiger ammazzano reilly manderà gladys alghe classi toccarti
+odioso elliott olanda serale organizzo maialino delicatamente chiamassi fiduciario dream lexie
+insinuare nuota amassi salvera ardente loretta pubblicitaria land sem christie gratuita
+straordinarie muscolare mccoy ricchezze peters dedicata licisca versa tell riproduzione ulquiorra
+aceto universita' grazioso tovagliolo cdc micio arrendi mettile costola irving norme aeryn wendell
+trattamenti dolores uranio democratici staremmo camicetta sposero riprovarci daitarn minnesota
+sanguigna visitatore splendidi abu coast temuto ambulante crederebbe kendra leggerla etico positive
+vedevi userai inquilini religiosi meritate mania calvo psicopatici tan fansub camminava moretti
+perduti entrasse zeke pupille seguirti sottili mancate maleducata quark danzare allucinazione
+lottatore spargere hanson crederete grembiule infetta annoiando intesa costose affronteremo arie
+malone idrogeno badge warwick garanzie fanatici eroico candeggina rosario finanza adoriamo forzata
+succhiacazzi ricorrere chiamasse regolari accidentale immaginando aspettativa europei oramai fette
+indipendenti portino elaborato carnevale harlem strangolato scordata concentrare mostrargli
+imbarazzanti ridare trasportato referto paramedico pensiate abbracciato pensarla atlantide rinchiusi
+neville pervertiti pilar finirlo harlan dot abituale affrontiamo scivolo arden finì depositi morgana
+bizzarra giocata controllero uccellini rottami allevamento iddio abitazione bilancia rivelata
+meditazione docce sorge goal migliorata sloane asteroide rispondermi part calice neurale allenando
+last aggiungo agitarti nana abbey ewing tartarughe cucito marocco eufemismo tornavo unitevi sing
+bohannon apparsa svuotare altitudine vegetale conserva pagarla modalità rip darby contabili stig
+motocicletta astrid alexandra mollata diari apice froci lucertola sorridente spaventano miao misi
+venni torture tassa terraferma invecchiato ming soddisfacente appiccato hop clausola osservate cito
+strangolata estranea protestare rituali chiamò seguiremo rimettiamo piovendo jace sciare discreta
+viziata raul lavoravamo tranquillità page sperimentare combina sparsi arrivero hollis scontrino
+becker emicrania letali esitare didietro oi permettera mettiamolo scarso riavuto affronto gomez
+davide hye farrell solari magazine eleucalypthus kathleen cinico deserta omelette madam inn quadrati
+affascinato rimpatriata greca head sensazionale macchinari pasticci ingrediente inquietanti bojack
+reclutato definita transazione iceblue tenessi french bronzo channing ricaduta imperdonabile isolare
+bacche raid collaborato trucchetti storici iniziati elfo scorpione esigenze scoppiato diedero
+prescritto sonnellino lunare fatina strategie psichiatrica formano consegnata adottata dritte
+claudio mee' unni colon giochetto door cacciavite edoardo sorrisi giustifica esigente impalato
+saldare traumatico cavero fuggi fanteria servite vermont infila temperature intimita bluff
+travestimento selfie legione milza amichevoli sensuale danze vo agganci spieghero rivolte elimina aj
+ripercussioni consideriamo cadi salem nasconda unghia africano addormentare chiasso medaglione
+hopper generalmente lost sperimentazione germi rice pulisce rilassatevi spariamo contante negative
+pyo tower zingari approvo decenza hut inutilmente vecchietta fradicio rabb riciclaggio abitava rude
+organizziamo gradini ospitalità perbene ruben jekyll powers dentifricio proponi coleman britta peck
+rate boh tenevi suggeriscono inchino sfere anale accelerato durano partecipanti smettiamo rumoroso
+motorizzazione hoyt orsetto reggiti sporcizia rosemary notturni matrix ricordarsi penetrare
+delicatezza fenomeni gonfio istanbul scontri contenitori aiutava chiamavamo scontare selina
+geneticamente ronzio statue spezie vlad incontrarvi trasferendo curata barretta affettuoso leland
+doppi bulli vincitrice posseduta credenza etichette scoppio chirurgico anto lil meeting klein
+diffusa diventassi cosette istanza memorabile ucraina illuminato preoccuparvi hiro ammirazione
+catturata 'fanculo cambierebbe regionale filiale ciecamente trascurato ebraico camionista getto
+asiatica informale essenzialmente kalinda paia paradise cantate punita angioletto vincera ciondolo
+crampi daily parlartene giardinaggio giocavamo sposto incantato chinatown oserei tiratelo testate
+idolo sultano vagare prospettive trans svitato alessandro sposano insonnia islam her confermarlo
+dormite verginita puzzano rivolgersi risolta disattivare preparano maddox jade prenderete planet
+tornatene guardavano eta' hotch sparso nemiche relativamente smalto resiste otterremo valuta
+intraprendere montreal sisko losco raccapricciante contrasto ragionamento galactica moderni
+provvedere gradimento affronti ricevera marshmallow dash storta rodeo scavi stendere johan
+innamorare utah educata stracci vivavoce fowler rispettano draper mustang schiantato pescatori
+invitarti medium brittany reciproca click davies dragon empatia festeggia riparleremo prigionia
+intenda strage orco risparmiami utilizzate bonta ossia usarle ran ricordero torce rovinarti belgio
+riceva spiagge senape lastre sensore immunità ritrovamento lattine toccante attrezzo avatar pianista
+borsone hippy gridano sonora verresti ulises cavartela reg risolvi where torturare teen rimetta
+clare baronessa guardero riforma supereremo orecchi voila rifletti posate alberghi chizpurfle
+mallory smettero milligrammi liberami dormivi conteneva annoiata distruggerà nascondino gestirla
+efficienza dobbiate rare siam ricevitore spengo hannibal calmarsi perte rilevo fornitori buenos
+automatica diplomatica telefona assicurerò collezionista perseguire puniti mandarci diabolico body
+cazzoni fermeranno ballard stampante trek manteniamo bash fermiamoci liberty insegnerò marylena run
+irregolare temete colta dispiaceva stivale jag settimanale urra remi convinzioni ling talent dista
+stupendi tastiera conway gnam spingermi vigilante rogo sprovvista bloccando scivolata cappio barlow
+congedato ideato abitare zenzero imprigionato sweeney popoli vegeta crescente dorma immersione
+sentiremo mutazione accettero viaggetto erotico ruscello buffalo rosewood waters norvegese alluminio
+mancino piercing corey viktor intrusi turbo sedervi rodrigo bambi cartoline cucini magic ricoperta
+spontaneamente ultra sfortunata tremila chae mantengo let' vladimir trovando distanti dedicare
+storpio lascerete spinti sordi missouri và minoranza centrali aumentando butters rivedrò hippie
+kirby coste dovette avvenimenti caricate equivale derrick tetti chiedesse horatio comparire castani
+bocciato minchia maxwell rendersi accostare ipad bowie discutiamo always praticare arrugginito blah
+gob retorica urgenti gela requisiti gaia distrazioni coerente bow bernadette scogliera combattete
+free janine nego attendo vedevano segnalare poterli match antiquariato picasso raquel minuscola
+parlarmene lapide bastasse richiamarti operativi roberta ritroviamo scheggia parsons hermann infetti
+corporation pattini hayden scavo diesel licenziarti sl sfigata retata frequentava paragrafo
+collabora fermerò riconoscerlo consultare mettano stampare pessimi chitarrista miscela batterista
+kristina francobolli ingaggio sentirò diva sopporti concepito corrotta building identici assurdita
+comprensivo guadagnati remy beep darwin divorziando mostrate escursione lorna generare otteniamo
+ascensori comodino accordato intensamente ammazzi oh-oh jolly protettiva prendile lasciargli foreste
+cavare cambierai qi eddy raccontava uscisse bollire telefoniche portatore amavano aperitivo
+salutarla ibrido giocarci scegliamo serviamo stravagante spuntato imparo fischietto buttano
+inquilino confermo zuccheri inaspettata guerriera odiamo family comprarla deluderti verbali
+clandestini spegnerlo togliendo portarsi cranico ordiniamo burattino proteggono interessarti
+supereroi filadelfia tenerezza incrociate ascesa diventò pipistrelli cronologia divertentissimo
+quotidiana oscure incinte bui immerso austria mettesse asporto sprecata mazze politicamente lime
+baldwin guardarsi trattenerlo mischia medusa morton jeong gioielleria tenervi finiva masse
+contaminato marsiglia wonder creo kip installare annullamento recensioni manomesso perseguita
+acquisizione freud ipnosi portone abituarmi divertono infermieri emette riprenderci kyo dustin
+chiedevamo tiranno clientela spontaneo ori infestata venirne crudeltà navigare riattaccare mcnally
+domino mount panoramica pandora zac trattativa berkeley lanciata mercati gialle casualmente
+bruciature sigla jethro cosmico riuscì pregati fermero avanzate entrerà annoia sensitiva decidono
+uccideteli barare successivi fattibile ames comporto scrivete adattarsi fatture riuscii consapevoli
+schizzo favorito botola galles dorian deciderlo accetterò splendide monitorare elemosina assegnata
+leda governativo ospitare svizzero rivelarsi elisabetta invidioso trattenerti peluche nominata
+machine doloso eagle arrende buttafuori notaio odora herisson giudica deliziose lusingata approvata
+divide georges fattene cilindro carissimo vendute sentirne barrow faraone iceberg amasse domestiche
+insulina imperatrice pompini madeleine lussuria confuse jeanne morissi gaio imputati pubblicitario
+pesantemente sostanzialmente lettino capirete morning catetere sociopatico interferenze passatempo
+attraenti rivuole giurata squadrone concessa insolente tutela litigate summers pagliacci play
+cruscotto terzi moltissimi lasciai qualificata spezzo scultura respingere ottava sutura rovinati
+darete umiliata siluri spazzola andré accidente yossarian plastico sensei concrete lacrima tagliano
+crudo provarla divorziata eccitare morirei rabbit conduttore janie teenager melody presentarle demo
+bandiere andrebbero scoiattoli signorsì islanda muoveva staffe guadagnarsi strange cammello verdoni
+buche dunbar lima talebani tuttofare notifica allievi soffice adulterio lasagne parlante ohi
+raccontarlo utenti skateboard consente implorato sodio lasciamolo deporre purche truccato esagerata
+vibrazione lasciateli ferramenta viscere possedeva cameraman convegno separa burocrazia informarla
+zelanda sabotare abusato scioccata orecchino montata compilato eur formalità dina mentirti chung
+cosiddetto bombardamento vivesse investitore slater androide compensare reyes intitola virgola
+applicare allenare ricordera chiamarci vegetariano vettura laden kaylie impegnarsi mandera piacergli
+progettata coperchio unita' rilassare lamentarmi combustibile durant gloriosa saltando fallisce
+sotterranei raggiungi reggi accetterà cobb scagnozzi cominciarono santità lenzuolo eviti battendo
+intimità separata finanziamenti bionde impegnativa sasuke volendo colpite settanta tombola rientrata
+agricoltura occidentali bouquet bangkok elfi fottano starle producono voodoo fattorie denunce sbatti
+act mafioso bruci topaia ramsey batterti minato allontanata ceppo nicolas simms rispondendo
+penitenza par causati irrazionale ricreare gestita ubriacato moira oceani farmacista baccano bryant
+capacita' risse finestrini vendicarti finitela avverti lavoretti bowman scintille casuali darnell
+raccontaci gonfiore cooperazione contate dò avvicinarci regalare avventato avvicinata provenire
+mantenga occhiolino honey remo coco distruggera ya rinunci rubarmi bigfoot louisa paco reclutamento
+china burger giornataccia roth scoreggia infastidito saturazione dipendono obbliga bonjour colpisca
+ssh patriota oliva elmetto temple frustrato nuora berry ryo prua shiva economiche parroco
+innamorarmi tirala incompetente restrittivo specchietto caffé iscritta leucemia ciascuna marcos
+buttarla investigativo radunare batterlo myka programmata vivra nubile granaio rientri puma
+sottotitolati bau charlene generosità trasferirci voleste parrish ignori varietà ballano jillian
+scaffali mascherato contagioso accessori eccellenti mettergli argilla affogare discuteremo abbraccia
+diminuire spinga gode oretta grasse lulu indubbiamente incline entità avena residuo congelatore
+agita fischia australiano sorvegliato discorsetto tagliarti entrera appaiono trambusto disastri
+ltalia deodorante bjorn riassunto bevute trema lurida identiche glutine anormale morente vergognoso
+giada lame servirmi schiaccia agganciato leggeri ae modesta adattamento singapore bocche picchio
+assicurata tizia seguirò avro' immunitario rilassata sud-est procurarti capriccio esprimi cominciai
+cacciati motociclisti perdonata camerieri rivera ditemelo spogliarelliste attivazione rifiutano
+delizia marciare sfacciato soul amuleto targhe kelsey videogioco die fintanto raggiunga calza
+gattina difende stabilimento consiglieri avvisarti illumina crediate lampade costare svanito svolge
+energetica cullen morbo appoggia dimitri dragone indovini lucien avvoltoi incoraggiato risolverà
+proctor compere barcellona cuddy liu occupartene salvarvi imparano lassie spostarlo demenza scofield
+mostriamo upper vigore sedete idiozie great acri esposito civilta falcon destiny phaser pone giacche
+cape entusiasmante ricordarmelo jaime fallimenti alcuno aspirante mercenario epinefrina esterne
+creiamo copriti firewall cesar tenesse derubare aggiornare steele berlo urine fotografi allenarti
+andra' adottiva rizzoli aumentano benedict raccolte ricattando appoggiare piantagione salutate
+scheletri solista vacche sponda tenute proteggerli shepard escobar badi hour stenditi milly latta
+proteggervi tariq granchi evitiamo sovietici ciurma mensile incognito vicedirettore bocconcino pause
+digerire abbandonando soprano psichiatria collisione cosí noleggiato contattarti sincere intoppo
+vascello trapano preghi pasticche scoprii think cadrà aiutalo tech rahl sopraffatto cosiddetta preme
+ragionevoli jt buttarsi difendi lavorassi breccia tollerare restava merde tau matrice infezioni bu
+ingannata cercasse rompiscatole violente imitare passamelo approfittarne ossicodone dimostrarti
+restringere udite erika inie' isis accadrebbe aprirsi sovraccarico jaguar debbo kendall
+prematrimoniale create aggressioni jacobs contattata fazzoletti regni incastrarmi pearson basandomi
+parlavate azoto finanziarie rimpiazzare menzionare decreto ritardare interpreta collier profeti
+minerale zymil imposto scadere arrivederla howie essercene tacco buonissima temporali ripristinare
+kikka molle rompono trincea attrici presidenti provini corra ridge ace trattenuta parleranno
+richiamata proveniva giungere benji oculari partecipi aprirà avvio guarderò verrei diventava vintage
+rimettersi cutler flirtando ordinata esorcismo emil portargli sicilia manifesti piegato carenza
+rapimenti parks galassie gallerie esteso abbonamento four annulla presumere assicura restassi
+trasferiamo goldman sermone viv osservazioni avvertirti sentirli princess britannici ritroveremo
+ottimismo melone lavorasse spartaco achille theodore voilà credendo varsavia sprechi intendiamo
+quill litigi consulenti blindata asiatici scovare nada vigliacchi moquette discute borg
+mitragliatrice blanche gonfiato orange sistemera krista benvenute sfruttato guadagnata hodges fichi
+campagne stampo juice annabelle impegnando guadagnano inganni ghiacciato caraibi ram inopportuno
+giocheremo busto servano occasionale feel dormirai dominante pantera puramente sposerà kenzi piatta
+aggirare maleducati wilkes navid yeon biologici rovescio swanson disneyland pozza urto mitra
+trasfusione supergirl jutsu seriale prenderesti tonight incapaci disteso doveste rimanesse sedativi
+mit gale tank commerciante quest sim dedica peccatore mancanti accaduta sconfitti sifilide magnifici
+identita' proibisco dobbs tofu facendomi complessi crollando zelda camminano raggiungerla termina
+embolo patton contorno arrow joanie moses cerchia servitori fanne insegnargli nube riconsiderare
+piccioncini fighissimo debra raccontata dovetti salutarlo lynch tandy sottratto stanchezza ritornerà
+pareggio riuscendo linden affezionata quantomeno mentiva scelgono definisci trascina ministri
+disabili puzzo elisabeth negata jacqueline sensibilità about gun pornografia ottengono insegnamenti
+furfante sparse congratularmi svelare sfacciata esitazione razziale mettevo compagne genevieve
+ghiacciata ripieno irina appartenere edison soprannaturale contrazioni saldi scaletta basteranno
+ordinaria cairo cabaret diccelo pannelli scatoloni crociata identificati procurare crucchi salvador
+esplorazione jocelyn vergognare como esplosiva batto emettere alfabeto cardassiani risiede
+costruisce ristrutturazione beato dichiarata infuriato rimozione fragolina comportarci sistemero
+scientifiche ripagato richiamero richiamarmi altalena give sfiorato brownie uscì sottaceti darglielo
+caldaia hakeem laccio poligono continuavano scaricando divertimenti esitato vesto vorremo aspettata
+riporteremo riguardante mala pr riposino umili pronunciato ostili levare ain' impegnarti trovavano
+assolo riuscivamo harmon valentina gettala inviati sadico permetterebbe tirero mouse statunitense
+armeria valzer spezzata spegnila sottotitolato artificieri chow entrò vatti tigri machete
+campionessa trattore arnie macho implorare telaio diedi dubois obsidian ravioli ricordarvi ammessi
+freeman marlene leela portaerei mmh bypass dimenticarmi raccontarci piacevo facendolo spariscono
+barili cappellino repentaglio morales incolpato ripensamenti ne' viverci passeggiate jogging aldila
+ahm corrispondente lanciatore rivers bare istruito keating irrisolti inciampato porcellana zed ham
+sven smettono spietata brano secondaria lasciapassare hoover apriremo animazione arrabbio
+allontanando disciplinare abitano story procurarsi colletto ridacchia costruite roxy sindacati
+cornuto respirando lap rispondeva wolfe sacre salata sentano combaciano morirebbe ricci barriere
+shark coloni avi assomigliano respiratore ricoverata sabotaggio ritorniamo why ventimila titanic
+esisto invadere conobbi ercole puntati tc decima pretendo guadagnarci rimorchio pritchard apache
+ventidue benché pilot confortante integrale eliminazione artefatto audizioni stradali utente oracolo
+cafe genera matricole volute caminetto serecea stupefacenti considerevole soffocato impiccare cavia
+ritieni sgabello regan mercatino femminucce ammanettato proteste trovatelo ritengono infrarossi
+microfoni mitico percorsi riavrai bebe crash beethoven tranquille inginocchiati josephine parso
+uccisioni three valige ridotti alistair trovavi omaggi irritabile costruttore pin addicted ipod
+accendete sacchetti mandava inconveniente caposquadra curiosi cono baghdad debitore hugin ordigno
+ernest delusi barzellette rinascita cornice langston compari trasferisci brigata lamentato
+tesoruccio ramona rain astuzia cambierò epatite eccezioni kitt madrina storm passioni leggono
+scotland riportate banconota esteban baciando trapelare pantofole credente ciliegia valutando
+pagherete fisco full kimi fischer pesos pezzetti pesche eureka dispersi assolto sbarazzati da'
+copiare colpiscono offende affonda rue bernardo retromarcia introduzione sbarco brock incolpa
+permettergli caratteri raggiungiamo esistita indurre dispiacerti minorile secondario bastarda
+cittadinanza fondata mancati impedirmi ricambiare pia raggiungendo melvin nascondiamo bossoli dotata
+sondaggio iniziava invertire fiala stallo lumaca ruxin terrorizza approfondire disoccupazione
+fartene lasceresti dimenticherai commentare spider edwin abituarsi mode mossad prostata rivedro
+caramello ro stordito amichetti gon specializzando sottolineare finanziato renderai helene filippine
+esclusa johnnie dormirò ispira caverò tommaso indovino sposami arrendermi indossavo rebekah scomodo
+bacheca zip dodge discendente presunta accurato sfumature leggeva kemp arrapato sapessimo smamma
+kristin penseresti spiegartelo testato lucifer diffondendo facciamogli bluebell salato ridire
+ipoteticamente cazzeggiare aggancio pip pinguini oltreoceano riusci hilda divinità elisa troviate
+franny flessibile indovinello becchiamo assumendo rubino riportarmi rappresentato dirette
+sbarazzarmi commendatore passò sbrigarti banchieri cadra teri amero calcolare sands divertirvi
+discografica piacevoli servirebbero terminal stupore hilton bullismo tirarci patatina gonfie
+useranno lip sigillata sdraiata pseudonimo vetta leroy asfalto tragedie negoziazione parcheggi
+decisivo redini kieran gestiva graal taccuino eliminati margini chiedendomi registrate gestendo
+impertinente fraser lukas arabia gergo graffiti introdurre ichi registi epico firmate accusarmi
+annullata starling puzzava userei scordati lowell sentiro scusaci garth dipendere avvisata deludente
+purgatorio nubilato liberiamo rado diffonde deep raggiungeremo dettagliato avvisa remota egoisti
+troverebbe cappellano softball vendicarmi pescato fortunate contabilita rilassa noh hiv five
+distrarmi filosofo macchinario condivide sykes spaventarla prenditela ritiri michaels giochino
+scintillante zhang rimaneva yankees ramirez piacerle eccentrico tenti scialuppa yolanda infilo
+sapeste meridionale sporto bruxelles fummo ingegnoso campidoglio uccidila porteresti smetterò
+brewster condanne insaputa distesa canadesi sheva fronti fragili guarderemo metallico sostenitore
+amir minorenni camminate mentirei pegno spacciati imparziale peri ritornerò lotti forge scriviamo
+tattico rimpiazzo cosina biografia buonsenso benche importare larsen cold violando risultare
+microscopio portabagagli estratti joanne too perizia aspirare ripetermi leali tip davey condividono
+chiacchierone spazzato tovaglioli intendesse martina presentazioni action capsule designer amerai
+kerry bastoncino trattate susanna somme ovuli rompipalle sposarvi comprarle atene cercapersone
+enrique santita fields raccolgo collettivo gim sparatorie sembrarti allenarsi velenoso mao bee
+paragone tamburo perdersi hi trovammo stage esisti entrerai provvedimenti tossine highway
+attentatore supposizione universitaria crollata benton prestazioni oo anatomia fat prepariamoci
+trattieni hardison sbattuta crolla impressionare decidemmo vous ramen rifugi replica series lahey
+dispiaciuti originario devil offra barrette liverpool strisciando inviate lubrificante intrigante
+abboccato meschina viziato mangiarla andie ladymildred guardatela essergli riflette
+tossicodipendente rhe vederne rapper affidabili mandibola grafico duane disgustosi parallelo
+proteggo tossisce distrugga misera estenuante risolvera casanova solennemente weiss cancellate
+pastiglie manichino pasticcino sudditi sosia giurisprudenza sbirciare sospettavo sofisticata
+tutorgirl ka emergere ciuzza prefetto socialmente rispondero amori speed assunzione rideva glassa
+sensato falliti lavarsi manuliga nutrito mostrarci giudico olaf inferi stern ritroverai federico
+uscivamo mezze sentirebbe bassifondi cagata sparisca giustificazione parlagli contabilità
+successione pettegolezzo gertrude tavole contattarmi gunther passeggio insediamento rilevatore
+anziché affilato patteggiare goodwin innamora perseguitato well mangerai molecolare inaffidabile
+gattini scattate alzando proteggersi berta aw piantarla pregiudizio sottotenente cruise esclude
+polpettone pilø annusare diavoli arrestiamo credici ferengi suoneria separatamente razzisti adios
+sveglierà alfonso scarabeo vedove barker battiti navy leeds willa tirarsi mora scopriamolo brevetto
+socializzare carboidrati limitati autisti griffith hwa svegliera ebay higgins ignoranti tea nubi
+matite fidiamo generatori inizierai lobos messia amorosa hwan mosè vergognati baba magie prendiamolo
+presentiamo saudita disperate carretto indossarlo sabotato disonesto prosegui splende clemente
+concreta protettivo osservo yuki senatori sciolta addominale poveretta zanzare concedermi schwartz
+adeguatamente misteriosi delaney sistemarmi schegge pink roscoe zoppo nimueh walters droidi zolfo
+saiyan quagmire spring propone nord-est vedessero ingiunzione principianti trinity inventa mandarli
+larson disgusto votate frizzante licenzi studentesse shy contenuti fuggitivi josef informo vinse
+immobiliari accappatoio reggente aggiunge importerebbe tesla chico riporterò disintossicazione
+ignorarlo guide poe federal cantanti chiederci alce mckinley carissima opporsi tg malia esistano
+sfruttando pentita ulcera invernale portiamola correzione been vaiolo houdini cinghiale
+misericordioso volerla estensione anticipare poeti hubert reuben mayer pinocchio regale seguirci
+connessioni vitamina curando pj intitolato impedirgli commessa avvisi insistente organizzati fujiko
+e'e porterei cadetto razze permetteremo tirapiedi spostate cassetti capezzolo sconosciute misteriose
+lune brand sistemerà ebbero knight ridicole liberale mogliettina mu partecipa radiografie elastico
+ingannati assomigliare riferisca foley attente whitman romantici cianuro graffiato uffa leggilo
+pinta dc celebrazione preferiamo godfrey ricavare rischiosa talia fotografa regolata mak formica
+stupirsi lavastoviglie cinghia velocita' neill moro cenetta scioglie sputo cala davenport sveltina
+provera negazione minacciarmi smallville zeta hampshire procurarci fascisti usera contagiosa
+vincenzo costerebbe riescano ripensare precipitare pile comparso eccitati pitt dolcissimo ricordassi
+tinta parzialmente inusuale cisterna intersect predetto sportive cercarci atletica potassio
+sbrigarsi bah passasse zattera avvertiti avvoltoio moreno ologrammi jp straziante toledo
+terrorizzati consegnarlo hap valesse lacci evidenza presentate intossicazione sbagliarmi invitarla
+babe tipe dimessa callahan risparmiati rughe programmare cactus essenziali dinamica indifeso
+catalina guru pubblicazione cortesemente xander accurata god stellari affermano caldwell only
+discriminazione wing tedesche tradizionali ospitalita tonic investigativa finirete aspirazione din
+piccanti hackerare mattutina bartowski risponderò bach contundente esploratori trixie infili gustav
+itinerario eruzione profili incontrero prede sitter herrmann volessimo rogelio lambert festicciola
+scaldare rimorsi acida biondina stilista riaverla skype buttar redattore calpestato valanga servigi
+relativo ballerini organizzi esatti contribuenti azzurra ate bajor consiglia intromettermi waldorf
+saddam bobo sussidio commemorazione edilizia issa punendo larghe inserita cratere rubarti rhys patsy
+elton alterare rinvio possiedono dialoghi eclissi affidare heck novak katya sviluppando valutazioni
+tuoni singolare cervella segugio watts contava provenienza fuggendo licantropo barattoli natalia
+moralmente mittente ovale auschwitz bev clemenza scendono delitti harm myers agendo allargare annusa
+tablet maschili calmiamoci fortune westen nan espellere manipolazione congelando combutta violenze
+ammira scoprì utilizza oblio gioie mandarino fune' trattiamo confessi yong ronny opposti
+specializzata ritirati smettessi discendenti ultimatum acquisire fidanzate ziggy inspira pascal
+cubano venivamo marlon coreana proteggerò liquidazione estradizione esageriamo probabilita'
+abbandonarmi ammazzati sopravvivera rosalie selvatico scenate massiccio imbranato tracey rilascia
+costruiamo risalgono lodi amethyst nbc knock dimenticano piagnucolare branch dirigono fotografato
+rinnovare coreani pranzi razioni raja notata interessamento merenda irascibile attivista babbeo
+malfunzionamento jakob cromwell appassionata prentiss chaplin distruggono edna innesco faye abramo
+canoa spazzare accorgerà kramer glory denuncio incasinare fesserie gridava difenderti
+successivamente ba rivedo solenne accettera pensassimo ingaggiare ricezione ombelico piscia
+vagabondi lanterna mortificato alternativo conducono ritardi zebra indolore religiose colette
+spinato fe ahimè agiti governativa controllerò provocando vipera kings proverbio svegliatevi adolf
+penn scontata posato svedesi stramba anziane provasse vorra' rintracciarla fatele becchino lanciando
+strategica zoccoli deviato entita telefonino armando françois spiegati matilda primitivo ceretta
+lastra raggiungibile salutiamo perdessi stupende corteo shhh immortali convenzionale trapianti
+scegliendo bret sospettoso candice diventarlo attacchiamo incanto atf specializzandi paranormale
+basil intercettazione adolescenza riposarsi regine sgattaiolare vizi mill osseo speravi vaccini
+invitarmi universi percio' mandarle se' chiariamo brandi our mannari lacerazione indichi viceversa
+vomita tang elevata trazione tossina cornell cc ripetilo voyager rave levami svegliarlo biasimare
+vincero toglierla pretzel cambiero generato blunt indossate core colpirti coniugale indaga
+rimetterci infallibile finanziamento interfaccia commercialista congelati leggevo need sistemate
+psicotico mantenendo ferirmi superbiagi fritti pensionamento tropicale accontentare assomigliava
+cospetto killian indifesa noleggiare preoccupando ricordarle alligatore cinquant' accorgo colomba
+fammici guadagnarmi latina patetici irrompere tampa scordi car palese sovietico declino poste
+decorato ingelosire approva discutibile ritornano divideremo alziamo saturno comunismo port wyoming
+difettoso distruggeremo avverrà prematuro gestapo sicurissimo tolgono confrontare intercettare
+reeves uccidano concedi regionali portai clifford matters voight broccoli mami sostituzione rolling
+edo improvvisazione causate moriva pomiciare supportare mío assorbenti agatha mandria tsunami gilet
+marisol leanne merdoso riuscivano cutter buchanan raina provvisorio facilissimo suzie bordi finley
+conoscevate mirare hollow seminato uccidesse astuta aspetterà puntino altissimo toglietemi cupido
+giudizi comici monsignore jfk curarlo teopas führer gelo cadranno oakland gabbie paletto rozzo globo
+pine hewes pizzeria sorveglia rugby tradiva fammela consegnati scopate mitologia inizierò saltati
+diventerebbe piaciute salvarle verbo hae corinne sommerso sorprenderebbe rivolge stimoli risolverla
+autorita' gravitazionale affondato fugge guidate mancheranno svelato irrisolto scommettiamo cuocere
+tag piacessero elogio spende reggo degni trasformati disputa competente abbott sanità spiegando
+incentivo guarisce ciarlatano rinvenuto riferimenti cominciavo schiacciante plurale leadership
+felipe harding comincerà scommetterei garrison avidità espressioni impulsivo umida fusto affrontarla
+gonfiabile circondano giudicata netflix ripassare intenzionale visibili ripley archiviato assorbire
+stipendi thelma vivamente buy scriverai arrestarla berger moriarty autografi rallentando procuri
+attivata malloy etere palermo divertite emile bagliore profughi ravi salina proverà accuratamente
+loop lan danesi coincidono includere incriminato sò cubani starbucks talyn romero smettera
+postazioni incidere sunshine tampone dichiari proporzioni sommo colesterolo puffo collaborando
+horace mostruoso impone esprime perspicace sarcastico xx rimandiamo adler illustre frontiere cain
+riflessione rovinerai transazioni sonar vangelo descriverlo detesta mildred sacri schizzato pesare
+mortificata blitz galli costruiremo avamposto aaah ostetrica matematico cordiale paradosso usanza
+scommetti favor garrity regalata duck dudley marx platino burrows subdolo attendono sparati ambienti
+war davina difficolta' distruggo africani arrestarti arresa centrato impostato molecole contrattempo
+riaverlo sopratutto ricattare giustamente goderti bitterblue esempi alleno cinematografica caschi
+diplomato maccheroni caparra main inestimabile succhiato puntano motivato partirà raggiungerà
+frizione cresca aggiorna rotonda tasti tabellone nightclub esiti windsor asciugare hearst sembrasse
+tendo nu aggiornati pianificazione paparazzi burgess sterlina direttori compositore tj gilmore tare
+congregazione congetture vivro ottenerlo celebre addormentarmi cicciona alejandro colossale sostengo
+trick randolph pozzi nichols thad motosega pestare kimberly cile cage venezuela nooo ignoralo face
+cooperare sottoscritto assetato appendice mentalità espandere elettronici atterrati piggy lamentando
+schermi pensò infortunio vincolo sparl autostop porgere gareggiare giraffa conteggio curiosare
+eletta preoccupava usciranno ceramica zanne accertarmi sandro indimenticabile disobbedito
+lasciartelo battuti fingiamo capiremo piaceranno primogenito werner true armadi hemingway
+dimentichiamoci lino virtu sistemarla insignificanti ringraziamenti congelata ah-ah spiritosa
+schiacciata previsione strappa imparate miti ginecologo valium controllore guadagniamo obbedienza
+rilancio clarkson religioni pupazzi cargo deciderai topher blaterare creme divorato affermazioni
+scusati ispirata raccontero bellamy dubai offenderti affondando filato rubava globuli inarrestabile
+adatte supposizioni reclutare inganna viagra poetico accompagnatrice procuro devota toglilo guarendo
+informarvi key imponente formalmente valide scarti creativi statali scienziata riunito consuma
+infinitamente avorio croccante collaboratore dalia otello rotolo melbourne siberia keys habitat
+pettine ricominci piacimento mí cervi fury allarga rafforzare breakfast accelerazione veggente tolti
+spillo usalo mangiavo iniziazione accorgera scritture sbarazzarci stesa gear premeditato cent'
+arrestano glass blindato payson raffinata briga batmarta rowan tirannia malate avvelenare crazy
+denunciarlo intervistare perdonera conclude allegri distruggerò pardon comunica ennesima some
+meravigliosamente parlò addestrata narcisista smeraldo gabriella rimanessi montatura restando
+supponendo paraurti gemme insicuro precoce sensibilita trasformano notevoli fay sentieri haiti
+cemjey appoggi bivio fertile ilaria intercettazioni disabile superstizione hansen turistica
+incontrassi mangerei recarsi mignolo gandhi ferrovie rivuoi formaggi ursula trance greendale
+superstiti caloroso discendenza rimette arrivavano cj scordarti criceto belfast salveremo traslocare
+ritardati eliminata poverta scandaloso assoluzione redazione soap digiuno stupri ballate furie
+corporea passerella poichè earp abitui esploderà sistemerò anonimato apparecchi detesti
+somministrato pesto finiscilo rispettoso cercai consegnate edile dicerie cianfrusaglie istanti forca
+norton paragonato armadietti moray socialista peggiorata terence selvatici imprudente uscissi
+svanisce testolina aggiustarlo imporre lacrosse confrontato impiccagione passavano venda summit
+wilcox precedentemente crocifisso baciarla parlane aiutasse specifici ser schiavitu mcgarrett
+tuttora liberarlo pioveva guardavamo asher sparerai innamorando orfana maggiormente sicari rendero
+bisnonno psicosi mandorle governativi tuck bloody aiutassi preferivo yorkshire accesi animato resort
+thornton teoricamente michelangelo deciderà svantaggio poterne olocausto geografia principesse darli
+delicati renderò commette verissimo rallo carlisle berlina benefattore superando tanaka lattuga
+sorellastra penserete primaria resisto restasse sayid socievole dublino levate portavi kyu porgo
+entreranno six cognizione finirebbe sentivamo avvisati clem sedotto gennaro barato lavorativa unirci
+anya evidenti risposi tap tremotino donner pezzettini mangiarli rilievo resterete offerti fiuto
+toglierle grimes cahill rompete ipocrisia maia snake arterie clementinity spelling esotico sudan
+irragionevole andersen scopami academy dovertelo field ranghi piscine inguine altruista assaggi
+apprendimento dickens seguirà stranissimo ricorderete benedici spuntare schizofrenia ammirato
+rimettilo mutante vorrò glie pergamena stancata interessate cove sceglierei distacco roulette
+sistemarti crostata manuali molestato panthers userà toracica crederle motorino mortimer rimpiango
+rallentato ereditario organico trampolino portoghese aggressivi tessere rivelano tubercolosi
+spareranno dipenda straniere verginità agricoltori moderne editrice arkady detenuta manovre assurdi
+pregate tranquillita targhetta cedendo pilates pulce inventore diplomazia infestato artiglio
+sbarazzarti pagliaio stemma antidepressivi distruggero spears interrogata apparente raduna sciamano
+cerimonie metano bellezze autodistruzione riportero csi informa grillo shore reclamare tremano vorro
+accettarla dedurre belga canile muovervi passarla mc romantiche rudolph heath stilly escrementi
+adalind parcella operando contaci cerniera ripararlo rasato cbi trust ascoltava quattrini dormiro
+ridammela specialisti games gestore faceste tumori disfare presentatore vieta occuperai riprenderlo
+fermarvi rimossa condividerlo didi international kabul igor terapeuta limita mercanti peni
+cartellone premurosa flessioni quell shrek barbaro concepire muriel aeroporti grotte dittatore indy
+britney contusioni cappie kenya liberali lamentano meade ambrose lilith maneggiare messer capirti
+asciutta assegnati opossum rinoceronte umilmente infrazione abbracciarti guardai nachos vincita
+hailey nascessi consultato radioattivo attaccheranno farmaceutica ipoteca capitalismo seppellirlo j'
+biciclette spione violoncello appesi richiamerò brandelli laurent lowe cleopatra andro' aspetterai
+asgard lightman aboutagirl autolavaggio odiassi wilder insabbiare terremoti invidiosa armamenti
+colpendo intestata ciro mozzo guidano noodles estremità fidarvi restrizioni trentina skywalker
+disdire apriro suoniamo imposta denton reame compratori accumulato assunti cresciute ricordando
+fitta dok smarriti storybrooke pover' ventilatore scorretto venderemo confiscato progettare
+accetterai ridley hurley arrivammo bubbles cauto trasportando scoprissi beaumont mentiro occupatene
+axe sonniferi calzoni cliche letame loco dovervi julianne clandestina brighton metanfetamine
+riportando ui ritornera unisca appartenga soddisfa paola ammazzarti abbondante sembianze petali
+cercherai sedeva sfruttamento aggrappati canticchia gotta pareggiare scarichi industriali darlene
+radiazione trasmettendo trio profuma goldie lasciamelo toccati lumache polacchi bane shik
+spaventapasseri ansima tralasciato indosserai cessare incazzati annette osborne colonne gestisci
+indossavi sparizione ordinate terrei carmichael romania motociclista fiducioso iniziasse minaccioso
+cecil provai crocchette aziendali reperto boogie falegname senna incantata arlo proteggerà
+sorvegliando mandala sylvie rimetterlo piromane lennon disertore rammarico bed smetterà cesareo
+risponderà broker trave cartwright trofobico littlebiglove ingrassare segnalazioni egan incontrerò
+ordinazione pattinaggio trattenerla ostinato riconquistare scagionato incoronazione asciugatrice
+cruda girarti rambo incoraggiare serge coinvolge ren verrebbero lea superficiali appieno teo pre
+battersi fottermi valutato binocolo spiegate inteso pediatra alcolismo uccidetemi asteroidi epica
+restrittiva battono ché mattie cnn delegazione shadow mantenimento permetteranno zie loki lem
+appiccicoso tirerò squisita svendita joaquin concentratevi sessioni blade antipasto bosch al-qaeda
+sposando chiesti osceno sostituta perdonerò alcolizzata ronda intendono permettermelo stò rocket
+diventino renderci winslow olsen frantumi sfrutta cavalca civico aragoste bucky saloon toto tenace
+toporagna svanire cappotti lol dolcissima scontroso rica detenute negoziato delilah sage contagio
+filmando ricevuti sensata amos magnate pentire fessura realizzazione uniscono braccialetti
+protagonisti uscivano terri lottano marini scottie gyeong porcellino incerto varrebbe cayman egoismo
+superi arresta perversa tappi giocavano solidarietà tong rigore materie crawley risolti validi
+sperduto assumi uguaglianza urna malora indistruttibile vicodin datele incertezza serpe malaria
+sacerdoti umidità incluse acero immaturo gruppetto pio bi delicate beaver rovesciare kilu contrari
+colmo horn marziani cannuccia assorbito punirmi scrivimi cartucce nebraska jessi keep puri minimi
+criptato sporcaccione fazione goderci trovala bidoni mango pacca incassato abbaiare bombola
+congiunta incomprensibile usci book mischiare addormentati disposizioni guthrie aprira stagli
+calamita vincerò molteplici costui lasciale scoprissero interrompe limoni damigelle ricostruito
+ammessa espira avvenuti bipolare irritato appositamente ricreazione cado stecca trattengo met ottica
+ristabilire assicurarvi mer watch tobin rimettera complicati riportera iphone icona downton fiche
+leopardo nassau albuquerque spaventarlo delegati winters much uber vivevi robertson decidete sospiro
+again costruiscono bestione occultamento newport sinfonia perforato ambiziosa cucchiai rullo arringa
+freccette disegna filtri approvi darling comprensiva traverso oskar ye culone ex-marito tentata
+swing selma rasa ambulanze utilizzata rilasciati sharp potro' cupo fair spaventate pee' huang
+dimostrando mattatoio goccetto farah vendermi richiesti rimpiazzato bravissimi aisha miserabili
+casper insicura selezionato ginsberg accendiamo daddy terme ematoma georg scoprendo innanzi lordthul
+tento accecato mort onorati chiamino gaetano dài geum kaplan weber gradualmente clavicola proviamoci
+cosiddetti inscenato clinico vu armante violazioni t-shirt frequentiamo rovino coprirti meccanici
+aggredire renale vocabolario midwest assoldato averi toglierci magicamente reagisci riposarmi
+affogato vantarmi telo barboni sconvolti austen estreme spiacenti vasquez carmine contaminazione
+salpare banner rapa giovanotti keaton burrone ammazzata anestetico intimidire piti parlino collabori
+aprirmi seppellita viper once utopia brucio vegetariana sonnifero diplomatici auguriamo volata
+adorerai kylie formate proibita fior flagrante cicli kiera frodo deviare definiscono mahoney zurigo
+there' ucciderebbero limitate zhaan ibridi fight massimi trasporta mccall presidentessa minerali
+knope mezzora alone comprese pizzo scoparsi direttive relitto fun deficit chiamavi cambieremo gareth
+interessasse basandosi pubblicitari turistico vongole prude lira healy provocarmi johanna yoda
+middleton corano pollocombinaguai peralta salutarmi feroci consumare cambiarla uscivi reparti ramos
+lexington esibirsi resoconti corn beata mutanti capendo restino sandali cinematografico brenner
+rabbioso rifacciamo ispettori sante proteggero pero' emporio deposizioni suk faruq primarie abbie
+pellicce femminista allergie coprono spiacevoli sbarazzato myrtle court ammalare succedera' lonnie
+giamaica narratore annata paterna justice carcassa bieber vien appresso disgrazie hathaway mettevano
+cercò redditi calmato mangerà rovinate backup stupidità lasso alcolico energetico owens augusto
+temperamento magda ten vilma brama faccina diametro intervenuto annientare preparerò rubiamo silva
+guidavo peperoni records improvvisato spacciare danneggiati abbronzatura ricorrente compreremo
+costello meghan zingaro randagio pellegrini aspetterei avidita umiliare xalexalex inquinamento
+commercianti nixxo carreggiata spostarti truffatori videogame usavo udibile capitali distruggiamo
+caricando regala cavolata ki sud-ovest arrivassero talismano dimostro spezzi beale levo scambiarci
+devlin ristretta sublime studios allunga prema rivederci gomiti cruciverba ostruzione nba uniamo
+oppone ceo distruttore gregor incastrati velivolo incursione mostrerà falcone fotto microchip
+jeuccya dominique distingue accenno conchiglia approfitta cambiò biberon feng vantarsi accademico
+sgombrare uccideva arrendetevi diro' attrae leggerò paludi could alf ventesimo sentì fisk medioevo
+panca scompaiono addy scomoda piccina patrioti indie femore forbes massacrati palato raggiungono
+ritratti ambientali valoroso impedirti scade mostreremo carestia arrabbiarsi rinfresco guadagnando
+sperano abitato scrivermi restarci estremita cent onorario schere' scientifici through pazzie
+scettico parish notturne brusco allibratore ramanzina bungalow crowder scure sook conoscerli
+perderete sfratto nesso sparero intervistato moody avvolta palma murtaugh fighting cincinnati
+mangiarmi gioventu dinanzi shogun meteoriti rompersi playoff scambiamo quasark lanciate dion
+piramidi incollato distruggeranno slip grammo orizzontale appassionati porcherie sessista lockwood
+mendicante vincenti venderli hendricks osservi impegnarmi artificiali ernia animati indifferenza
+angels ricaricare piacete bean scalata nascondete confessioni adelaide maternita pali guidati
+brianna testone arbitrio svuota bordeaux discepoli azzardarti arcivescovo chiamai espressamente
+marionetta infuriare omaha mostragli trota bahamas riccio accoppiamento controllarli esageri
+ricercatore zachary pallacanestro salt immacolata robby emotivi comprendi abdul protezioni adesivi
+iniziavo kyoto pattinare coca-cola reagendo marci subbers slim ispezionare ammetta pastori abilita'
+antipatico lamb comprarsi para moschettieri hammer intrattenere brigadiere risultano battello smise
+raddoppiare galante elettromagnetico compassionevole involucro carabinieri autocontrollo sil
+scampata sgabuzzino provinciale richardson maniaci cravatte nonche servirvi markus classificato
+sfogare estende avvertirmi immaginata sbattono decapitato lasciarono preferibilmente mystic
+`;
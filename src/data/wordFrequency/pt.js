@@ -0,0 +1,1683 @@
+// Most frequent Portuguese words, most common first (top 20000).
+// Counted from the OpenSubtitles corpus (OPUS, https://opus.nlpl.eu/), licensed
+// ODC-BY 1.0; taken from the zxcvbn-ts word lists (MIT).
+export default `
+que de não um você para eu uma está com se em do isso me por da ele no bem mais os na aqui sim como
+seu sua muito mas as tem vai meu foi ela minha ser fazer vamos tudo pode sei te nos só então agora
+estou ao estava lá ter disse mim era quando dizer vou ou sobre nada coisa mesmo quer quê tempo são
+eles sabe algo casa há ver tenho nós estão assim favor já pra dos quero sou também posso bom tão ir
+certo todos até cara melhor dia noite dele quem onde vida deus anos vocês essa esse vez pai ficar
+nunca verdade falar porque ainda coisas mãe pessoas acho seus obrigado pouco disso fazendo sem
+sempre lugar antes alguém homem tinha fez estar aí dois senhor trabalho comigo novo das faz pelo
+saber mundo talvez fora precisa ei dar temos todo depois oh dela esta nome estamos deve dinheiro oi
+isto hoje queria acha pela apenas seja outro suas este nem claro certeza alguma filho preciso lhe
+nosso nossa grande sair hora parece problema outra meus qualquer qual volta poderia boa será menos
+olá ninguém aconteceu vão falando carro vezes podemos desculpe mulher daqui amigo toda família
+obrigada sabia tipo quanto voltar ajudar algum deixar parte ah deveria embora atrás frente espere
+diz lado realmente três amor vá dias indo gente primeiro deles seria pegar fosse feliz nas pessoa
+momento cabeça cidade jeito dentro tenha vi caso tarde duas sinto medo venha entre matar às importa
+todas amigos homens viu demais entrar podem outros tentando foram têm errado meio mal garota irmão
+tanto fiz alguns encontrar difícil olha olhe dizendo for história quiser ideia nisso perto horas
+forma logo pare diga ajuda aquele contra merda faça amo gosto deu caminho juntos primeira vem amanhã
+minhas sido porta morrer filha minutos nenhum levar pensar fui querida manhã semana rápido chegar ok
+aos legal morte contar sorte morto algumas ano vir consigo cima cada quarto crianças pessoal dá
+ouvir mesma esposa polícia enquanto importante ótimo acontecendo feito garoto passar essas veio
+parar razão última causa olhos arma somos quase fica teria teve coração água num poder desde esses
+única sério conta mãos fim tentar longe começar corpo problemas ia idiota ali nossos chance jogo
+gosta significa pensei usar mão sendo acabou aquela sangue gostaria pensando tal vejo licença
+trabalhar escola precisamos tivesse boca marido fique tirar comer esperar acredito maior preocupe
+entendo guerra uns ficou matou música dê numa fácil tive pais estranho filhos meses morreu ontem
+velho esperando suficiente conseguir acontecer houve faço possível muita culpa veja criança dormir
+senhora irmã mil acordo bebê vindo festa havia dessa achei possa tomar nova espero desse elas
+sozinho devia deixou querem ruim deixe sentir certa estavam bastante esteja chefe novamente conhece
+plano mulheres pergunta achar deixe-me pronto conversar diferente quis eram consegue número único
+telefone forte viver exatamente maneira trás descobrir podia mudar procurando vivo segundo pagar cá
+john muitos fala muitas faria casamento perder sabemos nele falta nessa jantar devo cinco café
+diabos minuto irá sala outras pedir segurança estiver ligar passado porra nenhuma nossas neste
+comida acabar chegou vendo droga direito papai quatro conseguiu paz equipe pena acreditar jack
+mostrar final próxima jovem falou incrível continuar tchau cama terá palavra desta olhar país
+perguntar pior conheço tá querer iria colocar médico ponto louco filme vê mamãe durante alô cedo
+precisar caras aquilo resto sabem ouvi sob luz lembra sente livro trouxe armas semanas pequeno idéia
+chamar último jogar srta baixo hospital manter pensa cuidado cuidar deixa saia lembro comprar
+querido prazer próximo fazem sentido brincando real escritório nesse força futuro especial saiu
+capitão sozinha prisão ouviu seguro fogo ganhar entende pé si começou sam pelos negócio estivesse
+digo controle amiga ama sinal escolha rosto salvar próprio pegou situação acontece nesta umas dor
+mente própria entender dólares jesus pegue policial palavras fato pro trabalhando encontro preso
+conosco andar motivo espera foto deste pois atenção seis linda esteve respeito milhões terra livre
+pediu presente casar cabelo mensagem alto visto local após mesa chega passou voltou pequena existe
+contou daí além devemos puta dizem devem sistema estará partir chão ouça conhecer voz chamado viagem
+garotas ar linha emprego questão falei vê-lo melhores trazer assassino vontade estaria bonito rua
+olhando perguntas normal crime terminar chama seguir povo grupo mortos doente engraçado us beber
+simples michael resposta lista tiver olho precisam abrir usando sonho fale perdeu bonita fizeram
+achou lindo acidente ficará frank aonde vim calma fome erro levou queremos ataque boas lutar idade
+contato aqueles rei menina modo precisava campo provavelmente charlie joe dez fundo adeus advogado
+grandes espaço morta caixa explicar menino fotos energia aniversário lembrar reunião programa
+conversa olhada né ouvindo breve estado nave negócios pudesse ordem área celular ficando notícias
+ligou rapazes pelas diria desculpa missão encontrou rapaz david mike mês quente procurar avião
+sente-se fará naquela simplesmente barco nela consegui ótima surpresa empresa tom divertido proteger
+mudou decisão banheiro loja perfeito sexo estávamos acredita presidente triste carta trabalha dando
+fiquei leve papel george roupas ler luta mandou segredo funciona puder natal chave agente capaz
+assassinato disseram horrível época sol governo banco frio bebida lei hotel loucura escute ajude
+finalmente tocar apartamento tentou haver céu saindo tio verdadeiro maioria show prova mandar
+posição vidas the assunto velha vale naquele buscar entendi fugir embaixo ligação saiba tv
+totalmente cair passa inferno desses resolver namorada soube diferentes segundos passada bons drogas
+parecer parabéns peter serviço continue segunda completamente volte encontrei metade roupa propósito
+delas fazia estes começo namorado chegando esquecer continua diferença confiar ben sentindo pronta
+alma fico costas desculpas exército interessante imediatamente gostar cachorro dei vista tinham bar
+estrada serão terrível james entrou fazemos destino irei vítima farei aprender provar humano leva
+dessas york escrever paul sai perigoso cheio lugares trem últimos ouro regras louca planeta correr
+perigo senhores entendeu mau informação cérebro abra tendo relação professor esquerda dito cheiro
+informações sentar impossível pés tome cadê ordens estive teste saída cavalo junto direita aceitar
+direção mar vestido inteligente ajudá-lo harry fizemos honra através bater carne cliente público
+duro lidar longo igual parecia ai passo monte entendido cena perdi tiro repente hein senti graça
+direto várias chamada oportunidade max fbi esperava receber janela viva importo time henry atirar
+legenda lamento queira estas comum conheci alex começa caiu preocupado tornar you necessário graças
+raiva paciente base branco sete esconder tire peguei preocupar pensou faculdade companhia sucesso
+experiência penso peça mary oficial bola aula tanta doutor diga-me faremos saco vender fomos tempos
+escolher contrário chá odeio cozinha prometo errada dormindo lixo sonhos maravilhoso ficaria vê-la
+teremos pedido cerveja toque tradução notícia acham eua humanos preço esperança justo chamou inteiro
+bill bomba daquele ligo maldito pense teu socorro esqueça máquina jimmy prontos comando dançar vinho
+majestade uau exemplo meninas jim prédio quantos câmera alta juro doce aposto tivemos acabei
+parceiro risco policiais fazê-lo bolsa perdido igreja braço banho guarda tente seguinte encontramos
+lee opinião poderá criar conselho centro ônibus animais funcionar verão garotos paris desejo pista
+tony ocupado aparecer beleza inimigo suspeito bob havendo cerca provas irmãos colocou principal oito
+andando planos livros cartão trata matá-lo nível pele passando pressão caramba cantar nick coragem
+falo tentei mentira pude disto mora usa batalha vergonha fizer dou julgamento tribunal alvo
+emergência jovens evitar roubar destruir conhecemos rio pego liberdade sarah vários serei imaginar
+vídeo responsável morrendo subir gentil inteira roubou investigação américa pedindo piada meia
+estarei merece rádio parem segura novos hey diante cansado metros lhes dados soubesse pedi brincar
+cheia dê-me felizes navio som mentindo herói liga tua general tirou buraco longa pernas pôr enorme
+bunda dúvida estúpido ligue bela ficam cartas início líder cale nomes danny londres billy entregar
+limpar vive apareceu parecem cristo começando ido deixei volto acaba memória responder realidade
+tenente steve jane detetive relatório computador parede ilha restaurante endereço ray dizia busca
+levá-lo virar cadeia má carros diretor johnny soldados estranha agradecer árvore visão almoço cortar
+novas ora desculpe-me will machucar usou correndo sejam pobre série jamais jake arte clube entrada
+deixá-lo tia kim terei ação quão floresta praia azul cirurgia bêbado tamanho tínhamos contas matei
+aquelas processo perna amar negro coronel idiotas carreira faca total pedaço histórias sequer
+nervoso brincadeira escapar sapatos dança confiança conseguimos monstro vieram pega valor troca
+descobriu pescoço máximo filmes sobreviver ganhou adam clientes dirigir gelo coloque tommy justiça
+salvou vencer desistir irão saiam prestes procura acima laboratório tornou amava sentimentos revisão
+anda apoio detalhes pedra cão pontos fé velhos inocente bobby costumava vermelho escreveu cor maria
+natureza gostei presa visita gato vemos testemunha richard decidir apresentar devagar escuro
+conhecia sabendo mestre senhorita menor deveríamos doença corte viram encontrá-lo venham daquela
+defesa flores corrida espírito código chame rainha tenham chorar projeto ajudou norte assistir
+barulho mark conte caminhão haverá acordar antigo chris férias limpo grávida bala to uh distância
+operação particular disser cadeira vossa percebi quais perguntou estação animal ambos brilhante
+americano gostava perdendo acesso virá dono estrela possamos jornal ruas termos soldado ridículo
+robert mercado iremos preocupada conhecido discutir redor nariz esqueci deixando perfeita poderíamos
+movimento der fechar foder existem quebrar braços livrar controlar culpado falamos estilo dado
+médicos charles daniel somente descansar arrumar peixe consertar classe perdão dever bem-vindo vimos
+preparar relógio perguntando dentes contigo humana chamam padre saúde vítimas trocar belo avó
+meninos inglês voce comandante permissão mesmos mudança língua moça lua entra contrato gostou
+levantar milhão imagem grana agir fugiu firme ameaça porquê estrelas verdadeira ouvido morar
+encontrado orgulho esperem corpos parou sargento espécie descer marca vento sul juiz chaves kevin
+ryan uso beijo acabado terminou interesse anna noites gostam tu quantas bolo relacionamento política
+vêm depressa levando maluco gay eddie demorar briga casos colega espada milhares mentir certamente
+cavalos peso dan martin desapareceu odeia lar impedir aberta cheguei oferta abaixo visitar comprou
+passei ligado anel acredite próximos garantir quisesse kate esperto escuta poucos ponte serem dna
+verificar pago responsabilidade avô deram enviar acaso conheceu silêncio recebeu ganha caro perda
+antiga vadia dedos poderiam velocidade servir voar juntar querendo salvo maiores adoro conhecê-lo
+escolheu basta números cansada nove deixado profissional ajudá-la fonte inimigos bordo divertir
+walter levá-la garrafa altura funcionando jogando bateu casado cinema scott torna pressa thomas
+legendas fiquem portas americanos resultado leite objetivo ensinar amy olhem verde decidiu entanto
+banda palco ajudando quieto infelizmente diabo pôde motorista avisar luzes sentado recuperar calor
+noiva lembre-se maldita feita eric pessoalmente traz rachel útil momentos comecei par morre parque
+don achamos tomou presos esqueceu ações seguindo atrasado debaixo contei enviou verá tira sensação
+chuva morreram washington melhorar tiveram daria parada aberto construir peço camisa carona chapéu
+mata casas frança manda escrito ferido rico dedo proteção teoria mapa pesquisa deveriam agradável
+interessa maravilhosa opção fundos jason futebol segredos senhoras serve foda-se usado complicado
+inglaterra imprensa parado vitória paga tantas casal explodir éramos calças preto propriedade nasceu
+matt natural dão atacar atirou vivos corredor alice passagem park universo enfim forças interessado
+adoraria mentiu estados casaco respostas topo confusão táxi oferecer tecnologia km quebrou brian
+armário tê-lo rir assistente acontecido voltando arquivos matando honesto ficaram pensava fantasma
+terão william emily claire ruins creio valeu vejam chorando presença admitir fortes queriam montanha
+unidos pacientes orgulhoso cale-se perceber porco poderes militar membros membro rapidamente
+respirar peito mexer inútil come aviso seguida and sinais crescer falso roma crédito pensam pertence
+mexa câmeras of dave fita familiar jerry viajar mostra babaca erros jardim clark bravo perdemos
+tratamento deseja segurar entrevista vingança solução atender intenção chegamos chegaram completo
+médica xerife artista óbvio câncer voo bagunça ti coma importantes partes tantos assustador pequenos
+pete saberia jogos diversão humor tempestade copo traga simon carl andy comendo juntas fingir lição
+primo prender adorável posto conseguia fraco chamando achava mandado baile sociedade lutando muda
+besteira identidade famílias vazio curso fossem aeroporto descobri los rede perguntei modelo pau
+major lisa favorito discurso obter colegas cala incêndio criou escondendo ensinou gás explosão
+amigas invés kelly princesa pão canto efeito falam deuses li virou chances apaixonado arthur famoso
+neles terceiro gritar aulas violência aconteça consciência acampamento comeu instante super relaxe
+ovos próprios comunidade agentes sentiu tentativa via árvores prometeu desligar sexual lucy
+envolvido sr primeiros rose prefiro carter desgraçado kyle grace matado tratar mantenha estudar
+necessidade estarão assinar talento luke resultados venda roubo documentos departamento arriscar
+pergunto conhecem jeff fazenda chicago encontraram ficamos difíceis felicidade sozinhos larry
+caralho méxico registros preocupa ocupada gênio chamo exceto humanidade preparado canção louis
+homicídio golpe ponha folga conhecimento material contando desafio dói magia vantagem excelente
+crimes saí exame direitos pânico últimas europa testes segure deixá-la ted sumiu original fila
+piloto chocolate nota arquivo aparece presentes emma poderoso ultimamente entrando desculpar chato
+agradeço evento toca unidade puxa tolo condições tido suicídio confortável phil comportamento
+estaremos truque cuido ladrão devolver direi tenta voltei demônio príncipe vestir ligando mano
+pegando decidi passe permitir vovó jogou tomando imbecil portanto estejam prêmio ficarei acalme-se
+rápida porcaria transar mensagens angeles dará registro promessa pagou iguais bolso cofre confio 's
+alan sono ficado devido dean levante-se neve amizade escondido cães mostrou mataram pesado ciência
+anjo contente pegá-lo geral conexão ouvidos fã checar competição roger rick definitivamente assumir
+remédio fronteira funeral motor comece ideias corda extra gary professora completa nervosa alegria
+evidência limpa fábrica barry vivendo padrão daqueles lago balas carteira apesar it queda quiserem
+encontre começaram bando al francês ato pegamos notas surpreso impressão imagens gritando estás ed
+façam grave trabalhava choque convidado rindo laura apresentação enfrentar fizesse annie houver
+sábado confuso lance estranhos mate óculos raio treinamento lavar centenas cia século branca guardar
+delegacia sujo parecido ouve josh calmo acontecerá fantástico especialmente vírus milagre mínimo
+bolas smith quebrado armadilha oeste motivos leo sexy mentiras deixaria perfeitamente temporada
+recentemente lorde levado limite mágica viria voltará jackson suponho convidados porão pensado
+guardas correto mala defender maggie levaram piscina sorriso claramente pesadelo leste darei
+ligações teatro sentia chuck ficava causar cura califórnia sean elizabeth dura pequenas comprei
+anteriormente enfermeira pouquinho van escuridão conversando terem criminoso apostar recebi
+evidências montanhas passeio próprias partido trabalhou levo placa nojento caindo jones sofá morgan
+pegaram tarefa confie tocando pergunte malas mr depende deixaram haja jornais bairro sede carga
+passaram acordado alemães confia começamos nisto encontrá-la hank mandei domingo liguei data gigante
+limites cruel arranjar internet pedras fumar in tipos blake pagamento versão deserto sujeito júri
+ambulância new social ilegal terceira corra razões estômago victor queijo senão covarde feche santo
+cuidando interior taylor fatos negros aceito condição responda lembra-se adora falava tô funcionou
+portão legais conseguem divertindo sentimento deva bebendo prato madeira china san campanha cigarro
+roubado prefeito dirigindo alunos joey disposto cobertura fred hum período relaxar coloquei mato
+seremos alemanha escutar use abriu passamos mande gerente superar howard pedaços conhecê-la mover
+fugindo afinal solta garganta bebês encontra rato deixarei imagino brava tim digitais estragar
+consiga traseiro obviamente secreto cela coloca aparência exato levará equipamento cheque peças joga
+baby toma massa veremos jenny passos ossos amante solo zero divórcio seguros fantasia alteza viemos
+mantém inverno acertar conversamos morrido sabiam testemunhas sinta habilidades aprendi convencer
+caça lados beijar diretamente bruxa uniforme regra pensamentos possam jogada saudável cavalheiro
+dividir botão sara aprendeu antigos concordo reputação leis episódio venho horário reino artigo cai
+escada pular tiros fuga chateado levante compras infância bruce susan bobo fechado superior recado
+irmãs zona enganar feio moda possibilidade garotinha rabo certas perde coincidência facilmente
+espelho senso loucos casada aluguel karen pizza dúvidas pássaro devesse bem-vindos pede investigar
+péssimo cópia la locais decisões televisão imagine telhado vidro pacote mostre frango afaste-se
+texas leu esforço conto dormiu fechada entrega página lendo amém proposta acusações usam jesse
+estúpida bebidas bilhete absolutamente falado oficiais castelo reação ajude-me city entendendo
+criatura habilidade garagem baixa jin brancos tripulação inteligência quadro piores red gasolina
+ódio secreta cuida deixe-o saberá desaparecer deixam brigar impressionante adivinhar okay acusação
+papéis deixem alerta vizinhos acalmar reserva região ferida vovô percebeu bate poderemos opções
+participar devíamos entrei iorque partida tesouro queimar areia alemão lady combate preocupação
+explicação selvagem mesmas julie aposta sopa quilômetros aproveitar helicóptero reais cabo esquecido
+memórias ganhei veneno terno helen sir nao compromisso desastre estúdio terras elevador hitler
+localização quartos big santa burro resgate campeão vaca músicas largue acorde paredes companheiro
+bicicleta conseguiria irmos ricos obra noel batendo madame remédios soa joelhos alcance máscara
+normalmente corre patrick central negra sofrimento declaração tyler abby mentiroso sorvete
+assistindo favorita lily olhou revista julia cozinhar histórico treinador chloe recompensa livres
+maldição incidente vivem clima sofrer álcool cego enganado soltar transformar vermelha ihe votos
+apresenta permite acharam yeah alarme abaixe praticamente perdoe andrew oliver aparentemente oceano
+papo mudando assustado paixão tirando crise importância jogador marcus abre audiência sombra veículo
+importar pensamento st especialista custa cavalheiros aguentar cometeu voltarei nação imaginei
+e-mail terry nadar marcas percebe lembranças áfrica mistério mencionou especiais assassinos precise
+my forem transporte salário bobagem atitude harvey tê-la teriam jordan robin conseguiram caixas
+superfície acreditam pulso perdida nacional carregar mínima alimentar casou babá atraso barriga
+causou entrem acompanhar dorme advogados ross formas agindo más depósito carol costa souber matá-la
+seres ambiente amanda engano goste entenda assuntos fumaça desculpem raça tropas johnson urgente
+acabamos certos bombas termina aceita doces educação afastar dama repetir pobres incomoda compra
+cargo vegas extremamente pareceu prisioneiros machucou pôs jay amei atacou roy urso molly explica
+valer quantidade gordon brinde morra seriam fase vencedor ande pensamos separar acabaram cem nascer
+açúcar torre parker orgulhosa ritmo ouço compartilhar criado jamie estacionamento barato doug vôo
+nathan planejando greg perdoar noivo abrigo miss cabeças uísque cantando dirá tomei marty danos
+feitos tocou fortuna aumentar lucas farão solte túnel filhas derrubar cumprir curto pó ferrar disco
+teto wayne resta prefere atire matéria destes chegarmos stan fofo jackie sofreu carlos on usava
+tivessem teríamos comunicação território pintura hollywood esquisito han circunstâncias festas king
+dava saído cresceu paciência vê-los anne lágrimas vincent onda universidade infeliz incomodar
+clínica acusado vizinho voto sós jo mataria bilhões autoridade dispositivo salão dissesse biblioteca
+provável cooper francisco convite recursos milhas segurando saudades beth virem mortes convidou
+terapia mágico jornada almoçar conheça geralmente popular molho curioso atrasar amam cuide sessão
+ficha peguem apaixonada linhas miller criminosos tela vila gordo escadas máquinas torta turno
+respondeu lenda tirá-lo excelência ponta chateada katie poucas acabando combustível personagem
+maneiras poderei disponível brown nessas traidor amamos prostituta mudanças escrevi falsa palácio
+atravessar terminei fria metal traiu colégio respire hei anterior interromper doido diário exames
+mac colar moral adorar judeus aldeia instruções rosa confirmar ciúmes lábios ator inocentes agência
+física americana contado clara capazes ouviram capacidade atual maluca suspeita donna moto canal
+assalto atrasada bebe escapou ansioso qualidade assustou acordou aliás ficarão edward retorno
+resolvido prisioneiro estiverem cobrir assustada culpar russos voando saíram deixo terminamos
+imagina pássaros preparando organização fio tranquilo mina bateria imaginação janelas ensino título
+custódia febre animado romântico meia-noite militares durar perca gangue ganho alcançar cole
+distante wilson corajoso potencial absurdo funcionários pessoais graus sexta nesses considerar
+incluindo iam experimentar refeição podíamos vendendo mudei tento tanque robô feia escrevendo vier
+literalmente perdoe-me turma lealdade pistas recebe receio adiante sincero cerimônia profundo hannah
+falha caçar is estranhas cobra bastardo saímos envolver esquerdo peixes abençoe piano boston aliança
+gostoso chamas retirar macaco capa concordar assassinatos promotor geração vendeu feitiço emoções
+voltem colocá-lo mental mudaram partiu atirador progresso fresco meter concentrar cadáver beba
+rússia fantasmas perigosa rota decide péssima construção vinte gravação sophie cidades encarar curar
+traição mel tenhamos poderosa ombro charlotte calar site romance sally pura engraçada adultos torno
+siga vigilância serviços tivéssemos discussão marie esquina queríamos produto entregue ataques
+aguento voltamos temperatura maconha estudo segue federal moeda assassinado lidando cultura abram
+sangrando olivia trabalham significado visual atraente unidades invasão dívida ethan mães heroína
+pública west eva adianta destruído betty chegará abraço corrente chegue prazo nobre sanduíche
+multidão chamamos fãs levei basicamente és maus pagando apagar gastar abandonar vinha marcar montar
+sofrendo recebendo ficasse eventos adulto negociar tirei chegada retornar almas ratos pênis lembre
+enviado frequência pecado trato normais exterior monstros garanto podiam trabalhos despedir street
+caos suportar destruição índia corações elena osso japão nancy el miami meritíssimo vaga primavera
+subindo morrem virão poço suba soo apoiar autoridades espião largar comemorar aventura jean teddy
+frankie jessica foda criaturas pareço assustar digamos óleo ferro personalidade ha privada mortal
+ovo casados cabana novidade asas porém coroa edifício sincronia egoísta puxar libras cores vazia
+pretende achando marinha amostra cinto capital puro encher bonitas ache responde caminhar usei calça
+deixá-los destruiu flor delicioso pudéssemos lou nate joseph frase russo bandeira feitas bêbada
+esperamos estudante continuam encontrará acontecem atingido rebecca gentileza contratou treinar lobo
+demônios armado desejar chamei oxigênio enganou médio secretária desaparecido jacob dona ocorreu
+ofereceu continuem nina botas chamá-lo kenny paraíso mantê-lo champanhe aaron cometer houvesse davis
+identificar sentem dylan lewis colocando oscar ian deixamos incríveis tens prata ficarem aviões
+negar investigando impostos concorda lançamento sacrifício ondas itália entendem avisei jaqueta
+roubando voltaram aconteceria nuclear derek adorei sistemas amanhecer solitário decente pausa câmara
+deitar gostando sermos glória galinha peitos condenado letra gostosa principalmente salva sabíamos
+sensível bandidos desejos existência catherine aceitou margaret íamos vira apressar campos academia
+tênis emoção expressão avise lindas amado relações terrorista rock observando deviam abertos cortou
+cerebral mundial próximas michelle confissão venceu estudos sentada centavos terminado limpeza
+escolhido brad tristeza angela miles daquelas informar berlim sapato saibam abandonou nascimento
+governador espacial suspeitos seguiu piadas andou túmulo escreve comi planejado fingindo geladeira
+kang correio nasci jeremy jennifer moro vejamos bem-vinda respiração leia imploro esquece visitas
+confessar jess votar visse produtos stark prometi desligue tema caridade importam caverna mortas hã
+caneta convidar perfil animada anúncio gatilho dificuldade olhei young walker dom dupla tribo
+símbolo mexam-se impacto temo esperta drinque colocado comercial atriz boneca despedida acreditava
+arrepender tragédia objeto doc suco põe agenda estratégia casey hmm formos dose medida julgar
+aproximando séculos steven judeu machuque medicina assusta inspetor únicos trono jonathan influência
+ciente produção realizar tentamos palhaço protegendo emocionante plantas arrancar inveja escritor
+terroristas entregou house todd treino martha ganhando justin interessada amigão ótimos hong
+sobrinho desenho consequências saio quieta gata adolescente iriam atividade chegado permanecer
+cidadãos aproximar mandando ficaremos albert cancelar luto ajudaria possui ouçam empresas civil
+tradição queixa custo black escolhi câmbio espetáculo escondeu levaria ji autorização tinta grupos
+ellen começam resistir morrerá vampiro deixará ajudá-los espanha princípio importaria círculo
+testemunhar oficialmente ficarmos arroz transmissão rica passam spencer xixi professores stephen
+naves ladrões procedimento batatas tentado faltando cabine viesse demitido parentes dick salto
+falaram baseado repórter descanso escutem destas condicional dente cocaína positivo eis coleção your
+trânsito mochila satisfeito heróis escravos cachorros parecendo identificação reconhecer chinês
+artistas cartões países tina assinatura civis devêssemos pudermos sobreviveu cientistas rude miguel
+verei honesta terreno pecados golfe porto chamava terror matemática anthony religião político sócio
+harold existir perderam grato gatos tentaram barba correu apuros duvido ministro sobrou that
+vizinhança rodas voltaria diego acertou dane-se sue maquiagem técnica ignorar menti bebeu usá-lo
+testar vince infantil análise cientista jogadores dirige hill trazê-lo encontrarmos matthew famosa
+ouvimos biscoitos dobro tivermos reclamar crer cabelos sentença suja lincoln mídia receita parei
+vingar recepção descoberta tratado séria céus clay sabor bancos usada curta recusar dragão satélite
+primeiras acordada levam efeitos logan estrutura dano ricky lata cinzas esperado apertar pesada
+esperam ho ron acabe caroline prática senha dennis depoimento libertar cheira rodada vampiros
+mencionar advogada solto trabalhei leonard vire antigas connor castigo esclarecer contratar prima
+alienígena portal carrie templo penny dormi owen foco prometer césar reunir lembrança face voltado
+relaxa navios aumento ferramentas sairá incomum diana mereço conseguirá malditos prioridade
+parceiros crescendo cigarros haveria pratos acordei fraude doentes emprestado papa ousa bíblia ann
+aproveite escolhas liz sinto-me preocupados guerreiro postos grama camarada lançar sinceramente
+riscos quilos escutando tatuagem precisará resistência reconhece williams museu banheira
+desconhecido dançando invadir rotina diamantes culpada escolhe machucado ideal truques centavo gus
+demora guia ex cardíaco pedro mude população derrotar vomitar revelar movimentos mason petróleo
+xícara suficientes combinação quinn vende atende reuniões odiar custar sentimos confusa white saem
+beco confiável grant cemitério formar azar lois chore representa rita tiroteio revolução sonhando
+viveu explodiu reféns líderes be rezar digam movendo mudado sagrado miserável vozes indústria
+maravilha duplo drama solteiro man filmar ensaio aguente coelho ana células veem procure técnico
+dar-lhe jogue roteiro inacreditável companheiros documento chegarem velhas honestamente zoe
+selvagens atingir brinquedo trabalhamos radiação perdidos traficante woo toby usamos relatórios
+privacidade travis mudam luxo arruinar saudade achado operações horríveis keith mickey recente
+profundamente meta afastem-se ken importava origem canta murphy voltarmos baleado marshall rumores
+viajando espanhol ocasião passageiros idéias conte-me flórida leitura rumo rastrear traje damos
+lindos fazê-la federais palpite trabalhadores soco boba divisão contatos enterrado estudantes
+conhecida selva fraqueza ashley rolando trazido wendy queimando quinta morava mandaram pastor
+elegante deixe-a munição bonnie físico questões deter nuvens feridos trilha brinquedos criada unhas
+viagens transformou doer randy fígado raro atirando conselhos demorou dificuldades gravidade
+funcionam sal ótimas tecido desagradável falhou mostrando namorando quebrada concordou creme caçador
+laranja taxa vivemos sammy separados estresse irritado russell transferência luvas suave patrão tava
+meias passaporte namorar ruth esconde desça morando gado malcolm páginas conjunto harris grátis
+cuide-se encontraremos informante fracasso island manteiga moedas virgem vigiando gravar sugere
+folha sairmos beisebol raymond vestindo gostamos rob lama plástico criação noção álibi irem francis
+águas conferência gravata piedade haviam descoberto barcos fraca sintomas eleição confiante gabriel
+exposição média holly apostas amável muro notar esconderijo mentes odiava italiano nicole acreditei
+preta altos vais entraram respirando tapete processar interrogatório firma computadores
+sobrevivência caixão besta aço riley falhar musical craig troco mia circo online aluno intenções
+isca trouxeram andem guarde pintar espíritos intervalo terríveis emocional ajudará quintal celebrar
+tornando descobrimos ajudo sobrenome love leal função anjos rolar manteve velas diane pílulas
+eliminar lutou cento victoria ferir ramo acreditou teus setor dica informado neto ocupados abertura
+natalie linguagem tomada ingressos surra neil lê estivessem solar faziam termo solitária pasta
+demitir sentiria índios sorrir batida estaríamos merecem buscá-lo preocupo liam colocaram trazendo
+demos angel chamadas mexendo criando atrasados jornalista letras dólar pareça psiquiatra estarmos
+senta considerado walt direta levarei seção apertado rostos decidimos canadá complexo frota maya
+posse estável empréstimo infecção quarta alicia salada pouca reconhecimento conceito caído solteira
+las passear empregada perseguindo sociais mova grau recusou construiu marco sujeira evan gorda
+violento meios interesses fiança envolvida controla continuo corram louise corta ellie marte vivia
+conseguido audrey concurso maçã sorrindo conspiração poderão senador ri encontrada juramento norman
+planta imaginando bondade praticar pam estudando contagem brigando coluna salvá-lo mitch reforços
+divirta-se justa trailer ford menores adoram dale barbara amostras desconfortável levá-los lex
+telefonema folhas fizermos divertida escala níveis figura decidido liderança doutora estarem kong
+exercício monica juventude parto esperanças roubei prestar nora buracos pretendo pescar áreas tensão
+objetos apetite jersey instinto escrita tornou-se sumir atmosfera barra autópsia conflito preparados
+beira sheldon aparelho digital protocolo química considerando incomodando parente comentários
+feridas alívio pagam shane alternativa viciado tremendo experiências independente poeira atingiu
+canalha ned preparada testemunho convenceu lógica noah disfarce elliot nojo políticos profissão vic
+azuis piorar stanley plataforma patrulha novidades shawn eternidade descrição substituir
+impressionado seca merdas recebemos razoável tortura jogado finais tirem ralph lentamente franklin
+invisível vanessa pulmões imperador brandon impressões específico brinca proibido seco curiosidade
+emprestar equipes atreve errados costume can caminhada unir motores lojas crânio daquilo carregando
+porcos ombros promoção cadela warren age min mostram misericórdia comuns álbum vendas franceses
+raios solte-me consulta seios entendemos wade amarelo descendo procurou convencido organizar vídeos
+patético orelha repito máxima planeja mexa-se apropriado garantia sandy escolas alegre janet
+chama-se green sabedoria durma veria cocô alvos irritante nelson notou lucro aceite basquete fariam
+sexta-feira focar cometi cameron bata amada inconsciente tara jill barney sugiro lauren coordenadas
+metrô forçar moscou encontros internacional arriscado jung couro puto bruxas profissionais zangado
+estiveram cruzar meteu desistiu lana mitchell gloria escondida sábio megan bailey clássico doendo
+apanhar huh caminhonete shaw comitê fechados atividades lane formação acorda parceira sentados botar
+conseguirmos houston tiras armazém sexuais felizmente kitty mira queens hall precisaria acontecesse
+sombras importe amou almirante turnê abandonado equilíbrio chegam mostre-me pára estariam papelada
+familiares inventou stone empregos adorava juan cuidados esporte trauma observar damon fiel allen
+sobremesa mundos mando dúzia vendedor procurado erradas alienígenas armados harper conclusão método
+batman naturalmente meio-dia tirado escândalo rocha sotaque all cria perfume fotografia empregados
+detalhe ronnie recuperação comem prendê-lo durão toalha gritos paguei ameaças principais brilho
+trancada joelho vela civilização esperei prendeu julian bagagem conforto galera chase iraque daisy
+sobrinha precioso pat negativo cola execução esquadrão escravo privado conversas prossiga seo subiu
+gabinete estragou imaginava bebo hábito punição psicopata refém ooh pistola perspectiva know
+assassina agressão mantendo padrões seguido bo leão acostumar preocupem mexe estivemos tubo
+envolvidos fracos exceção tais pediram recorde lembro-me compreendo servem chef colher ameaçou chata
+juízo cirurgião lento cheios descubra telefones colin bonitos permitido fascinante avisou cretino
+disparar distintivo calado descobriram ferimentos correta seth saberemos guerreiros suprimentos
+doenças cenário avisando terminando eli tirá-la joan explorar testamento gina lido trair surgiu
+paige orelhas manual jon criei conde colapso mistura gibbs estupro dizer-lhe economia caminhos
+cidadão fazerem christopher falsas verifique liberar art oposto dores choi christian vestidos
+candidato restos tiverem tracy joo misterioso elétrica furioso trago destruída achá-lo incrivelmente
+tornei profunda karl cresci herdeiro frutas inclusive fantástica viúva entramos comunicar ganhamos
+finn ritual aprendendo orçamento vire-se subs esposas insetos remover bacana discutindo rifle cenas
+iniciar continuou mulder kent yang perdedor tomado larga arrogante tae nicky generoso philip vos
+medidas atos bandido prepare-se collins votação cobre cavaleiro sabes sentem-se levanta custou
+shopping quisermos queimado poema texto dívidas sebastian garotinho desesperado atacado inteligentes
+odeiam samantha sortudo joguei israel curtis novato christine dignidade estivermos dana comprando
+concordamos feminino coisinha combina ferimento graham kurt pegá-la fechou tumor notei desaparecida
+terapeuta tragam chutar necessidades jenna little recomeçar cordas radar mísseis matam ajudem
+avaliação devolva escudo demissão roubaram bosta doida caráter willie procuramos sugestão
+eletricidade espalhar virei ilusão colina cujo batata ruby boate chamados judy acabará investimento
+allison ligada medalha bens sequestro duke blue doloroso enfiar explosivos celeiro protegê-lo
+anderson fama diretora formatura enormes cruz dane nua perímetro temer earl fadas caleb constante
+suporte times entretanto chineses acostumado tarefas sobreviventes alexander carrinho cópias
+boas-vindas protegê-la ridícula pesadelos bati órgãos japoneses palmer benny gays merecia horror
+bishop fitas músculos réu turner lawrence april fontes verdadeiros conhecesse gravidez tiraram
+donald desenhos docinho fôssemos pinto ouvi-lo aéreo responsáveis brooklyn espiritual possíveis yoon
+pedimos kennedy corretamente gwen xadrez pensão comissão estradas sobe hércules leve-o oferecendo
+bombeiros vietnã iríamos star completar podes wallace perigosos chique acabam complicada superiores
+transando forçado assinou disposta pesquisas debbie funcionário acreditamos altamente encaixa opa
+apelido ansiosa possibilidades programas cansei entram rebeldes império preparem-se minta manhattan
+rápidos heather culpo conquistar bruno analisar fáceis elogio requer ma gps agulha examinar abraçar
+excitante queres compensar paramos setembro joon enterrar amigável jules dexter falsos escura
+desperdício roda ambas rancho reed virando posições beijou indica ajudei junior mansão esquema
+mantê-la nascido adequado oficina jen desista long gota buscá-la tanques garrafas genial josé
+detetives obcecado ajudado valioso audição colegial vêem descrever apaixonar compreender capacete
+sonhar saírem brilhantes criminal re experimento precisou tomara encrenca república benjamin
+matá-los loira faleceu acalme trabalhado katherine gene pablo fluxo corajosa confidencial respeitar
+adolescentes tess cobrar vinda kirk educado tomo hóspedes enviando jae conheceram hope ângulo
+publicidade capitã abrindo eun distração descanse holmes tranquila rosas cavar carla casei recolher
+preencher leslie stefan colocamos ministério sincera surpreende permanente eterna cúmplice abuso
+dieta cicatriz mi atrapalhar randall celulares lola competir salvá-la nervos expressar ausência
+durmo preocupações expor hunter procuro policia obras artes susto localizar observação fogueira
+pressentimento pilotos expulso fardo antonio coberto costuma pensaria machuca baixar prontas galáxia
+trevor diamante felix faixa eve desgraça segui minas receberá tentam extraordinário by pornô
+pegá-los atrair brancas morri quebra paula macarrão recebo donos sejamos chuveiro saltar construindo
+união extras compaixão rastro francesa ala alison andam aguenta estátua situações pague quentes
+diminuir promessas aliados massagem dissemos digno década invadiu deverá termine aprovação nelas
+tola tentava isaac caí brasil sharon quantia desligado códigos partindo estágio monsieur leve-me
+armadura manny may anunciar sydney erva vaso ingleses taça curva presas submarino lobos mordida
+cinza bell martelo doze pilha acabo trancado legado salvei assento moleque queimou usá-la camiseta
+métodos japonês hector consideração resgatar varanda fox leon encontrá-los milho gerações procurei
+pudessem move esportes cabe we abaixe-se pátio sugerindo otário equipamentos inferior cresce
+conforme festival recusa sra caia argumento sensores surpreendente gaveta desenvolvimento precisei
+drew avançar assegurar mijar poesia injusto microfone necessária retrato moças altas becky ninho
+causando rosie puxe fazermos surpresas peru motel adivinha orleans inicial inspiração esforços
+personagens valores helena ta united décadas cal bêbados prosseguir faltam bond engenheiro protegido
+julho deitado estrangeiro convidada atores núcleo amantes interessantes lembrei perseguição
+experimente interna apresentou up precisando jang carson derrota voltaremos guerras matamos barata
+poderosos connie e-mails obedecer bloco assassinada preste cadeiras pierre feira adrian lloyd dallas
+forno lu redes gêmeos mikey euros congresso klaus chinesa exige fodido go tigre egito enterprise
+herança acreditaria xiao perante afeganistão zach modelos seattle cassino faminto empurrar edição
+operar crítica bart freddie marcado stuart entenderia renda frágil teresa sid vosso carrega voltam
+provou conseguiremos podre legista ivan baker chefes melissa britânico empresário dada passava
+armada watson móveis robôs carruagem revistas christina fecha virginia desfile ordenou protege
+humilde grata blusa vestida portões sandra atualmente desaparecimento caminhões inventar harvard
+carinho possivelmente escutei acender joel elementos nº lembrou so potter chamaram bauer cha
+obrigação anotações serviu tristes maleta cega aproxima aparecem envelope algemas nuvem russa stella
+cuja macacos sino chute porta-malas feriado buck sonny disposição distrito lâmina marcha trará
+aprende gelado discos atira pulou significar capturar pros curiosa oportunidades honrado trazê-la
+gostaríamos insiste desespero produtor arruinou grito pneus samuel fechando reis duncan determinar
+dong comportar tratando alugar aguarde cooperar oração halloween arrumou moderna talentos testa
+segunda-feira proprietário salve liberado levantou dorothy permanece apresse sacos noticiário
+cervejas noivado privilégio joão tóquio freddy encontram riqueza grey diziam implorando roman
+tubarão atacando incapaz fôlego miranda erik tecnicamente placas dominar princípios pato pântano
+filmagem conhecidos richie taco guy spock impressionar joias prostitutas avisado junho queridos
+lanche tráfico simpático crescimento cantor procuram barnes blair verdes hal prepare desperdiçar
+nazistas biscoito órbita austrália coreia garçonete mick chamaria únicas tonto caíram ofensa ligados
+cuidadoso maio rocky canções sentirá cody lydia vigiar enlouqueceu global sonhei aérea queen
+administração estando cassie machucando estabelecer mentirosa impulso errou mole lutador apontar
+dentista desaparece vulnerável despesas madison liderar colocá-la top trinta troy campeonato cuidou
+comprimidos limpando matará adulta retirada chover gratidão lavanderia phoebe considera yi ganham
+atirem admito conveniente cristal amber caçadores toneladas deixava enfermaria volume ciclo kane
+interno ameaçando desconto consciente andrea voltarem imediato gordura toquei edgar vc gesto bigode
+padrinho reabilitação lanterna conseguindo façamos atração voltas representante roubada vagina
+diagnóstico aspecto reconheço ácido aranha usaram jóias inevitável angie resolveu pesca cortado
+capítulo cantora ancestrais facebook dizemos ansiedade importa-se falecido cindy tucker apareça
+cobertor empregado levava daremos wang hee modos macho foguete planetas passagens blá brooke pratas
+mocinha certificar refrigerante outono hanna notado necessariamente intenso recebido debate homer
+deixem-me básico atenda comido espadas voltasse lenço caçando brenda diga-lhe podermos acessar
+comentário cacete bolsos essencial parados copos igualmente austin produzir começarmos harrison
+boatos elefante grita sun vindos procurava gigantes combinado rapidinho concerto robbie melhorando
+lena ouça-me pedidos gracinha burke mergulho burra atendeu beverly alfred fins interferir dormia
+hugo corrigir desenhar pirata ando mentor existia parecida planejar sentidos quanta lança arranjou
+questionar prometa anteriores solidão determinado vacas injeção pierce nikki balde ilegais compre
+cano bacon mancha sóbrio morreria materiais carmen absoluta vizinha charme decidiram suporto abaixar
+explique fios bonitão cuidarei namoro oferece veronica líquido esperou oriente demonstrar promotoria
+farsa nu envergonhado malvado pareciam fantasias incomode exagerando serena impede mortais pararam
+boneco científica perseguir pariu residência soro lembrem-se campus shows continuará pazes percebido
+casais twitter piratas causado filadélfia secretário limão estivéssemos estupidez enganando
+caminhando envolve mama sobra siga-me vistos painel crítico cometendo máfia deem instável sócios
+cadáveres levem rochas frodo ego gritou abril espécies propriedades registrado colônia sofia
+executar escolar puxou enterro eh esquecendo comemos usaria omar relacionamentos levamos deixasse
+pouso contador meg tornará escutou terça jonas profundidade gil encontraria feminina restante canhão
+ferrado queima gotham supostamente concentração vivas vapor reese voa afeta violação irritar vilão
+rouba bloqueio lord salvação lembram archer seguidores depressão propaganda cardíaca assustando
+chamá-la democracia colo lin balcão inúteis correspondência confessou destruindo sacola estrangeiros
+bella bancar bônus atirei moram namorados inocência enviei torneio largou damas passará pousar
+mensageiro beach pneu protetor morris coloco dirijo brinque ame reduzir morder garcia isabel dj
+thompson vence tímido homenagem chego caçada planejou dobra naomi contém promete mosca vagabundo
+cabra sofre levada flash vazias hospitais carroça projetos conteúdo autor evolução sullivan
+construído puderem wyatt pensem substituto pegam vazamento mesas falarei masculino surdo nicholas
+torcer fumo fogos saudações cesta perry fatal sugerir phillip tenda cliff outubro jurados fiona
+chora comédia percebo apaixonei zack armou encarregado necrotério clã alfa poupar mordeu 't
+assustadora transferido rex quietos reta cu treinado engolir temporário agradar nestes embaixada
+queixo yu desapareceram molhado travesseiro editor brilhar sermão hemorragia instintos flynn
+declarar casamentos teimoso contatar jeffrey loucas expulsar conter derrubou comissário dera
+britânicos multa desesperada margem falhas postal kansas visões castle denise trocou adams suspeitas
+chen wu veículos falasse rebelde moderno estraguei descobre one calcinha certifique-se maldade laser
+agosto peggy lavagem abri tradicional perderia referência like bife queiram buscando potência
+encarando entro transferir bênção reclamando nolan rastros scully bosque vigia cercado tornado with
+sacrificar bebi saberão khan hambúrguer hipótese atuação juízes churrasco theo março implorar
+winston encerrado meredith torne estudou cortes vivi volante galeria fisicamente vera tornaram
+contratado comprado escreva acharmos ceo ficção praça favoritos ópera kg mexeu tornam gripe ll ny
+erin combater fazê-los aperte permita-me valem jan mudamos encantador bernard jedi apaixonados fera
+desfazer bico drogado insistiu quebrei usados entrado encontrarei buddy sons farto sequência fede
+veste malucos mudará aposentar marinheiro elvis típico publicar lesão fugiram zumbi encerrar colete
+treinando relacionado terminaram precisavam precisaremos vindas aproximadamente voluntário bud
+bernie estúpidos zoológico andares greve andei pervertido resolve túneis escute-me ativa leilão
+palmas douglas gerador amendoim pimenta sótão assumiu sairia encontrarem cortinas vagabunda artigos
+lápis haley instrumento francos elemento alimentos enganada cuba lenny andava condado preferido
+gatinho envie corridas desmaiou cam wells fórmula correntes galinhas esquecerei orfanato itens
+defeito lençóis scotty deixe-nos disputa atacaram tolos contanto orgulhosos francamente arco exata
+banana descobrirem garçom grite escondidos piso chip sindicato but sumido mario funcione manutenção
+errar enxergar atuar filmando apaixonou aconteceram significava aumenta prédios poeta shh
+responsabilidades embaixador kit south suíte longos broadway máscaras alemã telefonar delegado glenn
+escócia trata-se ofender conduzir constantemente barreira toa delícia touro comércio assine
+apareceram conectar choro transou prove durou fugitivo woody afaste mecânico enlouquecendo
+envergonhar dirija estoque mercadoria aumentando foster elite ira lenta esforçar trabalhe neal
+aceitei delicado criados sementes metido tomamos tráfego provocar flecha fumando inclui ás
+entenderam pensaram curtir obsessão vendido gênero expectativas especialidade reforço carvão calvin
+precisávamos desligou restou hans conselheiro fritas criaram visitantes eventualmente protesto
+pinturas ensina sombrio perco insubs ceder alimento kara patty sasha esqueçam griffin acusar joy
+campbell vitais evans fundamental raízes color ava lizzie senado aliviar lucros mantido confirmou
+matarei partículas indivíduo besteiras precisasse brigas ativo enche vermelhos neta melanie archie
+chegaremos sangramento reconheceu interessados machado simpson diferenças benefício agiu netos
+magoar famosos culpe disparou incômodo praga bingo traficantes espiões aprecio abertas reverendo
+crane tona refere vital drake respondendo retornou misteriosa chovendo concreto despedido monroe
+campainha bonitinho detê-lo cápsula entrevistas havaí feijão medicamentos espertos círculos
+benefícios pegos dr estações forçou belas bocado got naturais pijama bicha falaria dwight
+encantadora cheirar baixas quinze cansados ambição ovelhas erica zangada mostro atlanta entrarem
+discutimos pôquer marrom cauda violet instituição preciosa tramando permitiu precaução junte-se
+dezembro torcida mona novembro marcel fuma encontrados avery pelotão reservas tapa abelhas brody
+comboio sobrevivente medicação barraca coletiva le booth sidney quinto admiro saul arizona set olham
+bay tornozelo tiramos demonstração cheques hamilton plateia adivinhe contam maneiro recentes reggie
+whoa rafael mo sheila morro conduta essência conectado irmãozinho hudson ajudante batalhas estejamos
+capturado aborto chan rodovia chad traseira atendo eleições moradores especialistas balão marcada
+deb banquete lester otto possuem preços marvin pus delta sangrar fortaleza esqueço seguem lanchonete
+seda escuto longas asilo olhava milagres lindsay desenvolver manga rara deixe-os teorias quadra
+moore disciplina gostasse impediu gostado cozinheiro pisar morrerão simone jura cortando aberração
+gelada presumo status maurice iris gole quebrando liv lutas june claudia out doyle cheias quadros
+facas insano conrad opiniões jorge cavernas clarke julgado arrependo missões detroit mandam culpados
+recuar convidei country comunicações dee nestas trancar nucleares jeong especificamente soubessem
+trevas continente urina selo boy cooperação kathy testando pretendia impedi-lo concentre-se jessie
+aposentadoria salvando bolinhos mantenham roubados vício item preferir maré desgraçados filosofia
+representar bastão separação aguardando fofa transforma guarda-costas boato safado exercícios adiar
+duque percy jato escudos lésbica alec elaine just gostariam deusa gangues lava improvável farmácia
+colocam netflix servo dawson fotografias acharia começado fruta convencê-lo rudy ohio marcou east
+significam boyd negociação irritada investir chorou organizado míssil chupar chegaria preferiria
+fresca telegrama fornecer nerd aceitaria prejudicar fugi ocorre misturar prisões careca sorria
+arnold guardando luis pá emboscada repita pegadas acabaria demasiado dourado convincente contaria
+candidatos bonzinho primos véspera remoto andamento abigail performance restaurantes feriu sustentar
+golpes lake lâmpada surpreender convés alá grand sentimental gaiola supervisor comerciais talentoso
+genética federação massacre exausto ash segure-se disponíveis agitado guitarra dali demitiu desce
+ward yeon render mercedes envolveu ditado sugeriu chang tática proteja laços aquecimento sapo
+pacífico formal ataca murray tuas cortesia acidentes colocaria verem integral aproxime junta
+legítima instalação circuito integridade shakespeare costelas pode-se irene errei cortada apresse-se
+suor assistência evitando sérios bang categoria val prá corrupção extremo anton fechadura
+mal-entendido magnífico resfriado suíça regina noturno calmos traindo madrugada tê-los saberei
+janeiro guardado baxter trilhos avenida filhotes zumbis panquecas quites formulário inesperado
+reynolds superman quinta-feira credo afetar gravando faríamos botões girar burt compreensão
+envolvimento apagou cunhado stephanie enganei humanas denny anoitecer financeiro estrague culto
+rogers divirtam-se ensinei sherlock favores contarei mcgee raramente amiguinho valente demorando
+jogam mito fugido verme adicionar pegarem guiar piorando hunt sagrada metro seriamente detesto veias
+fusão insubstituível caem bennett nasa dezenas preferia romântica lateral filhote perigosas einstein
+violão garras eterno fuja reagan pagará peruca pegarmos sutiã brutal foge abandonada cueca leio
+evelyn derrotado rever safar pearl vermelhas dobrar lida finch führer fotógrafo enlouquecer boxe
+esgoto down soar sumiram prever su demitida trens boliche parecidos investigador pote tomaram
+suicida risada ari engana bastardos inseto agrada lembrava dragões rodney vós compreende
+extraordinária servidor atiro instrumentos congelado clyde desconhecida dadas pilotar recurso
+instalações contaram baixos etc voice encontrando won racista finja willy tratou shelby perfeitos
+consultório orientação desceu tirada robinson escrevo lutamos exposto confirmação baleia piquenique
+vice-presidente caros quaisquer distrair barras escova bicho mudaria cometido sacanagem honestidade
+altar evacuação perdem bobagens cobras this chamem imunidade entusiasmo babacas grayson loteria
+chiclete preparou ensinando técnicas invenção herr defendendo jogamos legítimo verdadeiramente teme
+ellis dispostos kira chandler orações agarrar mexicano eleanor comprador currículo cicatrizes
+conseguirei agressivo semestre lsso jared pegue-o silver ajudam rim escolho faça-me definição
+honestos cortina cleveland entradas notável inglesa gray donnie transplante disfarçado barril
+retardado recuperou perdidas fechadas ervas seul pílula brady toco voltarão puderam recibo
+ferramenta stevie mudo imortal porter afogar punido sozinhas tubarões viaja amarrar vendi sigam-me
+kat chocado stewart delicada laptop estadual estimação ursos song terça-feira prefeitura jurar
+desapontado reagir pressionar estelar dormido indicam esquisita passageiro kid relevante phoenix
+adequada fazendeiro pontas aposentos auxiliar hills reflexo yoo mate-o escolheram carolina falem
+perderá thor perguntado cachorrinho vê-las jaula índio kay dimensão manhãs passarinho graves
+acelerar acostumada grego conferir bolsas acharem contratos turistas coitado constrangedor wes
+terrivelmente anéis pia colheita tigela plena grandão pertencem limpos pulmão bote camas nazista
+avanço adoção atreva trabalhador canais refeições reid dêem valerie inventei abordagem fúria
+silencioso medos compro overdose absoluto shin acompanhante sanduíches políticas manchas desiste
+bilhetes shirley andado deprimido fenda eficiente particularmente necessários entediado antecedentes
+troféu cuidará afundar vivido receberam legalmente desempenho cristão corredores von aquecer
+procurá-lo casamos crença observe engenharia prenderam chapado pudemos cathy avós pares machuquei
+comunista autorizado fada aah melhorou aluna batido bradley saía carbono wall tartaruga acompanhe
+deixa-me cova machucá-lo detenção coberta precisarem aprendemos artificial quarteirão dá-me seok
+garrett mereceu admira gorjeta beijando marc acidentalmente beijos centímetros bush enrolar resync
+tenso comparar achará denver permita cálculos chumbo registrar boris punho piscar terremoto doação
+lorenzo lareira achá-la perpétua apresento ii morresse lori ligaram decepção precisão ruínas paulo
+judicial precisarei cancelado jaime ricardo gancho amarrado satisfação cavaleiros limpe empurrou
+rebelião seguras conexões putas aventuras reator maravilhosas limpas expedição morremos lute bares
+amelia irrita fizerem honrar case ve avançado instituto cheirando elétrico desafiar gravado aperto
+pediria enfermeiras carregamento gentis enviada diverti semelhante transmitir pacto team denunciar
+reconheci congelando monitor irlanda voluntários design eliminado estória considero interrogar jeans
+torres ajudaram enfrentando substância espetacular excitado falhei machucaria penas discreto
+servindo animar continuamos batom what wow metendo conhecê-los terminal vermes salas morrerem vacina
+juntou cartel profecia berço camarão pobreza frito cheryl tolice seleção ouvi-la jj suposto wally
+dixon programação perícia atento finanças hyun brilhando caderno leve-a estacionar agradecido ivy
+saint marina sms contasse sophia grosso salvos trágico carlo saídas eugene transa mostrei domínio
+consolo entendia envia crescem some jazz joyce crucial puxando estourar meritíssima baseada
+jurisdição combinar pesos homicídios grécia presta fisher envergonhada paro artie borracha ligarei
+sigam viajou hammond daphne calçada abaixem-se desviar club criminosa miséria chi cante objetivos
+falará parando agnes carinha imaginou ria ré ferrados ciúme perdê-lo cap checando telefônica perdas
+paisagem quarentena trouxemos tanner encontrem aves executado stu comandar servido duelo amarela
+falaremos furiosa furado viverá pan embaraçoso incomodá-lo visitou levados radical toalhas ameaçar
+merecer costumo idosos perfeição diploma punir esperávamos chamavam governar resolvi raiz cantou
+malditas ringue seguimos brilha superou bizarro bilhão árabe ressaca param dante condenados saísse
+river extensão rastreador hábitos mmm corri brett fichas cm terrorismo kai jonah brincadeiras fêmea
+desisti traria futura gideon entretenimento específica divina cometa ventos porrada positiva marge
+tampa secretos seguranças presunto coelhos poirot romanos velhote gastou respeita perguntam onze onu
+vicky mandy existiu quarta-feira celebridade conseguisse colorado balanço jr mandá-lo pedem tentarei
+trancou sujas covardes chapa religioso falência piper conquista divino declarou desmaiar are traços
+pano ligam começará supermercado maridos falas penhasco noivos was lionel apreciar iniciativa
+uniformes considere ginásio zoando maddie idiotice construída get cuidadosamente insuportável
+exibição aumentou pendurado arriscando executivo sentar-se sacrifícios lembrado refúgio jornalistas
+mm-hmm lilly estádio garotão esther bota dawn laurel risos consultar vagão acusando naqueles marta
+músico imediata mergulhar fronteiras escalar nobres latas moon camaradas atleta finge pólvora
+enchendo sabrina baltimore pará-lo irlandês pesquisar revelou pop santos financeira carregada vara
+mapas ella road andre antídoto artifício andré envolvendo célula acampar jun lynn jefferson claude
+enviaram ocorrido doar matem roxo girando vadias críticas investidores impressionada ferrou raposa
+matty suspenso trazem repórteres tesão correm pope laurie ty frasco roberts havido dançarina maçãs
+comparado mantê-los corporal viciada oz veado iniciais encontrarão destruídos santuário atacada
+zelador símbolos borboleta plantar reforma beckett acrescentar satisfeita laço doses adiantar casco
+definir criamos lógico doçura ouvia fort àquela insulto cuzão rebanho nojenta gravações originais
+coloque-o machucá-la brisa arrasar guardião farol devendo adrenalina deveres lote palhaços darão
+morfina perturbado tocava donovan refugiados negras ajustar fazíamos divorciar schmidt litros
+bandeja chocante seríamos violenta investigações atacados gasto úteis parceria empurre sensual
+american comprometido bombeiro luva afirma ex-marido rory chegasse marilyn bloquear hotéis polly
+sirva rancor pentágono colchão generosa clássica furacão iate pagamos soltou cd secretamente faltava
+tumba sylvia sabão quartel atiraram avaliar aplicativo quality cintura camille vilarejo inspeção
+vendem drink assassinou nadia funções miolos deliciosa dance jax voou comunistas atrai imposto
+admite lutam traga-o hostil fenômeno exausta cyrus cynthia magro esperma reparar apontando vivian
+colinas reddington insignificante lucky decolar aspectos aprenda verdadeiras pertences he anotar
+mentiria sujos gira esmagar revólver qualidades maravilhosos fino italianos letal sensato economizar
+janice cérebros enterrada detido artilharia danar compramos secretas gabe àquele detonar suéter
+missa procedimentos arena acordos stevens depor jasper coloquem perdedores paus lembrando perdoa
+menu zeus isolado calibre freio contos verifiquei afastado monk fundação summer derrame calendário
+participação eleito fraldas aguarda ética sairemos sólido everything chelsea nash arranhão mecanismo
+abaixem claras avançada cass sequestrou algodão lesões armadilhas goa etapa otimista ilhas mexam
+molhada comentar experimentos admita queimada ciências sobretudo tiffany sinos judith ganharam
+muitíssimo ganhe inteiramente traga-me interpretar ernie dramático marion justamente deixaremos
+talentosa estuda camada fina criador pagaria traidores químicos obrigou desafios tonta costumam
+cagar levantem becca dedicado faça-o cafeteria emocionalmente facial comecem fevereiro reconstruir
+snow guardou shannon interferência pule lições aposentado arrume frequentemente verificando raj
+excesso hughes negociações preparei desliga quadras páscoa eletrônica sorri identificou vergonhoso
+beija insistir calada rios recebem mandato oponente joshua conheciam pulando aparecendo promovido
+dirão chester corrupto moisés gostaram captura paradeiro explosivo nó astro cantos imenso hóquei
+dicas violentos roberto explicou linhagem semente vestígios disparo lançado êxito protegida salvador
+irã deixarem dramática sobrando leito eficaz aquí crawford panela milo identificado manipular
+comprometer divertiu world nasce merlin adversário cuidei saudáveis informou banheiros valiosa
+fachada nam distantes doador noturna cristãos clayton susie serpente courtney apollo facilitar
+celebração yuri intensa gavin embarcar nozes quarteirões dani consentimento variar roosevelt vazar
+escolta melhora americanas forçada controlado gatinha respira luther lenha cruzeiro bert comanda
+piranha vazios suborno hastings georgia elenco descobrirmos baratas escondi estúpidas achasse leões
+brennan ouvem luthor barão pagos enforcado estrago trocado aliado assinado íntimo segui-lo sonda
+pegaria confirmado gol secar incomodado títulos plantão gêmea google descansando contudo gilbert
+poxa alimenta gozar enviados atravessou temporal atrapalhando acontecia franco ctu técnicos
+homem-aranha raven temia boné desvio cozinhando jacques estudei públicas abe agradecimento artéria
+pulseira casca levem-no recuso hóspede combinamos tronco satisfazer hugh buzz apresentações assisti
+stacy hayes charmoso armação arruinado arrastar ficariam flutuando carregado pintor grades irmãzinha
+pesa decoração valley hm preguiçoso atiradores aplausos anão literatura ida isolamento have sang
+aids javier faltar pagaram ling coral borda maníaco prepara temperamento trate tatuagens espalhando
+interessar michigan anual aleluia preferida atirado roland concluir exista cumpriu companhias mantêm
+agradeça alterar exagero entenderá tímida recomendação cogumelos reunidos bode way harmonia doris
+automático quadrinhos pertencia jogava anormal cócegas desisto retiro fletcher falarmos deitada
+camisas permitem autógrafo rígido gerald adiantado intuição confiei vermos seguintes luca línguas
+retorna documentário transportar ganhará separamos trump tubos ensaiar previsto necessárias entrará
+palestra tire-o fanny ocupar serial ironia jurou pornografia rich frutos atalho contexto sexto
+racional medicamento favoritas incluir imprudente elijah imperial admitiu doeu destruí-lo
+antigamente bandas áudio formou ruído despertar tocado restaurar tropa divertimos ezra ewing eca
+visitá-lo aplicar generosidade lutei edith sessões particulares isqueiro agüentar conhaque útero
+equipa criativo motivação high darcy idioma pendurar polônia pegado cobrindo tammy north químico
+deite-se familia round destrói crenças glen trocando seguidos pondo ásia usadas montana violino
+perito ss indivíduos habitantes biológica maravilhas chegarão cavalaria yan cruéis georgie refiro
+previsão entrarmos insanidade assassinar religiosa sem-teto espingarda freqüência gail estuprou
+irrelevante danielle curado experiente encontrasse cordeiro preparação exigências pipoca evidente
+devon científico recuperando lotado pacotes labirinto quebrados grossa romper freira software
+paradas formato harriet fraternidade exagerado surgir determinação marcos relógios 'água infinito
+imundo casando ovelha nações gentilmente arrependimento tirá-los canhões tendência lobisomem damien
+fuzileiros desprezível colocá-los inventando bryan salsicha arrumando tesoura forçando vômito propor
+externa apague acreditando custos batalhão regular lixeira animados peterson tolerar encrencado
+pelado now mestres públicos henderson mm ingredientes armar price dirigiu insisto precisamente belos
+keller reto navegar sexualmente extrema fodendo imbecis bonecas alpha terraço norma want virgínia
+brooks vodca espalhou jogaram águia gastos gandalf cat sutil dai esconda duvidar armstrong
+escondidas deixarão qualificado rezando horizonte anita gemma encobrir salva-vidas preston corretor
+acusada pressionando assistiu vencedora evacuar retribuir bridget levaremos nervosos aprontando
+assentos afirmativo viktor astronauta tomate arco-íris cortei monge walsh ex-mulher visitando nsa
+tomem filmagens jerusalém tozz conseguirem otis tornar-se preservar valia pras coca cabos ajudem-me
+balsa juros planejei alexis instalar ginger aceitável escuros bravos vantagens bastidores dê-lhe
+realista jenkins suspeitar músicos tentaria buda altitude toni mae deixarmos desaparecidos obcecada
+distribuição temporária viena encostar suspensão industrial fracassado benção transformação swat
+ignorante assiste diretoria yo happy arrancou datas nega tédio sabermos saguão jade receba grade
+vegetais ferrovia regime brick oposição crescido transição acontecimentos mencionei créditos cho
+gêmeas bem-estar prometido pretos fernando nativos expulsou bin levasse negativa mentido tornamos
+cristina tesouros internos abraham praticando condenação prêmios reconhecido hart baú escolhemos
+juíza when dormitório kev episódios whitney conclusões ki suando terminarmos contratei diariamente
+italiana barbie adaptar escolheria atropelado gregory confiou tate soneca rusty hye supor prenda
+ligaria vulgar baixinho satanás madre mágicos hospitalidade manuel coquetel começarem charley
+perdê-la souberem tequila médicas hilário suma passaria invadindo arrependido empolgado patas
+pegarei telefonemas grosseiro sigo tentativas mack tomografia alcoólatra ingênuo trabalharam
+convenção franz tensa romeu mentem limusine estaca iminente encantado daniels obstáculo fitz
+veterano utilidade assuste arquiteto batem abro ocorrer preferência queixas envenenado cheguem cera
+grãos cais monty pagarei ncis contava gold vaticano balé exércitos louça moscas cereal del torturar
+apos wolf coleira sherman vulcão veneza apagado expandir etiqueta fechem reservado infectado
+descobertas pátria machucada demore senhoritas louie inimiga arranjo brindar see santiago vencido
+trégua humilhação culpando bolos matança assumo ativado conversou âncora gerar camisinha instagram
+hipócrita sujar bases obstáculos percepção acertei alho viro ofensas congelar oxford restantes
+apartamentos espinha jamal ligue-me tanya aja naquilo burns batia atendendo separado perceba
+hipoteca pudim balança dc nixon newton sentir-se tomam pegaremos gasta simpatia desejam esperaria
+padrasto uti ensinaram decepcionado urgência abu decepcionar ja direitinho ansiosos surpreendeu rins
+válvula frankenstein ventilação limpou ingresso tratava adoráveis bolha granada inconveniente beijei
+relatos wesley descarga diaz caipira veterinário shelly alimentação estuprada ocasiões depender
+benson quentin insensível escrava gonna falavam tempinho paulie lançou inaceitável sigilo andrews
+funcionará prevenir garante chapéus pesar bordel tentação abel hood retomar associação cartaz
+churchill drone amador tornaria taxas perturbar alergia dirigia tortas leais sentou 'm descreveu
+simulação segurou esquecemos sogra sequestrado causas merdinha casual baterias promover porteiro
+yeong pamela conversarmos informe colaterais solte-o arrebentar tentem cohen dormem prontinho
+amaldiçoado turnos satélites roll crack conectados ofereci biológico transmissor segurem dominic
+mentais enganados clubes hulk ajudasse humilhante torná-lo mostrarei encontradas livrou genes not
+achavam ouse declarações quadril esfregar avatar metáfora holden treinados hobby obrigar mostraram
+mills elias simmons anúncios sung dedicar companheira escutado scarlett escritórios ronald relatar
+curtindo sonhou construíram aproveitando sadie lendas briggs grandeza crueldade chantagem napoleão
+ausente reportagem comemorando assédio aproveitem sirvo escolhida livremente virtude escória
+independência prisioneira antônio constar alguem cowboy spartacus teal melodia características
+fratura ativar tacos nico esquentar amorosa parasse durona comparação faminta vierem tiram mistérios
+quebradas hipóteses frustrante encaixar domingos simpática postura identidades discursos dvd
+helicópteros júpiter confortáveis ye rum administrar prendendo determinada julgando estábulo
+compromissos shen dinamite capela abelha brincos respeitável estreia dinossauros desistindo marissa
+rap formando assado mangueira iluminação revelação rival vencedores intestino baita banks eletrônico
+avisá-lo poste medir cumprimentos controlo conserto extinção concordam ajudarei paquistão horários
+frases agências tratam dalton lila asa fedor escravidão chocada indiana nadando leituras crê vinham
+restam lamentável roubos amando livraria bates profundezas decido alexandre residente ocupação
+visível poderosas cinquenta comprometida tentasse suécia justificar ficavam probabilidade belle
+recomendo fabuloso repetindo adotar forense ave timmy entregando destinado cebola vip gibson
+costumávamos ocidental gates fator injustiça portland comia eternamente bebido veteranos aguardar
+mencionado maligno gretchen florestas continuarmos saberem picante square contabilidade trent
+indicar powell visitante nigel atentos malik teimosa lunático gratos preferem menininha remorso
+pegadinha festejar spray intervenção fode engravidar trish passarem confiava ofendido fogão aprendiz
+soltem atingida poção fedendo falarem convento manobra floyd bruto iá trazê-los internacionais
+liberação entregá-lo peste seguiram denúncia afetou tribos casaria chorei traído sacana exigente
+cunhada usavam organismo beck gramas charuto palma distraído percebemos cassidy repouso telefonou
+sinceridade sortuda comprimento tabaco carlton leonardo atentado trajes perguntaram news esquilo
+desenhou celebridades quarenta mendigo aprendido there confirma arrogância bolhas esforçando
+encomenda bispo explode fax sensacional negou órgão lo fodeu pulsos afogou entediada rastreando
+irônico cegos ricas fran parece-me lopez vó formigas soubemos matador compreensível ike jeannie
+derem rodar astronautas mago marcial girl apresentando agarrou dispensado lagosta perguntava
+mandarei ming escritora galo incêndios oak controlando montgomery point mula cintos magra nã matarem
+interrompendo clarence juliette silas estressado guardei sonha cross pesadas cardápio receitas
+assume abriram abatido super-herói ra empurrando aprovado serra vidente objeção macio diversas
+júnior íntimos livre-se britânica excepcional coletar rola patterson eduardo ahh reportar bai
+suspira costumavam olhamos diriam virado fruto angelo intelectual clinton aprovar at resumo
+profundas rapariga agradecemos muros viciados perigos drive orquestra ofereço maca navegação plasma
+estragado ohh realizado bolinho poemas sentisse declaro asseguro sérias morreremos aponta wheeler
+julien espionagem confiam alucinações zoey isabelle balançar hayley cuidamos referências antoine
+regimento mexicanos glorioso funcionamento josie inscrição renunciar anfitrião torcendo poupe
+consultor acerta vilões torna-se sucedido brinco deputado balançando lara explosões sobreviveram
+tosse pegada concordei henri afirmar petição desperdiçando resolvemos lamentar sítio quebra-cabeça
+obama mônica mantenho epidemia protocolos phillips feias mccoy luna auge condessa famintos surge
+direções mordomo básica explico abençoado hd cuecas valha infiltrado decida elsa peles magoado
+quebre brigamos coco bebia deprimente passaportes psicologia músculo financeiros feroz virgil virada
+mutantes burton alega on-line insinuando irresponsável trarei ally superficial fábricas doctor
+formam foguetes michel envolva hassan imóveis aliviado izzy conhecendo amargo prateleira cegas
+segurá-lo acalmem-se grã-bretanha vagas ganharia celas françois falls acusou enigma never lembrá-lo
+disse-me investimentos doméstica exploração pegará extraterrestres voltava tour desesperadamente an
+romano patética imprevisível limitado assumindo font espiã cavando soma registrada apodrecer
+perdermos docas stripper profeta pensávamos apropriada escotilha julio suprema lacey shepherd
+marinheiros milton hyung marketing pensilvânia carly yale inofensivo pagamentos greene cansativo
+permitirei sairei esfriar guarda-chuva importou right malvada admirar reclamação philippe sacou
+mandamos extrair encontre-me creek clive orar lutaram matasse desprezo rolo narcóticos frost
+perfeitas cultural moleza say ousado fortemente combinam atum ferrari considerada allan ahn
+enterrados acreditem obrigações gardner prático jong guardo japonesa paramédicos vendemos gu porção
+aparelhos frita imóvel batidas edwards burros destroços margot libertação atuais vestiário surto
+quilo primeiro-ministro masculina levarão fingiu arrumado habitual antepassados camadas venci
+pesados tetas reagiu millie supremo kenneth caubói vega flint refletir pisa sólida drag pensasse
+galpão ultima ofereceram acerca donny sarro gases chequei risadas imensa candy wright acharemos
+cairá lema supervisão disney ambicioso legendado patricia construí invadiram cruzamento assustados
+suficientemente cozinheira atlântico peyton subterrâneo possuir mentores farinha saltos agitada alí
+refazer quadrado viajante queimaduras feng dex revela molhar cantava vitórias balões spike ordeno
+detê-los ruína prince culturas achas ladra madeline futuros subam latim transformando trigo arriscou
+controles defeitos tratada gotas joanna higiênico arredores apontou empréstimos atraído pontuação
+judia forçados referindo programado parava mares educada fragmentos vagando apple intimidade
+descobrisse autêntico lorraine home explicações destruíram ramon afundando subsolo provocou
+desaparecidas escritores doentio billie espuma anônima ligava nomeado pinta veredicto infarto trey
+fu disseram-me cavalgar cafetão segurem-se procurem tomadas fixo bússola comporta comeram sacerdote
+cancelou desfrutar entreguei apavorado salmão oriental composto miriam assuma prazeres pertenço blog
+repugnante ow odiei nat suspiro publicamente gravou destrua danificado semelhantes bryce névoa
+florença pico tijolos ganância adorou hospício contamos aceitamos baleias afim larguem diga-nos
+ressonância juntando discrição tomates diretores apoia ollie maricas sanchez russ gerry desarmado
+beije planejava mete imigração bateram impaciente encoste encontremos milão more galho sawyer encheu
+amuleto suporta nell agüento ninja montando singh crystal produz bloqueando adaga darwin mimi
+confundir tempestades espaciais atinge pintou exigir ova comunicado extração focado expulsa day
+ponham let srª mostrar-lhe descobrirá toquem entrego drácula atrasou resolva pirâmide jerome
+inauguração processos riu complicadas táticas planejamento compartimento envelhecer cumprimentar
+antibióticos sofisticado marianne probleminha tradições populares fofoca módulo mateo ruiva
+imigrantes divulgar back sobrevivido fósforo semelhança flechas oral entrevistar protótipo usá-los
+similar nasceram tobias agressor soviética bloqueado padres air cirurgias genético herman
+sequestrada espionando apresente viraram ponho milionário coreano pedisse sofrido estadia heidi
+complicações mentalmente encanto shaun respondi chamarei publicado terço conversei desenvolveu
+perturbador colocada ola virtual coréia higgins incidentes odiaria excelentes terrestre iniciou
+sonia atravessando morcego fornecedor lemon revolta ativos quiseram dividido refeitório véu usará
+aplica arsenal preocupam suzanne jardineiro preparem allie mantive if acompanha irmandade
+estrangeira blefando limitada detonador presidência revelado amoroso nevada ideais psicólogo
+expectativa entendimento bones viviam significaria fecho peraí piorou drinques clareza farta elogios
+kramer brendan testemunhou defende sushi realeza peguem-no morango informada voam conviver ignorando
+tremer prestando isabella reverter pike fiscal psicológico estranhamente elefantes julieta imaginado
+make atletas mecânica esposo gregos costumes gostem wei apoiando servirá darren triplo retirado
+preparativos cardeal fale-me bon veredito boazinha ameaçado madrasta indicação fósforos editora
+perdoado convenci amasse trator culinária pancada parasita harley passadas dourada matarão fuder
+engenheiros burrice agulhas aborrecido verificação ignorância tocam genro skate marciais county
+comemoração elise tóxico duros comediante recorrer figuras povoado suspensa garfo capuz corvo
+desesperados mei controlada exibir hawkins óbvia contrabando missy escurecer aquecedor homenzinho
+dormimos entregas bebemos po apito contribuição trepar colisão abrem gravemente estragando tese cora
+fugitivos estraga certidão interpretação callie pula patente esqueceram enforcar significou
+negociando costura decifrar escolhidos conquistou alérgico pararem financiamento afastou resistente
+católico devoção desculpem-me digna ace virgindade desvantagem construímos oklahoma corporação
+bancária conflitos cheng dificil sênior dinossauro baía argentina tentará obteve cereja inventado
+agonia tampouco reno fatia prancha acabada infelizes xavier namoradas dó sentirei natasha matthews
+alertar planejamos libertou procurador magnífica vistas empolgante wanda defesas crowley oswald
+garanhão bombardeio gabar edifícios reclamações plantação lentes acertado corajosos ensine hacker
+estibordo gastei exclusiva intrometer ethel abóbora diga-lhes compraram moramos trava desnecessário
+libertado eddy estressante pêsames amá-lo separadas revistar dutch derramar ada homossexual jogadas
+brigaram riacho anomalia ligamos informados espertinho valentine vinhos continuava agitação pedirei
+impor pousada falhando barris peculiar liberada veia percebem fuzileiro cercados theresa proteína
+arbustos usina vago ventre ingrid darius carteiro tratados suspense claros liguem cantam salvado
+confiáveis abismo íntima violar sloan traí confronto condenada liu analisando acesa degraus mallory
+protegeu maduro designado mexicana açougueiro zeke puseram goku reparos recompensas noruega limonada
+from kentucky casinha paletó buffy freios viveram revisar importasse dolores observado bebem padaria
+discordar representando baek bebé ingênua roubadas concorrência pérolas hangar deixada uh-huh odeie
+endereços boo mordido gi explicaria costela tessa pescador rituais alérgica afastando visitá-la
+tambem salvá-los seminário sobrevive dre bennet apelo apresentam acelerador enrolando abrimos
+força-tarefa rufus firmes temem lavando anônimo rodando ginástica camponeses produtores gabrielle
+argumentos inúmeras armários detector furo curtas circulação sentirem knox florence frios enfrentou
+naval desaparecem catástrofe pálido seguidas sanguínea contará afiada assustei aspirina mérito
+derrotou xena servos prende facilidade escondem devolveu inapropriado martinez dispositivos
+vulneráveis convencê-la alasca economias envio necessita leah aproximou she kyung detectar
+retaguarda excursão novela respeitado compram unido tecidos ghost povos rejeitado nikita viado
+negado hormônios conheçam verso regularmente royal recados começaremos representam indiano chutou
+pesquisando descartar crescente loiro escaparam viriam weaver móvel corey cristã chifres corria
+redação descida bengala agradece sensibilidade associado derreter riem bull unha embarque vodka
+protegê-los agem tumulto sensíveis proibida orgasmo nápoles est calem sobrenatural ascensão humilhar
+cuidadosa rasgar aceitam deprimida nuca antena ofensiva atualizar expansão esquenta esperavam renee
+regressar afetado dúzias perdoo investigadores bracelete levantem-se samurai aranhas lutadores
+motoristas milha coleta alabama operacional stalin emmett dê-nos impedido drogada mentirosos ps
+cumprindo arrastou considerou artefato esfaqueado holt timothy morou aliens mantinha cuidava
+santidade compatível here fiéis atualização state perderemos medula residentes punk alojamento
+varredura campeões aleijado biologia aurora harbor cochilo pepper comunitário boletim holanda
+transação temporariamente viki síndrome leves arame instrutor apavorada ajudinha stanford reich
+atlantis cuspir procurá-la estacionado providenciar dependendo heil subconsciente tomava mcdonald
+elevado rejeitou cresceram credibilidade rodrigo novatos maxwell variedade tijolo tyson manterá
+engane maureen foreman formidável morrison páreo dedicação valentão alfredo center muçulmanos
+minhoca insultar soviéticos sepultura juliet atacam armando árabes enterrou agressiva trocados
+plástica associados perceberam existisse apostando falharam cozido caitlin tasha eleitores darem
+dark certificado removido negativos inventário manto fazendeiros anões sutton sobreviverá crachá
+atrase abdômen killer gravador cansou alegações operando abaixado frederick ex-namorado custam
+desejava palhaçada movam-se escrevia proveito aparecido vínculo rumor jude descobrindo cessar rolou
+mara sogro enxerga marley parcial barulhento cansar cartazes lannister lang tranqüilo apanhado
+signifique eliminação curativo sookie betsy rupert buster sugerem moço cassandra lyle analista dea
+coop retirou pegava privilégios bundão negligência treinou ilegalmente afeto caçula greta explodindo
+escolhendo boquete predador lembraria arruma mostarda oceanos espelhos cerebrais take estatísticas
+resolvendo provocando viatura vernon manchester trenó roupão gastando lars exemplar sujeitos
+funcionaria merecemos sofri sofrem órfãos transei sofreram enjoado usarei afundou estourou formado
+beatles sully intruso traduzir condicionado implorou oregon fizeste sorriu vassoura resolvo
+levantando inquérito byron illinois diverte dispensar coro bree dispor lúcifer katrina diligência
+sétimo garantido mande-o blocos afogando usem óptimo sinta-se mutante daryl yuan seita partiram
+empolgada chegava convida distribuir atencioso gravadora dançarino aumente modesto chicote baratos
+arremesso gracie apertada pulo frances cumprida defensor convencida percorrer vênus circular escapa
+exclusivo arranjado pensavam desempregado câmaras fibra ugh seduzir acreditavam tarzan críticos
+implacável colocarei anunciou mckay católica arca consistente solte-a irado entranhas plenamente
+interpol conseqüências freezer restrição voador órfão darryl retire recém incomodá-la contentes
+econômica springs tailândia mindy promissor moe realizou joia condutor achem torrada dewey oba
+demanda lembrará inferiores cortaram colômbia polegar impedindo chatos canos assassinados terminará
+filhinha capangas albustigris sierra mostrado geórgia fralda concorrer trajetória pisou feel cansa
+jardas evitado cause brecha causada side sinistro significativo cagando prioridades jogá-lo
+acompanho sanders afasta munições citar vencemos impecável trapaceiro survivor precisas suavemente
+cory davam alberto gramado cruzado expresso brigou vagabundos sugestões fizessem irracional
+invencível rangers traduzido muralha frustrado diminuindo naquelas faltou darmos jeanne ensaios
+casaram discordo doações plantou inspirou vance interruptor condolências expostos morrerei esqueleto
+olga lamber confundiu expliquei spa sacar drones avançando platéia picada concussão rendição pretas
+retorne irritou porcarias iogurte hale cartwright post dora winter luar esfaqueou decência cuidaria
+aleatório chanceler acompanhá-lo auto transamos elo willis localizado dar-lhes christy triunfo
+agradecida vomitou punhos patroa impotente henrique hálito colt descreve preocuparia voces dolly
+casacos bianca ofertas anestesia formulários constituição rifles assistentes historia satisfeitos
+columbia prostituição carver tennessee dolorosa negação louisiana dwayne ignorou eixo convites
+america wong entediante bronx nascem pônei automaticamente exposta milady kayla recepcionista
+admirável bender stargate carolyn truman morde centímetro macia camarim monitorar cercada predadores
+golfo cubra richmond ram vocãª físicos aliviada trouxer cimento aeronave qi preces generais equação
+deliberadamente entrasse apresentado licor ignição ciumento aceitando tentarem caças lésbicas
+gostavam ajeitar canyon atropelou kirby hannibal paco assinei sobrar separaram caneca acordados
+conte-nos fi apto persegue metanfetamina fazes caminha ajustes perturbada filtro tábua herbert boone
+olhares usasse vaughn regressiva intervir sóbria participou canadense bong rotas cel feiticeiro dita
+mandaria desconhecidos quisessem acerto cancelada isolar tiraria bloom moveu conceder tonelada
+emocionado boyle patos suponha barman trovão controlam ouvirá envenenou lindsey richards need
+vigarista pose dilema escuras causei honras feitiços winchester externo noticias vendê-lo tabuleiro
+rod orlando esvaziar esfera estuprador abertamente edie maddy felicity cristais odin reviver fiada
+desordem ajudamos xangai horrores sunny soltá-lo circuitos youtube jed agradáveis kendall frias
+cargas amarei tranque parlamento cesar alvin diremos aprontar sela malucas alimentando espancado
+tomará depósitos judas mágicas levarem ternos bandeiras barb montes tarado ídolo orgulhar
+estabilidade cook granadas salvaram supera relaxado iniciando butch old arrumei hardy acalma atraiu
+atlantic sábia resolução cruzou prendemos imitação sugar tomarei sabido podres probabilidades
+stanton lã ofensivo lua-de-mel tambor ouvirem define gozando bravura demonstra ressentimentos
+missouri neill maniacs donzela sky gong chalé normas criam connecticut vargas incriminar kgb
+gallagher consumo curte madrinha cerco prometa-me furar degrau precedentes libby rampa celia
+medalhas mamilos agitar mademoiselle artístico zhang cordão connosco avisa íntimas corro perseguido
+aceitado infernal sintoma they indicado dunham queimados ex-esposa escape coruja derrubado
+psicológica estressada selos motim eletrônicos colaboração niles motos sã entraria les enfiou
+cachorro-quente vossos mandados furgão erupção rastreamento davi bundas rabino apresentá-lo brent
+obrigados deslumbrante empire entes palm nobel testículos discussões desapareça vendia harlem imitar
+baralho salvamos magnus jipe creche perdoou metralhadora invasores ioga magoou facto calcinhas
+passeando mangas satã processando sinclair gêmeo freiras alugado aéreas vibração andamos governanta
+adicional amaria preliminar mova-se alavanca rezo bonecos cronograma reitor empresta universal
+geoffrey comprido vasculhar recuperado clint alugou tchauzinho inscrever vista-se prime aquário sor
+roubamos presidencial contenção acreditasse mijo morty prego transtorno eo barcelona acompanhado
+stacey rompeu felipe submundo lares enfrenta apanhou adorando governos loki ni superei hyeon
+miseráveis life banca cyril aprovou tendem gordos tang igrejas pegasse espaguete rápidas shelley
+willow verdades hambúrgueres barbear incomodou igualdade artefatos engravidou ares sintam provado
+mozart bárbara pelúcia suar boom ariel agido permitiria dificilmente woods acompanhando erguida
+doidos colaborar síria composição gostosas pequenino raros participantes roubam lisonjeado chefão
+imaginaria fodidos acusados sudoeste aparências província salários leme recusei mate-me destruídas
+solteiros criativa compradores multas cômodo varinha sequestrar julius trudy langley ursinho blaine
+profundos estabelecimento experimental ensinam corto malone comete fritz disparos carrego carregador
+arrependimentos clichê acordando cachimbo sterling banqueiro comparecer toronto lulu ereção pontes
+neblina triângulo seong costurar memorando debra incentivo lorque moinho diários amavam torneira lil
+distinguir concha gostará cobb modernos marque yun infectados hwang fofocas comovente son meigo
+butler repetidamente intacta nerds punhado melinda apocalipse voluntária representação geleia
+acordá-lo terminam socos skinner botou recruta her intacto apoiou resumindo estruturas descendente
+circunstância arrepios entregador buscas ficaríamos automóvel novata mandíbula interessam cometemos
+away esportivo ensopado eminência confusos wagner eliza polo fiquemos curvas observador baboseira
+dum defensiva permanecem arquitetura cobertores haven heart subestime aiden forca dirigi advertência
+maratona astrid vitaminas comprimido aigoo warner soou levantei musicais atendimento ajuste massas
+barrett espaços resíduos interrogado corremos ju salvará pálida matrimônio comporte-se monges august
+ouvisse comeria torpedos reclama gorila apertando vigor bruxo bananas dinâmica torturado asgard grão
+umidade cotovelo troquei ouvi-los fidelidade excitada previsível pittsburgh arrastando armadas tiger
+ronda organizando harlan avise-me madeleine caseiro tacada sombria vito comidas impedi-la derramado
+aproximação violou rapazinho au jurei escritos dillon argumentar adiantamento maine sheppard
+projetado amarrada partimos julgue intensidade úmido ligadas unida rivais coxa souberam largo
+básicas chet antiquado vácuo engoliu dimensões copa tambores primeiramente memphis ensinado bunny
+baseball sherry progredindo cinderela riso ranger jóia fluido otários michele peritos medalhão
+jasmine turquia matariam permitirá quadris whoo respondo metais lizzy dakota continuei power placar
+ex-namorada concentrado fecharam garantiu servidores resume descansa criticar cuidam passarmos cujos
+jurado gueto imune honrada dispara finalistas congelada vala autorizada delirando usuário praias
+colateral vendida lençol listas ligasse look tutor recebam sacrificou voluntariamente emprestou bea
+barreiras sensor good cantores bumbum amá-la schultz natação fabricante dependem charutos textos
+turista respondem impostor hospedeiro globo falido cadillac absurda transformado coringa
+extraterrestre soltos mandá-la buenos cairia dedicada sonhava relato chatear preocupando cary
+suprimento likapoetisa fodam-se vias sites filé acidental escultura tinto reviravolta redimir ganso
+barton hoffman bora reconsiderar night hyde golden ajude-nos separe problemático bunker camisetas
+blanche recebê-lo sento condenar encanador radiante defendeu queime segure-o paranóico aproveitou
+pecadores ilusões caber áustria acionistas xu equivalente kung fibras desmond universitário bum
+ganhado coisinhas considerável mercenários entendam sedativo comerciante utilizar uvas telescópio
+avisos ventilador conhecermos gestapo chaminé lia raul imprimir religiosos surda leve-os espanhóis
+colocados cuidem confidenciais beau manchete admissão sudeste sentei contribuir forrest compensação
+amnésia trabalhavam bocas usá-las lagarto pneumonia citação am yong ginny imobiliário traço danço
+esmagado confundindo rae chapada lunar sobrevivi intimidar gale iowa grandioso utah jody inteiros
+recomendar alcançou fossemos financiar devolve abandone tocha vicki taxista rhodes insanos noroeste
+giro esquecem compraria aparição advocacia desaparecendo madura dental montou consequência
+entregue-se impulsos alternativas lab instantes desejaria sergei exagerar margo escondia poltrona
+ocidente benji cabras carpete vazando reunindo pilhas seguia ernesto duvida velório shi perkins
+imortalidade transferida flora destruirá estritamente morram bank pregar mobília sobras diária
+considerados cobertas alianças afetando repentino familiarizado disfarçar poppy marsh diminui
+enviamos ramsey brock precisarmos parecidas mártir gera beatrice processado tan obscuro erguer
+crescemos mutação alterado whisky invisíveis duras cambridge hillary abortar machos explicando faith
+animação rádios automática sequestrador revolucionário ordenado atômica manuscrito viajantes ragnar
+magnum histórica concordaram protegidos inesperada futuras passem abaixa calcular convicção
+perguntarem panfletos colocará adão magoada di continuaremos arrastado pequim espalha julgamentos
+fazendas descendentes exactamente adotado separa grady conversaram arrasado reconfortante trapaça
+plaza caranguejo irlandeses memorial legumes canela atingidos contatou colocava romances madri
+descobriremos celebrando aparecerem eileen adquirir criatividade cubo habilitação traseiros bird
+trágica hera engraçados britney polegadas picasso olive preliminares ocupadas janta wan definido
+copiar aperta hazel dog algoritmo reyes deficiência locke jennings gritava pintando fraquezas
+elétricos dígitos mútuo duma feijões assinaturas liberou compara katy experimentou tratei obriga
+wisconsin sereia porte obrigue echo tremenda votou dariam joguinho golfinhos genebra irritando hoon
+doca oculto movem extorsão capô protejam-se pararmos admiração enzo excita dodge relacionados aroma
+instituições arruinando ernest pesquisei phyllis joffrey arruinada cartman sentiram monitorando
+surtando marjorie seguirá picard hilda wanna provei fischer compartilhamos analgésicos keen
+mantenha-se tomás escoteiro descarregar contacto reservar reações provoca mero kristen heim demito
+been arrepende esqui queimadura previu milorde coxas calem-se empatia hackear chu melhore pensarem
+organizou voos brega ganhava surtar corruptos convidando consertado individual tocá-lo morton
+marchar sinceros clássicos brien eficiência caligrafia picles nordeste acenda amadores transe
+quadrados disseste bronze leitores operador vingadores porsche deacon cisco postar curou
+manifestação esgotado reuniu lamenta laden taxi reinado capturou yankees trazia privadas deriva
+redenção redução passasse transmitindo silva paraquedas enjoada nomear começava acreditaram malandro
+inimigas soletrar oprah flexível pacífica desperdice substâncias conversaremos bochecha notebook
+lembrete caseira diálogo pombo kris improvisar vasos pedacinho impedi-los pergunto-me lutem
+batimentos doem questionando webster criminais factor vinci matinal aceitaram zhao surfar substituta
+sócia capturados chutando divirta dividimos comam descontar gênios garantias casarmos smoking pata
+enfermeiro bruxaria adega filmado conveniência administrador responda-me encontrava catálogo
+frustração could tt tórax omelete imperatriz angústia putinha levi atravessa neném hematomas saliva
+executivos complexa vigilante recipiente prestem infantis liras consideram castro rapidez torpedo
+inspirar levarmos herdou continuarem chamá-los peg concentre sanguíneo mostrará tolerância passarela
+preocupou noticiários nan lutado circulando trama protagonista moss engraçadas dae absorver entrava
+adequadamente mantenha-o cautela concorrente sentamos 're estufa bobos pureza banido empurrão
+verificou trabalharmos mingau enrolado mari definitivo cafés aidan abandonei deixariam decorar
+cuidaremos alarmes reconheceria jantando inspirado alien vasto crocodilo eco feriados race iluminar
+apresentei quebraram exijo seung quebra-cabeças encenação lidera cervo pelada antecedência
+influenciar chocolates guerreira lente freud falcão cometeram continuarei ultrapassar soja hawk
+arriscaria muscular infiel marquei anote pombos pip hicks conseguirão qing videogame realização
+usaremos qin designer picape poderem lina precauções passatempo disse-lhe racismo fabulosa cherry
+bee respeitam margens descuidado rosemary morena distúrbio syd clare evie espectro desagradáveis
+afeição lyra frontal vazou uniu funcionária potente dinamarca sequestradores propõe atuando tomaria
+declara juvenil cruzada ajudava exílio calmamente freya abandonaram cachecol kimberly gritei baba
+asma pente peão litoral esperemos loucuras custas converter ópio hétero desapontar psicótico guardam
+sobrancelhas chico wones quimioterapia promotora encerrada louvado demonstrou vissem pink
+aproxime-se eliot or dispensa cápsulas rejeição juntar-se galhos declarado christie espectadores
+escritas obstrução laboratórios aprenderam repassar levá-las estender pleno nero nadine silenciosa
+decolagem magnético coleman preocupante físicas coulson urinar mandem vampira escavação marcy
+dizerem arterial palha ardente lucille theodore separou comê-lo village perguntamos panamá tentarmos
+recordar recomendou invejo baunilha organizações comprá-lo vinnie borboletas amir rejeitar troféus
+investigado criadas aplicação paranoico barulhos paolo balística perverso penteado fotografar
+desejando meditação confesso bactérias apólice aparecerá pregos escapado exagere amores tc hem
+traidora percurso cruzados carvalho obra-prima partilhar falecida aprova canalhas arrasou prudente
+depoimentos solomon rossi ocular lynch glee cookie alturas acordem nervo curada terminarem colombo
+entidade sonya norm matriz décimo ganancioso flertando feto deliciosos planejam ante vendedores
+represa assustam segundas mercadorias investidor mera recuem bilionário possuído percam chorava
+fezes corresponde avenue leland aceitará almofada envenenar treze strip cruzando joana gloriosa
+dermos princeton primário fuller tranca obvio muçulmano encosta kirsten olimpíadas confiaria causam
+angus mabel vença jamaica beijamos guardanapo vestiu arranje union desistido suposição desenvolvendo
+tropical importamos ten tai refrescar gerard tito destaque hobbs casará agradeceria amsterdã
+passados manchetes convosco amizades irving convidá-lo avança ig vossas national espanhola petra
+jantares emissora alzheimer mana viável ruptura relativamente lidou abraços wood tios micah
+ensiná-lo adele indiferente donuts recordo fogem manipulação apertou janine humilhado fritar spence
+representantes crie empate blues voyager indústrias beethoven abrirá taças tratamentos secas inspira
+francine concorrentes agüente acabarmos incompetente bronca acabasse emergências desçam herb
+interrupção revidar ingrediente fechamos rafa apaga tripas chapman eliminada fodida persistente
+cálculo hopper abrace pressionado lendário junte inteiras email lidamos remota bethany giovanni
+reage penetrar perdesse grega jiang isolada hippie tocamos proprietários perguntaria espionar
+parafuso butters confirmada típica decentes intermediário perderei mantida diversos descubro pirar
+aprendem estuprar uid seio minnesota diamond igor menta lawson tribunais poe pub nojentos escreveram
+implante mu vaidade mississippi elliott carneiro bélgica banque substituído rush preocupava ração
+estátuas escolhem convulsão salvatore ahmed acabados aniversários convencional buffalo aconselho
+montagem massachusetts felicidades acreditará perseguiu maço caímos desmoronar rima planejo lâmpadas
+fry bok tratá-lo irregular europeu loschulosteam decidem cofres patrulhas escutam camelo protegem
+emocionais arranjos convencê-los cenoura amigáveis infinita finalizar denunciou celestial powers
+morse burocracia consertou passaremos submarinos sauna falante adoramos tire-me apreensão português
+funcionava aterrissar malibu benton cientes trocamos devolvê-lo competente tocá-la ordenar montado
+leroy esquecida abençoada talbot newman custe compositor alvarez hailey acostuma nuas antiguidades
+springfield celeste pulmonar psiquiátrico diversões velhice atraída patins devamos knight nus
+pêssego transparente uva teia pescadores acostumados vocação lorna espalhados recrutas encantada
+consigam recesso fury regulamento estimado esquisitos mini frescos eita faculdades iii envolvidas
+assista parlobrito gelatina cultivar anders suicidou protestos jose colônias clarice off dirigido
+agi torto encha camisola vigiado cheyenne tributo sucessor esticar rohan fragmento pegue-a apagada
+enterrá-lo autorizou arranhões qg consertá-lo trai seringa quebro permitindo confiamos paralelo
+gesso clone biópsia lexi operários escocês filial gráfico eden puxado inseguro fizéssemos axel
+parasitas worf pintado atenas smurf assaltos papagaio lanches inchaço discreta ambulante sêmen
+concordaria cancele ensaiando controle-se pirâmides divertidas stress ofício fraser drogados sofra
+misturado aceitarei término acontecimento sobraram sairão cuidadosos postou perfuração biquíni
+callen vegetal hidrogênio rosquinhas pensará tartarugas popa manning intrigante secundário famosas
+eras axl desejei arrisca contem dizer-lhes informantes boys funerária chow cairo radicais troque
+optimus norton municipal avental inspirador flauta sirene confere havana estavas divide conversado
+bichos alumínio expulsos testado constance zac cúpula 'er despensa wa existiam fornece bochechas
+bagulho pauline conhecidas permanentemente julga bárbaros aprovada kwon saque injusta formei decreto
+solucionar tende deeks vendidos desapontada boi abandona tirarmos acelerado europeus puxem
+assustadores aparecesse acompanhá-la fones curiosos addison pôr-do-sol nobreza brothers edna
+dicionário delito prometeram prejuízo reboque lucia florida severa ramirez publicou morales game
+alcança imaginário supergirl parti zonas saddam link corvos tiradas socorros hyo deborah eie zíper
+gladys jensen honey aspirador camuflagem gigi divertidos brigam assombrada dedão raras sucedida
+segurei gritam baleada característica restrições doméstico psiquiátrica florrick yard bowl savannah
+oppa bagdá àqueles resistiu barbeiro une impeça pedia descobertos dizer-me apostou socar reclamou
+originalmente entraremos campeã vestia mccarthy cantina cru ucrânia guido condomínio cilada
+realizada buscá-los astuto subornar independentes ressurreição winterfell palavrinha presumir
+jardins veloz preconceito desligo porca gomez caravana tirava usarmos interrompido erra tirem-no
+liza sufocando estagiário saca sortudos coroas sexualidade expressa controlá-lo micky auxílio
+converse nevoeiro myers decker usuários seqüência fitzgerald csi cresça juntamente xander candidata
+troço mascote primária heights ambições orgânico webb srtª about hot champagne túmulos chinatown
+abaixada resolvidos ralo fervendo ângulos nana tinhamos emenda paddy tranquilidade gorjetas pousou
+arranja procurados impossíveis sussurrando hino gabby too lances preocupes existo desenvolvido cota
+termino tempão pepe derrotá-lo turcos proa escorregou soda cê ressentimento reinos ciganos nego
+joguinhos desligando chove salsichas desonesto soltas sangrenta nashville mantemos queimaram
+derrotados bye vibrações tomas destruí-la romeo devolvo rodeio patife leigh enfrentamos maternidade
+escovar partidos departamentos siga-nos nathaniel mountain graduação ferguson propôs negando colunas
+cao permaneça cauteloso hogan perturbação norris everett lábio vomitando raciocínio largura empurra
+viam rainhas suspender averiguar múltiplas feno permanecerá quilômetro esquiar econômico doidão
+murdoch devlin slade arrasada pinky penelope godzilla entendidos fowler chile escobar suado yt trote
+il personalidades pirou passarei graal amos mayday skye lambert histérica indicou ne competindo
+apagadas broche deficiente recordações numero causaram cardíacos kerry escalada adolf leila ketchup
+demorado desativar abacaxi marian gilligan ignora prosperidade infiltrar pirando du cash aguentando
+pagas impressionou bexiga abalada weston desgraçada básicos bailarina odiou garden implica
+discípulos carinhoso beta kathleen senhoria pressione mandava componentes traga-a arrombar bombordo
+milícia justifica maryland matérias bagunçado servi baixe remotamente preparo patriota congelados ba
+atentamente receberão telas prestou subúrbio primitivo deserta bear supondo saibamos francesca
+aquecido fedorento aparente recrutar georges monumento meteoro sueco bonitinha anakin gama bad who
+elevadores civilizado movido assumi acostumando impune classes carregava intencional deixem-no
+convidá-la cobaia práticas fallon gritaria hesitar ganhos cartuchos chin virgens infantaria putos
+darrow cumprimento cirurgiões precisarão alertas acesas pecador afiado mané caribe usarem pirralho
+atendente precisemos castanhos bato prendê-la lyon ostras fêmeas conversinha fechei alexandra
+despediu conduzindo projeção en esquecerá consertando surgiram rh legende force cuddy aprenderá
+vereador trapacear peters imunda formada luxúria escalão think entusiasmado aponte lágrima dou-lhe
+luisa explicado cage acharão civilizações baldwin incendiar espiar coloque-a racial indenização
+vencendo lucifer uss protestar lagoa deixá-las afirmação reconstrução neutro comunidades aria
+conhecíamos rastejando indígena sanidade saltou espinhos bmw abri-lo karaokê exorcismo dividida
+fundador estouro vitamina injeções contratada scarlet jing inventaram ip viramos sloane recupere
+abalado barro alfândega anime-se acreditado lona melvin exemplos êxtase soluções safada loucamente
+ro pergaminho manobras escroto perdoá-lo garra liberal separando provisões benedict näo lillian
+acertaram recibos edmund dimitri laranjas desmoronando vertical teclado similares registrou
+consigamos viajam entregues galactica corregedoria humphrey descubram desconfiado cãozinho
+jornalismo mercer repete roubá-lo sacada lilith gestão excitação buceta sabonete referia
+silenciosamente observa legião avanços mencione ousaria rodriguez es sustento sábados decepcionou
+adolescência pearson saunders havíamos seon divorciado diabetes bestas munique múmia martini
+ameaçada meti decepcionante cruzadas gabi repentina envenenada aquisição discuta edison deite reza
+liderando bicicletas diminuiu relíquia narrativa interrompa minúsculo egoístas riquezas bourne
+poupança soprar cortador sarcasmo disparados confrontar tire-a duram marrocos conway centros how
+buquê trecho guarda-roupa desrespeito piora neville mcqueen maionese estripador unicórnio filmou
+esplêndido espaçonave égua delia vice randolph grandalhão arrasando vladimir polvo mastigar saudação
+identificá-lo deseje formalidade agradecê-lo atrasei conecta asiático egoísmo gatas funcionado rocco
+adesivo ambiental relaxante arábia começaria oferecem versões pianista ienes reformatório ryder
+escritura darlene aparenta receptor colocarmos super-homem pedir-lhe terrestres morcegos lâminas
+aconchegante reze mentiram cobriu caviar pisando fracassar raças individuais desenhando aham
+paralisia complicar cúmplices alfaiate viveria minto festinha sopro acerte mustang tamara rasgou
+webber vagões musica igualzinho stein maestro gaius over executiva cortadas checou reparou
+conquistas titanic solicitou seymour entreter contagioso lan dino steph moralidade tabela durará
+cebolas viajei subi faróis captando segurá-la válido sergio bufê elegância parecesse bem-sucedido
+faísca comandos jeremiah hanson desejou desejamos darby amaldiçoada potencialmente exercitar
+corporações elevada sagrados brittany bey algas disfarçada vermont mesquinho gerenciar chatice
+ninguem hiv magnética tirarem estocolmo abordar aterrorizante queimei hate especulação regiões
+madrid virmos travessuras nbc reúna conduz skywalker hopkins nicolas bênçãos propostas aveia adesiva
+instantaneamente insolente estudado alucinação abusar observações humm bloqueada agricultores
+nascemos egípcios aires klein internado caírem oferecido fantoche alexia fang acabarem sparrow
+carteiras aj nemo morrermos batista piscando coca-cola islândia lembrem freeman linus aposentou
+aborrecer poços soviético feios correria anular xarope perez meyer suspeitava poça assustadoras
+alegres ferrada baixou beijinho josephine provoque colarinho provando porta-voz messias gângster
+pronunciar assisto sabotar nacionais cometem ártico cleópatra pretexto pertencer mastro luc
+treinadora ridge recebida porquinho doo aprecia calhar quantidades choram lisbon fofos soubéssemos
+roube sorrisos darkside bruxelas severo humildade cereais cativeiro permaneceu scofield imoral teo
+desvendar bernadette discretamente wo varrer terrence galáxias expediente ignore bondoso elevar reg
+migalhas ganhador fileira conhecimentos pretendem pedacinhos confiado vegetariano costeira ko
+trouxesse pratt paralisado colecionador lucrar concluído ceia soltem-me químicas aguentou thea
+sicília emocionada dragon continuaram arrancado secundária portátil remy restrita hades focada
+sensata vendê-la carregou lasanha repolho envenenamento obrigatório lápide conselheira contornar
+zane interrogá-lo derrubá-lo clipe chantagear sucata hilary exigem confira ancestral tirano bing
+enferrujado amarrou nascença dominante culpá-lo hoover klingon apontam lavou chegarei bellamy
+batismo enfrentá-lo mumbai instrução nice filósofo detrás abundância tirasse senhorio inquilinos
+algemado beijá-la tesla kiki ferreiro calorias aterrissagem gravada falávamos abbott sumiço
+extravagante estudantil ain lembrarei garth chuvas adicionais urânio royce filhinho relâmpago
+continuarão imaginem origens dumbledore olhado ajoelhar selado acusa vocais seol disparado chun
+perturbando uber óbito dádiva laurent davey arrombamento salomão hayden corleone prontidão
+destinados sopra venderia venceram minnie comportando adotivo saberiam nâo mania introdução guardava
+tornozelos fatores privados armamento murdock falsificação exceções prendi empresários caio achá-los
+transformaram parques elisa credenciais atiram expiatório conserte alterações exigindo espiando
+trimestre ren parafusos frescas intimação fração cujas apelação buzina voe tyrell derruba alemãs
+montreal distraída atitudes masters justos esboço ying well realizando estimulante recebia varsóvia
+un mentalidade franca clifford acomodar dina swan metralhadoras mentora masturbar intencionalmente
+expert pães limpei carrossel rhonda madonna selar salgada camelot duplas ice enviadas colorido
+bronzeado raspar cobertos chambers energias acusá-lo buckley sing negão haters dentre trinity saquei
+assustá-lo fluir reabrir pendurada manifesto justine aguda villa vaqueiro ramón holandês winnie
+tornarem estréia cadeado cafeína batedor mosquitos hamlet grove desafiou trouxa garfield católicos
+valendo estáveis elfos danificada ousada deixados miúdo fracas camarote machucados amorzinho
+inundação ga certinho waters speed namora marks despertou reflete ocorrência vocal skip reunimos
+significativa sangrento namorou murph manualmente marcando rip preciosas bilbo átomos howie ferver
+derretendo acabem organizada preciosos menção leitor finas greer esconda-se ordena descobrem
+continuasse agatha ocorrendo marselha cotton cidadezinha benzinho salem relacionar cesto fleming
+atenções mereça brewster arqueiro slater griffith wen trancadas adorado embalagem unidas explorando
+cumpri mudasse enrique tirania mocinhos autêntica pipa katya higiene recrutamento proximidade pagava
+rastreá-lo marlene video bolton concluída agrediu duzentos len stewie istambul wolfe riggs arnie
+sobrevivem pôster ingrato castanho hierarquia carroll suk incomodo roxy produtora gambá isolados
+hospedado fish esteban deverão coceira cleo classificação contaminação ficassem mármore encanamento
+convulsões sirva-se tigres sapos documentação dançou mário esforçou resultou pauzinhos medíocre
+domina conner beneficente anal zumbido tariq ressuscitar evita afastados mineiros chucky passarão
+caiam camponês porcentagem aceitação soul imperdoável punidos lenços geléia detesta sombrios
+estavamos achados tradicionais óssea mostrem proibiu peludo fritos zelândia turco tocaram sabores
+elton herdeira cenouras sobreviva mimada passe-me faixas opera irresistível colorada batizado
+equilibrar eliminados tempero trancados conselheiros hiro tomarmos hammer fechamento esperarei assar
+arbusto trabalhadora filipinas bryant lecter guardiões fascista dickie recompensar perfurar pizzas
+kilo suzy emitir sociopata servia pérola temas et abandonando trabalhasse grimm estudava bilhar
+rédeas fortalecer paternidade tori insulina aproveita esquemas surgem cume polonês escutas derramou
+chorão detectado jp compor parta cain darrin substituí-lo cecil purê lockhart hostis trincheiras
+lançada separada reservada prometemos maría marcador prestígio esponja ocorreram ganharmos joguem
+genuíno tratamos inchado devolvido ruiz sobreviveria definitiva transformá-lo slogan fértil
+represento enganaram cantada sufocar slim bass preparamos desajeitado idoso descartável ânimo
+treinada carregam estais essencialmente baseados dinozzo stannis mars shelton colleen arturo
+buchanan assombrado aplaudir oleg avante 'll geoff parcialmente carregue bactéria strike épico
+flertar demiti partirá oferecemos conversam caldo acostumei eclipse colonos secos liberados causaria
+raquel rastejar sweet ruivo reflexos wendell pol pandora levemente acessórios giles brandy flanco
+confiando bullying fechaduras réplica larguei abandonados juntei girls completos paróquia fargo
+estimativa demorará produzindo dons sinuca fraturas punida treinei audácia recompor
+independentemente específicas estratégias metas duração carreiras pharrell competidores escrivaninha
+ajoelhe-se pino light serio morais médium apaguei louisa orgia hermione apelar hansen desejado
+tristan lingerie goo orson artística proponho litro internas hilton formalmente zombando neural javi
+mercenário ate alfie vencê-lo distrações inquilino alejandro alcanço navalha homossexuais custará
+sobrevivemos ness lucious retornando quiseres confinamento vasta novinho malvados destacar moção
+estante relacionada encaixam importará fofinho serviria sugeri retiradas solitários pistolas town
+pára-quedas eagle surtou branquelo aturar popularidade mãozinha assistimos decepcionada solicitar zé
+prescott péssimos ousadia governante destruí constrói batimento pulei pará-los london todo-poderoso
+desmaiei vogel distinto assustá-la mariana luo avisá-los tendências irina ocorrem fabiana
+temperaturas internato wars incisão berkeley chul conhecerá moléculas oui ocasionalmente caipiras
+backup zorro monitores flutuar sabotagem escapando derramamento recuperá-lo armazenamento
+localizá-lo luas curvar percebendo holland examinando hipnose devorar yvonne superado macy injetar
+cansaço rover bairros repentinamente entendesse dubai singular jacobs toxicológico esnobe duende
+mantimentos confidencialidade aprendizado livrei evoluir panfleto nomeou entrarei super-heróis
+repensar agricultura zhou deixem-nos apaixona luís cumpre buscam sibéria lennox insultos chiques
+parecerá wild pontual possuía odor lê-lo aberrações relatou vidros sook discoteca autobots projetar
+congressista waffles regresso foste ervilhas esqueceria correios winters essenciais trip destinos
+desligada oitava marines cretinos chupa minoria contrataram enganam ringo mercy atrasando vil
+saturno mercados soberano reprodução protegerá sheridan imaginamos pietro clones aborrecida krypton
+naruto matava comprometidos revê-lo maia exibindo transações lucien layla precisem kowalski turismo
+tapetes interceptar emprestada mordor fanático venenosa toxina renovar jarra boceta amarga adiantou
+sarjeta largue-me hoss escrevem bloqueou paola falemos abandono trajeto moses seqüestro cerâmica
+candidatar infectada velhinha portador solares livra cú brother sofisticada esperarmos arrumo sábios
+libertá-lo estabilizar ar-condicionado cratera interrogando caixinha peido moira esquentando centena
+sódio esquilos fingi vibe estéril desabafar landon aldeias admirador michaels doutorado monique
+impressora enviarei covil cargueiro scotland memorável enxergo afogado shadow gandhi chatas trairia
+ouviria salazar ruídos compartilha bobão relaxem reiniciar geneticamente forneceu amarelos subiram
+rotação osman seguirem decidirem dançarinos torradas transforme sven pijamas ofendeu jarro estima
+roth apodrecendo morangos microondas apagão violando quântica levanto russel consumir flagrante
+disparando casar-se alcançá-lo only encontre-o chanel vigie poluição considerei foca conjunta
+bombardeiros surpreenderia relaxada arranjei run fornecedores dres orgânica misericordioso
+convidaram shepard dusty gigantesco bruta prefeita município idênticos turk garrison emerson impasse
+esconderam blefe doadores suíço brighton berry regulares venderam reparei script ouvinte discutido
+abaixados noé tentaremos desci coitada mudarem infelicidade gino estragos ferrando consideraria
+apresentador coreografia débito consulado er disserem dedicou adotivos ensolarado ajudarão
+experimentando possuo abrigos plausível cheol brandt bbc jarvis órfã keila valiosas sétima remoção
+puxei congregação prefira fazer-lhe mundiais chinelos mineral portugal machucaram kings inesquecível
+stiles diplomática dead autorizar viajamos culposo acres alimentam cozinho desarmar atraentes
+divisões alimentado perturba infame contínuo híbrido frascos savage lotada lobisomens bárbaro tian
+geradores sansa aparecia supõe fracassou financeiras dev suv sofremos politicamente éden hesite
+medroso comerciantes blood miúda rice iluminado colheres beneficiar discretos solicitação estreito
+conseguiríamos wyoming urgentes manterei funerais panda leve-nos liberte fugimos transmissões
+distinção apresentados protejo catedral bipe séries misteriosas horace durões mit contaminado ampla
+afastem recusado california búfalo colby mouse hoyt loretta seguirão pc hetty gaby manteria walden
+pen recriar fluidos maxine frasier fenomenal moletom responderá papi ofendi perguntasse republicanos
+dirigem ru entao decepcionei budapeste sincronização machuquem lançando ignorado idosa furiosos
+escombros camisinhas tranquilos wellington passeios miley ka esfaquear divorciando brutalidade elle
+religiões preguiçosos desafiando pinguins lave diabolicamente rambo farrell exclusivamente decisivo
+seguirei mendigos dublê virilha faye beije-me entregá-la dardos zoar jogaria hollis empurrado
+retaliação erika desafia concordado obedece fim-de-semana conectada apontada hui grosseria suicidar
+raio-x gengibre fujam terminada bobeira vitrine machucam femininas específicos enxaqueca anya
+hirschen pararia comerem palavrões brigada crescida sauron agarre montão curtos marguerite insegura
+abastecer joanne elegantes carrasco nascendo versos identificada porcelana capone front chips
+fazê-las sonhado gordinho dar-me travar iv give fan brevemente tj nomeação camila nativo controlador
+consorte caramelo panqueca boulevard valoriza desconforto avisá-la juntaram mai viral nellie atadas
+porta-aviões maluquice ultrassom exagerei segui-la rapto gringo pesquisadores gostos salgado incluem
+imaginam domiciliar faças apoiá-lo mitos metida turbulência furou cínico acessível viajo sobem
+acendeu venenoso tentador escapei dorian maçaneta jacqueline salt relacionadas levadas manicômio
+resolvermos gel apaixonando devidamente acende mandarem lanternas saboroso subida pareceria mosteiro
+griots exploda bowman térmica chame-me muralhas corretos habilidoso correspondente concedida balada
+voltemos pontaria pêlos patsy opostos giz dourados banhos alegação rand priya planejada ajudarem
+traçar carpinteiro steel regulamentos mirando macacão dent indícios gales emil adversários
+gravitacional desmaiado clique sofria lucrativo casam candace servimos dizes mantenha-me oitavo
+bichinho becker bancárias pulgas derrick qualificada mesquita milímetros grávidas forçá-lo dedo-duro
+análises muhammad bonde abraçando mesada mercearia deves sentava reúnem publicação parágrafo
+intérprete adaptação marx liberty cortez baço relembrar kylie engraçadinho ea injustamente impedirá
+bisavô serva roz esquecê-lo casulo aproximam verônica perdoaria comunismo assina confundido bess
+sylvie confunde assino exigiu insônia flui cometidos tamanha brutalmente desperdiçado cortados
+mantiveram golfinho tomarem impressiona desculpando chifre audições contratando yes promotores
+boxeador múltiplos honrados dunn lea pescando nah retornará page ativada encrencada aguentaria
+inadequado sylvester soltando colocaremos aquiles segredinho lembramos toxinas territórios natalia
+abajur tell hostilidade decomposição vocabulário morei enforcou drogou procuraram corrido cogumelo
+canoa valiosos limitações históricos gao acordá-la brincam desfiladeiro reilly molecular marinho
+goodwin falhado cheirava brilham abri-la ditador ball ya transportes grampo pilot prometida péssimas
+jace investigou would tuck reforçar charada estrangular mackenzie conserta enviá-lo desemprego
+concorde bancando anfitriã aa johan landry jatos imortais urna ultimo proibidos baterista
+transparent descrito xingar shrek fanáticos diferenciar afirmou resiste príncipes manipulando
+excêntrico ensinamentos viessem seguradora ampliar wilkes poseidon mudarmos assessor jfk pagarão
+otan perdôo annabelle jet carmichael adotada violentas fone amarelas obi-wan gustavo comentou
+prateleiras filas ovni explodido estabelecido amassos confirmaram medieval korra fedido amplo tango
+põem destinada contínua biografia wi-fi painéis desobedecer acharei superstição bertie goldman
+burger gim acelerando nino ding coçar alistar abdominal germes fantásticos chrissy lima
+impressionantes thorne propósitos hesitação espontânea sacramento viva-voz pedófilo idêntico gajo
+cirúrgico versus shore tinhas reduzido marlowe emmy ardendo xi travado cortá-lo cigano trixie judd
+ramona megatron bip mineração reduzida movam griff duquesa tranquilamente proteínas owens afetada
+charleston estreita coquetéis iniciado crioulo frágeis dublin surpresos implorei rural proximidades
+pratica atrevido obediência diplomata transfusão divorciada zoom incapazes espelunca atrapalha
+supervisionar robbins oakland aura starbuck pops invadido interessou inquieto excluir desliguei
+religiosas mirar gracias respondam imitando ganhasse agarra marlon mao ligeiramente deck dançamos
+law provocação narizes bebezinho assaltar fire davy convocado comermos cagada stern collier fórum
+express smallville nebraska division vader faxineira sorriam convença houdini derrubei detentos
+sacudir utilizado bichas proíbe patrocinadores acreditarem vivesse gondor colocarem arrecadação
+queridinha nervosismo gerência espalhado cubro trabalharia palavrão jurídico dinastia cláusula
+callahan voadores índice seguirmos chuta chamasse sessenta kathryn sinceras rowan cece frustrada
+arrependida negada dividindo informa encerramento decidida construções werner multidões connors
+trabalharem retirando lonnie krishna funcional inscrevi explodiram elisabeth vacinas otimismo
+divorciados cox possuída abraça zelda víamos sejas deita said verifiquem rígida recompensado
+expulsaram ogiva tornasse sacerdotes paulina fecham covardia casasse sucessos complicados sacolas
+lili emilio resíduo pegá-las diz-me scanner repleto tonya presidentes aldeões ripley trilhas duane
+reuben oculta teri convocou súditos sofrerá manifestantes liverpool assinada achada interação facada
+desconhecidas end tardis robby hackers fascinado dispensou patinar brincava surpreendentemente
+reembolso queimadas lagos una vencerá veludo closet hara parecemos bolinhas reproduzir acionar
+recarregar marechal hematoma complicação senti-lo kelso novak venezuela lockwood grover espiral
+ducha dá-lo confirme científicos mitologia desertor dançam vasculhando marquês rené irrite cachoeira
+ângela goodman palito opor dizê-lo demolição auschwitz tech puramente noturnos ajudantes tradutor
+precisos partirmos dominique resista alexandria tocada quarterback amados subtitles mijando
+assaltante favorável coelhinho resolverá limitar competitivo ministros javali tenhas moran carmine
+banner ninjas compartilham harding demência vegetariana servi-lo henrik fume conseguiam álbuns
+partidas chamará canhoto felicia edwin avesso alegra responsabilizar negocio checagem vestem tons
+vagar perseguidor farra busco batemos aumentaram tecnologias mandá-los desenterrar concorrendo
+apressado apertados ambrose ziggy componente dobrado descobriria validade solteiras abater trocaria
+salvaria atestado fascistas subterrânea je deu-me garanta escondemos comandando banqueiros sonar
+scooby adormecido recupera mordidas imigrante caixões sa ocupa hectares ames palace informá-lo
+intoxicação lavado crixus francesas punheta alface lisonjeada imobiliária gerou cedeu imunológico
+espécime alteração prejudicial josef olhasse odiamos coçando aguardem envolvi enterrei anomalias
+quadrilha escorpião térreo rivers capacidades ridículas olharam extremos empreendimento automóveis
+proceder incluído cilindro athena senadora mercê masterson indefeso reality macgyver concedido
+canivete velhinho tornaram-se abrirem rendo majestosas neo granger escorregadio seguiremos folheto
+shorts ecstasy yin necessito aprovo remarcar dudley rascunho booker crises swift sabine opressão
+crocante babe marchando regional ponche capas atrizes magic condução autógrafos executados
+radioativo kendra gatinhos jai entregamos devastador resort manipulou wtfsubs telefônicos ever
+taverna cullen cheon yoga reagindo explorador colocá-las carroças continuaria sanitário mede
+empregador caísse had assada asher queridas furto willard trazida desastres dossiê superintendente
+great franny universidades operado micro-ondas meia-idade enforcamento comandantes prodígio serviram
+podcast jd lemos tormento sustenta sirenes destruiria desliguem alo travesseiros riker submeter
+proporção abraçou gestos exercer segurava raptou mildred candidatura entregaria rodeios ofenda hwa
+vestígio espreita comunhão prece libera kensi tópico strauss sharp cade pilar invocar conversível
+válida rach lavo informando observei reivindicar insistindo gunnar cirurgiã barker cruza carnaval
+andrei adler velejar titã annette adoeceu apoiado esgotando colocasse quadrante perjúrio creed
+burrows coágulo autorizados abdul aneurisma manha deslize india fabricar saberíamos psicopatas
+idiomas contrata tambêm recusando papelão modesta ligará nevando instalou desativado cds dezoito
+dispensada estende estática ofegante harmon despejo núpcias meteoros partiremos odiando inventa
+interferindo digas soprando passavam culpou aconselhamento vigília capataz cálice bullock quebram
+destruidor careta abrigar réus patrimônio ícone confusas racistas presentinho incomuns foley circle
+bisturi recordação pendente kip gordas caine cabeludo pateta fertilidade apoiam adormecer bernardo
+ziva find pisei garotinhas roberta cnn tuberculose pacificamente indecente fixa apresentá-la redonda
+bonjour abstinência romana pêlo fumava valéria motocicleta kwang genocídio educar nevasca
+continuando nicki rejeitada redoma evidentemente poupe-me cabeleireiro perderem elfo finalidade
+consideramos aceitá-lo cortam aguentava poupado marionete cilindros menciona incerto estagiária kook
+karev herdar escoteiros chateados adotiva azeite ritchie reeves programada ocultar manipulado keaton
+posta microscópio maura jeitos doou trincheira merry dependesse tratá-la suaves fields bisbilhotando
+berlin súbita desembarque decidindo conferências avisarei lutava hare patrocinador estabeleceu
+exagerou alternativo lamar indefesa contratados sharpe canadenses persuadir bancário juntam
+esfriando dobbs deixemos vegeta idol extraordinárias bette watts salgadinhos serge ocidentais
+recusaram marla ignorantes deficientes compton alertou protetora precoce declan júlio concluiu bifes
+formiga experimentei aquático suzie prendê-los matarmos jogados jock dote roxanne castigar blanca
+prévio arrependerá biológicos redondezas katniss olharem lsd irlandesa capitalismo africano
+perguntar-lhe recuperei esfregando consta bom-dia two avisaram turtle preguiça codinome adotou
+planícies ninar bombardear palestina gustav señor remessa michelangelo satisfatório mostramos
+ballard rendeu chaveiro avançados alcançado silneis french enxofre olsen comprometimento clínico
+ajude-o yates surpreendido pagarem leopardo tomaremos enlouquece valentina produziu macleod
+transformam indicador groot fumou plantações almofadas aceitas lobby camilla him dustin encontrá-las
+around transmitido curry marnie alegrar summers profissionalmente bentley luigi caldwell virtudes
+convido verba táxis dory sermões kristin cinturão borg where mercúrio feixe avisados thatcher
+psicóloga vinagre usher inserir danem-se consultas vlad sintonia pensarão leram pitt investiu
+almôndegas afirmam cosmo soubermos cenários doe recaída mafioso hamburgo contido rigoroso correram
+tostão paradise discovery textura terminaria salsa rúpias narcisista bat rene flutuante problemática
+espalhe tranqüila sensei pagá-lo inn firmemente casarei júlia hipocrisia concessão comentando
+torná-la produzem trunfo insana gavetas calouro merci apareceria tao diversidade respeite zombar
+reparo inspecionar causará gostarem fine detê-la pós indígenas viverem refrescante posses escorregar
+cana bacia steiner miúdos conduziu inventor desrespeitar coletivo substituição salta ruben
+propulsores guincho rin lotados divindade desconfiar exótico esconde-esconde tire-os gastamos
+gratificante femininos alce inicio gal gabando torturando parâmetros cursos congelou place
+feiticeira projetou burrito lanças magoa lamentamos fabricação were weiss our calados
+simultaneamente pinguim paguem inspire inclinado easy viverei shea crichton argila apagando
+ultrajante insultou carma levantado renascimento períodos ofende ravi punhal moradia kyra instalado
+impulsivo horn rony nia adriana adquiriu whitman egípcio dolorido complexos muriel imaturo duvidei
+ataquem acelere interrompeu trocaram abastecimento píer scottie charmosa extremidade conservador
+starling piolhos escolares sulu rayna agrado web obediente manteremos comportou marius dyson bizarra
+afetados acelera maddox divorciou começasse invasor fei urbana recheio inestimável clemência
+aceitasse molde bem-sucedida holofotes newark hi alegando adivinhou latindo detidos valeria protejam
+espantoso carnificina charlene rondando magistrado demitidos voltinha recuperá-la conhecerem
+processá-lo permito glass dominado vinny progressos potássio gangster rótulo nichols machucará
+jardinagem falhamos crescerem bam arrumada toques tank mudem aubrey terremotos delegação atendido
+pensas desligados gire fiasco dash cozinhou bowie visitei melody lucius guaxinim death papeis
+normandia damian atiraria aeroportos polícias despejar compensa bae salvamento paso ver-te nilo
+ferris entregará deu-lhe aconselhar puberdade pegasus dezesseis republicano firmeza alimentou defina
+alegar desgosto cutter conchas compatriotas intelecto educados captar inúmeros autores positivos
+pise indicando homicida asiática latino importei ianques mount esperasse cumpra almeida malhar
+lembre-me hua forasteiro rosquinha mandará joseon examinou ciumenta inicialmente destruí-los escondo
+aniversariante agradecendo umbigo traduzida matem-no fin zheng tagarela mimado exigência dirk
+sentando parecerem matilha baixando app vigilantes fundamento esquecidos proctor cagou contendo
+alunas reverência mortalidade juntem-se daily reconheça raines mediterrâneo disciplinar agüenta
+aflição preferiu che skyler barlow roubaria av penitenciária kimmy dispare desesperadas completou
+pascal hodges enviam presunçoso chaleira omega consiste tex cobrando vin karin solidariedade pa
+oposta liquidação lentos maturidade amáveis casadas bev identificamos domésticos propondo torradeira
+resultar morada kappa bach limpador mande-os fugitiva danado trabalhará alfabeto sentam propulsão
+encara discípulo dsergio deslizar avisem efetivo cantei tático ogivas manos mestra saias diplomacia
+disponha desistiria buffet atrasa alegou subo br mako garret ternura suicidas shan mocinho lyla
+aperitivo school argo uhm cavidade barganha stokes evoluiu treinos lem himmler extremas coroação
+aproximem-se varíola malignos rezei precipício hagrid exagerada punindo sádico receberia buckingham
+assistem telefônicas paradoxo amendoins jaffa danças cômoda largado resumir bambu nba duffy
+amiguinhos recomeço diabólico deixavam severamente rugas cabeceira tróia treina gang capitólio apê
+suposições marcadas curá-lo livramos inscreveu escondê-lo confiantes acadêmico sofro matadouro
+namorei estilista disfarçados sagradas fileiras follow fluindo árbitro titus rolling esconderia
+dominou shay desonra bancada desaparecerá competência minerais cortamos comprarei templos mendoza
+selfie lennon demorei viajado reuniram escrituras bangkok auggie alterou hancock habitat etapas
+emotivo nudez eleitoral desviou asqueroso transferidos continuamente coletando gravei investido
+fantásticas empreiteiro detective zachary shiva bridge stop externas emmet dançarinas cutler
+porta-luvas cinzeiro pepino marcia mad johnnie duraria consegues annalise animador moravam forbes
+densidade precipitado maligna surreal ridículos mire indianos anulação traremos joanie crua hungria
+family single pregador hip-hop convence confirmam tornarão chamo-me interface esquecimento
+diagnosticado leela amanha albuquerque queixar parquinho ilustre cala-te delaney hamster guardamos
+diárias danem alpes andie terminasse preocupei olharmos heller hell guardanapos chamarem catarina
+ditadura arranco laterais keep estábulos sinalizador remo navais determinados tropeçou sucessão
+desmontar farmacêutico motivado compreensivo salvas pasto pequenina palestras encurralado aleatórios
+perversa assistido aliada aleatória fases encare detalhado debater viv reduz perdoará jantou herpes
+brand palheiro histeria convém sonja simms ramos lançador belezinha alferes náuseas excluído consome
+blindado valerá transformei comporte largada rodeado eiffel again wilbur port lip leucemia tias
+proíbo guillermo ferrei encarregada semanal obedeça mika davenport cercas segui-los rebekah magda
+decidirá arya sangrou ops mostraria colesterol tentarão morgana audiências aterrorizado pseudônimo
+investiga bebedeira assistia pavor eureka entregaram anatomia talibã ouvida custaria omaha
+negociante forçaram capturada romero pistoleiro extradição diarreia contusões parsons mosquito
+intelectuais exatas sobrecarregado negociador estúdios hurley acordamos suportaria jarod dureza
+petey mofo imparcial correção substituiu dezessete cee caesar aborrece primitiva oque mural jaguar
+aquecendo moicano modernas jacaré faces tochas reformar rasgado nervosas fênix dormente corretas
+atingiram gaste faça-os arlene holograma esgotos abençoados singer matilda mate-a lowell lancha
+envergonha capricho trio queimam mestrado adoração tirarei draper admirava thing dueto ramsay
+espalhem-se bubba still inclinação davies babás agressivos pessimista hampshire assaltado matrix
+indicações garantida alegro yoda visíveis peck incomodam internada telhados rollins menstruação
+fundadores retórica mostre-nos julgada começarei congo picado pacific goldberg despertador alexa rey
+revelada dixie titãs românticos constantes responderam pilares senhas people moreno licenças prendam
+destroem revanche mackey influente busque preocupamos horatio consolar amarre abandoná-lo
+instantâneo aquecida through possivel vira-lata seguiria orange finos chantageando sweeney
+negligente córtex pequei feras cupons masculinidade hs dra cirúrgica rosen olaf identificados
+recital perdoei fosso forcei touros reconhecem tábuas suspiros relíquias magoei gradualmente delilah
+calmante arrancada corporativo boates ryu negue atacarem miniatura teoricamente tamanhos socialmente
+canetas ânus rivera censura oskar emotiva tê-las navegando anjinho vendedora samir processamento
+lukas interagir iceberg informal walton roteirista deliciosas olívia monta roxa intensamente
+proprietária incerteza arranca perspicaz jurídica brincou sois skipper sinatra itinerário
+telefonista incomodaria xamã pedreira ditas coiote proibição passageira demoro adivinhem promovida
+crocodilos broca agradeceu saruman johanna destemido kessler distintos creepysubs amará estilos
+anos-luz paranoia costeletas marcados franquia denovo tolices nono molhadas coreana compatíveis
+temple israelenses faraó dependente dell continha contada épica desço bate-papo acompanhamento jure
+hamptons condenou carcaça lexie ham tomasse cadete vesti separadamente alterada ori neutralizar
+steele yankee raivoso isobel empacotar democratas começarão toc temor residencial hu enfiado
+dificultar infortúnio quisemos manada intrusos incontáveis gorro fatura enfrentam pensarei noh furos
+expôs riam raylan exploradores provocado fugiria fda amaram valentes ué caldeira avaliações árduo
+agno recomenda ovnis reflexão lindamente fodam atrasadas pegarão humildes financeiramente estímulo
+espontâneo cigana renúncia comunicador arder tropeçar surgindo metrópolis listras paladar francesco
+espalhadas balboa atê lynette entregarei biff vales thornton partícula chili humilhou sonhador
+capitães tremor encontraríamos despreza cruzaram tres tapas pulsação esteira esforça domicílio
+carregá-lo universitária nojentas melhorado bosques bahamas misteriosos cooperando larson turbo islã
+hae xampu crônica ciao apostaria atropelar agradeci feminista exibido paixões diâmetro cripta sik
+reside males intriga admirando tônica reescrever polar figurino al-qaeda heinrich espaço-tempo
+arkansas esmagada wilder sacaneando paramédico armand africanos retratos live kelsey crescia
+contêiner concepção manson interfira esforce comprá-la temporadas náusea determina dure brutus
+ajudá-las space refrão lafayette implantes carlson noventa potenciais convocar afastei direcção
+raptada vencem finjo valsa sarcástico melancia deteve equipado civilizada nitrogênio idaho
+resistindo penitência medici abutres perfis incendiou bolseiro reformas helene aproximem whitey
+janie weir hussein caída quincy explicarei xícaras tripulantes superioridade regente expressões
+noticia liderou apache tóxica tec cisne cirilo bobas poetas jluizsd contate maravilhosamente
+destruímos combinando cidadã conor roubava recuperamos mordendo antiguidade transportando apagaram
+participei choramingar perdoarei mill florescer baronesa godfrey coincidências puser julgados
+atropelada continentes howell cumprido baldes bartender aleatoriamente vincenzo forge elaborado
+vitima preguiçosa ileso western propriamente noutro prolongar jameson desistiram cósmica merecido
+apelidos jojo humilhada hubert girafa alfinete sucção contactar atraem yao pombinhos morria
+mississipi toledo strippers pomada compartilhando prévia pântanos localizador irritados existam
+daddy restrito regis heroísmo malha cubanos atrapalhe walters verificado separarmos ligarem
+experientes drª brasa bjorn michaela barragem alvoroço pás parks maomé lutarei aorta atf localizada
+elétricas rodadas pizzaria lavei honorável arrisquei provam andreas libra gregor gratuito aeronaves
+torturou pervertidos abbey sangra penn hippies gaston clem cassinos mergulhadores marcelo chupando
+cartucho permitidos talentosos seven setores mágoas tração pio nicola hola divididos sossego atenta
+afetará traumas organismos babylon vodu interminável congelador gorducho desrespeitoso berta
+trazemos transferiu rastreou engordar científicas drogar invenções dançava criadores confesse
+meteorito loção iniciada derretido contraste félix contados underwood repetição snake construtor
+surpreenda plutônio ocean france robertson produzido mossad declínio discriminação continuidade
+calcanhar bambi antecipar visuais procuravam incompetência digitar des 've planejaram jogadora
+apêndice previsões pi envolvem enfia folhetos traiçoeiro prematuro eyes detonação passarinhos ludwig
+atualizado trazidos estacionou empurrei chevy alain tatiana marwan deke better hábil envelhecendo
+cobaias cloud ozzy estórias bafo açougue abusou imprestável dinah bebam minutinho escrevemos
+angelina playboy participante gohan galões dobre topa enfie corporativa marisol hao armaram
+esteróides elogiar densa delicadeza chofer acabarão wilfred skynet desconfiança apareci leeds estã
+ciclos adultério seriedade gin envelhece cor-de-rosa bordas uou recomendações plana crow ultra
+intimidado infalível contrações tak perdedora patton fidel discorda carmela prendem pine dickens
+caçado mulas detém tuvok medidor variação serpentes recusam niki watkins travada myra ferro-velho
+escorrendo cerimônias sunset nelly coitadinho causados sultão senadores drinks veríamos mascarado
+cookies contentar columbo anime sindicatos honorários estudamos cbs cachorra fossa descreveria
+sardinha manter-se dignos amarras gun dot anzol insignificantes costello aprendo respirador poole
+liberais ético men anunciado call winslow storm mantidos karatê aceso malley judaica hodgins
+alimentá-lo verbal lula gratuita desperta aperitivos subitamente riram gráficos engenhoso grosseira
+beirute precedente moo trilho mattie grissom soprano romênia curly artérias arranque afastada
+erramos dividiu tardes espectáculo descontrolado ágil church rafe perdoem mereci lamentando
+interrompida distúrbios batiatus protegeria zod oca land arrependa dormiram dax ambiciosa agendar
+perspectivas crosta comprava aumentam hernandez formamos enviará company rupaul morador manicure
+fixe desenha tornarei pincel paranóia tribal envergonhe coletes court assaltantes zurique sabe-se
+fingia sayid pagãos notaram caçadora russas bradford passes mc asiáticos primogênito jogá-la cuspiu
+valentões pendentes legiões despedidas queimem jocelyn ofendida infernos sykes tirem-me navegador
+mann larvas ilumina doutores capturaram travessia registrados iniciação conheceria relutante fungo
+enlouquecido afogamento acontecerem remar dessem calafrios existido convide bia bem-vindas atrasos
+astral achávamos xelins espirituais vocalista entrarão arrisque mudá-lo colton adormeceu discutiu
+acenando patinação inexplicável duvide rahul pingo karma delírio vomitei flexões bourbon pavel
+mussolini competições capturá-lo sinistra line interpretado beyoncé parabenizar demoníaca pagaremos
+hollow genialidade colocadas alba fininho escudeiro decadência esculturas chae ajudar-me renal
+paxton mijou mcgill targaryen refere-se late four coreanos comparando escadaria gigantesca beliche
+pagasse impenetrável hagen spider pensarmos movê-lo joalheria museus going god considerava charlatão
+oitenta portais polígrafo marionetes indiferença davidson cher tocante roleta ativista acessos voc
+embarcação cersei margie esmeralda wing rouge refinado protegerei guindaste dougie nascida associada
+larkin iron presságio liso vilas idênticas demiti-lo botes bagunçar unânime teatral derrete cupcakes
+milwaukee fodão esterco contrabandista ressler delegados trataram tentavam strange solenemente
+policias neurônios frida fiscais meghan ancião acabava zodíaco especificações acompanhantes hearst
+guardada braun abriria tranquei proporções music ajuda-me universitários amiguinha tirá-las objeções
+trapaceou pressionou julgo geme aw próstata octavia eba atraídos melão envergonhando violoncelo
+subpack sífilis panteras convidamos computação dubois divertimento assombrar ameixa lidei suposta
+resolveria resgatou caminhadas rodoviária lembrasse ativou talheres hogwarts gallo revelam
+derrubando catar deve-se cortem convencidos sentirão despir boa-noite apressem-se apertadas setenta
+mexido úlcera estágios almoçando wick duendes cantamos visibilidade hondo gala desenhei recinto
+mal-humorado escassez always demitindo cate check-in mostrava clandestino apresentamos sorridente
+pontapé encontra-se distribuindo arruinei reservou receberem substancial finlândia apropriadamente
+vícios magnitude invade combatentes budista pirado fixar cheiram astros abusos frankfurt
+fornecimento evite barbearia sybil afetam ursula sussurrar portos patrões fósseis demo auditório rj
+puros conversão princesas juntará facilita alaska resolveram rabbit farmer átomo agradecimentos vu
+idades desafiador bolinha benta pancadas gogh desfeito beijá-lo alfonso hendricks robb preocupadas
+esforcei substituindo doentia devolvendo comparada visitado vicente rolos pólo milly mcbride fetiche
+dandee capacetes radio meto corretora redondo carente gob farpado atormentar pesando loiras
+escreveria dedurar aram giovanna field envelopes candice bruxos saudita esquecê-la encorajar
+desembarcar desculpou andaram vegetação kaplan osama mútua lutará garçons selfridge defendê-lo
+aragorn verificamos cosmos pronto-socorro frequências testou his hauser duto demita suboficial karan
+ciro resolvida inofensiva figurão educadamente chefia caveira votaram orion negativas mensal avancem
+acertamos trace tijuana saborear mind recitar matemático juice huang bundy atlântida rapper allah
+submakers movimentar levem-na consertei calabouço vulcano va trapaceando intervalos penhores
+masmorra divulgação cornell estimular cidadania assinaram teyla persa fay thunder hotch emitiu
+harrington viste prateado distintas true notificação gemendo aventureiro pulseiras nado belfast
+alegremente zhu trilhões milênio óvulos resgatado fenômenos agarrando web-dl subimos reconhecida
+newport morda fracassados conceitos tofu saltando localizou informática disneylândia reúne
+prescrição medusa implicações janey formalidades eisenhower colhões solicitado pastores hitchcock
+gyeong gillian clarear bean participando aviação soltaram reparado loura adoraram chame-o afora
+segurá-los relativo mamilo impressionados enterramos encrencas perseguem pará-la hampton caminhe
+usual tree cromwell caraca tragam-no partem chocar tornam-se peixinho dicky sin sumindo lutaremos
+lancaster amarrados quentinho niko hyeok acreditarão quartel-general marshal executada combinações
+season literal imundos pragas gill confirmando australiano passas kingsley governa azeitonas
+incendiário carregados windsor ilimitado concentrada apresentada perigosamente mort ligá-lo
+instantânea anuário decepticons amadeu protegi potes keating pertenceu urgentemente lew desacelerar
+confunda acorrentado olharia merrick seduziu sansão daleks carrington solitárias lisboa incomodada
+ímã eufemismo interpreta frouxo castor aplauso arrasta terrance sossegado nativa fae doa mataremos
+darks marcação cuidem-se autoestima agirmos vaza siobhan provaram produtivo townsend poker
+perceberem nano agricultor incontrolável explosiva diesel destaca casarem albany piore musa essex
+drenar tocasse patti conserva bronson barracas ameaçaram pô pilotando naufrágio moleques
+incapacidade discutiram renovação clientela reconhecê-lo procuraria perseguidos mostrasse linguiça
+erótico bisbilhotar starbucks ducky projetada irritantes abrisse ressuscitou castelos yolanda verões
+food designada buscamos ouso cavalgando cajado válvulas renascer liang atingindo altruísta rimos
+mamíferos glúten mecânicos facção quântico entregasse acalmem nevar lendária inicia experimenta
+recreio babando providências manequim enfermagem alcançando traumático horroroso bancários sublime
+picos rostinho roubá-la farmacêutica empreste devias contatá-lo recomendado masturbando barricada
+apaguem sequestraram libere diplomático crash recém-nascido observem nutrientes interrogatórios
+cegueira cargos demente consenso castillo really jimbo contêm arremessar orcs bucky agudo falir
+penal pantera dianteira restauração fisk atras iolaus cultivo frigideira loomis apertei afiados
+tully fundamentais digerir camionete chung beijado viaturas tyrone hana giorgio coordenar tocarem
+indicada descolado davina afiadas sméagol selena paranormal satisfaz earp barulhenta postais
+microfones panos marisa importando formaram vendidas misteriosamente durant esquadra carimbo brunch
+mochilas jeb mckenna clãs kenobi culpá-la tk hai darnell why rigor pedirá lancelot taiwan coloque-os
+virarem fat concretas avalanche administrativo vôos vern olfato diva bonzinhos aceitarem surdos
+realistas perguntem mon levine lembrá-los informaram inexperiente escavar diretas jt im chamaremos
+repleta pit atua fb detalhada anarquia viúvas razoáveis pitada lazer culhões gracioso endireitar
+goebbels embrulhar bu blade poupou concessões bastar retardados infinitas exaustos esclarecido
+despedindo psíquica auto-estima consultoria boss ogro inspirada adesivos reabastecer oráculo manchar
+guardem estrangeiras apoie ameaçador meramente depressivo abalar sox obtê-lo xoxota preparadas
+guarnição descuido tocará obrigatória myung patentes deduzir críquete protetores pingente march andi
+acabou-se socialista outrora intrigado sobrancelha precisaríamos minúscula examiná-lo vai-te
+hemingway velma troll terrenos manta lutadora instruído divertiram continuação lançaram forjar denis
+cotovelos lesse equivocado desenvolveram variáveis rudolph espancar minhocas asfalto trabalhem
+relaxando giuseppe aceleração quiséssemos posterior gianni edmond ultrapassado pertencemos
+envelheceu ensiná-la modéstia baseia sorteio questiona pequeninos lembrá-la falcone justificativa
+pobrezinha panaca clínicas gravatas diminua cubano close bailes atendi românticas perturbe jericho
+indestrutível fergus condecorado brenner detento contratempo conquistador lodge key jonny intestinos
+dispensados geografia elevados delator viveremos trepando grimes crente braddock mensageiros ihes
+desabou critério guiando frederic facão encrencados editorial delhi administra guardiã conseguiriam
+bretanha israelense odiado confissões investigue fingem controlados contaminada psíquico guru guie
+silicone luka estrondo tucson materno detonou dardo camelos sandálias relevância levariam excessivo
+sintético permaneçam curativos palestinos lembram-se inimaginável esqueletos cianeto canteiro cálcio
+testemunhe enredo desnecessária cubos compartilhado chewie transaram hit freqüentemente flo
+arrebentou rachadura reciclagem fotógrafos evitou richter mateus kelvin contar-lhe configuração
+beaumont ran esquizofrenia temido suspeitou desenhado regan poético pescaria inscrições gritado
+grelha esperaram divirto colado atrevida arrogantes aprovaria piscinas novinha insígnia embebedar
+corbett especializado dissermos carinhosa periferia enganá-lo corinne cético citando veados tóxicos
+pupilas prosperar emile videogames recife resistentes perdia nocaute gaines denso viajava melbourne
+fotográfica clarissa carlisle silvia papá enfrentará duck dobrou arrecadar franqueza embriagado
+distâncias moriarty esvazie riverdale resolvem fefavrin enfeites editores decepcione volts pavio
+introduzir caçam pretendente exterminador vivermos smart shaolin negocia marvel delírios ernst
+encomendou difamação ufa mundialmente bolachas xian grado camp massagista malária lavada cunningham
+seções consumidores chamberlain acabaremos tocaria richardson nato calouros yoko yeo pregando
+warwick projétil bolívia huo coloridas atrocidades ultimato teller podendo larissa huck criptografia
+arranhou selma examinado treinadores singapura raoul obsceno moldura liberando extermínio deixadas
+danificar mantermos vandalismo ronny revolucionária vietnam tripp subúrbios retornaram graxa
+violações hiperespaço esplendor encerra assassinadas verifica trailers enoja desentendimento
+aguentam viajem levavam chamávamos aguentei pobrezinho correnteza peões empregadas play subordinados
+separam tanaka simplificar balance amassado thorn sioux imprevisto reportou ivar gore basil pinos
+leanne cupom sobrinhos pelados meio-irmão feitio acertando sirius esquisitas yakuza removeu camarões
+asteróide alyssa agimos traga-os cuidasse comecemos uhum raptado cobrem banal sais rider
+reservatório recebê-la maniacsubs derrube auditoria perceberá opõe myrtle voei vitorioso usarão
+recordes jantamos amávamos sarar planície penetra rochelle pirulito jethro everest encarrego
+donnelly denton ajudaremos kal-el arriscada worth sao expandindo abraão thelma movimentação
+encharcado controlava rong obtém honestas terças permitiram interrogação desapontá-lo comê-la
+interprete gostosos fuzil chaney sensações proibir lisbeth entenderem contratamos oferenda curando
+viajaram navarro lassie horrorosa zed melhorias lim encruzilhada agressividade preparam prendido
+ouvintes gollum emprestei conscientes adoraríamos premiado every embalar removida porções espancou
+casualmente tragédias recorda moldar ingrata infecções fisioterapia driscoll atiramos tendas
+progredir kato fiação aleatórias híbridos concedeu triagem trapos secadora observou encomendar aron
+acordava vês martine ganharem dei-lhe cegamente azedo whistler capanga hooper espinhal artrite sofie
+gongo gemidos expulsá-lo cruzes barraco testosterona desabar decadente bolt best intromissão truta
+investiguei rixa masturbação aborreça imitador gracinhas sonora saigon revelando menininho hesitou
+converso belinda rivalidade much cj adiantados jem esperaremos composta ganharemos descartado
+birmingham pesquisador falcon crown baratheon suplico respondido pearce mavis estrangulada browning
+retira meados ideologia rain modificar atraindo ansiosamente nigéria dolan rama distinta alinhamento
+rg maiô construtores comunicando arrependeu apolo plataformas them resgatá-lo nasal tower peeta
+exagera tyrion enfrentá-los constrangido sanatório levantam hendrix alana mexidos contribuintes vote
+transado limitados abrirmos perucas mexi sulista retirados castiel biológicas acompanhou terri
+glamour capítulos notificar mande-a haiti epstein dormirá sparks nublado abominável mágoa mostrá-lo
+intocável babilônia lasers lacunas humildemente entusiasmada pomba trompete iscas calminha tire-nos
+suicídios recrutou mg quebramos dividem delgado construídos bristol aceitem massacrados estatuto
+competidor manipulador interpretando espessura aprontou monitoramento honolulu fatias devolvê-la
+comê-los irritação impresso celine recebê-los quebrá-lo mandada cincinnati vancouver pandemia
+explodem contestar mantiver lux convicções abatidos salões permiti monstruoso esforçado derrotá-los
+constantine aang titânio reconciliação giselle generosos eagles custer calda schneider operário
+absolvição treta bb tontura platina lsto liberta insuficiência carrinhos atropelamento zeros pétalas
+juntamos africana abridor johann derby cris baseadas vasquez payne analgésico stifler exercito canil
+seriado orador demoraram organizados janis denunciá-lo juntarem enterradas esportiva dedicados
+concebido cólera caranguejos adiamento tolas smitty capitalista universos prestam filho-da-mãe
+cornelius viola tiroteios markus esperarem alegrias acordaram gertrude entendê-lo enrole
+distribuidor vietnamita enchem argélia ianque gone facadas danificados ápice anima stand six pedirem
+clarkson sedução campanhas vice-versa nikolai indispensável duplos poloneses noturnas jana checamos
+anexo bezerro definida comedor baylor patrice mercury expondo limpem trocas atlas arrependi apertem
+acompanhada tablet marcamos helga anonimato aldo sacanear crockett privilegiada bravamente asteroide
+interessadas horton detritos blackwood batedores willa vencida spring moribundo bright sonham
+holloway chocou teóricos partam oponentes estratégica consumido cairão five chiqueiro voldemort
+uniram despistar chateia bernstein pica ousar nata limões desperdiçou brócolis wook gola genuína
+concentra complexidade atacante prestei metano guardá-lo hwan heath décima cinqüenta shifu lixão
+damasco cochran atacamos wilcox tumores preenchido mccall enigmas delaware cósmico levantá-lo travou
+comprovar jéssica firewall carnes upper noz intrometido colorida weller ponha-o memorizar explodirá
+esgrima colheitas rockefeller aceitá-la quisera lixando extraordinários junção jeanie sos laszlo
+exaustão estragada prue hermann desconfortáveis caídos sobriedade guatemala bolar vulcões soltá-la
+apareçam rompimento indonésia borden rejeita panelas luciano lost divirtam things levantada georgina
+condescendente vitela solene saquê records patel amargura quinhentos montanha-russa marcio interesso
+carisma vestibular talismã reconhecendo narrador indefesos ensiná-los ocorrerá demoraria bret
+bloqueia apostei valho letais jonesy calorosa magos sobrenaturais shu det democrata adorariam
+abandonaria salve-me renda-se distrai surpreendentes orientar fungos continuado violentamente
+sedutor palitos excessiva converteu concertos chocados premeditado investigamos hadley conquistado
+simpáticos posar amsterdam vivam prontuário montada manchado curandeiro aguardam vô permanentes
+interpretou ferozes divulgado danvers curt cristianismo shao pediu-me contusão combustão aluguei
+retornarei moralmente mamadeira idealista dióxido blasfêmia vulnerabilidade viverão graciosa
+chinesas aproximamos afundado deslocado pintei finale divertem brigado santificado inicie
+encontrássemos esmagou construídas simplicidade divorciaram desistimos mergulhador imprevisíveis
+curral frangos epinefrina bedford arbítrio ocorra joss espantar escapatória eficientes defunto
+buscou vee incondicional fútil emblema apostador kono joong brutais observava carregadas magoá-la
+acabarei tremores interessava estojo devolvi acenar revoir marko fabricantes lidam impróprio
+criticando caótico agradecidos pavilhão orgânicos exaustivo evoluindo coitadinha mace gênesis
+errantes unindo úmida estaduais enrolada adama problemão portar molhados carpenter paisagens padeiro
+contarmos aguardo raja catalina siri petiscos livrarmos equações encurralados brincalhão múltipla
+melhoraram limpá-lo liberdades insulte enfrente gotta corrigido pediatra infração ritz mink espertas
+búfalos santana miligramas modificado uh-oh saldo qualificações perseguia lançados ficássemos
+dormiria confortavelmente vilã rigorosa pacey completas aterrorizada master maguire classificados
+viúvo pintos desenvolvi livrar-se guan dottie viagra schwartz sampson resulta pedestal ortiz kimchi
+fundou tesouras shep seta magnata herdei herald transo reservei moreau pippin hold constrangimento
+rende dirigimos barrow descrevendo cortarei confiscar pornôs mayer guias compreenda abafado sentadas
+roteiros kitt estatística entreguem devastada desempregados comprada voadora ousam economizando
+trazerem tok polegada mcnally chino agredir aéreos jia esfaqueada civilizados abria votei pride
+apresentaram roderick nothing friday assumirá reencontro pinça nic misturando cercando retardada
+games peregrinos fracassos desmoronou bagagens sabre fusível anormais ver-me staten procurador-geral
+pendurados patrícia fraudes emite totem somem rocket jogarem della dá-lhe apreciaria olhavam aisha
+sola locadora ibrahim renas osborne ignacio assustadas pressas estao demoníaco motoqueiros misturam
+gunther comício cecile bertha moya ménage marin identificaram favela despercebido sentinelas donut
+respeitada controlá-la ultrapassou transportado maternal esfregão escrúpulos boomer acampamentos
+vota vikram requisitos rabugento pensariam dependência quimio místico ginecologista engula hear
+gerais desistem descemos quilates ômega laurence comprometeu templários nebulosa wilhelm perdoamos
+malloy anfitriões acumulando sands fracote coordenação georgetown precipitadas fumei aguentem
+acredita-se weber three horta hathaway cronômetro faz-me crânios bug bessie operacionais
+modificações hutch extintos something selina pêssegos keys gosma garantindo dvds plantado chimpanzé
+surfe spears protegemos mindinho lakers láctea espalham egan chutado adequadas thunderbird sensuais
+contagiosa pegue-os dedica vamo valorizar travessura perguntarei irreal treinamos pâncreas livrado
+exteriores defensores apaixonamos sonhamos sobrecarga pd interessaria cecilia notaria maldoso chick
+restaram mohammed concreta bermudas atena linc horizontal evil igualar pintada ofereça cruise
+comportado chao nottingham infinitamente abusando moose projetor óbvias latir minado alf con
+amaldiçoados alistair intimidação gorilas eletricista cylons programar pritchard piggy jeanette
+determinou abbie venceremos demoram avançadas aspirante first salim pm esconderijos detida mueller
+indefinidamente crosby acolheu simbólico mathilde realiza calculado surf forjou reencarnação hello
+esferas carey refrigerador manuais django berger proibidas misty manifestações criancinhas baleados
+vigiada rações nfl estabelecida defendi alimente vagamente burgess atticus preencheu oferecer-lhe
+nádegas latinos guilherme encantos dosagem foragido augustus obrigaram mudarei abominação reagem
+orando exatos etiquetas discute cansando ameaçam soon rosalie recuando jodie acalmou rubi participa
+interrogou cozinheiros apoiamos anteontem acasalamento todavia than solicitando rue penetração
+inchada variações dirigida parteira encontrar-se atormentado vigário sócrates roscoe interiores
+garvey esmagados controlamos artificiais largos esparta channing hodor grisalho orgulha hemisfério
+gargantas faxina embreagem elsie comerei carr subestimei loop implore bali arlo apresentá-los
+praticado piercing mutuamente matrícula canso respiro livrando benito anotado guardados exótica
+alicate ouvirão fascinantes verduras yue wren vietnamitas monet grelhado eletromagnético patéticos
+enviaria calmas antiquada adiada viking abusado inovador cave agia zebra jejum infraestrutura
+enfraquecer rook obscura estilhaços xia tato prejudicou cortaria camboja faciais aprecie psiquiatras
+meyers luxuoso gostas combatendo tandy raparigas procurada columbus amêndoas waldo mariah canguru
+andromeda recrutado quartas preenche paranoica monsenhor karla glasgow abate reivindicação pinóquio
+hester externos existente andrômeda restaurada nassau massagens guiou defenda bendito adivinhado
+palermo impediria golias custado chutes amazônia teerã sudão previ chapados mtv desobedeceu
+consumidor desviando vôlei soluço parcela austen engole caffrey moody líquidos infectar airlines
+wilde tomá-lo mexem marcello conservar woodhouse treme transcrição suportava hiroshima tong partirem
+macias executou cateter atacará aproveitei agua macdonald governamental entregam dal confundi
+relevantes ralé anseio mantenha-os efetivamente quadrada prejudicado pós-traumático passional
+manifestar florestal brianna queijos odiasse lowe influências head ban gossip duelos alarde vibrador
+seal bipolar taj pera desculpo depositar delicadas contribuições ambulâncias meticuloso kruger
+mystic honda acalmá-lo esmalte cestas signo lúcia id binóculos atacá-lo traíram linguajar
+auto-estrada sociedades respondia pancho cruzei trolls percebam matar-me expulsão bloqueios
+possessão merle meadow deixar-me burnett fudido preferidos declarada patriotas hard guitarrista
+traseiras obscuros made johns detectando cassete arcos ameace sociável mendez mandasse apanhados
+westeros sentiam block valium renunciou ping lynne ditar mística fair compartilhada prepará-lo
+gugasms gráfica executando escorregando cabecinha salvem noona hattie atualizações aloha mulherengo
+acadêmica remediar letty inventada autora telespectadores peabody mexo download aplicam tsunami
+sobremesas oxalá loft lagostas deixassem cancer travesti swanson sentinela amarradas esplêndida
+eixos devolva-me xiang talão renata imensamente errante dolares kel enfermeiros diagnosticada
+desodorante trarão lutaria latina kanan ademais genevieve enjoo descobrirão quintas exterminar
+clavícula solicita fingimento espantalho short eloise cafeteira restava preservativo casou-se
+vencê-los selada odessa musculoso greenwich disfarces cheire business pressiona permitida obtido
+manila legislação individualmente escândalos julguei derreteu bro unem relatado persuasão mcnamara
+genitais rastreado herdeiros funcionaram alas voilà pólen finley ashton abc estaleiro congeladas
+charming trek projeções incenso disparem compartilhou baixem inválido cozidos ccd reginald positivas
+helm devi trask desligá-lo cobrança castigado ví rondas pareçam gastam espinhas dame vingativo meros
+klan hélice estacas obtive meng janeway deque cetro xeque-mate recomponha-se plásticos adoecer
+responderei idêntica espirrar did complica zi morreriam manchada jeitinho insultando psicológicos
+pretensioso especular analogia perseguida mortimer admitindo crazy complexas profecias cruzamos
+asfixia woodward stevenson pronuncia milionários insegurança copas atirarem adequados prover kremlin
+hawking abed zezinho rígidos grunhe pioneiros infravermelho empurrem elevação editar derrubaram
+cruzam comerá apanha andrés tornando-se raquete preencha enforcados cosméticos categorias flerte
+deveriamos premiação hortelã deep crawley zen detestável stones rainbow inovação galinheiro meteram
+evitá-lo dobby cônsul conjuntos caga rã presley barclay trocam replicadores destrancada augusto
+peralta mulherzinha contratá-lo mereciam focados delicados cineasta casper tulsa prendam-no medina
+gilmore compreendi intravenosa comovido apressem pechincha mafiosos jillian escreverei dodd ahmad
+agressores titular tiny marinhas libertados lexington garland combinados lunáticos gatsby gaita
+sacrificado prometendo goma enrolação duramente amazon tranças primitivos primeira-dama krista wiley
+ordenei
+`;
@@ -0,0 +1,75 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { loadFrequencyRanks, getAdaptiveFactor } from '../utils/adaptivePacing';
+import { getPausePunctuation } from '../utils/segmentation';
+import { getTimingMultiplier } from './useWordTiming';
+
+// Words sampled across the book to work out the normalisation
+const SAMPLE_WORDS = 20000;
+
+/**
+ * Adaptive pacing over a word stream. getSpanFactor(start, end) gives the
+ * extra delay factor for words [start, end), scaled so the average word
+ * (with the punctuation, name and length multipliers included) still takes
+ * 60000 / wpm ms - the speed setting stays the real average speed.
+ * Returns 1 everywhere while disabled.
+ */
+export const useAdaptivePacing = ({ enabled, words, language, settings }) => {
+    const [ranks, setRanks] = useState({ language: null, map: null });
+
+    useEffect(() => {
+        if (!enabled) return;
+        let cancelled = false;
+        loadFrequencyRanks(language).then((map) => {
+            if (!cancelled) setRanks({ language, map });
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [enabled, language]);
+
+    const rankMap = ranks.language === language ? ranks.map : null;
+
+    const {
+        rsvpSentenceEndMultiplier,
+        rsvpClauseMultiplier,
+        rsvpDashMultiplier,
+        rsvpNameMultiplier,
+        rsvpLongWordMultiplier,
+    } = settings;
+
+    // 1 / mean(settings multiplier x adaptive factor) over a sample of the book
+    const scale = useMemo(() => {
+        if (!enabled || words.length === 0) return 1;
+        const pacing = {
+            rsvpSentenceEndMultiplier,
+            rsvpClauseMultiplier,
+            rsvpDashMultiplier,
+            rsvpNameMultiplier,
+            rsvpLongWordMultiplier,
+        };
+
+        const stride = Math.max(1, Math.ceil(words.length / SAMPLE_WORDS));
+        let total = 0;
+        let count = 0;
+        for (let i = 0; i < words.length; i += stride) {
+            const prev = words[i - 1];
+            const afterSentenceEnd = !prev || prev.paragraph !== words[i].paragraph
+                || getPausePunctuation(prev.text) === 'sentence';
+            total += getTimingMultiplier(words[i].text, pacing, { afterSentenceEnd })
+                * getAdaptiveFactor(words, i, rankMap);
+            count++;
+        }
+        return count > 0 ? count / total : 1;
+    }, [enabled, words, rankMap, rsvpSentenceEndMultiplier, rsvpClauseMultiplier, rsvpDashMultiplier, rsvpNameMultiplier, rsvpLongWordMultiplier]);
+
+    const getSpanFactor = useCallback((start, end) => {
+        if (!enabled || end <= start) return 1;
+        let total = 0;
+        for (let i = start; i < end; i++) {
+            total += getAdaptiveFactor(words, i, rankMap);
+        }
+        return (total / (end - start)) * scale;
+    }, [enabled, words, rankMap, scale]);
+
+    return { getSpanFactor };
+};
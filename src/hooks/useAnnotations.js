@@ -0,0 +1,159 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { EpubCFI } from 'epubjs';
+import {
+    addAnnotation as addAnnotationToDb,
+    getAnnotations,
+    updateAnnotation as updateAnnotationInDb,
+    deleteAnnotation as deleteAnnotationFromDb,
+} from '../services/db';
+
+// Highlight colors; annotations store the key so the palette can change
+export const highlightColors = {
+    yellow: '#ffd54f',
+    green: '#81c784',
+    blue: '#4fc3f7',
+    pink: '#f06292',
+    orange: '#ffb74d',
+};
+
+export const HIGHLIGHT_CLASS = 'pulse-highlight';
+const HIGHLIGHT_OPACITY = '0.35';
+
+const comparer = new EpubCFI();
+
+/**
+ * Sort items into book order by a CFI (or CFI range) field, so lists read
+ * front to back
+ */
+export const sortByCfi = (items, field) => [...items].sort((a, b) => {
+    try {
+        return comparer.compare(a[field], b[field]);
+    } catch {
+        return 0;
+    }
+});
+
+/**
+ * Label of the TOC entry for a spine href (first match in reading order)
+ */
+export const getChapterLabel = (toc, href) => {
+    if (!href || !toc) return '';
+    const path = href.split('#')[0];
+    const find = (items) => {
+        for (const item of items) {
+            const itemPath = (item.href || '').split('#')[0].replace(/^(\.\.\/)+/, '');
+            if (itemPath && (path.endsWith(itemPath) || itemPath.endsWith(path))) {
+                return item.label?.trim() || '';
+            }
+            const found = item.subitems?.length ? find(item.subitems) : '';
+            if (found) return found;
+        }
+        return '';
+    };
+    return find(toc);
+};
+
+/**
+ * Highlights and notes for a book, stored in IndexedDB and drawn into the
+ * rendition through rendition.annotations. Each annotation is
+ * { id, bookId, cfiRange, text, color, note, chapter, createdAt }.
+ * palette maps color keys to fills (the theme's highlight colors).
+ * syncHighlights() redraws into a newly created rendition.
+ */
+export const useAnnotations = ({ bookId, renditionRef, palette = highlightColors }) => {
+    const [annotations, setAnnotations] = useState([]);
+    const annotationsRef = useRef(annotations);
+    const paletteRef = useRef(palette);
+    const drawnRef = useRef({ rendition: null, colors: new Map() }); // cfiRange => fill drawn
+
+    useEffect(() => {
+        if (bookId == null) return;
+        let cancelled = false;
+        getAnnotations(bookId)
+            .then((stored) => {
+                if (!cancelled) setAnnotations(sortByCfi(stored, 'cfiRange'));
+            })
+            .catch((err) => console.warn('Failed to load annotations:', err));
+        return () => {
+            cancelled = true;
+        };
+    }, [bookId]);
+
+    // Make the rendition's highlights match the list
+    const syncHighlights = useCallback(() => {
+        const rendition = renditionRef.current;
+        if (!rendition) return;
+
+        const drawn = drawnRef.current;
+        if (drawn.rendition !== rendition) {
+            drawnRef.current = { rendition, colors: new Map() };
+        }
+        const { colors } = drawnRef.current;
+        const fills = paletteRef.current;
+        const wanted = new Map(annotationsRef.current.map((a) => [a.cfiRange, fills[a.color] || fills.yellow]));
+
+        colors.forEach((color, cfiRange) => {
+            if (wanted.get(cfiRange) !== color) {
+                rendition.annotations.remove(cfiRange, 'highlight');
+                colors.delete(cfiRange);
+            }
+        });
+        wanted.forEach((color, cfiRange) => {
+            if (colors.has(cfiRange)) return;
+            try {
+                rendition.annotations.highlight(cfiRange, {}, null, HIGHLIGHT_CLASS, {
+                    fill: color,
+                    'fill-opacity': HIGHLIGHT_OPACITY,
+                });
+                colors.set(cfiRange, color);
+            } catch (err) {
+                console.warn('Could not draw highlight:', cfiRange, err);
+            }
+        });
+    }, [renditionRef]);
+
+    useEffect(() => {
+        annotationsRef.current = annotations;
+        paletteRef.current = palette;
+        syncHighlights();
+    }, [annotations, palette, syncHighlights]);
+
+    const addAnnotation = useCallback(async ({ cfiRange, text, color = 'yellow', note = '', chapter = '' }) => {
+        const annotation = { bookId, cfiRange, text, color, note, chapter };
+        try {
+            const id = await addAnnotationToDb(annotation);
+            const saved = { ...annotation, id, createdAt: new Date() };
+            setAnnotations((prev) => sortByCfi([...prev, saved], 'cfiRange'));
+            return saved;
+        } catch (err) {
+            console.error('Failed to save annotation:', err);
+            return null;
+        }
+    }, [bookId]);
+
+    const updateAnnotation = useCallback(async (id, updates) => {
+        setAnnotations((prev) => prev.map((a) => (a.id === id ? { ...a, ...updates } : a)));
+        try {
+            await updateAnnotationInDb(id, updates);
+        } catch (err) {
+            console.error('Failed to update annotation:', err);
+        }
+    }, []);
+
+    const removeAnnotation = useCallback(async (id) => {
+        setAnnotations((prev) => prev.filter((a) => a.id !== id));
+        try {
+            await deleteAnnotationFromDb(id);
+        } catch (err) {
+            console.error('Failed to delete annotation:', err);
+        }
+    }, []);
+
+    return {
+        annotations,
+        addAnnotation,
+        updateAnnotation,
+        removeAnnotation,
+        syncHighlights,
+    };
+};
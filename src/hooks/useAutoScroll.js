@@ -0,0 +1,225 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { segmentWords } from '../utils/segmentation';
+
+export const autoScrollUnits = {
+    lines: 'lines/min',
+    wpm: 'WPM',
+};
+
+// Speed range and nudge step per unit
+export const autoScrollLimits = {
+    lines: { min: 5, max: 200, step: 5 },
+    wpm: { min: 50, max: 1000, step: 25 },
+};
+
+// Re-measure the text (font, spacing and chapter can change while scrolling)
+const MEASURE_INTERVAL_MS = 1000;
+
+// Ask epub.js to load the next section / save progress this often
+const CHECK_INTERVAL_MS = 500;
+const SAVE_INTERVAL_MS = 2000;
+
+// Longest frame counted, so a backgrounded tab doesn't jump on return
+const MAX_FRAME_MS = 100;
+
+// Paragraphs sampled for words per line, and the guess until then
+const SAMPLE_PARAGRAPHS = 40;
+const DEFAULT_WORDS_PER_LINE = 10;
+const DEFAULT_LINE_HEIGHT = 24;
+
+// Horizontal swipes at least this long (and mostly sideways) nudge the speed
+const SWIPE_MIN_PX = 50;
+
+/**
+ * Line height and words per line of the section in the middle of the
+ * scroll container, sampled from its paragraphs
+ */
+const measureText = (rendition) => {
+    const container = rendition.manager?.container;
+    const contents = rendition.getContents();
+    if (!container || contents.length === 0) return null;
+
+    const containerRect = container.getBoundingClientRect();
+    const middle = containerRect.top + containerRect.height / 2;
+    const current = contents.find((c) => {
+        const rect = c.document?.defaultView?.frameElement?.getBoundingClientRect();
+        return rect && rect.top <= middle && rect.bottom >= middle;
+    }) || contents[0];
+    const doc = current.document;
+    if (!doc?.body) return null;
+
+    const win = doc.defaultView;
+    const language = rendition.book?.packaging?.metadata?.language || '';
+    let lineHeight = parseFloat(win.getComputedStyle(doc.body).lineHeight) || null;
+    let words = 0;
+    let lines = 0;
+    Array.from(doc.body.querySelectorAll('p')).slice(0, SAMPLE_PARAGRAPHS).forEach((p) => {
+        const style = win.getComputedStyle(p);
+        const height = parseFloat(style.lineHeight);
+        if (!height) return;
+        const textHeight = p.getBoundingClientRect().height - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom);
+        const pLines = Math.round(textHeight / height);
+        if (pLines < 2) return; // the last line of short paragraphs skews the count
+        lineHeight = height;
+        lines += pLines;
+        words += segmentWords(p.textContent, language).length;
+    });
+
+    return {
+        lineHeight: lineHeight || DEFAULT_LINE_HEIGHT,
+        wordsPerLine: lines > 0 ? words / lines : DEFAULT_WORDS_PER_LINE,
+    };
+};
+
+/**
+ * Hands-free auto-scroll for the scrollable view mode. Scrolls the epub.js
+ * container with requestAnimationFrame at a speed in lines per minute, or
+ * in WPM (converted with the measured words per line). epub.js appends the
+ * following spine sections as the end comes into view; it stops at the end
+ * of the book. Progress is reported (and so saved) every few seconds while
+ * it runs, and when it pauses.
+ * suspended pauses the scrolling without changing isPlaying (overlays open).
+ */
+export const useAutoScroll = ({ renditionRef, enabled, suspended, settings, updateSetting }) => {
+    const [isActive, setIsActive] = useState(false);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const suspendedRef = useRef(suspended);
+    const speedRef = useRef(null);
+    const touchRef = useRef(null); // { x, y } where a touch started
+
+    const unit = settings.autoScrollUnit === 'wpm' ? 'wpm' : 'lines';
+    const speed = unit === 'wpm' ? settings.autoScrollWpm : settings.autoScrollLines;
+
+    useEffect(() => {
+        suspendedRef.current = suspended;
+        speedRef.current = { unit, speed };
+    }, [suspended, unit, speed]);
+
+    // Leaving the scrollable view mode ends it
+    if (!enabled && isActive) {
+        setIsActive(false);
+        setIsPlaying(false);
+    }
+
+    const openAutoScroll = useCallback(() => {
+        setIsActive(true);
+        setIsPlaying(true);
+    }, []);
+
+    const closeAutoScroll = useCallback(() => {
+        setIsActive(false);
+        setIsPlaying(false);
+    }, []);
+
+    const togglePlay = useCallback(() => setIsPlaying((prev) => !prev), []);
+
+    // One step faster (direction 1) or slower (-1)
+    const nudgeSpeed = useCallback((direction) => {
+        const { min, max, step } = autoScrollLimits[unit];
+        const next = Math.min(max, Math.max(min, speed + direction * step));
+        updateSetting(unit === 'wpm' ? 'autoScrollWpm' : 'autoScrollLines', next);
+    }, [unit, speed, updateSetting]);
+
+    const cycleUnit = useCallback(() => {
+        updateSetting('autoScrollUnit', unit === 'wpm' ? 'lines' : 'wpm');
+    }, [unit, updateSetting]);
+
+    // Swipe right for faster, left for slower (rendition touch events)
+    const handleTouchStart = useCallback((e) => {
+        const touch = e.changedTouches?.[0];
+        touchRef.current = touch ? { x: touch.clientX, y: touch.clientY } : null;
+    }, []);
+
+    const handleTouchEnd = useCallback((e) => {
+        const start = touchRef.current;
+        const touch = e.changedTouches?.[0];
+        touchRef.current = null;
+        if (!isActive || !start || !touch) return;
+
+        const dx = touch.clientX - start.x;
+        const dy = touch.clientY - start.y;
+        if (Math.abs(dx) >= SWIPE_MIN_PX && Math.abs(dx) > Math.abs(dy) * 2) {
+            nudgeSpeed(dx > 0 ? 1 : -1);
+        }
+    }, [isActive, nudgeSpeed]);
+
+    // Scroll loop
+    useEffect(() => {
+        if (!isActive || !isPlaying) return;
+
+        let frame;
+        let last = null;
+        let carry = 0; // sub-pixel distance not scrolled yet
+        let metrics = null;
+        let lastMeasure = 0;
+        let lastCheck = 0;
+        let lastSave = performance.now();
+        const startRendition = renditionRef.current;
+
+        const tick = (now) => {
+            frame = requestAnimationFrame(tick);
+            const elapsed = last == null ? 0 : Math.min(now - last, MAX_FRAME_MS);
+            last = now;
+
+            const rendition = renditionRef.current;
+            const manager = rendition?.manager;
+            const container = manager?.container;
+            if (!container || suspendedRef.current) return;
+
+            if (!metrics || now - lastMeasure > MEASURE_INTERVAL_MS) {
+                metrics = measureText(rendition) || metrics;
+                lastMeasure = now;
+            }
+            const lineHeight = metrics?.lineHeight || DEFAULT_LINE_HEIGHT;
+            const wordsPerLine = metrics?.wordsPerLine || DEFAULT_WORDS_PER_LINE;
+            const { unit: speedUnit, speed: value } = speedRef.current;
+            const linesPerMinute = speedUnit === 'wpm' ? value / wordsPerLine : value;
+
+            carry += (linesPerMinute * lineHeight / 60000) * elapsed;
+            const step = Math.floor(carry);
+            if (step > 0) {
+                container.scrollTop += step;
+                carry -= step;
+            }
+
+            if (now - lastCheck > CHECK_INTERVAL_MS) {
+                lastCheck = now;
+                // epub.js only looks for the next section once scrolling
+                // settles, which it never does here - ask it directly
+                manager.q.enqueue(() => manager.check());
+
+                const atBottom = container.scrollTop + container.clientHeight >= container.scrollHeight - 1;
+                if (atBottom && !manager.views.last()?.section.next()) {
+                    setIsPlaying(false); // end of the book
+                }
+            }
+
+            // Same for the location: report it so progress is saved as we go
+            if (now - lastSave > SAVE_INTERVAL_MS) {
+                lastSave = now;
+                rendition.reportLocation();
+            }
+        };
+        frame = requestAnimationFrame(tick);
+
+        return () => {
+            cancelAnimationFrame(frame);
+            // Save where it stopped (unless the rendition was replaced meanwhile)
+            if (startRendition?.manager) startRendition.reportLocation();
+        };
+    }, [isActive, isPlaying, renditionRef]);
+
+    return {
+        isActive,
+        isPlaying,
+        unit,
+        speed,
+        openAutoScroll,
+        closeAutoScroll,
+        togglePlay,
+        nudgeSpeed,
+        cycleUnit,
+        handleTouchStart,
+        handleTouchEnd,
+    };
+};
@@ -0,0 +1,92 @@
+import { useState, useEffect, useCallback } from 'react';
+import { searchBook } from '../services/bookSearch';
+
+// Shortest query we search for
+const MIN_QUERY_LENGTH = 2;
+
+// Wait for typing to settle before searching
+const DEBOUNCE_MS = 300;
+
+const EMPTY_SEARCH = { key: '', results: [], truncated: false, active: -1 };
+
+/**
+ * Search state for the reader: the query and options, results from the
+ * search worker, and the active result for next/previous stepping.
+ * onSelect(result) is called whenever a result becomes active.
+ */
+export const useBookSearch = ({ bookRef, onSelect }) => {
+    const [query, setQuery] = useState('');
+    const [matchCase, setMatchCase] = useState(false);
+    const [wholeWord, setWholeWord] = useState(false);
+    const [search, setSearch] = useState(EMPTY_SEARCH);
+
+    // Identifies the search the results should belong to
+    const trimmed = query.trim();
+    const key = trimmed.length >= MIN_QUERY_LENGTH ? JSON.stringify([trimmed, matchCase, wholeWord]) : '';
+
+    useEffect(() => {
+        const book = bookRef.current;
+        if (!key || !book) return;
+
+        let cancelled = false;
+        const timer = setTimeout(() => {
+            const [text, caseSensitive, whole] = JSON.parse(key);
+            searchBook(book, text, { matchCase: caseSensitive, wholeWord: whole })
+                .then(({ results, truncated }) => {
+                    if (!cancelled) setSearch({ key, results, truncated, active: -1 });
+                })
+                .catch((err) => {
+                    console.error('Search failed:', err);
+                    if (!cancelled) setSearch({ ...EMPTY_SEARCH, key });
+                });
+        }, DEBOUNCE_MS);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [key, bookRef]);
+
+    const current = key && search.key === key ? search : EMPTY_SEARCH;
+    const searching = Boolean(key) && search.key !== key;
+
+    const select = useCallback((index) => {
+        const result = current.results[index];
+        if (!result) return;
+        setSearch((prev) => ({ ...prev, active: index }));
+        onSelect?.(result);
+    }, [current.results, onSelect]);
+
+    const next = useCallback(() => {
+        if (current.results.length === 0) return;
+        select((current.active + 1) % current.results.length);
+    }, [current, select]);
+
+    const prev = useCallback(() => {
+        if (current.results.length === 0) return;
+        select(current.active <= 0 ? current.results.length - 1 : current.active - 1);
+    }, [current, select]);
+
+    const clear = useCallback(() => {
+        setQuery('');
+        setSearch(EMPTY_SEARCH);
+    }, []);
+
+    return {
+        query,
+        setQuery,
+        matchCase,
+        setMatchCase,
+        wholeWord,
+        setWholeWord,
+        results: current.results,
+        truncated: current.truncated,
+        active: current.active,
+        hasQuery: Boolean(key),
+        searching,
+        select,
+        next,
+        prev,
+        clear,
+    };
+};
@@ -0,0 +1,99 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+    addBookmark as addBookmarkToDb,
+    getBookmarks,
+    updateBookmark,
+    deleteBookmark,
+} from '../services/db';
+import { sortByCfi } from './useAnnotations';
+
+// Characters of page text kept as the bookmark's snippet
+const SNIPPET_LENGTH = 120;
+
+/**
+ * Text starting at a CFI in the rendered book, trimmed to a snippet
+ */
+const getSnippet = (rendition, cfi) => {
+    try {
+        const range = rendition.getRange(cfi);
+        if (!range) return '';
+        const doc = range.startContainer.ownerDocument;
+        const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT);
+        walker.currentNode = range.startContainer;
+
+        let text = range.startContainer.nodeType === Node.TEXT_NODE
+            ? range.startContainer.textContent.slice(range.startOffset)
+            : '';
+        while (text.length < SNIPPET_LENGTH * 2 && walker.nextNode()) {
+            text += ` ${walker.currentNode.textContent}`;
+        }
+        text = text.replace(/\s+/g, ' ').trim();
+        return text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH).trim()}…` : text;
+    } catch {
+        return '';
+    }
+};
+
+/**
+ * Manual bookmarks for a book, stored in IndexedDB in reading order.
+ * Each bookmark is { id, bookId, cfi, chapter, name, snippet, createdAt };
+ * name is the user's label ('' shows the chapter title).
+ */
+export const useBookmarks = ({ bookId, renditionRef }) => {
+    const [bookmarks, setBookmarks] = useState([]);
+
+    useEffect(() => {
+        if (bookId == null) return;
+        let cancelled = false;
+        getBookmarks(bookId)
+            .then((stored) => {
+                if (!cancelled) setBookmarks(sortByCfi(stored, 'cfi'));
+            })
+            .catch((err) => console.warn('Failed to load bookmarks:', err));
+        return () => {
+            cancelled = true;
+        };
+    }, [bookId]);
+
+    const addBookmark = useCallback(async (cfi, chapter = '') => {
+        const rendition = renditionRef.current;
+        const bookmark = {
+            bookId,
+            cfi,
+            chapter,
+            name: '',
+            snippet: rendition ? getSnippet(rendition, cfi) : '',
+        };
+        try {
+            const id = await addBookmarkToDb(bookmark);
+            setBookmarks((prev) => sortByCfi([...prev, { ...bookmark, id, createdAt: new Date() }], 'cfi'));
+        } catch (err) {
+            console.error('Failed to save bookmark:', err);
+        }
+    }, [bookId, renditionRef]);
+
+    const renameBookmark = useCallback(async (id, name) => {
+        setBookmarks((prev) => prev.map((b) => (b.id === id ? { ...b, name } : b)));
+        try {
+            await updateBookmark(id, { name });
+        } catch (err) {
+            console.error('Failed to rename bookmark:', err);
+        }
+    }, []);
+
+    const removeBookmark = useCallback(async (id) => {
+        setBookmarks((prev) => prev.filter((b) => b.id !== id));
+        try {
+            await deleteBookmark(id);
+        } catch (err) {
+            console.error('Failed to delete bookmark:', err);
+        }
+    }, []);
+
+    return {
+        bookmarks,
+        addBookmark,
+        renameBookmark,
+        removeBookmark,
+    };
+};
@@ -0,0 +1,30 @@
+import { useState, useEffect } from 'react';
+import { getDictionaries } from '../services/db';
+import { onDictionariesChanged } from '../services/dictionary';
+
+/**
+ * The installed dictionaries, kept up to date as they are imported,
+ * edited or removed.
+ */
+export const useDictionaries = () => {
+    const [dictionaries, setDictionaries] = useState([]);
+
+    useEffect(() => {
+        let cancelled = false;
+        const load = () => {
+            getDictionaries()
+                .then((stored) => {
+                    if (!cancelled) setDictionaries(stored);
+                })
+                .catch((err) => console.warn('Failed to load dictionaries:', err));
+        };
+        load();
+        const unsubscribe = onDictionariesChanged(load);
+        return () => {
+            cancelled = true;
+            unsubscribe();
+        };
+    }, []);
+
+    return dictionaries;
+};
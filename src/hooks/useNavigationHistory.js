@@ -0,0 +1,101 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+
+// Jumps closer together than this (dragging the progress slider) are one jump
+const JUMP_MERGE_MS = 1000;
+
+// How long the "Return to page N" toast stays up
+const TOAST_MS = 8000;
+
+/**
+ * Back/forward history of non-sequential jumps (TOC, progress slider,
+ * links, bookmarks, highlights, search) for one reading session.
+ *
+ * Every jump pushes a browser history entry whose state holds its depth,
+ * so the browser's back button (through the HashRouter) steps back too.
+ * The reader location for each depth is kept here; moving between depths
+ * (our buttons call navigate(-1) / navigate(1)) saves the location being
+ * left and displays the one stored for the new depth.
+ *
+ * getCurrent() returns the location to come back to: { cfi, page, percentage }
+ * (page is null when screen pages aren't known); display(cfi) goes to one.
+ */
+export const useNavigationHistory = ({ getCurrent, display }) => {
+    const navigate = useNavigate();
+    const location = useLocation();
+    const depth = location.state?.readerHistory ?? 0;
+    const [baseDepth] = useState(depth); // entries below this are from before this session
+    const [topDepth, setTopDepth] = useState(depth);
+    const [toast, setToast] = useState(null); // { ...location, depth } the toast offers to return to
+    const entriesRef = useRef([]); // reader location by depth
+    const depthRef = useRef(depth);
+    const lastJumpRef = useRef(0);
+    const getCurrentRef = useRef(getCurrent);
+    const displayRef = useRef(display);
+
+    useEffect(() => {
+        getCurrentRef.current = getCurrent;
+        displayRef.current = display;
+    }, [getCurrent, display]);
+
+    // Call just before a jump, while the reader is still at the origin
+    const recordJump = useCallback(() => {
+        const now = Date.now();
+        const merge = now - lastJumpRef.current < JUMP_MERGE_MS;
+        lastJumpRef.current = now;
+        if (merge) return;
+
+        const current = getCurrentRef.current();
+        if (!current?.cfi) return;
+
+        const from = depthRef.current;
+        entriesRef.current = entriesRef.current.slice(0, from);
+        entriesRef.current[from] = current;
+        depthRef.current = from + 1;
+        setTopDepth(from + 1);
+        setToast({ ...current, depth: from + 1 });
+        navigate(location.pathname, { state: { readerHistory: from + 1 } });
+    }, [navigate, location.pathname]);
+
+    // Browser back/forward (or ours): leave this depth's location, show the new one
+    useEffect(() => {
+        const from = depthRef.current;
+        if (depth === from) return;
+        depthRef.current = depth;
+
+        const target = entriesRef.current[depth];
+        if (!target) return;
+        entriesRef.current[from] = getCurrentRef.current();
+        displayRef.current(target.cfi);
+    }, [depth]);
+
+    // The toast hides itself after a while
+    useEffect(() => {
+        if (!toast) return;
+        const timer = setTimeout(() => setToast(null), TOAST_MS);
+        return () => clearTimeout(timer);
+    }, [toast]);
+
+    const canGoBack = depth > baseDepth;
+    const canGoForward = depth < topDepth;
+
+    const back = useCallback(() => {
+        if (canGoBack) navigate(-1);
+    }, [canGoBack, navigate]);
+
+    const forward = useCallback(() => {
+        if (canGoForward) navigate(1);
+    }, [canGoForward, navigate]);
+
+    const dismissToast = useCallback(() => setToast(null), []);
+
+    return {
+        recordJump,
+        back,
+        forward,
+        canGoBack,
+        canGoForward,
+        toast: toast?.depth === depth ? toast : null,
+        dismissToast,
+    };
+};
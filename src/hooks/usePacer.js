@@ -0,0 +1,273 @@
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { loadWordStream, findWordIndex } from '../services/wordStream';
+import { buildChunks } from '../utils/chunking';
+import { joinWords } from '../utils/segmentation';
+import { useWordTiming } from './useWordTiming';
+import { useAdaptivePacing } from './useAdaptivePacing';
+
+export const pacerStyles = {
+    word: 'Word',
+    line: 'Line',
+    phrase: 'Phrase',
+};
+
+const MARK_ID = 'pulse-pacer-mark';
+const MARK_COLOR = 'rgba(255, 75, 75, 0.28)';
+
+// Words per phrase in phrase style
+const PHRASE_SIZE = 3;
+
+/**
+ * Range covering words [start, end) of the stream, resolved in the rendition.
+ * Returns null if the words aren't rendered right now.
+ */
+const getWordsRange = (rendition, words, start, end) => {
+    try {
+        const first = words[start];
+        const last = words[end - 1];
+        const range = rendition.getRange(first.cfi);
+        const lastRange = last === first ? range : rendition.getRange(last.cfi);
+        if (!range || !lastRange) return null;
+
+        const node = lastRange.startContainer;
+        const endOffset = Math.min(lastRange.startOffset + last.text.length, node.length ?? lastRange.startOffset);
+        const result = range.cloneRange();
+        result.setEnd(node, endOffset);
+        return result;
+    } catch {
+        return null;
+    }
+};
+
+// Nearest ancestor laid out as a block (the line box a word sits in)
+const getBlockElement = (node) => {
+    let el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    while (el && el.parentElement) {
+        const display = el.ownerDocument.defaultView.getComputedStyle(el).display;
+        if (display !== 'inline' && display !== 'contents') return el;
+        el = el.parentElement;
+    }
+    return el;
+};
+
+// Rects (in the iframe's viewport) to paint for a range in the given style
+const getMarkRects = (range, style) => {
+    const rects = Array.from(range.getClientRects()).filter((r) => r.width > 0 && r.height > 0);
+    if (style !== 'line' || rects.length === 0) return rects;
+
+    // Stretch the word's line box across its block (the column it sits in)
+    const word = rects[0];
+    const middle = word.top + word.height / 2;
+    const block = getBlockElement(range.startContainer);
+    const column = Array.from(block?.getClientRects() || [])
+        .find((r) => r.left <= word.left && r.right >= word.right && r.top <= middle && r.bottom >= middle);
+    if (!column) return [word];
+    return [{ left: column.left, top: word.top, width: column.width, height: word.height }];
+};
+
+// Is a range fully inside the rendition's visible area?
+const isRangeVisible = (rendition, range) => {
+    const frame = range.startContainer.ownerDocument?.defaultView?.frameElement;
+    const container = rendition.manager?.container;
+    if (!frame || !container) return false;
+
+    const frameRect = frame.getBoundingClientRect();
+    const rect = range.getBoundingClientRect();
+    const view = container.getBoundingClientRect();
+    const left = frameRect.left + rect.left;
+    const top = frameRect.top + rect.top;
+    return left >= view.left - 1 && left + rect.width <= view.right + 1
+        && top >= view.top - 1 && top + rect.height <= view.bottom + 1;
+};
+
+// Remove the pacer mark from every rendered document
+const clearMarks = (rendition) => {
+    rendition?.getContents().forEach((contents) => {
+        contents.document?.getElementById(MARK_ID)?.remove();
+    });
+};
+
+// Paint the mark for a range inside its iframe document
+const paintMark = (rendition, range, style) => {
+    const doc = range.startContainer.ownerDocument;
+    const win = doc.defaultView;
+    clearMarks(rendition);
+
+    const mark = doc.createElement('div');
+    mark.id = MARK_ID;
+    mark.style.cssText = 'position:absolute;left:0;top:0;pointer-events:none;z-index:2147483647;';
+    getMarkRects(range, style).forEach((rect) => {
+        const box = doc.createElement('div');
+        box.style.cssText = [
+            'position:absolute',
+            `left:${rect.left + win.scrollX - 2}px`,
+            `top:${rect.top + win.scrollY - 1}px`,
+            `width:${rect.width + 4}px`,
+            `height:${rect.height + 2}px`,
+            `background:${MARK_COLOR}`,
+            'border-radius:3px',
+        ].join(';');
+        mark.appendChild(box);
+    });
+    doc.body.appendChild(mark);
+};
+
+/**
+ * In-page pacer: moves a highlight through the rendered book at the RSVP
+ * speed, using the same per-word timing rules as the RSVP overlay, and turns
+ * pages when it runs off the visible range.
+ * onPause(cfi) is called with the exact word CFI whenever it stops.
+ */
+export const usePacer = ({ renditionRef, bookRef, settings, onPause }) => {
+    const [isActive, setIsActive] = useState(false);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [words, setWords] = useState([]);
+    const [language, setLanguage] = useState('');
+    const [currentIndex, setCurrentIndex] = useState(0);
+    const [drawnIndex, setDrawnIndex] = useState(-1); // index the mark is showing (page turned)
+    const [loading, setLoading] = useState(false);
+    const timerRef = useRef(null);
+    const streamRef = useRef(null);
+
+    const style = settings.pacerStyle || 'word';
+    const { getWordDelay, resetSentence } = useWordTiming({ settings, wpm: settings.rsvpSpeed });
+    const { getSpanFactor } = useAdaptivePacing({
+        enabled: settings.rsvpAdaptivePacing,
+        words,
+        language,
+        settings,
+    });
+
+    // Phrase style moves a few words at a time
+    const chunking = useMemo(() => {
+        if (style !== 'phrase' || words.length === 0) return null;
+        return buildChunks(words, PHRASE_SIZE);
+    }, [style, words]);
+
+    const currentSpan = useMemo(() => {
+        if (chunking && currentIndex < words.length) {
+            return chunking.chunks[chunking.chunkOf[currentIndex]];
+        }
+        return { start: currentIndex, end: currentIndex + 1 };
+    }, [chunking, currentIndex, words.length]);
+
+    // Start pacing from a CFI (usually the start of the visible page)
+    const openPacer = useCallback(async (startCfi) => {
+        const book = bookRef.current;
+        if (!book) return;
+
+        setLoading(true);
+        try {
+            const stream = await loadWordStream(book);
+            if (stream.words.length === 0) return;
+            streamRef.current = stream;
+            resetSentence();
+            setWords(stream.words);
+            setLanguage(stream.language);
+            setCurrentIndex(findWordIndex(stream, startCfi));
+            setDrawnIndex(-1);
+            setIsActive(true);
+            setIsPlaying(true);
+        } catch (err) {
+            console.error('Failed to start pacer:', err);
+        } finally {
+            setLoading(false);
+        }
+    }, [bookRef, resetSentence]);
+
+    const pause = useCallback(() => {
+        setIsPlaying(false);
+        const word = words[currentIndex];
+        if (word) onPause?.(word.cfi);
+    }, [words, currentIndex, onPause]);
+
+    const closePacer = useCallback(() => {
+        if (isPlaying) pause();
+        setIsActive(false);
+        setDrawnIndex(-1);
+        clearMarks(renditionRef.current);
+    }, [isPlaying, pause, renditionRef]);
+
+    const togglePlay = useCallback(() => {
+        if (isPlaying) {
+            pause();
+            return;
+        }
+
+        // Pages turned by hand while paused - carry on from the visible page
+        const rendition = renditionRef.current;
+        const range = rendition && words[currentIndex]
+            ? getWordsRange(rendition, words, currentIndex, currentIndex + 1)
+            : null;
+        if (rendition && (!range || !isRangeVisible(rendition, range))) {
+            const pageStart = rendition.currentLocation()?.start?.cfi;
+            if (pageStart && streamRef.current) {
+                setCurrentIndex(findWordIndex(streamRef.current, pageStart));
+            }
+        }
+        resetSentence();
+        setIsPlaying(true);
+    }, [isPlaying, pause, renditionRef, words, currentIndex, resetSentence]);
+
+    // Draw the mark, turning the page first if the words are off screen
+    useEffect(() => {
+        if (!isActive || words.length === 0) return;
+        const rendition = renditionRef.current;
+        if (!rendition) return;
+
+        let cancelled = false;
+        const draw = async () => {
+            let range = getWordsRange(rendition, words, currentSpan.start, currentSpan.end);
+            if (!range || !isRangeVisible(rendition, range)) {
+                await rendition.display(words[currentSpan.start].cfi);
+                if (cancelled) return;
+                range = getWordsRange(rendition, words, currentSpan.start, currentSpan.end);
+            }
+            if (range) paintMark(rendition, range, style);
+            setDrawnIndex(currentSpan.start);
+        };
+        draw().catch((err) => console.warn('Pacer could not draw:', err));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [isActive, words, currentSpan, style, renditionRef]);
+
+    // Advance once the current words have been shown for their delay
+    useEffect(() => {
+        if (!isActive || !isPlaying || drawnIndex !== currentSpan.start) return;
+
+        const text = joinWords(words.slice(currentSpan.start, currentSpan.end));
+        const delay = getWordDelay(
+            text,
+            currentSpan.end - currentSpan.start,
+            getSpanFactor(currentSpan.start, currentSpan.end)
+        );
+        timerRef.current = setTimeout(() => {
+            if (currentSpan.end >= words.length) {
+                setIsPlaying(false);
+                onPause?.(words[currentSpan.start].cfi);
+                return;
+            }
+            setCurrentIndex(currentSpan.end);
+        }, delay);
+
+        return () => clearTimeout(timerRef.current);
+    }, [isActive, isPlaying, drawnIndex, currentSpan, words, getWordDelay, getSpanFactor, onPause]);
+
+    // Drop the mark if the reader goes away
+    useEffect(() => {
+        const rendition = renditionRef.current;
+        return () => clearMarks(rendition);
+    }, [renditionRef]);
+
+    return {
+        isActive,
+        isPlaying,
+        loading,
+        style,
+        openPacer,
+        closePacer,
+        togglePlay,
+    };
+};
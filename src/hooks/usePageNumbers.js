@@ -0,0 +1,90 @@
+import { useState, useEffect, useRef } from 'react';
+import { getLayoutSignature, getSectionPages } from '../services/pagination';
+
+// Wait for resizing (fold animations, window drags) to settle
+const RESIZE_DEBOUNCE_MS = 300;
+
+/**
+ * Screen page numbers for the paginated reader. Pages are counted for the
+ * viewer's current size and the layout settings, and counted again when
+ * either changes (resize, orientation change, folding or unfolding).
+ * Until the whole book is counted, the page within the current chapter
+ * is shown, straight from the rendition. fontReady holds the count back
+ * until an uploaded font is in getEpubStyles, so the fallback font isn't
+ * measured and cached under the font's signature.
+ * Returns { currentPage, totalPages, inChapter } (nulls when unknown).
+ */
+export const usePageNumbers = ({ bookId, bookData, enabled, viewerRef, settings, fontReady = true, getEpubStyles, location }) => {
+    const [size, setSize] = useState(null); // { width, height } of the rendition area
+    const [pages, setPages] = useState(null); // { signature, sections }
+    const getStylesRef = useRef(getEpubStyles);
+
+    useEffect(() => {
+        getStylesRef.current = getEpubStyles;
+    }, [getEpubStyles]);
+
+    // Follow the viewer's content box - covers window resizes, rotation and folds
+    useEffect(() => {
+        const viewer = viewerRef.current;
+        if (!enabled || !viewer) return;
+
+        let timer;
+        const measure = () => {
+            const style = getComputedStyle(viewer);
+            const width = viewer.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+            const height = viewer.clientHeight - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom);
+            if (width <= 0 || height <= 0) return;
+            setSize((prev) => (prev?.width === width && prev?.height === height ? prev : { width, height }));
+        };
+        const observer = new ResizeObserver(() => {
+            clearTimeout(timer);
+            timer = setTimeout(measure, RESIZE_DEBOUNCE_MS);
+        });
+        observer.observe(viewer);
+
+        return () => {
+            observer.disconnect();
+            clearTimeout(timer);
+        };
+    }, [enabled, viewerRef]);
+
+    const signature = size ? getLayoutSignature(size, settings) : null;
+
+    // Count pages for this layout (cached per book and signature)
+    useEffect(() => {
+        if (!enabled || !signature || !bookData || !fontReady) return;
+
+        let cancelled = false;
+        getSectionPages(bookId, bookData, signature, {
+            size,
+            styles: getStylesRef.current(),
+            margin: settings.pageMargins ? '20px' : '0',
+            spread: settings.twoPageLayout ? 'auto' : 'none',
+            isCancelled: () => cancelled,
+        })
+            .then((sections) => {
+                if (!cancelled && sections) setPages({ signature, sections });
+            })
+            .catch((err) => console.warn('Failed to count pages:', err));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [enabled, signature, size, bookId, bookData, fontReady, settings.pageMargins, settings.twoPageLayout]);
+
+    const displayed = location?.start?.displayed;
+    if (!enabled || !displayed?.total) {
+        return { currentPage: null, totalPages: null, inChapter: false };
+    }
+
+    const sections = pages?.signature === signature ? pages.sections : null;
+    const index = location.start.index;
+    if (!sections || sections[index] == null) {
+        return { currentPage: displayed.page, totalPages: displayed.total, inChapter: true };
+    }
+
+    // The rendition's own count wins for the section on screen
+    const before = sections.slice(0, index).reduce((sum, count) => sum + count, 0);
+    const total = sections.reduce((sum, count) => sum + count, 0) - sections[index] + displayed.total;
+    return { currentPage: before + displayed.page, totalPages: total, inChapter: false };
+};
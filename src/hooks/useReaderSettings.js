@@ -1,12 +1,18 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { updateBook } from '../services/db';
+import { defaultControlBindings } from './useRemoteControls';
+import { highlightColors } from './useAnnotations';
+import { useUserFonts } from './useUserFonts';
+import { getFontFaceCss, userFontStack } from '../services/fonts';
 
 const STORAGE_KEY = 'rsvp-reader-settings';
 
 const defaultSettings = {
     // EPUB/Reading Settings
     viewMode: 'paginated', // 'scrollable' | 'paginated'
-    colorTheme: 'oled', // 'oled' | 'night' | 'sepia' | 'light'
-    fontType: 'system', // 'system' | 'georgia' | 'inter' | 'literata' | 'comfortaa' | 'opendyslexic'
+    colorTheme: 'oled', // 'oled' | 'night' | 'sepia' | 'light' or a custom theme id
+    customThemes: {}, // id => theme, made in the theme editor
+    fontType: 'system', // 'system' | 'georgia' | 'inter' | 'literata' | 'comfortaa' | 'opendyslexic' or an uploaded font ('user-<id>')
     fontSize: 100, // 50-200 (percentage)
     fontWeight: 400, // 300-700
     lineSpacing: 150, // 80-200 (percentage)
@@ -16,32 +22,134 @@ const defaultSettings = {
 
     // RSVP Settings
     rsvpSpeed: 300, // WPM 100-1000
+    rsvpSentenceEndMultiplier: 2.5, // . ! ?
+    rsvpClauseMultiplier: 1.5, // , ; :
+    rsvpDashMultiplier: 1.3, // hyphenated words
+    rsvpNameMultiplier: 1.0, // capitalized words (names)
+    rsvpLongWordMultiplier: 1.05, // per char over 6
+    rsvpAdaptivePacing: false, // word frequency and structure, average still rsvpSpeed
+    rsvpChunkMode: false, // flash phrase-aware groups of words
+    rsvpChunkSize: 3, // 2-4 words per chunk
+    rsvpContextRibbon: false, // faded sentence around the flashing word
+    rsvpSplitLongWords: false, // flash very long words in syllable parts
+    rsvpSplitThreshold: 12, // characters before a word gets split
+    rsvpNoteHandling: 'stop', // footnote references: 'stop' | 'skip' | 'read'
+    rsvpTableHandling: 'stop', // tables: 'stop' | 'skip' | 'read'
+    rsvpCodeHandling: 'stop', // code blocks: 'stop' | 'skip' | 'read'
+    rsvpPoetryHandling: 'read', // poems: 'stop' | 'skip' | 'read'
+    rsvpFontType: 'mono', // 'mono' or any fontType
+    rsvpFontSize: 100, // 50-200 (percentage of the default word size)
+    rsvpPivotColor: '#ff4b4b',
+    rsvpPivotWeight: 700, // 400-900
+    rsvpGuides: true, // alignment markers above/below the word
+    rsvpVerticalPosition: 50, // 20-80 (% from the top)
+    rsvpDimming: 100, // 0-100 (% opacity of the background over the page)
+    rsvpNextWordPreview: false, // next word in ghost text below
+    pacerStyle: 'word', // 'word' | 'line' | 'phrase' - in-page pacer highlight
     trainingMode: false,
+    trainingCurve: 'linear', // 'linear' | 'intervals' | 'plateau'
+    trainingStep: 10, // linear: WPM added per step
+    trainingStepSeconds: 10, // linear: seconds between steps
+    trainingMaxWpm: 1500, // linear: cap
+    trainingSprintWpm: 600, // intervals: fast speed
+    trainingSprintSeconds: 30,
+    trainingRecoveryWpm: 300, // intervals: recovery speed
+    trainingRecoverySeconds: 60,
+    trainingTargetWpm: 500, // plateau: speed to hold
+
+    // Auto-scroll (scrollable view mode)
+    autoScrollUnit: 'lines', // 'lines' (lines per minute) | 'wpm'
+    autoScrollLines: 25, // 5-200 lines per minute
+    autoScrollWpm: 250, // 50-1000, converted with the measured words per line
+
+    // Remote Controls (media keys, page turners, gamepads)
+    controlBindings: defaultControlBindings, // { reader, rsvp }: input id => action
+    controlMediaSession: false, // hold a silent media session so media keys reach the reader
+
+    // Dictionary
+    dictionaryLookup: true, // tap (reader) or pause on (RSVP) a word to look it up
 };
 
+// Settings a book can override - stored on the book record as settingsOverrides
+const bookSettingKeys = [
+    'rsvpSpeed',
+    'rsvpSentenceEndMultiplier',
+    'rsvpClauseMultiplier',
+    'rsvpDashMultiplier',
+    'rsvpNameMultiplier',
+    'rsvpLongWordMultiplier',
+    'rsvpAdaptivePacing',
+    'rsvpChunkMode',
+    'rsvpChunkSize',
+    'rsvpSplitLongWords',
+    'rsvpSplitThreshold',
+    'rsvpFontType',
+    'rsvpFontSize',
+    'rsvpPivotColor',
+    'rsvpPivotWeight',
+    'rsvpGuides',
+    'rsvpVerticalPosition',
+    'rsvpDimming',
+    'rsvpNextWordPreview',
+];
+
+const pickBookSettings = (source) => Object.fromEntries(
+    bookSettingKeys.map((key) => [key, source[key]])
+);
+
+// Built-in themes. A theme may also set highlights (color key => color) and
+// pivot (RSVP pivot color, null = the RSVP Pivot Color setting)
 const themes = {
     oled: {
+        name: 'OLED (Pure Black)',
         background: '#000000',
         text: '#ffffff',
         link: '#ff6b6b',
+        selection: '#64b5f6',
     },
     night: {
+        name: 'Night',
         background: '#121212',
         text: '#e0e0e0',
         link: '#64b5f6',
+        selection: '#64b5f6',
     },
     sepia: {
+        name: 'Sepia',
         background: '#f4ecd8',
         text: '#5b4636',
         link: '#8b6914',
+        selection: '#c8a96e',
     },
     light: {
+        name: 'Light',
         background: '#ffffff',
         text: '#1a1a1a',
         link: '#0066cc',
+        selection: '#64b5f6',
     },
 };
 
+/**
+ * Every theme available with these settings (built-in first, then custom),
+ * each complete: missing values come from the Night theme and the default
+ * highlight palette.
+ */
+const getAllThemes = (settings) => Object.fromEntries(
+    Object.entries({ ...themes, ...settings.customThemes }).map(([id, theme]) => [id, {
+        ...themes.night,
+        pivot: null,
+        ...theme,
+        highlights: { ...highlightColors, ...theme.highlights },
+    }])
+);
+
+// The active theme, falling back to OLED if it was deleted
+const getTheme = (settings) => {
+    const all = getAllThemes(settings);
+    return all[settings.colorTheme] || all.oled;
+};
+
 const fontFamilies = {
     system: 'system-ui, -apple-system, sans-serif',
     georgia: 'Georgia, serif',
@@ -51,8 +159,36 @@ const fontFamilies = {
     opendyslexic: "'OpenDyslexic', system-ui, sans-serif",
 };
 
-export const useReaderSettings = () => {
-    const [settings, setSettings] = useState(() => {
+// RSVP can also use a monospace face, which keeps word widths steady
+const rsvpFontFamilies = {
+    mono: "'SF Mono', 'Fira Code', 'Consolas', monospace",
+    ...fontFamilies,
+};
+
+// Font Type dropdown options; uploaded fonts are listed after these
+const fontOptions = {
+    system: 'System Default',
+    georgia: 'Georgia (Serif)',
+    inter: 'Inter (Sans)',
+    literata: 'Literata (Serif)',
+    comfortaa: 'Comfortaa (Rounded)',
+    opendyslexic: 'OpenDyslexic',
+};
+
+// Font stack for a font type, built in or uploaded
+const getFontFamily = (fontType, families = fontFamilies, fallback = 'system') => (
+    families[fontType] || userFontStack(fontType) || families[fallback]
+);
+
+/**
+ * Reader settings with global defaults in localStorage.
+ * When a book is given, RSVP pacing can be overridden for that book;
+ * the overrides live on the book record in IndexedDB.
+ */
+export const useReaderSettings = (book = null) => {
+    const bookId = book?.id ?? null;
+    const userFonts = useUserFonts();
+    const [globalSettings, setGlobalSettings] = useState(() => {
         try {
             const stored = localStorage.getItem(STORAGE_KEY);
             if (stored) {
@@ -64,33 +200,83 @@ export const useReaderSettings = () => {
         return defaultSettings;
     });
 
+    // Per-book overrides (null = book follows the global settings)
+    const [bookOverrides, setBookOverrides] = useState(null);
+
+    // Pick up the overrides whenever another book is opened
+    const [loadedBookId, setLoadedBookId] = useState(null);
+    if (bookId !== loadedBookId) {
+        setLoadedBookId(bookId);
+        setBookOverrides(book?.settingsOverrides || null);
+    }
+
     // Persist settings to localStorage whenever they change
     useEffect(() => {
         try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(globalSettings));
         } catch (e) {
             console.warn('Failed to save settings to localStorage:', e);
         }
-    }, [settings]);
+    }, [globalSettings]);
+
+    // Store the book's overrides alongside the book. Debounced because the
+    // book record carries the whole epub and sliders fire on every step.
+    const saveTimerRef = useRef(null);
+    const saveBookOverrides = useCallback((overrides) => {
+        if (bookId === null) return;
+        clearTimeout(saveTimerRef.current);
+        saveTimerRef.current = setTimeout(() => {
+            updateBook(bookId, { settingsOverrides: overrides }).catch((e) => {
+                console.warn('Failed to save book settings:', e);
+            });
+        }, 500);
+    }, [bookId]);
+
+    const settings = useMemo(() => (
+        bookOverrides ? { ...globalSettings, ...bookOverrides } : globalSettings
+    ), [globalSettings, bookOverrides]);
 
     const updateSetting = useCallback((key, value) => {
-        setSettings((prev) => ({ ...prev, [key]: value }));
-    }, []);
+        if (bookOverrides && bookSettingKeys.includes(key)) {
+            const next = { ...bookOverrides, [key]: value };
+            setBookOverrides(next);
+            saveBookOverrides(next);
+            return;
+        }
+        setGlobalSettings((prev) => ({ ...prev, [key]: value }));
+    }, [bookOverrides, saveBookOverrides]);
+
+    // Turn per-book settings on (starting from the current globals) or off
+    const setBookOverridesEnabled = useCallback((enabled) => {
+        const next = enabled ? pickBookSettings(globalSettings) : null;
+        setBookOverrides(next);
+        saveBookOverrides(next);
+    }, [globalSettings, saveBookOverrides]);
 
     const resetSettings = useCallback(() => {
-        setSettings(defaultSettings);
-    }, []);
+        // Custom themes are the user's own work, not a preference - keep them
+        setGlobalSettings((prev) => ({ ...defaultSettings, customThemes: prev.customThemes }));
+        if (bookOverrides) {
+            const next = pickBookSettings(defaultSettings);
+            setBookOverrides(next);
+            saveBookOverrides(next);
+        }
+    }, [bookOverrides, saveBookOverrides]);
 
     // Get current theme colors
-    const themeColors = themes[settings.colorTheme] || themes.night;
+    const themeColors = useMemo(() => getTheme(settings), [settings]);
 
     // Get current font family
-    const fontFamily = fontFamilies[settings.fontType] || fontFamilies.system;
+    const fontFamily = getFontFamily(settings.fontType);
+
+    // False while an uploaded font is selected but not loaded into the styles yet
+    const fontReady = !userFontStack(settings.fontType)
+        || userFonts.some((font) => font.key === settings.fontType);
 
     // Generate CSS to inject into epub iframe
     const getEpubStyles = useCallback(() => {
-        const theme = themes[settings.colorTheme] || themes.night;
-        const font = fontFamilies[settings.fontType] || fontFamilies.system;
+        const theme = getTheme(settings);
+        const font = getFontFamily(settings.fontType);
 
         let alignment = '';
         if (settings.textAlignment === 'left') {
@@ -100,7 +286,7 @@ export const useReaderSettings = () => {
         }
 
         return `
-      @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&family=Literata:wght@300;400;500;600;700&family=Comfortaa:wght@300;400;500;600;700&display=swap');
+      ${getFontFaceCss(userFonts)}
       
       html, body {
         background-color: ${theme.background} !important;
@@ -136,22 +322,25 @@ export const useReaderSettings = () => {
       
       /* Selection styling */
       ::selection {
-        background: rgba(100, 181, 246, 0.3) !important;
+        background: ${theme.selection}4d !important;
         color: ${theme.text} !important;
       }
     `;
-    }, [settings]);
+    }, [settings, userFonts]);
 
     return {
         settings,
         updateSetting,
         resetSettings,
+        hasBookOverrides: !!bookOverrides,
+        setBookOverridesEnabled,
         themeColors,
         fontFamily,
+        fontReady,
         getEpubStyles,
         themes,
         fontFamilies,
     };
 };
 
-export { defaultSettings, themes, fontFamilies };
+export { defaultSettings, bookSettingKeys, themes, getAllThemes, getTheme, fontFamilies, rsvpFontFamilies, fontOptions, getFontFamily };
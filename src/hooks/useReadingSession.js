@@ -0,0 +1,116 @@
+import { useEffect, useCallback, useRef } from 'react';
+import { loadWordStream, findWordIndex } from '../services/wordStream';
+import { logSession } from '../services/statsService';
+
+// A gap between page turns longer than this counts as this much reading
+// (the reader put the device down)
+const IDLE_LIMIT_MS = 3 * 60 * 1000;
+
+// Upper bound for words credited in normal reading, so a jump through
+// the TOC isn't counted as having read everything in between
+const MAX_NORMAL_WPM = 800;
+
+// Words between two CFIs, measured on the book's word stream
+const countWords = async (book, startCfi, endCfi) => {
+    if (!book || !startCfi || !endCfi) return 0;
+    try {
+        const stream = await loadWordStream(book);
+        return Math.max(0, findWordIndex(stream, endCfi) - findWordIndex(stream, startCfi));
+    } catch {
+        return 0;
+    }
+};
+
+/**
+ * Logs reading sessions for the stats dashboard.
+ * Normal reading is tracked from the rendition's locations (call trackLocation
+ * on every relocation); a session ends when the reader leaves, the page is
+ * hidden or RSVP takes over (paused). RSVP reports its own sessions through
+ * logRsvpSession.
+ */
+export const useReadingSession = ({ bookId, bookTitle, bookRef, paused = false }) => {
+    const sessionRef = useRef(null); // { startCfi, endCfi, startedAt, lastActivity, activeMs }
+    const lastCfiRef = useRef(null);
+    const pausedRef = useRef(paused);
+
+    const endSession = useCallback(() => {
+        const session = sessionRef.current;
+        sessionRef.current = null;
+        if (!session || !bookId) return;
+
+        const now = Date.now();
+        const activeMs = session.activeMs + Math.min(now - session.lastActivity, IDLE_LIMIT_MS);
+        const duration = activeMs / 1000;
+        const maxWords = (duration / 60) * MAX_NORMAL_WPM;
+
+        countWords(bookRef.current, session.startCfi, session.endCfi).then((words) => {
+            logSession({
+                bookId,
+                bookTitle,
+                mode: 'normal',
+                startCfi: session.startCfi,
+                endCfi: session.endCfi,
+                startedAt: new Date(session.startedAt),
+                endedAt: new Date(now),
+                duration,
+                words: Math.min(words, maxWords),
+            });
+        });
+    }, [bookId, bookTitle, bookRef]);
+
+    // Call on every relocation - opens a session or extends the current one
+    const trackLocation = useCallback((cfi) => {
+        if (!cfi) return;
+        lastCfiRef.current = cfi;
+        if (pausedRef.current || document.hidden) return;
+
+        const now = Date.now();
+        const session = sessionRef.current;
+        if (!session) {
+            sessionRef.current = { startCfi: cfi, endCfi: cfi, startedAt: now, lastActivity: now, activeMs: 0 };
+            return;
+        }
+        session.activeMs += Math.min(now - session.lastActivity, IDLE_LIMIT_MS);
+        session.lastActivity = now;
+        session.endCfi = cfi;
+    }, []);
+
+    // Log a finished RSVP session: { startCfi, endCfi, startedAt, duration, words }
+    const logRsvpSession = useCallback((session) => {
+        if (!session || !bookId) return;
+        logSession({
+            ...session,
+            bookId,
+            bookTitle,
+            mode: 'rsvp',
+            endedAt: new Date(),
+        });
+    }, [bookId, bookTitle]);
+
+    // RSVP (or anything else) taking over ends the normal session
+    useEffect(() => {
+        pausedRef.current = paused;
+        if (paused) endSession();
+    }, [paused, endSession]);
+
+    // Hiding the page ends the session, coming back starts a new one
+    useEffect(() => {
+        const handleVisibility = () => {
+            if (document.hidden) {
+                endSession();
+            } else {
+                trackLocation(lastCfiRef.current);
+            }
+        };
+
+        document.addEventListener('visibilitychange', handleVisibility);
+        window.addEventListener('pagehide', endSession);
+        return () => {
+            document.removeEventListener('visibilitychange', handleVisibility);
+            window.removeEventListener('pagehide', endSession);
+            endSession();
+        };
+    }, [endSession, trackLocation]);
+
+    return { trackLocation, endSession, logRsvpSession };
+};
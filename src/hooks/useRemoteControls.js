@@ -0,0 +1,320 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Remote controls: media keys (MediaSession and media keydowns), Bluetooth
+ * page turners and gamepads. Every physical input has an id:
+ *   media:<action>  MediaSession action or media key
+ *   pad:<n>         gamepad button n (standard mapping)
+ *   key:<key>       any other key a page turner sends
+ * and the bindings map input ids to actions, per context.
+ */
+
+// Actions that can be bound, per context
+export const controlActions = {
+    reader: {
+        nextPage: 'Next Page',
+        prevPage: 'Previous Page',
+    },
+    rsvp: {
+        playPause: 'Play / Pause',
+        skipForward: 'Skip Forward',
+        skipBack: 'Skip Back',
+        faster: 'Faster (WPM +)',
+        slower: 'Slower (WPM −)',
+    },
+};
+
+export const defaultControlBindings = {
+    reader: {
+        'media:playpause': 'nextPage',
+        'media:nexttrack': 'nextPage',
+        'media:previoustrack': 'prevPage',
+        'pad:0': 'nextPage',
+        'pad:1': 'prevPage',
+        'pad:5': 'nextPage',
+        'pad:4': 'prevPage',
+        'pad:15': 'nextPage',
+        'pad:14': 'prevPage',
+    },
+    rsvp: {
+        'media:playpause': 'playPause',
+        'media:nexttrack': 'skipForward',
+        'media:previoustrack': 'skipBack',
+        'media:seekforward': 'faster',
+        'media:seekbackward': 'slower',
+        'pad:0': 'playPause',
+        'pad:9': 'playPause',
+        'pad:15': 'skipForward',
+        'pad:14': 'skipBack',
+        'pad:12': 'faster',
+        'pad:13': 'slower',
+    },
+};
+
+// MediaSession actions we listen to, and the input they count as
+const MEDIA_ACTIONS = {
+    play: 'media:playpause',
+    pause: 'media:playpause',
+    nexttrack: 'media:nexttrack',
+    previoustrack: 'media:previoustrack',
+    seekforward: 'media:seekforward',
+    seekbackward: 'media:seekbackward',
+};
+
+// Media keys as keydowns (delivered when there's no media session)
+const MEDIA_KEYS = {
+    MediaPlayPause: 'media:playpause',
+    MediaPlay: 'media:playpause',
+    MediaPause: 'media:playpause',
+    MediaTrackNext: 'media:nexttrack',
+    MediaTrackPrevious: 'media:previoustrack',
+    MediaFastForward: 'media:seekforward',
+    MediaRewind: 'media:seekbackward',
+};
+
+const MEDIA_LABELS = {
+    'media:playpause': 'Media Play/Pause',
+    'media:nexttrack': 'Media Next',
+    'media:previoustrack': 'Media Previous',
+    'media:seekforward': 'Media Fast Forward',
+    'media:seekbackward': 'Media Rewind',
+};
+
+// Standard gamepad layout (Xbox names)
+const PAD_LABELS = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'View', 'Menu',
+    'Left Stick', 'Right Stick', 'D-pad Up', 'D-pad Down', 'D-pad Left', 'D-pad Right', 'Home',
+];
+
+// Keys that never get bound (modifiers, and keys needed to use the app)
+const RESERVED_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'Tab', 'Escape', 'CapsLock'];
+
+/**
+ * Human readable name for an input id
+ */
+export const getControlLabel = (input) => {
+    const [type, value] = input.split(/:(.*)/);
+    if (type === 'media') return MEDIA_LABELS[input] || value;
+    if (type === 'pad') return `Gamepad ${PAD_LABELS[value] || `Button ${value}`}`;
+    if (value === ' ') return 'Key Space';
+    return `Key ${value}`;
+};
+
+const isEditable = (el) => el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+
+// Input id for a keydown, or null for keys we leave alone
+const getKeyInput = (e) => {
+    if (MEDIA_KEYS[e.key]) return MEDIA_KEYS[e.key];
+    if (RESERVED_KEYS.includes(e.key) || e.ctrlKey || e.metaKey || e.altKey) return null;
+    return `key:${e.key}`;
+};
+
+/**
+ * Poll connected gamepads every frame and call onPress(input) when a
+ * button goes down. Returns a stop function.
+ */
+const watchGamepads = (onPress) => {
+    if (!navigator.getGamepads) return () => {};
+
+    const pressed = new Map(); // gamepad index => [bool per button]
+    let frame = null;
+
+    const poll = () => {
+        frame = null;
+        let connected = false;
+        for (const pad of navigator.getGamepads()) {
+            if (!pad) continue;
+            connected = true;
+            const previous = pressed.get(pad.index) || [];
+            const current = pad.buttons.map((button) => button.pressed);
+            current.forEach((down, i) => {
+                if (down && !previous[i]) onPress(`pad:${i}`);
+            });
+            pressed.set(pad.index, current);
+        }
+        // Only keep polling while something is plugged in
+        if (connected) frame = requestAnimationFrame(poll);
+    };
+
+    const handleConnected = () => {
+        if (frame === null) frame = requestAnimationFrame(poll);
+    };
+
+    window.addEventListener('gamepadconnected', handleConnected);
+    handleConnected();
+
+    return () => {
+        window.removeEventListener('gamepadconnected', handleConnected);
+        if (frame !== null) cancelAnimationFrame(frame);
+    };
+};
+
+/**
+ * Wait for the next input from any device (for remapping).
+ * onInput(input) is called once; returns a cancel function.
+ */
+export const listenForControl = (onInput) => {
+    let done = false;
+    const finish = (input) => {
+        if (done) return;
+        done = true;
+        stop();
+        onInput(input);
+    };
+
+    const handleKeyDown = (e) => {
+        const input = getKeyInput(e);
+        if (!input) return;
+        e.preventDefault();
+        e.stopPropagation();
+        finish(input);
+    };
+
+    const stopGamepads = watchGamepads(finish);
+    window.addEventListener('keydown', handleKeyDown, true);
+
+    const session = navigator.mediaSession;
+    Object.entries(MEDIA_ACTIONS).forEach(([action, input]) => {
+        try {
+            session?.setActionHandler(action, () => finish(input));
+        } catch {
+            // Action not supported by this browser
+        }
+    });
+
+    function stop() {
+        stopGamepads();
+        window.removeEventListener('keydown', handleKeyDown, true);
+        Object.keys(MEDIA_ACTIONS).forEach((action) => {
+            try {
+                session?.setActionHandler(action, null);
+            } catch {
+                // Action not supported by this browser
+            }
+        });
+    }
+
+    return () => {
+        done = true;
+        stop();
+    };
+};
+
+// One second of 8 kHz 8-bit silence as a WAV, to hold a media session open
+let silenceUrl = null;
+const getSilenceUrl = () => {
+    if (silenceUrl) return silenceUrl;
+    const samples = 8000;
+    const buffer = new ArrayBuffer(44 + samples);
+    const view = new DataView(buffer);
+    const writeText = (offset, text) => [...text].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+    writeText(0, 'RIFF');
+    view.setUint32(4, 36 + samples, true);
+    writeText(8, 'WAVEfmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 1, true); // mono
+    view.setUint32(24, samples, true);
+    view.setUint32(28, samples, true);
+    view.setUint16(32, 1, true);
+    view.setUint16(34, 8, true);
+    writeText(36, 'data');
+    view.setUint32(40, samples, true);
+    new Uint8Array(buffer, 44).fill(128);
+    silenceUrl = URL.createObjectURL(new Blob([buffer], { type: 'audio/wav' }));
+    return silenceUrl;
+};
+
+/**
+ * Route remote control inputs to handlers while enabled.
+ * bindings: { [input]: action } for this context
+ * handlers: { [action]: () => void }
+ * holdMediaSession: play silent audio so the browser sends media keys
+ *   and headset/page turner buttons here (browsers only route them to a
+ *   page that is playing something)
+ * title: shown by the OS media controls
+ */
+export const useRemoteControls = ({ enabled, bindings, handlers, holdMediaSession = false, title = '' }) => {
+    // Latest bindings and handlers, so listeners don't re-register on every render
+    const bindingsRef = useRef(bindings);
+    const handlersRef = useRef(handlers);
+    useEffect(() => {
+        bindingsRef.current = bindings;
+        handlersRef.current = handlers;
+    });
+
+    useEffect(() => {
+        if (!enabled) return;
+
+        // Returns true if the input was bound to something
+        const dispatch = (input) => {
+            const action = bindingsRef.current?.[input];
+            const handler = action && handlersRef.current?.[action];
+            if (!handler) return false;
+            handler();
+            return true;
+        };
+
+        // Capture phase, so bound keys win over the built-in shortcuts
+        const handleKeyDown = (e) => {
+            if (isEditable(e.target)) return;
+            const input = getKeyInput(e);
+            if (input && dispatch(input)) {
+                e.preventDefault();
+                e.stopPropagation();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown, true);
+
+        const stopGamepads = watchGamepads(dispatch);
+
+        const session = navigator.mediaSession;
+        Object.entries(MEDIA_ACTIONS).forEach(([action, input]) => {
+            try {
+                session?.setActionHandler(action, () => dispatch(input));
+            } catch {
+                // Action not supported by this browser
+            }
+        });
+
+        let audio = null;
+        let startAudio = null;
+        if (holdMediaSession && session) {
+            audio = new Audio(getSilenceUrl());
+            audio.loop = true;
+            // Autoplay needs a user gesture; try now and again on the next tap
+            startAudio = () => {
+                audio.play()
+                    .then(() => {
+                        session.playbackState = 'playing';
+                        window.removeEventListener('pointerdown', startAudio, true);
+                    })
+                    .catch(() => {});
+            };
+            window.addEventListener('pointerdown', startAudio, true);
+            startAudio();
+            if (title && window.MediaMetadata) {
+                session.metadata = new window.MediaMetadata({ title, artist: 'PulseReader' });
+            }
+        }
+
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown, true);
+            stopGamepads();
+            Object.keys(MEDIA_ACTIONS).forEach((action) => {
+                try {
+                    session?.setActionHandler(action, null);
+                } catch {
+                    // Action not supported by this browser
+                }
+            });
+            if (audio) {
+                window.removeEventListener('pointerdown', startAudio, true);
+                audio.pause();
+                audio.removeAttribute('src');
+                session.playbackState = 'none';
+                session.metadata = null;
+            }
+        };
+    }, [enabled, holdMediaSession, title]);
+};
@@ -0,0 +1,50 @@
+import { useState, useEffect } from 'react';
+import { loadReadingSpeeds, formatTimeLeft } from '../services/statsService';
+
+// Normal reading speed until sessions have measured one
+const DEFAULT_NORMAL_WPM = 250;
+
+// Keep a few odd RSVP sessions from skewing the estimate too far
+const MIN_RSVP_PACE = 0.25;
+const MAX_RSVP_PACE = 1.5;
+
+/**
+ * Time left in the current chapter and the book, at the reader's measured
+ * speed for the mode. Positions are word indices in the book's word
+ * stream; marks are its chapter marks ([{ index }], sorted).
+ * mode: 'normal' or 'rsvp' (RSVP scales rsvpWpm, the speed set, by the
+ * measured pace). Returns { chapter, book } as display strings, or null.
+ */
+export const useTimeLeft = ({ mode, index, total, marks, rsvpWpm }) => {
+    const [speeds, setSpeeds] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        loadReadingSpeeds()
+            .then((measured) => {
+                if (!cancelled) setSpeeds(measured);
+            })
+            .catch((err) => console.warn('Failed to load reading speeds:', err));
+        return () => {
+            cancelled = true;
+        };
+    }, [mode]);
+
+    if (index == null || !total) return null;
+
+    let wpm;
+    if (mode === 'rsvp') {
+        const pace = speeds?.rsvpPace ?? 1;
+        wpm = rsvpWpm * Math.min(MAX_RSVP_PACE, Math.max(MIN_RSVP_PACE, pace));
+    } else {
+        wpm = speeds?.normal || DEFAULT_NORMAL_WPM;
+    }
+    if (!wpm) return null;
+
+    const chapterEnd = marks?.find((mark) => mark.index > index)?.index ?? total;
+    const toSeconds = (words) => (Math.max(0, words) / wpm) * 60;
+    return {
+        chapter: formatTimeLeft(toSeconds(chapterEnd - index)),
+        book: formatTimeLeft(toSeconds(total - index)),
+    };
+};
@@ -0,0 +1,125 @@
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+
+// How often the training clock ticks while playing
+const TICK_MS = 250;
+
+export const trainingCurves = {
+    linear: 'Linear Ramp',
+    intervals: 'Interval Sprints',
+    plateau: 'Plateau',
+};
+
+/**
+ * Work out the training speed and phase for a point in the session.
+ * elapsed is the playing time in seconds (pauses don't count).
+ * Returns { wpm, phase, secondsLeft } where secondsLeft is the time
+ * until the next change (null when the speed no longer changes).
+ */
+export const getTrainingState = (settings, baseWpm, elapsed) => {
+    const curve = settings.trainingCurve || 'linear';
+
+    if (curve === 'intervals') {
+        const sprint = Math.max(1, settings.trainingSprintSeconds);
+        const recovery = Math.max(1, settings.trainingRecoverySeconds);
+        const cycle = elapsed % (sprint + recovery);
+        const round = Math.floor(elapsed / (sprint + recovery)) + 1;
+        if (cycle < sprint) {
+            return {
+                wpm: settings.trainingSprintWpm,
+                phase: `Sprint ${round}`,
+                secondsLeft: Math.ceil(sprint - cycle),
+            };
+        }
+        return {
+            wpm: settings.trainingRecoveryWpm,
+            phase: `Recovery ${round}`,
+            secondsLeft: Math.ceil(sprint + recovery - cycle),
+        };
+    }
+
+    if (curve === 'plateau') {
+        return {
+            wpm: settings.trainingTargetWpm,
+            phase: 'Plateau',
+            secondsLeft: null,
+        };
+    }
+
+    // Linear ramp: +step WPM every interval, up to the cap
+    const interval = Math.max(1, settings.trainingStepSeconds);
+    const steps = Math.floor(elapsed / interval);
+    const cap = Math.max(baseWpm, settings.trainingMaxWpm);
+    const wpm = Math.min(cap, baseWpm + steps * settings.trainingStep);
+    return {
+        wpm,
+        phase: wpm >= cap ? 'Ramp (max)' : 'Ramp',
+        secondsLeft: wpm >= cap ? null : Math.ceil((steps + 1) * interval - elapsed),
+    };
+};
+
+/**
+ * Drives a training session for the RSVP overlay.
+ * Keeps its own clock that only runs while playing, tracks the words
+ * shown so it can report peak and average speed when the session ends.
+ */
+export const useTrainingMode = ({ settings, baseWpm, isPlaying }) => {
+    const enabled = !!settings.trainingMode;
+    const [elapsedMs, setElapsedMs] = useState(0);
+    const wordsRef = useRef(0);
+    const peakRef = useRef(0);
+
+    // Session clock - only ticks while playing
+    useEffect(() => {
+        if (!enabled || !isPlaying) return;
+
+        let last = Date.now();
+        const timer = setInterval(() => {
+            const now = Date.now();
+            setElapsedMs((prev) => prev + (now - last));
+            last = now;
+        }, TICK_MS);
+
+        return () => clearInterval(timer);
+    }, [enabled, isPlaying]);
+
+    const state = useMemo(() => {
+        if (!enabled) return null;
+        return getTrainingState(settings, baseWpm, elapsedMs / 1000);
+    }, [enabled, settings, baseWpm, elapsedMs]);
+
+    // Called by the overlay for every word (or chunk of count words) it advances
+    // past while playing, with the speed it was shown at. Stable so it never resets timers.
+    const recordWord = useCallback((wpm, count = 1) => {
+        if (!enabled) return;
+        wordsRef.current += count;
+        peakRef.current = Math.max(peakRef.current, wpm);
+    }, [enabled]);
+
+    const reset = useCallback(() => {
+        setElapsedMs(0);
+        wordsRef.current = 0;
+        peakRef.current = 0;
+    }, []);
+
+    // Summary of the session so far, null if nothing was read
+    const getSummary = useCallback(() => {
+        if (!enabled || wordsRef.current === 0 || elapsedMs === 0) return null;
+        return {
+            curve: settings.trainingCurve,
+            duration: Math.round(elapsedMs / 1000),
+            words: wordsRef.current,
+            peakWpm: peakRef.current,
+            averageWpm: Math.round(wordsRef.current / (elapsedMs / 60000)),
+        };
+    }, [enabled, elapsedMs, settings.trainingCurve]);
+
+    return {
+        enabled,
+        wpm: state?.wpm ?? baseWpm,
+        phase: state?.phase ?? null,
+        secondsLeft: state?.secondsLeft ?? null,
+        recordWord,
+        reset,
+        getSummary,
+    };
+};
@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react';
+import { loadUserFonts, onUserFontsChanged } from '../services/fonts';
+
+/**
+ * The fonts the user has uploaded, kept up to date as they are added
+ * or removed.
+ */
+export const useUserFonts = () => {
+    const [fonts, setFonts] = useState([]);
+
+    useEffect(() => {
+        let cancelled = false;
+        const load = () => {
+            loadUserFonts()
+                .then((loaded) => {
+                    if (!cancelled) setFonts(loaded);
+                })
+                .catch((err) => console.warn('Failed to load fonts:', err));
+        };
+        load();
+        const unsubscribe = onUserFontsChanged(load);
+        return () => {
+            cancelled = true;
+            unsubscribe();
+        };
+    }, []);
+
+    return fonts;
+};
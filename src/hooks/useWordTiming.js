@@ -0,0 +1,100 @@
+import { useCallback, useRef } from 'react';
+import { getLongWordExcess, getPausePunctuation } from '../utils/segmentation';
+
+/**
+ * Delay multiplier for a word (or chunk text) from the pacing settings:
+ * punctuation, dashes, names and length. afterSentenceEnd says whether the
+ * word before it ended a sentence (a capital there isn't a name).
+ */
+export const getTimingMultiplier = (word, settings, { afterSentenceEnd = true, wordCount = 1 } = {}) => {
+    const {
+        rsvpSentenceEndMultiplier: sentenceEndMultiplier,
+        rsvpClauseMultiplier: clauseMultiplier,
+        rsvpDashMultiplier: dashMultiplier,
+        rsvpNameMultiplier: nameMultiplier,
+        rsvpLongWordMultiplier: longWordMultiplier,
+    } = settings;
+
+    let multiplier = 1;
+    const punctuation = getPausePunctuation(word);
+
+    // Sentence-ending punctuation multiplier (. ! ? 。 ？ ...)
+    if (sentenceEndMultiplier > 1 && punctuation === 'sentence') {
+        multiplier *= sentenceEndMultiplier;
+    }
+    // Clause punctuation multiplier (, ; : 、 ， ...)
+    else if (clauseMultiplier > 1 && punctuation === 'clause') {
+        multiplier *= clauseMultiplier;
+    }
+
+    // Dash/hyphen multiplier for compound words (e.g., "well-known")
+    if (dashMultiplier > 1 && (word.includes('-') || word.includes('—') || word.includes('–'))) {
+        multiplier *= dashMultiplier;
+    }
+
+    // Name/proper noun multiplier (capitalized words not at start of sentence)
+    if (nameMultiplier > 1 && !afterSentenceEnd) {
+        const cleanWord = word.replace(/^["""''([\[{]/, ''); // strip leading quotes/brackets
+        if (cleanWord.length > 0 && cleanWord[0] === cleanWord[0].toUpperCase() && cleanWord[0] !== cleanWord[0].toLowerCase()) {
+            multiplier *= nameMultiplier;
+        }
+    }
+
+    // Length multiplier: per-char increase for every character over the
+    // script's long-word length (6 for Latin, 3 for CJK; for a chunk, its
+    // longest word decides)
+    const excess = wordCount > 1
+        ? Math.max(...word.split(' ').map(getLongWordExcess))
+        : getLongWordExcess(word);
+    if (longWordMultiplier > 1 && excess > 0) {
+        multiplier *= (1 + excess * (longWordMultiplier - 1));
+    }
+
+    return multiplier;
+};
+
+/**
+ * Per-word display timing for RSVP and the in-page pacer.
+ * The base interval comes from wpm; the rsvp*Multiplier settings stretch
+ * it for punctuation, dashed words, names and long words.
+ */
+export const useWordTiming = ({ settings, wpm }) => {
+    const {
+        rsvpSentenceEndMultiplier: sentenceEndMultiplier,
+        rsvpClauseMultiplier: clauseMultiplier,
+        rsvpDashMultiplier: dashMultiplier,
+        rsvpNameMultiplier: nameMultiplier,
+        rsvpLongWordMultiplier: longWordMultiplier,
+    } = settings;
+
+    // Track whether previous word ended a sentence (for name detection)
+    const prevWordEndedSentenceRef = useRef(true); // true at start = first word of text
+
+    // Call after jumping to a new position - the next word starts a sentence
+    const resetSentence = useCallback(() => {
+        prevWordEndedSentenceRef.current = true;
+    }, []);
+
+    // Calculate delay for specific word (punctuation, dashes, names, and length handling).
+    // In chunk mode word is the chunk text and the delay scales with its word count.
+    // factor is an extra multiplier on top (adaptive pacing).
+    const getWordDelay = useCallback((word, wordCount = 1, factor = 1) => {
+        const base = Math.round(60000 / wpm) * wordCount;
+        if (!word) return base;
+
+        const multiplier = getTimingMultiplier(word, {
+            rsvpSentenceEndMultiplier: sentenceEndMultiplier,
+            rsvpClauseMultiplier: clauseMultiplier,
+            rsvpDashMultiplier: dashMultiplier,
+            rsvpNameMultiplier: nameMultiplier,
+            rsvpLongWordMultiplier: longWordMultiplier,
+        }, { afterSentenceEnd: prevWordEndedSentenceRef.current, wordCount });
+
+        // Update sentence tracking for next word
+        prevWordEndedSentenceRef.current = getPausePunctuation(word) === 'sentence';
+
+        return Math.round(base * multiplier * factor);
+    }, [wpm, sentenceEndMultiplier, clauseMultiplier, dashMultiplier, nameMultiplier, longWordMultiplier]);
+
+    return { getWordDelay, resetSentence };
+};
@@ -2,10 +2,14 @@ import { StrictMode, Component } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { installBundledFonts } from './services/fonts'
 // import { registerSW } from 'virtual:pwa-register'
 
 // registerSW({ immediate: true })
 
+// Reading and UI fonts ship with the app so they work offline
+installBundledFonts()
+
 class ErrorBoundary extends Component {
   constructor(props) {
     super(props);
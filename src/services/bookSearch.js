@@ -0,0 +1,199 @@
+/**
+ * PulseReader Search Service
+ * Full-text search over every spine section of a book. Section text is
+ * extracted once per book and handed to a worker, which runs the queries
+ * so long books don't block the reader.
+ */
+import { EpubCFI } from 'epubjs';
+
+// A query matching more than this is too broad to step through
+export const MAX_RESULTS = 1000;
+
+const SKIPPED_TAGS = ['script', 'style', 'head', 'title'];
+
+// Text in different blocks (or either side of a <br>) is kept apart by a
+// line break, so matches and word boundaries don't run across them
+const BLOCK_TAGS = [
+    'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'dd', 'div', 'dl', 'dt',
+    'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+    'li', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'td', 'th', 'tr', 'ul',
+];
+const BLOCK_SEPARATOR = '\n';
+
+const indexCache = new WeakMap(); // Book => Promise<{ key, sections: [{ index, href }] }>
+let nextBookKey = 1;
+
+let worker = null;
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+const getBlock = (node) => {
+    let element = node.parentNode;
+    while (element && !BLOCK_TAGS.includes(element.localName?.toLowerCase())) {
+        element = element.parentNode;
+    }
+    return element;
+};
+
+/**
+ * Text of a section document in reading order, with BLOCK_SEPARATOR
+ * between blocks. nodes lists each text node with its start offset in
+ * the text; indexing and turning match offsets back into CFIs both use it.
+ * Returns { text, nodes: [{ node, start }] }.
+ */
+function getSectionText(doc) {
+    const body = doc.querySelector('body') || doc.documentElement;
+    const walker = doc.createTreeWalker(body, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => (SKIPPED_TAGS.includes(node.localName?.toLowerCase())
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT),
+    });
+    const nodes = [];
+    let text = '';
+    let lastBlock = null;
+    let lineBreak = false;
+    let node;
+    while ((node = walker.nextNode())) {
+        if (node.nodeType !== Node.TEXT_NODE) {
+            if (node.localName?.toLowerCase() === 'br') lineBreak = true;
+            continue;
+        }
+        const block = getBlock(node);
+        if (nodes.length > 0 && (block !== lastBlock || lineBreak)) text += BLOCK_SEPARATOR;
+        nodes.push({ node, start: text.length });
+        text += node.textContent;
+        lastBlock = block;
+        lineBreak = false;
+    }
+    return { text, nodes };
+}
+
+function getWorker() {
+    if (!worker) {
+        worker = new Worker(new URL('../workers/searchWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (e) => {
+            const { id, error, ...result } = e.data;
+            const pending = pendingRequests.get(id);
+            if (!pending) return;
+            pendingRequests.delete(id);
+            if (error) pending.reject(new Error(error));
+            else pending.resolve(result);
+        };
+    }
+    return worker;
+}
+
+// Post a message to the worker and wait for its reply
+function request(message) {
+    const id = nextRequestId++;
+    return new Promise((resolve, reject) => {
+        pendingRequests.set(id, { resolve, reject });
+        getWorker().postMessage({ ...message, id });
+    });
+}
+
+/**
+ * Extract the text of every spine section and index it in the worker.
+ * Cached per Book; onProgress(fraction) is called as sections load.
+ */
+export function indexBook(book, onProgress) {
+    const cached = indexCache.get(book);
+    if (cached) return cached;
+
+    const promise = (async () => {
+        await book.ready;
+        const key = nextBookKey++;
+        const sections = [];
+        const texts = [];
+        const spineItems = book.spine.spineItems;
+
+        for (let i = 0; i < spineItems.length; i++) {
+            const section = spineItems[i];
+            let text = '';
+            try {
+                const contents = await section.load(book.load.bind(book));
+                text = getSectionText(contents.ownerDocument).text;
+            } catch (err) {
+                console.warn('Failed to index section for search:', section.href, err);
+            } finally {
+                section.unload();
+            }
+            sections.push({ index: section.index, href: section.href });
+            texts.push(text);
+            onProgress?.((i + 1) / spineItems.length);
+        }
+
+        await request({ type: 'index', key, texts });
+        return { key, sections };
+    })();
+
+    indexCache.set(book, promise);
+    promise.catch(() => indexCache.delete(book));
+    return promise;
+}
+
+/**
+ * Search a book. Resolves to { results, truncated } where each result is
+ * { section, href, start, end, before, match, after }: the spine href,
+ * character offsets into the section text and the match in context.
+ */
+export async function searchBook(book, query, { matchCase = false, wholeWord = false } = {}) {
+    const trimmed = query.trim();
+    if (!trimmed) return { results: [], truncated: false };
+
+    const index = await indexBook(book);
+    const { matches, truncated } = await request({
+        type: 'search',
+        key: index.key,
+        query: trimmed,
+        matchCase,
+        wholeWord,
+        limit: MAX_RESULTS,
+    });
+
+    // The worker only keeps one book - index this one again
+    if (matches === null) {
+        indexCache.delete(book);
+        return searchBook(book, query, { matchCase, wholeWord });
+    }
+
+    return {
+        results: matches.map((match) => ({ ...match, href: index.sections[match.section].href })),
+        truncated,
+    };
+}
+
+/**
+ * CFI range of a search result, for display and highlighting.
+ * Resolves to null if the section can't be loaded.
+ */
+export async function getResultCfi(book, result) {
+    const section = book.spine.get(result.href);
+    if (!section) return null;
+
+    try {
+        const contents = await section.load(book.load.bind(book));
+        const doc = contents.ownerDocument;
+        const range = doc.createRange();
+        let started = false;
+
+        // Matches start and end on text, never inside a separator
+        for (const { node, start } of getSectionText(doc).nodes) {
+            const end = start + node.textContent.length;
+            if (!started && result.start < end) {
+                range.setStart(node, result.start - start);
+                started = true;
+            }
+            if (started && result.end <= end) {
+                range.setEnd(node, result.end - start);
+                return new EpubCFI(range, section.cfiBase).toString();
+            }
+        }
+        return null;
+    } catch (err) {
+        console.warn('Failed to locate search result:', err);
+        return null;
+    } finally {
+        section.unload();
+    }
+}
@@ -1,7 +1,7 @@
 import { openDB } from 'idb';
 
 const DB_NAME = 'pulse-reader-db';
-const DB_VERSION = 3;
+const DB_VERSION = 9;
 
 export const initDB = async () => {
     return openDB(DB_NAME, DB_VERSION, {
@@ -14,6 +14,46 @@ export const initDB = async () => {
             if (!store.indexNames.contains('addedAt')) store.createIndex('addedAt', 'addedAt');
             if (!store.indexNames.contains('series')) store.createIndex('series', 'series');
             if (!store.indexNames.contains('syncId')) store.createIndex('syncId', 'syncId', { unique: false });
+
+            // Reading sessions for statistics (normal reading and RSVP)
+            if (!db.objectStoreNames.contains('sessions')) {
+                const sessions = db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+                sessions.createIndex('bookId', 'bookId');
+                sessions.createIndex('startedAt', 'startedAt');
+            }
+
+            // Highlights and notes, keyed to CFI ranges in a book
+            if (!db.objectStoreNames.contains('annotations')) {
+                const annotations = db.createObjectStore('annotations', { keyPath: 'id', autoIncrement: true });
+                annotations.createIndex('bookId', 'bookId');
+            }
+
+            // Manual bookmarks (lastRead on the book is the automatic one)
+            if (!db.objectStoreNames.contains('bookmarks')) {
+                const bookmarks = db.createObjectStore('bookmarks', { keyPath: 'id', autoIncrement: true });
+                bookmarks.createIndex('bookId', 'bookId');
+            }
+
+            // Imported dictionaries and their entries (headword lowercased)
+            if (!db.objectStoreNames.contains('dictionaries')) {
+                db.createObjectStore('dictionaries', { keyPath: 'id', autoIncrement: true });
+            }
+            if (!db.objectStoreNames.contains('dictionaryEntries')) {
+                const entries = db.createObjectStore('dictionaryEntries', { keyPath: 'id', autoIncrement: true });
+                entries.createIndex('word', 'word');
+                entries.createIndex('dictionaryId', 'dictionaryId');
+            }
+
+            // Pages per spine section, per book and layout signature
+            if (!db.objectStoreNames.contains('pageCounts')) {
+                const pageCounts = db.createObjectStore('pageCounts', { keyPath: ['bookId', 'signature'] });
+                pageCounts.createIndex('bookId', 'bookId');
+            }
+
+            // Fonts uploaded by the user (file data kept as an ArrayBuffer)
+            if (!db.objectStoreNames.contains('fonts')) {
+                db.createObjectStore('fonts', { keyPath: 'id', autoIncrement: true });
+            }
         },
     });
 };
@@ -37,24 +77,30 @@ export const getBook = async (id) => {
     return db.get('books', id);
 };
 
+// Read and write in one transaction: progress, per-book settings and sync
+// all update the same record, and must not write back a stale copy
 export const updateBook = async (id, updates) => {
     const db = await initDB();
-    const book = await db.get('books', id);
+    const tx = db.transaction('books', 'readwrite');
+    const book = await tx.store.get(id);
     if (book) {
         Object.assign(book, updates);
-        await db.put('books', book);
+        await tx.store.put(book);
     }
+    await tx.done;
     return book;
 };
 
 export const updateBookProgress = async (id, location, progress) => {
     const db = await initDB();
-    const book = await db.get('books', id);
+    const tx = db.transaction('books', 'readwrite');
+    const book = await tx.store.get(id);
     if (book) {
         book.lastRead = location;
         book.progress = progress;
-        await db.put('books', book);
+        await tx.store.put(book);
     }
+    await tx.done;
 };
 
 export const toggleBookRead = async (id) => {
@@ -68,7 +114,171 @@ export const toggleBookRead = async (id) => {
     return false;
 };
 
+// Also removes the book's highlights, bookmarks and page counts
 export const deleteBook = async (id) => {
     const db = await initDB();
-    return db.delete('books', id);
+    const stores = ['annotations', 'bookmarks', 'pageCounts'];
+    const tx = db.transaction(['books', ...stores], 'readwrite');
+    for (const name of stores) {
+        const store = tx.objectStore(name);
+        let cursor = await store.index('bookId').openKeyCursor(IDBKeyRange.only(id));
+        while (cursor) {
+            store.delete(cursor.primaryKey);
+            cursor = await cursor.continue();
+        }
+    }
+    tx.objectStore('books').delete(id);
+    await tx.done;
+};
+
+export const addSession = async (session) => {
+    const db = await initDB();
+    return db.add('sessions', session);
+};
+
+export const getSessions = async () => {
+    const db = await initDB();
+    return db.getAllFromIndex('sessions', 'startedAt');
+};
+
+export const addAnnotation = async (annotation) => {
+    const db = await initDB();
+    return db.add('annotations', {
+        ...annotation,
+        createdAt: new Date(),
+    });
+};
+
+export const getAnnotations = async (bookId) => {
+    const db = await initDB();
+    return db.getAllFromIndex('annotations', 'bookId', bookId);
+};
+
+export const updateAnnotation = async (id, updates) => {
+    const db = await initDB();
+    const annotation = await db.get('annotations', id);
+    if (annotation) {
+        Object.assign(annotation, updates);
+        await db.put('annotations', annotation);
+    }
+    return annotation;
+};
+
+export const deleteAnnotation = async (id) => {
+    const db = await initDB();
+    return db.delete('annotations', id);
+};
+
+export const addBookmark = async (bookmark) => {
+    const db = await initDB();
+    return db.add('bookmarks', {
+        ...bookmark,
+        createdAt: new Date(),
+    });
+};
+
+export const getBookmarks = async (bookId) => {
+    const db = await initDB();
+    return db.getAllFromIndex('bookmarks', 'bookId', bookId);
+};
+
+export const updateBookmark = async (id, updates) => {
+    const db = await initDB();
+    const bookmark = await db.get('bookmarks', id);
+    if (bookmark) {
+        Object.assign(bookmark, updates);
+        await db.put('bookmarks', bookmark);
+    }
+    return bookmark;
+};
+
+export const deleteBookmark = async (id) => {
+    const db = await initDB();
+    return db.delete('bookmarks', id);
+};
+
+export const addDictionary = async (dictionary) => {
+    const db = await initDB();
+    return db.add('dictionaries', {
+        ...dictionary,
+        importedAt: new Date(),
+    });
+};
+
+export const getDictionaries = async () => {
+    const db = await initDB();
+    return db.getAll('dictionaries');
+};
+
+export const updateDictionary = async (id, updates) => {
+    const db = await initDB();
+    const dictionary = await db.get('dictionaries', id);
+    if (dictionary) {
+        Object.assign(dictionary, updates);
+        await db.put('dictionaries', dictionary);
+    }
+    return dictionary;
+};
+
+export const deleteDictionary = async (id) => {
+    const db = await initDB();
+    const tx = db.transaction(['dictionaries', 'dictionaryEntries'], 'readwrite');
+    const entries = tx.objectStore('dictionaryEntries').index('dictionaryId');
+    let cursor = await entries.openKeyCursor(IDBKeyRange.only(id));
+    while (cursor) {
+        tx.objectStore('dictionaryEntries').delete(cursor.primaryKey);
+        cursor = await cursor.continue();
+    }
+    tx.objectStore('dictionaries').delete(id);
+    await tx.done;
+};
+
+// Entries are written in batches, one transaction per batch
+export const addDictionaryEntries = async (entries) => {
+    const db = await initDB();
+    const tx = db.transaction('dictionaryEntries', 'readwrite');
+    entries.forEach((entry) => tx.store.add(entry));
+    await tx.done;
+};
+
+export const getDictionaryEntries = async (word) => {
+    const db = await initDB();
+    return db.getAllFromIndex('dictionaryEntries', 'word', word);
+};
+
+export const getPageCounts = async (bookId, signature) => {
+    const db = await initDB();
+    return db.get('pageCounts', [bookId, signature]);
+};
+
+// Keeps the most recent layouts of a book, dropping older ones
+export const savePageCounts = async (bookId, signature, sections, keep = 5) => {
+    const db = await initDB();
+    const tx = db.transaction('pageCounts', 'readwrite');
+    tx.store.put({ bookId, signature, sections, measuredAt: new Date() });
+    const stored = await tx.store.index('bookId').getAll(bookId);
+    stored
+        .filter((record) => record.signature !== signature)
+        .sort((a, b) => b.measuredAt - a.measuredAt)
+        .slice(keep - 1)
+        .forEach((record) => tx.store.delete([bookId, record.signature]));
+    await tx.done;
+};
+
+export const addFont = async (font) => {
+    const db = await initDB();
+    return db.add('fonts', {
+        ...font,
+        addedAt: new Date(),
+    });
+};
+
+export const getFonts = async () => {
+    const db = await initDB();
+    return db.getAll('fonts');
+};
+
+export const deleteFont = async (id) => {
+    const db = await initDB();
+    return db.delete('fonts', id);
 };
@@ -0,0 +1,286 @@
+/**
+ * PulseReader Dictionary Service
+ * Imports dictionaries (StarDict, JSON, TSV) into IndexedDB and looks
+ * words up in them, fully offline.
+ */
+import {
+    addDictionary,
+    getDictionaries,
+    updateDictionary,
+    deleteDictionary,
+    addDictionaryEntries,
+    getDictionaryEntries,
+} from './db';
+
+// Entries written per IndexedDB transaction while importing
+const IMPORT_BATCH_SIZE = 5000;
+
+// StarDict field types holding text, and which of them are markup
+const STARDICT_TEXT_TYPES = 'mlgtxykwh';
+const STARDICT_MARKUP_TYPES = 'gxykwh';
+
+const listeners = new Set();
+
+/**
+ * Call listener() whenever dictionaries are imported, changed or removed.
+ * Returns an unsubscribe function.
+ */
+export function onDictionariesChanged(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+function notifyChanged() {
+    listeners.forEach((listener) => listener());
+}
+
+/**
+ * Headword form used as the lookup key: trimmed of surrounding
+ * punctuation, lowercased
+ */
+export function normalizeWord(word) {
+    return (word || '')
+        .normalize('NFC')
+        .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')
+        .toLowerCase();
+}
+
+// Primary language subtag ('en-GB' => 'en')
+const primaryLanguage = (language) => (language || '').toLowerCase().split(/[-_]/)[0];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+// Markup definitions (HTML, XDXF, Pango) as plain text. A regex rather
+// than DOMParser - StarDict files have hundreds of thousands of articles.
+function markupToText(markup) {
+    return markup
+        .replace(/<br\s*\/?>|<\/(p|div|li|tr)>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            return ENTITIES[name.toLowerCase()] ?? entity;
+        })
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+async function readFile(file) {
+    if (/\.(dz|gz)$/i.test(file.name)) {
+        const stream = file.stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Response(stream).arrayBuffer();
+    }
+    return file.arrayBuffer();
+}
+
+// Collect entries, merging repeated headwords
+function addEntry(entries, headword, definition) {
+    const word = normalizeWord(headword);
+    const text = definition?.trim();
+    if (!word || !text) return;
+    const existing = entries.get(word);
+    if (existing) {
+        existing.definition += `\n\n${text}`;
+    } else {
+        entries.set(word, { headword: headword.trim(), definition: text });
+    }
+}
+
+/**
+ * One StarDict article as text. sameTypeSequence is the .ifo's
+ * sametypesequence ('' when each field carries its own type).
+ */
+function parseStarDictArticle(bytes, sameTypeSequence, decoder) {
+    const parts = [];
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let pos = 0;
+
+    // With a sametypesequence the last field has no terminator or size
+    const readField = (type, isLast) => {
+        if (type === type.toUpperCase()) {
+            // Binary field (sound, image): 32-bit size then data
+            pos = isLast ? bytes.length : pos + 4 + view.getUint32(pos);
+            return;
+        }
+        let end = isLast ? bytes.length : bytes.indexOf(0, pos);
+        if (end === -1) end = bytes.length;
+        const data = decoder.decode(bytes.subarray(pos, end));
+        pos = end + 1;
+
+        if (!STARDICT_TEXT_TYPES.includes(type)) return;
+        if (type === 't') parts.push(`/${data}/`);
+        else parts.push(STARDICT_MARKUP_TYPES.includes(type) ? markupToText(data) : data);
+    };
+
+    if (sameTypeSequence) {
+        [...sameTypeSequence].forEach((type, i) => readField(type, i === sameTypeSequence.length - 1));
+    } else {
+        while (pos < bytes.length) {
+            const type = String.fromCharCode(bytes[pos++]);
+            readField(type, false);
+        }
+    }
+    return parts.filter(Boolean).join('\n');
+}
+
+async function parseStarDict(ifoFile, idxFile, dictFile) {
+    if (!idxFile || !dictFile) {
+        throw new Error('A StarDict dictionary needs its .ifo, .idx and .dict (or .dict.dz) files');
+    }
+
+    const info = {};
+    (await ifoFile.text()).split(/\r?\n/).forEach((line) => {
+        const at = line.indexOf('=');
+        if (at > 0) info[line.slice(0, at).trim()] = line.slice(at + 1).trim();
+    });
+
+    const decoder = new TextDecoder('utf-8');
+    const idx = new Uint8Array(await readFile(idxFile));
+    const dict = new Uint8Array(await readFile(dictFile));
+    const idxView = new DataView(idx.buffer);
+    const offsetBytes = info.idxoffsetbits === '64' ? 8 : 4;
+    const sameTypeSequence = info.sametypesequence || '';
+    const entries = new Map();
+
+    let pos = 0;
+    while (pos < idx.length) {
+        const end = idx.indexOf(0, pos);
+        if (end === -1) break;
+        const headword = decoder.decode(idx.subarray(pos, end));
+        pos = end + 1;
+        const offset = offsetBytes === 8
+            ? Number(idxView.getBigUint64(pos))
+            : idxView.getUint32(pos);
+        pos += offsetBytes;
+        const size = idxView.getUint32(pos);
+        pos += 4;
+        addEntry(entries, headword, parseStarDictArticle(dict.subarray(offset, offset + size), sameTypeSequence, decoder));
+    }
+
+    return { name: info.bookname || ifoFile.name.replace(/\.ifo$/i, ''), format: 'stardict', entries };
+}
+
+// { word: definition }, [{ word, definition }] or [[word, definition]]
+async function parseJson(file) {
+    const data = JSON.parse(await file.text());
+    const entries = new Map();
+    const items = Array.isArray(data) ? data : Object.entries(data);
+    items.forEach((item) => {
+        if (Array.isArray(item)) {
+            const [word, definition] = item;
+            addEntry(entries, String(word), Array.isArray(definition) ? definition.join('\n') : String(definition ?? ''));
+        } else if (item && typeof item === 'object') {
+            const word = item.word ?? item.headword ?? item.term;
+            const definition = item.definition ?? item.definitions ?? item.meaning;
+            if (word != null) {
+                addEntry(entries, String(word), Array.isArray(definition) ? definition.join('\n') : String(definition ?? ''));
+            }
+        }
+    });
+    return { name: file.name.replace(/\.json$/i, ''), format: 'json', entries };
+}
+
+// word<TAB>definition per line, \n in the definition for line breaks
+async function parseTsv(file) {
+    const entries = new Map();
+    (await file.text()).split(/\r?\n/).forEach((line) => {
+        const tab = line.indexOf('\t');
+        if (tab <= 0) return;
+        addEntry(entries, line.slice(0, tab), line.slice(tab + 1).replace(/\\n/g, '\n'));
+    });
+    return { name: file.name.replace(/\.(tsv|txt)$/i, ''), format: 'tsv', entries };
+}
+
+/**
+ * Import a dictionary from the files the user picked: a StarDict set
+ * (.ifo + .idx + .dict/.dict.dz), a .json or a .tsv/.txt word list.
+ * language is a BCP 47 tag ('' = use for any book).
+ * onProgress(fraction) follows the write to IndexedDB.
+ * Resolves to the stored dictionary record.
+ */
+export async function importDictionary(files, { language = '', onProgress } = {}) {
+    const list = Array.from(files);
+    const find = (pattern) => list.find((file) => pattern.test(file.name));
+
+    let parsed;
+    const ifo = find(/\.ifo$/i);
+    if (ifo) {
+        parsed = await parseStarDict(ifo, find(/\.idx(\.gz)?$/i), find(/\.dict(\.dz)?$/i));
+    } else if (find(/\.json$/i)) {
+        parsed = await parseJson(find(/\.json$/i));
+    } else if (find(/\.(tsv|txt)$/i)) {
+        parsed = await parseTsv(find(/\.(tsv|txt)$/i));
+    } else {
+        throw new Error('Unsupported dictionary format - use StarDict, JSON or TSV');
+    }
+    if (parsed.entries.size === 0) throw new Error('No entries found in the dictionary');
+
+    const dictionary = {
+        name: parsed.name,
+        format: parsed.format,
+        language: language.trim(),
+        entryCount: parsed.entries.size,
+    };
+    const id = await addDictionary(dictionary);
+
+    try {
+        const entries = Array.from(parsed.entries, ([word, entry]) => ({ dictionaryId: id, word, ...entry }));
+        for (let i = 0; i < entries.length; i += IMPORT_BATCH_SIZE) {
+            await addDictionaryEntries(entries.slice(i, i + IMPORT_BATCH_SIZE));
+            onProgress?.(Math.min(1, (i + IMPORT_BATCH_SIZE) / entries.length));
+        }
+    } catch (err) {
+        await deleteDictionary(id).catch(() => {});
+        throw err;
+    }
+
+    notifyChanged();
+    return { ...dictionary, id };
+}
+
+export async function setDictionaryLanguage(id, language) {
+    await updateDictionary(id, { language: language.trim() });
+    notifyChanged();
+}
+
+export async function removeDictionary(id) {
+    await deleteDictionary(id);
+    notifyChanged();
+}
+
+// Forms to try for a word as it appears in text
+function getCandidates(word) {
+    const normalized = normalizeWord(word);
+    const candidates = [normalized];
+    const possessive = normalized.replace(/['’]s$/, '');
+    if (possessive !== normalized) candidates.push(possessive);
+    return candidates.filter(Boolean);
+}
+
+/**
+ * Look a word up in the dictionaries for a book language (dictionaries
+ * without a language are used for every book). Resolves to
+ * [{ dictionary, headword, definition }], empty when nothing matches.
+ */
+export async function lookupWord(word, language) {
+    const wanted = primaryLanguage(language);
+    const dictionaries = (await getDictionaries()).filter((d) => (
+        !d.language || !wanted || primaryLanguage(d.language) === wanted
+    ));
+    if (dictionaries.length === 0) return [];
+
+    const byId = new Map(dictionaries.map((d) => [d.id, d]));
+    for (const candidate of getCandidates(word)) {
+        const entries = (await getDictionaryEntries(candidate)).filter((e) => byId.has(e.dictionaryId));
+        if (entries.length > 0) {
+            return entries.map((e) => ({
+                dictionary: byId.get(e.dictionaryId).name,
+                headword: e.headword,
+                definition: e.definition,
+            }));
+        }
+    }
+    return [];
+}
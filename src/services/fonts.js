@@ -0,0 +1,195 @@
+/**
+ * PulseReader Fonts Service
+ * Reading fonts bundled with the app (emitted as assets and precached by
+ * the service worker, so they work offline) and fonts uploaded by the
+ * user (stored in IndexedDB). Both are registered in the app document and
+ * handed to epub iframes as @font-face rules.
+ */
+import { addFont, getFonts, deleteFont } from './db';
+
+import interLatin from '@fontsource-variable/inter/files/inter-latin-wght-normal.woff2';
+import interLatinExt from '@fontsource-variable/inter/files/inter-latin-ext-wght-normal.woff2';
+import interLatinItalic from '@fontsource-variable/inter/files/inter-latin-wght-italic.woff2';
+import interLatinExtItalic from '@fontsource-variable/inter/files/inter-latin-ext-wght-italic.woff2';
+import literataLatin from '@fontsource-variable/literata/files/literata-latin-wght-normal.woff2';
+import literataLatinExt from '@fontsource-variable/literata/files/literata-latin-ext-wght-normal.woff2';
+import literataLatinItalic from '@fontsource-variable/literata/files/literata-latin-wght-italic.woff2';
+import literataLatinExtItalic from '@fontsource-variable/literata/files/literata-latin-ext-wght-italic.woff2';
+import comfortaaLatin from '@fontsource-variable/comfortaa/files/comfortaa-latin-wght-normal.woff2';
+import comfortaaLatinExt from '@fontsource-variable/comfortaa/files/comfortaa-latin-ext-wght-normal.woff2';
+import jetbrainsMonoLatin from '@fontsource-variable/jetbrains-mono/files/jetbrains-mono-latin-wght-normal.woff2';
+import jetbrainsMonoLatinExt from '@fontsource-variable/jetbrains-mono/files/jetbrains-mono-latin-ext-wght-normal.woff2';
+import openDyslexic from '@fontsource/opendyslexic/files/opendyslexic-latin-400-normal.woff2';
+import openDyslexicItalic from '@fontsource/opendyslexic/files/opendyslexic-latin-400-italic.woff2';
+import openDyslexicBold from '@fontsource/opendyslexic/files/opendyslexic-latin-700-normal.woff2';
+import openDyslexicBoldItalic from '@fontsource/opendyslexic/files/opendyslexic-latin-700-italic.woff2';
+
+// Character ranges of the latin subsets (other scripts use the fallback fonts)
+const LATIN = 'U+0000-00FF, U+0131, U+0152-0153, U+02BB-02BC, U+02C6, U+02DA, U+02DC, U+0304, U+0308, U+0329, '
+    + 'U+2000-206F, U+20AC, U+2122, U+2191, U+2193, U+2212, U+2215, U+FEFF, U+FFFD';
+const LATIN_EXT = 'U+0100-02BA, U+02BD-02C5, U+02C7-02CC, U+02CE-02D7, U+02DD-02FF, U+0304, U+0308, U+0329, '
+    + 'U+1D00-1DBF, U+1E00-1E9F, U+1EF2-1EFF, U+2020, U+20A0-20AB, U+20AD-20C0, U+2113, U+2C60-2C7F, U+A720-A7FF';
+
+// Faces bundled with the app, by the family names the font stacks use
+const bundledFaces = [
+    { family: 'Inter', url: interLatin, weight: '100 900', style: 'normal', range: LATIN },
+    { family: 'Inter', url: interLatinExt, weight: '100 900', style: 'normal', range: LATIN_EXT },
+    { family: 'Inter', url: interLatinItalic, weight: '100 900', style: 'italic', range: LATIN },
+    { family: 'Inter', url: interLatinExtItalic, weight: '100 900', style: 'italic', range: LATIN_EXT },
+    { family: 'Literata', url: literataLatin, weight: '200 900', style: 'normal', range: LATIN },
+    { family: 'Literata', url: literataLatinExt, weight: '200 900', style: 'normal', range: LATIN_EXT },
+    { family: 'Literata', url: literataLatinItalic, weight: '200 900', style: 'italic', range: LATIN },
+    { family: 'Literata', url: literataLatinExtItalic, weight: '200 900', style: 'italic', range: LATIN_EXT },
+    { family: 'Comfortaa', url: comfortaaLatin, weight: '300 700', style: 'normal', range: LATIN },
+    { family: 'Comfortaa', url: comfortaaLatinExt, weight: '300 700', style: 'normal', range: LATIN_EXT },
+    { family: 'JetBrains Mono', url: jetbrainsMonoLatin, weight: '100 800', style: 'normal', range: LATIN },
+    { family: 'JetBrains Mono', url: jetbrainsMonoLatinExt, weight: '100 800', style: 'normal', range: LATIN_EXT },
+    { family: 'OpenDyslexic', url: openDyslexic, weight: '400', style: 'normal', range: LATIN },
+    { family: 'OpenDyslexic', url: openDyslexicItalic, weight: '400', style: 'italic', range: LATIN },
+    { family: 'OpenDyslexic', url: openDyslexicBold, weight: '700', style: 'normal', range: LATIN },
+    { family: 'OpenDyslexic', url: openDyslexicBoldItalic, weight: '700', style: 'italic', range: LATIN },
+];
+
+// Uploadable font files: extension => @font-face format and MIME type
+const FONT_FORMATS = {
+    ttf: { format: 'truetype', type: 'font/ttf' },
+    otf: { format: 'opentype', type: 'font/otf' },
+    woff2: { format: 'woff2', type: 'font/woff2' },
+};
+
+export const ACCEPTED_FONT_FILES = Object.keys(FONT_FORMATS).map((ext) => `.${ext}`).join(',');
+
+const MAX_FONT_BYTES = 30 * 1024 * 1024;
+
+// fontType values of uploaded fonts are this prefix plus the font's id
+const USER_FONT_PREFIX = 'user-';
+
+let userFontsPromise = null; // loaded user fonts, with object URLs
+const registered = new Map(); // font id => { url, face }: object URL and document FontFace
+const listeners = new Set();
+
+/**
+ * Call listener() whenever fonts are uploaded or removed.
+ * Returns an unsubscribe function.
+ */
+export function onUserFontsChanged(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+function notifyChanged() {
+    userFontsPromise = null;
+    listeners.forEach((listener) => listener());
+}
+
+const fontFaceRule = ({ family, url, format, weight = 'normal', style = 'normal', range }) => `
+      @font-face {
+        font-family: '${family}';
+        src: url('${new URL(url, document.baseURI).href}') format('${format}');
+        font-weight: ${weight};
+        font-style: ${style};
+        font-display: swap;${range ? `\n        unicode-range: ${range};` : ''}
+      }`;
+
+const bundledFontFaceCss = () => bundledFaces
+    .map((face) => fontFaceRule({ ...face, format: 'woff2' }))
+    .join('\n');
+
+/**
+ * Register the bundled fonts in the app document (for the UI and RSVP)
+ */
+export function installBundledFonts() {
+    const style = document.createElement('style');
+    style.id = 'bundled-fonts';
+    style.textContent = bundledFontFaceCss();
+    document.head.appendChild(style);
+}
+
+/**
+ * @font-face rules for the bundled fonts and the given uploaded fonts,
+ * for injecting into epub iframes
+ */
+export function getFontFaceCss(userFonts = []) {
+    return [bundledFontFaceCss(), ...userFonts.map(fontFaceRule)].join('\n');
+}
+
+/**
+ * Font stack for an uploaded font's fontType value, or null for other values
+ */
+export function userFontStack(fontType) {
+    if (typeof fontType !== 'string' || !fontType.startsWith(USER_FONT_PREFIX)) return null;
+    return `'PulseReader ${fontType}', system-ui, sans-serif`;
+}
+
+/**
+ * Uploaded fonts as { id, name, key, family, format, url }, where key is
+ * the fontType value and url an object URL of the file. Each font is also
+ * added to the app document's fonts.
+ */
+export function loadUserFonts() {
+    if (!userFontsPromise) {
+        userFontsPromise = getFonts().then((stored) => stored.map((font) => {
+            const key = `${USER_FONT_PREFIX}${font.id}`;
+            const family = `PulseReader ${key}`;
+            if (!registered.has(font.id)) {
+                const face = new FontFace(family, font.data);
+                document.fonts.add(face);
+                registered.set(font.id, {
+                    url: URL.createObjectURL(new Blob([font.data], { type: font.type })),
+                    face,
+                });
+            }
+            return { id: font.id, name: font.name, key, family, format: font.format, url: registered.get(font.id).url };
+        }));
+        userFontsPromise.catch(() => {
+            userFontsPromise = null;
+        });
+    }
+    return userFontsPromise;
+}
+
+/**
+ * Store uploaded font files. Each is checked by loading it as a FontFace
+ * first, so broken files are rejected instead of silently falling back.
+ */
+export async function addUserFonts(files) {
+    try {
+        for (const file of files) {
+            await addUserFont(file);
+        }
+    } finally {
+        notifyChanged();
+    }
+}
+
+async function addUserFont(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    const fontFormat = FONT_FORMATS[extension];
+    if (!fontFormat) throw new Error(`${file.name}: only TTF, OTF and WOFF2 files are supported`);
+    if (file.size > MAX_FONT_BYTES) throw new Error(`${file.name}: font files are limited to 30 MB`);
+
+    const data = await file.arrayBuffer();
+    try {
+        await new FontFace('PulseReader font check', data).load();
+    } catch {
+        throw new Error(`${file.name}: not a readable font`);
+    }
+
+    await addFont({
+        name: file.name.replace(/\.[^.]+$/, ''),
+        format: fontFormat.format,
+        type: fontFormat.type,
+        data,
+    });
+}
+
+export async function removeUserFont(id) {
+    await deleteFont(id);
+    const font = registered.get(id);
+    if (font) {
+        URL.revokeObjectURL(font.url);
+        document.fonts.delete(font.face);
+        registered.delete(id);
+    }
+    notifyChanged();
+}
@@ -0,0 +1,112 @@
+/**
+ * PulseReader Pagination Service
+ * Counts the screen pages of every spine section for a given layout
+ * (viewport size, font, spacing, margins) by laying the book out in a
+ * hidden rendition of the same size. Counts are cached in IndexedDB per
+ * book and layout signature.
+ */
+import ePub from 'epubjs';
+import { getPageCounts, savePageCounts } from './db';
+
+// Settings that change how text flows onto pages
+const LAYOUT_SETTINGS = ['fontType', 'fontSize', 'fontWeight', 'lineSpacing', 'textAlignment', 'pageMargins', 'twoPageLayout'];
+
+/**
+ * Identifies a layout: same signature, same page counts
+ */
+export function getLayoutSignature({ width, height }, settings) {
+    return [
+        `${Math.round(width)}x${Math.round(height)}`,
+        ...LAYOUT_SETTINGS.map((key) => settings[key]),
+    ].join('|');
+}
+
+// Let fonts (and the layout they cause) settle in a section's document
+async function settle(view) {
+    const doc = view?.contents?.document;
+    if (doc?.fonts) await doc.fonts.ready;
+    await new Promise((resolve) => requestAnimationFrame(() => resolve()));
+    view?.expand();
+}
+
+/**
+ * Lay out each linear spine section in a hidden rendition and count its
+ * pages. Resolves to an array of page counts by spine index (0 for
+ * non-linear sections, which page turns skip).
+ * size: { width, height } of the visible rendition; styles: the CSS
+ * injected into sections; margin: body padding; spread: rendition spread.
+ * isCancelled() is checked between sections.
+ */
+async function measureSections(bookData, { size, styles, margin, spread, onProgress, isCancelled }) {
+    const container = document.createElement('div');
+    Object.assign(container.style, {
+        position: 'fixed',
+        top: '0',
+        left: '0',
+        width: `${size.width}px`,
+        height: `${size.height}px`,
+        visibility: 'hidden',
+        pointerEvents: 'none',
+        zIndex: '-1',
+    });
+    document.body.appendChild(container);
+
+    const book = ePub(bookData);
+    try {
+        await book.ready;
+        const rendition = book.renderTo(container, {
+            width: size.width,
+            height: size.height,
+            flow: 'paginated',
+            spread,
+            manager: 'default',
+        });
+        rendition.themes.default({ body: { padding: margin } });
+        rendition.hooks.content.register((contents) => {
+            const style = contents.document.createElement('style');
+            style.textContent = styles;
+            contents.document.head.appendChild(style);
+        });
+
+        const spineItems = book.spine.spineItems;
+        const counts = [];
+        for (let i = 0; i < spineItems.length; i++) {
+            if (isCancelled()) return null;
+            const section = spineItems[i];
+            if (!section.linear) {
+                counts.push(0);
+                continue;
+            }
+            try {
+                await rendition.display(section.href);
+                const view = rendition.manager.views.first();
+                await settle(view);
+                counts.push(Math.max(1, rendition.manager.layout.count(view.width()).pages));
+            } catch (err) {
+                console.warn('Failed to measure section:', section.href, err);
+                counts.push(1);
+            }
+            onProgress?.((i + 1) / spineItems.length);
+        }
+        return counts;
+    } finally {
+        book.destroy();
+        container.remove();
+    }
+}
+
+/**
+ * Page counts per spine section for a book in a layout, from the cache
+ * or measured (and then cached). Resolves to null if cancelled.
+ */
+export async function getSectionPages(bookId, bookData, signature, options) {
+    const cached = await getPageCounts(bookId, signature).catch(() => null);
+    if (cached) return cached.sections;
+
+    const sections = await measureSections(bookData, options);
+    if (sections) {
+        await savePageCounts(bookId, signature, sections)
+            .catch((err) => console.warn('Failed to cache page counts:', err));
+    }
+    return sections;
+}
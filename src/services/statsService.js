@@ -0,0 +1,245 @@
+/**
+ * PulseReader Stats Service
+ * Logs reading sessions and turns them into totals, streaks and trends
+ * for the stats dashboard.
+ */
+import { addSession, getSessions } from './db';
+
+// Sessions shorter than this are page flicks, not reading
+const MIN_SESSION_SECONDS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Log a finished reading session.
+ * session: { bookId, bookTitle, mode: 'normal' | 'rsvp', startCfi, endCfi,
+ *            startedAt, endedAt, duration (seconds), words }
+ * The average WPM is worked out here. Returns false if the session was too short.
+ */
+export async function logSession(session) {
+    if (!session || session.duration < MIN_SESSION_SECONDS) return false;
+
+    const words = Math.max(0, Math.round(session.words || 0));
+    try {
+        await addSession({
+            ...session,
+            duration: Math.round(session.duration),
+            words,
+            wpm: Math.round(words / (session.duration / 60)),
+        });
+        return true;
+    } catch (err) {
+        console.error('Failed to log reading session:', err);
+        return false;
+    }
+}
+
+/**
+ * Local calendar day key (YYYY-MM-DD) for a date
+ */
+export function getDayKey(date) {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+}
+
+// Midnight at the start of the day containing date
+function startOfDay(date) {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+}
+
+// Monday at midnight of the week containing date
+function startOfWeek(date) {
+    const d = startOfDay(date);
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+    return d;
+}
+
+function addTotals(target, session) {
+    target.seconds += session.duration;
+    target.words += session.words;
+    target.sessions = (target.sessions || 0) + 1;
+    return target;
+}
+
+/**
+ * Current and longest run of consecutive days with reading.
+ * The current streak survives until the end of today, so a streak from
+ * yesterday still counts if nothing has been read yet today.
+ */
+export function getStreaks(sessions, now = new Date()) {
+    const days = new Set(sessions.map((s) => getDayKey(s.startedAt)));
+
+    let longest = 0;
+    let run = 0;
+    let prev = null;
+    [...days].sort().forEach((key) => {
+        const date = new Date(`${key}T00:00:00`);
+        run = prev && Math.round((date - prev) / DAY_MS) === 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        prev = date;
+    });
+
+    let current = 0;
+    const cursor = startOfDay(now);
+    if (!days.has(getDayKey(cursor))) cursor.setDate(cursor.getDate() - 1);
+    while (days.has(getDayKey(cursor))) {
+        current++;
+        cursor.setDate(cursor.getDate() - 1);
+    }
+
+    return { current, longest };
+}
+
+/**
+ * Summarize sessions for the dashboard:
+ *   today / week / year:  { seconds, words, sessions }
+ *   daily:   last 14 days    [{ key, date, seconds, words }]
+ *   weekly:  last 12 weeks   [{ key, date, seconds, words }]
+ *   yearly:  every year read [{ year, seconds, words }]
+ *   books:   per book, most time first [{ bookId, title, seconds, words, lastRead }]
+ *   rsvpTrend: last 30 RSVP sessions [{ date, wpm, words }]
+ *   streaks: { current, longest }
+ */
+export function summarizeSessions(sessions, now = new Date()) {
+    const today = startOfDay(now);
+    const week = startOfWeek(now);
+    const yearStart = new Date(now.getFullYear(), 0, 1);
+
+    const totals = {
+        today: { seconds: 0, words: 0, sessions: 0 },
+        week: { seconds: 0, words: 0, sessions: 0 },
+        year: { seconds: 0, words: 0, sessions: 0 },
+    };
+
+    // Buckets for the charts, oldest first
+    const daily = [];
+    for (let i = 13; i >= 0; i--) {
+        const date = new Date(today);
+        date.setDate(date.getDate() - i);
+        daily.push({ key: getDayKey(date), date, seconds: 0, words: 0 });
+    }
+    const weekly = [];
+    for (let i = 11; i >= 0; i--) {
+        const date = new Date(week);
+        date.setDate(date.getDate() - i * 7);
+        weekly.push({ key: getDayKey(date), date, seconds: 0, words: 0 });
+    }
+    const dailyByKey = new Map(daily.map((d) => [d.key, d]));
+    const weeklyByKey = new Map(weekly.map((w) => [w.key, w]));
+    const yearly = new Map();
+    const books = new Map();
+    const rsvpTrend = [];
+
+    sessions.forEach((session) => {
+        const startedAt = new Date(session.startedAt);
+
+        if (startedAt >= today) addTotals(totals.today, session);
+        if (startedAt >= week) addTotals(totals.week, session);
+        if (startedAt >= yearStart) addTotals(totals.year, session);
+
+        const day = dailyByKey.get(getDayKey(startedAt));
+        if (day) addTotals(day, session);
+        const weekBucket = weeklyByKey.get(getDayKey(startOfWeek(startedAt)));
+        if (weekBucket) addTotals(weekBucket, session);
+
+        const year = startedAt.getFullYear();
+        if (!yearly.has(year)) yearly.set(year, { year, seconds: 0, words: 0 });
+        addTotals(yearly.get(year), session);
+
+        if (!books.has(session.bookId)) {
+            books.set(session.bookId, { bookId: session.bookId, title: session.bookTitle, seconds: 0, words: 0, lastRead: startedAt });
+        }
+        const book = books.get(session.bookId);
+        addTotals(book, session);
+        if (startedAt > book.lastRead) {
+            book.lastRead = startedAt;
+            book.title = session.bookTitle || book.title;
+        }
+
+        if (session.mode === 'rsvp' && session.words > 0) {
+            rsvpTrend.push({ date: startedAt, wpm: session.wpm, words: session.words });
+        }
+    });
+
+    rsvpTrend.sort((a, b) => a.date - b.date);
+
+    return {
+        ...totals,
+        daily,
+        weekly,
+        yearly: [...yearly.values()].sort((a, b) => b.year - a.year),
+        books: [...books.values()].sort((a, b) => b.seconds - a.seconds),
+        rsvpTrend: rsvpTrend.slice(-30),
+        streaks: getStreaks(sessions, now),
+    };
+}
+
+// Recent sessions per mode the reading speed is measured over
+const SPEED_SESSIONS = 20;
+
+/**
+ * Measured reading speed from the most recent sessions of each mode:
+ *   normal: words per minute in normal reading (null until measured)
+ *   rsvpPace: actual RSVP words per minute as a share of the speed set,
+ *             i.e. the cost of pauses and stops (null until measured)
+ */
+export function getReadingSpeeds(sessions) {
+    const recent = (mode, extra = () => true) => sessions
+        .filter((s) => s.mode === mode && s.words > 0 && s.duration > 0 && extra(s))
+        .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+        .slice(0, SPEED_SESSIONS);
+
+    const normal = recent('normal');
+    const normalMinutes = normal.reduce((sum, s) => sum + s.duration / 60, 0);
+    const normalWords = normal.reduce((sum, s) => sum + s.words, 0);
+
+    // Sessions logged before targetWpm was recorded can't be compared
+    const rsvp = recent('rsvp', (s) => s.targetWpm > 0);
+    const rsvpMinutes = rsvp.reduce((sum, s) => sum + s.duration / 60, 0);
+    const targetMinutes = rsvp.reduce((sum, s) => sum + s.words / s.targetWpm, 0);
+
+    return {
+        normal: normalMinutes > 0 ? normalWords / normalMinutes : null,
+        rsvpPace: rsvpMinutes > 0 ? targetMinutes / rsvpMinutes : null,
+    };
+}
+
+/**
+ * Load every logged session and work out the reading speeds
+ */
+export async function loadReadingSpeeds() {
+    return getReadingSpeeds(await getSessions());
+}
+
+/**
+ * Load every logged session and summarize it
+ */
+export async function getReadingStats(now = new Date()) {
+    const sessions = await getSessions();
+    return summarizeSessions(sessions, now);
+}
+
+/**
+ * Format a duration in seconds for display (e.g. "45s", "12m", "3h 05m")
+ */
+export function formatDuration(seconds) {
+    if (seconds < 60) return `${Math.round(seconds)}s`;
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes}m`;
+    return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Format an estimated time left (e.g. "< 1 min", "12 min", "3 h 5 min")
+ */
+export function formatTimeLeft(seconds) {
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 1) return '< 1 min';
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+}
@@ -0,0 +1,428 @@
+/**
+ * PulseReader Word Stream
+ * Tokenizes a book straight from its spine sections so RSVP can play
+ * through the whole book without driving the paginated rendition.
+ */
+import { EpubCFI } from 'epubjs';
+import { segmentWords } from '../utils/segmentation';
+
+// Decorative images before this many words of a section are not stop points
+const MIN_WORDS_BEFORE_STOP = 20;
+
+const IMAGE_TAGS = ['img', 'image', 'svg'];
+const SKIPPED_TAGS = ['script', 'style', 'head', 'title'];
+
+// Elements that start a new paragraph for sentence/paragraph navigation
+const BLOCK_TAGS = [
+    'p', 'div', 'li', 'blockquote', 'pre', 'td', 'th', 'dd', 'dt',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'figcaption', 'section', 'article', 'body',
+];
+
+// Blocks that RSVP can stop at, skip or read through
+const POETRY_TYPES = /\b(z3998:poem|z3998:verse|poem)\b/;
+const POETRY_CLASSES = /\b(poem|poetry|verse|stanza)\b/i;
+
+/**
+ * Outermost table, code block or poem a node sits in.
+ * Returns { type: 'table' | 'code' | 'poetry', element } or null.
+ */
+function getStructure(node) {
+    let found = null;
+    let el = node.parentNode;
+    while (el && el.nodeType === Node.ELEMENT_NODE) {
+        const tag = el.localName?.toLowerCase();
+        if (tag === 'table') {
+            found = { type: 'table', element: el };
+        } else if (tag === 'pre') {
+            found = { type: 'code', element: el };
+        } else if (POETRY_TYPES.test(el.getAttribute('epub:type') || '')
+            || POETRY_CLASSES.test(el.getAttribute('class') || '')) {
+            found = { type: 'poetry', element: el };
+        }
+        el = el.parentNode;
+    }
+    return found;
+}
+
+/**
+ * Footnote reference link a node sits in (epub:type="noteref" or the ARIA role)
+ */
+function getNoteRef(node) {
+    let el = node.parentNode;
+    while (el && el.nodeType === Node.ELEMENT_NODE) {
+        if (el.localName?.toLowerCase() === 'a') {
+            const type = el.getAttribute('epub:type') || '';
+            const isNoteRef = /\bnoteref\b/.test(type) || el.getAttribute('role') === 'doc-noteref';
+            return isNoteRef ? el : null;
+        }
+        el = el.parentNode;
+    }
+    return null;
+}
+
+/**
+ * Nearest block-level ancestor of a node (its paragraph)
+ */
+function getBlock(node) {
+    let el = node.parentNode;
+    while (el && el.nodeType === Node.ELEMENT_NODE) {
+        if (BLOCK_TAGS.includes(el.localName?.toLowerCase())) return el;
+        el = el.parentNode;
+    }
+    return null;
+}
+
+// One stream per epub.js Book instance, shared by everyone who asks for it
+const streamCache = new WeakMap();
+
+/**
+ * Resolve a resource path found in a section (e.g. an <img> src) to a URL
+ * that can be shown outside the rendition
+ */
+async function resolveResourceUrl(book, section, path) {
+    if (!path || path.startsWith('data:') || path.startsWith('blob:')) return path;
+    try {
+        const absolute = decodeURIComponent(new URL(path, `http://book${section.url}`).pathname);
+        const replacement = await book.resources?.get(absolute);
+        if (replacement) return replacement;
+        if (book.archive) return await book.archive.createUrl(absolute);
+    } catch (err) {
+        console.warn('Could not resolve resource:', path, err);
+    }
+    return null;
+}
+
+/**
+ * Get a displayable src for an image-like element
+ */
+async function getImageSrc(book, section, node) {
+    const tag = node.localName?.toLowerCase();
+    if (tag === 'img') {
+        return resolveResourceUrl(book, section, node.getAttribute('src'));
+    }
+    if (tag === 'image') {
+        const href = node.getAttribute('href') || node.getAttribute('xlink:href');
+        return resolveResourceUrl(book, section, href);
+    }
+    if (tag === 'svg') {
+        try {
+            const svgData = new XMLSerializer().serializeToString(node);
+            return 'data:image/svg+xml;base64,' + btoa(svgData);
+        } catch {
+            return null; // no preview available
+        }
+    }
+    return null;
+}
+
+/**
+ * Tokenize a single spine section into words with a CFI for each word.
+ * Returns { words: [{ text, cfi, paragraph, attached }], stops: [{ wordIndex, type, src }],
+ * blocks: [{ type, start, end, html }], notes: [{ start, end, href }],
+ * anchors: { id: wordIndex } } with word and paragraph indices local to the
+ * section. language (the book's dc:language) drives segmentation of scripts
+ * written without spaces.
+ */
+export async function tokenizeSection(book, section, language) {
+    const contents = await section.load(book.load.bind(book));
+    const doc = contents.ownerDocument;
+    const body = doc.querySelector('body') || doc.documentElement;
+    const lang = language
+        || doc.documentElement.getAttribute('lang')
+        || doc.documentElement.getAttribute('xml:lang');
+
+    const words = [];
+    const stops = [];
+    const anchors = {}; // element id -> first word at or after it, for TOC fragments
+    const blocks = []; // tables, code and poetry as word ranges
+    const notes = []; // footnote references as word ranges
+    let paragraph = -1;
+    let lastBlock;
+    let lastStructure = null;
+    let lastNoteRef = null;
+
+    const walker = doc.createTreeWalker(
+        body,
+        NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT,
+        {
+            acceptNode: (node) => {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    // The filter sees elements in document order, so the
+                    // word count here is where the element starts
+                    if (node.id && !(node.id in anchors)) anchors[node.id] = words.length;
+                    const tag = node.localName?.toLowerCase();
+                    if (SKIPPED_TAGS.includes(tag)) return NodeFilter.FILTER_REJECT;
+                    // Images are leaves for us - don't descend into <svg> text
+                    if (IMAGE_TAGS.includes(tag)) return NodeFilter.FILTER_ACCEPT;
+                    return NodeFilter.FILTER_SKIP;
+                }
+                return node.textContent.trim()
+                    ? NodeFilter.FILTER_ACCEPT
+                    : NodeFilter.FILTER_SKIP;
+            },
+        }
+    );
+
+    let node;
+    while ((node = walker.nextNode())) {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+            if (words.length < MIN_WORDS_BEFORE_STOP) continue;
+            stops.push({
+                wordIndex: words.length,
+                type: 'image',
+                src: await getImageSrc(book, section, node),
+            });
+            continue;
+        }
+
+        const block = getBlock(node);
+        if (block !== lastBlock) {
+            lastBlock = block;
+            paragraph++;
+        }
+
+        // Word ranges of tables/code/poetry and of footnote references
+        const structure = getStructure(node);
+        if (structure && structure.element !== lastStructure) {
+            blocks.push({
+                type: structure.type,
+                start: words.length,
+                end: words.length,
+                html: new XMLSerializer().serializeToString(structure.element),
+            });
+        }
+        lastStructure = structure?.element || null;
+
+        const noteRef = getNoteRef(node);
+        if (noteRef && noteRef !== lastNoteRef) {
+            notes.push({ start: words.length, end: words.length, href: noteRef.getAttribute('href') });
+        }
+        lastNoteRef = noteRef;
+
+        // CFI path to the text node, terminal offset is filled per word
+        const nodeCfi = new EpubCFI(node, section.cfiBase);
+        segmentWords(node.textContent, lang).forEach(({ text, index, attached }) => {
+            nodeCfi.path.terminal.offset = index;
+            const word = { text, cfi: nodeCfi.toString(), paragraph };
+            if (attached) word.attached = true; // no space before (CJK, Thai...)
+            words.push(word);
+        });
+        if (structure) blocks[blocks.length - 1].end = words.length;
+        if (noteRef) notes[notes.length - 1].end = words.length;
+    }
+
+    section.unload();
+    return {
+        words,
+        stops,
+        anchors,
+        blocks: blocks.filter((b) => b.end > b.start),
+        notes: notes.filter((n) => n.end > n.start),
+        paragraphs: paragraph + 1,
+    };
+}
+
+/**
+ * Build (or reuse) the continuous word stream for a whole book.
+ *
+ * The stream looks like:
+ *   words:    [{ text, cfi, section, paragraph, attached }]  section = index into sections
+ *   sections: [{ index, href, start, end, anchors }]  spine index + word range [start, end),
+ *             anchors maps element ids to word indices
+ *   stops:    [{ wordIndex, type, src }]     image stops, wordIndex = first word after
+ *   blocks:   [{ type, start, end, html }]   tables, code and poetry: word range + markup
+ *   notes:    [{ start, end, href, section }]  footnote references: marker words + target
+ *   language: the book's dc:language
+ *
+ * onProgress(fraction) is called as sections are tokenized.
+ */
+export function loadWordStream(book, onProgress) {
+    const cached = streamCache.get(book);
+    if (cached) {
+        const unsubscribe = () => cached.listeners.delete(onProgress);
+        cached.listeners.add(onProgress);
+        cached.promise.then(unsubscribe, unsubscribe);
+        return cached.promise;
+    }
+
+    const listeners = new Set([onProgress]);
+    const promise = (async () => {
+        await book.ready;
+        const spineItems = book.spine.spineItems.filter((item) => item.linear);
+        const language = book.packaging?.metadata?.language || '';
+        const stream = { words: [], sections: [], stops: [], blocks: [], notes: [], language };
+        let paragraphCount = 0;
+
+        for (let i = 0; i < spineItems.length; i++) {
+            const section = spineItems[i];
+            const start = stream.words.length;
+            const anchors = {};
+            try {
+                const {
+                    words, stops, blocks, notes, paragraphs, anchors: localAnchors,
+                } = await tokenizeSection(book, section, language);
+                const sectionPos = stream.sections.length;
+                words.forEach((word) => {
+                    stream.words.push({
+                        ...word,
+                        section: sectionPos,
+                        paragraph: paragraphCount + word.paragraph,
+                    });
+                });
+                paragraphCount += paragraphs;
+                stops.forEach((stop) => {
+                    stream.stops.push({ ...stop, wordIndex: start + stop.wordIndex });
+                });
+                blocks.forEach((block) => {
+                    stream.blocks.push({ ...block, start: start + block.start, end: start + block.end });
+                });
+                notes.forEach((note) => {
+                    stream.notes.push({
+                        ...note,
+                        start: start + note.start,
+                        end: start + note.end,
+                        section: section.href,
+                    });
+                });
+                Object.entries(localAnchors).forEach(([id, wordIndex]) => {
+                    anchors[id] = start + wordIndex;
+                });
+            } catch (err) {
+                console.warn('Failed to tokenize section:', section.href, err);
+            }
+            stream.sections.push({
+                index: section.index,
+                href: section.href,
+                start,
+                end: stream.words.length,
+                anchors,
+            });
+            listeners.forEach((listener) => listener?.((i + 1) / spineItems.length));
+        }
+
+        return stream;
+    })();
+
+    streamCache.set(book, { promise, listeners });
+    promise.catch(() => streamCache.delete(book));
+    return promise;
+}
+
+/**
+ * Find the index of the first word at or after a CFI.
+ * Falls back to the start of the CFI's section, then 0.
+ */
+export function findWordIndex(stream, cfi) {
+    if (!cfi || stream.words.length === 0) return 0;
+
+    let target;
+    try {
+        target = new EpubCFI(cfi);
+    } catch {
+        return 0;
+    }
+    const comparer = new EpubCFI();
+
+    // Narrow down to the section first
+    const section = stream.sections.find((s) => s.index === target.spinePos);
+    if (!section || section.start === section.end) {
+        const next = stream.sections.find((s) => s.index > target.spinePos && s.end > s.start);
+        return next ? next.start : 0;
+    }
+
+    // Binary search for the first word not before the CFI
+    let lo = section.start;
+    let hi = section.end;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (comparer.compare(stream.words[mid].cfi, target) < 0) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+
+    return Math.min(lo, section.end - 1);
+}
+
+/**
+ * Get the section entry a word index belongs to
+ */
+export function getSectionForWord(stream, wordIndex) {
+    const word = stream.words[wordIndex];
+    return word ? stream.sections[word.section] : null;
+}
+
+/**
+ * Word index a table of contents href points at: the anchored element's
+ * first word, or the start of its section. null if it isn't in the stream.
+ */
+function findTocTarget(book, stream, href) {
+    if (!href) return null;
+    const [path, fragment] = href.split('#');
+
+    // TOC hrefs are relative to the nav document, spine hrefs to the package
+    const item = book.spine.get(path) || book.spine.get(path.replace(/^(\.\.\/)+/, ''));
+    const fileName = path.split('/').pop();
+    const section = item
+        ? stream.sections.find((s) => s.index === item.index)
+        : stream.sections.find((s) => s.href.split('/').pop() === fileName);
+    if (!section || section.start === section.end) return null;
+
+    const anchor = fragment ? section.anchors?.[fragment] : undefined;
+    return anchor === undefined ? section.start : Math.min(anchor, section.end - 1);
+}
+
+/**
+ * Chapter marks from the book's navigation, as positions in the stream.
+ * Returns [{ label, index, depth }] sorted by word index, one per position
+ * (the outermost entry wins). Entries that can't be placed are left out.
+ */
+export async function getChapterMarks(book, stream) {
+    const navigation = await book.loaded.navigation;
+    const marks = [];
+
+    const visit = (items, depth) => items?.forEach((item) => {
+        const index = findTocTarget(book, stream, item.href);
+        if (index !== null) {
+            marks.push({ label: item.label?.trim() || '', index, depth });
+        }
+        visit(item.subitems, depth + 1);
+    });
+    visit(navigation?.toc, 0);
+
+    marks.sort((a, b) => a.index - b.index || a.depth - b.depth);
+    return marks.filter((mark, i) => i === 0 || mark.index !== marks[i - 1].index);
+}
+
+/**
+ * Load the text of the note a footnote reference points at.
+ * sectionHref is the spine href the reference appears in. Resolves to
+ * the note's text, or null if it can't be found.
+ */
+export async function loadNoteText(book, sectionHref, href) {
+    if (!href) return null;
+    const [path, id] = href.split('#');
+    if (!id) return null;
+
+    // Resolve the note document relative to the referencing section
+    const target = path
+        ? decodeURIComponent(new URL(path, `http://book/${sectionHref}`).pathname.slice(1))
+        : sectionHref;
+    const section = book.spine.get(target);
+    if (!section) return null;
+
+    try {
+        const contents = await section.load(book.load.bind(book));
+        const element = contents.ownerDocument.getElementById(id);
+        if (!element) return null;
+
+        // Some books put the id on a back-link inside the note
+        const note = element.localName?.toLowerCase() === 'a'
+            ? element.closest('aside, li, p, div') || element
+            : element;
+        return note.textContent.replace(/\s+/g, ' ').trim() || null;
+    } finally {
+        section.unload();
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * Phrase-aware chunking for RSVP chunk mode.
+ * Groups the word stream into flashes of a few words, breaking at
+ * phrase boundaries and never across sentence punctuation.
+ */
+import { endsSentence } from './textStructure';
+
+// Short words that read as part of the word after them
+const FUNCTION_WORDS = new Set([
+    'a', 'an', 'the',
+    'and', 'but', 'or', 'nor', 'so', 'yet', 'if', 'as', 'than', 'that',
+    'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from', 'into', 'onto',
+    'about', 'over', 'under', 'after', 'before', 'up', 'out', 'off',
+    'i', 'he', 'she', 'it', 'we', 'they', 'you', 'my', 'his', 'her', 'its',
+    'our', 'their', 'your', 'this', 'these', 'those',
+    'is', 'am', 'are', 'was', 'were', 'be', 'been', 'has', 'have', 'had',
+    'do', 'does', 'did', 'will', 'would', 'can', 'could', 'not', 'no',
+]);
+
+// Longest chunk text we flash, so chunks stay readable at large font sizes
+const MAX_CHUNK_CHARS = 24;
+
+const CLAUSE_END = /[,;:—–、，；：،؛]["'”’»)\]」』）]*$/;
+
+const stripPunctuation = (text) => text.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+
+export const isFunctionWord = (text) => FUNCTION_WORDS.has(stripPunctuation(text));
+
+/**
+ * Build chunks over a word stream.
+ * Returns { chunks: [{ start, end }], chunkOf: Int32Array } where
+ * chunkOf[wordIndex] is the chunk that word belongs to.
+ * stopIndices are word indices a chunk may not run into (image stops).
+ */
+export const buildChunks = (words, size, stopIndices = []) => {
+    const stops = new Set(stopIndices);
+    const chunks = [];
+    const chunkOf = new Int32Array(words.length);
+
+    let start = 0;
+    while (start < words.length) {
+        let end = start + 1;
+        let chars = words[start].text.length;
+
+        while (end - start < size && end < words.length) {
+            const prev = words[end - 1];
+            const next = words[end];
+
+            // Hard boundaries: sentence punctuation, clause punctuation,
+            // a new section or an image stop
+            if (endsSentence(prev.text) || CLAUSE_END.test(prev.text)) break;
+            if (next.section !== prev.section || next.paragraph !== prev.paragraph || stops.has(end)) break;
+            const gap = next.attached ? 0 : 1;
+            if (chars + gap + next.text.length > MAX_CHUNK_CHARS) break;
+
+            chars += gap + next.text.length;
+            end++;
+        }
+
+        // Keep trailing function words with the word after them
+        // ("out | of the house", not "out of the | house")
+        const runsOn = end < words.length && words[end].section === words[end - 1].section && !stops.has(end);
+        while (runsOn && end - start > 1 && isFunctionWord(words[end - 1].text)
+            && !endsSentence(words[end - 1].text) && !CLAUSE_END.test(words[end - 1].text)) {
+            end--;
+        }
+
+        for (let i = start; i < end; i++) {
+            chunkOf[i] = chunks.length;
+        }
+        chunks.push({ start, end });
+        start = end;
+    }
+
+    return { chunks, chunkOf };
+};
+
+/**
+ * Pick the fixation point of a chunk: the ORP letter of the word
+ * that sits around 40% into the chunk (where the eye lands on a phrase).
+ * getORPIndex is the single-word ORP rule. Returns a char index into text.
+ */
+export const getChunkFixation = (text, getORPIndex) => {
+    const target = Math.floor(text.length * 0.4);
+    const matcher = /\S+/g;
+    let match;
+    let best = null;
+
+    while ((match = matcher.exec(text))) {
+        best = match;
+        if (match.index + match[0].length > target) break;
+    }
+
+    if (!best) return 0;
+    return best.index + getORPIndex(best[0]);
+};
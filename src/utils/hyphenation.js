@@ -0,0 +1,108 @@
+/**
+ * Syllable splitting for very long words in RSVP.
+ * Uses the Liang hyphenation patterns bundled with the hyphen package,
+ * loaded lazily per language so only the book's patterns are fetched.
+ */
+
+// Pattern sets we bundle, by primary language subtag
+const PATTERN_LOADERS = {
+    cs: () => import('hyphen/cs'),
+    da: () => import('hyphen/da'),
+    de: () => import('hyphen/de'),
+    en: () => import('hyphen/en-us'),
+    'en-gb': () => import('hyphen/en-gb'),
+    es: () => import('hyphen/es'),
+    fi: () => import('hyphen/fi'),
+    fr: () => import('hyphen/fr'),
+    it: () => import('hyphen/it'),
+    nb: () => import('hyphen/nb'),
+    nl: () => import('hyphen/nl'),
+    pl: () => import('hyphen/pl'),
+    pt: () => import('hyphen/pt'),
+    ru: () => import('hyphen/ru'),
+    sv: () => import('hyphen/sv'),
+};
+
+// Norwegian variants share the Bokmål patterns
+const LANGUAGE_ALIASES = { no: 'nb', nn: 'nb' };
+
+const SOFT_HYPHEN = '\u00AD';
+
+const hyphenators = new Map();
+
+function getPatternKey(language) {
+    if (!language) return null;
+    const tag = language.toLowerCase().replace('_', '-');
+    if (PATTERN_LOADERS[tag]) return tag;
+    const primary = tag.split('-')[0];
+    return PATTERN_LOADERS[primary] ? primary : LANGUAGE_ALIASES[primary] || null;
+}
+
+/**
+ * Load the hyphenator for a language (e.g. the book's dc:language).
+ * Resolves to a function word => [syllables], or null if we have no
+ * patterns for the language.
+ */
+export function loadHyphenator(language) {
+    const key = getPatternKey(language);
+    if (!key) return Promise.resolve(null);
+
+    if (!hyphenators.has(key)) {
+        const promise = PATTERN_LOADERS[key]()
+            .then((module) => {
+                const hyphenateSync = module.hyphenateSync || module.default?.hyphenateSync;
+                return (word) => hyphenateSync(word, { hyphenChar: SOFT_HYPHEN, minWordLength: 5 }).split(SOFT_HYPHEN);
+            })
+            .catch((err) => {
+                console.warn('Failed to load hyphenation patterns:', key, err);
+                hyphenators.delete(key);
+                return null;
+            });
+        hyphenators.set(key, promise);
+    }
+    return hyphenators.get(key);
+}
+
+/**
+ * Split a word longer than maxLength into parts of at most maxLength
+ * characters where possible, breaking at syllables (and at hyphens already
+ * in the word). Returns [{ text, display }] - display carries a trailing
+ * hyphen on every part but the last. Short words come back as one part.
+ */
+export function splitLongWord(word, maxLength, hyphenate) {
+    if (!word || word.length <= maxLength) return [{ text: word, display: word }];
+
+    // Existing hyphens are always break points, syllables within each piece
+    const pieces = word.split(/(?<=[-\u2010])/);
+    const syllables = pieces.flatMap((piece) => {
+        if (!hyphenate) return [piece];
+        const parts = hyphenate(piece).filter(Boolean);
+        return parts.length > 0 ? parts : [piece];
+    });
+    if (syllables.length < 2) return [{ text: word, display: word }];
+
+    // Group syllables into parts of roughly even length, none longer than
+    // maxLength unless a single syllable is
+    const target = word.length / Math.ceil(word.length / maxLength);
+    const groups = [];
+    let current = '';
+    syllables.forEach((syllable) => {
+        if (current && (current.length >= target || current.length + syllable.length > maxLength)) {
+            groups.push(current);
+            current = '';
+        }
+        current += syllable;
+    });
+    groups.push(current);
+
+    // A dangling scrap (punctuation, a single letter) goes back on the part before
+    if (groups.length > 1 && groups[groups.length - 1].replace(/[^\p{L}\p{N}]/gu, '').length < 2) {
+        const tail = groups.pop();
+        groups[groups.length - 1] += tail;
+    }
+
+    return groups.map((text, i) => ({
+        text,
+        display: i < groups.length - 1 && !/[-\u2010]$/.test(text) ? `${text}-` : text,
+    }));
+}
@@ -0,0 +1,181 @@
+/**
+ * Script-aware word segmentation and ORP rules for RSVP.
+ * Space-separated text keeps splitting on whitespace (punctuation stays on
+ * its word); runs of Chinese, Japanese, Thai and similar scripts are split
+ * into words with Intl.Segmenter.
+ */
+
+// Scripts written without spaces between words
+const UNSPACED = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+const RTL = /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}]/u;
+const HIRAGANA_ONLY = /^\p{Script=Hiragana}+$/u;
+
+// Japanese segments come out very short (住|んで|い|ます); trailing kana
+// is glued back onto the word before it up to this many characters
+const MAX_KANA_MERGE = 6;
+
+// Length (in characters) above which a word counts as long, per script
+const LONG_WORD_LENGTH = { cjk: 3, sea: 6, rtl: 6, default: 6 };
+
+// Pause punctuation, including CJK, Arabic and Devanagari marks
+const SENTENCE_PUNCTUATION = ['.', '!', '?', '。', '！', '？', '؟', '।', '॥'];
+const CLAUSE_PUNCTUATION = [',', ';', ':', '、', '，', '；', '：', '،', '؛'];
+// CJK closing brackets that follow sentence punctuation (。」)
+const CJK_CLOSERS = /[」』）》〉】〕]+$/u;
+
+const segmenters = new Map();
+let graphemeSegmenter;
+
+function getWordSegmenter(language) {
+    if (typeof Intl === 'undefined' || !Intl.Segmenter) return null;
+    const key = language || '';
+    if (!segmenters.has(key)) {
+        try {
+            segmenters.set(key, new Intl.Segmenter(language || undefined, { granularity: 'word' }));
+        } catch {
+            // Unknown language tag - fall back to the default locale
+            segmenters.set(key, new Intl.Segmenter(undefined, { granularity: 'word' }));
+        }
+    }
+    return segmenters.get(key);
+}
+
+/**
+ * Split a string into user-perceived characters (so combining marks and
+ * Thai vowels stay with their letter)
+ */
+export function getGraphemes(text) {
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+        graphemeSegmenter ??= new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+        return Array.from(graphemeSegmenter.segment(text), (s) => s.segment);
+    }
+    return Array.from(text);
+}
+
+/**
+ * Rough script class of a word: 'cjk', 'sea' (Thai, Lao, Khmer, Myanmar),
+ * 'rtl' (Hebrew, Arabic...) or 'default'
+ */
+export function getScriptClass(word) {
+    if (!word) return 'default';
+    if (CJK.test(word)) return 'cjk';
+    if (UNSPACED.test(word)) return 'sea';
+    if (RTL.test(word)) return 'rtl';
+    return 'default';
+}
+
+export const isRtlWord = (word) => RTL.test(word || '');
+
+/**
+ * Segment a text node's content into words.
+ * Returns [{ text, index, attached }] where index is the offset in text and
+ * attached is true when the word follows the previous one without a space.
+ */
+export function segmentWords(text, language) {
+    const words = [];
+    const matcher = /\S+/g;
+    let match;
+
+    while ((match = matcher.exec(text))) {
+        const token = match[0];
+        const segmenter = UNSPACED.test(token) ? getWordSegmenter(language) : null;
+        if (!segmenter) {
+            words.push({ text: token, index: match.index, attached: false });
+            continue;
+        }
+
+        const first = words.length;
+        let prefix = null; // leading punctuation waiting for its word
+        for (const { segment, index, isWordLike } of segmenter.segment(token)) {
+            const offset = match.index + index;
+            const last = words.length > first ? words[words.length - 1] : null;
+
+            if (!isWordLike) {
+                // Punctuation sticks to the word before it, or the one after at the start
+                if (last) last.text += segment;
+                else if (prefix) prefix.text += segment;
+                else prefix = { text: segment, index: offset };
+                continue;
+            }
+
+            // Kana after a word (particles, okurigana) reads as part of it
+            if (last && HIRAGANA_ONLY.test(segment) && !getPausePunctuation(last.text)
+                && getGraphemes(last.text + segment).length <= MAX_KANA_MERGE) {
+                last.text += segment;
+                continue;
+            }
+
+            words.push({
+                text: (prefix?.text || '') + segment,
+                index: prefix ? prefix.index : offset,
+                attached: words.length > first,
+            });
+            prefix = null;
+        }
+
+        // Token was nothing but punctuation
+        if (prefix) {
+            words.push({ text: prefix.text, index: prefix.index, attached: false });
+        }
+    }
+
+    return words;
+}
+
+/**
+ * Join stream words back into display text, without spaces inside
+ * unspaced scripts
+ */
+export const joinWords = (words) => words
+    .map((w, i) => (i > 0 && !w.attached ? ' ' : '') + w.text)
+    .join('');
+
+/**
+ * ORP (Optimal Recognition Point) of a word as an offset into the string.
+ * Latin-like and RTL words pivot a bit left of centre (35%, counted in
+ * reading order); dense CJK words pivot on their middle character.
+ * Works on graphemes so the pivot never splits a character.
+ */
+export function getPivotIndex(word) {
+    if (!word) return 0;
+    const graphemes = getGraphemes(word);
+    const pivot = getScriptClass(word) === 'cjk'
+        ? Math.floor((graphemes.length - 1) / 2)
+        : Math.floor(graphemes.length * 0.35);
+    return graphemes.slice(0, pivot).join('').length;
+}
+
+/**
+ * Split a word (or chunk) at a pivot offset into { before, highlight, after },
+ * keeping the highlighted grapheme whole
+ */
+export function splitAtPivot(word, pivotIndex) {
+    const rest = word.slice(pivotIndex);
+    const highlight = rest ? getGraphemes(rest)[0] : '';
+    return {
+        before: word.slice(0, pivotIndex),
+        highlight,
+        after: rest.slice(highlight.length),
+    };
+}
+
+/**
+ * How many characters a word runs over the long-word length for its script.
+ * Outside Latin-like text punctuation doesn't count (「」。 are full width).
+ */
+export function getLongWordExcess(word) {
+    const script = getScriptClass(word);
+    const letters = script === 'default' ? word : word.replace(/[^\p{L}\p{M}\p{N}]/gu, '');
+    return Math.max(0, getGraphemes(letters).length - LONG_WORD_LENGTH[script]);
+}
+
+/**
+ * Trailing punctuation class of a word: 'sentence', 'clause' or null
+ */
+export function getPausePunctuation(word) {
+    const lastChar = word.replace(CJK_CLOSERS, '').slice(-1);
+    if (SENTENCE_PUNCTUATION.includes(lastChar)) return 'sentence';
+    if (CLAUSE_PUNCTUATION.includes(lastChar)) return 'clause';
+    return null;
+}
@@ -0,0 +1,75 @@
+/**
+ * Sentence and paragraph boundaries over a word stream.
+ * Words carry a paragraph index from the tokenizer; sentences are
+ * split on terminal punctuation within a paragraph.
+ */
+
+const SENTENCE_END = /[.!?…。！？؟।]["'”’»)\]」』）]*$/;
+
+export const endsSentence = (text) => SENTENCE_END.test(text);
+
+// True if the word at index opens a new sentence
+const startsSentence = (words, index) => {
+    if (index <= 0) return true;
+    const prev = words[index - 1];
+    return prev.paragraph !== words[index].paragraph
+        || prev.section !== words[index].section
+        || endsSentence(prev.text);
+};
+
+/**
+ * Index of the first word of the sentence containing index
+ */
+export const findSentenceStart = (words, index) => {
+    let i = Math.max(0, Math.min(index, words.length - 1));
+    while (i > 0 && !startsSentence(words, i)) i--;
+    return i;
+};
+
+/**
+ * Index one past the last word of the sentence containing index
+ */
+export const findSentenceEnd = (words, index) => {
+    let i = Math.max(0, index) + 1;
+    while (i < words.length && !startsSentence(words, i)) i++;
+    return Math.min(i, words.length);
+};
+
+/**
+ * Index of the first word of the paragraph containing index
+ */
+export const findParagraphStart = (words, index) => {
+    let i = Math.max(0, Math.min(index, words.length - 1));
+    const paragraph = words[i]?.paragraph;
+    while (i > 0 && words[i - 1].paragraph === paragraph) i--;
+    return i;
+};
+
+/**
+ * Index one past the last word of the paragraph containing index
+ */
+export const findParagraphEnd = (words, index) => {
+    let i = Math.max(0, index);
+    const paragraph = words[i]?.paragraph;
+    while (i < words.length && words[i].paragraph === paragraph) i++;
+    return i;
+};
+
+/**
+ * Where a "back one sentence" command should land: the start of the current
+ * sentence, or the previous sentence if we're already within its first word
+ */
+export const findSentenceRewind = (words, index) => {
+    const start = findSentenceStart(words, index);
+    if (start < index || start === 0) return start;
+    return findSentenceStart(words, start - 1);
+};
+
+/**
+ * Same as findSentenceRewind, for paragraphs
+ */
+export const findParagraphRewind = (words, index) => {
+    const start = findParagraphStart(words, index);
+    if (start < index || start === 0) return start;
+    return findParagraphStart(words, start - 1);
+};
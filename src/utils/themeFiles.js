@@ -0,0 +1,73 @@
+/**
+ * Theme import/export as JSON, for sharing custom themes.
+ *
+ * File format:
+ *   { "type": "pulse-reader-themes", "version": 1, "themes": [theme, ...] }
+ * where a theme is { name, background, text, link, selection,
+ * highlights: { yellow, green, blue, pink, orange }, pivot }. A bare theme
+ * object or an array of themes is accepted on import too.
+ */
+import { highlightColors } from '../hooks/useAnnotations';
+
+const FILE_TYPE = 'pulse-reader-themes';
+const FILE_VERSION = 1;
+
+const COLOR_FIELDS = ['background', 'text', 'link', 'selection'];
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const isColor = (value) => typeof value === 'string' && HEX_COLOR.test(value);
+
+// Keep only the fields a theme understands, with valid colors
+function cleanTheme(theme) {
+    if (!theme || typeof theme !== 'object') return null;
+    if (!COLOR_FIELDS.slice(0, 2).every((field) => isColor(theme[field]))) return null;
+
+    const clean = {
+        name: String(theme.name || 'Imported Theme').slice(0, 40),
+        pivot: isColor(theme.pivot) ? theme.pivot : null,
+        highlights: {},
+    };
+    COLOR_FIELDS.forEach((field) => {
+        if (isColor(theme[field])) clean[field] = theme[field];
+    });
+    Object.keys(highlightColors).forEach((key) => {
+        if (isColor(theme.highlights?.[key])) clean.highlights[key] = theme.highlights[key];
+    });
+    return clean;
+}
+
+/**
+ * Themes from an imported JSON file's text. Throws if there are none.
+ */
+export function parseThemeFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('Not a JSON file');
+    }
+
+    let list;
+    if (Array.isArray(data)) list = data;
+    else if (Array.isArray(data?.themes)) list = data.themes;
+    else list = [data];
+
+    const themes = list.map(cleanTheme).filter(Boolean);
+    if (themes.length === 0) {
+        throw new Error('No themes found - each needs at least a background and text color');
+    }
+    return themes;
+}
+
+/**
+ * Download themes as a JSON file
+ */
+export function downloadThemes(themes, fileName = 'pulse-reader-themes.json') {
+    const data = { type: FILE_TYPE, version: FILE_VERSION, themes: themes.map(cleanTheme).filter(Boolean) };
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
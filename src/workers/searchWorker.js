@@ -0,0 +1,75 @@
+/**
+ * PulseReader Search Worker
+ * Holds the text of the open book's sections and runs queries over it
+ * off the main thread.
+ *
+ * Messages in:  { id, type: 'index', key, texts: [string] }
+ *               { id, type: 'search', key, query, matchCase, wholeWord, limit }
+ * Messages out: { id } | { id, matches, truncated } | { id, error }
+ * matches is null when the book isn't indexed (any more).
+ */
+
+// Characters of context on each side of a match
+const CONTEXT_CHARS = 40;
+
+// Only the book being read is kept
+let indexed = { key: null, texts: [] };
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whitespace in the query matches any run of whitespace (line breaks in the markup)
+const buildPattern = (query, matchCase, wholeWord) => {
+    const body = query.split(/\s+/).map(escapeRegExp).join('\\s+');
+    const source = wholeWord ? `(?<![\\p{L}\\p{N}_])${body}(?![\\p{L}\\p{N}_])` : body;
+    return new RegExp(source, matchCase ? 'gu' : 'giu');
+};
+
+const collapse = (text) => text.replace(/\s+/g, ' ');
+
+// Context around text[start, end), cut back to whole words
+const getContext = (text, start, end) => {
+    const from = Math.max(0, start - CONTEXT_CHARS);
+    const to = Math.min(text.length, end + CONTEXT_CHARS);
+    let before = collapse(text.slice(from, start));
+    let after = collapse(text.slice(end, to));
+    if (from > 0) before = `…${before.replace(/^\S*\s/, '')}`;
+    if (to < text.length) after = `${after.replace(/\s\S*$/, '')}…`;
+    return { before: before.trimStart(), match: collapse(text.slice(start, end)), after: after.trimEnd() };
+};
+
+const search = ({ key, query, matchCase, wholeWord, limit }) => {
+    if (indexed.key !== key) return { matches: null, truncated: false };
+
+    const pattern = buildPattern(query, matchCase, wholeWord);
+    const matches = [];
+    for (let section = 0; section < indexed.texts.length; section++) {
+        const text = indexed.texts[section];
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text))) {
+            if (match[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+            if (matches.length >= limit) return { matches, truncated: true };
+            const start = match.index;
+            const end = start + match[0].length;
+            matches.push({ section, start, end, ...getContext(text, start, end) });
+        }
+    }
+    return { matches, truncated: false };
+};
+
+self.onmessage = (e) => {
+    const { id, type } = e.data;
+    try {
+        if (type === 'index') {
+            indexed = { key: e.data.key, texts: e.data.texts };
+            self.postMessage({ id });
+        } else if (type === 'search') {
+            self.postMessage({ id, ...search(e.data) });
+        }
+    } catch (err) {
+        self.postMessage({ id, error: err.message });
+    }
+};